@@ -2,11 +2,50 @@ const state = {
   allSequences: [],
   sequences: [],
   papers: [],
+  paperIndex: new Map(),
+  paperColumns: [],
+  paperJoin: null,
   tree: null,
+  trees: [],
+  treeAnnotations: {},
+  treeHistory: [],
+  treeZoom: null,
   activePanel: null,
   filters: {},
   descriptors: [],
-  descriptorInfo: {}
+  descriptorInfo: {},
+  dataColumns: [],
+  descriptorSettings: {},
+  descriptorDraft: null,
+  columns: {
+    id: "accession",
+    study: "pmid"
+  },
+  tipMatching: {
+    rules: {
+      trim: true,
+      underscores: false,
+      ignoreCase: false,
+      stripVersion: false,
+      delimiter: "",
+      field: 1
+    },
+    accepted: {}
+  },
+  tipIndex: new Map(),
+  reconciliation: null,
+  ancestral: null,
+  search: null,
+  exportingFigure: false,
+  sourceFiles: null,
+  importOptions: null,
+  missingValues: new Set(["NA"]),
+  sessionId: null,
+  selection: new Set(),
+  visible: new Set(),
+  studyIndex: new Map(),
+  visiblePanels: new Set(),
+  dirtyPanels: new Set()
 };
 
 /**
@@ -16,720 +55,7143 @@ const state = {
 const unique = arr => [...new Set(arr)];
 
 /**
- * @param {string} str
- * @returns {number}
+ * @param {*} v
+ * @returns {boolean} true for null, undefined, blank values and the missing-value tokens chosen on import (`NA` by default)
+ */
+const isMissing = v => v === null || v === undefined || String(v).trim() === '' || state.missingValues.has(String(v).trim().toUpperCase());
+
+const MISSING_KEY = "(missing)";
+
+/**
+ * @param {function} fn
+ * @param {number} wait - milliseconds of quiet before `fn` runs
+ * @returns {function} calls `fn` once calls stop arriving for `wait` ms
+ */
+function debounce(fn, wait) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
+/**
+ * Parses the body of a bracketed comment. `[&key=value,...]` (BEAST) and
+ * `[&&NHX:key=value:...]` (NHX) comments become key/value pairs; anything
+ * else is kept as free text under `comment`.
+ * @param {string} text - comment content without the surrounding brackets
+ * @returns {object}
+ */
+function parseAnnotations(text) {
+  if (text.startsWith('&&NHX')) {
+    return Object.fromEntries(text.slice(5).split(':').filter(Boolean).map(pair => {
+      const eq = pair.indexOf('=');
+      return eq === -1 ? [pair, true] : [pair.slice(0, eq), parseAnnotationValue(pair.slice(eq + 1))];
+    }));
+  }
+  if (!text.startsWith('&')) return { comment: text };
+
+  const body = text.slice(1);
+  const annotations = {};
+  let i = 0;
+
+  function readValue() {
+    if (body[i] === '{') {
+      i++;
+      const values = [];
+      while (i < body.length && body[i] !== '}') {
+        values.push(readValue());
+        if (body[i] === ',') i++;
+      }
+      i++;
+      return values;
+    }
+    if (body[i] === '"' || body[i] === "'") {
+      const quote = body[i++];
+      let value = '';
+      while (i < body.length && body[i] !== quote) value += body[i++];
+      i++;
+      return value;
+    }
+    let value = '';
+    while (i < body.length && body[i] !== ',' && body[i] !== '}') value += body[i++];
+    return parseAnnotationValue(value);
+  }
+
+  while (i < body.length) {
+    let key = '';
+    while (i < body.length && body[i] !== '=' && body[i] !== ',') key += body[i++];
+    key = key.trim();
+    if (body[i] === '=') {
+      i++;
+      annotations[key] = readValue();
+    } else if (key) {
+      annotations[key] = true;
+    }
+    if (body[i] === ',') i++;
+  }
+  return annotations;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for finite numbers and non-blank numeric strings, but not booleans, null or blanks, which `isFinite` also accepts
+ */
+const isNumericValue = value => (typeof value === 'number' && isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && isFinite(value));
+
+/**
+ * @param {string} value
+ * @returns {number|string}
  */
-const hash = str => str ? Array.from(String(str)).reduce((h, c) => h + c.charCodeAt(0), 0) : 0;
+function parseAnnotationValue(value) {
+  const trimmed = value.trim();
+  return trimmed !== '' && isFinite(trimmed) ? +trimmed : trimmed;
+}
 
 /**
+ * Parses a Newick tree. Supports quoted labels (`'A/Nanjing/1/2022'`),
+ * bracketed comments, BEAST/NHX annotations, and numeric internal-node
+ * labels, which are kept as `support`. Malformed input throws an error
+ * whose `position` is the offending character offset.
  * @param {string} newick
- * @returns {object} 
+ * @returns {object}
  */
 function parseNewick(newick) {
   let pos = 0;
 
-  function parseNameAndLength() {
-    let name = '';
-    let lengthStr = '';
-    let readingName = true;
-    while (pos < newick.length && newick[pos] !== ',' && newick[pos] !== ')' && newick[pos] !== ';') {
-      if (newick[pos] === ':') {
-        readingName = false;
+  function fail(message, at = pos) {
+    const err = new Error(`Invalid Newick: ${message} at position ${at + 1}`);
+    err.position = at;
+    throw err;
+  }
+
+  function readComment() {
+    const start = pos;
+    pos++;
+    let depth = 1;
+    let text = '';
+    while (pos < newick.length) {
+      const c = newick[pos];
+      if (c === '[') depth++;
+      if (c === ']' && --depth === 0) break;
+      text += c;
+      pos++;
+    }
+    if (pos >= newick.length) fail("unterminated comment '['", start);
+    pos++;
+    return text;
+  }
+
+  /**
+   * Skips whitespace and comments, merging any annotations into `node`.
+   */
+  function skipFiller(node) {
+    while (pos < newick.length) {
+      if (/\s/.test(newick[pos])) {
+        pos++;
+      } else if (newick[pos] === '[') {
+        const annotations = parseAnnotations(readComment());
+        if (node) node.annotations = Object.assign(node.annotations || {}, annotations);
       } else {
-        if (readingName) {
-          name += newick[pos];
-        } else {
-          lengthStr += newick[pos];
+        break;
+      }
+    }
+  }
+
+  function readQuoted() {
+    const start = pos;
+    const quote = newick[pos++];
+    let label = '';
+    while (pos < newick.length) {
+      if (newick[pos] === quote) {
+        if (newick[pos + 1] === quote) {
+          label += quote;
+          pos += 2;
+          continue;
         }
+        pos++;
+        return label;
       }
-      pos++;
+      label += newick[pos++];
     }
-    return {
-      name: name.trim() || undefined,
-      length: parseFloat(lengthStr) || 0
-    };
+    return fail(`unterminated quoted label`, start);
+  }
+
+  function readLabel() {
+    if (newick[pos] === "'" || newick[pos] === '"') return readQuoted();
+    let label = '';
+    while (pos < newick.length && !'()[]:;,'.includes(newick[pos])) {
+      if (newick[pos] === "'" || newick[pos] === '"') fail(`unexpected quote inside label`);
+      label += newick[pos++];
+    }
+    return label.trim();
+  }
+
+  function readLength(node) {
+    skipFiller(node);
+    if (newick[pos] !== ':') return;
+    pos++;
+    skipFiller(node);
+    const start = pos;
+    let lengthStr = '';
+    while (pos < newick.length && !'()[],:;'.includes(newick[pos]) && !/\s/.test(newick[pos])) {
+      lengthStr += newick[pos++];
+    }
+    if (lengthStr === '' || !isFinite(lengthStr)) fail(`invalid branch length '${lengthStr}'`, start);
+    node.length = +lengthStr;
+    skipFiller(node);
   }
 
   function parseSubtree() {
+    const node = {};
+    skipFiller(node);
     if (newick[pos] === '(') {
+      const open = pos;
       pos++;
-      const children = [];
-      while (newick[pos] !== ')') {
-        children.push(parseSubtree());
+      node.branchset = [];
+      for (;;) {
+        node.branchset.push(parseSubtree());
         if (newick[pos] === ',') {
           pos++;
+        } else if (newick[pos] === ')') {
+          pos++;
+          break;
+        } else if (pos >= newick.length || newick[pos] === ';') {
+          fail(`unclosed '('`, open);
+        } else {
+          fail(`unexpected '${newick[pos]}'`);
         }
       }
-      pos++;
-      const node = {
-        branchset: children
-      };
-      const {
-        name,
-        length
-      } = parseNameAndLength();
-      if (name) node.name = name;
-      if (length) node.length = length;
-      return node;
+      skipFiller(node);
+      const label = readLabel();
+      if (label) {
+        node.name = label;
+        const support = label.split('/').map(Number);
+        if (support.every(isFinite)) node.support = support[0];
+      }
+    } else {
+      node.name = readLabel() || 'internal';
     }
-    else {
-      const {
-        name,
-        length
-      } = parseNameAndLength();
-      return {
-        name: name || 'internal',
-        length: length
-      };
+    node.length = 0;
+    readLength(node);
+    if (node.annotations) {
+      const { posterior, support } = node.annotations;
+      const value = [posterior, support].find(isNumericValue);
+      if (node.support === undefined && value !== undefined) node.support = +value;
     }
+    return node;
   }
 
-  const trimmedNewick = newick.trim().endsWith(';') ? newick.trim().slice(0, -1) : newick.trim();
-  return parseSubtree(trimmedNewick);
+  if (!newick || !newick.trim()) fail('tree is empty', 0);
+  const tree = parseSubtree();
+  if (pos < newick.length && newick[pos] !== ';') fail(`unexpected '${newick[pos]}'`);
+  pos++;
+  skipFiller(null);
+  if (pos < newick.length) fail('unexpected content after end of tree');
+  return tree;
 }
 
-function analyzeDescriptors() {
-  state.descriptors.forEach(key => {
-    const values = state.allSequences
-      .map(s => s.descriptors[key])
-      .filter(v => v !== null && v !== undefined && String(v).trim() !== '' && String(v).toUpperCase() !== 'NA');
-
-    if (values.length === 0) {
-      state.descriptorInfo[key] = {
-        type: 'categorical',
-        domain: []
-      };
-      return;
+/**
+ * Splits text on `;` that are outside quotes and bracketed comments.
+ * @param {string} text
+ * @returns {Array<{text: string, offset: number}>} non-empty statements with their start offsets
+ */
+function splitStatements(text) {
+  const statements = [];
+  let start = 0;
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (depth) {
+      if (c === '[') depth++;
+      if (c === ']') depth--;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ';') {
+      statements.push({ text: text.slice(start, i), offset: start });
+      start = i + 1;
     }
+  }
+  statements.push({ text: text.slice(start), offset: start });
+  return statements.filter(st => st.text.replace(/\[[^\]]*\]/g, '').trim());
+}
+
+/**
+ * Detects the format of a tree file and splits it into trees. Each tree is
+ * only parsed when `read` is called, since a posterior sample may hold
+ * thousands; see `loadedTree`.
+ * @param {string} text - Newick (one or more trees), NEXUS or PhyloXML
+ * @returns {{format: string, trees: Array<{name: string, tree: null, read: function(): object}>}}
+ */
+function parseTreeFile(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error("Tree data is empty");
 
-    let numericCount = 0;
-    values.forEach(v => {
-      if (!isNaN(parseFloat(v)) && isFinite(v)) {
-        numericCount++;
+  let format;
+  let trees;
+  if (/^#NEXUS/i.test(trimmed)) {
+    format = 'NEXUS';
+    trees = parseNexus(trimmed);
+  } else if (trimmed.startsWith('<')) {
+    format = 'PhyloXML';
+    trees = parsePhyloXML(trimmed);
+  } else {
+    format = 'Newick';
+    const statements = splitStatements(trimmed);
+    trees = statements.map(({ text: newick }, i) => ({
+      name: `Tree ${i + 1}`,
+      tree: null,
+      read: () => {
+        try {
+          return parseNewick(newick);
+        } catch (err) {
+          if (statements.length > 1) err.message = `Tree ${i + 1}: ${err.message}`;
+          throw err;
+        }
       }
-    });
+    }));
+  }
+
+  if (!trees.length) throw new Error(`No trees found in ${format} file`);
+  return { format, trees };
+}
 
-    const uniqueValues = unique(values);
-    const isNumerical = (numericCount / values.length > 0.8) && uniqueValues.length > 6;
-    const type = isNumerical ? 'numerical' : 'categorical';
+/**
+ * Reads the TREES block of a NEXUS file, resolving any TRANSLATE table
+ * to tip names as each tree is read.
+ * @param {string} text
+ * @returns {Array<{name: string, tree: null, read: function(): object}>}
+ */
+function parseNexus(text) {
+  const blockMatch = /begin\s+trees\s*;([\s\S]*?)\bend(block)?\s*;/i.exec(text);
+  if (!blockMatch) throw new Error("NEXUS file has no TREES block");
 
-    state.descriptorInfo[key] = {
-      type,
-      domain: type === 'numerical' ? d3.extent(values.map(v => +v)) : uniqueValues.sort()
-    };
+  const translate = new Map();
+  const trees = [];
+
+  splitStatements(blockMatch[1]).forEach(({ text: statement }) => {
+    const body = statement.trim();
+    const keyword = body.split(/\s/)[0].toLowerCase();
+
+    if (keyword === 'translate') {
+      splitTranslateEntries(body.slice(keyword.length)).forEach(entry => {
+        const [, key, label] = /^(\S+)\s+(.+)$/s.exec(entry) || [];
+        if (key) translate.set(key, unquoteNexus(label.trim()));
+      });
+    } else if (keyword === 'tree' || keyword === 'utree') {
+      const match = /^u?tree\s+(\*\s*)?('(?:[^']|'')*'|[^\s=]+)\s*=\s*([\s\S]*)$/i.exec(body);
+      if (!match) throw new Error(`Malformed NEXUS tree statement: ${body.slice(0, 40)}…`);
+      const name = unquoteNexus(match[2]);
+      const newick = match[3];
+      trees.push({ name, tree: null, read: () => readTree(name, newick) });
+    }
   });
+
+  // The TRANSLATE table is complete by the time any tree is read
+  function readTree(name, newick) {
+    let tree;
+    try {
+      tree = parseNewick(newick);
+    } catch (err) {
+      err.message = `NEXUS tree '${name}': ${err.message}`;
+      throw err;
+    }
+    if (translate.size) {
+      d3.hierarchy(tree, d => d.branchset).leaves().forEach(leaf => {
+        if (translate.has(leaf.data.name)) leaf.data.name = translate.get(leaf.data.name);
+      });
+    }
+    return tree;
+  }
+  return trees;
 }
 
-function exportCSV() {
-  const rows = [
-    ["accession", "pmid", ...state.descriptors]
-  ];
-  state.sequences.forEach(s => {
-    const descriptorValues = state.descriptors.map(k => s.descriptors[k]);
-    rows.push([s.accession, s.pmid, ...descriptorValues]);
-  });
+/**
+ * @param {string} text - body of a TRANSLATE statement
+ * @returns {Array<string>} `key label` entries split on commas outside quotes
+ */
+function splitTranslateEntries(text) {
+  const entries = [];
+  let current = '';
+  let inQuote = false;
+  for (const c of text.replace(/\[[^\]]*\]/g, '')) {
+    if (c === "'") inQuote = !inQuote;
+    if (c === ',' && !inQuote) {
+      entries.push(current.trim());
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  entries.push(current.trim());
+  return entries.filter(Boolean);
+}
 
-  const csvContent = rows.map(r => r.join(",")).join("\n");
-  const blob = new Blob([csvContent], {
-    type: "text/csv"
-  });
-  const link = document.createElement("a");
-  link.href = URL.createObjectURL(blob);
-  link.download = "filtered_sequences.csv";
-  link.click();
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+function unquoteNexus(token) {
+  return /^'.*'$/s.test(token) ? token.slice(1, -1).replace(/''/g, "'") : token;
 }
 
-function createObserver() {
-  const panels = document.querySelectorAll(".panel");
-  const observer = new IntersectionObserver(entries => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        panels.forEach(p => p.classList.remove("active"));
-        entry.target.classList.add("active");
-        state.activePanel = entry.target.id;
-      }
+/**
+ * Converts each `<phylogeny>` of a PhyloXML document into the same node
+ * shape `parseNewick` produces. Confidence values become `support`;
+ * properties and taxonomy fields become `annotations`.
+ * @param {string} text
+ * @returns {Array<{name: string, tree: null, read: function(): object}>}
+ */
+function parsePhyloXML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const parserError = doc.getElementsByTagName("parsererror")[0];
+  if (parserError) throw new Error(`Invalid PhyloXML: ${parserError.textContent.trim().split("\n")[0]}`);
+  if (doc.documentElement.localName !== 'phyloxml') throw new Error("Unrecognised tree file format");
+
+  const childElements = (el, tag) => Array.from(el.children).filter(c => c.localName === tag);
+  const childText = (el, tag) => {
+    const child = childElements(el, tag)[0];
+    return child ? child.textContent.trim() : undefined;
+  };
+
+  function convertClade(el) {
+    const node = { length: 0 };
+    const annotations = {};
+
+    const name = childText(el, 'name');
+    const taxonomy = childElements(el, 'taxonomy')[0];
+    const sequence = childElements(el, 'sequence')[0];
+    const label = name ||
+      (sequence && childText(sequence, 'accession')) ||
+      (taxonomy && (childText(taxonomy, 'scientific_name') || childText(taxonomy, 'code')));
+
+    const length = el.getAttribute('branch_length') ?? childText(el, 'branch_length');
+    if (length !== undefined && length !== null) node.length = +length || 0;
+
+    const confidence = childElements(el, 'confidence')[0];
+    if (confidence) {
+      node.support = +confidence.textContent.trim();
+      annotations[confidence.getAttribute('type') || 'confidence'] = node.support;
+    }
+    if (taxonomy) {
+      ['scientific_name', 'common_name', 'rank', 'code'].forEach(tag => {
+        const value = childText(taxonomy, tag);
+        if (value) annotations[tag] = value;
+      });
+    }
+    childElements(el, 'property').forEach(prop => {
+      const key = (prop.getAttribute('ref') || '').replace(/^[^:]*:/, '');
+      if (key) annotations[key] = parseAnnotationValue(prop.textContent);
     });
-  }, {
-    threshold: 0.5
-  });
-  panels.forEach(panel => observer.observe(panel));
-}
+    if (Object.keys(annotations).length) node.annotations = annotations;
 
-function populateControls() {
-  const treeColourSelect = document.getElementById("treeColour");
-  if (treeColourSelect) {
-    treeColourSelect.innerHTML = '<option value="--none--">None</option>';
-    state.descriptors.forEach(d => treeColourSelect.add(new Option(d, d)));
+    const children = childElements(el, 'clade').map(convertClade);
+    if (children.length) {
+      node.branchset = children;
+      if (label) node.name = label;
+    } else {
+      node.name = label || 'internal';
+    }
+    return node;
   }
 
-  const chartSelects = ["chartX", "chartY", "chartColour", "chartShape"];
-  chartSelects.forEach(id => {
-    const selectElement = document.getElementById(id);
-    state.descriptors.forEach(d => selectElement.add(new Option(d, d)));
+  return Array.from(doc.getElementsByTagNameNS("*", "phylogeny")).map((phylogeny, i) => {
+    const rootClade = childElements(phylogeny, 'clade')[0];
+    if (!rootClade) throw new Error(`PhyloXML phylogeny ${i + 1} has no clade`);
+    return {
+      name: childText(phylogeny, 'name') || `Tree ${i + 1}`,
+      tree: null,
+      read: () => convertClade(rootClade)
+    };
   });
 }
 
-function drawTree() {
-  const svg = d3.select("#treeSvg");
-  svg.selectAll("*").remove();
-  if (!state.tree) return;
+/**
+ * Classifies a column of non-missing values as numerical or categorical.
+ * @param {Array} values
+ * @returns {{type: string, domain: Array}}
+ */
+function describeValues(values) {
+  if (values.length === 0) {
+    return {
+      type: 'categorical',
+      domain: []
+    };
+  }
 
-  const layoutType = document.getElementById("treeLayout").value;
-  const {
-    width,
-    height
-  } = svg.node().getBoundingClientRect();
+  let numericCount = 0;
+  values.forEach(v => {
+    if (!isNaN(parseFloat(v)) && isFinite(v)) {
+      numericCount++;
+    }
+  });
 
-  const root = d3.hierarchy(state.tree, d => d.branchset)
-    .sum(d => (d.branchset ? 0 : 1))
-    .sort((a, b) => (a.value - b.value) || d3.ascending(a.data.length, b.data.length));
+  const uniqueValues = unique(values);
+  const isNumerical = (numericCount / values.length > 0.8) && uniqueValues.length > 6;
+  const type = isNumerical ? 'numerical' : 'categorical';
 
-  const colorDesc = document.getElementById("treeColour").value;
-  const colorInfo = state.descriptorInfo[colorDesc];
-  const colorScale = (colorInfo && colorInfo.type === 'categorical') ?
-    d3.scaleOrdinal(d3.schemeTableau10).domain(colorInfo.domain) :
-    () => "#ccc";
+  return {
+    type,
+    domain: type === 'numerical' ? d3.extent(values.map(v => +v)) : uniqueValues.sort(compareLevels)
+  };
+}
 
-  root.leaves().forEach(leaf => {
-    const seq = state.sequences.find(s => s.accession === leaf.data.name);
-    leaf.color = (seq && colorInfo) ? colorScale(seq.descriptors[colorDesc]) : "#ccc";
-  });
+/**
+ * Natural order for category levels: numbers by value, and text with
+ * embedded numbers compared numerically (`clade_2` before `clade_10`).
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+const compareLevels = (a, b) => typeof a === 'number' && typeof b === 'number' ?
+  a - b :
+  String(a).localeCompare(String(b), undefined, { numeric: true });
 
-  root.eachAfter(node => {
-    if (!node.children) return;
-    const firstChildColor = node.children[0].color;
-    node.color = node.children.every(c => c.color === firstChildColor) ? firstChildColor : "#ccc";
-  });
+/**
+ * @param {object} node - a node of `state.tree`
+ * @returns {Array<object>} the tip nodes below `node`, ignoring collapsing
+ */
+function dataLeaves(node) {
+  return node.branchset ? node.branchset.flatMap(dataLeaves) : [node];
+}
 
-  if (layoutType === 'rectangular') {
-    drawRectangularTree(svg, root, width, height, colorDesc, colorInfo, colorScale);
-  } else {
-    drawRadialTree(svg, root, width, height, colorDesc, colorInfo, colorScale);
+/**
+ * @param {object} tree
+ * @param {object} target
+ * @returns {Array<object>|null} nodes from `tree` down to `target`, inclusive
+ */
+function findNodePath(tree, target) {
+  if (tree === target) return [tree];
+  for (const child of tree.branchset || []) {
+    const path = findNodePath(child, target);
+    if (path) return [tree, ...path];
   }
+  return null;
 }
 
-function drawRectangularTree(svg, root, width, height, colorDesc, colorInfo, colorScale) {
-  const margin = {
-    top: 20,
-    right: 150,
-    bottom: 20,
-    left: 40
-  };
-  const graphWidth = width - margin.left - margin.right;
-  const graphHeight = height - margin.top - margin.bottom;
+/**
+ * Sorts children by clade size, in place: `up` puts smaller clades first,
+ * `down` larger ones.
+ * @param {object} node
+ * @param {string} [direction]
+ * @returns {number} tip count of `node`
+ */
+function ladderizeTree(node, direction = 'up') {
+  if (!node.branchset) return 1;
+  const sizes = new Map(node.branchset.map(c => [c, ladderizeTree(c, direction)]));
+  const sign = direction === 'up' ? 1 : -1;
+  node.branchset.sort((a, b) => sign * (sizes.get(a) - sizes.get(b)) || d3.ascending(a.length, b.length));
+  return d3.sum(sizes.values());
+}
 
-  const cluster = d3.cluster().size([graphHeight, graphWidth]);
-  cluster(root);
+/**
+ * @param {{name: *, support: *}} node
+ * @returns {boolean} whether the node's name is just its support label
+ */
+const isSupportLabel = node => node.support !== undefined && node.name !== undefined &&
+  String(node.name).split('/').every(v => v !== '' && isFinite(v));
 
-  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+/**
+ * Reroots `tree` on the branch above `target`, `offset` from `target`.
+ * Lengths and support values travel with their branches as edges along
+ * the old root path are reversed; a root left with a single child is removed.
+ * @param {object} tree
+ * @param {object} target - a non-root node of `tree`
+ * @param {number} [offset] - defaults to the branch midpoint
+ * @returns {object} the new root
+ */
+function rerootTree(tree, target, offset) {
+  const path = findNodePath(tree, target);
+  if (!path || path.length < 2) return tree;
+  const branchLength = target.length || 0;
+  const split = offset === undefined ? branchLength / 2 : Math.min(Math.max(offset, 0), branchLength);
+  const branches = path.map(n => ({
+    length: n.length || 0,
+    support: n.support,
+    label: isSupportLabel(n) ? n.name : undefined
+  }));
 
-  g.append("g")
-    .attr("fill", "none")
-    .attr("stroke", "#555")
-    .attr("stroke-width", 1.5)
-    .selectAll("path")
-    .data(root.links())
-    .join("path")
-    .attr("d", d => `M${d.source.y},${d.source.x} L${d.target.y},${d.target.x}`)
-    .attr("stroke", d => d.target.color);
+  for (let i = path.length - 2; i >= 0; i--) {
+    const node = path[i];
+    const below = branches[i + 1];
+    const ownName = isSupportLabel(node) ? undefined : node.name;
+    node.branchset = node.branchset.filter(c => c !== path[i + 1]);
+    if (i > 0) node.branchset.push(path[i - 1]);
+    node.length = i === path.length - 2 ? branchLength - split : below.length;
+    delete node.support;
+    delete node.name;
+    if (below.support !== undefined) node.support = below.support;
+    const name = ownName !== undefined ? ownName : below.label;
+    if (name !== undefined) node.name = name;
+  }
+  target.length = split;
+  const newRoot = { branchset: [target, path[path.length - 2]], length: 0 };
 
-  const node = g.append("g")
-    .selectAll("g")
-    .data(root.descendants())
-    .join("g")
-    .attr("transform", d => `translate(${d.y},${d.x})`);
+  const oldRoot = path[0];
+  const holder = path.length > 2 ? path[1] : newRoot;
+  if (oldRoot.branchset.length === 1) {
+    const only = oldRoot.branchset[0];
+    only.length = (only.length || 0) + oldRoot.length;
+    holder.branchset = holder.branchset.map(c => c === oldRoot ? only : c);
+  } else if (oldRoot.branchset.length === 0) {
+    holder.branchset = holder.branchset.filter(c => c !== oldRoot);
+  }
+  return newRoot;
+}
 
-  node.append("circle")
-    .attr("r", 3)
-    .attr("fill", d => d.color)
-    .attr("stroke", "#fff")
-    .attr("stroke-width", 1);
+/**
+ * Roots the tree at the midpoint of its longest tip-to-tip path.
+ * @param {object} tree
+ * @returns {object} the new root
+ */
+function midpointRoot(tree) {
+  const root = d3.hierarchy(tree, d => d.branchset);
+  const neighbours = node => [
+    ...(node.children || []).map(c => [c, c.data.length || 0]),
+    ...(node.parent ? [[node.parent, node.data.length || 0]] : [])
+  ];
+  const farthest = start => {
+    const distance = new Map([[start, 0]]);
+    const previous = new Map();
+    const stack = [start];
+    while (stack.length) {
+      const node = stack.pop();
+      neighbours(node).forEach(([next, length]) => {
+        if (distance.has(next)) return;
+        distance.set(next, distance.get(node) + length);
+        previous.set(next, node);
+        stack.push(next);
+      });
+    }
+    let end = start;
+    distance.forEach((d, node) => {
+      if (!node.children && d > distance.get(end)) end = node;
+    });
+    return { end, distance, previous };
+  };
 
-  g.append("g")
-    .selectAll("text")
-    .data(root.leaves())
-    .join("text")
-    .attr("transform", d => `translate(${d.y},${d.x})`)
-    .attr("x", 5)
-    .attr("dy", "0.32em")
-    .text(d => d.data.name.replace(/_/g, " "))
-    .attr("font-family", "sans-serif")
-    .attr("font-size", 10)
-    .attr("text-anchor", "start");
+  const { end: a } = farthest(root.leaves()[0]);
+  const { end: b, distance, previous } = farthest(a);
+  const half = distance.get(b) / 2;
 
-  if (colorInfo && colorInfo.type === 'categorical' && colorInfo.domain.length) {
-    const legend = g.append("g").attr("class", "legend").attr("transform", `translate(20, 20)`);
-    legend.append("text").text(colorDesc).attr("font-weight", "bold").attr("dy", -5);
-    const legendItems = legend.selectAll(".legend-item").data(colorInfo.domain).join("g").attr("transform", (d, i) => `translate(0, ${i * 20})`);
-    legendItems.append("rect").attr("width", 15).attr("height", 15).attr("fill", colorScale);
-    legendItems.append("text").text(d => d).attr("x", 20).attr("y", 12.5).style("font-size", "12px");
+  let node = b;
+  while (previous.has(node)) {
+    const prev = previous.get(node);
+    if (distance.get(prev) <= half) {
+      const beyond = half - distance.get(prev);
+      return node.parent === prev ?
+        rerootTree(tree, node.data, (node.data.length || 0) - beyond) :
+        rerootTree(tree, prev.data, beyond);
+    }
+    node = prev;
   }
+  return tree;
 }
 
-function drawRadialTree(svg, root, width, height, colorDesc, colorInfo, colorScale) {
-  const outerRadius = Math.min(width, height) / 2 - 100;
-  const innerRadius = outerRadius - 120;
-
-  const cluster = d3.cluster()
-    .size([360, innerRadius > 0 ? innerRadius : outerRadius / 1.5])
-    .separation(() => 1);
-  cluster(root);
+/**
+ * Hartigan's generalisation of Fitch parsimony to multifurcating trees.
+ * @param {d3.HierarchyNode} root
+ * @param {Map<d3.HierarchyNode, number>} observed - state index of each known leaf
+ * @param {number} k - number of states
+ * @returns {Map<d3.HierarchyNode, {state: number, probs: number[]}>} one most
+ *   parsimonious assignment, with probability split evenly over each node's candidate states
+ */
+function fitchStates(root, observed, k) {
+  const sets = new Map();
+  root.eachAfter(d => {
+    if (!d.children) {
+      sets.set(d, observed.has(d) ? [observed.get(d)] : d3.range(k));
+      return;
+    }
+    const counts = Array(k).fill(0);
+    d.children.forEach(c => sets.get(c).forEach(s => counts[s]++));
+    const best = d3.max(counts);
+    sets.set(d, d3.range(k).filter(s => counts[s] === best));
+  });
 
-  let maxLen = 0;
-  root.each(d => {
-    if (d.data.length > maxLen) maxLen = d.data.length;
+  const result = new Map();
+  root.eachBefore(d => {
+    const set = sets.get(d);
+    const parentState = d.parent ? result.get(d.parent).state : undefined;
+    result.set(d, {
+      state: set.includes(parentState) ? parentState : set[0],
+      probs: d3.range(k).map(s => set.includes(s) ? 1 / set.length : 0)
+    });
   });
+  return result;
+}
+
+/**
+ * Marginal ancestral states under the equal-rates Mk model, with the rate
+ * fitted by maximum likelihood and a uniform root prior.
+ * @param {d3.HierarchyNode} root
+ * @param {Map<d3.HierarchyNode, number>} observed - state index of each known leaf
+ * @param {number} k - number of states, at least 2
+ * @returns {{nodes: Map<d3.HierarchyNode, {state: number, probs: number[]}>, rate: number, logLikelihood: number}}
+ */
+function mkMarginals(root, observed, k) {
+  const nodes = root.descendants();
+  const positive = nodes.filter(d => d.parent && d.data.length > 0).map(d => d.data.length);
+  const meanLength = positive.length ? d3.mean(positive) : 1;
+  // Zero-length branches would forbid any change, so they get a short floor; cladograms use unit lengths
+  const branchLength = d => positive.length ? Math.max(d.data.length || 0, meanLength * 0.01) : 1;
+  const normalise = vec => {
+    const total = d3.sum(vec);
+    return total > 0 ? vec.map(v => v / total) : vec.map(() => 1 / k);
+  };
+  // Sum over end states of P(t) × vec; P(t) has one value on the diagonal and another off it
+  const propagate = (vec, rate, t) => {
+    const decay = Math.exp(-k * rate * t / (k - 1));
+    const same = 1 / k + (k - 1) / k * decay;
+    const other = (1 - decay) / k;
+    const total = d3.sum(vec);
+    return vec.map(v => same * v + other * (total - v));
+  };
 
-  function setRadius(d, y0, k) {
-    d.radius = y0 + d.data.length * k;
-    if (d.children) {
-      d.children.forEach(child => setRadius(child, d.radius, k));
+  const pruning = rate => {
+    const below = new Map();
+    const messages = new Map();
+    let logScale = 0;
+    for (let n = nodes.length - 1; n >= 0; n--) {
+      const d = nodes[n];
+      let vec;
+      if (d.children) {
+        vec = Array(k).fill(1);
+        d.children.forEach(c => {
+          const message = messages.get(c);
+          vec = vec.map((v, i) => v * message[i]);
+        });
+      } else {
+        vec = d3.range(k).map(s => !observed.has(d) || observed.get(d) === s ? 1 : 0);
+      }
+      const max = d3.max(vec);
+      if (max > 0) {
+        vec = vec.map(v => v / max);
+        logScale += Math.log(max);
+      }
+      below.set(d, vec);
+      if (d.parent) messages.set(d, propagate(vec, rate, branchLength(d)));
     }
-  }
-  setRadius(root, 0, (innerRadius > 0 ? innerRadius : outerRadius / 1.5) / maxLen);
+    return { below, messages, logLikelihood: logScale + Math.log(d3.mean(below.get(root))) };
+  };
 
-  const g = svg.append("g")
-    .attr("transform", `translate(${width / 2},${height / 2})`)
-    .attr("font-family", "sans-serif")
-    .attr("font-size", 10);
+  // Golden-section search for the rate on a log scale
+  const phi = (Math.sqrt(5) - 1) / 2;
+  const logLikelihoodAt = x => pruning(Math.exp(x) / meanLength).logLikelihood;
+  let lo = Math.log(1e-3);
+  let hi = Math.log(1e2);
+  let a = hi - phi * (hi - lo);
+  let b = lo + phi * (hi - lo);
+  let fa = logLikelihoodAt(a);
+  let fb = logLikelihoodAt(b);
+  for (let i = 0; i < 40; i++) {
+    if (fa > fb) {
+      hi = b;
+      b = a;
+      fb = fa;
+      a = hi - phi * (hi - lo);
+      fa = logLikelihoodAt(a);
+    } else {
+      lo = a;
+      a = b;
+      fa = fb;
+      b = lo + phi * (hi - lo);
+      fb = logLikelihoodAt(b);
+    }
+  }
+  const rate = Math.exp((lo + hi) / 2) / meanLength;
+  const { below, messages, logLikelihood } = pruning(rate);
 
-  const linkConstant = d3.linkRadial().angle(d => d.x * Math.PI / 180).radius(d => d.y);
-  const linkVariable = d3.linkRadial().angle(d => d.x * Math.PI / 180).radius(d => d.radius);
+  // Second pass: combine what lies above each node with what lies below it
+  const above = new Map([[root, Array(k).fill(1 / k)]]);
+  const result = new Map();
+  nodes.forEach(d => {
+    const outside = above.get(d);
+    const probs = normalise(outside.map((o, i) => o * below.get(d)[i]));
+    result.set(d, { state: probs.indexOf(d3.max(probs)), probs });
+    if (!d.children) return;
+
+    const childMessages = d.children.map(c => messages.get(c));
+    const prefix = [Array(k).fill(1)];
+    childMessages.forEach((m, i) => prefix.push(normalise(prefix[i].map((v, s) => v * m[s]))));
+    const suffix = [Array(k).fill(1)];
+    childMessages.slice().reverse().forEach((m, i) => suffix.push(normalise(suffix[i].map((v, s) => v * m[s]))));
+    suffix.reverse();
+    d.children.forEach((c, i) => {
+      const siblings = normalise(outside.map((o, s) => o * prefix[i][s] * suffix[i + 1][s]));
+      above.set(c, normalise(propagate(siblings, rate, branchLength(c))));
+    });
+  });
+  return { nodes: result, rate, logLikelihood };
+}
+
+/**
+ * Infers the state of every node of `tree` for a categorical trait and
+ * counts the changes along its branches.
+ * @param {object} tree
+ * @param {function(object): *} tipState - observed value of a tip node, or undefined if unknown
+ * @param {Array} states - the trait's categories
+ * @param {'fitch'|'ml'} method
+ * @returns {{nodes: Map<object, {state: *, probs: number[]}>, changes: Map<*, Map<*, number>>, rate?: number, logLikelihood?: number}}
+ *   inferred states keyed by tree node, and change counts keyed by from- then to-state
+ */
+function reconstructAncestralStates(tree, tipState, states, method) {
+  const root = d3.hierarchy(tree, d => d.branchset);
+  const observed = new Map();
+  root.leaves().forEach(leaf => {
+    const index = states.indexOf(tipState(leaf.data));
+    if (index >= 0) observed.set(leaf, index);
+  });
+
+  const fit = method === 'ml' && states.length > 1 ?
+    mkMarginals(root, observed, states.length) :
+    { nodes: fitchStates(root, observed, states.length) };
+
+  const nodes = new Map();
+  const changes = new Map(states.map(from => [from, new Map(states.map(to => [to, 0]))]));
+  root.each(d => {
+    const { state, probs } = fit.nodes.get(d);
+    nodes.set(d.data, { state: states[state], probs });
+    if (!d.parent || (!d.children && !observed.has(d))) return;
+    const parentState = fit.nodes.get(d.parent).state;
+    if (parentState !== state) {
+      const row = changes.get(states[parentState]);
+      row.set(states[state], row.get(states[state]) + 1);
+    }
+  });
+  return { nodes, changes, rate: fit.rate, logLikelihood: fit.logLikelihood };
+}
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Parses a date in one of the common metadata formats: ISO (`2022-03-10`,
+ * with optional time), `2022/03/10`, year-month (`2022-03`, `Mar 2022`),
+ * year only (`2022`), `D-Mon-YYYY` and US `M/D/YY` or `M/D/YYYY`.
+ * Two-digit years up to the current year map to 20xx, later ones to 19xx.
+ * @param {*} value
+ * @returns {{date: Date, precision: string}|null} UTC date and its precision (`day`, `month` or `year`)
+ */
+function parseDateValue(value) {
+  if (isMissing(value)) return null;
+  const text = String(value).trim();
+  const build = (year, month, day, precision) => {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? { date, precision } : null;
+  };
+  const fullYear = yy => {
+    if (yy.length === 4) return +yy;
+    const pivot = new Date().getUTCFullYear() % 100;
+    return +yy <= pivot ? 2000 + +yy : 1900 + +yy;
+  };
+
+  let m;
+  if ((m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})([T ][\d:.]+Z?)?$/.exec(text))) return build(+m[1], +m[2], +m[3], 'day');
+  if ((m = /^(\d{4})-(\d{1,2})$/.exec(text))) return build(+m[1], +m[2], 1, 'month');
+  if ((m = /^(\d{4})$/.exec(text))) return +m[1] >= 1800 && +m[1] <= 2100 ? build(+m[1], 1, 1, 'year') : null;
+  if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text))) return build(fullYear(m[3]), +m[1], +m[2], 'day');
+  if ((m = /^(\d{1,2})[- ]([A-Za-z]{3})[A-Za-z]*[- ](\d{4})$/.exec(text))) {
+    const month = MONTH_NAMES.indexOf(m[2].toLowerCase()) + 1;
+    return month ? build(+m[3], month, +m[1], 'day') : null;
+  }
+  if ((m = /^([A-Za-z]{3})[A-Za-z]*[- ](\d{4})$/.exec(text))) {
+    const month = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+    return month ? build(+m[2], month, 1, 'month') : null;
+  }
+  return null;
+}
+
+const DATE_PRECISIONS = ['day', 'month', 'year'];
+
+/**
+ * Recognises a date column: at least 80% of its values must parse as
+ * dates. Bare years only count when the column name looks like a date or
+ * other values in the column are full dates, so numeric columns stay numeric.
+ * @param {string} key
+ * @param {Array} values - non-missing values
+ * @param {boolean} [force] - the column was set to be a date; any value that parses is enough
+ * @returns {{type: string, domain: Array<Date>, precision: string, precisionCounts: object}|null}
+ */
+function detectDateDescriptor(key, values, force) {
+  if (!values.length) return null;
+  const parsed = values.map(parseDateValue).filter(Boolean);
+  if (!parsed.length || (!force && parsed.length / values.length < 0.8)) return null;
+
+  const precisionCounts = d3.rollup(parsed, v => v.length, p => p.precision);
+  const onlyYears = precisionCounts.size === 1 && precisionCounts.has('year');
+  if (onlyYears && !force && !/date|year|time|collect/i.test(key)) return null;
+
+  return {
+    type: 'date',
+    domain: d3.extent(parsed, p => p.date),
+    precision: DATE_PRECISIONS.filter(p => precisionCounts.has(p)).pop(),
+    precisionCounts: Object.fromEntries(precisionCounts)
+  };
+}
+
+/**
+ * @param {*} value - a row's imported value
+ * @param {object} settings - entry of `state.descriptorSettings`
+ * @returns {*} the value after merging levels, as a number for numeric columns
+ */
+function adjustedValue(value, settings) {
+  const merged = !isMissing(value) && settings.merge && Object.hasOwn(settings.merge, value) ? settings.merge[value] : value;
+  return settings.type === 'numerical' && typeof merged === 'string' && merged.trim() !== '' && isFinite(merged) ? +merged : merged;
+}
+
+/**
+ * @param {Array} levels
+ * @param {Array<string>} [order] - levels, as text, to put first
+ * @returns {Array} `levels` with those named in `order` first, the rest keeping their place
+ */
+function orderLevels(levels, order) {
+  if (!order || !order.length) return levels;
+  const rank = new Map(order.map((level, i) => [level, i]));
+  const position = level => rank.has(String(level)) ? rank.get(String(level)) : Infinity;
+  return levels
+    .map((level, i) => ({ level, i }))
+    .sort((a, b) => position(a.level) - position(b.level) || a.i - b.i)
+    .map(({ level }) => level);
+}
+
+/**
+ * Applies the order, ordinal flag and fixed colours in `settings` to a
+ * categorical column's info.
+ * @param {object} info
+ * @param {object} [settings]
+ * @returns {object} `info`
+ */
+function applyLevelSettings(info, settings = {}) {
+  info.domain = orderLevels(info.domain, settings.order);
+  info.ordinal = settings.type === 'ordinal';
+  info.colours = settings.colours;
+  return info;
+}
+
+/**
+ * Info for one column under its settings: the type is detected for
+ * `auto`, otherwise taken as given; a date column none of whose values
+ * parse falls back to categorical.
+ * @param {string} key
+ * @param {Array} values - non-missing values, from `adjustedValue`
+ * @param {object} settings - entry of `state.descriptorSettings`
+ * @returns {object}
+ */
+function describeColumn(key, values, settings) {
+  const type = settings.type || 'auto';
+  if (type === 'id' || type === 'hidden') return { type, domain: [] };
+  if (type === 'numerical') return { type, domain: d3.extent(values, v => typeof v === 'number' ? v : undefined) };
+  const dateInfo = type === 'auto' || type === 'date' ? detectDateDescriptor(key, values, type === 'date') : null;
+  if (dateInfo) return dateInfo;
+  const info = type === 'auto' ? describeValues(values) : { type: 'categorical', domain: unique(values).sort(compareLevels) };
+  return info.type === 'categorical' ? applyLevelSettings(info, settings) : info;
+}
+
+/**
+ * Derives each column's values and info from the imported values and
+ * `state.descriptorSettings`. ID and hidden columns are left out of
+ * `state.descriptors`; derived columns keep their bins.
+ */
+function analyzeDescriptors() {
+  const derived = state.descriptors.filter(key => state.descriptorInfo[key] && state.descriptorInfo[key].derived);
+  state.dataColumns.forEach(key => {
+    const settings = state.descriptorSettings[key] || {};
+    state.allSequences.forEach(s => {
+      s.descriptors[key] = adjustedValue(s.original[key], settings);
+    });
+    const values = state.allSequences.map(s => s.descriptors[key]).filter(v => !isMissing(v));
+
+    const info = describeColumn(key, values, settings);
+    state.descriptorInfo[key] = info;
+    state.allSequences.forEach(s => {
+      s.dates = s.dates || {};
+      if (info.type === 'date') {
+        const parsed = parseDateValue(s.descriptors[key]);
+        s.dates[key] = parsed ? parsed.date : null;
+      } else {
+        delete s.dates[key];
+      }
+    });
+  });
+  derived.forEach(key => applyLevelSettings(state.descriptorInfo[key], state.descriptorSettings[key]));
+  state.descriptors = [
+    ...state.dataColumns.filter(key => !['id', 'hidden'].includes(state.descriptorInfo[key].type)),
+    ...derived
+  ];
+}
+
+/**
+ * Position of a sequence on an axis: the parsed date for date descriptors,
+ * otherwise the raw value.
+ * @param {object} seq
+ * @param {string} key
+ * @returns {*}
+ */
+function axisValue(seq, key) {
+  const info = state.descriptorInfo[key];
+  return info && info.type === 'date' ? seq.dates[key] : seq.descriptors[key];
+}
+
+/**
+ * @param {object} info - descriptor info
+ * @param {Array<number>} range
+ * @returns {function} a d3 scale suited to the descriptor type
+ */
+function axisScale(info, range) {
+  if (info.type === 'date') return d3.scaleUtc().domain(info.domain).nice().range(range);
+  if (info.type === 'numerical') return d3.scaleLinear().domain(info.domain).nice().range(range);
+  return d3.scalePoint().domain(info.domain).range(range).padding(0.5);
+}
+
+const formatDate = d3.utcFormat("%Y-%m-%d");
+
+const MISSING_COLOUR = "#ccc";
+
+const NUMERIC_SCHEMES = {
+  viridis: { label: "Viridis", interpolator: d3.interpolateViridis },
+  plasma: { label: "Plasma", interpolator: d3.interpolatePlasma },
+  blues: { label: "Blues", interpolator: d3.interpolateBlues },
+  rdbu: { label: "Blue–Red (diverging)", interpolator: t => d3.interpolateRdBu(1 - t), diverging: true },
+  piyg: { label: "Pink–Green (diverging)", interpolator: d3.interpolatePiYG, diverging: true }
+};
+
+/**
+ * Colours for a descriptor: the colours fixed in its settings, otherwise a
+ * qualitative palette for categories (viridis for ordinal ones), and the
+ * sequential or diverging `scheme` for numbers and dates. Diverging scales
+ * are centred on 0 when the range spans it, otherwise on its midpoint.
+ * @param {object} info - entry of `state.descriptorInfo` or `state.treeAnnotations`
+ * @param {string} scheme - key of `NUMERIC_SCHEMES`
+ * @returns {function(*): string} maps a value (a Date for date descriptors) to a colour; grey when missing
+ */
+function colourScale(info, scheme) {
+  if (!info) return () => MISSING_COLOUR;
+  if (info.type === 'categorical') {
+    const n = info.domain.length;
+    const palette = info.ordinal ? d3.quantize(d3.interpolateViridis, Math.max(n, 2)) :
+      n <= 10 ? d3.schemeTableau10 : d3.quantize(t => d3.interpolateSinebow(t * (n - 1) / n), n);
+    const scale = d3.scaleOrdinal(palette).domain(info.domain.map(String)).unknown(MISSING_COLOUR);
+    const fixed = info.colours || {};
+    return v => isMissing(v) ? MISSING_COLOUR : fixed[v] || scale(String(v));
+  }
+  const { interpolator, diverging } = NUMERIC_SCHEMES[scheme] || NUMERIC_SCHEMES.viridis;
+  const [lo, hi] = info.domain.map(Number);
+  const scale = diverging ?
+    d3.scaleDiverging(interpolator).domain([lo, lo < 0 && hi > 0 ? 0 : (lo + hi) / 2, hi]) :
+    d3.scaleSequential(interpolator).domain([lo, hi]);
+  return v => isMissing(v) || isNaN(+v) ? MISSING_COLOUR : scale(+v);
+}
+
+/**
+ * Appends a colour key to `g`: swatches for categories, otherwise a
+ * gradient bar with an axis.
+ * @param {d3.Selection} g
+ * @param {string} title
+ * @param {object} info
+ * @param {function(*): string} colour - from `colourScale`
+ * @param {boolean} [showMissing] - add a grey swatch for missing values
+ * @returns {number} height of the key below its title
+ */
+function drawColourLegend(g, title, info, colour, showMissing) {
+  g.append("text").text(title).attr("font-weight", "bold").attr("dy", -5);
+  const height = info.type === 'categorical' ? info.domain.length * 20 : 40;
+  if (showMissing) {
+    // Its own class keeps the categorical join below from rebinding it to a category
+    const missing = g.append("g").attr("class", "legend-missing").attr("transform", `translate(0, ${height})`);
+    missing.append("rect").attr("width", 15).attr("height", 15).attr("fill", MISSING_COLOUR);
+    missing.append("text").text(MISSING_KEY).attr("x", 20).attr("y", 12.5).style("font-size", "12px");
+  }
+  if (info.type === 'categorical') {
+    const items = g.selectAll(".legend-item")
+      .data(info.domain)
+      .join("g")
+      .attr("class", "legend-item")
+      .attr("transform", (d, i) => `translate(0, ${i * 20})`);
+    items.append("rect").attr("width", 15).attr("height", 15).attr("fill", colour);
+    items.append("text").text(d => d).attr("x", 20).attr("y", 12.5).style("font-size", "12px");
+    return height + (showMissing ? 20 : 0);
+  }
+
+  const width = 150;
+  const x = (info.type === 'date' ? d3.scaleUtc() : d3.scaleLinear()).domain(info.domain).range([0, width]);
+  const svg = g.node().ownerSVGElement;
+  const id = `${svg.id}-gradient-${svg.querySelectorAll("linearGradient").length}`;
+  g.append("defs")
+    .append("linearGradient")
+    .attr("id", id)
+    .selectAll("stop")
+    .data(d3.range(11))
+    .join("stop")
+    .attr("offset", i => `${i * 10}%`)
+    .attr("stop-color", i => colour(x.invert(i * width / 10)));
+  g.append("rect").attr("width", width).attr("height", 12).attr("fill", `url(#${id})`);
+  g.append("g")
+    .attr("transform", "translate(0,12)")
+    .call(d3.axisBottom(x).ticks(4))
+    .style("font-size", "10px");
+  return height + (showMissing ? 20 : 0);
+}
+
+/**
+ * Collects the node annotations of `state.tree` (BEAST/NHX comments,
+ * PhyloXML properties) so they can be offered as tree colouring options.
+ */
+function analyzeTreeAnnotations() {
+  const valuesByKey = {};
+  if (state.tree) {
+    d3.hierarchy(state.tree, d => d.branchset).each(node => {
+      Object.entries(node.data.annotations || {}).forEach(([key, value]) => {
+        if (key === 'comment' || typeof value === 'object' || typeof value === 'boolean') return;
+        (valuesByKey[key] = valuesByKey[key] || []).push(value);
+      });
+    });
+  }
+  state.treeAnnotations = Object.fromEntries(
+    Object.entries(valuesByKey).map(([key, values]) => [key, describeValues(values)])
+  );
+}
+
+/**
+ * Normalises a tip label or row ID with the current matching rules. The
+ * delimiter/field rule applies to tip labels only.
+ * @param {string} value
+ * @param {object} rules - see `state.tipMatching.rules`
+ * @param {boolean} isTip
+ * @returns {string}
+ */
+function normaliseId(value, rules, isTip) {
+  let id = value === null || value === undefined ? '' : String(value);
+  if (isTip && rules.delimiter) {
+    const parts = id.split(rules.delimiter);
+    if (parts.length >= rules.field) id = parts[rules.field - 1];
+  }
+  if (rules.trim) id = id.trim();
+  if (rules.underscores) id = id.replace(/_/g, ' ').replace(/\s+/g, ' ');
+  if (rules.stripVersion) id = id.replace(/\.\d+$/, '');
+  if (rules.ignoreCase) id = id.toUpperCase();
+  return id;
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} the distance, or `max + 1` if it is larger than `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const MAX_SUGGESTION_COMPARISONS = 2e6;
+
+/**
+ * Matches tree tips to metadata rows with the current rules and accepted
+ * manual matches. Fills `state.tipIndex` (tip label → sequence) and
+ * `state.reconciliation` with unmatched tips and rows, duplicate IDs on
+ * either side and candidate fuzzy matches.
+ */
+function reconcileTree() {
+  const { rules, accepted } = state.tipMatching;
+  const tips = state.tree ? d3.hierarchy(state.tree, d => d.branchset).leaves().map(l => l.data.name) : [];
+
+  const rowsByKey = d3.group(state.allSequences, s => normaliseId(s.accession, rules, false));
+  const rowsById = d3.group(state.allSequences, s => s.accession);
+  const tipsByKey = d3.group(tips, t => normaliseId(t, rules, true));
+
+  const tipIndex = new Map();
+  const unmatchedTips = [];
+  tips.forEach(tip => {
+    const rows = accepted[tip] !== undefined ? rowsById.get(accepted[tip]) : rowsByKey.get(normaliseId(tip, rules, true));
+    if (rows) {
+      tipIndex.set(tip, rows[0]);
+    } else {
+      unmatchedTips.push(tip);
+    }
+  });
+
+  const matchedRows = new Set(tipIndex.values());
+  const unmatchedRows = state.allSequences.filter(s => !matchedRows.has(s));
+
+  const suggestions = [];
+  const tooMany = unmatchedTips.length * unmatchedRows.length > MAX_SUGGESTION_COMPARISONS;
+  if (!tooMany) {
+    const rowKeys = unmatchedRows.map(s => ({ seq: s, key: normaliseId(s.accession, rules, false).toUpperCase() }));
+    unmatchedTips.forEach(tip => {
+      const tipKey = normaliseId(tip, rules, true).toUpperCase();
+      if (!tipKey) return;
+      const maxDistance = Math.max(1, Math.floor(tipKey.length * 0.2));
+      const candidates = [];
+      rowKeys.forEach(({ seq, key }) => {
+        if (!key) return;
+        let score;
+        if (key === tipKey) {
+          score = 1;
+        } else if (key.length > 2 && tipKey.length > 2 && (tipKey.includes(key) || key.includes(tipKey))) {
+          score = 0.9;
+        } else {
+          const distance = editDistance(tipKey, key, maxDistance);
+          if (distance > maxDistance) return;
+          score = 1 - distance / Math.max(tipKey.length, key.length);
+        }
+        candidates.push({ accession: seq.accession, score });
+      });
+      if (candidates.length) {
+        candidates.sort((a, b) => b.score - a.score);
+        suggestions.push({ tip, candidates: candidates.slice(0, 3) });
+      }
+    });
+  }
+
+  state.tipIndex = tipIndex;
+  state.reconciliation = {
+    tipCount: tips.length,
+    matchedCount: tipIndex.size,
+    unmatchedTips,
+    unmatchedRows: unmatchedRows.map(s => s.accession),
+    duplicateTips: Array.from(tipsByKey).filter(([, group]) => group.length > 1).map(([key, group]) => ({ key, count: group.length })),
+    duplicateRows: Array.from(rowsByKey).filter(([, group]) => group.length > 1).map(([key, group]) => ({ key, count: group.length })),
+    suggestions,
+    suggestionsSkipped: tooMany
+  };
+}
+
+/**
+ * @param {string} tip - raw tip label
+ * @param {string} accession - raw row ID
+ */
+function acceptTipMatch(tip, accession) {
+  state.tipMatching.accepted[tip] = accession;
+  refreshTipMatching();
+}
+
+/**
+ * Re-runs tip matching and redraws the views that depend on it.
+ */
+function refreshTipMatching() {
+  reconcileTree();
+  drawReconciliation();
+  redrawPanels(["treePanel", "rttPanel"]);
+}
+
+function readMatchRules() {
+  const field = parseInt(document.getElementById("matchField").value, 10);
+  state.tipMatching.rules = {
+    trim: document.getElementById("matchTrim").checked,
+    underscores: document.getElementById("matchUnderscores").checked,
+    ignoreCase: document.getElementById("matchCase").checked,
+    stripVersion: document.getElementById("matchVersion").checked,
+    delimiter: document.getElementById("matchDelimiter").value,
+    field: field > 0 ? field : 1
+  };
+}
+
+const SELECTION_FILTER_KEY = "(selection)";
+const MISSING_FILTER_KEY = "(missing field)";
+
+/**
+ * @param {object} seq
+ * @param {string} key - descriptor name, `SELECTION_FILTER_KEY` or `MISSING_FILTER_KEY`
+ * @param {object} filter - an entry of `state.filters`
+ * @returns {boolean}
+ */
+function matchesFilter(seq, key, filter) {
+  if (filter.type === 'selection') return filter.sequences.has(seq);
+  if (filter.type === 'missing') {
+    return (!filter.pmid || seq.pmid === filter.pmid) && isMissing(seq.descriptors[filter.descriptor]);
+  }
+  const value = seq.descriptors[key];
+  if (filter.type === 'categorical') {
+    return filter.values.includes(isMissing(value) ? MISSING_KEY : String(value));
+  }
+  if (isMissing(value)) return false;
+  if (filter.type === 'date') {
+    const date = seq.dates[key];
+    return Boolean(date) && (!filter.from || formatDate(date) >= filter.from) && (!filter.to || formatDate(date) <= filter.to);
+  }
+  return +value >= filter.min && +value <= filter.max;
+}
+
+/**
+ * @param {object} seq
+ * @param {string} [exceptKey] - descriptor whose filter is ignored, for facet counts
+ * @returns {boolean}
+ */
+function passesFilters(seq, exceptKey) {
+  return Object.entries(state.filters).every(([key, filter]) => key === exceptKey || matchesFilter(seq, key, filter));
+}
+
+/**
+ * @param {object} seq
+ * @returns {boolean}
+ */
+function passesSearch(seq) {
+  return !state.search || matchesSearch(seq, state.search);
+}
+
+const SEARCH_KEYWORDS = ["AND", "OR", "NOT"];
+const SEARCH_OPERATORS = /^(>=|<=|!=|[:=<>])/;
+
+/**
+ * Splits a search query into parentheses, `AND`/`OR`/`NOT`, bare words
+ * and `column op value` terms. Commas and newlines separate like spaces, and
+ * a word whose prefix is not a column name is a bare word.
+ * @param {string} text
+ * @returns {Array<object>} tokens, each with its 1-based `position` in `text`
+ */
+function tokenizeSearch(text) {
+  const tokens = [];
+  let i = 0;
+  const quoted = () => {
+    const start = i++;
+    let out = '';
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\' && i + 1 < text.length) i++;
+      out += text[i++];
+    }
+    if (i >= text.length) throw new Error(`Unclosed quote at character ${start + 1}`);
+    i++;
+    return out;
+  };
+  const readWhile = test => {
+    const start = i;
+    while (i < text.length && test()) i++;
+    return text.slice(start, i);
+  };
+  const separator = () => /[\s,()]/.test(text[i]);
+  const fields = new Set(searchFields().map(key => key.toLowerCase()));
+
+  while (i < text.length) {
+    if (/[\s,]/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const position = i + 1;
+    if (text[i] === '(' || text[i] === ')') {
+      tokens.push({ type: text[i++], position });
+      continue;
+    }
+    const isQuoted = text[i] === '"';
+    const word = isQuoted ? quoted() : readWhile(() => !separator() && text[i] !== '"' && !SEARCH_OPERATORS.test(text.slice(i)));
+    const operator = SEARCH_OPERATORS.exec(text.slice(i));
+    if (operator && word && !isQuoted && !fields.has(word.toLowerCase())) {
+      // Not a column, so an ID such as hCoV-19/USA:CA-123 stays one bare word
+      tokens.push({ type: 'text', value: word + readWhile(() => !separator()), position });
+      continue;
+    }
+    if (!operator || !word) {
+      if (!word && !isQuoted) throw new Error(`Expected a column name before "${text[i]}" at character ${position}`);
+      const keyword = !isQuoted && SEARCH_KEYWORDS.includes(word);
+      tokens.push(keyword ? { type: 'keyword', value: word, position } : { type: 'text', value: word, position });
+      continue;
+    }
+    i += operator[0].length;
+    const valuePosition = i + 1;
+    let value;
+    let regex = null;
+    if (text[i] === '"') {
+      value = quoted();
+    } else if (text[i] === '/') {
+      i++;
+      const source = readWhile(() => text[i] !== '/' || text[i - 1] === '\\');
+      if (i >= text.length) throw new Error(`Unclosed regular expression at character ${valuePosition}`);
+      i++;
+      const flags = readWhile(() => /[a-z]/.test(text[i]));
+      try {
+        // g and y would make test() resume from the last match, skipping rows
+        regex = new RegExp(source, flags.replace(/[gy]/g, ""));
+      } catch (err) {
+        throw new Error(`${err.message} at character ${valuePosition}`);
+      }
+      value = regex.source;
+    } else {
+      value = readWhile(() => !separator());
+      if (!value) throw new Error(`Expected a value after "${word}${operator[0]}" at character ${valuePosition}`);
+    }
+    tokens.push({ type: 'term', field: word, operator: operator[0], value, regex, position });
+  }
+  return tokens;
+}
+
+/**
+ * Columns that can be named in a search: the ID and study columns, every
+ * descriptor, and columns set to the ID type.
+ * @returns {string[]}
+ */
+function searchFields() {
+  const idColumns = state.dataColumns.filter(key => state.descriptorInfo[key].type === 'id');
+  return [state.columns.id, state.columns.study, ...state.descriptors, ...idColumns].filter(Boolean);
+}
+
+/**
+ * @param {object} seq
+ * @param {string} key - a name from `searchFields`
+ * @returns {*}
+ */
+function searchValue(seq, key) {
+  if (key === state.columns.id) return seq.accession;
+  if (key === state.columns.study) return seq.pmid;
+  return seq.descriptors[key];
+}
+
+/**
+ * Start and end (exclusive) of the day, month or year a date value names.
+ * @param {string} text
+ * @returns {{start: number, end: number}}
+ */
+function searchDatePeriod(text) {
+  const parsed = parseDateValue(text);
+  if (!parsed) throw new Error(`"${text}" is not a date`);
+  const interval = { day: d3.utcDay, month: d3.utcMonth, year: d3.utcYear }[parsed.precision];
+  return { start: +parsed.date, end: +interval.offset(parsed.date, 1) };
+}
+
+/**
+ * Turns one `column op value` token into a node for `matchesSearch`.
+ * @param {object} token - from `tokenizeSearch`
+ * @returns {object}
+ */
+function searchTerm(token) {
+  const fields = searchFields();
+  const key = fields.find(k => k.toLowerCase() === token.field.toLowerCase());
+  if (!key) {
+    const name = token.field.toLowerCase();
+    const near = fields.find(k => k.toLowerCase().includes(name)) ||
+      d3.least(fields.filter(k => editDistance(name, k.toLowerCase(), 2) <= 2), k => editDistance(name, k.toLowerCase(), 2));
+    const hint = near ? `; did you mean ${near}?` : "";
+    throw new Error(`Unknown column "${token.field}" at character ${token.position}${hint}`);
+  }
+  const { operator, value } = token;
+  const negate = node => operator === '!=' ? { type: 'not', item: node } : node;
+  if (token.regex) return negate({ type: 'regex', key, regex: token.regex });
+  if (value.toLowerCase() === 'is:missing') {
+    if (!/^(:|=|!=)$/.test(operator)) throw new Error(`Use ${key}:is:missing or ${key}!=is:missing`);
+    return negate({ type: 'missing', key });
+  }
+
+  const info = state.descriptorInfo[key];
+  const type = info && info.type !== 'id' ? info.type : 'categorical';
+  if (type === 'categorical') {
+    if (!/^(:|=|!=)$/.test(operator)) throw new Error(`${key} is categorical; "${operator}" needs a numeric or date column`);
+    return negate({ type: 'equals', key, text: value.toLowerCase() });
+  }
+
+  const bounds = text => {
+    if (type === 'date') return searchDatePeriod(text);
+    if (text === '' || isNaN(+text)) throw new Error(`${key} is numeric; "${text}" is not a number`);
+    return { start: +text, end: +text };
+  };
+  // Dates stand for their whole day, month or year, so ranges end before the next one starts
+  const endStrict = type === 'date';
+  const range = { type: 'range', key, date: type === 'date', min: -Infinity, minStrict: false, max: Infinity, maxStrict: false };
+  if (/^(:|=|!=)$/.test(operator)) {
+    const [from, to] = value.includes("..") ? value.split("..") : [value, value];
+    if (from) range.min = bounds(from).start;
+    if (to) Object.assign(range, { max: bounds(to).end, maxStrict: endStrict });
+    return negate(range);
+  }
+  const { start, end } = bounds(value);
+  if (operator === '>') return Object.assign(range, endStrict ? { min: end } : { min: start, minStrict: true });
+  if (operator === '>=') return Object.assign(range, { min: start });
+  if (operator === '<') return Object.assign(range, { max: start, maxStrict: true });
+  return Object.assign(range, { max: end, maxStrict: endStrict });
+}
+
+/**
+ * Parses the search box. Terms next to each other must all match, except
+ * that a run of bare words (a pasted list of IDs) matches any of them.
+ * `OR` binds looser than `AND`, and `NOT` tighter.
+ * @param {string} text
+ * @returns {object|null} the query tree, or null for an empty query
+ */
+function parseSearch(text) {
+  const tokens = tokenizeSearch(text);
+  if (!tokens.length) return null;
+  let pos = 0;
+  const isKeyword = value => tokens[pos] && tokens[pos].type === 'keyword' && tokens[pos].value === value;
+  const describe = token => token ? `"${token.value || token.type}" at character ${token.position}` : "the end of the search";
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (isKeyword('OR')) {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+  const parseAnd = () => {
+    const items = [];
+    let joined = true;
+    while (tokens[pos] && tokens[pos].type !== ')' && !isKeyword('OR')) {
+      if (isKeyword('AND')) {
+        if (joined) throw new Error(`Expected a search term before ${describe(tokens[pos])}`);
+        pos++;
+        joined = true;
+        continue;
+      }
+      const node = parseNot();
+      const last = items[items.length - 1];
+      if (!joined && node.type === 'text' && last && (last.type === 'text' || last.ids)) {
+        if (last.ids) {
+          last.items.push(node);
+        } else {
+          items[items.length - 1] = { type: 'or', ids: true, items: [last, node] };
+        }
+      } else {
+        items.push(node);
+      }
+      joined = false;
+    }
+    if (joined) throw new Error(`Expected a search term at ${describe(tokens[pos])}`);
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+  const parseNot = () => {
+    if (isKeyword('NOT')) {
+      pos++;
+      return { type: 'not', item: parseNot() };
+    }
+    const token = tokens[pos++];
+    if (token && token.type === '(') {
+      const node = parseOr();
+      if (!tokens[pos] || tokens[pos].type !== ')') throw new Error(`Missing ")" for the "(" at character ${token.position}`);
+      pos++;
+      return node;
+    }
+    if (token && token.type === 'term') return searchTerm(token);
+    if (token && token.type === 'text') return { type: 'text', text: token.value.toUpperCase() };
+    throw new Error(`Expected a search term at ${describe(token)}`);
+  };
+
+  const query = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${describe(tokens[pos])}`);
+  return query;
+}
+
+/**
+ * @param {object} seq
+ * @param {object} node - from `parseSearch`
+ * @returns {boolean}
+ */
+function matchesSearch(seq, node) {
+  if (node.type === 'and') return node.items.every(item => matchesSearch(seq, item));
+  if (node.type === 'not') return !matchesSearch(seq, node.item);
+  if (node.type === 'or' || node.type === 'text') {
+    // Bare words match anywhere in the ID or study, as the search always has
+    const id = String(seq.accession).toUpperCase();
+    const study = seq.pmid ? String(seq.pmid).toUpperCase() : "";
+    const matchesText = item => id.includes(item.text) || study.includes(item.text);
+    if (node.type === 'text') return matchesText(node);
+    return node.items.some(item => item.type === 'text' ? matchesText(item) : matchesSearch(seq, item));
+  }
+  const value = searchValue(seq, node.key);
+  if (node.type === 'missing') return isMissing(value);
+  if (isMissing(value)) return false;
+  if (node.type === 'regex') return node.regex.test(String(value));
+  if (node.type === 'equals') return String(value).trim().toLowerCase() === node.text;
+  const x = node.date ? (seq.dates[node.key] ? +seq.dates[node.key] : NaN) : +value;
+  if (isNaN(x)) return false;
+  return (node.minStrict ? x > node.min : x >= node.min) && (node.maxStrict ? x < node.max : x <= node.max);
+}
+
+/**
+ * Parses the search box into `state.search`. A query that cannot be read
+ * is explained below the box, and the last valid search is kept meanwhile.
+ * @returns {boolean} whether the query was read
+ */
+function readSearchBox() {
+  const searchBox = document.getElementById("searchBox");
+  const error = document.getElementById("searchError");
+  try {
+    state.search = parseSearch(searchBox.value);
+  } catch (err) {
+    error.textContent = err.message;
+    error.hidden = false;
+    searchBox.classList.add("invalid");
+    return false;
+  }
+  error.hidden = true;
+  searchBox.classList.remove("invalid");
+  return true;
+}
+
+/**
+ * Offers column names for the word being typed at the end of the search
+ * box, through its datalist.
+ * @param {HTMLInputElement} input
+ */
+function updateSearchSuggestions(input) {
+  const list = document.getElementById("searchColumns");
+  list.innerHTML = '';
+  const match = /(^|[\s,(])([^\s,()":=<>!]+)$/.exec(input.value);
+  if (!match || SEARCH_KEYWORDS.includes(match[2])) return;
+  const partial = match[2].toLowerCase();
+  const before = input.value.slice(0, input.value.length - match[2].length);
+  searchFields()
+    .filter(key => key.toLowerCase().startsWith(partial) && key.toLowerCase() !== partial)
+    .slice(0, 20)
+    .forEach(key => list.append(new Option(key, `${before}${/[\s,()":=<>!]/.test(key) ? JSON.stringify(key) : key}:`)));
+}
+
+/**
+ * Recomputes `state.sequences` from the search box and `state.filters`
+ * and redraws every view.
+ */
+function applyFilters() {
+  state.sequences = state.allSequences.filter(s => passesSearch(s) && passesFilters(s));
+  state.visible = new Set(state.sequences);
+  updateFilterSidebar();
+  drawFilterChips();
+  redrawPanels();
+}
+
+const PANEL_DRAWERS = {
+  treePanel: drawTree,
+  chartPanel: drawChart,
+  epiPanel: drawEpiCurve,
+  rttPanel: drawRootToTip,
+  heatmapPanel: drawHeat,
+  mapPanel: drawMap
+};
+
+/**
+ * Redraws panels that are on screen now and marks the rest dirty, so
+ * they are redrawn when scrolled into view.
+ * @param {string[]} [ids] - panel element IDs, default all
+ */
+function redrawPanels(ids = Object.keys(PANEL_DRAWERS)) {
+  ids.forEach(id => {
+    if (state.visiblePanels.has(id)) {
+      state.dirtyPanels.delete(id);
+      PANEL_DRAWERS[id]();
+    } else {
+      state.dirtyPanels.add(id);
+    }
+  });
+}
+
+/**
+ * @param {string} key - descriptor name
+ * @param {object|null} filter - null removes the descriptor's filter
+ */
+function setFilter(key, filter) {
+  if (filter) {
+    state.filters[key] = filter;
+  } else {
+    delete state.filters[key];
+  }
+  applyFilters();
+}
+
+/**
+ * @param {string} key
+ * @param {object} filter
+ * @returns {string}
+ */
+function describeFilter(key, filter) {
+  if (filter.type === 'selection') return `Selection: ${filter.sequences.size} sequences`;
+  if (filter.type === 'missing') return `Missing ${filter.descriptor}${filter.pmid ? ` in ${filter.pmid}` : ""}`;
+  if (filter.type === 'categorical') {
+    const shown = filter.values.slice(0, 3).join(", ");
+    return `${key}: ${shown}${filter.values.length > 3 ? ` +${filter.values.length - 3}` : ""}`;
+  }
+  if (filter.type === 'date') return `${key}: ${filter.from || "…"} to ${filter.to || "…"}`;
+  return `${key}: ${filter.min}–${filter.max}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} `value` as an RFC 4180 field, quoted when it holds a comma, quote or line break
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<object>} sequences
+ * @returns {string} CSV with the ID column, the study column and every other column, hidden and derived ones included
+ */
+function sequencesToCSV(sequences) {
+  const columns = unique([...state.dataColumns, ...state.descriptors]);
+  const rows = [
+    [state.columns.id, ...(state.columns.study ? [state.columns.study] : []), ...columns]
+  ];
+  sequences.forEach(s => {
+    const descriptorValues = columns.map(k => s.descriptors[k]);
+    rows.push([s.accession, ...(state.columns.study ? [s.pmid] : []), ...descriptorValues]);
+  });
+  return rows.map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function exportCSV() {
+  const selectionOnly = document.getElementById("exportSelectionOnly").checked && state.selection.size > 0;
+  const sequences = selectionOnly ? state.sequences.filter(s => state.selection.has(s)) : state.sequences;
+  downloadBlob(new Blob([sequencesToCSV(sequences)], { type: "text/csv" }),
+    selectionOnly ? "selected_sequences.csv" : "filtered_sequences.csv");
+}
+
+/**
+ * Copies the tree as displayed — the zoomed subtree, with collapsed clades
+ * as single tips — for export. When `prune` is set, only tips whose rows
+ * pass the search and filters are kept; emptied clades are dropped and
+ * nodes left with one child are merged into it.
+ * @param {boolean} prune
+ * @returns {object|null} the copy, whose tips carry the `seqs` they stand for; null when no tip is left
+ */
+function exportedTree(prune) {
+  const passes = seq => !prune || state.visible.has(seq);
+  const copy = node => {
+    if (!node.branchset || node.collapsed) {
+      const tips = dataLeaves(node);
+      const seqs = tips.map(t => state.tipIndex.get(t.name)).filter(seq => seq && passes(seq));
+      if (prune && !seqs.length) return null;
+      if (!node.branchset) return { name: node.name, length: node.length, annotations: node.annotations, seqs };
+      const name = node.name && node.support === undefined ? node.name : `${tips[0].name}_clade`;
+      return { name, length: node.length, annotations: node.annotations, tipCount: tips.length, seqs };
+    }
+    const children = node.branchset.map(copy).filter(Boolean);
+    if (!children.length) return null;
+    if (children.length === 1) {
+      const [child] = children;
+      const length = child.length === undefined && node.length === undefined ? undefined : (child.length || 0) + (node.length || 0);
+      return { ...child, length };
+    }
+    return { name: node.name, length: node.length, support: node.support, annotations: node.annotations, branchset: children };
+  };
+  const tree = copy(state.treeZoom || state.tree);
+  return tree && { ...tree, length: undefined };
+}
+
+/**
+ * @param {string} name
+ * @returns {string} `name`, quoted when it holds characters Newick reserves
+ */
+function newickLabel(name) {
+  return /^[^\s()[\],:;'"]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {object} tree - from `exportedTree`
+ * @param {function(object): string} [comment] - bracketed comment written after each node's label
+ * @returns {string}
+ */
+function writeNewick(tree, comment = () => "") {
+  const write = node => {
+    const children = node.branchset ? `(${node.branchset.map(write).join(",")})` : "";
+    const label = node.name !== undefined && node.name !== '' ? newickLabel(String(node.name)) : "";
+    const length = node.length === undefined || node.length === null ? "" : `:${node.length}`;
+    return `${children}${label}${comment(node)}${length}`;
+  };
+  return `${write(tree)};`;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} `value` as written in a BEAST-style `[&key=value]` comment
+ */
+function nexusAnnotationValue(value) {
+  if (Array.isArray(value)) return `{${value.map(nexusAnnotationValue).join(",")}}`;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+/**
+ * Writes a NEXUS file whose tips carry their metadata as `[&key=value]`
+ * comments, the form FigTree reads. Existing node annotations and support
+ * values are kept; collapsed clades are annotated with their tip count.
+ * @param {object} tree - from `exportedTree`
+ * @returns {string}
+ */
+function writeNexus(tree) {
+  const annotate = node => {
+    const values = { ...node.annotations };
+    delete values.comment;
+    if (node.support !== undefined && values.support === undefined) values.support = node.support;
+    if (node.tipCount) {
+      values.collapsed_tips = node.tipCount;
+    } else if (node.seqs && node.seqs.length) {
+      const seq = node.seqs[0];
+      if (state.columns.study) values[state.columns.study] = seq.pmid;
+      state.descriptors.forEach(key => {
+        const value = seq.descriptors[key];
+        if (isMissing(value)) return;
+        values[key] = state.descriptorInfo[key].type === 'numerical' && isFinite(value) ? +value : value;
+      });
+    }
+    const entries = Object.entries(values).filter(([, value]) => value !== undefined && value !== '');
+    if (!entries.length) return "";
+    return `[&${entries.map(([key, value]) => `${key.replace(/[^A-Za-z0-9_]+/g, "_")}=${nexusAnnotationValue(value)}`).join(",")}]`;
+  };
+  const tips = dataLeaves(tree);
+  return [
+    "#NEXUS",
+    "BEGIN TAXA;",
+    `\tDIMENSIONS NTAX=${tips.length};`,
+    "\tTAXLABELS",
+    ...tips.map(tip => `\t\t${newickLabel(String(tip.name))}`),
+    "\t;",
+    "END;",
+    "BEGIN TREES;",
+    `\tTREE tree_1 = [&R] ${writeNewick(tree, annotate)}`,
+    "END;",
+    ""
+  ].join("\n");
+}
+
+/**
+ * Writes an iTOL dataset for the tree's colour-by column: a colour strip
+ * with a legend for categories, a gradient for numbers and dates (as
+ * decimal years). Colours follow the tree panel's palette and scheme.
+ * @param {object} tree - from `exportedTree`
+ * @returns {string}
+ */
+function writeItolDataset(tree) {
+  const colorDesc = document.getElementById("treeColour").value;
+  const annotationKey = colorDesc.startsWith("annotation:") ? colorDesc.slice("annotation:".length) : null;
+  const label = annotationKey || colorDesc;
+  const info = annotationKey ? state.treeAnnotations[annotationKey] : state.descriptorInfo[colorDesc];
+  if (!info) throw new Error("Choose a Colour by column in the tree panel for the iTOL dataset");
+  const scheme = document.getElementById("treeColourScheme").value;
+  const colour = colourScale(info, scheme);
+  const hex = value => d3.color(colour(value)).formatHex();
+  const tipValue = tip => {
+    if (annotationKey) return tip.annotations ? tip.annotations[annotationKey] : undefined;
+    return tip.seqs.length ? axisValue(tip.seqs[0], colorDesc) : undefined;
+  };
+  const tips = dataLeaves(tree).filter(tip => !tip.tipCount && !isMissing(tipValue(tip)));
+  const field = text => String(text).replace(/[\t\n]/g, " ");
+
+  if (info.type === 'categorical') {
+    return [
+      "DATASET_COLORSTRIP",
+      "SEPARATOR TAB",
+      `DATASET_LABEL\t${field(label)}`,
+      "COLOR\t#000000",
+      `LEGEND_TITLE\t${field(label)}`,
+      `LEGEND_SHAPES\t${info.domain.map(() => 1).join("\t")}`,
+      `LEGEND_COLORS\t${info.domain.map(hex).join("\t")}`,
+      `LEGEND_LABELS\t${info.domain.map(field).join("\t")}`,
+      "DATA",
+      ...tips.map(tip => `${field(tip.name)}\t${hex(tipValue(tip))}\t${field(tipValue(tip))}`),
+      ""
+    ].join("\n");
+  }
+  const { diverging } = NUMERIC_SCHEMES[scheme] || NUMERIC_SCHEMES.viridis;
+  const [lo, hi] = info.domain.map(Number);
+  const number = value => info.type === 'date' ? +decimalYear(value).toFixed(4) : +value;
+  return [
+    "DATASET_GRADIENT",
+    "SEPARATOR TAB",
+    `DATASET_LABEL\t${field(label)}`,
+    "COLOR\t#000000",
+    `COLOR_MIN\t${hex(lo)}`,
+    `COLOR_MAX\t${hex(hi)}`,
+    ...(diverging ? ["USE_MID_COLOR\t1", `COLOR_MID\t${hex(lo < 0 && hi > 0 ? 0 : (lo + hi) / 2)}`] : []),
+    "DATA",
+    ...tips.map(tip => `${field(tip.name)}\t${number(tipValue(tip))}`),
+    ""
+  ].join("\n");
+}
+
+/**
+ * Downloads the displayed tree in the chosen formats, optionally pruned to
+ * the tips that pass the search and filters, with the matching CSV rows in
+ * tip order.
+ * @param {{formats: string[], prune: boolean}} options
+ */
+function exportTreeFiles({ formats, prune }) {
+  const tree = exportedTree(prune);
+  if (!tree) throw new Error("No tips pass the current search and filters");
+  const base = prune && (state.search || Object.keys(state.filters).length) ? "tree_pruned" : "tree";
+  const files = {
+    newick: () => [writeNewick(tree), `${base}.nwk`, "text/plain"],
+    nexus: () => [writeNexus(tree), `${base}.nex`, "text/plain"],
+    itol: () => [writeItolDataset(tree), `${base}_itol.txt`, "text/plain"],
+    csv: () => [sequencesToCSV(unique(dataLeaves(tree).flatMap(tip => tip.seqs))), `${base}_rows.csv`, "text/csv"]
+  };
+  const outputs = formats.map(format => files[format]());
+  outputs.forEach(([text, fileName, type]) => downloadBlob(new Blob([text], { type }), fileName));
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Panels that can be exported as figures, with their svg and file name
+const FIGURE_PANELS = {
+  treePanel: { svg: "treeSvg", file: "tree" },
+  chartPanel: { svg: "chartSvg", file: "chart" },
+  epiPanel: { svg: "epiSvg", file: "epidemic_curve" },
+  rttPanel: { svg: "rttSvg", file: "root_to_tip" },
+  heatmapPanel: { svg: "heatSvg", file: "completeness_heatmap" },
+  mapPanel: { svg: "mapSvg", file: "map" }
+};
+
+// Computed styles copied onto exported elements, since the stylesheet does not travel with the file
+const FIGURE_STYLE_PROPERTIES = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "stroke-linecap",
+  "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline",
+  "opacity", "display", "visibility", "vector-effect"
+];
+// Values of the properties above that are not inherited, when they are at their default
+const FIGURE_STYLE_DEFAULTS = { opacity: "1", display: "inline", visibility: "visible", "vector-effect": "none" };
+const CSS_DPI = 96;
+
+/**
+ * Copies the computed style of every element in `source` onto its twin in
+ * `clone`, leaving out values an element inherits or has by default.
+ * @param {SVGSVGElement} source
+ * @param {SVGSVGElement} clone
+ */
+function inlineFigureStyles(source, clone) {
+  const sources = [source, ...source.querySelectorAll("*")];
+  const clones = [clone, ...clone.querySelectorAll("*")];
+  const computed = new Map();
+  sources.forEach((el, i) => {
+    const style = getComputedStyle(el);
+    const parent = computed.get(el.parentNode);
+    const values = Object.fromEntries(FIGURE_STYLE_PROPERTIES.map(p => [p, style.getPropertyValue(p)]));
+    computed.set(el, values);
+    const declarations = FIGURE_STYLE_PROPERTIES.filter(p => {
+      const value = values[p];
+      if (!value) return false;
+      if (p in FIGURE_STYLE_DEFAULTS) return value !== FIGURE_STYLE_DEFAULTS[p];
+      return !parent || value !== parent[p];
+    });
+    clones[i].setAttribute("style", declarations.map(p => `${p}:${values[p]}`).join(";"));
+  });
+}
+
+/**
+ * Redraws a panel at the given size with every mark as SVG, copies it with
+ * its styles inlined, then puts the panel back as it was.
+ * @param {string} panelId - key of `FIGURE_PANELS`
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} includeLegend
+ * @returns {SVGSVGElement} a detached, self-contained svg
+ */
+function renderPanelFigure(panelId, width, height, includeLegend) {
+  const source = document.getElementById(FIGURE_PANELS[panelId].svg);
+  const previous = { width: source.style.width, height: source.style.height, flex: source.style.flex };
+  Object.assign(source.style, { width: `${width}px`, height: `${height}px`, flex: "none" });
+  state.exportingFigure = true;
+  try {
+    PANEL_DRAWERS[panelId]();
+    const clone = source.cloneNode(true);
+    inlineFigureStyles(source, clone);
+    if (!includeLegend) clone.querySelectorAll(".legend").forEach(el => el.remove());
+
+    // Grow the view box over legends that fall outside the drawing area
+    const frame = source.getBoundingClientRect();
+    const box = [0, 0, width, height];
+    if (includeLegend) {
+      source.querySelectorAll(".legend").forEach(el => {
+        const r = el.getBoundingClientRect();
+        if (!r.width) return;
+        box[0] = Math.min(box[0], r.left - frame.left);
+        box[1] = Math.min(box[1], r.top - frame.top);
+        box[2] = Math.max(box[2], r.right - frame.left);
+        box[3] = Math.max(box[3], r.bottom - frame.top);
+      });
+    }
+    const [x0, y0, x1, y1] = box;
+    clone.removeAttribute("id");
+    clone.setAttribute("xmlns", SVG_NS);
+    clone.setAttribute("viewBox", `${x0} ${y0} ${x1 - x0} ${y1 - y0}`);
+    clone.setAttribute("width", x1 - x0);
+    clone.setAttribute("height", y1 - y0);
+    return clone;
+  } finally {
+    state.exportingFigure = false;
+    Object.assign(source.style, previous);
+    PANEL_DRAWERS[panelId]();
+  }
+}
+
+/**
+ * Lays panel figures out in a grid on a white page, with a title above and
+ * A, B, C… labels when there is more than one.
+ * @param {SVGSVGElement[]} panels - from `renderPanelFigure`
+ * @param {number} columns
+ * @param {string} title
+ * @returns {SVGSVGElement}
+ */
+function composeFigure(panels, columns, title) {
+  const TITLE_HEIGHT = 40;
+  const cols = Math.min(columns, panels.length);
+  const cellWidth = d3.max(panels, p => +p.getAttribute("width"));
+  const cellHeight = d3.max(panels, p => +p.getAttribute("height"));
+  const top = title ? TITLE_HEIGHT : 0;
+  const width = cols * cellWidth;
+  const height = top + Math.ceil(panels.length / cols) * cellHeight;
+
+  const figure = d3.create("svg")
+    .attr("xmlns", SVG_NS)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .style("font-family", getComputedStyle(document.body).fontFamily);
+  figure.append("rect").attr("width", width).attr("height", height).attr("fill", "#fff");
+  if (title) {
+    figure.append("text")
+      .attr("x", width / 2)
+      .attr("y", TITLE_HEIGHT / 2)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "middle")
+      .attr("font-size", 20)
+      .attr("font-weight", "bold")
+      .text(title);
+  }
+  panels.forEach((panel, i) => {
+    const x = (i % cols) * cellWidth;
+    const y = top + Math.floor(i / cols) * cellHeight;
+    panel.setAttribute("x", x);
+    panel.setAttribute("y", y);
+    figure.node().appendChild(panel);
+    if (panels.length > 1) {
+      figure.append("text")
+        .attr("x", x + 8)
+        .attr("y", y + 24)
+        .attr("font-size", 22)
+        .attr("font-weight", "bold")
+        .text(String.fromCharCode(65 + i));
+    }
+  });
+  return figure.node();
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Error} for a canvas the browser refused to allocate or encode
+ */
+const canvasTooLarge = canvas => new Error(`The figure is ${canvas.width} × ${canvas.height} pixels, ` +
+  "more than this browser can draw; lower the resolution or the size");
+
+/**
+ * @param {string} svgText
+ * @param {number} width - CSS pixels
+ * @param {number} height
+ * @param {number} scale - device pixels per CSS pixel
+ * @returns {Promise<HTMLCanvasElement>} the figure painted on white
+ */
+function rasterizeFigure(svgText, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      if (!ctx) {
+        URL.revokeObjectURL(url);
+        reject(canvasTooLarge(canvas));
+        return;
+      }
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The figure could not be drawn as an image"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Adds a pHYs chunk after the header of a PNG so it prints at `dpi`.
+ * @param {ArrayBuffer} png
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+function setPngDpi(png, dpi) {
+  const source = new Uint8Array(png);
+  const IHDR_END = 8 + 25;
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  const perMetre = Math.round(dpi / 0.0254);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  view.setUint32(8, perMetre);
+  view.setUint32(12, perMetre);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const out = new Uint8Array(source.length + chunk.length);
+  out.set(source.subarray(0, IHDR_END));
+  out.set(chunk, IHDR_END);
+  out.set(source.subarray(IHDR_END), IHDR_END + chunk.length);
+  return out;
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Copies the page's `@font-face` rules for the families a figure uses into
+ * a `<style>` at its top, with each font file inlined as a data URL. System
+ * fonts, such as the dashboard's default stack, have no file to embed and
+ * stay as names.
+ * @param {SVGSVGElement} figure
+ * @returns {Promise<void>} rejects when a font file cannot be fetched
+ */
+function embedFigureFonts(figure) {
+  const familyName = name => name.trim().replace(/^["']|["']$/g, "").toLowerCase();
+  const used = new Set();
+  [figure, ...figure.querySelectorAll("*")].forEach(el => {
+    const family = el.style.fontFamily || el.getAttribute("font-family");
+    if (family) family.split(",").forEach(name => used.add(familyName(name)));
+  });
+  const rules = Array.from(document.styleSheets).flatMap(sheet => {
+    try {
+      return Array.from(sheet.cssRules);
+    } catch (err) {
+      return []; // stylesheets from another origin cannot be read
+    }
+  }).filter(rule => rule.type === CSSRule.FONT_FACE_RULE && used.has(familyName(rule.style.getPropertyValue("font-family"))));
+  if (!rules.length) return Promise.resolve();
+
+  const inline = rule => {
+    const urls = unique([...rule.cssText.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)].map(m => m[1]))
+      .filter(url => !url.startsWith("data:"));
+    const base = rule.parentStyleSheet.href || location.href;
+    return Promise.all(urls.map(url => fetch(new URL(url, base))
+      .then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.blob();
+      })
+      .then(readBlobAsDataUrl)
+      .catch(err => {
+        throw new Error(`could not embed the font ${url} (${err.message}), so the file would show a substitute font`);
+      })))
+      .then(dataUrls => urls.reduce((css, url, i) => css.split(url).join(dataUrls[i]), rule.cssText));
+  };
+  return Promise.all(rules.map(inline)).then(css => {
+    const style = document.createElementNS(SVG_NS, "style");
+    style.textContent = css.join("\n");
+    figure.insertBefore(style, figure.firstChild);
+  });
+}
+
+/**
+ * Exports one panel, or several in a labelled grid, as SVG or PNG.
+ * SVG keeps every mark as a vector; PNG is an image at `dpi`.
+ * @param {{panels: string[], format: string, width: number, height: number, dpi: number,
+ *   legend: boolean, title: string, columns: number}} options
+ * @returns {Promise<void>}
+ */
+function exportFigure(options) {
+  const { panels, format, width, height, dpi, legend, title, columns } = options;
+  const name = panels.length > 1 ? "figure" : FIGURE_PANELS[panels[0]].file;
+  let figure;
+  // Drawing starts inside the chain so its errors reach the caller's catch
+  return Promise.resolve()
+    .then(() => {
+      figure = composeFigure(panels.map(id => renderPanelFigure(id, width, height, legend)), columns, title);
+      return embedFigureFonts(figure);
+    })
+    .then(() => {
+      const svgText = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(figure)}`;
+      if (format === 'svg') return new Blob([svgText], { type: "image/svg+xml" });
+      const figureWidth = +figure.getAttribute("width");
+      const figureHeight = +figure.getAttribute("height");
+      return rasterizeFigure(svgText, figureWidth, figureHeight, dpi / CSS_DPI)
+        .then(canvas => new Promise(resolve => canvas.toBlob(resolve, "image/png"))
+          .then(blob => {
+            if (!blob) throw canvasTooLarge(canvas);
+            return blob.arrayBuffer();
+          }))
+        .then(png => new Blob([setPngDpi(png, dpi)], { type: "image/png" }));
+    })
+    .then(blob => downloadBlob(blob, `${name}.${format}`));
+}
+
+/**
+ * Opens the figure dialog with `panelIds` ticked, sized like the first of them.
+ * @param {string[]} panelIds
+ */
+function openFigureDialog(panelIds) {
+  document.querySelectorAll("#figurePanels input").forEach(input => {
+    input.checked = panelIds.includes(input.value);
+  });
+  const { width, height } = document.getElementById(FIGURE_PANELS[panelIds[0]].svg).getBoundingClientRect();
+  document.getElementById("figureWidth").value = Math.round(width);
+  document.getElementById("figureHeight").value = Math.round(height);
+  updateFigureDialog();
+  document.getElementById("figureDialog").hidden = false;
+}
+
+function updateFigureDialog() {
+  document.getElementById("figureDpiControl").hidden = document.getElementById("figureFormat").value === 'svg';
+  document.getElementById("figureColumnsControl").hidden = document.querySelectorAll("#figurePanels input:checked").length < 2;
+}
+
+/**
+ * @returns {object} options for `exportFigure`
+ */
+function readFigureOptions() {
+  const number = id => +document.getElementById(id).value;
+  const options = {
+    panels: Array.from(document.querySelectorAll("#figurePanels input:checked"), input => input.value),
+    format: document.getElementById("figureFormat").value,
+    width: number("figureWidth"),
+    height: number("figureHeight"),
+    dpi: number("figureDpi"),
+    legend: document.getElementById("figureLegend").checked,
+    title: document.getElementById("figureTitle").value.trim(),
+    columns: Math.max(1, Math.round(number("figureColumns")) || 1)
+  };
+  if (!options.panels.length) throw new Error("Choose at least one panel");
+  if (!(options.width >= 200 && options.height >= 200)) throw new Error("Width and height must be at least 200 px");
+  if (options.format !== 'svg' && !(options.dpi >= 72 && options.dpi <= 1200)) throw new Error("Resolution must be between 72 and 1200 DPI");
+  return options;
+}
+
+function createObserver() {
+  const panels = document.querySelectorAll(".panel");
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      const id = entry.target.id;
+      if (entry.isIntersecting) {
+        state.visiblePanels.add(id);
+      } else {
+        state.visiblePanels.delete(id);
+      }
+      if (entry.isIntersecting && state.dirtyPanels.has(id)) redrawPanels([id]);
+      if (entry.intersectionRatio >= 0.5) {
+        panels.forEach(p => p.classList.remove("active"));
+        entry.target.classList.add("active");
+        state.activePanel = id;
+      }
+    });
+  }, {
+    threshold: [0, 0.5]
+  });
+  panels.forEach(panel => observer.observe(panel));
+}
+
+const CANVAS_THRESHOLD = 4000;
+
+/**
+ * Sizes the canvas layered over a panel's svg.
+ * @param {string} id - canvas element ID
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} enabled - false hides the canvas
+ * @returns {CanvasRenderingContext2D|null} context scaled to CSS pixels
+ */
+function prepareCanvas(id, width, height, enabled) {
+  const canvas = document.getElementById(id);
+  // Figures are exported as vectors, however many marks there are
+  if (state.exportingFigure) enabled = false;
+  canvas.hidden = !enabled;
+  canvas.redraw = null;
+  if (!enabled) return null;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+}
+
+/**
+ * Repaints visible canvas layers, e.g. after the selection changes.
+ */
+function redrawCanvases() {
+  ["treeCanvas", "chartCanvas", "heatCanvas"].forEach(id => {
+    const canvas = document.getElementById(id);
+    if (canvas && !canvas.hidden && canvas.redraw) canvas.redraw();
+  });
+}
+
+/**
+ * Stands in for `<title>` tooltips on canvas-drawn marks.
+ * @param {MouseEvent} event
+ * @param {string|null} text - null hides the tooltip
+ */
+function showTooltip(event, text) {
+  const tooltip = document.getElementById("canvasTooltip");
+  tooltip.hidden = !text;
+  if (!text) return;
+  tooltip.textContent = text;
+  tooltip.style.left = `${event.pageX + 12}px`;
+  tooltip.style.top = `${event.pageY + 12}px`;
+}
+
+function populateTreeColour() {
+  const treeColourSelect = document.getElementById("treeColour");
+  if (!treeColourSelect) return;
+  const previous = treeColourSelect.value;
+  treeColourSelect.innerHTML = '<option value="--none--">None</option>';
+  state.descriptors.forEach(d => treeColourSelect.add(new Option(d, d)));
+
+  const annotationKeys = Object.keys(state.treeAnnotations);
+  if (annotationKeys.length) {
+    const group = document.createElement("optgroup");
+    group.label = "Tree annotations";
+    annotationKeys.forEach(key => group.appendChild(new Option(key, `annotation:${key}`)));
+    treeColourSelect.appendChild(group);
+  }
+  if (Array.from(treeColourSelect.options).some(o => o.value === previous)) {
+    treeColourSelect.value = previous;
+  }
+}
+
+function populateTreeStrips() {
+  const container = document.getElementById("treeStrips");
+  const checked = new Set(Array.from(container.querySelectorAll("input:checked"), input => input.value));
+  container.innerHTML = '';
+  state.descriptors.forEach(d => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = d;
+    input.checked = checked.has(d);
+    label.append(input, ` ${d}`);
+    container.appendChild(label);
+  });
+}
+
+function populateTreeSelect() {
+  const treeSelect = document.getElementById("treeSelect");
+  treeSelect.innerHTML = '';
+  state.trees.forEach(({ name }, i) => treeSelect.add(new Option(`${i + 1}: ${name}`, i)));
+  document.getElementById("treeSelectControl").hidden = state.trees.length < 2;
+}
+
+function populateControls() {
+  populateTreeColour();
+  populateTreeStrips();
+  populateTreeSelect();
+
+  const chartSelects = ["chartX", "chartY", "chartColour", "chartShape"];
+  chartSelects.forEach(id => {
+    const selectElement = document.getElementById(id);
+    const previous = selectElement.value;
+    selectElement.innerHTML = '';
+    state.descriptors.forEach(d => selectElement.add(new Option(d, d)));
+    // Left empty on first load so applyChartDefaults picks a column that suits the mode
+    selectElement.value = state.descriptors.includes(previous) ? previous : '';
+  });
+  const chartMode = document.querySelector("input[name='chartMode']:checked").value;
+  applyChartDefaults(chartMode);
+  // Selects still empty get the first column of a type the role takes, in this mode or, for roles it leaves unused, in any
+  chartSelects.forEach(id => {
+    const selectElement = document.getElementById(id);
+    if (selectElement.value) return;
+    const types = CHART_MODES[chartMode].roles[id] || unique(Object.values(CHART_MODES).flatMap(({ roles }) => roles[id] || []));
+    const fitting = state.descriptors.find(d => types.includes(state.descriptorInfo[d].type));
+    if (fitting) selectElement.value = fitting;
+  });
+
+  ["treeColourScheme", "chartColourScheme"].forEach(id => {
+    const selectElement = document.getElementById(id);
+    if (selectElement.options.length) return;
+    Object.entries(NUMERIC_SCHEMES).forEach(([key, { label }]) => selectElement.add(new Option(label, key)));
+  });
+
+  const epiDateSelect = document.getElementById("epiDate");
+  const rttDateSelect = document.getElementById("rttDate");
+  const epiStackSelect = document.getElementById("epiStack");
+  const previous = [epiDateSelect, rttDateSelect, epiStackSelect].map(el => el.value);
+  epiDateSelect.innerHTML = '';
+  state.descriptors
+    .filter(d => state.descriptorInfo[d].type === 'date')
+    .forEach(d => epiDateSelect.add(new Option(d, d)));
+
+  rttDateSelect.innerHTML = epiDateSelect.innerHTML;
+
+  epiStackSelect.innerHTML = '<option value="--none--">None</option>';
+  state.descriptors
+    .filter(d => state.descriptorInfo[d].type === 'categorical')
+    .forEach(d => epiStackSelect.add(new Option(d, d)));
+
+  [epiDateSelect, rttDateSelect, epiStackSelect].forEach((el, i) => {
+    if (Array.from(el.options).some(o => o.value === previous[i])) el.value = previous[i];
+  });
+
+  const studyAttributes = paperAttributes();
+  const heatGroupSelect = document.getElementById("heatGroup");
+  const previousGroup = heatGroupSelect.value;
+  heatGroupSelect.innerHTML = '<option value="">None</option>';
+  studyAttributes.forEach(key => heatGroupSelect.add(new Option(key, key)));
+  if (Array.from(heatGroupSelect.options).some(o => o.value === previousGroup)) heatGroupSelect.value = previousGroup;
+
+  // Studies can also be ordered by any attribute they can be grouped by
+  const heatSortSelect = document.getElementById("heatSort");
+  const previousSort = heatSortSelect.value;
+  heatSortSelect.querySelectorAll("optgroup").forEach(group => group.remove());
+  if (studyAttributes.length) {
+    const attributeGroup = document.createElement("optgroup");
+    attributeGroup.label = "Study attribute";
+    studyAttributes.forEach(key => attributeGroup.appendChild(new Option(key, `paper:${key}`)));
+    heatSortSelect.appendChild(attributeGroup);
+  }
+  heatSortSelect.value = Array.from(heatSortSelect.options).some(o => o.value === previousSort) ? previousSort : "original";
+
+  // Country and city columns default to ones named like location_country and location_city
+  const categorical = state.descriptors.filter(d => state.descriptorInfo[d].type === 'categorical');
+  [["mapCountry", /country/i], ["mapCity", /city/i], ["mapSplit", null]].forEach(([id, pattern]) => {
+    const selectElement = document.getElementById(id);
+    const previous = selectElement.value;
+    selectElement.innerHTML = id === 'mapCountry' ? '' : '<option value="">None</option>';
+    categorical.forEach(d => selectElement.add(new Option(d, d)));
+    const guess = pattern ? categorical.find(d => pattern.test(d)) : '';
+    selectElement.value = categorical.includes(previous) ? previous : guess || selectElement.options[0]?.value || '';
+  });
+}
+
+// Nodes whose most likely state is at least this probable get a plain dot instead of a pie
+const PIE_CERTAINTY = 0.99;
+const PIE_RADIUS = 6;
+
+/**
+ * Ancestral states of `descriptor` over the whole tree, using the visible
+ * rows as tip data. Reuses the last result until its inputs change.
+ * @param {'fitch'|'ml'} method
+ * @param {string} descriptor
+ * @param {Array} states
+ * @returns {object} see `reconstructAncestralStates`
+ */
+function ancestralStates(method, descriptor, states) {
+  const cached = state.ancestral;
+  if (cached && cached.method === method && cached.descriptor === descriptor && cached.tree === state.tree &&
+    cached.tipIndex === state.tipIndex && cached.sequences === state.sequences) {
+    return cached;
+  }
+  const tipState = tip => {
+    const seq = state.tipIndex.get(tip.name);
+    return seq && state.visible.has(seq) ? seq.descriptors[descriptor] : undefined;
+  };
+  state.ancestral = {
+    method,
+    descriptor,
+    tree: state.tree,
+    tipIndex: state.tipIndex,
+    sequences: state.sequences,
+    ...reconstructAncestralStates(state.tree, tipState, states, method)
+  };
+  return state.ancestral;
+}
+
+/**
+ * @param {object|null} ancestral - result of `ancestralStates`, or null to hide the table
+ * @param {string} descriptor
+ */
+function drawTransitionTable(ancestral, descriptor) {
+  const container = d3.select("#treeTransitions");
+  container.selectAll("*").remove();
+  container.property("hidden", !ancestral);
+  if (!ancestral) return;
+
+  const states = [...ancestral.changes.keys()];
+  const total = d3.sum(states, from => d3.sum(ancestral.changes.get(from).values()));
+  const summary = ancestral.method === 'ml' && ancestral.rate !== undefined ?
+    `${total} changes · rate ${d3.format(".3~g")(ancestral.rate)} · log L ${d3.format(".2f")(ancestral.logLikelihood)}` :
+    `${total} changes (parsimony)`;
+  container.append("p").attr("class", "report-summary").text(`${descriptor}: ${summary}`);
+
+  const table = container.append("table").attr("class", "report-table");
+  const header = table.append("tr");
+  header.append("th").text("From ↓ To →");
+  states.forEach(to => header.append("th").text(to));
+  states.forEach(from => {
+    const row = table.append("tr");
+    row.append("th").text(from);
+    states.forEach(to => {
+      const count = ancestral.changes.get(from).get(to);
+      row.append("td")
+        .classed("transition-none", from === to || count === 0)
+        .text(from === to ? "–" : count);
+    });
+  });
+}
+
+/**
+ * @param {d3.Selection} selection - one `g` per node with a `pie`
+ */
+function appendNodePies(selection) {
+  const pie = d3.pie().sort(null).value(slice => slice.p);
+  const arc = d3.arc().innerRadius(0).outerRadius(PIE_RADIUS);
+  selection.selectAll("path")
+    .data(d => pie(d.pie))
+    .join("path")
+    .attr("d", arc)
+    .attr("fill", a => a.data.color)
+    .attr("stroke", "#fff")
+    .attr("stroke-width", 0.5)
+    .append("title")
+    .text(a => `${a.data.value}: ${d3.format(".0%")(a.data.p)}`);
+}
+
+// Metadata strips: tile size, distance between strip starts and gap after the tips
+const STRIP_WIDTH = 12;
+const STRIP_STEP = 14;
+const STRIP_OFFSET = 6;
+
+/**
+ * @param {string} scheme - key of `NUMERIC_SCHEMES` for numeric and date strips
+ * @returns {Array<{key: string, info: object, colour: function}>} the
+ *   descriptors ticked under Strips, in column order
+ */
+function selectedStrips(scheme) {
+  return Array.from(document.querySelectorAll("#treeStrips input:checked"))
+    .map(input => input.value)
+    .filter(key => state.descriptorInfo[key])
+    .map(key => ({ key, info: state.descriptorInfo[key], colour: colourScale(state.descriptorInfo[key], scheme) }));
+}
+
+/**
+ * Value a strip shows beside a tip. Collapsed clades show the most common
+ * category, or the mean of numeric and date values.
+ * @param {d3.HierarchyNode} leaf
+ * @param {{key: string, info: object}} strip
+ * @returns {*}
+ */
+function stripValue(leaf, strip) {
+  if (leaf.seq) return axisValue(leaf.seq, strip.key);
+  const values = (leaf.collapsedSeqs || []).map(seq => axisValue(seq, strip.key)).filter(v => !isMissing(v));
+  if (!values.length) return undefined;
+  if (strip.info.type === 'categorical') return d3.greatest(d3.rollups(values, v => v.length, v => v), ([, n]) => n)[0];
+  const mean = d3.mean(values, v => +v);
+  return strip.info.type === 'date' ? new Date(mean) : mean;
+}
+
+/**
+ * @param {d3.HierarchyNode} leaf
+ * @param {{key: string, info: object}} strip
+ * @returns {string} tooltip for a strip tile: the tip's full metadata row,
+ *   or the summarised value for a collapsed clade
+ */
+function stripTitle(leaf, strip) {
+  if (leaf.seq) {
+    const seq = leaf.seq;
+    return [
+      seq.accession,
+      `${state.columns.study || "study"}: ${seq.pmid}`,
+      ...state.descriptors.map(key => `${key}: ${isMissing(seq.descriptors[key]) ? MISSING_KEY : seq.descriptors[key]}`)
+    ].join("\n");
+  }
+  if (!leaf.data.collapsed) return `${tipLabel(leaf)}\nNo metadata`;
+  const value = stripValue(leaf, strip);
+  const text = value instanceof Date ? formatDate(value) : typeof value === 'number' ? d3.format(".3~g")(value) : value;
+  const summary = strip.info.type === 'categorical' ? "most common" : "mean";
+  return `${tipLabel(leaf)}\n${strip.key} (${summary}): ${value === undefined ? MISSING_KEY : text}`;
+}
+
+/**
+ * Appends one tile per tip and strip, plus dotted leaders from tips that
+ * end short of the strips.
+ * @param {d3.Selection} g - layout group, in the same coordinates as the nodes
+ * @param {Array<d3.HierarchyNode>} leaves - with `stripColors` set
+ * @param {number} count - number of strips
+ * @param {function(d3.Path, d3.HierarchyNode, number)} drawTile
+ * @param {function(d3.Path, d3.HierarchyNode)} drawLeader
+ * @returns {d3.Selection} the leader paths, for layouts that animate them
+ */
+function appendTreeStrips(g, leaves, count, drawTile, drawLeader) {
+  const pathOf = (draw, ...args) => {
+    const path = d3.path();
+    draw(path, ...args);
+    return path;
+  };
+  const leaders = g.append("g")
+    .attr("class", "strip-leaders")
+    .selectAll("path")
+    .data(leaves)
+    .join("path")
+    .attr("d", d => pathOf(drawLeader, d));
+  g.append("g")
+    .attr("class", "tree-strips")
+    .selectAll("path")
+    .data(leaves.flatMap(leaf => d3.range(count).map(i => ({ leaf, i }))))
+    .join("path")
+    .attr("d", ({ leaf, i }) => pathOf(drawTile, leaf, i))
+    .attr("fill", ({ leaf, i }) => leaf.stripColors[i]);
+  return leaders;
+}
+
+function drawTree() {
+  const svg = d3.select("#treeSvg");
+  svg.selectAll("*").remove();
+  svg.on(".canvas", null).on(".strips", null).style("cursor", null);
+  svg.node().update = null;
+  if (!state.tree) return;
+
+  const layoutType = document.getElementById("treeLayout").value;
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+
+  if (state.treeZoom && !findNodePath(state.tree, state.treeZoom)) state.treeZoom = null;
+  drawTreeBreadcrumb();
+  const root = d3.hierarchy(state.treeZoom || state.tree, d => d.collapsed ? null : d.branchset);
+
+  const colorDesc = document.getElementById("treeColour").value;
+  const annotationKey = colorDesc.startsWith("annotation:") ? colorDesc.slice("annotation:".length) : null;
+  const colorLabel = annotationKey || colorDesc;
+  const colorInfo = annotationKey ? state.treeAnnotations[annotationKey] : state.descriptorInfo[colorDesc];
+  const scheme = document.getElementById("treeColourScheme").value;
+  const colorScale = colourScale(colorInfo, scheme);
+  const strips = selectedStrips(scheme);
+  document.getElementById("treeColourScheme").parentElement.hidden =
+    [colorInfo, ...strips.map(strip => strip.info)].every(info => !info || info.type === 'categorical');
+  const annotationValue = node => node.data.annotations ? node.data.annotations[annotationKey] : undefined;
+  const ancestralMethod = document.getElementById("treeAncestral").value;
+  const ancestral = ancestralMethod !== 'none' && !annotationKey && colorInfo && colorInfo.type === 'categorical' && colorInfo.domain.length ?
+    ancestralStates(ancestralMethod, colorDesc, colorInfo.domain) :
+    null;
+  const showPies = document.getElementById("treePies").checked;
+  drawTransitionTable(ancestral, colorLabel);
+
+  const visible = state.visible;
+  const tipColor = tip => {
+    const matched = state.tipIndex.get(tip.name);
+    return matched && visible.has(matched) ? colorScale(axisValue(matched, colorDesc)) : MISSING_COLOUR;
+  };
+  root.leaves().forEach(leaf => {
+    if (leaf.data.branchset) {
+      const tips = dataLeaves(leaf.data);
+      leaf.seq = null;
+      leaf.collapsedSeqs = tips.map(t => state.tipIndex.get(t.name)).filter(seq => seq && visible.has(seq));
+      leaf.tipCount = tips.length;
+      const colors = unique(tips.map(tipColor));
+      leaf.color = ancestral ? colorScale(ancestral.nodes.get(leaf.data).state) :
+        !annotationKey && colors.length === 1 ? colors[0] : MISSING_COLOUR;
+      return;
+    }
+    const matched = state.tipIndex.get(leaf.data.name);
+    leaf.seq = matched && visible.has(matched) ? matched : null;
+    if (annotationKey) {
+      const value = annotationValue(leaf);
+      leaf.color = colorScale(value);
+      return;
+    }
+    leaf.color = leaf.seq ? colorScale(axisValue(leaf.seq, colorDesc)) : MISSING_COLOUR;
+  });
+
+  root.eachAfter(node => {
+    if (!node.children) return;
+    if (ancestral) {
+      const { state: inferred, probs } = ancestral.nodes.get(node.data);
+      node.color = colorScale(inferred);
+      if (showPies && d3.max(probs) < PIE_CERTAINTY) {
+        node.pie = colorInfo.domain
+          .map((value, i) => ({ value, p: probs[i], color: colorScale(value) }))
+          .filter(slice => slice.p > 0);
+      }
+      return;
+    }
+    if (annotationKey && annotationValue(node) !== undefined && colorInfo) {
+      node.color = colorScale(annotationValue(node));
+      return;
+    }
+    const firstChildColor = node.children[0].color;
+    node.color = node.children.every(c => c.color === firstChildColor) ? firstChildColor : MISSING_COLOUR;
+  });
+  root.leaves().forEach(leaf => {
+    leaf.stripColors = strips.map(strip => strip.colour(stripValue(leaf, strip)));
+  });
+
+  svg.append("g").attr("class", "tree-viewport");
+  const ctx = prepareCanvas("treeCanvas", width, height, root.leaves().length > CANVAS_THRESHOLD);
+  const layout = layoutType === 'rectangular' ?
+    drawRectangularTree(svg, root, width, height, colorLabel, colorInfo, colorScale, ctx, strips) :
+    drawRadialTree(svg, root, width, height, colorLabel, colorInfo, colorScale, ctx, strips);
+  if (ctx) layout.paint = createTreePainter(ctx, layout.canvas, width, height);
+  enableTreeZoom(svg, layout, width, height);
+  if (layoutType !== 'rectangular' && !document.getElementById("treeBranchLengthToggle").checked) {
+    svg.select(".scale-bar").style("display", "none");
+  }
+
+  const selectNode = (event, d) => {
+    const seqs = d.leaves().flatMap(leaf => leaf.collapsedSeqs || (leaf.seq ? [leaf.seq] : []));
+    setSelection(seqs, event.shiftKey);
+  };
+  const openMenu = (event, d) => {
+    event.preventDefault();
+    showTreeMenu(event, d);
+  };
+  svg.selectAll(".tree-node")
+    .style("cursor", "pointer")
+    .on("click", selectNode)
+    .on("contextmenu", openMenu);
+
+  if (ctx) {
+    // Canvas marks have no elements of their own, so hit-test the svg against the nearest node
+    const [ox, oy] = layout.canvas.origin;
+    const quadtree = d3.quadtree(root.descendants(), d => layout.canvas.nodePoint(d)[0] + ox, d => layout.canvas.nodePoint(d)[1] + oy);
+    const nodeAt = event => {
+      const transform = d3.zoomTransform(svg.node());
+      const [x, y] = transform.invert(d3.pointer(event, svg.node()));
+      return quadtree.find(x, y, 6 / transform.k);
+    };
+    const nodeTitle = d => d.children ?
+      `Clade (${d.leaves().reduce((n, leaf) => n + (leaf.tipCount || 1), 0)} tips)${d.data.support !== undefined ? `\nSupport: ${d.data.support}` : ""}` :
+      `${tipLabel(d)}${d.seq ? `\n${state.columns.study || "study"}: ${d.seq.pmid}` : ""}`;
+    svg.on("mousemove.canvas", event => {
+      const d = nodeAt(event);
+      svg.style("cursor", d ? "pointer" : null);
+      showTooltip(event, d ? nodeTitle(d) : null);
+    })
+      .on("mouseleave.canvas", event => showTooltip(event, null))
+      .on("click.canvas", event => {
+        const d = nodeAt(event);
+        if (d) selectNode(event, d);
+      })
+      .on("contextmenu.canvas", event => {
+        const d = nodeAt(event);
+        if (d) openMenu(event, d);
+      });
+  }
+  if (strips.length) {
+    // Registered after the canvas hit test so a tile's row wins over its "nothing here"
+    svg.on("mousemove.strips", event => {
+      const transform = d3.zoomTransform(svg.node());
+      const tile = layout.tileAt(...transform.invert(d3.pointer(event, svg.node())));
+      if (tile) showTooltip(event, stripTitle(tile.leaf, strips[tile.i]));
+      else if (!ctx) showTooltip(event, null);
+    })
+      .on("mouseleave.strips", event => showTooltip(event, null));
+  }
+  updateSelectionViews();
+}
+
+/**
+ * @param {d3.HierarchyNode} d
+ * @returns {string} display label of a tip or collapsed clade
+ */
+function tipLabel(d) {
+  if (!d.data.branchset) return d.data.name.replace(/_/g, " ");
+  const name = d.data.name && d.data.support === undefined ? `${d.data.name.replace(/_/g, " ")} ` : "";
+  return `${name}(${d.tipCount} tips)`;
+}
+
+const COLLAPSED_TRIANGLE_LENGTH = 30;
+
+/**
+ * Sets `depthLength` (summed branch lengths from `root`) on every node.
+ * @param {d3.HierarchyNode} root
+ * @returns {number} the largest root-to-node distance
+ */
+function computeBranchDepths(root) {
+  let maxDepth = 0;
+  root.eachBefore(d => {
+    d.depthLength = d.parent ? d.parent.depthLength + (d.data.length || 0) : 0;
+    maxDepth = Math.max(maxDepth, d.depthLength);
+  });
+  return maxDepth;
+}
+
+/**
+ * @param {number} target
+ * @returns {number} the closest 1, 2 or 5 × 10^n not above `target`
+ */
+function niceScaleLength(target) {
+  const power = Math.pow(10, Math.floor(Math.log10(target)));
+  return [5, 2, 1].map(m => m * power).find(v => v <= target) || power;
+}
+
+/**
+ * Adds a distance scale bar to the bottom-left of the tree panel.
+ * @param {d3.Selection} svg
+ * @param {number} pixelsPerUnit - screen pixels per substitution/site at zoom 1
+ * @param {number} height
+ * @returns {function(number)} redraws the bar for a zoom scale factor
+ */
+function drawScaleBar(svg, pixelsPerUnit, height) {
+  const bar = svg.append("g")
+    .attr("class", "scale-bar")
+    .attr("transform", `translate(20,${height - 20})`);
+  const line = bar.append("path").attr("fill", "none").attr("stroke", "#333").attr("stroke-width", 1.5);
+  const label = bar.append("text").attr("y", -6).attr("font-size", 11).attr("font-family", "sans-serif");
+
+  return k => {
+    const length = niceScaleLength(120 / (pixelsPerUnit * k));
+    const px = length * pixelsPerUnit * k;
+    line.attr("d", `M0,-4V0H${px}V-4`);
+    label.text(`${d3.format("~g")(length)} subs/site`);
+  };
+}
+
+/**
+ * Stacks the key for the tree colouring above one key per metadata strip.
+ * @param {d3.Selection} svg
+ * @param {string} colorDesc - legend title
+ * @param {object} colorInfo
+ * @param {function} colorScale
+ * @param {Array<{key: string, info: object, colour: function}>} strips
+ */
+function drawTreeLegend(svg, colorDesc, colorInfo, colorScale, strips) {
+  const keys = [
+    { title: colorDesc, info: colorInfo, colour: colorScale },
+    ...strips.map(strip => ({ title: strip.key, info: strip.info, colour: strip.colour, showMissing: true }))
+  ];
+  let y = 30;
+  keys.filter(key => key.info && key.info.domain.length).forEach(key => {
+    const legend = svg.append("g").attr("class", "legend").attr("transform", `translate(20, ${y})`);
+    y += drawColourLegend(legend, key.title, key.info, key.colour, key.showMissing) + 30;
+  });
+}
+
+/**
+ * @param {CanvasRenderingContext2D|null} ctx - draw on the canvas layer instead of the svg
+ * @param {Array<object>} strips - from `selectedStrips`; drawn as columns after the tips
+ * @returns {{labelSpacing: number, pixelsPerUnit: number|null, tileAt: function, canvas?: object}} gap
+ *   between neighbouring tip labels, the branch-length scale if branches are
+ *   scaled, a lookup from layout coordinates to the strip tile there, and in
+ *   canvas mode the geometry `createTreePainter` needs
+ */
+function drawRectangularTree(svg, root, width, height, colorDesc, colorInfo, colorScale, ctx, strips) {
+  const margin = {
+    top: 20,
+    right: 150 + strips.length * STRIP_STEP,
+    bottom: 40,
+    left: 40
+  };
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+
+  const cluster = d3.cluster().size([graphHeight, graphWidth]);
+  cluster(root);
+
+  const maxDepth = computeBranchDepths(root);
+  const scaled = document.getElementById("treeBranchLengthToggle").checked && maxDepth > 0;
+  const pixelsPerUnit = scaled ? graphWidth / maxDepth : null;
+  if (scaled) root.each(d => {
+    d.y = d.depthLength * pixelsPerUnit;
+  });
+
+  const drawLink = (context, d) => {
+    context.moveTo(d.source.y, d.source.x);
+    if (scaled) context.lineTo(d.source.y, d.target.x);
+    context.lineTo(d.target.y, d.target.x);
+  };
+  const leaves = root.leaves();
+  const leafSpacing = graphHeight / Math.max(1, leaves.length);
+  const halfBase = Math.max(4, Math.min(12, leafSpacing * 0.45));
+
+  // With strips, labels line up after the last column instead of following each tip
+  const tipEnd = d => d.y + (d.data.collapsed ? COLLAPSED_TRIANGLE_LENGTH : 0);
+  const stripStart = d3.max(leaves, tipEnd) + STRIP_OFFSET;
+  const labelX = d => strips.length ? stripStart + strips.length * STRIP_STEP + 3 : tipEnd(d) + 5;
+  const drawTile = (context, d, i) => {
+    context.rect(stripStart + i * STRIP_STEP, d.x - leafSpacing / 2, STRIP_WIDTH, leafSpacing);
+  };
+  const drawLeader = (context, d) => {
+    if (stripStart - tipEnd(d) <= STRIP_OFFSET) return;
+    context.moveTo(tipEnd(d) + 2, d.x);
+    context.lineTo(stripStart - 2, d.x);
+  };
+  const tileAt = (x, y) => {
+    const i = Math.floor((x - margin.left - stripStart) / STRIP_STEP);
+    const leaf = leaves[d3.bisector(d => d.x).center(leaves, y - margin.top)];
+    if (i < 0 || i >= strips.length || x - margin.left - stripStart - i * STRIP_STEP > STRIP_WIDTH) return null;
+    return leaf && Math.abs(leaf.x - (y - margin.top)) <= leafSpacing / 2 ? { leaf, i } : null;
+  };
+
+  drawTreeLegend(svg, colorDesc, colorInfo, colorScale, strips);
+  if (ctx) {
+    return {
+      labelSpacing: leafSpacing,
+      pixelsPerUnit,
+      tileAt,
+      canvas: {
+        origin: [margin.left, margin.top],
+        links: root.links(),
+        nodes: root.descendants(),
+        leaves,
+        halfBase,
+        drawLink,
+        strips: strips.length,
+        drawTile,
+        drawLeader,
+        nodePoint: d => [d.y, d.x],
+        nodeAngle: () => 0,
+        drawLabel: (context, d) => {
+          context.textAlign = "start";
+          context.fillText(tipLabel(d), labelX(d), d.x);
+        }
+      }
+    };
+  }
+
+  const g = svg.select(".tree-viewport").append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  g.append("g")
+    .attr("class", "tree-links")
+    .attr("fill", "none")
+    .attr("stroke", "#555")
+    .attr("stroke-width", 1.5)
+    .selectAll("path")
+    .data(root.links())
+    .join("path")
+    .attr("d", d => {
+      const path = d3.path();
+      drawLink(path, d);
+      return path;
+    })
+    .attr("stroke", d => d.target.color);
+
+  const node = g.append("g")
+    .selectAll("g")
+    .data(root.descendants())
+    .join("g")
+    .attr("class", "tree-node")
+    .attr("transform", d => `translate(${d.y},${d.x})`);
+
+  node.append("circle")
+    .attr("r", 3)
+    .attr("fill", d => d.color)
+    .attr("stroke", "#fff")
+    .attr("stroke-width", 1);
+
+  node.filter(d => d.pie)
+    .append("g")
+    .attr("class", "node-pie")
+    .call(appendNodePies);
+
+  node.filter(d => d.data.collapsed)
+    .append("path")
+    .attr("class", "collapsed-clade")
+    .attr("d", `M0,0L${COLLAPSED_TRIANGLE_LENGTH},${-halfBase}L${COLLAPSED_TRIANGLE_LENGTH},${halfBase}Z`)
+    .attr("fill", d => d.color)
+    .attr("stroke", "#555");
+
+  if (strips.length) appendTreeStrips(g, leaves, strips.length, drawTile, drawLeader);
+
+  g.append("g")
+    .selectAll("text")
+    .data(leaves)
+    .join("text")
+    .attr("class", "tip-label")
+    .attr("transform", d => `translate(${labelX(d)},${d.x})`)
+    .attr("dy", "0.32em")
+    .text(tipLabel)
+    .attr("font-family", "sans-serif")
+    .attr("font-size", 10)
+    .attr("text-anchor", "start");
+
+  return {
+    labelSpacing: leafSpacing,
+    pixelsPerUnit,
+    tileAt
+  };
+}
+
+/**
+ * @param {CanvasRenderingContext2D|null} ctx - draw on the canvas layer instead of the svg
+ * @param {Array<object>} strips - from `selectedStrips`; drawn as rings outside the tips
+ * @returns {{labelSpacing: number, pixelsPerUnit: number|null, tileAt: function, canvas?: object}} as
+ *   for `drawRectangularTree`; the scale applies when branches are scaled
+ */
+function drawRadialTree(svg, root, width, height, colorDesc, colorInfo, colorScale, ctx, strips) {
+  const outerRadius = Math.min(width, height) / 2 - 100;
+  const innerRadius = outerRadius - 120;
+  const labelRadius = innerRadius > 0 ? innerRadius : outerRadius / 1.5;
+  // Rings take their room from the tree rather than from the labels
+  const tipRadius = Math.max(labelRadius - strips.length * STRIP_STEP, labelRadius / 2);
+
+  const cluster = d3.cluster()
+    .size([360, tipRadius])
+    .separation(() => 1);
+  cluster(root);
+
+  const maxDepth = computeBranchDepths(root);
+  const pixelsPerUnit = maxDepth > 0 ? tipRadius / maxDepth : null;
+  root.each(d => {
+    d.radius = d.depthLength * (pixelsPerUnit || 0);
+  });
+
+  const scaled = document.getElementById("treeBranchLengthToggle").checked;
+  const leaves = root.leaves();
+  const leafSpacing = 2 * Math.PI * tipRadius / Math.max(1, leaves.length);
+  const halfBase = Math.max(4, Math.min(12, leafSpacing * 0.45));
+
+  const leafAngle = 360 / Math.max(1, leaves.length);
+  const collapsedLength = d => d.data.collapsed ? COLLAPSED_TRIANGLE_LENGTH : 0;
+  const ringStart = tipRadius + (leaves.some(d => d.data.collapsed) ? COLLAPSED_TRIANGLE_LENGTH : 0) + STRIP_OFFSET;
+  const labelOffset = d => strips.length ? ringStart + strips.length * STRIP_STEP + 2 : tipRadius + 8 + collapsedLength(d);
+  const tileArc = d3.arc();
+  const drawTile = (context, d, i) => {
+    tileArc.context(context)({
+      innerRadius: ringStart + i * STRIP_STEP,
+      outerRadius: ringStart + i * STRIP_STEP + STRIP_WIDTH,
+      startAngle: (d.x - leafAngle / 2) * Math.PI / 180,
+      endAngle: (d.x + leafAngle / 2) * Math.PI / 180
+    });
+  };
+  const leaderFor = checked => (context, d) => {
+    const tipEnd = (checked ? d.radius : d.y) + collapsedLength(d);
+    if (ringStart - tipEnd <= STRIP_OFFSET) return;
+    context.moveTo(...d3.pointRadial(d.x * Math.PI / 180, tipEnd + 2));
+    context.lineTo(...d3.pointRadial(d.x * Math.PI / 180, ringStart - 2));
+  };
+  const tileAt = (x, y) => {
+    const [dx, dy] = [x - width / 2, y - height / 2];
+    const r = Math.hypot(dx, dy) - ringStart;
+    const i = Math.floor(r / STRIP_STEP);
+    if (r < 0 || i >= strips.length || r - i * STRIP_STEP > STRIP_WIDTH) return null;
+    const angle = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+    const leaf = leaves[d3.bisector(d => d.x).center(leaves, angle)];
+    return leaf && Math.abs(leaf.x - angle) <= leafAngle / 2 ? { leaf, i } : null;
+  };
+
+  drawTreeLegend(svg, colorDesc, colorInfo, colorScale, strips);
+  if (ctx) {
+    const canvasLink = d3.linkRadial().angle(d => d.x * Math.PI / 180).radius(d => scaled ? d.radius : d.y);
+    const nodeRadius = d => scaled ? d.radius : d.y;
+    return {
+      labelSpacing: leafSpacing,
+      pixelsPerUnit,
+      tileAt,
+      canvas: {
+        origin: [width / 2, height / 2],
+        links: root.links(),
+        nodes: root.descendants().filter(d => d.children),
+        leaves,
+        halfBase,
+        drawLink: (context, d) => canvasLink.context(context)(d),
+        strips: strips.length,
+        drawTile,
+        drawLeader: leaderFor(scaled),
+        nodePoint: d => d3.pointRadial(d.x * Math.PI / 180, nodeRadius(d)),
+        nodeAngle: d => (d.x - 90) * Math.PI / 180,
+        drawLabel: (context, d) => {
+          context.save();
+          context.rotate((d.x - 90) * Math.PI / 180);
+          context.translate(labelOffset(d), 0);
+          if (d.x > 180) context.rotate(Math.PI);
+          context.textAlign = d.x > 180 ? "end" : "start";
+          context.fillText(tipLabel(d), 0, 0);
+          context.restore();
+        }
+      }
+    };
+  }
+
+  const g = svg.select(".tree-viewport").append("g")
+    .attr("transform", `translate(${width / 2},${height / 2})`)
+    .attr("font-family", "sans-serif")
+    .attr("font-size", 10);
+
+  const linkConstant = d3.linkRadial().angle(d => d.x * Math.PI / 180).radius(d => d.y);
+  const linkVariable = d3.linkRadial().angle(d => d.x * Math.PI / 180).radius(d => d.radius);
 
   const link = g.append("g")
+    .attr("class", "tree-links")
     .attr("fill", "none")
     .attr("stroke", "#000")
     .selectAll("path")
-    .data(root.links())
+    .data(root.links())
+    .join("path")
+    .each(function(d) {
+      d.target.linkNode = this;
+    })
+    .attr("d", scaled ? linkVariable : linkConstant)
+    .attr("stroke", d => d.target.color);
+
+  const nodeTransform = (d, checked) => `rotate(${d.x - 90}) translate(${checked ? d.radius : d.y},0)`;
+  const node = g.append("g")
+    .selectAll("circle")
+    .data(root.descendants().filter(d => d.children))
+    .join("circle")
+    .attr("class", "tree-node")
+    .attr("r", 3)
+    .attr("fill", d => d.color)
+    .attr("stroke", "#fff")
+    .attr("transform", d => nodeTransform(d, scaled));
+
+  const collapsed = g.append("g")
+    .selectAll("path")
+    .data(root.leaves().filter(d => d.data.collapsed))
+    .join("path")
+    .attr("class", "collapsed-clade tree-node")
+    .attr("d", `M0,0L${COLLAPSED_TRIANGLE_LENGTH},${-halfBase}L${COLLAPSED_TRIANGLE_LENGTH},${halfBase}Z`)
+    .attr("fill", d => d.color)
+    .attr("stroke", "#555")
+    .attr("transform", d => nodeTransform(d, scaled));
+
+  // Pies are turned back upright after being placed like the other nodes
+  const pieTransform = (d, checked) => `${nodeTransform(d, checked)} rotate(${90 - d.x})`;
+  const pies = g.append("g")
+    .selectAll("g")
+    .data(root.descendants().filter(d => d.pie))
+    .join("g")
+    .attr("class", "node-pie tree-node")
+    .attr("transform", d => pieTransform(d, scaled))
+    .call(appendNodePies);
+
+  const leaders = strips.length ? appendTreeStrips(g, leaves, strips.length, drawTile, leaderFor(scaled)) : null;
+  const leaderPath = checked => d => {
+    const path = d3.path();
+    leaderFor(checked)(path, d);
+    return path;
+  };
+
+  g.append("g")
+    .selectAll("text")
+    .data(leaves)
+    .join("text")
+    .attr("class", "tip-label tree-node")
+    .attr("dy", ".31em")
+    .attr("transform", d => `rotate(${d.x - 90}) translate(${labelOffset(d)},0)${d.x > 180 ? " rotate(180)" : ""}`)
+    .attr("text-anchor", d => d.x > 180 ? "end" : "start")
+    .text(tipLabel)
+    .on("mouseover", mouseovered(true))
+    .on("mouseout", mouseovered(false));
+
+  function mouseovered(active) {
+    return function(event, d) {
+      d3.select(this).classed("label--active", active);
+      let current = d;
+      while (current.parent) {
+        if (current.linkNode) {
+          d3.select(current.linkNode).classed("link--active", active).raise();
+        }
+        current = current.parent;
+      }
+    };
+  }
+
+  function update(checked) {
+    const t = d3.transition().duration(750);
+    link.transition(t).attr("d", checked ? linkVariable : linkConstant);
+    node.transition(t).attr("transform", d => nodeTransform(d, checked));
+    collapsed.transition(t).attr("transform", d => nodeTransform(d, checked));
+    pies.transition(t).attr("transform", d => pieTransform(d, checked));
+    if (leaders) leaders.transition(t).attr("d", leaderPath(checked));
+    svg.select(".scale-bar").style("display", checked ? null : "none");
+  }
+  svg.node().update = update;
+
+  return {
+    labelSpacing: leafSpacing,
+    pixelsPerUnit,
+    tileAt
+  };
+}
+
+const MIN_LABEL_SPACING = 8;
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} geometry - `canvas` part of a tree layout
+ * @param {number} width
+ * @param {number} height
+ * @returns {function(d3.ZoomTransform, boolean)} paints the tree for a zoom
+ *   transform, with or without tip labels
+ */
+function createTreePainter(ctx, geometry, width, height) {
+  const { origin, links, nodes, leaves, halfBase, drawLink, strips, drawTile, drawLeader, nodePoint, nodeAngle, drawLabel } = geometry;
+  const linksByColor = d3.group(links, d => d.target.color);
+  const nodesByColor = d3.group(nodes, d => d.color);
+  const tilesByColor = d3.group(leaves.flatMap(leaf => d3.range(strips).map(i => ({ leaf, i }))), d => d.leaf.stripColors[d.i]);
+  const collapsed = leaves.filter(d => d.data.collapsed);
+  const circles = (list, r) => {
+    ctx.beginPath();
+    list.forEach(d => {
+      const [x, y] = nodePoint(d);
+      ctx.moveTo(x + r, y);
+      ctx.arc(x, y, r, 0, 2 * Math.PI);
+    });
+  };
+
+  return (transform, showLabels) => {
+    const active = state.selection.size > 0;
+    const isSelected = d => Boolean(d.seq && state.selection.has(d.seq));
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    ctx.translate(transform.x, transform.y);
+    ctx.scale(transform.k, transform.k);
+    ctx.translate(...origin);
+
+    ctx.lineWidth = 1.5;
+    linksByColor.forEach((group, color) => {
+      ctx.beginPath();
+      group.forEach(d => drawLink(ctx, d));
+      ctx.strokeStyle = color;
+      ctx.stroke();
+    });
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "#fff";
+    nodesByColor.forEach((group, color) => {
+      circles(group, 3);
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    nodes.filter(d => d.pie).forEach(d => {
+      const [x, y] = nodePoint(d);
+      let angle = -Math.PI / 2;
+      d.pie.forEach(slice => {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.arc(x, y, PIE_RADIUS, angle, angle + slice.p * 2 * Math.PI);
+        ctx.closePath();
+        ctx.fillStyle = slice.color;
+        ctx.fill();
+        angle += slice.p * 2 * Math.PI;
+      });
+    });
+
+    ctx.strokeStyle = "#555";
+    collapsed.forEach(d => {
+      ctx.save();
+      ctx.translate(...nodePoint(d));
+      ctx.rotate(nodeAngle(d));
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(COLLAPSED_TRIANGLE_LENGTH, -halfBase);
+      ctx.lineTo(COLLAPSED_TRIANGLE_LENGTH, halfBase);
+      ctx.closePath();
+      ctx.fillStyle = d.color;
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    });
+
+    if (strips) {
+      ctx.beginPath();
+      leaves.forEach(d => drawLeader(ctx, d));
+      ctx.setLineDash([1, 2]);
+      ctx.lineWidth = 0.5;
+      ctx.strokeStyle = "#999";
+      ctx.stroke();
+      ctx.setLineDash([]);
+      tilesByColor.forEach((group, color) => {
+        ctx.beginPath();
+        group.forEach(({ leaf, i }) => drawTile(ctx, leaf, i));
+        ctx.fillStyle = color;
+        ctx.fill();
+      });
+    }
+
+    if (showLabels) {
+      ctx.textBaseline = "middle";
+      leaves.forEach(d => {
+        const selected = isSelected(d);
+        ctx.globalAlpha = active && !selected ? 0.2 : 1;
+        ctx.font = `${selected ? "bold " : ""}10px sans-serif`;
+        ctx.fillStyle = selected ? "#d62728" : "#000";
+        drawLabel(ctx, d);
+      });
+      ctx.globalAlpha = 1;
+    } else if (active) {
+      // Without labels, mark selected tips so the selection stays visible
+      circles(leaves.filter(isSelected), 4);
+      ctx.fillStyle = "#d62728";
+      ctx.fill();
+    }
+    ctx.restore();
+  };
+}
+
+/**
+ * Enables d3-zoom on the tree panel, restoring the previous view, and
+ * keeps label visibility, the scale bar and the minimap in step with it.
+ * @param {d3.Selection} svg
+ * @param {{labelSpacing: number, pixelsPerUnit: number|null}} layout
+ * @param {number} width
+ * @param {number} height
+ */
+function enableTreeZoom(svg, layout, width, height) {
+  const viewport = svg.select(".tree-viewport");
+  const updateScaleBar = layout.pixelsPerUnit ? drawScaleBar(svg, layout.pixelsPerUnit, height) : null;
+  const minimap = d3.select("#treeMinimap");
+  minimap.selectAll("*").remove();
+  minimap.attr("viewBox", `0 0 ${width} ${height}`);
+  const links = svg.select(".tree-links").node();
+  if (links) {
+    minimap.append("g").attr("transform", links.parentNode.getAttribute("transform")).node().appendChild(links.cloneNode(true));
+  } else if (layout.canvas) {
+    const path = d3.path();
+    layout.canvas.links.forEach(d => layout.canvas.drawLink(path, d));
+    minimap.append("path")
+      .attr("transform", `translate(${layout.canvas.origin})`)
+      .attr("fill", "none")
+      .attr("d", path);
+  }
+  const frame = minimap.append("rect").attr("class", "minimap-frame");
+
+  // Wheel zooming needs Ctrl/⌘ (or a pinch) so the page still scrolls past the panel
+  const zoom = d3.zoom()
+    .filter(event => event.type === 'wheel' ? event.ctrlKey || event.metaKey : !event.ctrlKey && !event.button)
+    .extent([[0, 0], [width, height]])
+    .scaleExtent([1, 100])
+    .translateExtent([[-width * 0.25, -height * 0.25], [width * 1.25, height * 1.25]])
+    .on("zoom", event => render(event.transform));
+  svg.call(zoom).on("dblclick.zoom", null);
+  svg.node().zoom = zoom;
+
+  minimap.on("click", event => {
+    const [x, y] = d3.pointer(event, minimap.node());
+    svg.transition().duration(300).call(zoom.translateTo, x, y);
+  });
+
+  function render(transform) {
+    const showLabels = layout.labelSpacing * transform.k >= MIN_LABEL_SPACING;
+    viewport.attr("transform", transform);
+    svg.selectAll(".tip-label").style("display", showLabels ? null : "none");
+    if (layout.paint) layout.paint(transform, showLabels);
+    if (updateScaleBar) updateScaleBar(transform.k);
+    minimap.property("hidden", transform.k <= 1);
+    frame.attr("x", -transform.x / transform.k)
+      .attr("y", -transform.y / transform.k)
+      .attr("width", width / transform.k)
+      .attr("height", height / transform.k);
+  }
+  render(d3.zoomTransform(svg.node()));
+  if (layout.paint) document.getElementById("treeCanvas").redraw = () => render(d3.zoomTransform(svg.node()));
+}
+
+function resetTreeZoom() {
+  const svg = d3.select("#treeSvg");
+  if (svg.node().zoom) svg.call(svg.node().zoom.transform, d3.zoomIdentity);
+}
+
+const ANY_TYPE = ['categorical', 'numerical', 'date'];
+
+// Descriptor types each chart mode needs in its X, Y, Colour and Shape selects
+const CHART_MODES = {
+  pyramid: { label: "Pyramid", roles: { chartX: ['categorical'], chartY: ['categorical', 'numerical'] } },
+  scatter: { label: "Scatter", roles: { chartX: ANY_TYPE, chartY: ANY_TYPE, chartShape: ['categorical'] } },
+  histogram: { label: "Histogram", roles: { chartX: ['numerical', 'date'] } },
+  bar: { label: "Stacked bar", roles: { chartX: ['categorical'], chartColour: ['categorical'] } },
+  box: { label: "Box / violin", roles: { chartX: ['categorical'], chartY: ['numerical'] } },
+  mosaic: { label: "Mosaic", roles: { chartX: ['categorical'], chartY: ['categorical'] } }
+};
+
+const CHART_ROLE_NAMES = { chartX: "X-axis", chartY: "Y-axis", chartColour: "Colour", chartShape: "Shape" };
+
+/**
+ * Points the chart selects at columns the mode can use, leaving choices
+ * that already fit. Categorical roles prefer columns with 2–12 categories
+ * (exactly two for the pyramid's sides), and each role gets a different
+ * column where possible.
+ * @param {string} mode - key of `CHART_MODES`
+ */
+function applyChartDefaults(mode) {
+  const taken = [];
+  Object.entries(CHART_MODES[mode].roles).forEach(([id, types]) => {
+    const select = document.getElementById(id);
+    const fits = d => state.descriptorInfo[d] && types.includes(state.descriptorInfo[d].type);
+    if (!fits(select.value) || taken.includes(select.value)) {
+      const rank = d => {
+        const info = state.descriptorInfo[d];
+        if (info.type !== 'categorical') return 1;
+        if (mode === 'pyramid' && id === 'chartX') return info.domain.length === 2 ? 0 : 2;
+        return info.domain.length >= 2 && info.domain.length <= 12 ? 1 : 2;
+      };
+      const candidates = state.descriptors.filter(fits);
+      const choice = d3.least(candidates.filter(d => !taken.includes(d)), rank) || d3.least(candidates, rank);
+      if (choice) select.value = choice;
+    }
+    taken.push(select.value);
+  });
+}
+
+/**
+ * @param {d3.Selection} svg
+ * @param {string} text - shown in the middle of the chart instead of a plot
+ */
+function chartMessage(svg, text) {
+  svg.append("text")
+    .attr("x", "50%")
+    .attr("y", "50%")
+    .attr("text-anchor", "middle")
+    .text(text);
+}
+
+function drawChart() {
+  const svg = d3.select("#chartSvg");
+  svg.selectAll("*").remove();
+  prepareCanvas("chartCanvas", 0, 0, false);
+
+  const mode = document.querySelector("input[name='chartMode']:checked").value;
+  const xDesc = document.getElementById("chartX").value;
+  const yDesc = document.getElementById("chartY").value;
+  const colourDesc = document.getElementById("chartColour").value;
+  const shapeDesc = document.getElementById("chartShape").value;
+
+  const xInfo = state.descriptorInfo[xDesc];
+  const yInfo = state.descriptorInfo[yDesc];
+  const shapeInfo = state.descriptorInfo[shapeDesc];
+  const colourInfo = state.descriptorInfo[colourDesc];
+  document.querySelectorAll("#chartPanel [data-modes]").forEach(el => {
+    el.hidden = !el.dataset.modes.split(" ").includes(mode);
+  });
+  document.getElementById("chartColourScheme").parentElement.hidden =
+    mode !== 'scatter' || !colourInfo || colourInfo.type === 'categorical';
+
+  if (!state.descriptors.length) return;
+  const { label, roles } = CHART_MODES[mode];
+  const unmet = Object.entries(roles).find(([id, types]) => {
+    const info = state.descriptorInfo[document.getElementById(id).value];
+    return !info || !types.includes(info.type);
+  });
+  if (unmet) {
+    const [id, types] = unmet;
+    chartMessage(svg, `${label} needs a ${types.join(" or ")} column for ${CHART_ROLE_NAMES[id]}.`);
+    return;
+  }
+
+  if (mode === 'pyramid') {
+    drawPyramidChart(svg, xDesc, yDesc, xInfo, yInfo);
+  } else if (mode === 'histogram') {
+    drawHistogram(svg, xDesc, xInfo);
+  } else if (mode === 'bar') {
+    drawStackedBar(svg, xDesc, xInfo, colourDesc, colourInfo);
+  } else if (mode === 'box') {
+    drawBoxPlot(svg, xDesc, xInfo, yDesc);
+  } else if (mode === 'mosaic') {
+    drawMosaic(svg, xDesc, xInfo, yDesc, yInfo);
+  } else {
+    drawScatterPlot(svg, xDesc, yDesc, xInfo, yInfo, colourDesc, shapeDesc, shapeInfo);
+  }
+}
+
+function drawScatterPlot(svg, xDesc, yDesc, xInfo, yInfo, colourDesc, shapeDesc, shapeInfo) {
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const margin = CHART_MARGIN;
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const xScale = axisScale(xInfo, [0, graphWidth]);
+  const yScale = axisScale(yInfo, [graphHeight, 0]);
+
+  const shapeScale = d3.scaleOrdinal(d3.symbols).domain(shapeInfo.domain);
+  const symbolGenerator = d3.symbol().size(180);
+
+  g.append("g").attr("transform", `translate(0,${graphHeight})`).call(d3.axisBottom(xScale));
+  g.append("g").call(d3.axisLeft(yScale));
+
+  const plotData = state.sequences.filter(d =>
+    !isMissing(axisValue(d, xDesc)) && !isMissing(axisValue(d, yDesc)) && !isMissing(d.descriptors[shapeDesc]));
+  const missing = state.sequences.length - plotData.length;
+  drawChartNote(g, graphWidth, graphHeight, missing ? [`${missing} missing ${xDesc}, ${yDesc} or ${shapeDesc}`] : []);
+
+  const pointX = d => xScale(axisValue(d, xDesc));
+  const pointY = d => yScale(axisValue(d, yDesc));
+  const brushMode = document.getElementById("chartBrush").value;
+  const brushLayer = g.append("g").attr("class", "brush");
+
+  if (brushMode === 'lasso') {
+    drawLasso(brushLayer, graphWidth, graphHeight, (polygon, additive) => {
+      setSelection(plotData.filter(d => d3.polygonContains(polygon, [pointX(d), pointY(d)])), additive);
+    });
+  } else {
+    const brush = d3.brush()
+      .extent([[0, 0], [graphWidth, graphHeight]])
+      .on("end", event => {
+        if (!event.sourceEvent) return;
+        if (!event.selection) {
+          setSelection([]);
+          return;
+        }
+        const [[x0, y0], [x1, y1]] = event.selection;
+        setSelection(plotData.filter(d => {
+          const px = pointX(d);
+          const py = pointY(d);
+          return px >= x0 && px <= x1 && py >= y0 && py <= y1;
+        }), event.sourceEvent.shiftKey);
+        brushLayer.call(brush.move, null);
+      });
+    brushLayer.call(brush);
+  }
+
+  const colourInfo = state.descriptorInfo[colourDesc];
+  const colour = colourScale(colourInfo, document.getElementById("chartColourScheme").value);
+  const pointColour = d => colour(axisValue(d, colourDesc));
+  const pointTitle = d => `${d.accession}\n${xDesc}: ${d.descriptors[xDesc]}\n${yDesc}: ${d.descriptors[yDesc]}\n${shapeDesc}: ${d.descriptors[shapeDesc]}`;
+  const ctx = prepareCanvas("chartCanvas", width, height, plotData.length > CANVAS_THRESHOLD);
+
+  if (ctx) {
+    const canvasSymbol = d3.symbol().size(60).context(ctx);
+    const render = () => {
+      const active = state.selection.size > 0;
+      ctx.clearRect(0, 0, width, height);
+      ctx.save();
+      ctx.translate(margin.left, margin.top);
+      // Selected points are painted last so they sit on top
+      const ordered = active ? d3.sort(plotData, d => state.selection.has(d)) : plotData;
+      ordered.forEach(d => {
+        const selected = state.selection.has(d);
+        ctx.globalAlpha = active && !selected ? 0.2 : 0.8;
+        ctx.save();
+        ctx.translate(pointX(d), pointY(d));
+        ctx.beginPath();
+        canvasSymbol.type(shapeScale(d.descriptors[shapeDesc]))();
+        ctx.fillStyle = pointColour(d);
+        ctx.fill();
+        if (selected) {
+          ctx.lineWidth = 1.5;
+          ctx.strokeStyle = "#000";
+          ctx.stroke();
+        }
+        ctx.restore();
+      });
+      ctx.restore();
+    };
+    document.getElementById("chartCanvas").redraw = render;
+    render();
+
+    const quadtree = d3.quadtree(plotData, pointX, pointY);
+    brushLayer
+      .on("mousemove.tooltip", event => {
+        const [mx, my] = d3.pointer(event, g.node());
+        const d = quadtree.find(mx, my, 8);
+        showTooltip(event, d ? pointTitle(d) : null);
+      })
+      .on("mouseleave.tooltip", event => showTooltip(event, null));
+  } else {
+    g.selectAll(".point")
+      .data(plotData)
+      .enter()
+      .append("path")
+      .attr("class", "point")
+      .attr("transform", d => `translate(${pointX(d)},${pointY(d)})`)
+      .attr("d", d => symbolGenerator.type(shapeScale(d.descriptors[shapeDesc]))())
+      .attr("fill", pointColour)
+      .attr("opacity", 0.8)
+      .append("title")
+      .text(pointTitle);
+  }
+
+  const colorLegend = g.append("g").attr("class", "legend").attr("transform", `translate(${graphWidth + 30}, 20)`);
+  const colorLegendHeight = colourInfo ? drawColourLegend(colorLegend, colourDesc, colourInfo, colour) : 0;
+
+  const shapeDomain = shapeInfo.domain;
+  const shapeLegendY = colorLegendHeight + 60;
+  const shapeLegend = g.append("g").attr("class", "legend").attr("transform", `translate(${graphWidth + 30}, ${shapeLegendY})`);
+  shapeLegend.append("text").text(shapeDesc).attr("font-weight", "bold");
+  const shapeItems = shapeLegend.selectAll(".shape-item").data(shapeDomain).enter().append("g").attr("transform", (d, i) => `translate(10, ${25 * (i + 1)})`);
+  shapeItems.append("path").attr("d", d => d3.symbol(shapeScale(d), 120)()).attr("fill", "#555");
+  shapeItems.append("text").text(d => d).attr("x", 20).attr("y", 5);
+
+  updateSelectionViews();
+}
+
+/**
+ * Adds a freehand lasso to `layer`; `onEnd` receives the drawn polygon.
+ * @param {d3.Selection} layer
+ * @param {number} width
+ * @param {number} height
+ * @param {function(Array<[number, number]>, boolean)} onEnd - polygon and whether shift was held
+ */
+function drawLasso(layer, width, height, onEnd) {
+  const path = layer.append("path").attr("class", "lasso");
+  let polygon = [];
+  layer.append("rect")
+    .attr("class", "lasso-overlay")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", "transparent")
+    .lower()
+    .call(d3.drag()
+      .container(layer.node())
+      .on("start", event => {
+        polygon = [[event.x, event.y]];
+        path.attr("d", null);
+      })
+      .on("drag", event => {
+        polygon.push([event.x, event.y]);
+        path.attr("d", `M${polygon.join("L")}Z`);
+      })
+      .on("end", event => {
+        path.attr("d", null);
+        if (polygon.length < 3) {
+          setSelection([]);
+          return;
+        }
+        onEnd(polygon, event.sourceEvent.shiftKey);
+      }));
+}
+
+/**
+ * Lists the X categories in the pyramid's side picker, each set to the
+ * left side, the right side or neither. The choices are kept while X stays
+ * the same; otherwise the first two categories start on the left and right.
+ * @param {string} xDesc
+ * @param {object} xInfo
+ */
+function updatePyramidSides(xDesc, xInfo) {
+  const container = document.getElementById("pyramidSides");
+  if (container.dataset.key === xDesc && container.dataset.domain === JSON.stringify(xInfo.domain)) return;
+  container.dataset.key = xDesc;
+  container.dataset.domain = JSON.stringify(xInfo.domain);
+  container.innerHTML = '';
+  xInfo.domain.forEach((value, i) => {
+    const row = document.createElement("div");
+    row.className = "pyramid-side";
+    const name = document.createElement("span");
+    name.textContent = value;
+    row.appendChild(name);
+    ["left", "right", "off"].forEach(side => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = `pyramidSide${i}`;
+      input.value = side;
+      input.dataset.category = value;
+      input.checked = side === (i === 0 ? "left" : i === 1 ? "right" : "off");
+      label.append(input, ` ${side === "off" ? "–" : side[0].toUpperCase()}`);
+      row.appendChild(label);
+    });
+    container.appendChild(row);
+  });
+}
+
+/**
+ * @returns {{left: string[], right: string[]}} X categories grouped into each side
+ */
+function readPyramidSides() {
+  const sides = { left: [], right: [] };
+  document.querySelectorAll("#pyramidSides input:checked").forEach(input => {
+    if (sides[input.value]) sides[input.value].push(input.dataset.category);
+  });
+  return sides;
+}
+
+/**
+ * Age-band style thresholds for a numeric pyramid axis: bands of `width`
+ * starting at a multiple of it, or about ten nice bands when `width` is not
+ * positive.
+ * @param {number[]} values - at least one
+ * @param {number} width
+ * @returns {{thresholds: number[], labels: string[]}}
+ */
+function pyramidBands(values, width) {
+  const [min, max] = d3.extent(values);
+  const step = width > 0 ? width : d3.tickStep(min, max, 10) || 1;
+  const start = Math.floor(min / step) * step;
+  // Built here rather than by binThresholds, whose rounding for integer data would make fractional bands unequal
+  const thresholds = d3.range(1, Math.floor((max - start) / step) + 1).map(i => +(start + i * step).toPrecision(12));
+  const whole = [start, step, ...values].every(Number.isInteger);
+  const labels = [start, ...thresholds].map((lo, i) => {
+    const hi = thresholds[i];
+    if (hi === undefined) return whole ? `${lo}+` : `≥ ${lo}`;
+    if (!whole) return `${lo}–${hi}`;
+    return lo === hi - 1 ? `${lo}` : `${lo}–${hi - 1}`;
+  });
+  return { thresholds, labels };
+}
+
+function drawPyramidChart(svg, xDesc, yDesc, xInfo, yInfo) {
+  const numericY = yInfo.type === 'numerical';
+  document.getElementById("pyramidBandControl").hidden = !numericY;
+  updatePyramidSides(xDesc, xInfo);
+  const sides = readPyramidSides();
+  const percent = document.getElementById("pyramidScale").value === 'percent';
+
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const margin = {
+    top: 40,
+    right: 40,
+    bottom: 50,
+    left: 40
+  };
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+
+  const missingX = state.sequences.filter(d => isMissing(d.descriptors[xDesc]));
+  const missingY = state.sequences.filter(d => !isMissing(d.descriptors[xDesc]) && isMissing(d.descriptors[yDesc]));
+  const complete = state.sequences.filter(d => !isMissing(d.descriptors[xDesc]) && !isMissing(d.descriptors[yDesc]));
+
+  let yCategories = yInfo.domain;
+  let yValue = d => d.descriptors[yDesc];
+  if (!complete.length) {
+    chartMessage(svg, `No rows have both ${xDesc} and ${yDesc}.`);
+    return;
+  }
+  if (numericY) {
+    const { thresholds, labels } = pyramidBands(complete.map(d => +d.descriptors[yDesc]), +document.getElementById("pyramidBand").value);
+    // Youngest band at the bottom, as in a population pyramid
+    yCategories = labels.slice().reverse();
+    yValue = d => labels[d3.bisectRight(thresholds, +d.descriptors[yDesc])];
+  }
+
+  const sideOf = new Map([...sides.left.map(c => [c, "left"]), ...sides.right.map(c => [c, "right"])]);
+  const assigned = complete.filter(d => sideOf.has(String(d.descriptors[xDesc])));
+  const counts = d3.rollup(assigned, v => v.length, d => sideOf.get(String(d.descriptors[xDesc])), yValue);
+  const totals = d3.rollup(assigned, v => v.length, d => sideOf.get(String(d.descriptors[xDesc])));
+  const value = (side, yCat) => {
+    const count = counts.get(side)?.get(yCat) || 0;
+    return percent ? 100 * count / (totals.get(side) || 1) : count;
+  };
+  const bars = ["left", "right"].flatMap(side => yCategories.map(yCat => ({ side, yCat, count: counts.get(side)?.get(yCat) || 0, value: value(side, yCat) })));
+  const maxValue = d3.max(bars, d => d.value) || 1;
+
+  const xScale = d3.scaleLinear().domain([-maxValue, maxValue]).range([0, graphWidth]);
+  const yScale = d3.scaleBand().domain(yCategories).range([0, graphHeight]).padding(0.2);
+  const format = percent ? (v => `${d3.format(".1f")(v)}%`) : d3.format("d");
+  const sideName = side => sides[side].join(" + ") || "(none)";
+
+  const g = svg.append("g").attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+  g.selectAll(".pyramid-bar")
+    .data(bars)
+    .join("rect")
+    .attr("class", d => `pyramid-bar bar-${d.side}`)
+    .attr("x", d => d.side === "left" ? xScale(-d.value) : xScale(0))
+    .attr("y", d => yScale(d.yCat))
+    .attr("width", d => xScale(d.value) - xScale(0))
+    .attr("height", yScale.bandwidth())
+    .attr("fill", d => d.side === "left" ? "#4c78a8" : "#69b3a2")
+    .append("title")
+    .text(d => `${sideName(d.side)}, ${d.yCat}: ${d.count} (${d3.format(".1f")(100 * d.count / (totals.get(d.side) || 1))}% of side)`);
+
+  if (yScale.bandwidth() >= 8) {
+    g.selectAll(".pyramid-value")
+      .data(bars.filter(d => d.count > 0))
+      .join("text")
+      .attr("class", "pyramid-value")
+      .attr("x", d => d.side === "left" ? xScale(-d.value) - 3 : xScale(d.value) + 3)
+      .attr("y", d => yScale(d.yCat) + yScale.bandwidth() / 2)
+      .attr("dy", "0.32em")
+      .attr("text-anchor", d => d.side === "left" ? "end" : "start")
+      .text(d => format(d.value));
+  }
+
+  g.append("g")
+    .call(d3.axisLeft(yScale).tickSize(0))
+    .attr("transform", `translate(${xScale(0)}, 0)`)
+    .select(".domain").remove();
+
+  g.selectAll(".tick text")
+    .attr("x", 0)
+    .attr("text-anchor", "middle");
+
+  g.append("text").attr("x", xScale(-maxValue / 2)).attr("y", -10).attr("text-anchor", "middle")
+    .text(`${sideName("left")} (n = ${totals.get("left") || 0})`);
+  g.append("text").attr("x", xScale(maxValue / 2)).attr("y", -10).attr("text-anchor", "middle")
+    .text(`${sideName("right")} (n = ${totals.get("right") || 0})`);
+
+  const excluded = [
+    missingX.length ? `${missingX.length} missing ${xDesc}` : null,
+    missingY.length ? `${missingY.length} missing ${yDesc}` : null,
+    complete.length > assigned.length ? `${complete.length - assigned.length} on neither side` : null
+  ].filter(Boolean);
+  g.append("text")
+    .attr("class", "chart-note")
+    .attr("x", graphWidth / 2)
+    .attr("y", graphHeight + 30)
+    .attr("text-anchor", "middle")
+    .text(excluded.length ? `Excluded rows: ${excluded.join(", ")}` : "No rows excluded");
+}
+
+const CHART_MARGIN = {
+  top: 40,
+  right: 200,
+  bottom: 60,
+  left: 60
+};
+
+/**
+ * @param {d3.Selection} svg
+ * @returns {{g: d3.Selection, graphWidth: number, graphHeight: number}} plot
+ *   group inside `CHART_MARGIN` and its size
+ */
+function chartFrame(svg) {
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const margin = CHART_MARGIN;
+  return {
+    g: svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`),
+    graphWidth: width - margin.left - margin.right,
+    graphHeight: height - margin.top - margin.bottom
+  };
+}
+
+/**
+ * @param {d3.Selection} g
+ * @param {number} graphWidth
+ * @param {number} graphHeight
+ * @param {string[]} excluded - reasons rows were left out, e.g. `12 missing age`
+ */
+function drawChartNote(g, graphWidth, graphHeight, excluded) {
+  if (!excluded.length) return;
+  g.append("text")
+    .attr("class", "chart-note")
+    .attr("x", graphWidth / 2)
+    .attr("y", graphHeight + 50)
+    .attr("text-anchor", "middle")
+    .text(`Excluded rows: ${excluded.join(", ")}`);
+}
+
+/**
+ * @param {string} key - descriptor
+ * @returns {function(object): string} a row's category, `(missing)` when blank
+ */
+const categoryOf = key => row => isMissing(row.descriptors[key]) ? MISSING_KEY : String(row.descriptors[key]);
+
+function drawHistogram(svg, xDesc, xInfo) {
+  const rows = state.sequences.filter(d => !isMissing(axisValue(d, xDesc)) && !isNaN(+axisValue(d, xDesc)));
+  const { g, graphWidth, graphHeight } = chartFrame(svg);
+  const x = axisScale(xInfo, [0, graphWidth]);
+  const count = Math.max(1, +document.getElementById("chartBins").value || 20);
+  const bins = d3.bin()
+    .value(d => axisValue(d, xDesc))
+    .domain(x.domain())
+    .thresholds(x.ticks(count))(rows);
+  const y = d3.scaleLinear().domain([0, d3.max(bins, b => b.length) || 1]).nice().range([graphHeight, 0]);
+  const format = xInfo.type === 'date' ? formatDate : d3.format("~g");
+
+  g.selectAll(".histogram-bar")
+    .data(bins)
+    .join("rect")
+    .attr("class", "histogram-bar")
+    .attr("x", b => x(b.x0) + 0.5)
+    .attr("width", b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+    .attr("y", b => y(b.length))
+    .attr("height", b => graphHeight - y(b.length))
+    .on("click", (event, b) => setSelection(b, event.shiftKey))
+    .append("title")
+    .text(b => `${xDesc}: ${format(b.x0)} – ${format(b.x1)}\n${b.length} rows`);
+
+  g.append("g").attr("transform", `translate(0,${graphHeight})`).call(d3.axisBottom(x));
+  g.append("g").call(d3.axisLeft(y).ticks(Math.min(10, y.domain()[1])).tickFormat(d3.format("d")));
+  g.append("text").attr("x", graphWidth / 2).attr("y", graphHeight + 35).attr("text-anchor", "middle").text(xDesc);
+  const missing = state.sequences.length - rows.length;
+  drawChartNote(g, graphWidth, graphHeight, missing ? [`${missing} missing ${xDesc}`] : []);
+}
+
+function drawStackedBar(svg, xDesc, xInfo, colourDesc, colourInfo) {
+  const percent = document.getElementById("barScale").value === 'percent';
+  const xKey = categoryOf(xDesc);
+  const colourKey = categoryOf(colourDesc);
+  const groups = d3.group(state.sequences, xKey, colourKey);
+  const withMissing = (domain, present) => present ? [...domain.map(String), MISSING_KEY] : domain.map(String);
+  const xDomain = withMissing(xInfo.domain, groups.has(MISSING_KEY));
+  const keys = withMissing(colourInfo.domain, state.sequences.some(d => colourKey(d) === MISSING_KEY));
+  const colour = colourScale(colourInfo);
+
+  const totals = new Map(xDomain.map(x => [x, d3.sum(keys, k => groups.get(x)?.get(k)?.length || 0)]));
+  const series = d3.stack()
+    .keys(keys)
+    .value((x, k) => groups.get(x)?.get(k)?.length || 0)
+    .offset(percent ? d3.stackOffsetExpand : d3.stackOffsetNone)(xDomain);
+
+  const { g, graphWidth, graphHeight } = chartFrame(svg);
+  const x = d3.scaleBand().domain(xDomain).range([0, graphWidth]).padding(0.2);
+  const y = d3.scaleLinear()
+    .domain([0, percent ? 1 : d3.max(totals.values()) || 1])
+    .nice()
+    .range([graphHeight, 0]);
+
+  g.append("g")
+    .selectAll("g")
+    .data(series)
+    .join("g")
+    .attr("fill", d => colour(d.key))
+    .selectAll("rect")
+    .data(d => d.map(segment => Object.assign(segment, { key: d.key })))
+    .join("rect")
+    .attr("class", "stacked-bar")
+    .attr("x", d => x(d.data))
+    .attr("width", x.bandwidth())
+    .attr("y", d => y(d[1]))
+    .attr("height", d => y(d[0]) - y(d[1]))
+    .on("click", (event, d) => setSelection(groups.get(d.data)?.get(d.key) || [], event.shiftKey))
+    .append("title")
+    .text(d => {
+      const n = groups.get(d.data)?.get(d.key)?.length || 0;
+      return `${xDesc}: ${d.data}\n${colourDesc}: ${d.key}\n${n} rows (${d3.format(".1%")(n / (totals.get(d.data) || 1))})`;
+    });
+
+  g.append("g")
+    .attr("transform", `translate(0,${graphHeight})`)
+    .call(d3.axisBottom(x))
+    .selectAll("text")
+    .attr("transform", "translate(-10,0)rotate(-45)")
+    .style("text-anchor", "end");
+  g.append("g").call(d3.axisLeft(y).tickFormat(percent ? d3.format(".0%") : d3.format("d")));
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -graphHeight / 2)
+    .attr("y", -45)
+    .attr("text-anchor", "middle")
+    .text(percent ? `Share of each ${xDesc}` : "Rows");
+
+  const legend = g.append("g").attr("class", "legend").attr("transform", `translate(${graphWidth + 30}, 0)`);
+  drawColourLegend(legend, colourDesc, colourInfo, colour, keys.includes(MISSING_KEY));
+}
+
+/**
+ * Gaussian kernel density estimate.
+ * @param {number[]} values
+ * @param {number[]} at - points to evaluate
+ * @returns {Array<[number, number]>} `[point, density]` pairs
+ */
+function kernelDensity(values, at) {
+  const n = values.length;
+  const spread = Math.min(d3.deviation(values) || 0, (d3.quantile(values, 0.75) - d3.quantile(values, 0.25)) / 1.34);
+  // Silverman's rule of thumb, falling back to a tenth of the range for tied data
+  const bandwidth = 1.06 * (spread || (d3.max(values) - d3.min(values)) / 10 || 1) * Math.pow(n, -0.2);
+  return at.map(t => [t, d3.mean(values, v => Math.exp(-0.5 * ((t - v) / bandwidth) ** 2)) / (bandwidth * Math.sqrt(2 * Math.PI))]);
+}
+
+function drawBoxPlot(svg, xDesc, xInfo, yDesc) {
+  const violin = document.getElementById("boxStyle").value === 'violin';
+  const yValue = d => +d.descriptors[yDesc];
+  const rows = state.sequences.filter(d => !isMissing(d.descriptors[xDesc]) && !isMissing(d.descriptors[yDesc]) && !isNaN(yValue(d)));
+  const byGroup = d3.group(rows, d => String(d.descriptors[xDesc]));
+  const groups = xInfo.domain.map(String).filter(key => byGroup.has(key)).map(key => {
+    const members = byGroup.get(key);
+    const values = d3.sort(members.map(yValue));
+    const q1 = d3.quantileSorted(values, 0.25);
+    const median = d3.quantileSorted(values, 0.5);
+    const q3 = d3.quantileSorted(values, 0.75);
+    const reach = 1.5 * (q3 - q1);
+    const inside = values.filter(v => v >= q1 - reach && v <= q3 + reach);
+    return {
+      key,
+      members,
+      values,
+      q1,
+      median,
+      q3,
+      low: d3.min(inside),
+      high: d3.max(inside),
+      outliers: members.filter(d => yValue(d) < q1 - reach || yValue(d) > q3 + reach)
+    };
+  });
+
+  const { g, graphWidth, graphHeight } = chartFrame(svg);
+  const x = d3.scaleBand().domain(groups.map(d => d.key)).range([0, graphWidth]).padding(0.3);
+  const y = d3.scaleLinear().domain(d3.extent(rows, yValue)).nice().range([graphHeight, 0]);
+  const format = d3.format("~g");
+
+  const group = g.selectAll(".box-group")
+    .data(groups)
+    .join("g")
+    .attr("class", "box-group")
+    .attr("transform", d => `translate(${x(d.key)},0)`)
+    .on("click", (event, d) => setSelection(d.members, event.shiftKey));
+  group.append("title")
+    .text(d => `${xDesc}: ${d.key} (n = ${d.values.length})\nmedian ${format(d.median)}, IQR ${format(d.q1)}–${format(d.q3)}\nrange ${format(d.values[0])}–${format(d.values[d.values.length - 1])}`);
+
+  const centre = x.bandwidth() / 2;
+  if (violin) {
+    const at = y.ticks(40);
+    const densities = groups.map(d => kernelDensity(d.values, at));
+    const width = d3.scaleLinear().domain([0, d3.max(densities.flat(), p => p[1]) || 1]).range([0, centre]);
+    group.append("path")
+      .attr("class", "violin")
+      .attr("d", (d, i) => d3.area()
+        .x0(p => centre - width(p[1]))
+        .x1(p => centre + width(p[1]))
+        .y(p => y(p[0]))
+        .curve(d3.curveCatmullRom)(densities[i]));
+  }
+
+  const boxWidth = violin ? Math.min(12, x.bandwidth() / 4) : x.bandwidth();
+  group.append("line")
+    .attr("class", "box-whisker")
+    .attr("x1", centre)
+    .attr("x2", centre)
+    .attr("y1", d => y(d.low))
+    .attr("y2", d => y(d.high));
+  group.append("rect")
+    .attr("class", "box")
+    .attr("x", centre - boxWidth / 2)
+    .attr("width", boxWidth)
+    .attr("y", d => y(d.q3))
+    .attr("height", d => Math.max(1, y(d.q1) - y(d.q3)));
+  group.append("line")
+    .attr("class", "box-median")
+    .attr("x1", centre - boxWidth / 2)
+    .attr("x2", centre + boxWidth / 2)
+    .attr("y1", d => y(d.median))
+    .attr("y2", d => y(d.median));
+  if (!violin) {
+    group.selectAll(".box-outlier")
+      .data(d => d.outliers)
+      .join("circle")
+      .attr("class", "box-outlier")
+      .attr("cx", centre)
+      .attr("cy", d => y(yValue(d)))
+      .attr("r", 3)
+      .on("click", (event, d) => {
+        event.stopPropagation();
+        setSelection([d], event.shiftKey);
+      })
+      .append("title")
+      .text(d => `${d.accession}\n${yDesc}: ${d.descriptors[yDesc]}`);
+  }
+
+  g.append("g")
+    .attr("transform", `translate(0,${graphHeight})`)
+    .call(d3.axisBottom(x).tickFormat(key => `${key} (n = ${byGroup.get(key).length})`))
+    .selectAll("text")
+    .attr("transform", "translate(-10,0)rotate(-45)")
+    .style("text-anchor", "end");
+  g.append("g").call(d3.axisLeft(y));
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -graphHeight / 2)
+    .attr("y", -45)
+    .attr("text-anchor", "middle")
+    .text(yDesc);
+  const missing = state.sequences.length - rows.length;
+  drawChartNote(g, graphWidth, graphHeight, missing ? [`${missing} missing ${xDesc} or ${yDesc}`] : []);
+}
+
+function drawMosaic(svg, xDesc, xInfo, yDesc, yInfo) {
+  const rows = state.sequences.filter(d => !isMissing(d.descriptors[xDesc]) && !isMissing(d.descriptors[yDesc]));
+  const cells = d3.group(rows, d => String(d.descriptors[xDesc]), d => String(d.descriptors[yDesc]));
+  const xDomain = xInfo.domain.map(String).filter(key => cells.has(key));
+  const yDomain = yInfo.domain.map(String);
+  const colour = colourScale(yInfo);
+  const gap = 2;
+
+  const { g, graphWidth, graphHeight } = chartFrame(svg);
+  const widthAvailable = graphWidth - gap * Math.max(0, xDomain.length - 1);
+  let left = 0;
+  const tiles = xDomain.flatMap(xKey => {
+    const column = cells.get(xKey);
+    const columnTotal = d3.sum(column.values(), v => v.length);
+    const columnWidth = widthAvailable * columnTotal / rows.length;
+    const present = yDomain.filter(yKey => column.has(yKey));
+    const heightAvailable = graphHeight - gap * Math.max(0, present.length - 1);
+    let top = 0;
+    const columnTiles = present.map(yKey => {
+      const members = column.get(yKey);
+      const tile = { xKey, yKey, members, share: members.length / columnTotal, x: left, y: top, width: columnWidth };
+      tile.height = heightAvailable * tile.share;
+      top += tile.height + gap;
+      return tile;
+    });
+    left += columnWidth + gap;
+    return columnTiles;
+  });
+
+  g.selectAll(".mosaic-tile")
+    .data(tiles)
+    .join("rect")
+    .attr("class", "mosaic-tile")
+    .attr("x", d => d.x)
+    .attr("y", d => d.y)
+    .attr("width", d => d.width)
+    .attr("height", d => d.height)
+    .attr("fill", d => colour(d.yKey))
+    .on("click", (event, d) => setSelection(d.members, event.shiftKey))
+    .append("title")
+    .text(d => `${xDesc}: ${d.xKey}\n${yDesc}: ${d.yKey}\n${d.members.length} rows (${d3.format(".1%")(d.share)} of ${d.xKey})`);
+
+  const columns = d3.rollups(tiles, v => ({ x: v[0].x, width: v[0].width }), d => d.xKey);
+  g.append("g")
+    .attr("class", "mosaic-labels")
+    .selectAll("text")
+    .data(columns)
+    .join("text")
+    .attr("transform", ([, c]) => `translate(${c.x + c.width / 2},${graphHeight + 12})rotate(-45)`)
+    .attr("text-anchor", "end")
+    .text(([key]) => key);
+  g.append("text").attr("x", graphWidth / 2).attr("y", -10).attr("text-anchor", "middle")
+    .text(`${yDesc} within ${xDesc} (column width ∝ rows)`);
+
+  const legend = g.append("g").attr("class", "legend").attr("transform", `translate(${graphWidth + 30}, 0)`);
+  drawColourLegend(legend, yDesc, yInfo, colour);
+  const missing = state.sequences.length - rows.length;
+  drawChartNote(g, graphWidth, graphHeight, missing ? [`${missing} missing ${xDesc} or ${yDesc}`] : []);
+}
+
+/**
+ * @param {Date} date
+ * @returns {number} the date as a decimal year, e.g. 2022.19
+ */
+function decimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  return year + (date - start) / (Date.UTC(year + 1, 0, 1) - start);
+}
+
+/**
+ * @param {number} value - decimal year
+ * @returns {Date}
+ */
+function dateFromDecimalYear(value) {
+  const year = Math.floor(value);
+  const start = Date.UTC(year, 0, 1);
+  return new Date(start + (value - year) * (Date.UTC(year + 1, 0, 1) - start));
+}
+
+/**
+ * Ordinary least squares fit of `y` on `x` from running sums.
+ * @param {{n: number, x: number, y: number, xx: number, yy: number, xy: number}} sums
+ * @returns {{slope: number, intercept: number, r2: number}}
+ */
+function regressionFromSums({ n, x, y, xx, yy, xy }) {
+  const sxx = xx - x * x / n;
+  const syy = yy - y * y / n;
+  const sxy = xy - x * y / n;
+  const slope = sxx > 0 ? sxy / sxx : NaN;
+  return {
+    slope,
+    intercept: (y - slope * x) / n,
+    r2: sxx > 0 && syy > 0 ? sxy * sxy / (sxx * syy) : 0
+  };
+}
+
+/**
+ * Finds the root position that maximises R² of the root-to-tip regression
+ * with a positive rate, trying every branch. Per-branch sums of distance,
+ * distance² and distance×date are gathered in two passes over the tree, so
+ * each candidate position is scored in constant time.
+ * @param {d3.HierarchyNode} root
+ * @param {Map<d3.HierarchyNode, number>} tipDates - decimal year of each dated tip
+ * @returns {{node: d3.HierarchyNode, offset: number, r2: number}|null}
+ *   the best branch (the one above `node`) and the distance of the root from `node`
+ */
+function findBestRoot(root, tipDates) {
+  const zero = () => ({ n: 0, t: 0, tt: 0, d: 0, dd: 0, dt: 0 });
+  const add = (a, b) => ({ n: a.n + b.n, t: a.t + b.t, tt: a.tt + b.tt, d: a.d + b.d, dd: a.dd + b.dd, dt: a.dt + b.dt });
+  const sub = (a, b) => ({ n: a.n - b.n, t: a.t - b.t, tt: a.tt - b.tt, d: a.d - b.d, dd: a.dd - b.dd, dt: a.dt - b.dt });
+  const shift = (a, l) => ({ n: a.n, t: a.t, tt: a.tt, d: a.d + l * a.n, dd: a.dd + 2 * l * a.d + l * l * a.n, dt: a.dt + l * a.t });
+
+  const inside = new Map();
+  root.eachAfter(node => {
+    if (!node.children) {
+      const t = tipDates.get(node);
+      inside.set(node, t === undefined ? zero() : { n: 1, t, tt: t * t, d: 0, dd: 0, dt: 0 });
+      return;
+    }
+    inside.set(node, node.children.reduce((acc, c) => add(acc, shift(inside.get(c), c.data.length || 0)), zero()));
+  });
+
+  const outside = new Map([[root, zero()]]);
+  root.eachBefore(node => {
+    if (!node.children) return;
+    const full = add(inside.get(node), outside.get(node));
+    node.children.forEach(c => {
+      const l = c.data.length || 0;
+      outside.set(c, shift(sub(full, shift(inside.get(c), l)), l));
+    });
+  });
+
+  const total = inside.get(root);
+  if (total.n < 3) return null;
+
+  let best = null;
+  root.each(node => {
+    if (!node.parent) return;
+    const a = inside.get(node);
+    const b = outside.get(node);
+    if (!a.n || !b.n) return;
+    const length = node.data.length || 0;
+    const score = offset => {
+      const fit = regressionFromSums({
+        n: total.n,
+        x: total.t,
+        xx: total.tt,
+        y: a.d + b.d + offset * (a.n - b.n),
+        yy: a.dd + b.dd + 2 * offset * (a.d - b.d) + offset * offset * total.n,
+        xy: a.dt + b.dt + offset * (a.t - b.t)
+      });
+      return fit.slope > 0 ? fit.r2 : -fit.r2;
+    };
+
+    let lo = 0;
+    let hi = length;
+    const phi = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 40 && hi - lo > 1e-12; i++) {
+      const m1 = hi - phi * (hi - lo);
+      const m2 = lo + phi * (hi - lo);
+      if (score(m1) < score(m2)) lo = m1;
+      else hi = m2;
+    }
+    const candidates = [0, length, (lo + hi) / 2];
+    const offset = candidates.reduce((x, c) => score(c) > score(x) ? c : x);
+    const r2 = score(offset);
+    if (!best || r2 > best.r2) best = { node, offset, r2 };
+  });
+  return best;
+}
+
+/**
+ * Distance from a point on the branch above `node` (at `offset` from
+ * `node`) to every tip.
+ * @param {d3.HierarchyNode} root
+ * @param {d3.HierarchyNode} node
+ * @param {number} offset
+ * @returns {Map<d3.HierarchyNode, number>}
+ */
+function distancesFromBranch(root, node, offset) {
+  const distances = new Map();
+  const visit = (current, from, distance) => {
+    if (!current.children) distances.set(current, distance);
+    (current.children || []).forEach(c => {
+      if (c !== from) visit(c, current, distance + (c.data.length || 0));
+    });
+    if (current.parent && current.parent !== from) visit(current.parent, current, distance + (current.data.length || 0));
+  };
+  visit(node, node.parent, offset);
+  visit(node.parent, node, (node.data.length || 0) - offset);
+  return distances;
+}
+
+/**
+ * Root-to-tip regression for the displayed tree: root-to-tip distance of
+ * every dated, visible tip against its sampling date.
+ * @param {string} dateDesc
+ * @param {boolean} bestRoot - measure from the best-fitting root instead of the tree's root
+ * @returns {object|null}
+ */
+function computeRootToTip(dateDesc, bestRoot) {
+  if (!state.tree) return null;
+  const root = d3.hierarchy(state.tree, d => d.branchset);
+  const visible = state.visible;
+
+  const tipDates = new Map();
+  const tipSeqs = new Map();
+  root.leaves().forEach(leaf => {
+    const seq = state.tipIndex.get(leaf.data.name);
+    const date = seq && visible.has(seq) ? seq.dates[dateDesc] : null;
+    if (date) {
+      tipDates.set(leaf, decimalYear(date));
+      tipSeqs.set(leaf, seq);
+    }
+  });
+  if (tipDates.size < 3) return null;
+
+  let distances;
+  let rootPosition = null;
+  if (bestRoot) {
+    rootPosition = findBestRoot(root, tipDates);
+  }
+  if (rootPosition) {
+    distances = distancesFromBranch(root, rootPosition.node, rootPosition.offset);
+  } else {
+    distances = new Map();
+    root.eachBefore(node => {
+      node.distance = node.parent ? node.parent.distance + (node.data.length || 0) : 0;
+      if (!node.children) distances.set(node, node.distance);
+    });
+  }
+
+  const points = Array.from(tipDates, ([leaf, t]) => ({
+    leaf,
+    seq: tipSeqs.get(leaf),
+    t,
+    distance: distances.get(leaf)
+  }));
+  const fit = regressionFromSums(points.reduce((acc, p) => ({
+    n: acc.n + 1,
+    x: acc.x + p.t,
+    y: acc.y + p.distance,
+    xx: acc.xx + p.t * p.t,
+    yy: acc.yy + p.distance * p.distance,
+    xy: acc.xy + p.t * p.distance
+  }), { n: 0, x: 0, y: 0, xx: 0, yy: 0, xy: 0 }));
+
+  points.forEach(p => {
+    p.residual = p.distance - (fit.intercept + fit.slope * p.t);
+  });
+  const residualSd = d3.deviation(points, p => p.residual) || 0;
+
+  return {
+    points,
+    fit,
+    residualSd,
+    xIntercept: fit.slope ? -fit.intercept / fit.slope : NaN,
+    rootPosition
+  };
+}
+
+function drawRootToTip() {
+  const svg = d3.select("#rttSvg");
+  svg.selectAll("*").remove();
+  const stats = d3.select("#rttStats");
+  stats.selectAll("*").remove();
+
+  const message = text => svg.append("text")
+    .attr("x", "50%")
+    .attr("y", "50%")
+    .attr("text-anchor", "middle")
+    .text(text);
+
+  const dateDesc = document.getElementById("rttDate").value;
+  if (!state.descriptorInfo[dateDesc] || state.descriptorInfo[dateDesc].type !== 'date') {
+    message("No date column was detected in the metadata.");
+    return;
+  }
+  const result = computeRootToTip(dateDesc, document.getElementById("rttBestRoot").checked);
+  const applyRoot = document.getElementById("rttApplyRoot");
+  applyRoot.hidden = !(result && result.rootPosition);
+  if (!result) {
+    message("At least three dated tips are needed for a root-to-tip regression.");
+    return;
+  }
+
+  const threshold = +document.getElementById("rttOutlier").value;
+  const { points, fit, residualSd, xIntercept, rootPosition } = result;
+  points.forEach(p => {
+    p.outlier = residualSd > 0 && Math.abs(p.residual) > threshold * residualSd;
+  });
+  const outliers = points.filter(p => p.outlier);
+
+  const formatNumber = d3.format(".3~g");
+  const tmrca = isFinite(xIntercept) ? `${xIntercept.toFixed(2)} (${formatDate(dateFromDecimalYear(xIntercept))})` : "n/a";
+  const rows = [
+    ["Tips", points.length],
+    ["Rate (slope)", `${formatNumber(fit.slope)} subs/site/year`],
+    ["TMRCA (x-intercept)", tmrca],
+    ["R²", fit.r2.toFixed(3)],
+    ["Correlation", (Math.sign(fit.slope) * Math.sqrt(fit.r2)).toFixed(3)],
+    ["Residual outliers", outliers.length]
+  ];
+  if (rootPosition) {
+    const tips = rootPosition.node.leaves();
+    rows.push(["Best root", `on the branch above ${tips.length === 1 ? tips[0].data.name : `a clade of ${tips.length} tips`}`]);
+    // Once applied, the tree's own root is the best one, so the option is switched off
+    applyRoot.onclick = () => {
+      document.getElementById("rttBestRoot").checked = false;
+      editTree(() => rerootTree(state.tree, rootPosition.node.data, rootPosition.offset));
+    };
+  }
+  stats.append("table")
+    .selectAll("tr")
+    .data(rows)
+    .join("tr")
+    .selectAll("td")
+    .data(d => d)
+    .join("td")
+    .text(d => d);
+
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const margin = {
+    top: 20,
+    right: 30,
+    bottom: 50,
+    left: 70
+  };
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleUtc()
+    .domain(d3.extent(points, p => dateFromDecimalYear(p.t))).nice()
+    .range([0, graphWidth]);
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(points, p => p.distance) || 1]).nice()
+    .range([graphHeight, 0]);
+
+  g.append("g").attr("transform", `translate(0,${graphHeight})`).call(d3.axisBottom(x));
+  g.append("g").call(d3.axisLeft(y));
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -graphHeight / 2)
+    .attr("y", -55)
+    .attr("text-anchor", "middle")
+    .text("Root-to-tip distance");
+
+  const [t0, t1] = x.domain().map(decimalYear);
+  g.append("line")
+    .attr("class", "rtt-fit")
+    .attr("x1", x(dateFromDecimalYear(t0)))
+    .attr("x2", x(dateFromDecimalYear(t1)))
+    .attr("y1", y(fit.intercept + fit.slope * t0))
+    .attr("y2", y(fit.intercept + fit.slope * t1));
+
+  g.append("g")
+    .selectAll("circle")
+    .data(points)
+    .join("circle")
+    .attr("class", d => d.outlier ? "rtt-point outlier" : "rtt-point")
+    .attr("cx", d => x(dateFromDecimalYear(d.t)))
+    .attr("cy", d => y(d.distance))
+    .attr("r", d => d.outlier ? 5 : 3.5)
+    .on("click", (event, d) => setSelection([d.seq], event.shiftKey))
+    .append("title")
+    .text(d => `${d.leaf.data.name}\n${formatDate(dateFromDecimalYear(d.t))}\n` +
+      `distance: ${formatNumber(d.distance)}\nresidual: ${formatNumber(d.residual)}`);
+
+  updateSelectionViews();
+}
+
+const EPI_INTERVALS = {
+  day: d3.utcDay,
+  week: d3.utcWeek,
+  month: d3.utcMonth
+};
+
+/**
+ * Histogram of sequence counts over time for the chosen date descriptor,
+ * binned by day, week or month and optionally stacked by a categorical
+ * descriptor. Clicking a bar segment selects its sequences.
+ */
+function drawEpiCurve() {
+  const svg = d3.select("#epiSvg");
+  svg.selectAll("*").remove();
+
+  const dateDesc = document.getElementById("epiDate").value;
+  const dateInfo = state.descriptorInfo[dateDesc];
+  if (!dateInfo || dateInfo.type !== 'date') {
+    svg.append("text")
+      .attr("x", "50%")
+      .attr("y", "50%")
+      .attr("text-anchor", "middle")
+      .text("No date column was detected in the metadata.");
+    return;
+  }
+
+  const binName = document.getElementById("epiBin").value;
+  const interval = EPI_INTERVALS[binName];
+  const stackDesc = document.getElementById("epiStack").value;
+  const stackInfo = state.descriptorInfo[stackDesc];
+  const stackKey = s => isMissing(s.descriptors[stackDesc]) ? MISSING_KEY : String(s.descriptors[stackDesc]);
+
+  const dated = state.sequences.filter(s => s.dates[dateDesc]);
+  const undated = state.sequences.length - dated.length;
+  if (!dated.length) {
+    svg.append("text")
+      .attr("x", "50%")
+      .attr("y", "50%")
+      .attr("text-anchor", "middle")
+      .text(`No sequences with a ${dateDesc} value.`);
+    return;
+  }
+
+  const present = new Set(dated.map(stackKey));
+  const keys = stackInfo ? [...stackInfo.domain.map(String), MISSING_KEY].filter(key => present.has(key)) : ["Sequences"];
+  const [first, last] = d3.extent(dated, s => s.dates[dateDesc]);
+  const starts = interval.range(interval.floor(first), interval.offset(interval.floor(last), 1));
+  const bins = starts.map(start => ({
+    start,
+    end: interval.offset(start, 1),
+    seqs: [],
+    counts: Object.fromEntries(keys.map(k => [k, 0]))
+  }));
+  dated.forEach(s => {
+    const bin = bins[d3.bisectRight(starts, s.dates[dateDesc]) - 1];
+    const key = stackInfo ? stackKey(s) : keys[0];
+    bin.seqs.push(s);
+    bin.counts[key]++;
+  });
+
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const margin = {
+    top: 30,
+    right: 200,
+    bottom: 60,
+    left: 60
+  };
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleUtc().domain([bins[0].start, bins[bins.length - 1].end]).range([0, graphWidth]);
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(bins, b => b.seqs.length)]).nice()
+    .range([graphHeight, 0]);
+  const colour = stackInfo ? colourScale(stackInfo) : () => d3.schemeTableau10[0];
+
+  const series = d3.stack().keys(keys).value((b, key) => b.counts[key])(bins);
+
+  g.append("g")
+    .selectAll("g")
+    .data(series)
+    .join("g")
+    .attr("fill", d => colour(d.key))
+    .selectAll("rect")
+    .data(d => d.map(segment => Object.assign(segment, { key: d.key })))
+    .join("rect")
+    .attr("class", "epi-bar")
+    .attr("x", d => x(d.data.start) + 0.5)
+    .attr("width", d => Math.max(0, x(d.data.end) - x(d.data.start) - 1))
+    .attr("y", d => y(d[1]))
+    .attr("height", d => y(d[0]) - y(d[1]))
+    .on("click", (event, d) => {
+      const seqs = stackInfo ? d.data.seqs.filter(s => stackKey(s) === d.key) : d.data.seqs;
+      setSelection(seqs, event.shiftKey);
+    })
+    .append("title")
+    .text(d => `${formatDate(d.data.start)} – ${formatDate(interval.offset(d.data.end, -1))}` +
+      `${stackInfo ? `\n${stackDesc}: ${d.key}` : ""}\n${d[1] - d[0]} sequences`);
+
+  g.append("g")
+    .attr("transform", `translate(0,${graphHeight})`)
+    .call(d3.axisBottom(x))
+    .selectAll("text")
+    .attr("transform", "translate(-10,0)rotate(-45)")
+    .style("text-anchor", "end");
+  g.append("g").call(d3.axisLeft(y).ticks(Math.min(10, y.domain()[1])).tickFormat(d3.format("d")));
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -graphHeight / 2)
+    .attr("y", -45)
+    .attr("text-anchor", "middle")
+    .text(`Sequences per ${binName}`);
+
+  const coarse = DATE_PRECISIONS.slice(binName === 'month' ? 2 : 1)
+    .reduce((n, p) => n + (dateInfo.precisionCounts[p] || 0), 0);
+  const notes = [];
+  if (undated) notes.push(`${undated} sequences without a ${dateDesc} value are not shown.`);
+  if (coarse) notes.push(`${coarse} dates are coarser than a ${binName} and are placed at the start of their month or year.`);
+  g.append("text")
+    .attr("class", "epi-note")
+    .attr("y", graphHeight + 55)
+    .text(notes.join(" "));
+
+  if (stackInfo) {
+    const legend = g.append("g").attr("class", "legend").attr("transform", `translate(${graphWidth + 30}, 0)`);
+    legend.append("text").text(stackDesc).attr("font-weight", "bold");
+    const items = legend.selectAll("g").data(keys).join("g").attr("transform", (d, i) => `translate(0, ${20 * (i + 1)})`);
+    items.append("rect").attr("width", 15).attr("height", 15).attr("fill", colour);
+    items.append("text").text(d => d).attr("x", 20).attr("y", 12.5);
+  }
+}
+
+// Label of the totals row and column in the completeness heatmap
+const HEAT_TOTAL = "All";
+// Average-linkage clustering keeps an n × n distance matrix, so larger inputs fall back to sorting
+const CLUSTER_LIMIT = 1500;
+
+/**
+ * Average-linkage (UPGMA) hierarchical clustering by Euclidean distance,
+ * using the nearest-neighbour chain algorithm.
+ * @param {Array} items
+ * @param {function(*): number[]} vectorOf
+ * @returns {object|null} binary tree of `{children, height}` nodes with
+ *   `{item, height: 0}` leaves; `height` is the merge distance
+ */
+function clusterAverage(items, vectorOf) {
+  const n = items.length;
+  if (!n) return null;
+  const vectors = items.map(vectorOf);
+  const nodes = items.map(item => ({ item, height: 0, size: 1 }));
+  const dist = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      dist[i * n + j] = dist[j * n + i] = Math.sqrt(d3.sum(vectors[i], (v, k) => (v - vectors[j][k]) ** 2));
+    }
+  }
+  const alive = new Array(n).fill(true);
+  const chain = [];
+  for (let remaining = n; remaining > 1;) {
+    if (!chain.length) chain.push(alive.indexOf(true));
+    const a = chain[chain.length - 1];
+    // Prefer the previous link on ties so the chain always ends in a mutual pair
+    let b = chain.length > 1 ? chain[chain.length - 2] : -1;
+    let best = b >= 0 ? dist[a * n + b] : Infinity;
+    for (let j = 0; j < n; j++) {
+      if (alive[j] && j !== a && dist[a * n + j] < best) {
+        best = dist[a * n + j];
+        b = j;
+      }
+    }
+    if (chain.length > 1 && b === chain[chain.length - 2]) {
+      chain.length -= 2;
+      const [sa, sb] = [nodes[a].size, nodes[b].size];
+      for (let j = 0; j < n; j++) {
+        if (!alive[j] || j === a || j === b) continue;
+        dist[a * n + j] = dist[j * n + a] = (sa * dist[a * n + j] + sb * dist[b * n + j]) / (sa + sb);
+      }
+      nodes[a] = { children: [nodes[a], nodes[b]], height: best, size: sa + sb };
+      alive[b] = false;
+      remaining--;
+    } else {
+      chain.push(b);
+    }
+  }
+  return nodes[alive.indexOf(true)];
+}
+
+/**
+ * @param {object} node - from `clusterAverage`
+ * @returns {Array} the clustered items in dendrogram order
+ */
+function clusterLeaves(node) {
+  return node.children ? node.children.flatMap(clusterLeaves) : [node.item];
+}
+
+/**
+ * Draws a dendrogram whose leaves sit at given positions along one axis.
+ * @param {d3.Selection} g
+ * @param {object} root - from `clusterAverage`
+ * @param {function(*): number} position - centre of a leaf item along the axis
+ * @param {number} depth - pixels from leaves to the root
+ * @param {boolean} vertical - leaves along x with the root above, else along y with the root to the right
+ */
+function drawDendrogram(g, root, position, depth, vertical) {
+  if (!root || !root.children) return;
+  const scale = d3.scaleLinear().domain([0, root.height || 1]).range([0, depth]);
+  const path = d3.path();
+  const place = node => {
+    if (!node.children) return position(node.item);
+    const [a, b] = node.children.map(child => [place(child), scale(child.height)]);
+    const at = scale(node.height);
+    const point = (along, away) => vertical ? [along, -away] : [away, along];
+    [a, b].forEach(([along, away]) => {
+      path.moveTo(...point(along, away));
+      path.lineTo(...point(along, at));
+    });
+    path.moveTo(...point(a[0], at));
+    path.lineTo(...point(b[0], at));
+    return (a[0] + b[0]) / 2;
+  };
+  place(root);
+  g.append("path").attr("class", "dendrogram").attr("d", path);
+}
+
+/**
+ * Descriptors that take at most one value within every study, so describe
+ * the paper rather than its sequences, after the columns of the paper table.
+ * @returns {string[]}
+ */
+function paperAttributes() {
+  const studies = [...state.studyIndex.values()];
+  const constant = state.descriptors.filter(key => studies.every(rows =>
+    unique(rows.map(r => r.descriptors[key]).filter(v => !isMissing(v)).map(String)).length <= 1));
+  const paperKeys = state.paperColumns.filter(key => state.descriptors.includes(key));
+  return unique([...paperKeys, ...constant]);
+}
+
+/**
+ * @param {string} key - from `paperAttributes`
+ * @returns {function(string): string} a study's value of the attribute, `(missing)` when it has none
+ */
+function paperValueOf(key) {
+  return pmid => {
+    const value = (state.studyIndex.get(pmid) || []).map(s => s.descriptors[key]).find(v => !isMissing(v));
+    return isMissing(value) ? MISSING_KEY : String(value);
+  };
+}
+
+// Paper-table columns that label a study, by the first column whose name matches
+const PAPER_LABEL_COLUMNS = {
+  title: /title/i,
+  author: /first.?author|^authors?$/i,
+  year: /year/i,
+  journal: /journal|venue|source/i
+};
+
+/**
+ * @param {string} pmid
+ * @param {string} role - a key of `PAPER_LABEL_COLUMNS`
+ * @returns {string|undefined} the paper-table column filling that role for the study
+ */
+function paperFieldKey(pmid, role) {
+  const paper = state.paperIndex.get(pmid) || {};
+  return state.paperColumns.find(key => PAPER_LABEL_COLUMNS[role].test(key) && !isMissing(paper[key]));
+}
+
+/**
+ * @param {string} pmid
+ * @returns {string} "Author Year" from the paper table, else its title, else the study ID
+ */
+function studyLabel(pmid) {
+  const paper = state.paperIndex.get(pmid) || {};
+  const [author, year, title] = ['author', 'year', 'title'].map(role => {
+    const key = paperFieldKey(pmid, role);
+    return key ? String(paper[key]).trim() : null;
+  });
+  if (author) {
+    // "Smith J, Jones K" → "Smith"
+    const surname = author.split(/[,;]| and /)[0].trim().replace(/\s+[A-Z]{1,3}\.?$/, "");
+    return [surname, year].filter(Boolean).join(" ");
+  }
+  if (title) return title.length > 30 ? `${title.slice(0, 29)}…` : title;
+  return pmid;
+}
+
+/**
+ * @param {string} pmid
+ * @returns {string} the study ID and its paper-table fields, one per line, for tooltips
+ */
+function studyDescription(pmid) {
+  const paper = state.paperIndex.get(pmid) || {};
+  return [
+    `${state.columns.study || "Study"}: ${pmid}`,
+    ...state.paperColumns.filter(key => !isMissing(paper[key])).map(key => `${key}: ${paper[key]}`),
+    `${(state.studyIndex.get(pmid) || []).length} sequences`
+  ].join("\n");
+}
+
+/**
+ * @param {string} pmid
+ * @returns {string|null} a PubMed or DOI link for the study ID
+ */
+function studyLink(pmid) {
+  const id = studyJoinKey(pmid);
+  if (/^10\.\d+\//.test(id)) return `https://doi.org/${id}`;
+  if (/^\d+$/.test(id) && /pmid|pubmed/i.test(state.columns.study || "")) return `https://pubmed.ncbi.nlm.nih.gov/${id}/`;
+  return null;
+}
+
+/**
+ * Shows a card for one study in the heatmap panel: its paper-table fields,
+ * how many of its sequences are loaded, shown and selected, and how
+ * complete their metadata is.
+ * @param {string} pmid
+ */
+function showPaperCard(pmid) {
+  const card = d3.select("#paperCard");
+  card.selectAll("*").remove();
+  const paper = state.paperIndex.get(pmid) || {};
+  const rows = state.studyIndex.get(pmid) || [];
+  const fields = state.descriptors.filter(key => !state.paperColumns.includes(key));
+  const filledShare = key => rows.filter(s => !isMissing(s.descriptors[key])).length / rows.length;
+  const percent = d3.format(".0%");
+
+  card.append("button")
+    .attr("class", "paper-card-close")
+    .attr("title", "Close")
+    .text("×")
+    .on("click", () => card.attr("hidden", ""));
+  const titleKey = paperFieldKey(pmid, 'title');
+  card.append("h3").text(titleKey ? paper[titleKey] : studyLabel(pmid));
+  const bylineKeys = ['author', 'journal', 'year'].map(role => paperFieldKey(pmid, role)).filter(Boolean);
+  if (bylineKeys.length) card.append("p").attr("class", "paper-byline").text(bylineKeys.map(key => paper[key]).join(", "));
+
+  const list = card.append("dl");
+  const add = (term, value) => {
+    list.append("dt").text(term);
+    return list.append("dd").text(value);
+  };
+  const id = add(state.columns.study || "Study", pmid);
+  const link = studyLink(pmid);
+  if (link) id.text("").append("a").attr("href", link).attr("target", "_blank").attr("rel", "noopener").text(pmid);
+  const shown = [titleKey, ...bylineKeys];
+  state.paperColumns
+    .filter(key => !shown.includes(key) && !isMissing(paper[key]))
+    .forEach(key => add(key, paper[key]));
+  const visible = rows.filter(s => state.visible.has(s)).length;
+  const selected = rows.filter(s => state.selection.has(s)).length;
+  add("Sequences", `${rows.length} loaded, ${visible} shown, ${selected} selected`);
+  if (fields.length && rows.length) {
+    add("Completeness", `${percent(d3.mean(fields, filledShare))} of values filled`);
+    const gaps = d3.sort(fields.filter(key => filledShare(key) < 1), filledShare).slice(0, 3);
+    if (gaps.length) add("Least complete", gaps.map(key => `${key} (${percent(filledShare(key))})`).join(", "));
+  }
+  card.attr("hidden", null).attr("data-pmid", pmid);
+}
+
+function drawHeat() {
+  const svg = d3.select("#heatSvg");
+  svg.selectAll("*").remove();
+  prepareCanvas("heatCanvas", 0, 0, false);
+  const card = document.getElementById("paperCard");
+  if (!card.hidden && state.studyIndex.has(card.dataset.pmid)) showPaperCard(card.dataset.pmid);
+
+  // Paper-table columns are the same for every sequence of a study, so say nothing about completeness
+  const descriptors = state.descriptors.filter(key => !state.paperColumns.includes(key));
+  const byStudy = d3.group(state.sequences, s => s.pmid);
+  const studies = [...byStudy.keys()];
+  if (!descriptors.length || !studies.length) return;
+
+  const sortBy = document.getElementById("heatSort").value;
+  const groupKey = document.getElementById("heatGroup").value;
+  const colourScheme = document.getElementById("heatColour").value;
+  const colour = d3.scaleSequential(d3[colourScheme]).domain([0, 1]);
+
+  // filled[pmid][descriptor] = sequences of the study with a value
+  const filled = new Map(studies.map(pmid => {
+    const rows = byStudy.get(pmid);
+    return [pmid, new Map(descriptors.map(key => [key, rows.filter(s => !isMissing(s.descriptors[key])).length]))];
+  }));
+  const cellOf = (pmid, descriptor) => {
+    const total = pmid === HEAT_TOTAL ? state.sequences.length : byStudy.get(pmid).length;
+    const keys = descriptor === HEAT_TOTAL ? descriptors : [descriptor];
+    const pmids = pmid === HEAT_TOTAL ? studies : [pmid];
+    const count = d3.sum(pmids, p => d3.sum(keys, key => filled.get(p).get(key)));
+    return { pmid, descriptor, count, total: total * keys.length, value: count / (total * keys.length) };
+  };
+  const studyCompleteness = new Map(studies.map(pmid => [pmid, cellOf(pmid, HEAT_TOTAL).value]));
+  const fieldCompleteness = new Map(descriptors.map(key => [key, cellOf(HEAT_TOTAL, key).value]));
+
+  const groupOf = groupKey ? paperValueOf(groupKey) : () => null;
+  const byMissingLast = (a, b) => (a === MISSING_KEY) - (b === MISSING_KEY) || compareLevels(a, b);
+  const groups = d3.groups(studies, groupOf).sort(([a], [b]) => byMissingLast(a, b));
+  const sortAttribute = sortBy.startsWith("paper:") ? paperValueOf(sortBy.slice("paper:".length)) : null;
+  const clustered = sortBy === 'cluster' && studies.length <= CLUSTER_LIMIT;
+  const studyVector = pmid => descriptors.map(key => filled.get(pmid).get(key) / byStudy.get(pmid).length);
+  const fieldVector = key => studies.map(pmid => filled.get(pmid).get(key) / byStudy.get(pmid).length);
+  const order = (items, completeness, vectorOf, attributeOf) => {
+    if (clustered) {
+      const tree = clusterAverage(items, vectorOf);
+      return { items: clusterLeaves(tree), tree };
+    }
+    if (attributeOf) return { items: items.slice().sort((a, b) => byMissingLast(attributeOf(a), attributeOf(b))), tree: null };
+    if (sortBy === 'original' || sortAttribute) return { items, tree: null };
+    return { items: d3.sort(items, d => -completeness.get(d)), tree: null };
+  };
+  // Sorting by a study attribute orders the columns and leaves the rows as loaded
+  const columnGroups = groups.map(([name, members]) => ({ name, ...order(members, studyCompleteness, studyVector, sortAttribute) }));
+  const rows = order(descriptors, fieldCompleteness, fieldVector, null);
+
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const DENDROGRAM = 50;
+  const GAP = 6;
+  const margin = {
+    top: 30 + (groupKey ? 20 : 0) + (clustered ? DENDROGRAM : 0),
+    right: 20 + (clustered ? DENDROGRAM + 10 : 0),
+    bottom: 180,
+    left: 150
+  };
+  const graphWidth = width - margin.left - margin.right;
+  const graphHeight = height - margin.top - margin.bottom;
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  // Columns are laid out by hand to leave gaps between groups and before the totals
+  const columnCount = studies.length + 1;
+  const step = (graphWidth - GAP * columnGroups.length) / columnCount;
+  const columns = [];
+  let left = 0;
+  columnGroups.forEach(group => {
+    group.x0 = left;
+    group.items.forEach(pmid => {
+      columns.push({ key: pmid, x: left });
+      left += step;
+    });
+    group.x1 = left;
+    left += GAP;
+  });
+  columns.push({ key: HEAT_TOTAL, x: left });
+  const columnX = new Map(columns.map(c => [c.key, c.x]));
+  const cellWidth = step * 0.95;
+
+  const y = d3.scaleBand().domain([...rows.items, HEAT_TOTAL]).range([0, graphHeight - GAP]).padding(0.05);
+  const rowY = key => y(key) + (key === HEAT_TOTAL ? GAP : 0);
+
+  const cells = columns.flatMap(({ key: pmid }) => [...rows.items, HEAT_TOTAL].map(descriptor => cellOf(pmid, descriptor)));
+  const percent = d3.format(".0%");
+  const cellTitle = d => {
+    const where = `${d.pmid === HEAT_TOTAL ? "All studies" : studyLabel(d.pmid)} – ${d.descriptor === HEAT_TOTAL ? "all fields" : d.descriptor}`;
+    const unit = d.descriptor === HEAT_TOTAL ? "values" : "sequences";
+    return `${where}: ${d.count} of ${d.total} ${unit} filled (${percent(d.value)})`;
+  };
+  const onCellClick = (event, d) => {
+    if (d.descriptor === HEAT_TOTAL || d.count === d.total) {
+      if (d.pmid !== HEAT_TOTAL) selectStudy(d.pmid, event.shiftKey);
+      return;
+    }
+    setFilter(MISSING_FILTER_KEY, {
+      type: 'missing',
+      pmid: d.pmid === HEAT_TOTAL ? null : d.pmid,
+      descriptor: d.descriptor
+    });
+  };
+
+  // Label every nth study when there are too many to fit
+  const labelEvery = Math.ceil(14 / step);
+  const labelled = columns.filter((c, i) => c.key === HEAT_TOTAL || i % labelEvery === 0);
+  g.append("g")
+    .attr("class", "x-axis")
+    .attr("transform", `translate(0,${graphHeight + 6})`)
+    .selectAll(".tick")
+    .data(labelled.map(c => c.key))
+    .join("g")
+    .attr("class", "tick")
+    .attr("transform", key => `translate(${columnX.get(key) + cellWidth / 2},0)`)
+    .append("text")
+    .text(key => key === HEAT_TOTAL ? key : studyLabel(key))
+    .attr("transform", "translate(-10,0)rotate(-45)")
+    .style("text-anchor", "end")
+    .style("font-size", "14px")
+    .style("cursor", key => key === HEAT_TOTAL ? null : "pointer")
+    .on("click", (event, pmid) => {
+      if (pmid === HEAT_TOTAL) return;
+      selectStudy(pmid, event.shiftKey);
+      showPaperCard(pmid);
+    })
+    .append("title")
+    .text(key => key === HEAT_TOTAL ? "All studies" : studyDescription(key));
+
+  g.append("g")
+    .attr("class", "y-axis")
+    .selectAll("text")
+    .data([...rows.items, HEAT_TOTAL])
+    .join("text")
+    .attr("x", -6)
+    .attr("y", key => rowY(key) + y.bandwidth() / 2)
+    .attr("dy", "0.32em")
+    .attr("text-anchor", "end")
+    .style("font-size", "14px")
+    .text(key => key);
+
+  if (groupKey) {
+    const labels = g.append("g").attr("class", "heat-groups").attr("transform", `translate(0,${-8 - (clustered ? DENDROGRAM : 0)})`);
+    columnGroups.forEach(group => {
+      labels.append("path").attr("d", `M${group.x0},4V0H${group.x1 - step + cellWidth}V4`);
+      labels.append("text")
+        .attr("x", (group.x0 + group.x1) / 2)
+        .attr("y", -4)
+        .attr("text-anchor", "middle")
+        .text(`${group.name} (${group.items.length})`)
+        .append("title")
+        .text(`${groupKey}: ${group.name}`);
+    });
+  }
+  if (clustered) {
+    const top = g.append("g").attr("transform", "translate(0,-4)");
+    columnGroups.forEach(group => drawDendrogram(top, group.tree, pmid => columnX.get(pmid) + cellWidth / 2, DENDROGRAM - 4, true));
+    const side = g.append("g").attr("transform", `translate(${left + cellWidth + 8},0)`);
+    drawDendrogram(side, rows.tree, key => rowY(key) + y.bandwidth() / 2, DENDROGRAM, false);
+  } else if (sortBy === 'cluster') {
+    g.append("text")
+      .attr("class", "chart-note")
+      .attr("y", -10)
+      .text(`Clustering is limited to ${CLUSTER_LIMIT} studies; sorted by completeness instead.`);
+  }
+
+  const ctx = prepareCanvas("heatCanvas", width, height, cells.length > CANVAS_THRESHOLD);
+  if (ctx) {
+    const render = () => {
+      const selected = new Set([...state.selection].map(s => s.pmid));
+      ctx.clearRect(0, 0, width, height);
+      ctx.save();
+      ctx.translate(margin.left, margin.top);
+      cells.forEach(d => {
+        ctx.fillStyle = colour(d.value);
+        ctx.fillRect(columnX.get(d.pmid), rowY(d.descriptor), cellWidth, y.bandwidth());
+      });
+      ctx.strokeStyle = "#d62728";
+      ctx.lineWidth = 2;
+      cells.filter(d => selected.has(d.pmid)).forEach(d => {
+        ctx.strokeRect(columnX.get(d.pmid), rowY(d.descriptor), cellWidth, y.bandwidth());
+      });
+      ctx.restore();
+    };
+    document.getElementById("heatCanvas").redraw = render;
+    render();
+
+    const rowKeys = [...rows.items, HEAT_TOTAL];
+    const cellAt = event => {
+      const [mx, my] = d3.pointer(event, g.node());
+      const column = columns[d3.bisector(c => c.x).right(columns, mx) - 1];
+      const row = rowKeys[d3.bisector(rowY).right(rowKeys, my) - 1];
+      if (!column || !row || mx > column.x + cellWidth || my > rowY(row) + y.bandwidth()) return null;
+      return cells[columns.indexOf(column) * rowKeys.length + rowKeys.indexOf(row)];
+    };
+    g.append("rect")
+      .attr("class", "heat-overlay")
+      .attr("width", graphWidth)
+      .attr("height", graphHeight)
+      .attr("fill", "transparent")
+      .on("mousemove", event => {
+        const d = cellAt(event);
+        showTooltip(event, d ? cellTitle(d) : null);
+      })
+      .on("mouseleave", event => showTooltip(event, null))
+      .on("click", event => {
+        const d = cellAt(event);
+        if (d) onCellClick(event, d);
+      });
+  } else {
+    g.selectAll(".heat-cell")
+      .data(cells)
+      .join("rect")
+      .attr("class", "heat-cell")
+      .attr("x", d => columnX.get(d.pmid))
+      .attr("y", d => rowY(d.descriptor))
+      .attr("width", cellWidth)
+      .attr("height", y.bandwidth())
+      .attr("fill", d => colour(d.value))
+      .on("mouseover", function() {
+        d3.select(this).attr("stroke", "#000");
+      })
+      .on("mouseout", function() {
+        d3.select(this).attr("stroke", null);
+      })
+      .on("click", onCellClick)
+      .append("title")
+      .text(cellTitle);
+  }
+
+  const legend = g.append("g")
+    .attr("class", "legend")
+    .attr("transform", `translate(0, ${graphHeight + 140})`);
+  drawColourLegend(legend, "Sequences with a value (%)", { type: 'numerical', domain: [0, 100] }, v => colour(v / 100));
+
+  updateSelectionViews();
+}
+
+/**
+ * Folds case, accents and punctuation so "São Paulo", "Sao Paulo" and
+ * "SAO-PAULO" find the same gazetteer entry.
+ * @param {string} name
+ * @returns {string}
+ */
+const placeKey = name => String(name).normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+/**
+ * Indexes the bundled gazetteer (geodata.js) by `placeKey`. Countries
+ * without a boundary at the map's scale (Hong Kong, small islands) are
+ * marked `dot`, to be drawn as a point instead.
+ * @returns {{countries: Map, countryById: Map, cities: Map, cityNames: Map, notCountries: Set}}
+ */
+function buildGazetteer() {
+  const gazetteer = { countries: new Map(), countryById: new Map(), cities: new Map(), cityNames: new Map(), notCountries: new Set() };
+  if (typeof GAZETTEER_COUNTRIES === 'undefined') return gazetteer;
+  const bounded = new Set(WORLD_COUNTRIES.features.map(feature => feature.id));
+  const addName = (name, entry) => {
+    if (!gazetteer.countries.has(placeKey(name))) gazetteer.countries.set(placeKey(name), entry);
+  };
+  GAZETTEER_COUNTRIES.forEach(([id, names, lon, lat]) => {
+    const entry = { id, name: names[0], point: [lon, lat], dot: !bounded.has(id) };
+    gazetteer.countryById.set(id, entry);
+    names.forEach(name => addName(name, entry));
+  });
+  GAZETTEER_COUNTRY_ALIASES.forEach(([id, names]) => names.forEach(name => addName(name, gazetteer.countryById.get(id))));
+  GAZETTEER_NOT_COUNTRIES.forEach(name => gazetteer.notCountries.add(placeKey(name)));
+  // Cities are listed most populous first, so the first entry wins a shared name
+  GAZETTEER_CITIES.forEach(([name, id, lon, lat, alternative]) => {
+    const entry = { id, name, point: [lon, lat] };
+    [name, alternative].filter(Boolean).forEach(n => {
+      const key = placeKey(n);
+      if (!gazetteer.cities.has(`${id}|${key}`)) gazetteer.cities.set(`${id}|${key}`, entry);
+      if (!gazetteer.cityNames.has(key)) gazetteer.cityNames.set(key, entry);
+    });
+  });
+  return gazetteer;
+}
+
+const GAZETTEER = buildGazetteer();
+
+/**
+ * Also accepts INSDC-style "Country: region" values.
+ * @param {string} name
+ * @returns {{id: string, name: string, point: number[]}|undefined}
+ */
+function findCountry(name) {
+  return GAZETTEER.countries.get(placeKey(name)) || GAZETTEER.countries.get(placeKey(String(name).split(":")[0]));
+}
+
+/**
+ * Looks the city up within its country first, then anywhere, so that a
+ * city filed under a neighbouring or parent country is still placed.
+ * "New York" also finds "New York City".
+ * @param {string} name
+ * @param {string} [countryId]
+ * @returns {{id: string, name: string, point: number[]}|undefined}
+ */
+function findCity(name, countryId) {
+  const key = placeKey(name);
+  const { cities, cityNames } = GAZETTEER;
+  return (countryId && (cities.get(`${countryId}|${key}`) || cities.get(`${countryId}|${key} city`))) ||
+    cityNames.get(key) || cityNames.get(`${key} city`);
+}
+
+// Largest pie radius in pixels
+const MAP_PIE_RADIUS = 25;
+
+/**
+ * Draws a choropleth of sequence counts per country with a pie of the
+ * split descriptor at each city or country, and lists place names that
+ * are not in the gazetteer.
+ */
+function drawMap() {
+  const svg = d3.select("#mapSvg");
+  svg.selectAll("*").remove();
+  const report = d3.select("#mapReport");
+  report.selectAll("*").remove();
+
+  const countryDesc = document.getElementById("mapCountry").value;
+  const cityDesc = document.getElementById("mapCity").value;
+  const level = document.getElementById("mapLevel").value;
+  const splitDesc = document.getElementById("mapSplit").value;
+  const splitInfo = state.descriptorInfo[splitDesc];
+  if (typeof WORLD_COUNTRIES === 'undefined') {
+    chartMessage(svg, "The bundled map data (geodata.js) did not load.");
+    return;
+  }
+  if (!state.descriptorInfo[countryDesc]) {
+    chartMessage(svg, "Choose the column that holds country names.");
+    return;
+  }
+
+  const text = (s, key) => key && !isMissing(s.descriptors[key]) ? String(s.descriptors[key]).trim() : "";
+  const countryRows = new Map();
+  const pies = new Map();
+  const unmatchedCountries = new Map();
+  const notCountries = new Map();
+  const unmatchedCities = new Map();
+  let unlocated = 0;
+  let unplaced = 0;
+  let atCountry = 0;
+  const addTo = (map, key, rows) => map.set(key, (map.get(key) || []).concat(rows));
+  d3.group(state.sequences, s => text(s, countryDesc), s => text(s, cityDesc)).forEach((byCity, countryName) => {
+    const country = countryName ? findCountry(countryName) : null;
+    byCity.forEach((rows, cityName) => {
+      if (!countryName && !cityName) {
+        unlocated += rows.length;
+        return;
+      }
+      const city = cityName ? findCity(cityName, country && country.id) : null;
+      if (countryName && !country) {
+        const isNotCountry = GAZETTEER.notCountries.has(placeKey(countryName.split(":")[0]));
+        addTo(isNotCountry ? notCountries : unmatchedCountries, countryName, rows);
+      }
+      if (cityName && !city) addTo(unmatchedCities, countryName ? `${cityName}, ${countryName}` : cityName, rows);
+      const home = country || (city && GAZETTEER.countryById.get(city.id));
+      if (home) addTo(countryRows, home.id, rows);
+      const place = level === 'city' && city ? city : home;
+      if (!place) {
+        unplaced += rows.length;
+        return;
+      }
+      if (level === 'city' && cityDesc && !city) atCountry += rows.length;
+      addTo(pies, place, rows);
+    });
+  });
+
+  const {
+    width,
+    height
+  } = svg.node().getBoundingClientRect();
+  const LEGEND_WIDTH = 170;
+  const mapWidth = width - LEGEND_WIDTH;
+  // Antarctica is left out of the fit so the inhabited land gets the room
+  const projection = d3.geoNaturalEarth1().fitExtent([[10, 10], [mapWidth - 10, height - 10]], {
+    type: "FeatureCollection",
+    features: WORLD_COUNTRIES.features.filter(f => f.id !== "010")
+  });
+  const path = d3.geoPath(projection);
+
+  const maxCount = d3.max(countryRows.values(), rows => rows.length) || 1;
+  const colour = d3.scaleSequentialSqrt(d3.interpolateBlues).domain([0, maxCount]);
+  const viewport = svg.append("g").attr("class", "map-viewport");
+  const countries = viewport.append("g")
+    .selectAll("path")
+    .data(WORLD_COUNTRIES.features.map(feature => ({ feature, rows: countryRows.get(feature.id) || [] })))
     .join("path")
-    .each(function(d) {
-      d.target.linkNode = this;
+    .attr("class", "map-country")
+    .attr("d", d => path(d.feature))
+    .attr("fill", d => d.rows.length ? colour(d.rows.length) : "#eee")
+    .on("click", (event, d) => setSelection(d.rows, event.shiftKey));
+  countries.append("title").text(d => `${d.feature.properties.name}: ${d.rows.length} sequences`);
+
+  // Countries too small for the boundaries are shaded as dots, which keep their size as the map zooms
+  const dots = svg.append("g")
+    .selectAll("circle")
+    .data([...countryRows].map(([id, rows]) => ({ country: GAZETTEER.countryById.get(id), rows })).filter(d => d.country.dot))
+    .join("circle")
+    .attr("class", "map-country map-country-dot")
+    .attr("r", 4)
+    .attr("fill", d => colour(d.rows.length))
+    .on("click", (event, d) => setSelection(d.rows, event.shiftKey));
+  dots.append("title").text(d => `${d.country.name}: ${d.rows.length} sequences`);
+
+  const keys = splitInfo ? [...splitInfo.domain, MISSING_KEY] : [];
+  const splitOf = categoryOf(splitDesc);
+  const splitColour = colourScale(splitInfo);
+  const radius = d3.scaleSqrt().domain([0, d3.max(pies.values(), rows => rows.length) || 1]).range([0, MAP_PIE_RADIUS]);
+  const pie = d3.pie().sort(null).value(d => d.rows.length);
+  const arc = d3.arc().innerRadius(0);
+  const markers = svg.append("g")
+    .selectAll("g")
+    .data(d3.sort(pies, ([, rows]) => -rows.length).map(([place, rows]) => ({ place, rows, r: Math.max(3, radius(rows.length)) })))
+    .join("g")
+    .attr("class", "map-pie")
+    .on("click", (event, d) => setSelection(d.rows, event.shiftKey));
+  markers.selectAll("path")
+    .data(d => {
+      const slices = splitInfo ?
+        keys.map(key => ({ key, rows: d.rows.filter(s => splitOf(s) === key) })).filter(s => s.rows.length) :
+        [{ key: null, rows: d.rows }];
+      return pie(slices).map(slice => Object.assign(slice, { r: d.r }));
     })
-    .attr("d", linkConstant)
-    .attr("stroke", d => d.target.color);
+    .join("path")
+    .attr("d", d => arc.outerRadius(d.r)(d))
+    .attr("fill", d => splitInfo ? splitColour(d.data.key) : "#e6550d");
+  markers.append("circle").attr("r", d => d.r);
+  markers.append("title").text(d => [`${d.place.name}: ${d.rows.length} sequences`]
+    .concat(splitInfo ? d3.rollups(d.rows, v => v.length, splitOf)
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, n]) => `${splitDesc} ${key}: ${n}`) : [])
+    .join("\n"));
+
+  const legend = svg.append("g").attr("class", "legend").attr("transform", `translate(${mapWidth + 10}, 30)`);
+  const legendHeight = drawColourLegend(legend, "Sequences", { type: 'numerical', domain: [0, maxCount] }, colour);
+  if (splitInfo) {
+    drawColourLegend(legend.append("g").attr("transform", `translate(0, ${legendHeight + 40})`),
+      splitDesc, splitInfo, splitColour, true);
+  }
+
+  // Wheel zooming needs Ctrl/⌘, as on the tree; pies keep their size while the map scales
+  const zoom = d3.zoom()
+    .filter(event => event.type === 'wheel' ? event.ctrlKey || event.metaKey : !event.ctrlKey && !event.button)
+    .extent([[0, 0], [mapWidth, height]])
+    .scaleExtent([1, 20])
+    .translateExtent([[0, 0], [mapWidth, height]])
+    .on("zoom", event => render(event.transform));
+  svg.call(zoom).on("dblclick.zoom", null);
+  svg.node().zoom = zoom;
+  function render(transform) {
+    viewport.attr("transform", transform);
+    dots.attr("transform", d => `translate(${transform.apply(projection(d.country.point))})`);
+    markers.attr("transform", d => `translate(${transform.apply(projection(d.place.point))})`);
+  }
+  render(d3.zoomTransform(svg.node()));
+
+  const placed = d3.sum(pies.values(), rows => rows.length);
+  const notes = [`${placed} of ${state.sequences.length} sequences are on the map.`];
+  if (unlocated) notes.push(`${unlocated} have no location.`);
+  if (unplaced) notes.push(`${unplaced} have a place name that was not found.`);
+  if (atCountry) notes.push(`${atCountry} are drawn at their country because the city was not found or is blank.`);
+  report.append("p").attr("class", "report-summary").text(notes.join(" "));
+  const grid = report.append("div").attr("class", "report-grid");
+  const listed = map => d3.sort(map, ([, rows]) => -rows.length).map(([name, rows]) => `${name} (${rows.length})`);
+  appendReportList(grid, "Countries not found", listed(unmatchedCountries));
+  if (notCountries.size) appendReportList(grid, "Seas and former countries (not mapped)", listed(notCountries));
+  if (cityDesc) appendReportList(grid, "Cities not found", listed(unmatchedCities));
+
+  updateSelectionViews();
+}
+
+function resetMapZoom() {
+  const svg = d3.select("#mapSvg");
+  if (svg.node().zoom) svg.call(svg.node().zoom.transform, d3.zoomIdentity);
+}
+
+/**
+ * Builds one collapsible facet per descriptor in the filter sidebar.
+ */
+function buildFilterSidebar() {
+  const list = d3.select("#filterList");
+  list.selectAll("*").remove();
+
+  state.descriptors.forEach(key => {
+    const info = state.descriptorInfo[key];
+    const facet = list.append("details").attr("class", "facet").attr("data-key", key);
+    facet.append("summary")
+      .text(key)
+      .attr("title", info.type === 'date' ? `Dates, ${info.precision} precision` : null);
+    const body = facet.append("div").attr("class", "facet-body");
+
+    if (info.type === 'date') {
+      const [lo, hi] = info.domain.map(formatDate);
+      ["from", "to"].forEach(bound => {
+        const label = body.append("label").attr("class", "facet-date").text(bound === "from" ? "From " : "To ");
+        label.append("input")
+          .attr("type", "date")
+          .attr("class", `facet-date-${bound}`)
+          .attr("min", lo)
+          .attr("max", hi)
+          .on("change", () => {
+            const from = body.select(".facet-date-from").property("value");
+            const to = body.select(".facet-date-to").property("value");
+            setFilter(key, from || to ? { type: 'date', from, to } : null);
+          });
+      });
+      return;
+    }
+
+    if (info.type === 'numerical') {
+      const [lo, hi] = info.domain;
+      const integral = state.allSequences.every(s => isMissing(s.descriptors[key]) || Number.isInteger(+s.descriptors[key]));
+      // "any" lets the handles reach lo and hi exactly, which a fractional step can miss by rounding
+      const step = integral ? 1 : "any";
+      const label = body.append("div").attr("class", "facet-range-label");
+      ["min", "max"].forEach(bound => {
+        body.append("input")
+          .attr("type", "range")
+          .attr("class", `facet-range-${bound}`)
+          .attr("min", lo)
+          .attr("max", hi)
+          .attr("step", step)
+          .property("value", bound === "min" ? lo : hi)
+          .on("input", () => {
+            let min = +body.select(".facet-range-min").property("value");
+            let max = +body.select(".facet-range-max").property("value");
+            if (min > max) [min, max] = [max, min];
+            label.text(`${min} – ${max}`);
+          })
+          .on("change", () => {
+            let min = +body.select(".facet-range-min").property("value");
+            let max = +body.select(".facet-range-max").property("value");
+            if (min > max) [min, max] = [max, min];
+            setFilter(key, min <= lo && max >= hi ? null : { type: 'numerical', min, max });
+          });
+      });
+      label.text(`${lo} – ${hi}`);
+      return;
+    }
+
+    const values = [...info.domain.map(String)];
+    if (state.allSequences.some(s => isMissing(s.descriptors[key]))) values.push(MISSING_KEY);
+
+    if (values.length > 15) {
+      body.append("input")
+        .attr("type", "search")
+        .attr("class", "facet-search")
+        .attr("placeholder", `Find ${key}…`)
+        .on("input", function() {
+          const term = this.value.toUpperCase();
+          body.selectAll(".facet-option").style("display", d => d.toUpperCase().includes(term) ? null : "none");
+        });
+    }
+    const actions = body.append("div").attr("class", "facet-actions");
+    actions.append("button").text("All").on("click", () => setFilter(key, null));
+    actions.append("button").text("None").on("click", () => setFilter(key, { type: 'categorical', values: [] }));
+
+    const option = body.selectAll(".facet-option")
+      .data(values)
+      .join("label")
+      .attr("class", "facet-option");
+    option.append("input")
+      .attr("type", "checkbox")
+      .property("checked", true)
+      .on("change", () => {
+        const checked = body.selectAll(".facet-option input").filter(function() {
+          return this.checked;
+        }).data();
+        setFilter(key, checked.length === values.length ? null : { type: 'categorical', values: checked });
+      });
+    option.append("span").attr("class", "facet-value").text(d => d);
+    option.append("span").attr("class", "facet-count");
+  });
+
+  updateFilterSidebar();
+}
+
+/**
+ * Refreshes facet counts and control states. Counts for a descriptor are
+ * taken over rows passing every other filter, so they show what ticking a
+ * value would add.
+ */
+function updateFilterSidebar() {
+  // Each facet counts rows that pass every other filter, so only rows
+  // failing at most one filter can contribute to any facet
+  const candidates = state.allSequences.filter(passesSearch)
+    .map(seq => ({ seq, failed: Object.keys(state.filters).filter(k => !matchesFilter(seq, k, state.filters[k])) }))
+    .filter(({ failed }) => failed.length <= 1);
+
+  d3.selectAll("#filterList .facet").each(function() {
+    const facet = d3.select(this);
+    const key = this.dataset.key;
+    const filter = state.filters[key];
+    facet.classed("facet-active", Boolean(filter));
+
+    const info = state.descriptorInfo[key];
+    if (info.type === 'date') {
+      facet.select(".facet-date-from").property("value", filter ? filter.from : "");
+      facet.select(".facet-date-to").property("value", filter ? filter.to : "");
+      return;
+    }
+    if (info.type === 'numerical') {
+      const [lo, hi] = info.domain;
+      const min = filter ? filter.min : lo;
+      const max = filter ? filter.max : hi;
+      facet.select(".facet-range-min").property("value", min);
+      facet.select(".facet-range-max").property("value", max);
+      facet.select(".facet-range-label").text(`${min} – ${max}`);
+      return;
+    }
+
+    const counts = d3.rollup(
+      candidates.filter(({ failed }) => failed.length === 0 || (failed.length === 1 && failed[0] === key)),
+      v => v.length,
+      ({ seq }) => isMissing(seq.descriptors[key]) ? MISSING_KEY : String(seq.descriptors[key])
+    );
+    facet.selectAll(".facet-option input").property("checked", d => !filter || filter.values.includes(d));
+    facet.selectAll(".facet-count").text(d => counts.get(d) || 0);
+  });
+}
+
+/**
+ * Break points for binning numeric values. Bin i holds values from break
+ * i-1 up to (not including) break i; the first and last bins are open-ended.
+ * Integer data gets integer breaks.
+ * @param {number[]} values
+ * @param {'equal'|'quantile'|'custom'} method
+ * @param {number} count - number of bins for equal-width and quantile breaks
+ * @param {number[]} [custom] - break points for custom breaks
+ * @returns {number[]} ascending breaks above the smallest value
+ */
+function binThresholds(values, method, count, custom) {
+  if (!values.length) return [];
+  const sorted = d3.sort(values);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  let breaks;
+  if (method === 'custom') {
+    breaks = custom || [];
+  } else if (method === 'quantile') {
+    breaks = d3.range(1, count).map(i => d3.quantileSorted(sorted, i / count));
+  } else {
+    breaks = d3.range(1, count).map(i => min + i * (max - min) / count);
+  }
+  const integers = values.every(Number.isInteger);
+  return unique(breaks.map(b => integers ? Math.ceil(b) : +b.toPrecision(4)))
+    .filter(b => b > min)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * @param {number[]} thresholds - from `binThresholds`
+ * @param {number[]} values
+ * @returns {string[]} one label per bin, e.g. `0–4`, `5–17`, `65+`
+ */
+function binLabels(thresholds, values) {
+  const integers = values.every(Number.isInteger);
+  const edges = [d3.min(values), ...thresholds];
+  return edges.map((lo, i) => {
+    const hi = thresholds[i];
+    if (hi === undefined) return integers ? `${lo}+` : `≥ ${lo}`;
+    if (!integers) return i === 0 ? `< ${hi}` : `${lo}–${hi}`;
+    return lo === hi - 1 ? `${lo}` : `${lo}–${hi - 1}`;
+  });
+}
+
+/**
+ * Adds, or replaces, a categorical descriptor holding each row's bin of a
+ * numeric descriptor. Bins keep their numeric order in every control.
+ * @param {string} name
+ * @param {string} source - numeric descriptor
+ * @param {number[]} thresholds - from `binThresholds`
+ */
+function addBinnedDescriptor(name, source, thresholds) {
+  const existing = state.descriptorInfo[name];
+  if (existing && !existing.derived) throw new Error(`A column named '${name}' already exists`);
+  const values = state.allSequences.map(s => s.descriptors[source]).filter(v => !isMissing(v)).map(Number);
+  const labels = binLabels(thresholds, values);
+  state.allSequences.forEach(s => {
+    const value = s.descriptors[source];
+    s.descriptors[name] = isMissing(value) ? null : labels[d3.bisectRight(thresholds, +value)];
+  });
+  state.descriptorInfo[name] = applyLevelSettings({ type: 'categorical', domain: labels, derived: { source, thresholds } }, state.descriptorSettings[name]);
+  if (!state.descriptors.includes(name)) state.descriptors.push(name);
+  delete state.filters[name];
+  refreshDescriptorControls();
+}
+
+/**
+ * @param {string} name - a descriptor made by `addBinnedDescriptor`
+ */
+function removeDerivedDescriptor(name) {
+  state.descriptors = state.descriptors.filter(d => d !== name);
+  delete state.descriptorInfo[name];
+  delete state.filters[name];
+  state.allSequences.forEach(s => delete s.descriptors[name]);
+  refreshDescriptorControls();
+}
+
+/**
+ * Re-lists descriptors in every control after one is added or removed.
+ */
+function refreshDescriptorControls() {
+  populateControls();
+  buildFilterSidebar();
+  updateBinTool();
+  applyFilters();
+}
+
+/**
+ * @returns {{source: string, name: string, thresholds: number[], values: number[]}} the bin tool's current settings
+ */
+function readBinSettings() {
+  const source = document.getElementById("binSource").value;
+  const values = state.allSequences.map(s => s.descriptors[source]).filter(v => !isMissing(v)).map(Number);
+  const custom = document.getElementById("binBreaks").value.split(",")
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(Number)
+    .filter(v => !isNaN(v));
+  const thresholds = binThresholds(values, document.getElementById("binMethod").value, +document.getElementById("binCount").value, custom);
+  return { source, name: document.getElementById("binName").value.trim(), thresholds, values };
+}
+
+/**
+ * Lists numeric descriptors and derived columns in the bin tool and
+ * previews the bins its settings give.
+ */
+function updateBinTool() {
+  const sourceSelect = document.getElementById("binSource");
+  const previous = sourceSelect.value;
+  sourceSelect.innerHTML = '';
+  state.descriptors
+    .filter(d => state.descriptorInfo[d].type === 'numerical')
+    .forEach(d => sourceSelect.add(new Option(d, d)));
+  if (Array.from(sourceSelect.options).some(o => o.value === previous)) {
+    sourceSelect.value = previous;
+  } else {
+    document.getElementById("binName").value = sourceSelect.value ? `${sourceSelect.value}_bins` : "";
+  }
+  previewBins();
+
+  const derived = state.descriptors.filter(d => state.descriptorInfo[d].derived);
+  const items = d3.select("#derivedList")
+    .selectAll("li")
+    .data(derived)
+    .join(enter => {
+      const item = enter.append("li");
+      item.append("span");
+      item.append("button").attr("class", "chip-remove").attr("title", "Remove column").text("×");
+      return item;
+    });
+  items.select("span").text(d => `${d} (from ${state.descriptorInfo[d].derived.source}) `);
+  items.select("button").on("click", (event, d) => removeDerivedDescriptor(d));
+}
+
+function previewBins() {
+  const preview = document.getElementById("binPreview");
+  const { source, thresholds, values } = readBinSettings();
+  if (!source || !values.length) {
+    preview.textContent = "No numeric columns to bin.";
+    return;
+  }
+  const labels = binLabels(thresholds, values);
+  const counts = d3.rollup(values, v => v.length, v => d3.bisectRight(thresholds, v));
+  preview.textContent = labels.map((label, i) => `${label}: ${counts.get(i) || 0}`).join(" · ");
+}
+
+const DESCRIPTOR_TYPE_LABELS = {
+  categorical: "categorical",
+  numerical: "numeric",
+  date: "date"
+};
+
+// Colour-blind-safe palettes for categories: Okabe & Ito's, Paul Tol's, and sampled cividis/viridis for ordered levels
+const CATEGORY_PALETTES = {
+  okabeIto: { label: "Okabe–Ito", colours: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#000000"] },
+  tolBright: { label: "Tol bright", colours: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377"] },
+  tolMuted: { label: "Tol muted", colours: ["#cc6677", "#332288", "#ddcc77", "#117733", "#88ccee", "#882255", "#44aa99", "#999933", "#aa4499"] },
+  tolLight: { label: "Tol light", colours: ["#77aadd", "#ee8866", "#eedd88", "#ffaabb", "#99ddff", "#44bb99", "#bbcc33", "#aaaa00"] },
+  cividis: { label: "Cividis (ordered)", interpolator: d3.interpolateCividis },
+  viridis: { label: "Viridis (ordered)", interpolator: d3.interpolateViridis }
+};
+
+/**
+ * @param {string} key - key of `CATEGORY_PALETTES`
+ * @param {number} n
+ * @returns {string[]} `n` hex colours, repeating a fixed palette when it is shorter
+ */
+function paletteColours(key, n) {
+  const { colours, interpolator } = CATEGORY_PALETTES[key];
+  if (interpolator) return d3.quantize(interpolator, Math.max(n, 2)).map(c => d3.color(c).formatHex());
+  return d3.range(n).map(i => colours[i % colours.length]);
+}
+
+/**
+ * @returns {string} storage key shared by files with the same columns, in any order
+ */
+const descriptorSettingsKey = () =>
+  `descriptorSettings:${JSON.stringify(state.dataColumns.filter(key => !state.paperColumns.includes(key)).sort())}`;
+
+/**
+ * @returns {object} column settings saved for files with the current columns
+ */
+function loadDescriptorSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(descriptorSettingsKey())) || {};
+  } catch (err) {
+    console.warn("Could not read column settings:", err);
+    alert(`Could not read the saved column settings, so columns are read with their defaults: ${err.message}`);
+    return {};
+  }
+}
+
+function saveDescriptorSettings() {
+  try {
+    localStorage.setItem(descriptorSettingsKey(), JSON.stringify(state.descriptorSettings));
+  } catch (err) {
+    console.warn("Could not save column settings:", err);
+    alert(`Could not save the column settings in this browser, so they apply only until the page is closed ` +
+      `(use Save session to keep them): ${err.message}`);
+  }
+}
 
-  g.selectAll("text")
-    .data(root.leaves())
-    .join("text")
-    .attr("dy", ".31em")
-    .attr("transform", d => `rotate(${d.x - 90}) translate(${(innerRadius > 0 ? innerRadius : outerRadius / 1.5) + 8},0)${d.x > 180 ? " rotate(180)" : ""}`)
-    .attr("text-anchor", d => d.x > 180 ? "end" : "start")
-    .text(d => d.data.name.replace(/_/g, " "))
-    .on("mouseover", mouseovered(true))
-    .on("mouseout", mouseovered(false));
+/**
+ * Replaces the column settings and derives every column and control again.
+ * Filters on columns whose settings changed are cleared.
+ * @param {object} settings - column name to `{type, order, merge, colours}`
+ */
+function setDescriptorSettings(settings) {
+  const changed = key => JSON.stringify(state.descriptorSettings[key]) !== JSON.stringify(settings[key]);
+  Object.keys(state.filters).filter(changed).forEach(key => delete state.filters[key]);
+  state.descriptorSettings = settings;
+  analyzeDescriptors();
+  Object.keys(state.filters)
+    .filter(key => state.filters[key].type !== 'selection' && !state.descriptors.includes(key))
+    .forEach(key => delete state.filters[key]);
+  readSearchBox();
+  refreshDescriptorControls();
+}
 
-  function mouseovered(active) {
-    return function(event, d) {
-      d3.select(this).classed("label--active", active);
-      let current = d;
-      while (current.parent) {
-        if (current.linkNode) {
-          d3.select(current.linkNode).classed("link--active", active).raise();
-        }
-        current = current.parent;
-      }
+/**
+ * @param {string} key
+ * @returns {object} the draft settings of a column in the dialog, created when missing
+ */
+function draftSettings(key) {
+  if (!state.descriptorDraft[key]) state.descriptorDraft[key] = {};
+  return state.descriptorDraft[key];
+}
+
+/**
+ * The info and level counts a column would have under its draft settings.
+ * @param {string} key
+ * @returns {{info: object, counts: Map<string, number>, detected: string}}
+ */
+function previewColumn(key) {
+  const settings = state.descriptorDraft[key] || {};
+  const current = state.descriptorInfo[key];
+  if (current && current.derived) {
+    const values = state.allSequences.map(s => s.descriptors[key]).filter(v => !isMissing(v));
+    return {
+      info: applyLevelSettings({ ...current, domain: [...current.domain] }, settings),
+      counts: d3.rollup(values, group => group.length, String),
+      detected: 'categorical'
     };
   }
+  const valuesUnder = columnSettings => state.allSequences
+    .map(s => adjustedValue(s.original[key], columnSettings))
+    .filter(v => !isMissing(v));
+  const values = valuesUnder(settings);
+  return {
+    info: describeColumn(key, values, settings),
+    counts: d3.rollup(values, group => group.length, String),
+    detected: describeColumn(key, valuesUnder({ merge: settings.merge }), {}).type
+  };
+}
 
-  function update(checked) {
-    const t = d3.transition().duration(750);
-    link.transition(t).attr("d", checked ? linkVariable : linkConstant);
+/**
+ * Opens the column settings dialog on a draft copy of the settings.
+ * @param {string} [key] - column to show first
+ */
+function openDescriptorDialog(key) {
+  state.descriptorDraft = structuredClone(state.descriptorSettings);
+  const columnSelect = document.getElementById("descriptorColumn");
+  columnSelect.innerHTML = '';
+  unique([...state.dataColumns, ...state.descriptors]).forEach(column => columnSelect.add(new Option(column, column)));
+  if (key) columnSelect.value = key;
+  const paletteSelect = document.getElementById("descriptorPalette");
+  if (!paletteSelect.options.length) {
+    Object.entries(CATEGORY_PALETTES).forEach(([value, { label }]) => paletteSelect.add(new Option(label, value)));
   }
-  svg.node().update = update;
+  drawDescriptorEditor();
+  document.getElementById("descriptorDialog").hidden = false;
+}
+
+/**
+ * Shows the chosen column's draft type and, for categories, its levels
+ * with counts, colours, drag handles and merge checkboxes.
+ */
+function drawDescriptorEditor() {
+  const key = document.getElementById("descriptorColumn").value;
+  const settings = state.descriptorDraft[key] || {};
+  const derived = Boolean(state.descriptorInfo[key] && state.descriptorInfo[key].derived);
+  const { info, counts, detected } = previewColumn(key);
+
+  const typeSelect = document.getElementById("descriptorType");
+  Array.from(typeSelect.options).forEach(option => {
+    option.disabled = derived && !['categorical', 'ordinal'].includes(option.value);
+  });
+  typeSelect.options[0].text = `Detect (${DESCRIPTOR_TYPE_LABELS[detected]})`;
+  typeSelect.value = settings.type || (derived ? 'categorical' : 'auto');
+
+  const categorical = info.type === 'categorical';
+  document.getElementById("descriptorLevelsControl").hidden = !categorical;
+  document.getElementById("descriptorMergeControl").hidden = derived;
+  const list = d3.select("#descriptorLevels");
+  list.selectAll("*").remove();
+  if (!categorical) return;
+
+  const colour = colourScale(info);
+  const items = list.selectAll("li")
+    .data(info.domain.map(String))
+    .join("li")
+    .attr("draggable", "true")
+    .on("dragstart", (event, level) => event.dataTransfer.setData("text/plain", level))
+    .on("dragover", event => event.preventDefault())
+    .on("drop", (event, level) => {
+      event.preventDefault();
+      moveDraftLevel(key, event.dataTransfer.getData("text/plain"), level);
+    });
+  items.append("span").attr("class", "level-handle").attr("title", "Drag to reorder").text("⠿");
+  items.append("input").attr("type", "checkbox").attr("class", "level-merge").attr("value", d => d).attr("hidden", derived ? "" : null);
+  items.append("input")
+    .attr("type", "color")
+    .property("value", level => d3.color(colour(level)).formatHex())
+    .on("input", (event, level) => {
+      const draft = draftSettings(key);
+      draft.colours = { ...draft.colours, [level]: event.target.value };
+    });
+  items.append("span").attr("class", "level-name").text(level => level)
+    .attr("title", level => {
+      const merged = Object.keys(settings.merge || {}).filter(original => settings.merge[original] === level);
+      return merged.length ? `Merged from ${merged.join(", ")}` : null;
+    });
+  items.append("span").attr("class", "level-count").text(level => counts.get(level) || 0);
+}
+
+/**
+ * Moves a level of a column's draft order to just before another.
+ * @param {string} key
+ * @param {string} level
+ * @param {string} before
+ */
+function moveDraftLevel(key, level, before) {
+  const levels = previewColumn(key).info.domain.map(String).filter(l => l !== level);
+  if (level === before || !levels.includes(before)) return;
+  levels.splice(levels.indexOf(before), 0, level);
+  draftSettings(key).order = levels;
+  drawDescriptorEditor();
+}
 
-  const isChecked = document.getElementById("treeBranchLengthToggle").checked;
-  update(isChecked);
+/**
+ * Merges levels of a column's draft into one named `name`, which takes the
+ * place and fixed colour of the first of them.
+ * @param {string} key
+ * @param {string[]} levels
+ * @param {string} name
+ */
+function mergeDraftLevels(key, levels, name) {
+  const settings = draftSettings(key);
+  const originals = new Set(state.allSequences.map(s => String(s.original[key])));
+  const merged = new Set(levels);
+  const merge = { ...settings.merge };
+  Object.keys(merge).forEach(original => {
+    if (merged.has(merge[original])) merge[original] = name;
+  });
+  levels.filter(level => originals.has(level)).forEach(level => {
+    merge[level] = name;
+  });
+  Object.keys(merge).filter(original => merge[original] === original).forEach(original => delete merge[original]);
+  settings.merge = merge;
 
-  if (colorInfo && colorInfo.type === 'categorical' && colorInfo.domain.length) {
-    const legend = g.append("g").attr("class", "legend").attr("transform", `translate(${-width / 2 + 20}, ${-height / 2 + 20})`);
-    legend.append("text").text(colorDesc).attr("font-weight", "bold").attr("dy", -5);
-    const legendItems = legend.selectAll(".legend-item").data(colorInfo.domain).join("g").attr("transform", (d, i) => `translate(0, ${i * 20})`);
-    legendItems.append("rect").attr("width", 15).attr("height", 15).attr("fill", colorScale);
-    legendItems.append("text").text(d => d).attr("x", 20).attr("y", 12.5).style("font-size", "12px");
+  const order = previewColumn(key).info.domain.map(String);
+  settings.order = order.flatMap(level => level === levels[0] ? [name] : merged.has(level) || level === name ? [] : [level]);
+  const colour = levels.map(level => settings.colours && settings.colours[level]).find(Boolean);
+  if (settings.colours) {
+    settings.colours = Object.fromEntries(Object.entries(settings.colours).filter(([level]) => !merged.has(level)));
   }
+  if (colour) settings.colours = { ...settings.colours, [name]: colour };
+  drawDescriptorEditor();
 }
 
-function drawChart() {
-  const svg = d3.select("#chartSvg");
-  svg.selectAll("*").remove();
+function drawFilterChips() {
+  const chips = d3.select("#filterChips")
+    .selectAll(".chip")
+    .data(Object.entries(state.filters), ([key]) => key)
+    .join(enter => {
+      const chip = enter.append("span").attr("class", "chip");
+      chip.append("span").attr("class", "chip-label");
+      chip.append("button").attr("class", "chip-remove").attr("title", "Remove filter").text("×");
+      return chip;
+    });
+  chips.select(".chip-label").text(([key, filter]) => describeFilter(key, filter));
+  chips.select(".chip-remove").on("click", (event, [key]) => setFilter(key, null));
+}
 
-  const mode = document.querySelector("input[name='chartMode']:checked").value;
-  const xDesc = document.getElementById("chartX").value;
-  const yDesc = document.getElementById("chartY").value;
-  const colourDesc = document.getElementById("chartColour").value;
-  const shapeDesc = document.getElementById("chartShape").value;
+/**
+ * @param {d3.Selection} container
+ * @param {string} title
+ * @param {Array<string>} items
+ */
+function appendReportList(container, title, items) {
+  const LIMIT = 200;
+  const block = container.append("div").attr("class", "report-block");
+  block.append("h3").text(`${title} (${items.length})`);
+  if (!items.length) {
+    block.append("p").attr("class", "report-empty").text("None");
+    return;
+  }
+  const list = block.append("ul");
+  list.selectAll("li").data(items.slice(0, LIMIT)).join("li").text(d => d);
+  if (items.length > LIMIT) list.append("li").attr("class", "report-more").text(`…and ${items.length - LIMIT} more`);
+}
 
-  const xInfo = state.descriptorInfo[xDesc];
-  const yInfo = state.descriptorInfo[yDesc];
-  const shapeInfo = state.descriptorInfo[shapeDesc];
+function drawReconciliation() {
+  const report = d3.select("#reconcileReport");
+  report.selectAll("*").remove();
+  const rec = state.reconciliation;
+  if (!rec) return;
 
-  if (!xInfo || !yInfo || !shapeInfo) return;
+  report.append("p")
+    .attr("class", "report-summary")
+    .text(`${rec.matchedCount} of ${rec.tipCount} tips matched to a metadata row; ` +
+      `${rec.unmatchedRows.length} of ${state.allSequences.length} rows have no tip.`);
 
-  if (mode === 'pyramid') {
-    drawPyramidChart(svg, xDesc, yDesc, xInfo, yInfo);
-  } else {
-    drawScatterPlot(svg, xDesc, yDesc, xInfo, yInfo, colourDesc, shapeDesc, shapeInfo);
+  const grid = report.append("div").attr("class", "report-grid");
+  appendReportList(grid, "Tips with no metadata row", rec.unmatchedTips);
+  appendReportList(grid, "Rows with no tip", rec.unmatchedRows);
+  appendReportList(grid, "Duplicate tip IDs", rec.duplicateTips.map(d => `${d.key} ×${d.count}`));
+  appendReportList(grid, "Duplicate row IDs", rec.duplicateRows.map(d => `${d.key} ×${d.count}`));
+
+  if (state.paperJoin) {
+    appendReportList(grid, `Studies with no row in ${state.paperJoin.fileName}`, state.paperJoin.unmatchedStudies);
+    appendReportList(grid, "Paper rows with no sequences", state.paperJoin.unusedPapers);
+  }
+
+  const block = report.append("div").attr("class", "report-block");
+  block.append("h3").text(`Candidate matches (${rec.suggestions.length})`);
+  if (rec.suggestionsSkipped) {
+    block.append("p").attr("class", "report-empty").text("Too many unmatched IDs to compare; tighten the normalisation rules first.");
+    return;
+  }
+  if (!rec.suggestions.length) {
+    block.append("p").attr("class", "report-empty").text("None");
+    return;
   }
+
+  block.append("button")
+    .text("Accept all best matches")
+    .on("click", () => {
+      rec.suggestions.forEach(({ tip, candidates }) => {
+        state.tipMatching.accepted[tip] = candidates[0].accession;
+      });
+      refreshTipMatching();
+    });
+
+  const table = block.append("table").attr("class", "report-table");
+  table.append("tr").selectAll("th").data(["Tip label", "Metadata row", ""]).join("th").text(d => d);
+  const rows = table.selectAll("tr.suggestion").data(rec.suggestions).join("tr").attr("class", "suggestion");
+  rows.append("td").text(d => d.tip);
+  const select = rows.append("td").append("select");
+  select.selectAll("option")
+    .data(d => d.candidates)
+    .join("option")
+    .attr("value", c => c.accession)
+    .text(c => `${c.accession} (${Math.round(c.score * 100)}%)`);
+  rows.append("td").append("button")
+    .text("Accept")
+    .on("click", function(event, d) {
+      const chosen = this.parentNode.parentNode.querySelector("select").value;
+      acceptTipMatch(d.tip, chosen);
+    });
 }
 
-function drawScatterPlot(svg, xDesc, yDesc, xInfo, yInfo, colourDesc, shapeDesc, shapeInfo) {
-  const {
-    width,
-    height
-  } = svg.node().getBoundingClientRect();
-  const margin = {
-    top: 40,
-    right: 200,
-    bottom: 50,
-    left: 60
+const TREE_HISTORY_LIMIT = 50;
+
+/**
+ * Applies an edit to `state.tree` after saving the current tree and zoom
+ * for undo, then redraws the views that depend on the topology.
+ * @param {function(): (object|void)} edit - mutates `state.tree`, or returns a new root
+ */
+function editTree(edit) {
+  state.ancestral = null;
+  state.treeHistory.push(snapshotTree());
+  if (state.treeHistory.length > TREE_HISTORY_LIMIT) state.treeHistory.shift();
+  const newRoot = edit();
+  if (newRoot) state.tree = newRoot;
+  keepTreeEdits();
+  hideTreeMenu();
+  drawTree();
+  drawRootToTip();
+  document.getElementById("treeUndo").disabled = false;
+}
+
+/**
+ * Parses and ladderizes a tree of the loaded file the first time it is
+ * shown, keeping it for later switches.
+ * @param {number} index - into `state.trees`
+ * @returns {object}
+ */
+function loadedTree(index) {
+  const entry = state.trees[index];
+  if (!entry.tree) {
+    entry.tree = entry.read();
+    ladderizeTree(entry.tree, 'up');
+  }
+  return entry.tree;
+}
+
+/**
+ * Points the selected entry of `state.trees` at `state.tree`, so an edited
+ * or restored tree is still there after switching to another tree and back.
+ */
+function keepTreeEdits() {
+  const entry = state.trees[+document.getElementById("treeSelect").value];
+  if (entry) entry.tree = state.tree;
+}
+
+/**
+ * @returns {{tree: object, zoomPath: Array<number>|null}} a deep copy of the tree with the zoomed node as a child-index path
+ */
+function snapshotTree() {
+  const path = state.treeZoom ? findNodePath(state.tree, state.treeZoom) : null;
+  return {
+    tree: structuredClone(state.tree),
+    zoomPath: path ? path.slice(1).map((node, i) => path[i].branchset.indexOf(node)) : null
   };
-  const graphWidth = width - margin.left - margin.right;
-  const graphHeight = height - margin.top - margin.bottom;
+}
 
-  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+/**
+ * @param {{tree: object, zoomPath: Array<number>|null}} snapshot - from `snapshotTree`
+ */
+function restoreTreeSnapshot(snapshot) {
+  state.tree = snapshot.tree;
+  state.treeZoom = snapshot.zoomPath ?
+    snapshot.zoomPath.reduce((node, i) => node.branchset[i], state.tree) :
+    null;
+}
 
-  const xScale = xInfo.type === 'numerical' ?
-    d3.scaleLinear().domain(xInfo.domain).nice().range([0, graphWidth]) :
-    d3.scalePoint().domain(xInfo.domain).range([0, graphWidth]).padding(0.5);
+function undoTreeEdit() {
+  const snapshot = state.treeHistory.pop();
+  if (!snapshot) return;
+  restoreTreeSnapshot(snapshot);
+  keepTreeEdits();
+  hideTreeMenu();
+  drawTree();
+  drawRootToTip();
+  document.getElementById("treeUndo").disabled = state.treeHistory.length === 0;
+}
 
-  const yScale = yInfo.type === 'numerical' ?
-    d3.scaleLinear().domain(yInfo.domain).nice().range([graphHeight, 0]) :
-    d3.scalePoint().domain(yInfo.domain).range([graphHeight, 0]).padding(0.5);
+/**
+ * @param {MouseEvent} event
+ * @param {d3.HierarchyNode} d - the clicked node of the drawn tree
+ */
+function showTreeMenu(event, d) {
+  const node = d.data;
+  const isRoot = node === state.tree;
+  const isClade = Boolean(node.branchset);
+  const items = [
+    isClade && { label: "Select clade", action: () => {
+      hideTreeMenu();
+      setSelection(dataLeaves(node).map(t => state.tipIndex.get(t.name)).filter(Boolean));
+    } },
+    !isRoot && { label: "Reroot on this branch", action: () => editTree(() => rerootTree(state.tree, node)) },
+    isClade && !node.collapsed && { label: "Rotate children", action: () => editTree(() => {
+      node.branchset.reverse();
+    }) },
+    isClade && !node.collapsed && { label: "Ladderize clade up", action: () => editTree(() => {
+      ladderizeTree(node, 'up');
+    }) },
+    isClade && !node.collapsed && { label: "Ladderize clade down", action: () => editTree(() => {
+      ladderizeTree(node, 'down');
+    }) },
+    isClade && d.parent && { label: node.collapsed ? "Expand clade" : "Collapse clade", action: () => editTree(() => {
+      node.collapsed = !node.collapsed;
+    }) },
+    isClade && d.parent && { label: "Zoom to this subtree", action: () => editTree(() => {
+      node.collapsed = false;
+      state.treeZoom = node;
+      resetTreeZoom();
+    }) }
+  ].filter(Boolean);
+  if (!items.length) return;
 
-  const shapeScale = d3.scaleOrdinal(d3.symbols).domain(shapeInfo.domain);
-  const symbolGenerator = d3.symbol().size(180);
+  const menu = d3.select("#treeMenu");
+  menu.selectAll("*").remove();
+  menu.selectAll("button")
+    .data(items)
+    .join("button")
+    .text(item => item.label)
+    .on("click", (e, item) => item.action());
+  menu.style("left", `${event.pageX}px`)
+    .style("top", `${event.pageY}px`)
+    .property("hidden", false);
+}
 
-  g.append("g").attr("transform", `translate(0,${graphHeight})`).call(d3.axisBottom(xScale));
-  g.append("g").call(d3.axisLeft(yScale));
+function resetTreeView() {
+  state.treeHistory = [];
+  state.treeZoom = null;
+  resetTreeZoom();
+  document.getElementById("treeUndo").disabled = true;
+}
 
-  const plotData = state.sequences.filter(d => {
-    const xVal = d.descriptors[xDesc];
-    const yVal = d.descriptors[yDesc];
-    const shapeVal = d.descriptors[shapeDesc];
-    return xVal !== null && xVal !== undefined && String(xVal).toUpperCase() !== 'NA' &&
-      yVal !== null && yVal !== undefined && String(yVal).toUpperCase() !== 'NA' &&
-      shapeVal !== null && shapeVal !== undefined && String(shapeVal).toUpperCase() !== 'NA';
+function hideTreeMenu() {
+  const menu = document.getElementById("treeMenu");
+  if (menu) menu.hidden = true;
+}
+
+/**
+ * Shows the path from the full tree down to the zoomed subtree; each
+ * crumb zooms back out to that level.
+ */
+function drawTreeBreadcrumb() {
+  const crumbs = state.treeZoom ? findNodePath(state.tree, state.treeZoom) || [] : [];
+  const breadcrumb = d3.select("#treeBreadcrumb");
+  breadcrumb.property("hidden", crumbs.length === 0);
+  breadcrumb.selectAll("*").remove();
+  crumbs.forEach((node, i) => {
+    if (i > 0) breadcrumb.append("span").text(" › ");
+    const label = i === 0 ? "Full tree" : `${node.name && node.support === undefined ? node.name : "Clade"} (${dataLeaves(node).length} tips)`;
+    if (i === crumbs.length - 1) {
+      breadcrumb.append("span").attr("class", "crumb-current").text(label);
+    } else {
+      breadcrumb.append("button")
+        .attr("class", "crumb")
+        .text(label)
+        .on("click", () => editTree(() => {
+          state.treeZoom = i === 0 ? null : node;
+          resetTreeZoom();
+        }));
+    }
   });
+}
 
-  g.selectAll(".point")
-    .data(plotData)
-    .enter()
-    .append("path")
-    .attr("class", "point")
-    .attr("transform", d => `translate(${xScale(d.descriptors[xDesc])},${yScale(d.descriptors[yDesc])})`)
-    .attr("d", d => symbolGenerator.type(shapeScale(d.descriptors[shapeDesc]))())
-    .attr("fill", d => d3.schemeTableau10[hash(d.descriptors[colourDesc]) % 10])
-    .attr("opacity", 0.8)
-    .append("title")
-    .text(d => `${d.accession}\n${xDesc}: ${d.descriptors[xDesc]}\n${yDesc}: ${d.descriptors[yDesc]}\n${shapeDesc}: ${d.descriptors[shapeDesc]}`);
+/**
+ * Replaces (or, with `additive`, extends) the shared selection and
+ * restyles every panel to match.
+ * @param {Iterable<object>} seqs
+ * @param {boolean} [additive]
+ */
+function setSelection(seqs, additive = false) {
+  state.selection = new Set(additive ? [...state.selection, ...seqs] : seqs);
+  updateSelectionViews();
+}
 
-  const colorDomain = state.descriptorInfo[colourDesc].domain;
-  const colorLegend = g.append("g").attr("transform", `translate(${graphWidth + 30}, 0)`);
-  colorLegend.append("text").text(colourDesc).attr("font-weight", "bold");
-  const colorItems = colorLegend.selectAll(".color-item").data(colorDomain).enter().append("g").attr("transform", (d, i) => `translate(0, ${25 * (i + 1)})`);
-  colorItems.append("rect").attr("width", 15).attr("height", 15).attr("fill", d => d3.schemeTableau10[hash(d) % 10]);
-  colorItems.append("text").text(d => d).attr("x", 20).attr("y", 12.5);
+/**
+ * @param {string} pmid
+ * @param {boolean} [additive]
+ */
+function selectStudy(pmid, additive) {
+  setSelection((state.studyIndex.get(pmid) || []).filter(s => state.visible.has(s)), additive);
+}
 
-  const shapeDomain = shapeInfo.domain;
-  const shapeLegendY = 25 * (colorDomain.length + 2);
-  const shapeLegend = g.append("g").attr("transform", `translate(${graphWidth + 30}, ${shapeLegendY})`);
-  shapeLegend.append("text").text(shapeDesc).attr("font-weight", "bold");
-  const shapeItems = shapeLegend.selectAll(".shape-item").data(shapeDomain).enter().append("g").attr("transform", (d, i) => `translate(10, ${25 * (i + 1)})`);
-  shapeItems.append("path").attr("d", d => d3.symbol(shapeScale(d), 120)()).attr("fill", "#555");
-  shapeItems.append("text").text(d => d).attr("x", 20).attr("y", 5);
+/**
+ * Highlights selected sequences in the tree, chart and heatmap without
+ * rebuilding them; canvas layers are repainted.
+ */
+function updateSelectionViews() {
+  const selection = state.selection;
+  const active = selection.size > 0;
+  const studies = new Set([...selection].map(s => s.pmid));
+
+  d3.selectAll("#treeSvg .tip-label")
+    .classed("selected", d => Boolean(d.seq && selection.has(d.seq)))
+    .classed("dimmed", d => active && !(d.seq && selection.has(d.seq)));
+  d3.selectAll("#chartSvg .point")
+    .classed("selected", d => selection.has(d))
+    .classed("dimmed", d => active && !selection.has(d));
+  d3.selectAll("#rttSvg .rtt-point")
+    .classed("selected", d => selection.has(d.seq));
+  d3.selectAll("#heatSvg .heat-cell")
+    .classed("selected", d => studies.has(d.pmid));
+  d3.selectAll("#heatSvg .x-axis .tick text")
+    .classed("selected", d => studies.has(d));
+  d3.selectAll("#mapSvg .map-country, #mapSvg .map-pie")
+    .classed("selected", d => active && d.rows.some(s => selection.has(s)));
+  redrawCanvases();
+
+  const info = document.getElementById("selectionInfo");
+  info.hidden = !active;
+  document.getElementById("selectionCount").textContent = `${selection.size} selected`;
+}
+
+const SEARCH_DELAY = 250;
+
+function bindEvents() {
+  document.getElementById("exportCSV").addEventListener("click", exportCSV);
+
+  const treeLayoutSelect = document.getElementById("treeLayout");
+  const branchLengthToggle = document.getElementById("treeBranchLengthToggle");
+
+  treeLayoutSelect.addEventListener("change", () => {
+    resetTreeZoom();
+    drawTree();
+  });
+
+  branchLengthToggle.addEventListener("change", (e) => {
+    const svgNode = document.getElementById("treeSvg");
+    if (svgNode && svgNode.update && treeLayoutSelect.value !== 'rectangular') {
+      svgNode.update(e.target.checked);
+    } else {
+      drawTree();
+    }
+  });
+
+  document.getElementById("treeResetZoom").addEventListener("click", resetTreeZoom);
+
+  document.getElementById("treeColour").addEventListener("change", drawTree);
+  document.getElementById("treeColourScheme").addEventListener("change", drawTree);
+  document.getElementById("treeAncestral").addEventListener("change", drawTree);
+  document.getElementById("treePies").addEventListener("change", drawTree);
+  document.getElementById("treeStrips").addEventListener("change", drawTree);
+
+  document.getElementById("treeMidpoint").addEventListener("click", () => editTree(() => midpointRoot(state.tree)));
+  document.getElementById("treeLadderizeUp").addEventListener("click", () => editTree(() => {
+    ladderizeTree(state.tree, 'up');
+  }));
+  document.getElementById("treeLadderizeDown").addEventListener("click", () => editTree(() => {
+    ladderizeTree(state.tree, 'down');
+  }));
+  document.getElementById("treeUndo").addEventListener("click", undoTreeEdit);
+  document.addEventListener("keydown", e => {
+    // Only while working in the tree panel: from inside it, or from the page with it in view
+    const inTreePanel = e.target.closest("#treePanel") || (e.target === document.body && state.activePanel === 'treePanel');
+    if ((e.ctrlKey || e.metaKey) && e.key === 'z' && inTreePanel && !/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) {
+      e.preventDefault();
+      undoTreeEdit();
+    }
+    if (e.key === 'Escape') hideTreeMenu();
+  });
+  document.addEventListener("click", e => {
+    if (!e.target.closest("#treeMenu")) hideTreeMenu();
+  });
+
+  document.getElementById("treeSelect").addEventListener("change", e => {
+    try {
+      state.tree = loadedTree(+e.target.value);
+    } catch (err) {
+      alert(`Could not read this tree: ${err.message}`);
+      e.target.value = state.trees.findIndex(entry => entry.tree === state.tree);
+      return;
+    }
+    resetTreeView();
+    analyzeTreeAnnotations();
+    populateTreeColour();
+    refreshTipMatching();
+  });
+
+  ["chartX", "chartY", "chartColour", "chartColourScheme", "chartShape"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawChart);
+  });
+  document.querySelectorAll("input[name='chartMode']").forEach(r => {
+    r.addEventListener("change", () => {
+      applyChartDefaults(r.value);
+      drawChart();
+    });
+  });
+  ["pyramidSides", "pyramidScale", "pyramidBand", "chartBins", "barScale", "boxStyle"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawChart);
+  });
+
+  ["heatColour", "heatSort", "heatGroup"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawHeat);
+  });
+
+  ["mapCountry", "mapCity", "mapLevel", "mapSplit"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawMap);
+  });
+  document.getElementById("mapResetZoom").addEventListener("click", resetMapZoom);
+
+  ["matchTrim", "matchUnderscores", "matchCase", "matchVersion", "matchDelimiter", "matchField"].forEach(id => {
+    document.getElementById(id).addEventListener("change", () => {
+      readMatchRules();
+      refreshTipMatching();
+    });
+  });
+
+  const applySearch = debounce(applyFilters, SEARCH_DELAY);
+  const searchBox = document.getElementById("searchBox");
+  searchBox.addEventListener("input", () => {
+    updateSearchSuggestions(searchBox);
+    if (readSearchBox()) applySearch();
+  });
+  // A text input drops line breaks from pasted text, which would join a pasted list of IDs
+  searchBox.addEventListener("paste", e => {
+    const text = e.clipboardData && e.clipboardData.getData("text");
+    if (!text || !/[\r\n]/.test(text) || e.defaultPrevented) return;
+    e.preventDefault();
+    searchBox.setRangeText(text.trim().replace(/\s*[\r\n]+\s*/g, " "), searchBox.selectionStart, searchBox.selectionEnd, "end");
+    searchBox.dispatchEvent(new Event("input"));
+  });
+
+  document.getElementById("filterToggle").addEventListener("click", () => {
+    const sidebar = document.getElementById("filterSidebar");
+    sidebar.hidden = !sidebar.hidden;
+    document.body.classList.toggle("sidebar-open", !sidebar.hidden);
+  });
+
+  document.getElementById("chartBrush").addEventListener("change", drawChart);
+
+  ["epiDate", "epiBin", "epiStack"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawEpiCurve);
+  });
+
+  ["rttDate", "rttBestRoot", "rttOutlier"].forEach(id => {
+    document.getElementById(id).addEventListener("change", drawRootToTip);
+  });
+
+  document.getElementById("selectionToFilter").addEventListener("click", () => {
+    setFilter(SELECTION_FILTER_KEY, { type: 'selection', sequences: new Set(state.selection) });
+  });
+
+  document.getElementById("clearSelection").addEventListener("click", () => setSelection([]));
+
+  document.getElementById("binSource").addEventListener("change", e => {
+    document.getElementById("binName").value = `${e.target.value}_bins`;
+    previewBins();
+  });
+  document.getElementById("binMethod").addEventListener("change", e => {
+    document.getElementById("binCountControl").hidden = e.target.value === 'custom';
+    document.getElementById("binBreaksControl").hidden = e.target.value !== 'custom';
+    previewBins();
+  });
+  ["binCount", "binBreaks"].forEach(id => document.getElementById(id).addEventListener("input", previewBins));
+  document.getElementById("binCreate").addEventListener("click", () => {
+    const { source, name, thresholds } = readBinSettings();
+    if (!source || !name) {
+      alert("Choose a numeric column and a name for the new column.");
+      return;
+    }
+    try {
+      addBinnedDescriptor(name, source, thresholds);
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  document.getElementById("clearFilters").addEventListener("click", () => {
+    state.filters = {};
+    applyFilters();
+  });
+
+  document.querySelectorAll(".figure-export").forEach(button => {
+    button.addEventListener("click", () => openFigureDialog([button.dataset.panel]));
+  });
+  document.getElementById("exportFigure").addEventListener("click", () => {
+    if (state.sourceFiles) openFigureDialog(Object.keys(FIGURE_PANELS));
+  });
+  ["figureFormat", "figurePanels"].forEach(id => document.getElementById(id).addEventListener("change", updateFigureDialog));
+  document.getElementById("figureCancel").addEventListener("click", () => {
+    document.getElementById("figureDialog").hidden = true;
+  });
+  document.getElementById("figureForm").addEventListener("submit", e => {
+    e.preventDefault();
+    let options;
+    try {
+      options = readFigureOptions();
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    document.getElementById("figureDialog").hidden = true;
+    exportFigure(options).catch(err => {
+      console.error("Figure export failed:", err);
+      alert(`Figure export failed: ${err.message}`);
+    });
+  });
+
+  document.getElementById("treeExport").addEventListener("click", () => {
+    if (state.tree) document.getElementById("treeExportDialog").hidden = false;
+  });
+  document.getElementById("treeExportCancel").addEventListener("click", () => {
+    document.getElementById("treeExportDialog").hidden = true;
+  });
+  document.getElementById("treeExportForm").addEventListener("submit", e => {
+    e.preventDefault();
+    const formats = Array.from(document.querySelectorAll("#treeExportFormats input:checked"), input => input.value);
+    if (!formats.length) {
+      alert("Choose at least one file to export.");
+      return;
+    }
+    try {
+      exportTreeFiles({ formats, prune: document.getElementById("treeExportPrune").checked });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    document.getElementById("treeExportDialog").hidden = true;
+  });
+
+  document.getElementById("descriptorSettings").addEventListener("click", () => {
+    if (state.sourceFiles) openDescriptorDialog();
+  });
+  document.getElementById("descriptorColumn").addEventListener("change", drawDescriptorEditor);
+  document.getElementById("descriptorType").addEventListener("change", event => {
+    const settings = draftSettings(document.getElementById("descriptorColumn").value);
+    if (event.target.value === 'auto') delete settings.type;
+    else settings.type = event.target.value;
+    drawDescriptorEditor();
+  });
+  document.getElementById("descriptorMerge").addEventListener("click", () => {
+    const levels = Array.from(document.querySelectorAll("#descriptorLevels .level-merge:checked"), input => input.value);
+    const name = document.getElementById("descriptorMergeName").value.trim() || levels[0];
+    if (levels.length < 2 && !(levels.length === 1 && name !== levels[0])) {
+      alert("Tick two or more levels to merge, or one level and a new name to rename it.");
+      return;
+    }
+    mergeDraftLevels(document.getElementById("descriptorColumn").value, levels, name);
+    document.getElementById("descriptorMergeName").value = '';
+  });
+  document.getElementById("descriptorApplyPalette").addEventListener("click", () => {
+    const key = document.getElementById("descriptorColumn").value;
+    const levels = previewColumn(key).info.domain.map(String);
+    const colours = paletteColours(document.getElementById("descriptorPalette").value, levels.length);
+    draftSettings(key).colours = Object.fromEntries(levels.map((level, i) => [level, colours[i]]));
+    drawDescriptorEditor();
+  });
+  document.getElementById("descriptorClearColours").addEventListener("click", () => {
+    delete draftSettings(document.getElementById("descriptorColumn").value).colours;
+    drawDescriptorEditor();
+  });
+  document.getElementById("descriptorReset").addEventListener("click", () => {
+    delete state.descriptorDraft[document.getElementById("descriptorColumn").value];
+    drawDescriptorEditor();
+  });
+  document.getElementById("descriptorCancel").addEventListener("click", () => {
+    document.getElementById("descriptorDialog").hidden = true;
+  });
+  document.getElementById("descriptorForm").addEventListener("submit", e => {
+    e.preventDefault();
+    const settings = Object.fromEntries(Object.entries(state.descriptorDraft)
+      .filter(([, columnSettings]) => Object.keys(columnSettings).length));
+    document.getElementById("descriptorDialog").hidden = true;
+    setDescriptorSettings(settings);
+    saveDescriptorSettings();
+  });
+
+  document.getElementById("saveSession").addEventListener("click", saveSessionFile);
+  document.getElementById("sessionFileInput").addEventListener("change", e => {
+    if (e.target.files[0]) openSessionFile(e.target.files[0]);
+  });
+  // Any interaction may change the view, so the URL is updated once things settle
+  const remember = debounce(rememberView, REMEMBER_DELAY);
+  ["change", "input", "click"].forEach(type => document.addEventListener(type, remember));
+  // The recent session holds both files, so it is only rewritten on load, on save and when leaving the page
+  window.addEventListener("pagehide", () => {
+    if (state.sourceFiles) storeRecentSession();
+  });
+  window.addEventListener("hashchange", () => {
+    const view = readViewHash();
+    if (view && state.sourceFiles) applyViewState(view);
+  });
+}
+
+const SESSION_FORMAT = "metadata-dashboard-session";
+const SESSION_VERSION = 1;
+const VIEW_HASH_PREFIX = "#view=";
+const SESSION_DB = "metadata-dashboard";
+const SESSION_STORE = "sessions";
+const RECENT_SESSION_LIMIT = 10;
+const REMEMBER_DELAY = 1000;
+
+/**
+ * Everything needed to rebuild the current view from the same files:
+ * panel controls, search, filters, selection, tip matches, column
+ * settings and derived columns. Sequences are referred to by ID.
+ * @param {boolean} [withIds] - false leaves out the selection, selection filters and tip matches, which grow with the data
+ * @returns {object}
+ */
+function readViewState(withIds = true) {
+  const controls = {};
+  document.querySelectorAll("main .panel select[id], main .panel input[id]").forEach(el => {
+    controls[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  const radios = {};
+  document.querySelectorAll("main .panel input[type='radio']:checked").forEach(el => {
+    radios[el.name] = el.value;
+  });
+  const ids = seqs => unique([...seqs].map(s => s.accession));
+  return {
+    controls,
+    radios,
+    strips: Array.from(document.querySelectorAll("#treeStrips input:checked"), input => input.value),
+    search: document.getElementById("searchBox").value,
+    filters: Object.fromEntries(Object.entries(state.filters)
+      .filter(([, filter]) => withIds || filter.type !== 'selection')
+      .map(([key, filter]) => [key, filter.type === 'selection' ? { type: 'selection', ids: ids(filter.sequences) } : filter])),
+    selection: withIds ? ids(state.selection) : [],
+    matches: withIds ? state.tipMatching.accepted : {},
+    descriptorSettings: state.descriptorSettings,
+    derived: state.descriptors
+      .filter(d => state.descriptorInfo[d].derived)
+      .map(name => ({ name, ...state.descriptorInfo[name].derived }))
+  };
 }
 
-function drawPyramidChart(svg, xDesc, yDesc, xInfo, yInfo) {
-  if (xInfo.type !== 'categorical' || yInfo.type !== 'categorical') {
-    svg.append("text")
-      .attr("x", "50%")
-      .attr("y", "50%")
-      .attr("text-anchor", "middle")
-      .text("Pyramid plot requires categorical data for both X and Y axes.");
-    return;
+/**
+ * Restores a view from `readViewState` onto the loaded data. Settings that
+ * name columns or options this data does not have are skipped.
+ * @param {object} view
+ */
+function applyViewState(view) {
+  if (view.descriptorSettings) setDescriptorSettings(view.descriptorSettings);
+  (view.derived || []).forEach(({ name, source, thresholds }) => {
+    if (!state.descriptorInfo[source]) return;
+    try {
+      addBinnedDescriptor(name, source, thresholds);
+    } catch (err) {
+      console.warn(`Could not restore column ${name}:`, err);
+    }
+  });
+
+  const controls = view.controls || {};
+  const treeSelect = document.getElementById("treeSelect");
+  if (controls.treeSelect !== undefined && controls.treeSelect !== treeSelect.value && state.trees[+controls.treeSelect]) {
+    treeSelect.value = controls.treeSelect;
+    state.tree = loadedTree(+controls.treeSelect);
+    resetTreeView();
+    analyzeTreeAnnotations();
+    populateTreeColour();
   }
+  const setControl = (id, value) => {
+    const el = document.getElementById(id);
+    if (!el || id === 'treeSelect') return;
+    if (el.type === 'checkbox') {
+      el.checked = Boolean(value);
+    } else if (el.tagName !== 'SELECT' || Array.from(el.options).some(o => o.value === value)) {
+      el.value = value;
+    }
+  };
+  Object.entries(controls).forEach(([id, value]) => setControl(id, value));
 
-  const {
-    width,
-    height
-  } = svg.node().getBoundingClientRect();
-  const margin = {
-    top: 40,
-    right: 20,
-    bottom: 40,
-    left: 20
+  const radios = view.radios || {};
+  const checkRadio = name => {
+    const input = Array.from(document.querySelectorAll("main .panel input[type='radio']"))
+      .find(el => el.name === name && el.value === radios[name]);
+    if (input) input.checked = true;
   };
-  const graphWidth = width - margin.left - margin.right;
-  const graphHeight = height - margin.top - margin.bottom;
+  if (radios.chartMode) checkRadio('chartMode');
+  const xDesc = document.getElementById("chartX").value;
+  if (state.descriptorInfo[xDesc] && state.descriptorInfo[xDesc].type === 'categorical') {
+    updatePyramidSides(xDesc, state.descriptorInfo[xDesc]);
+  }
+  Object.keys(radios).filter(name => name !== 'chartMode').forEach(checkRadio);
+  const strips = new Set(view.strips || []);
+  document.querySelectorAll("#treeStrips input").forEach(input => {
+    input.checked = strips.has(input.value);
+  });
 
-  const counts = d3.rollup(state.sequences, v => v.length, d => d.descriptors[xDesc], d => d.descriptors[yDesc]);
-  const xCategories = xInfo.domain;
-  const yCategories = yInfo.domain;
-  const [xCat1, xCat2] = xCategories;
+  readMatchRules();
+  state.tipMatching.accepted = { ...(view.matches || {}) };
+  reconcileTree();
+  drawReconciliation();
 
-  let maxCount = 0;
-  yCategories.forEach(yCat => {
-    const count1 = counts.get(xCat1)?.get(yCat) || 0;
-    const count2 = counts.get(xCat2)?.get(yCat) || 0;
-    maxCount = Math.max(maxCount, count1, count2);
+  document.getElementById("searchBox").value = view.search || '';
+  readSearchBox();
+
+  const byId = d3.group(state.allSequences, s => s.accession);
+  const sequencesOf = ids => (ids || []).flatMap(id => byId.get(id) || []);
+  state.filters = {};
+  Object.entries(view.filters || {}).forEach(([key, filter]) => {
+    if (filter.type === 'selection') {
+      state.filters[key] = { type: 'selection', sequences: new Set(sequencesOf(filter.ids)) };
+    } else if (filter.type === 'missing' || state.descriptorInfo[key]) {
+      state.filters[key] = filter;
+    }
   });
+  state.selection = new Set(sequencesOf(view.selection));
+  applyFilters();
+}
 
-  const xScale = d3.scaleLinear().domain([-maxCount, maxCount]).range([0, graphWidth]);
-  const yScale = d3.scaleBand().domain(yCategories).range([0, graphHeight]).padding(0.2);
+/**
+ * @returns {object|null} the view in the URL hash, or null when there is none
+ */
+function readViewHash() {
+  if (!location.hash.startsWith(VIEW_HASH_PREFIX)) return null;
+  try {
+    return JSON.parse(decodeURIComponent(location.hash.slice(VIEW_HASH_PREFIX.length)));
+  } catch (err) {
+    console.warn("Could not read the view in the URL:", err);
+    return null;
+  }
+}
 
-  const g = svg.append("g").attr("transform", `translate(${margin.left}, ${margin.top})`);
+/**
+ * Writes the current view, without its ID lists, to the URL hash.
+ */
+function rememberView() {
+  if (!state.sourceFiles) return;
+  history.replaceState(null, "", VIEW_HASH_PREFIX + encodeURIComponent(JSON.stringify(readViewState(false))));
+}
 
-  g.selectAll(".bar-left")
-    .data(yCategories).enter()
-    .append("rect")
-    .attr("class", "bar-left")
-    .attr("x", d => xScale(-(counts.get(xCat1)?.get(d) || 0)))
-    .attr("y", d => yScale(d))
-    .attr("width", d => xScale(0) - xScale(-(counts.get(xCat1)?.get(d) || 0)))
-    .attr("height", yScale.bandwidth())
-    .attr("fill", "#4c78a8");
-
-  g.selectAll(".bar-right")
-    .data(yCategories).enter()
-    .append("rect")
-    .attr("class", "bar-right")
-    .attr("x", xScale(0))
-    .attr("y", d => yScale(d))
-    .attr("width", d => xScale(counts.get(xCat2)?.get(d) || 0) - xScale(0))
-    .attr("height", yScale.bandwidth())
-    .attr("fill", "#69b3a2");
+/**
+ * @returns {object} the loaded files, the edited tree and the view
+ */
+function readSession() {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    files: state.sourceFiles,
+    columns: state.columns,
+    importOptions: state.importOptions,
+    tree: snapshotTree(),
+    view: readViewState()
+  };
+}
 
-  g.append("g")
-    .call(d3.axisLeft(yScale).tickSize(0))
-    .attr("transform", `translate(${xScale(0)}, 0)`)
-    .select(".domain").remove();
+function saveSessionFile() {
+  if (!state.sourceFiles) return;
+  const blob = new Blob([JSON.stringify(readSession())], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${state.sourceFiles.csv.name.replace(/\.[^.]*$/, "")}-session.json`;
+  link.click();
+  storeRecentSession();
+}
 
-  g.selectAll(".tick text")
-    .attr("x", 0)
-    .attr("text-anchor", "middle");
+/**
+ * Loads the files in a session and restores its tree edits and view.
+ * @param {object} session - from `readSession`
+ * @returns {boolean} whether the data loaded
+ */
+function restoreSession(session) {
+  if (!session || session.format !== SESSION_FORMAT) throw new Error("This is not a dashboard session file");
+  if (session.version > SESSION_VERSION) throw new Error("This session was saved by a newer version of the dashboard");
+  const { csv, tree } = session.files;
+  const view = session.view || {};
+  if (!loadDashboard(tree.text, csv.text, session.columns, { csv: csv.name, tree: tree.name }, session.importOptions)) return false;
+  if (session.files.papers) loadPapers(session.files.papers.text, session.files.papers.name);
 
-  g.append("text").attr("x", xScale(-maxCount / 2)).attr("y", -10).text(xCat1).attr("text-anchor", "middle");
-  g.append("text").attr("x", xScale(maxCount / 2)).attr("y", -10).text(xCat2).attr("text-anchor", "middle");
+  const treeIndex = view.controls && view.controls.treeSelect;
+  if (state.trees[+treeIndex]) document.getElementById("treeSelect").value = treeIndex;
+  restoreTreeSnapshot(session.tree);
+  keepTreeEdits();
+  analyzeTreeAnnotations();
+  populateTreeColour();
+  applyViewState(view);
+  rememberView();
+  storeRecentSession();
+  return true;
 }
 
-function drawHeat() {
-  const svg = d3.select("#heatSvg");
-  svg.selectAll("*").remove();
+/**
+ * @param {File} file
+ */
+function openSessionFile(file) {
+  readFileAsText(file)
+    .then(text => {
+      state.sessionId = null;
+      restoreSession(JSON.parse(text));
+    })
+    .catch(error => {
+      console.error("Error opening session:", error);
+      alert(`Error opening session: ${error.message}`);
+    });
+}
 
-  const {
-    width,
-    height
-  } = svg.node().getBoundingClientRect();
-  const margin = {
-    top: 40,
-    right: 20,
-    bottom: 180,
-    left: 150
-  };
-  const graphWidth = width - margin.left - margin.right;
-  const graphHeight = height - margin.top - margin.bottom;
+/**
+ * Opens the recent session database and runs `action` on its store in one
+ * transaction.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): (IDBRequest|void)} action
+ * @returns {Promise<*>} the result of the request `action` returns
+ */
+function withSessionStore(mode, action) {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const open = indexedDB.open(SESSION_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(SESSION_STORE, { keyPath: "id", autoIncrement: true });
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const transaction = db.transaction(SESSION_STORE, mode);
+      const request = action(transaction.objectStore(SESSION_STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request && request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}
 
-  const y_elements = state.descriptors;
-  const x_elements = unique(state.sequences.map(s => s.pmid));
+/**
+ * Saves the current session as the most recent one, replacing its earlier
+ * copy, and drops the oldest beyond `RECENT_SESSION_LIMIT`.
+ * @returns {Promise<void>}
+ */
+function storeRecentSession() {
+  const { csv, tree } = state.sourceFiles;
+  const record = { name: `${csv.name} + ${tree.name}`, savedAt: new Date().toISOString(), session: readSession() };
+  if (state.sessionId) record.id = state.sessionId;
+  return withSessionStore("readwrite", store => store.put(record))
+    .then(id => {
+      state.sessionId = id;
+      return withSessionStore("readwrite", store => {
+        const keys = store.getAllKeys();
+        keys.onsuccess = () => keys.result.slice(0, -RECENT_SESSION_LIMIT).forEach(key => store.delete(key));
+      });
+    })
+    .catch(err => console.warn("Could not save the recent session:", err));
+}
 
-  if (!y_elements.length || !x_elements.length) return;
+/**
+ * Lists recent sessions on the upload screen, newest first.
+ */
+function showRecentSessions() {
+  const section = d3.select("#recentSessions");
+  withSessionStore("readonly", store => store.getAll())
+    .then(records => {
+      const sorted = d3.sort(records, r => r.savedAt).reverse();
+      section.property("hidden", !sorted.length);
+      const items = section.select("ul").selectAll("li").data(sorted).join("li");
+      items.selectAll("*").remove();
+      items.append("span").text(r => `${r.name} – ${new Date(r.savedAt).toLocaleString()}`);
+      items.append("button")
+        .text("Open")
+        .on("click", (event, r) => {
+          // Reopening moves the session to the top, under a new ID
+          state.sessionId = null;
+          try {
+            if (restoreSession(r.session)) withSessionStore("readwrite", store => store.delete(r.id));
+          } catch (err) {
+            alert(`Error opening session: ${err.message}`);
+          }
+        });
+      items.append("button")
+        .text("Remove")
+        .on("click", (event, r) => {
+          withSessionStore("readwrite", store => store.delete(r.id)).then(showRecentSessions);
+        });
+    })
+    .catch(err => console.warn("Could not list recent sessions:", err));
+}
 
-  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+/**
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
 
-  const x = d3.scaleBand().domain(x_elements).range([0, graphWidth]).padding(0.05);
-  const y = d3.scaleBand().domain(y_elements).range([0, graphHeight]).padding(0.05);
-  const colourScheme = document.getElementById("heatColour").value;
-  const colour = d3.scaleSequential(d3[colourScheme]).domain([0, 1]);
+/**
+ * @param {File} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readFileAsBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
 
-  g.append("g")
-    .attr("transform", `translate(0,${graphHeight})`)
-    .call(d3.axisBottom(x))
-    .selectAll("text")
-    .attr("transform", "translate(-10,0)rotate(-45)")
-    .style("text-anchor", "end")
-    .style("font-size", "14px");
+/**
+ * Decodes text by its byte-order mark, otherwise as UTF-8, falling back to
+ * Windows-1252 (which Excel writes on Windows) when the bytes are not valid UTF-8.
+ * @param {Uint8Array} bytes
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeText(bytes) {
+  const bom = (...marks) => marks.every((mark, i) => bytes[i] === mark);
+  const encoding = bom(0xEF, 0xBB, 0xBF) ? "utf-8" : bom(0xFF, 0xFE) ? "utf-16le" : bom(0xFE, 0xFF) ? "utf-16be" : null;
+  if (encoding) return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+  } catch (err) {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "windows-1252" };
+  }
+}
 
-  g.append("g")
-    .call(d3.axisLeft(y))
-    .selectAll("text")
-    .style("font-size", "14px");
-
-  x_elements.forEach(pmid => {
-    y_elements.forEach(descriptor => {
-      const seqsInPaper = state.sequences.filter(s => s.pmid === pmid);
-      const isPresent = seqsInPaper.some(s => {
-        const val = s.descriptors[descriptor];
-        if (val === null || val === undefined) return false;
-        const stringVal = String(val).trim();
-        return stringVal !== '' && stringVal.toUpperCase() !== 'NA';
-      });
-      const value = isPresent ? 1 : 0;
-
-      g.append("rect")
-        .attr("x", x(pmid))
-        .attr("y", y(descriptor))
-        .attr("width", x.bandwidth())
-        .attr("height", y.bandwidth())
-        .attr("fill", colour(value))
-        .on("mouseover", function() {
-          d3.select(this).attr("stroke", "#000");
-        })
-        .on("mouseout", function() {
-          d3.select(this).attr("stroke", null);
-        })
-        .append("title")
-        .text(`${pmid} – ${descriptor}: ${value ? "present" : "absent"}`);
-    });
+/**
+ * Reads a data file, decompressing gzip (`.gz`) input and detecting its encoding.
+ * @param {File} file
+ * @returns {Promise<{text: string, encoding: string, gzip: boolean}>}
+ */
+function readDataFile(file) {
+  return readFileAsBytes(file).then(buffer => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] !== 0x1F || bytes[1] !== 0x8B) return { ...decodeText(bytes), gzip: false };
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).arrayBuffer()
+      .then(inflated => ({ ...decodeText(new Uint8Array(inflated)), gzip: true }));
   });
+}
 
-  const legend = g.append("g")
-    .attr("class", "legend")
-    .attr("transform", `translate(0, ${graphHeight + 120})`);
+const IMPORT_DELIMITERS = {
+  ",": "comma",
+  "\t": "tab",
+  ";": "semicolon",
+  "|": "pipe"
+};
 
-  const legendData = [{
-    value: 1,
-    label: "Present (Data Available)"
-  }, {
-    value: 0,
-    label: "Absent (NA or Missing)"
-  }, ];
+const DEFAULT_IMPORT_OPTIONS = {
+  delimiter: "auto",
+  missingValues: ["NA"],
+  trim: true,
+  foldCase: false
+};
 
-  const legendItems = legend.selectAll(".legend-item")
-    .data(legendData).enter()
-    .append("g")
-    .attr("class", "legend-item")
-    .attr("transform", (d, i) => `translate(${i * 250}, 0)`);
+/**
+ * Picks the delimiter that splits the first lines into the same number of
+ * fields as the header, preferring the comma on ties.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const sample = text.slice(0, 20000).split(/\r?\n/).slice(0, 20).join("\n");
+  const scores = Object.keys(IMPORT_DELIMITERS).map(delimiter => {
+    const rows = d3.dsvFormat(delimiter).parseRows(sample).filter(row => row.length > 1);
+    const width = rows.length ? rows[0].length : 0;
+    return { delimiter, score: rows.filter(row => row.length === width).length * Math.min(width, 2) };
+  });
+  return scores.reduce((best, s) => s.score > best.score ? s : best).delimiter;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} whether `text` is a plain decimal number; leading zeros
+ *   (`0012`) and exponents (`1e5`) are kept as text
+ */
+const isPlainNumber = text => /^[-+]?(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)$/.test(text);
 
-  legendItems.append("rect")
-    .attr("width", 18)
-    .attr("height", 18)
-    .attr("fill", d => colour(d.value));
+/**
+ * Splits metadata text into rows, trimming values and merging spellings
+ * that differ only in case when asked. The ID column is never case-folded.
+ * @param {string} text
+ * @param {object} options - see `DEFAULT_IMPORT_OPTIONS`
+ * @param {string} [idColumn]
+ * @returns {Array<object>} rows keyed by column, with `columns` and `delimiter` properties
+ */
+function parseMetadata(text, options, idColumn) {
+  const delimiter = options.delimiter === "auto" ? detectDelimiter(text) : options.delimiter;
+  const clean = options.trim ? v => v.trim() : v => v;
+  const rows = d3.dsvFormat(delimiter).parse(text.replace(/^\uFEFF/, ""), row =>
+    Object.fromEntries(Object.entries(row).map(([k, v]) => [clean(k), clean(v)])));
+  rows.columns = rows.columns.map(clean);
+  rows.delimiter = delimiter;
 
-  legendItems.append("text")
-    .attr("x", 24)
-    .attr("y", 9)
-    .text(d => d.label)
-    .style("font-size", "16px")
-    .attr("alignment-baseline", "middle");
+  if (options.foldCase) {
+    rows.columns.filter(column => column !== idColumn).forEach(column => {
+      const spellings = d3.rollup(rows, group => d3.rollup(group, g => g.length, d => d[column]), d => d[column].toLowerCase());
+      const preferred = new Map(Array.from(spellings, ([key, counts]) =>
+        [key, d3.greatest(counts, ([, n]) => n)[0]]));
+      rows.forEach(d => { d[column] = preferred.get(d[column].toLowerCase()); });
+    });
+  }
+  return rows;
 }
 
-function bindEvents() {
-  document.getElementById("exportCSV").addEventListener("click", exportCSV);
+/**
+ * @returns {object} import options from the upload screen
+ */
+function readImportOptions() {
+  return {
+    delimiter: document.getElementById("importDelimiter").value,
+    missingValues: document.getElementById("importMissing").value.split(",").map(v => v.trim()).filter(Boolean),
+    trim: document.getElementById("importTrim").checked,
+    foldCase: document.getElementById("importFoldCase").checked
+  };
+}
 
-  const treeLayoutSelect = document.getElementById("treeLayout");
-  const branchLengthToggle = document.getElementById("treeBranchLengthToggle");
+/**
+ * Finds problems worth fixing before the data is shown: repeated IDs and
+ * rows, category spellings that differ only in case, spacing or
+ * punctuation (or by one letter), and columns mixing numbers with text.
+ * @param {Array<object>} rows - from `parseMetadata`
+ * @param {{id: string, study: string|null}} mapping
+ * @param {Array<string>} missingValues - tokens that mark a missing value, besides blanks
+ * @returns {{duplicateIds: string[], duplicateRows: string[], nearDuplicates: string[], mixedColumns: string[]}}
+ */
+function checkDataQuality(rows, mapping, missingValues) {
+  const tokens = new Set(missingValues.map(v => v.toUpperCase()));
+  const isMissingValue = v => v.trim() === '' || tokens.has(v.trim().toUpperCase());
+  const ids = d3.rollup(rows, group => group.length, d => d[mapping.id]);
+  const duplicateIds = Array.from(ids).filter(([id, n]) => n > 1 && !isMissingValue(id)).map(([id, n]) => `${id} (${n} rows)`);
 
-  treeLayoutSelect.addEventListener("change", () => {
-    branchLengthToggle.disabled = treeLayoutSelect.value === 'rectangular';
-    drawTree();
+  const firstRow = new Map();
+  const duplicateRows = [];
+  rows.forEach((d, i) => {
+    const key = JSON.stringify(rows.columns.map(c => d[c]));
+    if (firstRow.has(key)) duplicateRows.push(`Row ${i + 1} repeats row ${firstRow.get(key) + 1}`);
+    else firstRow.set(key, i);
   });
 
-  branchLengthToggle.addEventListener("change", (e) => {
-    const svgNode = document.getElementById("treeSvg");
-    if (svgNode && svgNode.update && treeLayoutSelect.value !== 'rectangular') {
-      svgNode.update(e.target.checked);
+  const nearDuplicates = [];
+  const mixedColumns = [];
+  const TYPO_CHECK_LIMIT = 200;
+  rows.columns.filter(column => column !== mapping.id).forEach(column => {
+    const values = rows.map(d => d[column]).filter(v => !isMissingValue(v));
+    const counts = d3.rollup(values, group => group.length, v => v);
+
+    // Spellings are grouped when they normalize alike or are one edit apart
+    const spellings = Array.from(counts.keys());
+    const normalize = v => v.toLowerCase().replace(/[\s_.,-]+/g, " ").trim();
+    const groups = d3.group(spellings, normalize);
+    const keys = Array.from(groups.keys());
+    const parent = new Map(keys.map(k => [k, k]));
+    const root = k => parent.get(k) === k ? k : root(parent.get(k));
+    if (keys.length <= TYPO_CHECK_LIMIT) {
+      const words = keys.filter(k => k.length >= 5 && !/\d/.test(k));
+      words.forEach((a, i) => words.slice(i + 1).forEach(b => {
+        if (editDistance(a, b, 1) <= 1) parent.set(root(b), root(a));
+      }));
+    }
+    d3.groups(keys, root).forEach(([, members]) => {
+      const group = members.flatMap(k => groups.get(k));
+      if (group.length < 2) return;
+      const listed = group.sort((a, b) => counts.get(b) - counts.get(a)).map(v => `"${v}" (${counts.get(v)})`);
+      nearDuplicates.push(`${column}: ${listed.join(", ")}`);
+    });
+
+    const numbers = values.filter(v => isPlainNumber(v));
+    const texts = values.filter(v => !isPlainNumber(v));
+    if (numbers.length && texts.length && !values.every(v => parseDateValue(v))) {
+      const examples = unique(texts).slice(0, 3).map(v => `"${v}"`).join(", ");
+      const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+      mixedColumns.push(`${column}: ${plural(numbers.length, "number")}, ${plural(texts.length, "text value")} (${examples})`);
     }
   });
+  return { duplicateIds, duplicateRows, nearDuplicates, mixedColumns };
+}
 
-  document.getElementById("treeColour").addEventListener("change", drawTree);
+const NO_STUDY_COLUMN = "--none--";
 
-  ["chartX", "chartY", "chartColour", "chartShape"].forEach(id => {
-    document.getElementById(id).addEventListener("change", drawChart);
-  });
-  document.querySelectorAll("input[name='chartMode']").forEach(r => {
-    r.addEventListener("change", drawChart);
-  });
+/**
+ * @param {Array<string>} columns
+ * @returns {string}
+ */
+const columnMappingKey = columns => `columnMapping:${JSON.stringify(columns)}`;
+
+/**
+ * Picks the tip ID and study columns for a CSV header: the mapping saved
+ * for the same header if there is one, otherwise the conventional
+ * `accession`/`pmid` names or a close match.
+ * @param {Array<string>} columns
+ * @returns {{id: string, study: string|null}}
+ */
+function guessColumnMapping(columns) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(columnMappingKey(columns)));
+    if (saved && columns.includes(saved.id) && (!saved.study || columns.includes(saved.study))) return saved;
+  } catch (err) {
+    console.warn("Could not read saved column mapping:", err);
+  }
 
-  document.getElementById("heatColour").addEventListener("change", drawHeat);
+  const find = patterns => patterns
+    .map(re => columns.find(c => re.test(c.trim())))
+    .find(Boolean);
+  const id = find([/^accession$/i, /^strain$/i, /^sample_?id$/i, /accession/i, /strain|sample|isolate|^id$/i]) || columns[0];
+  const study = find([/^pmid$/i, /^study_?doi$/i, /^bioproject$/i, /pmid|doi|study|bioproject|paper/i]);
+  return {
+    id,
+    study: study && study !== id ? study : null
+  };
+}
 
-  document.getElementById("searchBox").addEventListener("input", e => {
-    const tokens = e.target.value.split(",")
-      .map(t => t.trim().toUpperCase())
-      .filter(Boolean);
+/**
+ * @param {Array<string>} columns
+ * @param {{id: string, study: string|null}} mapping
+ */
+function saveColumnMapping(columns, mapping) {
+  try {
+    localStorage.setItem(columnMappingKey(columns), JSON.stringify(mapping));
+  } catch (err) {
+    console.warn("Could not save column mapping:", err);
+  }
+}
 
-    if (tokens.length === 0) {
-      state.sequences = [...state.allSequences];
-    } else {
-      state.sequences = state.allSequences.filter(s =>
-        tokens.some(token =>
-          s.accession.toUpperCase().includes(token) || (s.pmid && s.pmid.toUpperCase().includes(token))
-        )
-      );
-    }
-    drawTree();
-    drawChart();
-    drawHeat();
+/**
+ * Shows the column mapping step for a parsed CSV header and resolves with
+ * the chosen mapping once the user continues.
+ * @param {Array<string>} columns
+ * @returns {Promise<{id: string, study: string|null}>}
+ */
+function promptColumnMapping(columns) {
+  const section = document.getElementById("columnMapping");
+  const idSelect = document.getElementById("idColumnSelect");
+  const studySelect = document.getElementById("studyColumnSelect");
+  const guess = guessColumnMapping(columns);
+
+  idSelect.innerHTML = '';
+  studySelect.innerHTML = `<option value="${NO_STUDY_COLUMN}">(none)</option>`;
+  columns.forEach(c => {
+    idSelect.add(new Option(c, c));
+    studySelect.add(new Option(c, c));
+  });
+  idSelect.value = guess.id;
+  studySelect.value = guess.study || NO_STUDY_COLUMN;
+  section.hidden = false;
+
+  return new Promise(resolve => {
+    document.getElementById("mappingButton").onclick = () => {
+      if (idSelect.value === studySelect.value) {
+        alert("The tip ID and study columns must be different.");
+        return;
+      }
+      const mapping = {
+        id: idSelect.value,
+        study: studySelect.value === NO_STUDY_COLUMN ? null : studySelect.value
+      };
+      saveColumnMapping(columns, mapping);
+      section.hidden = true;
+      resolve(mapping);
+    };
   });
 }
 
 /**
- * @param {File} file
- * @returns {Promise<string>}
+ * Shows the data-quality report and resolves with whether to go on
+ * loading. A file with nothing to report continues straight away.
+ * @param {object} report - from `checkDataQuality`
+ * @param {string} summary - how the file was read
+ * @returns {Promise<boolean>}
  */
-function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsText(file);
+function promptImportReport(report, summary) {
+  if (Object.values(report).every(items => !items.length)) return Promise.resolve(true);
+  const section = document.getElementById("importReport");
+  const issues = d3.select("#importIssues");
+  document.getElementById("importSummary").textContent = `Read ${summary}.`;
+  issues.selectAll("*").remove();
+  appendReportList(issues, "Repeated IDs", report.duplicateIds);
+  appendReportList(issues, "Repeated rows", report.duplicateRows);
+  appendReportList(issues, "Similar spellings", report.nearDuplicates);
+  appendReportList(issues, "Columns mixing numbers and text", report.mixedColumns);
+  section.hidden = false;
+
+  return new Promise(resolve => {
+    const finish = proceed => {
+      section.hidden = true;
+      resolve(proceed);
+    };
+    document.getElementById("importContinue").onclick = () => finish(true);
+    document.getElementById("importCancel").onclick = () => finish(false);
   });
 }
 
 /**
- * @param {string} newickString
+ * @param {string} treeString - Newick, NEXUS or PhyloXML
  * @param {string} csvString 
+ * @param {{id: string, study: string|null}} [mapping] - CSV columns holding tip IDs and study IDs
+ * @param {{csv: string, tree: string}} [fileNames] - kept with the data in saved sessions
+ * @returns {boolean} whether the data loaded
  */
-function loadDashboard(newickString, csvString) {
+function loadDashboard(treeString, csvString, mapping, fileNames = { csv: "metadata.csv", tree: "tree.nwk" }, importOptions = DEFAULT_IMPORT_OPTIONS) {
   try {
-    const raw = d3.csvParse(csvString);
+    state.missingValues = new Set(importOptions.missingValues.map(v => v.toUpperCase()));
+    let raw = parseMetadata(csvString, importOptions);
 
     if (!raw.length) throw new Error("CSV data is empty");
-    if (!newickString) throw new Error("Tree data is empty");
+    if (!treeString) throw new Error("Tree data is empty");
 
-    state.descriptors = raw.columns.filter(k => !["pmid", "accession"].includes(k));
+    const columns = mapping || guessColumnMapping(raw.columns);
+    if (importOptions.foldCase) raw = parseMetadata(csvString, importOptions, columns.id);
+    if (!raw.columns.includes(columns.id)) throw new Error(`CSV has no column named '${columns.id}'`);
+    if (columns.study && !raw.columns.includes(columns.study)) throw new Error(`CSV has no column named '${columns.study}'`);
+    state.columns = columns;
+    const idColumns = [columns.id, columns.study].filter(Boolean);
+
+    state.dataColumns = raw.columns.filter(k => !idColumns.includes(k));
+    state.paperColumns = [];
+    state.paperJoin = null;
+    state.descriptors = [];
+    state.descriptorInfo = {};
+    state.descriptorSettings = loadDescriptorSettings();
     state.allSequences = raw.map(d => ({
-      accession: d.accession,
-      pmid: d.pmid,
-      descriptors: Object.fromEntries(Object.entries(d)
-        .filter(([k]) => !["pmid", "accession"].includes(k))
-        .map(([k, v]) => {
-          const num = +v;
-          return [k, isNaN(num) || v === '' ? v : num];
-        }))
+      accession: d[columns.id],
+      pmid: columns.study ? d[columns.study] : "All sequences",
+      original: Object.fromEntries(Object.entries(d)
+        .filter(([k]) => !idColumns.includes(k))
+        .map(([k, v]) => [k, isPlainNumber(v) ? +v : v])),
+      descriptors: {}
     }));
     state.sequences = [...state.allSequences];
-    state.papers = unique(raw.map(d => d.pmid)).map(pmid => ({
+    state.visible = new Set(state.sequences);
+    state.studyIndex = d3.group(state.allSequences, s => s.pmid);
+    state.dirtyPanels = new Set();
+    state.filters = {};
+    state.search = null;
+    state.selection = new Set();
+    state.papers = unique(state.allSequences.map(d => d.pmid)).map(pmid => ({
       pmid
     }));
+    state.paperIndex = new Map(state.papers.map(paper => [paper.pmid, paper]));
+    document.getElementById("paperCard").hidden = true;
 
-    state.tree = parseNewick(newickString);
+    state.trees = parseTreeFile(treeString).trees;
+    state.tree = loadedTree(0);
+    resetTreeView();
 
     analyzeDescriptors();
+    analyzeTreeAnnotations();
+    state.tipMatching.accepted = {};
+    readMatchRules();
+    reconcileTree();
     populateControls();
-    createObserver();
-    bindEvents();
+    buildFilterSidebar();
+    updateBinTool();
+    drawFilterChips();
+
+    const studyName = columns.study || "study";
+    document.getElementById("searchBox").placeholder = `Search ${columns.id} or ${studyName}, or column:value…`;
+    document.querySelector("#heatmapPanel h2").textContent = `Metadata Completeness by ${studyName}`;
 
     document.querySelector('main').classList.add('loaded');
-    document.getElementById("treeBranchLengthToggle").disabled = document.getElementById("treeLayout").value === 'rectangular';
+    drawReconciliation();
     drawTree();
     drawChart();
+    drawEpiCurve();
+    drawRootToTip();
     drawHeat();
+    drawMap();
 
+    state.sourceFiles = {
+      csv: { name: fileNames.csv, text: csvString },
+      tree: { name: fileNames.tree, text: treeString }
+    };
+    state.importOptions = importOptions;
+    return true;
   } catch (err) {
     console.error("Failed to load data:", err);
     alert(`Failed to load data: ${err.message}. Please check file format and console for details.`);
     document.querySelector('main').classList.remove('loaded');
+    return false;
   }
 }
 
+/**
+ * @param {*} value
+ * @returns {string} a study ID as compared when joining the paper table: trimmed, lower case, without a `PMID:` prefix
+ */
+const studyJoinKey = value => String(value).trim().replace(/^pmid:?\s*/i, "").toLowerCase();
+
+/**
+ * @param {string[]} columns - of the paper table
+ * @returns {string} the column holding study IDs: the one named like the study column, else a PMID, DOI or study column, else the first
+ */
+function guessPaperKeyColumn(columns) {
+  const named = pattern => columns.find(column => pattern.test(column.trim()));
+  return columns.find(column => column.trim() === state.columns.study) ||
+    named(/^pmid$|pubmed/i) || named(/^doi$/i) || named(/study|paper/i) || columns[0];
+}
+
+/**
+ * Joins a table with one row per study (title, authors, year, design…) to
+ * the loaded sequences on the study column. Its columns become descriptors
+ * of every sequence in the study and fields of `state.papers`; a column
+ * named like one in the sequence CSV gets a ` (paper)` suffix.
+ * @param {string} text - CSV or TSV, read with the same import options as the sequences
+ * @param {string} fileName
+ */
+function loadPapers(text, fileName) {
+  if (!state.columns.study) throw new Error("Choose a study column for the sequences to join a paper table");
+  const rows = parseMetadata(text, state.importOptions);
+  if (!rows.length) throw new Error("The paper table is empty");
+  const keyColumn = guessPaperKeyColumn(rows.columns);
+  const byKey = new Map();
+  rows.forEach(row => {
+    const key = studyJoinKey(row[keyColumn]);
+    if (!byKey.has(key)) byKey.set(key, row);
+  });
+
+  // A paper table loaded earlier is replaced
+  state.paperColumns.forEach(key => {
+    delete state.filters[key];
+    state.allSequences.forEach(s => delete s.original[key]);
+  });
+  const ownColumns = state.dataColumns.filter(key => !state.paperColumns.includes(key));
+  const taken = [...ownColumns, state.columns.id, state.columns.study];
+  const names = new Map(rows.columns.filter(column => column !== keyColumn)
+    .map(column => [column, taken.includes(column) ? `${column} (paper)` : column]));
+  state.paperColumns = [...names.values()];
+  state.dataColumns = [...ownColumns, ...state.paperColumns];
+
+  state.papers = state.papers.map(({ pmid }) => {
+    const row = byKey.get(studyJoinKey(pmid));
+    return { pmid, ...(row ? Object.fromEntries([...names].map(([column, name]) => [name, row[column]])) : {}) };
+  });
+  state.paperIndex = new Map(state.papers.map(paper => [paper.pmid, paper]));
+  state.allSequences.forEach(s => {
+    const paper = state.paperIndex.get(s.pmid);
+    state.paperColumns.forEach(name => {
+      const value = paper[name] === undefined ? "" : paper[name];
+      s.original[name] = isPlainNumber(value) ? +value : value;
+    });
+  });
+
+  const studies = new Set(state.papers.map(paper => studyJoinKey(paper.pmid)));
+  state.paperJoin = {
+    fileName,
+    keyColumn,
+    unmatchedStudies: state.papers.filter(paper => !byKey.has(studyJoinKey(paper.pmid))).map(paper => paper.pmid),
+    unusedPapers: [...byKey].filter(([key]) => !studies.has(key)).map(([, row]) => row[keyColumn])
+  };
+  state.sourceFiles.papers = { name: fileName, text };
+
+  analyzeDescriptors();
+  readSearchBox();
+  refreshDescriptorControls();
+  drawReconciliation();
+}
+
 function initializeFileUpload() {
   const csvFileInput = document.getElementById('csvFileInput');
   const treeFileInput = document.getElementById('treeFileInput');
+  const paperFileInput = document.getElementById('paperFileInput');
   const loadButton = document.getElementById('loadButton');
 
   loadButton.addEventListener('click', () => {
     const csvFile = csvFileInput.files[0];
     const treeFile = treeFileInput.files[0];
+    const paperFile = paperFileInput.files[0];
 
     if (!csvFile || !treeFile) {
       alert("Please select both a CSV and a Tree file.");
@@ -737,13 +7199,41 @@ function initializeFileUpload() {
     }
 
     const filePromises = [
-      readFileAsText(csvFile),
-      readFileAsText(treeFile)
+      readDataFile(csvFile),
+      readDataFile(treeFile),
+      paperFile ? readDataFile(paperFile) : null
     ];
 
     Promise.all(filePromises)
-      .then(([csvContent, treeContent]) => {
-        loadDashboard(treeContent, csvContent);
+      .then(([csv, tree, papers]) => {
+        const options = readImportOptions();
+        const rows = parseMetadata(csv.text, options);
+        if (!rows.columns.length) throw new Error("CSV data is empty");
+        return promptColumnMapping(rows.columns)
+          .then(mapping => {
+            const checked = options.foldCase ? parseMetadata(csv.text, options, mapping.id) : rows;
+            const summary = `${rows.length} rows and ${rows.columns.length} columns, ${IMPORT_DELIMITERS[rows.delimiter]}-separated, ` +
+              `${csv.encoding}${csv.gzip ? ", gzip-compressed" : ""}`;
+            return promptImportReport(checkDataQuality(checked, mapping, options.missingValues), summary)
+              .then(proceed => proceed && mapping);
+          })
+          .then(mapping => {
+            if (!mapping) return;
+            state.sessionId = null;
+            if (!loadDashboard(tree.text, csv.text, mapping, { csv: csvFile.name, tree: treeFile.name }, options)) return;
+            if (papers) {
+              try {
+                loadPapers(papers.text, paperFile.name);
+              } catch (err) {
+                alert(`Could not join the paper table: ${err.message}`);
+              }
+            }
+            // A view shared through the URL applies to whichever files are loaded
+            const view = readViewHash();
+            if (view) applyViewState(view);
+            rememberView();
+            storeRecentSession();
+          });
       })
       .catch(error => {
         console.error("Error reading files:", error);
@@ -752,4 +7242,15 @@ function initializeFileUpload() {
   });
 }
 
-window.addEventListener("DOMContentLoaded", initializeFileUpload);
\ No newline at end of file
+/**
+ * Binds the controls once; loading new data or a session reuses them.
+ */
+function initializeDashboard() {
+  bindEvents();
+  createObserver();
+  initializeFileUpload();
+  document.getElementById("sharedViewNote").hidden = !readViewHash();
+  showRecentSessions();
+}
+
+window.addEventListener("DOMContentLoaded", initializeDashboard);
\ No newline at end of file
@@ -0,0 +1,4927 @@
+// Bundled geography for the map panel, so it needs no map service.
+// Country boundaries: Natural Earth 1:110m (public domain), via world-atlas 2.0.2.
+// Country names and codes: i18n-iso-countries 7.14.0 (MIT).
+// Cities of 100,000 people or more: GeoNames (CC BY 4.0, https://www.geonames.org), via all-the-cities 3.1.0.
+// Coordinates are rounded to 0.01°.
+
+// GeoJSON FeatureCollection; feature ids are ISO 3166-1 numeric codes
+const WORLD_COUNTRIES = {
+  type: "FeatureCollection",
+  features: [
+    {"type":"Feature","id":"242","properties":{"name":"Fiji"},"geometry":{"type":"MultiPolygon","coordinates":[[[[178.12,-17.51],[178.37,-17.34],[178.72,-17.63],[178.55,-18.15],[177.93,-18.29],[177.38,-18.16],[177.29,-17.72],[177.67,-17.38],[178.12,-17.51]]],[[[-180,-16.07],[-179.79,-16.02],[-179.92,-16.5],[-180,-16.56],[179.36,-16.8],[178.73,-17.01],[178.6,-16.64],[179.1,-16.43],[179.41,-16.38],[180,-16.07],[-180,-16.07]]]]}},
+    {"type":"Feature","id":"834","properties":{"name":"Tanzania"},"geometry":{"type":"Polygon","coordinates":[[[33.9,-0.95],[34.07,-1.06],[37.7,-3.1],[37.77,-3.68],[39.2,-4.68],[38.74,-5.91],[38.8,-6.48],[39.44,-6.84],[39.47,-7.1],[39.2,-7.7],[39.25,-8.01],[39.19,-8.49],[39.54,-9.11],[39.95,-10.1],[40.32,-10.32],[39.52,-10.9],[38.43,-11.29],[37.83,-11.27],[37.47,-11.57],[36.78,-11.6],[36.51,-11.72],[35.31,-11.44],[34.56,-11.52],[34.28,-10.16],[33.94,-9.69],[33.74,-9.42],[32.76,-9.23],[32.19,-8.93],[31.56,-8.76],[31.16,-8.59],[30.74,-8.34],[30.2,-7.08],[29.62,-6.52],[29.42,-5.94],[29.52,-5.42],[29.34,-4.5],[29.75,-4.45],[30.12,-4.09],[30.5,-3.57],[30.75,-3.36],[30.74,-3.03],[30.53,-2.81],[30.47,-2.41],[30.76,-2.29],[30.81,-1.7],[30.42,-1.14],[30.77,-1.01],[31.87,-1.03],[33.9,-0.95]]]}},
+    {"type":"Feature","id":"732","properties":{"name":"W. Sahara"},"geometry":{"type":"Polygon","coordinates":[[[-8.67,27.66],[-8.66,27.59],[-8.69,27.4],[-8.69,25.88],[-11.97,25.93],[-11.94,23.37],[-12.88,23.29],[-13.12,22.77],[-12.93,21.33],[-16.85,21.33],[-17.06,21],[-17.02,21.42],[-17,21.42],[-14.75,21.5],[-14.63,21.86],[-14.22,22.31],[-13.89,23.69],[-12.5,24.77],[-12.03,26.03],[-11.72,26.1],[-11.39,26.88],[-10.55,26.99],[-10.19,26.86],[-9.74,26.86],[-9.41,27.09],[-8.79,27.12],[-8.82,27.66],[-8.67,27.66]]]}},
+    {"type":"Feature","id":"124","properties":{"name":"Canada"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-122.84,49],[-122.98,49],[-124.91,49.99],[-125.63,50.42],[-127.44,50.83],[-127.99,51.72],[-127.85,52.33],[-129.13,52.76],[-129.3,53.56],[-130.51,54.29],[-130.54,54.8],[-129.98,55.28],[-130.01,55.92],[-131.71,56.55],[-132.73,57.69],[-133.35,58.41],[-134.27,58.86],[-134.95,59.27],[-135.47,59.79],[-136.48,59.46],[-137.45,58.91],[-138.34,59.56],[-139.04,60],[-140.01,60.28],[-141,60.31],[-140.99,66],[-140.99,69.71],[-139.12,69.47],[-137.54,68.99],[-136.5,68.9],[-135.63,69.32],[-134.42,69.63],[-132.93,69.51],[-131.43,69.94],[-129.79,70.19],[-129.11,69.78],[-128.36,70.01],[-128.14,70.48],[-127.45,70.38],[-125.75,69.48],[-124.43,70.16],[-124.29,69.4],[-123.06,69.56],[-122.68,69.86],[-121.47,69.8],[-119.94,69.38],[-117.6,69.01],[-116.23,68.84],[-115.25,68.91],[-113.9,68.4],[-115.3,67.9],[-113.5,67.69],[-110.8,67.81],[-109.95,67.98],[-108.88,67.38],[-107.79,67.89],[-108.81,68.31],[-108.17,68.65],[-106.95,68.7],[-106.15,68.8],[-105.34,68.56],[-104.34,68.02],[-103.22,68.1],[-101.45,67.65],[-99.9,67.81],[-98.44,67.78],[-98.56,68.4],[-97.67,68.58],[-96.12,68.24],[-96.13,67.29],[-95.49,68.09],[-94.69,68.06],[-94.23,69.07],[-95.31,69.68],[-96.47,70.09],[-96.39,71.19],[-95.21,71.92],[-93.89,71.76],[-92.88,71.32],[-91.52,70.19],[-92.41,69.7],[-90.55,69.5],[-90.55,68.47],[-89.21,69.26],[-88.02,68.62],[-88.32,67.87],[-87.35,67.2],[-86.31,67.92],[-85.58,68.78],[-85.52,69.88],[-84.1,69.81],[-82.62,69.66],[-81.28,69.16],[-81.22,68.67],[-81.96,68.13],[-81.26,67.6],[-81.39,67.11],[-83.35,66.41],[-84.74,66.26],[-85.77,66.56],[-86.07,66.06],[-87.03,65.21],[-87.32,64.77],[-88.48,64.1],[-89.91,64.03],[-90.7,63.61],[-90.77,62.96],[-91.93,62.84],[-93.16,62.02],[-94.24,60.9],[-94.63,60.11],[-94.69,58.95],[-93.21,58.78],[-92.76,57.85],[-92.3,57.09],[-90.9,57.29],[-89.04,56.85],[-88.04,56.47],[-87.32,56],[-86.07,55.72],[-85.01,55.3],[-83.36,55.25],[-82.27,55.15],[-82.44,54.28],[-82.13,53.28],[-81.4,52.16],[-79.91,51.21],[-79.14,51.53],[-78.6,52.56],[-79.12,54.14],[-79.83,54.67],[-78.23,55.14],[-77.1,55.84],[-76.54,56.53],[-76.62,57.2],[-77.3,58.05],[-78.52,58.81],[-77.34,59.85],[-77.77,60.76],[-78.11,62.32],[-77.41,62.55],[-75.7,62.28],[-74.67,62.18],[-73.84,62.44],[-72.91,62.11],[-71.68,61.53],[-71.37,61.14],[-69.59,61.06],[-69.62,60.22],[-69.29,58.96],[-68.37,58.8],[-67.65,58.21],[-66.2,58.77],[-65.25,59.87],[-64.58,60.34],[-63.81,59.44],[-62.5,58.17],[-61.4,56.97],[-61.8,56.34],[-60.47,55.78],[-59.57,55.2],[-57.98,54.95],[-57.33,54.63],[-56.94,53.78],[-56.16,53.65],[-55.76,53.27],[-55.68,52.15],[-56.41,51.77],[-57.13,51.42],[-58.78,51.07],[-60.03,50.24],[-61.72,50.08],[-63.86,50.29],[-65.36,50.3],[-66.4,50.23],[-67.24,49.51],[-68.51,49.07],[-69.95,47.74],[-71.11,46.82],[-70.26,46.99],[-68.65,48.3],[-66.55,49.13],[-65.06,49.23],[-64.17,48.74],[-65.12,48.07],[-64.8,46.99],[-64.47,46.24],[-63.17,45.74],[-61.52,45.88],[-60.52,47.01],[-60.45,46.28],[-59.8,45.92],[-61.04,45.26],[-63.25,44.67],[-64.25,44.27],[-65.36,43.55],[-66.12,43.62],[-66.16,44.47],[-64.42,45.29],[-66.03,45.26],[-67.14,45.14],[-67.79,45.7],[-67.79,47.07],[-68.23,47.35],[-68.91,47.19],[-69.24,47.45],[-70,46.69],[-70.3,45.91],[-70.66,45.46],[-71.08,45.31],[-71.4,45.25],[-71.51,45.01],[-73.35,45.01],[-74.87,45],[-75.32,44.82],[-76.38,44.1],[-76.5,44.02],[-76.82,43.63],[-77.74,43.63],[-78.72,43.62],[-79.17,43.47],[-79.01,43.27],[-78.92,42.96],[-78.94,42.86],[-80.25,42.37],[-81.28,42.21],[-82.44,41.67],[-82.69,41.67],[-83.03,41.83],[-83.14,41.98],[-83.12,42.08],[-82.9,42.43],[-82.43,42.98],[-82.14,43.57],[-82.34,44.44],[-82.55,45.35],[-83.59,45.82],[-83.47,45.99],[-83.62,46.12],[-83.89,46.12],[-84.09,46.28],[-84.14,46.51],[-84.34,46.41],[-84.61,46.44],[-84.55,46.54],[-84.78,46.64],[-84.88,46.9],[-85.65,47.22],[-86.46,47.55],[-87.44,47.94],[-88.38,48.3],[-89.27,48.02],[-89.6,48.01],[-90.83,48.27],[-91.64,48.14],[-92.61,48.45],[-93.63,48.61],[-94.33,48.67],[-94.64,48.84],[-94.82,49.39],[-95.15,49.38],[-95.16,49],[-97.23,49],[-100.65,49],[-104.05,49],[-107.05,49],[-110.05,49],[-113,49],[-116.05,49],[-117.03,49],[-120,49],[-122.84,49]]],[[[-83.99,62.45],[-83.25,62.91],[-81.88,62.9],[-81.9,62.71],[-83.07,62.16],[-83.77,62.18],[-83.99,62.45]]],[[[-79.77,72.8],[-80.88,73.33],[-80.83,73.69],[-80.35,73.76],[-78.06,73.65],[-76.34,73.1],[-76.25,72.83],[-77.32,72.86],[-78.39,72.88],[-79.49,72.74],[-79.77,72.8]]],[[[-80.32,62.09],[-79.93,62.38],[-79.52,62.36],[-79.27,62.16],[-79.66,61.63],[-80.1,61.72],[-80.36,62.02],[-80.32,62.09]]],[[[-93.61,74.98],[-94.16,74.59],[-95.61,74.67],[-96.82,74.93],[-96.29,75.38],[-94.85,75.65],[-93.98,75.3],[-93.61,74.98]]],[[[-93.84,77.52],[-94.29,77.49],[-96.17,77.56],[-96.44,77.83],[-94.42,77.82],[-93.72,77.63],[-93.84,77.52]]],[[[-96.75,78.77],[-95.56,78.42],[-95.83,78.06],[-97.31,77.85],[-98.12,78.08],[-98.55,78.46],[-98.63,78.87],[-97.34,78.83],[-96.75,78.77]]],[[[-88.15,74.39],[-89.77,74.52],[-92.42,74.84],[-92.77,75.39],[-92.89,75.88],[-93.89,76.32],[-95.96,76.44],[-97.12,76.75],[-96.75,77.16],[-94.68,77.1],[-93.57,76.78],[-91.6,76.78],[-90.74,76.45],[-90.97,76.07],[-89.82,75.85],[-89.19,75.61],[-87.84,75.57],[-86.38,75.48],[-84.79,75.7],[-82.75,75.78],[-81.13,75.71],[-80.06,75.34],[-79.83,74.92],[-80.46,74.66],[-81.95,74.44],[-83.23,74.56],[-86.1,74.41],[-88.15,74.39]]],[[[-111.26,78.15],[-109.85,78],[-110.19,77.7],[-112.05,77.41],[-113.53,77.73],[-112.73,78.05],[-111.26,78.15]]],[[[-110.96,78.8],[-109.66,78.6],[-110.88,78.41],[-112.54,78.41],[-112.52,78.55],[-111.5,78.85],[-110.96,78.8]]],[[[-55.6,51.32],[-56.13,50.69],[-56.8,49.81],[-56.14,50.15],[-55.47,49.94],[-55.82,49.59],[-54.93,49.31],[-54.47,49.56],[-53.48,49.25],[-53.79,48.52],[-53.09,48.69],[-52.96,48.16],[-52.65,47.54],[-53.07,46.66],[-53.52,46.62],[-54.18,46.81],[-53.96,47.63],[-54.24,47.75],[-55.4,46.88],[-56,46.92],[-55.29,47.39],[-56.25,47.63],[-57.33,47.57],[-59.27,47.6],[-59.42,47.9],[-58.8,48.25],[-59.23,48.52],[-58.39,49.13],[-57.36,50.72],[-56.74,51.29],[-55.87,51.63],[-55.41,51.59],[-55.6,51.32]]],[[[-83.88,65.11],[-82.79,64.77],[-81.64,64.45],[-81.55,63.98],[-80.82,64.06],[-80.1,63.73],[-80.99,63.41],[-82.55,63.65],[-83.11,64.1],[-84.1,63.57],[-85.52,63.05],[-85.87,63.64],[-87.22,63.54],[-86.35,64.04],[-86.23,64.82],[-85.88,65.74],[-85.16,65.66],[-84.98,65.22],[-84.46,65.37],[-83.88,65.11]]],[[[-78.77,72.35],[-77.82,72.75],[-75.61,72.24],[-74.23,71.77],[-74.1,71.33],[-72.24,71.56],[-71.2,70.92],[-68.79,70.52],[-67.92,70.12],[-66.97,69.19],[-68.81,68.72],[-66.45,68.07],[-64.86,67.85],[-63.42,66.93],[-61.85,66.86],[-62.16,66.16],[-63.92,65],[-65.15,65.43],[-66.72,66.39],[-68.01,66.26],[-68.14,65.69],[-67.09,65.11],[-65.73,64.65],[-65.32,64.38],[-64.67,63.39],[-65.01,62.67],[-66.27,62.95],[-68.78,63.75],[-67.37,62.88],[-66.33,62.28],[-66.17,61.93],[-68.88,62.33],[-71.02,62.91],[-72.24,63.4],[-71.89,63.68],[-73.38,64.19],[-74.84,64.68],[-74.82,64.39],[-77.71,64.23],[-78.55,64.57],[-77.9,65.31],[-76.02,65.33],[-73.96,65.46],[-74.29,65.81],[-73.95,66.31],[-72.65,67.28],[-72.93,67.73],[-73.31,68.07],[-74.84,68.55],[-76.87,68.89],[-76.23,69.15],[-77.29,69.77],[-78.17,69.83],[-78.96,70.17],[-79.49,69.87],[-81.31,69.74],[-84.94,69.97],[-87.06,70.26],[-88.68,70.41],[-89.51,70.76],[-88.47,71.22],[-89.89,71.22],[-90.2,72.24],[-89.44,73.13],[-88.41,73.54],[-85.83,73.8],[-86.56,73.16],[-85.77,72.53],[-84.85,73.34],[-82.32,73.75],[-80.6,72.72],[-80.75,72.06],[-78.77,72.35]]],[[[-94.5,74.13],[-92.42,74.1],[-90.51,73.86],[-92,72.97],[-93.2,72.77],[-94.27,72.02],[-95.41,72.06],[-96.03,72.94],[-96.02,73.44],[-95.5,73.86],[-94.5,74.13]]],[[[-122.86,76.12],[-121.16,76.86],[-119.11,77.51],[-117.57,77.5],[-116.2,77.65],[-116.34,76.88],[-117.11,76.53],[-118.04,76.48],[-119.9,76.05],[-121.5,75.9],[-122.86,76.12]]],[[[-132.71,54.04],[-131.75,54.12],[-132.05,52.98],[-131.18,52.18],[-131.58,52.18],[-132.18,52.64],[-132.55,53.1],[-133.06,53.41],[-133.24,53.85],[-133.18,54.17],[-132.71,54.04]]],[[[-105.49,79.3],[-103.53,79.16],[-100.82,78.8],[-100.06,78.33],[-99.67,77.91],[-101.3,78.02],[-102.95,78.34],[-105.18,78.38],[-104.21,78.68],[-105.42,78.92],[-105.49,79.3]]],[[[-123.51,48.51],[-124.01,48.37],[-125.65,48.83],[-125.96,49.18],[-126.85,49.53],[-127.03,49.81],[-128.06,50],[-128.44,50.54],[-128.36,50.77],[-127.31,50.55],[-126.69,50.4],[-125.75,50.29],[-125.42,49.95],[-124.92,49.48],[-123.92,49.06],[-123.51,48.51]]],[[[-121.54,74.45],[-120.11,74.24],[-117.56,74.19],[-116.59,73.9],[-115.51,73.47],[-116.77,73.22],[-119.22,72.52],[-120.46,71.82],[-120.46,71.38],[-123.09,70.9],[-123.62,71.34],[-125.93,71.87],[-125.5,72.29],[-124.81,73.02],[-123.94,73.68],[-124.92,74.29],[-121.54,74.45]]],[[[-107.82,75.85],[-106.93,76.01],[-105.88,75.97],[-105.71,75.48],[-106.31,75],[-109.7,74.85],[-112.22,74.42],[-113.74,74.39],[-113.87,74.72],[-111.79,75.16],[-116.31,75.04],[-117.71,75.22],[-116.35,76.2],[-115.4,76.48],[-112.59,76.14],[-110.81,75.55],[-109.07,75.47],[-110.5,76.43],[-109.58,76.79],[-108.55,76.68],[-108.21,76.2],[-107.82,75.85]]],[[[-106.52,73.08],[-105.4,72.67],[-104.77,71.7],[-104.46,70.99],[-102.79,70.5],[-100.98,70.03],[-101.09,69.59],[-102.73,69.5],[-102.09,69.12],[-102.43,68.75],[-104.24,68.91],[-105.96,69.18],[-107.12,69.12],[-109,68.78],[-111.53,68.63],[-113.31,68.54],[-113.86,69.01],[-115.22,69.28],[-116.11,69.17],[-117.34,69.96],[-116.68,70.07],[-115.13,70.24],[-113.72,70.19],[-112.42,70.37],[-114.35,70.6],[-116.49,70.52],[-117.91,70.54],[-118.43,70.91],[-116.11,71.31],[-117.65,71.29],[-119.4,71.56],[-118.56,72.31],[-117.87,72.71],[-115.19,73.31],[-114.17,73.12],[-114.67,72.65],[-112.44,72.95],[-111.05,72.45],[-109.92,72.96],[-109.01,72.63],[-108.19,71.65],[-107.69,72.06],[-108.4,73.09],[-107.52,73.24],[-106.52,73.08]]],[[[-100.44,72.71],[-101.54,73.36],[-100.36,73.84],[-99.16,73.63],[-97.38,73.76],[-97.12,73.47],[-98.05,72.99],[-96.54,72.56],[-96.72,71.66],[-98.36,71.27],[-99.32,71.36],[-100.01,71.74],[-102.5,72.51],[-102.48,72.83],[-100.44,72.71]]],[[[-106.6,73.6],[-105.26,73.64],[-104.5,73.42],[-105.38,72.76],[-106.94,73.46],[-106.6,73.6]]],[[[-98.5,76.72],[-97.74,76.26],[-97.7,75.74],[-98.16,75],[-99.81,74.9],[-100.88,75.06],[-100.86,75.64],[-102.5,75.56],[-102.57,76.34],[-101.49,76.31],[-99.98,76.65],[-98.58,76.59],[-98.5,76.72]]],[[[-96.01,80.6],[-95.32,80.91],[-94.3,80.98],[-94.74,81.21],[-92.41,81.26],[-91.13,80.72],[-89.45,80.51],[-87.81,80.32],[-87.02,79.66],[-85.82,79.34],[-87.19,79.04],[-89.03,78.29],[-90.81,78.22],[-92.88,78.34],[-93.95,78.75],[-93.94,79.11],[-93.15,79.38],[-94.97,79.37],[-96.08,79.7],[-96.71,80.16],[-96.01,80.6]]],[[[-91.59,81.9],[-90.1,82.08],[-88.93,82.12],[-86.97,82.28],[-85.5,82.65],[-84.26,82.6],[-83.18,82.32],[-82.42,82.86],[-81.1,83.02],[-79.31,83.13],[-76.25,83.17],[-75.72,83.06],[-72.83,83.23],[-70.67,83.17],[-68.5,83.11],[-65.83,83.03],[-63.68,82.9],[-61.85,82.63],[-61.89,82.36],[-64.33,81.93],[-66.75,81.73],[-67.66,81.5],[-65.48,81.51],[-67.84,80.9],[-69.47,80.62],[-71.18,79.8],[-73.24,79.63],[-73.88,79.43],[-76.91,79.32],[-75.53,79.2],[-76.22,79.02],[-75.39,78.53],[-76.34,78.18],[-77.89,77.9],[-78.36,77.51],[-79.76,77.21],[-79.62,76.98],[-77.91,77.02],[-77.89,76.78],[-80.56,76.18],[-83.17,76.45],[-86.11,76.3],[-87.6,76.42],[-89.49,76.47],[-89.62,76.95],[-87.77,77.18],[-88.26,77.9],[-87.65,77.97],[-84.98,77.54],[-86.34,78.18],[-87.96,78.37],[-87.15,78.76],[-85.38,79],[-85.1,79.35],[-86.51,79.74],[-86.93,80.25],[-84.2,80.21],[-83.41,80.1],[-81.85,80.46],[-84.1,80.58],[-87.6,80.52],[-89.37,80.86],[-90.2,81.26],[-91.37,81.55],[-91.59,81.9]]],[[[-75.22,67.44],[-75.87,67.15],[-76.99,67.1],[-77.24,67.59],[-76.81,68.15],[-75.89,68.29],[-75.11,68.01],[-75.1,67.58],[-75.22,67.44]]],[[[-96.26,69.49],[-95.65,69.11],[-96.27,68.76],[-97.62,69.06],[-98.43,68.95],[-99.8,69.4],[-98.92,69.71],[-98.22,70.14],[-97.16,69.86],[-96.56,69.68],[-96.26,69.49]]],[[[-64.52,49.87],[-64.17,49.96],[-62.86,49.71],[-61.84,49.29],[-61.81,49.11],[-62.29,49.09],[-63.59,49.4],[-64.52,49.87]]],[[[-64.01,47.04],[-63.66,46.55],[-62.94,46.42],[-62.01,46.44],[-62.51,46.03],[-62.87,45.97],[-64.14,46.39],[-64.39,46.73],[-64.01,47.04]]]]}},
+    {"type":"Feature","id":"840","properties":{"name":"United States of America"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-122.84,49],[-120,49],[-117.03,49],[-116.05,49],[-113,49],[-110.05,49],[-107.05,49],[-104.05,49],[-100.65,49],[-97.23,49],[-95.16,49],[-95.15,49.38],[-94.82,49.39],[-94.64,48.84],[-94.33,48.67],[-93.63,48.61],[-92.61,48.45],[-91.64,48.14],[-90.83,48.27],[-89.6,48.01],[-89.27,48.02],[-88.38,48.3],[-87.44,47.94],[-86.46,47.55],[-85.65,47.22],[-84.88,46.9],[-84.78,46.64],[-84.55,46.54],[-84.61,46.44],[-84.34,46.41],[-84.14,46.51],[-84.09,46.28],[-83.89,46.12],[-83.62,46.12],[-83.47,45.99],[-83.59,45.82],[-82.55,45.35],[-82.34,44.44],[-82.14,43.57],[-82.43,42.98],[-82.9,42.43],[-83.12,42.08],[-83.14,41.98],[-83.03,41.83],[-82.69,41.67],[-82.44,41.67],[-81.28,42.21],[-80.25,42.37],[-78.94,42.86],[-78.92,42.96],[-79.01,43.27],[-79.17,43.47],[-78.72,43.62],[-77.74,43.63],[-76.82,43.63],[-76.5,44.02],[-76.38,44.1],[-75.32,44.82],[-74.87,45],[-73.35,45.01],[-71.51,45.01],[-71.4,45.25],[-71.08,45.31],[-70.66,45.46],[-70.3,45.91],[-70,46.69],[-69.24,47.45],[-68.91,47.19],[-68.23,47.35],[-67.79,47.07],[-67.79,45.7],[-67.14,45.14],[-66.97,44.81],[-68.03,44.33],[-69.06,43.98],[-70.12,43.68],[-70.65,43.09],[-70.81,42.86],[-70.83,42.33],[-70.49,41.81],[-70.08,41.78],[-70.18,42.15],[-69.89,41.92],[-69.96,41.64],[-70.64,41.48],[-71.12,41.49],[-71.86,41.32],[-72.29,41.27],[-72.88,41.22],[-73.71,40.93],[-72.24,41.12],[-71.94,40.93],[-73.35,40.63],[-73.98,40.63],[-73.95,40.75],[-74.26,40.47],[-73.96,40.43],[-74.18,39.71],[-74.91,38.94],[-74.98,39.2],[-75.2,39.25],[-75.53,39.5],[-75.32,38.96],[-75.07,38.78],[-75.06,38.4],[-75.38,38.02],[-75.94,37.22],[-76.03,37.26],[-75.72,37.94],[-76.23,38.32],[-76.35,39.15],[-76.54,38.72],[-76.33,38.08],[-76.99,38.24],[-76.3,37.92],[-76.26,36.97],[-75.97,36.9],[-75.87,36.55],[-75.73,35.55],[-76.36,34.81],[-77.4,34.51],[-78.05,33.93],[-78.55,33.86],[-79.06,33.49],[-79.2,33.16],[-80.3,32.51],[-80.87,32.03],[-81.34,31.44],[-81.49,30.73],[-81.31,30.04],[-80.98,29.18],[-80.53,28.47],[-80.53,28.04],[-80.06,26.88],[-80.09,26.21],[-80.13,25.82],[-80.38,25.21],[-80.68,25.08],[-81.17,25.2],[-81.33,25.64],[-81.71,25.87],[-82.24,26.73],[-82.71,27.49],[-82.86,27.89],[-82.65,28.55],[-82.93,29.1],[-83.71,29.94],[-84.1,30.09],[-85.11,29.64],[-85.29,29.69],[-85.77,30.15],[-86.4,30.4],[-87.53,30.27],[-88.42,30.39],[-89.18,30.32],[-89.59,30.16],[-89.41,29.89],[-89.43,29.49],[-89.22,29.29],[-89.41,29.16],[-89.78,29.31],[-90.15,29.12],[-90.88,29.15],[-91.63,29.68],[-92.5,29.55],[-93.22,29.78],[-93.85,29.71],[-94.69,29.48],[-95.6,28.74],[-96.59,28.31],[-97.14,27.83],[-97.37,27.38],[-97.38,26.69],[-97.33,26.21],[-97.14,25.87],[-97.53,25.84],[-98.24,26.06],[-99.02,26.37],[-99.3,26.84],[-99.52,27.54],[-100.11,28.11],[-100.46,28.7],[-100.96,29.38],[-101.66,29.78],[-102.48,29.76],[-103.11,28.97],[-103.94,29.27],[-104.46,29.57],[-104.71,30.12],[-105.04,30.64],[-105.63,31.08],[-106.14,31.4],[-106.51,31.75],[-108.24,31.75],[-108.24,31.34],[-109.04,31.34],[-111.02,31.33],[-113.31,32.04],[-114.81,32.52],[-114.72,32.72],[-115.99,32.61],[-117.13,32.53],[-117.29,33.05],[-117.94,33.62],[-118.41,33.74],[-118.52,34.03],[-119.08,34.08],[-119.44,34.35],[-120.37,34.45],[-120.62,34.61],[-120.74,35.16],[-121.72,36.16],[-122.55,37.55],[-122.51,37.78],[-122.95,38.11],[-123.73,38.95],[-123.86,39.77],[-124.4,40.31],[-124.18,41.14],[-124.21,42],[-124.53,42.77],[-124.14,43.71],[-124.02,44.62],[-123.9,45.52],[-124.08,46.86],[-124.4,47.72],[-124.69,48.18],[-124.57,48.38],[-123.12,48.04],[-122.59,47.1],[-122.34,47.36],[-122.5,48.18],[-122.84,49]]],[[[-155.4,20.08],[-155.22,19.99],[-155.06,19.86],[-154.81,19.51],[-154.83,19.45],[-155.22,19.24],[-155.54,19.08],[-155.69,18.92],[-155.94,19.06],[-155.91,19.34],[-156.07,19.7],[-156.02,19.81],[-155.85,19.98],[-155.92,20.17],[-155.86,20.27],[-155.79,20.25],[-155.4,20.08]]],[[[-155.99,20.76],[-156.08,20.64],[-156.42,20.57],[-156.59,20.78],[-156.7,20.86],[-156.71,20.93],[-156.61,21.01],[-156.26,20.92],[-155.99,20.76]]],[[[-156.76,21.18],[-156.79,21.07],[-157.33,21.1],[-157.25,21.22],[-156.76,21.18]]],[[[-158.03,21.72],[-157.94,21.65],[-157.65,21.32],[-157.71,21.26],[-157.78,21.28],[-158.13,21.31],[-158.25,21.54],[-158.29,21.58],[-158.03,21.72]]],[[[-159.36,22.22],[-159.35,21.98],[-159.47,21.88],[-159.8,22.06],[-159.75,22.14],[-159.59,22.24],[-159.36,22.22]]],[[[-166.47,60.38],[-165.68,60.29],[-165.58,59.91],[-166.19,59.75],[-166.85,59.94],[-167.45,60.21],[-166.47,60.38]]],[[[-153.23,57.97],[-152.56,57.9],[-152.14,57.59],[-153.01,57.12],[-154,56.74],[-154.52,56.99],[-154.67,57.46],[-153.76,57.82],[-153.23,57.97]]],[[[-140.99,69.71],[-140.99,66],[-141,60.31],[-140.01,60.28],[-139.04,60],[-138.34,59.56],[-137.45,58.91],[-136.48,59.46],[-135.47,59.79],[-134.95,59.27],[-134.27,58.86],[-133.35,58.41],[-132.73,57.69],[-131.71,56.55],[-130.01,55.92],[-129.98,55.28],[-130.54,54.8],[-131.09,55.18],[-131.97,55.5],[-132.25,56.37],[-133.54,57.18],[-134.08,58.12],[-135.04,58.19],[-136.63,58.21],[-137.8,58.5],[-139.87,59.54],[-140.82,59.73],[-142.57,60.08],[-143.96,60],[-145.93,60.46],[-147.11,60.89],[-148.23,60.67],[-148.02,59.98],[-148.57,59.91],[-149.73,59.71],[-150.61,59.37],[-151.72,59.16],[-151.86,59.74],[-151.41,60.73],[-150.35,61.03],[-150.62,61.28],[-151.89,60.73],[-152.58,60.06],[-154.02,59.35],[-153.29,58.86],[-154.23,58.15],[-155.31,57.73],[-156.31,57.42],[-156.56,56.98],[-158.12,56.46],[-158.43,55.99],[-159.6,55.57],[-160.29,55.64],[-161.22,55.36],[-162.24,55.02],[-163.07,54.69],[-164.79,54.4],[-164.94,54.57],[-163.85,55.04],[-162.87,55.35],[-161.81,55.9],[-160.56,56.01],[-160.07,56.42],[-158.68,57.02],[-158.46,57.22],[-157.72,57.57],[-157.55,58.33],[-157.04,58.92],[-158.19,58.62],[-158.52,58.79],[-159.06,58.42],[-159.71,58.93],[-159.98,58.57],[-160.35,59.07],[-161.36,58.67],[-161.97,58.67],[-162.05,59.27],[-161.87,59.63],[-162.52,59.99],[-163.82,59.8],[-164.66,60.27],[-165.35,60.51],[-165.35,61.07],[-166.12,61.5],[-165.73,62.08],[-164.92,62.63],[-164.56,63.15],[-163.75,63.22],[-163.07,63.06],[-162.26,63.54],[-161.54,63.46],[-160.77,63.77],[-160.96,64.22],[-161.52,64.4],[-160.78,64.79],[-161.39,64.78],[-162.45,64.56],[-162.76,64.34],[-163.55,64.56],[-164.96,64.45],[-166.42,64.69],[-166.85,65.09],[-168.11,65.67],[-166.71,66.09],[-164.47,66.58],[-163.65,66.58],[-163.79,66.08],[-161.68,66.12],[-162.49,66.73],[-163.72,67.12],[-164.43,67.62],[-165.39,68.04],[-166.76,68.36],[-166.2,68.88],[-164.43,68.91],[-163.17,69.37],[-162.93,69.86],[-161.91,70.33],[-160.93,70.45],[-159.04,70.89],[-158.12,70.82],[-156.58,71.36],[-155.07,71.15],[-154.34,70.7],[-153.9,70.89],[-152.21,70.83],[-152.27,70.6],[-150.74,70.43],[-149.72,70.53],[-147.61,70.21],[-145.69,70.12],[-144.92,69.99],[-143.59,70.15],[-142.07,69.85],[-140.99,69.71]]],[[[-171.73,63.78],[-171.12,63.59],[-170.49,63.69],[-169.68,63.43],[-168.69,63.3],[-168.77,63.19],[-169.53,62.98],[-170.29,63.19],[-170.67,63.38],[-171.55,63.32],[-171.79,63.41],[-171.73,63.78]]]]}},
+    {"type":"Feature","id":"398","properties":{"name":"Kazakhstan"},"geometry":{"type":"Polygon","coordinates":[[[87.36,49.22],[86.6,48.55],[85.77,48.46],[85.72,47.45],[85.16,47],[83.18,47.33],[82.46,45.54],[81.95,45.32],[79.97,44.92],[80.87,43.18],[80.18,42.92],[80.26,42.35],[79.65,42.5],[79.14,42.86],[77.66,42.96],[76,42.99],[75.64,42.88],[74.21,43.3],[73.64,43.09],[73.49,42.5],[71.84,42.85],[71.19,42.7],[70.96,42.27],[70.39,42.08],[69.07,41.38],[68.63,40.67],[68.26,40.66],[67.98,41.14],[66.71,41.17],[66.51,41.99],[66.02,41.99],[66.1,43],[64.9,43.73],[63.19,43.65],[62.01,43.5],[61.06,44.41],[60.24,44.78],[58.69,45.5],[58.5,45.59],[55.93,45],[55.97,41.31],[55.46,41.26],[54.75,42.04],[54.08,42.32],[52.94,42.12],[52.5,41.78],[52.45,42.03],[52.69,42.44],[52.5,42.79],[51.34,43.13],[50.89,44.03],[50.34,44.28],[50.31,44.61],[51.28,44.51],[51.32,45.25],[52.17,45.41],[53.04,45.26],[53.22,46.23],[53.04,46.85],[52.04,46.8],[51.19,47.05],[50.04,46.61],[49.1,46.4],[48.59,46.56],[48.7,47.08],[48.06,47.74],[47.31,47.72],[46.47,48.39],[47.04,49.15],[46.75,49.36],[47.55,50.45],[48.58,49.88],[48.7,50.6],[50.77,51.69],[52.33,51.72],[54.53,51.03],[55.72,50.62],[56.78,51.04],[58.36,51.06],[59.64,50.55],[59.93,50.84],[61.34,50.8],[61.59,51.27],[59.97,51.96],[60.93,52.45],[60.74,52.72],[61.7,52.98],[60.98,53.66],[61.44,54.01],[65.18,54.35],[65.67,54.6],[68.17,54.97],[69.07,55.38],[70.86,55.17],[71.18,54.13],[72.23,54.38],[73.51,54.04],[73.42,53.49],[74.39,53.55],[76.89,54.49],[76.52,54.18],[77.8,53.4],[80.03,50.87],[80.57,51.39],[81.95,50.81],[83.38,51.07],[83.94,50.89],[84.42,50.31],[85.11,50.12],[85.54,49.69],[86.83,49.83],[87.36,49.22]]]}},
+    {"type":"Feature","id":"860","properties":{"name":"Uzbekistan"},"geometry":{"type":"Polygon","coordinates":[[[55.97,41.31],[55.93,45],[58.5,45.59],[58.69,45.5],[60.24,44.78],[61.06,44.41],[62.01,43.5],[63.19,43.65],[64.9,43.73],[66.1,43],[66.02,41.99],[66.51,41.99],[66.71,41.17],[67.98,41.14],[68.26,40.66],[68.63,40.67],[69.07,41.38],[70.39,42.08],[70.96,42.27],[71.26,42.17],[70.42,41.52],[71.16,41.14],[71.87,41.39],[73.05,40.87],[71.78,40.15],[71.01,40.24],[70.6,40.22],[70.46,40.5],[70.67,40.96],[69.33,40.73],[69.01,40.09],[68.54,39.53],[67.7,39.58],[67.44,39.14],[68.18,38.9],[68.39,38.16],[67.83,37.15],[67.07,37.36],[66.52,37.36],[66.54,37.97],[65.22,38.4],[64.17,38.89],[63.52,39.36],[62.38,40.05],[61.88,41.08],[61.55,41.27],[60.46,41.22],[60.08,41.43],[59.97,42.22],[58.63,42.75],[57.79,42.17],[56.93,41.83],[57.09,41.32],[55.97,41.31]]]}},
+    {"type":"Feature","id":"598","properties":{"name":"Papua New Guinea"},"geometry":{"type":"MultiPolygon","coordinates":[[[[141,-2.6],[142.74,-3.29],[144.58,-3.86],[145.27,-4.37],[145.83,-4.88],[145.98,-5.47],[147.65,-6.08],[147.89,-6.61],[146.97,-6.72],[147.19,-7.39],[148.09,-8.04],[148.73,-9.11],[149.31,-9.07],[149.27,-9.51],[150.04,-9.68],[149.74,-9.87],[150.8,-10.29],[150.69,-10.58],[150.03,-10.65],[149.78,-10.39],[148.92,-10.28],[147.91,-10.13],[147.14,-9.49],[146.57,-8.94],[146.05,-8.07],[144.74,-7.63],[143.9,-7.92],[143.29,-8.25],[143.41,-8.98],[142.63,-9.33],[142.07,-9.16],[141.03,-9.12],[141.02,-5.86],[141,-2.6]]],[[[152.64,-3.66],[153.02,-3.98],[153.14,-4.5],[152.83,-4.77],[152.64,-4.18],[152.41,-3.79],[151.95,-3.46],[151.38,-3.04],[150.66,-2.74],[150.94,-2.5],[151.48,-2.78],[151.82,-3],[152.24,-3.24],[152.64,-3.66]]],[[[151.3,-5.84],[150.75,-6.08],[150.24,-6.32],[149.71,-6.32],[148.89,-6.03],[148.32,-5.75],[148.4,-5.44],[149.3,-5.58],[149.85,-5.51],[150,-5.03],[150.14,-5],[150.24,-5.53],[150.81,-5.46],[151.09,-5.11],[151.65,-4.76],[151.54,-4.17],[152.14,-4.15],[152.34,-4.31],[152.32,-4.87],[151.98,-5.48],[151.46,-5.56],[151.3,-5.84]]],[[[154.76,-5.34],[155.06,-5.57],[155.55,-6.2],[156.02,-6.54],[155.88,-6.82],[155.6,-6.92],[155.17,-6.54],[154.73,-5.9],[154.52,-5.14],[154.65,-5.04],[154.76,-5.34]]]]}},
+    {"type":"Feature","id":"360","properties":{"name":"Indonesia"},"geometry":{"type":"MultiPolygon","coordinates":[[[[141,-2.6],[141.02,-5.86],[141.03,-9.12],[140.14,-8.3],[139.13,-8.1],[138.88,-8.38],[137.61,-8.41],[138.04,-7.6],[138.67,-7.32],[138.41,-6.23],[137.93,-5.39],[135.99,-4.55],[135.17,-4.46],[133.66,-3.54],[133.37,-4.02],[132.98,-4.11],[132.76,-3.75],[132.75,-3.31],[131.99,-2.82],[133.07,-2.46],[133.78,-2.48],[133.7,-2.21],[132.23,-2.21],[131.84,-1.62],[130.94,-1.43],[130.52,-0.94],[131.87,-0.7],[132.38,-0.37],[133.98,-0.78],[134.14,-1.15],[134.42,-2.77],[135.46,-3.37],[136.29,-2.31],[137.44,-1.7],[138.33,-1.7],[139.19,-2.05],[139.93,-2.41],[141,-2.6]]],[[[124.97,-8.89],[125.07,-9.09],[125.09,-9.39],[124.44,-10.14],[123.58,-10.36],[123.46,-10.24],[123.55,-9.9],[123.98,-9.29],[124.97,-8.89]]],[[[134.21,-6.89],[134.11,-6.14],[134.29,-5.78],[134.5,-5.44],[134.73,-5.74],[134.73,-6.21],[134.21,-6.89]]],[[[117.88,4.14],[117.31,3.24],[118.05,2.29],[117.87,1.83],[119,0.9],[117.81,0.78],[117.48,0.1],[117.52,-0.8],[116.56,-1.49],[116.53,-2.48],[116.15,-4.01],[116,-3.66],[114.86,-4.11],[114.47,-3.5],[113.76,-3.44],[113.26,-3.12],[112.07,-3.48],[111.7,-3],[111.05,-3.05],[110.22,-2.93],[110.07,-1.59],[109.57,-1.31],[109.09,-0.46],[108.95,0.42],[109.07,1.34],[109.66,2.01],[109.83,1.34],[110.52,0.77],[111.16,0.98],[111.8,0.9],[112.38,1.41],[112.86,1.5],[113.81,1.22],[114.62,1.43],[115.13,2.82],[115.52,3.17],[115.87,4.31],[117.01,4.31],[117.88,4.14]]],[[[129.37,-2.8],[130.47,-3.09],[130.83,-3.86],[129.99,-3.45],[129.16,-3.36],[128.59,-3.43],[127.9,-3.39],[128.13,-2.84],[129.37,-2.8]]],[[[126.87,-3.79],[126.18,-3.61],[125.99,-3.18],[127,-3.13],[127.25,-3.46],[126.87,-3.79]]],[[[127.93,2.17],[128,1.63],[128.6,1.54],[128.69,1.13],[128.63,0.26],[128.12,0.36],[127.97,-0.25],[128.38,-0.78],[128.1,-0.9],[127.7,-0.27],[127.4,1.01],[127.6,1.81],[127.93,2.17]]],[[[122.93,0.88],[124.08,0.92],[125.07,1.64],[125.24,1.42],[124.44,0.43],[123.68,0.24],[122.72,0.43],[121.06,0.38],[120.18,0.24],[120.04,-0.52],[120.93,-1.41],[121.47,-0.96],[123.34,-0.62],[123.26,-1.08],[122.82,-0.93],[122.39,-1.52],[121.51,-1.91],[122.45,-3.19],[122.27,-3.53],[123.17,-4.68],[123.16,-5.34],[122.63,-5.63],[122.24,-5.28],[122.72,-4.46],[121.74,-4.85],[121.49,-4.57],[121.62,-4.19],[120.9,-3.6],[120.97,-2.63],[120.3,-2.93],[120.39,-4.1],[120.43,-5.53],[119.8,-5.67],[119.37,-5.38],[119.65,-4.46],[119.5,-3.49],[119.08,-3.49],[118.77,-2.8],[119.18,-2.15],[119.32,-1.35],[119.83,0.15],[120.03,0.57],[120.89,1.31],[121.67,1.01],[122.93,0.88]]],[[[120.29,-10.26],[118.97,-9.56],[119.9,-9.36],[120.43,-9.67],[120.78,-9.97],[120.71,-10.24],[120.29,-10.26]]],[[[121.34,-8.54],[122.01,-8.46],[122.9,-8.09],[122.76,-8.65],[121.25,-8.93],[119.92,-8.81],[119.92,-8.45],[120.71,-8.24],[121.34,-8.54]]],[[[118.26,-8.36],[118.88,-8.28],[119.13,-8.71],[117.97,-8.91],[117.28,-9.04],[116.74,-9.03],[117.08,-8.46],[117.63,-8.45],[117.9,-8.09],[118.26,-8.36]]],[[[108.49,-6.42],[108.62,-6.78],[110.54,-6.88],[110.76,-6.46],[112.61,-6.95],[112.98,-7.59],[114.48,-7.78],[115.71,-8.37],[114.57,-8.75],[113.46,-8.35],[112.56,-8.38],[111.52,-8.3],[110.59,-8.12],[109.43,-7.74],[108.69,-7.64],[108.28,-7.77],[106.45,-7.36],[106.28,-6.93],[105.36,-6.85],[106.05,-5.9],[107.26,-5.96],[108.07,-6.35],[108.49,-6.42]]],[[[104.37,-1.08],[104.54,-1.78],[104.89,-2.34],[105.62,-2.43],[106.11,-3.06],[105.86,-4.31],[105.82,-5.85],[104.71,-5.87],[103.87,-5.04],[102.58,-4.22],[102.16,-3.61],[101.4,-2.8],[100.9,-2.05],[100.14,-0.65],[99.26,0.18],[98.97,1.04],[98.6,1.82],[97.7,2.45],[97.18,3.31],[96.43,3.87],[95.38,4.97],[95.29,5.48],[95.94,5.44],[97.48,5.25],[98.37,4.27],[99.14,3.59],[99.69,3.17],[100.64,2.1],[101.66,2.08],[102.5,1.4],[103.08,0.56],[103.84,0.1],[103.44,-0.71],[104.01,-1.06],[104.37,-1.08]]]]}},
+    {"type":"Feature","id":"032","properties":{"name":"Argentina"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-68.63,-52.64],[-68.25,-53.1],[-67.75,-53.85],[-66.45,-54.45],[-65.05,-54.7],[-65.5,-55.2],[-66.45,-55.25],[-66.96,-54.9],[-67.56,-54.87],[-68.63,-54.87],[-68.63,-52.64]]],[[[-57.62,-30.22],[-57.88,-31.02],[-58.14,-32.04],[-58.13,-33.04],[-58.35,-33.26],[-58.43,-33.91],[-58.5,-34.43],[-57.22,-35.29],[-57.36,-35.98],[-56.74,-36.41],[-56.79,-36.9],[-57.75,-38.18],[-59.23,-38.72],[-61.24,-38.93],[-62.34,-38.83],[-62.12,-39.42],[-62.33,-40.17],[-62.15,-40.68],[-62.75,-41.03],[-63.77,-41.17],[-64.73,-40.8],[-65.12,-41.06],[-64.98,-42.06],[-64.3,-42.36],[-63.75,-42.04],[-63.46,-42.56],[-64.38,-42.87],[-65.18,-43.49],[-65.33,-44.5],[-65.57,-45.04],[-66.51,-45.04],[-67.29,-45.55],[-67.58,-46.3],[-66.6,-47.03],[-65.64,-47.24],[-65.99,-48.13],[-67.17,-48.7],[-67.82,-49.87],[-68.73,-50.27],[-69.14,-50.73],[-68.82,-51.77],[-68.15,-52.35],[-68.57,-52.3],[-69.5,-52.14],[-71.92,-52.01],[-72.33,-51.43],[-72.31,-50.68],[-72.97,-50.74],[-73.33,-50.38],[-73.41,-49.32],[-72.65,-48.88],[-72.33,-48.24],[-72.45,-47.74],[-71.92,-46.88],[-71.55,-45.56],[-71.66,-44.97],[-71.22,-44.78],[-71.33,-44.41],[-71.79,-44.21],[-71.46,-43.79],[-71.92,-43.41],[-72.15,-42.25],[-71.75,-42.05],[-71.92,-40.83],[-71.68,-39.81],[-71.41,-38.92],[-70.81,-38.55],[-71.12,-37.58],[-71.12,-36.66],[-70.36,-36.01],[-70.39,-35.17],[-69.82,-34.19],[-69.81,-33.27],[-70.07,-33.09],[-70.53,-31.36],[-69.92,-30.34],[-70.02,-29.37],[-69.66,-28.46],[-69,-27.52],[-68.29,-26.9],[-68.59,-26.51],[-68.38,-26.18],[-68.42,-24.52],[-67.33,-24.03],[-66.98,-22.99],[-67.11,-22.74],[-66.27,-21.83],[-64.96,-22.08],[-64.38,-22.8],[-63.99,-21.99],[-62.85,-22.03],[-62.69,-22.25],[-60.85,-23.88],[-60.03,-24.03],[-58.81,-24.77],[-57.78,-25.16],[-57.63,-25.6],[-58.62,-27.12],[-57.61,-27.4],[-56.49,-27.55],[-55.69,-27.39],[-54.79,-26.62],[-54.63,-25.74],[-54.13,-25.55],[-53.63,-26.12],[-53.65,-26.92],[-54.49,-27.47],[-55.16,-27.88],[-56.29,-28.85],[-57.62,-30.22]]]]}},
+    {"type":"Feature","id":"152","properties":{"name":"Chile"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-68.63,-52.64],[-68.63,-54.87],[-67.56,-54.87],[-66.96,-54.9],[-67.29,-55.3],[-68.15,-55.61],[-68.64,-55.58],[-69.23,-55.5],[-69.96,-55.2],[-71.01,-55.05],[-72.27,-54.49],[-73.28,-53.96],[-74.66,-52.84],[-73.84,-53.05],[-72.43,-53.72],[-71.11,-54.07],[-70.59,-53.62],[-70.27,-52.93],[-69.35,-52.52],[-68.63,-52.64]]],[[[-69.59,-17.58],[-69.1,-18.26],[-68.97,-18.98],[-68.44,-19.4],[-68.76,-20.37],[-68.22,-21.49],[-67.83,-22.87],[-67.11,-22.74],[-66.98,-22.99],[-67.33,-24.03],[-68.42,-24.52],[-68.38,-26.18],[-68.59,-26.51],[-68.29,-26.9],[-69,-27.52],[-69.66,-28.46],[-70.02,-29.37],[-69.92,-30.34],[-70.53,-31.36],[-70.07,-33.09],[-69.81,-33.27],[-69.82,-34.19],[-70.39,-35.17],[-70.36,-36.01],[-71.12,-36.66],[-71.12,-37.58],[-70.81,-38.55],[-71.41,-38.92],[-71.68,-39.81],[-71.92,-40.83],[-71.75,-42.05],[-72.15,-42.25],[-71.92,-43.41],[-71.46,-43.79],[-71.79,-44.21],[-71.33,-44.41],[-71.22,-44.78],[-71.66,-44.97],[-71.55,-45.56],[-71.92,-46.88],[-72.45,-47.74],[-72.33,-48.24],[-72.65,-48.88],[-73.41,-49.32],[-73.33,-50.38],[-72.97,-50.74],[-72.31,-50.68],[-72.33,-51.43],[-71.92,-52.01],[-69.5,-52.14],[-68.57,-52.3],[-69.46,-52.29],[-69.94,-52.54],[-70.84,-52.9],[-71.01,-53.83],[-71.43,-53.86],[-72.56,-53.53],[-73.7,-52.83],[-74.95,-52.26],[-75.26,-51.63],[-74.98,-51.04],[-75.48,-50.38],[-75.61,-48.67],[-75.18,-47.71],[-74.13,-46.94],[-75.65,-46.65],[-74.69,-45.76],[-74.35,-44.1],[-73.24,-44.45],[-72.72,-42.38],[-73.39,-42.12],[-73.7,-43.37],[-74.33,-43.23],[-74.02,-41.8],[-73.68,-39.94],[-73.22,-39.26],[-73.51,-38.28],[-73.59,-37.16],[-73.17,-37.12],[-72.55,-35.51],[-71.86,-33.91],[-71.44,-32.42],[-71.67,-30.92],[-71.37,-30.1],[-71.49,-28.86],[-70.9,-27.64],[-70.72,-25.71],[-70.4,-23.63],[-70.09,-21.39],[-70.16,-19.76],[-70.37,-18.35],[-69.86,-18.09],[-69.59,-17.58]]]]}},
+    {"type":"Feature","id":"180","properties":{"name":"Dem. Rep. Congo"},"geometry":{"type":"Polygon","coordinates":[[[29.34,-4.5],[29.52,-5.42],[29.42,-5.94],[29.62,-6.52],[30.2,-7.08],[30.74,-8.34],[30.35,-8.24],[29,-8.41],[28.73,-8.53],[28.45,-9.16],[28.67,-9.61],[28.5,-10.79],[28.37,-11.79],[28.64,-11.97],[29.34,-12.36],[29.62,-12.18],[29.7,-13.26],[28.94,-13.25],[28.52,-12.7],[28.15,-12.27],[27.39,-12.13],[27.16,-11.61],[26.55,-11.93],[25.75,-11.78],[25.42,-11.33],[24.78,-11.24],[24.31,-11.26],[24.26,-10.95],[23.91,-10.93],[23.46,-10.87],[22.84,-11.02],[22.4,-10.99],[22.16,-11.08],[22.21,-9.89],[21.88,-9.52],[21.8,-8.91],[21.95,-8.31],[21.75,-7.92],[21.73,-7.29],[20.51,-7.3],[20.6,-6.94],[20.09,-6.94],[20.04,-7.12],[19.42,-7.16],[19.17,-7.74],[19.02,-7.99],[18.46,-7.85],[18.14,-7.99],[17.47,-8.07],[17.09,-7.54],[16.86,-7.22],[16.57,-6.62],[16.33,-5.88],[13.38,-5.86],[13.02,-5.98],[12.74,-5.97],[12.32,-6.1],[12.18,-5.79],[12.44,-5.68],[12.47,-5.25],[12.63,-4.99],[12.99,-4.78],[13.26,-4.88],[13.6,-4.5],[14.15,-4.51],[14.21,-4.79],[14.58,-4.97],[15.17,-4.34],[15.75,-3.86],[16.01,-3.54],[15.97,-2.71],[16.41,-1.74],[16.86,-1.23],[17.52,-0.74],[17.64,-0.42],[17.66,-0.06],[17.83,0.29],[17.78,0.86],[17.9,1.74],[18.1,2.37],[18.39,2.9],[18.45,3.5],[18.54,4.2],[18.93,4.71],[19.47,5.03],[20.29,4.69],[20.93,4.32],[21.66,4.22],[22.4,4.03],[22.7,4.63],[22.84,4.71],[23.3,4.61],[24.41,5.11],[24.81,4.9],[25.13,4.93],[25.28,5.17],[25.65,5.26],[26.4,5.15],[27.05,5.13],[27.37,5.23],[27.98,4.41],[28.43,4.29],[28.7,4.46],[29.16,4.39],[29.72,4.6],[29.95,4.17],[30.83,3.51],[30.77,2.34],[31.17,2.2],[30.85,1.85],[30.47,1.58],[30.09,1.06],[29.87,0.6],[29.82,-0.21],[29.59,-0.59],[29.58,-1.34],[29.29,-1.62],[29.26,-2.21],[29.12,-2.29],[29.03,-2.84],[29.28,-3.29],[29.34,-4.5]]]}},
+    {"type":"Feature","id":"706","properties":{"name":"Somalia"},"geometry":{"type":"Polygon","coordinates":[[[41.59,-1.68],[40.99,-0.86],[40.98,2.78],[41.86,3.92],[42.13,4.23],[42.77,4.25],[43.66,4.96],[44.96,5],[47.79,8],[48.49,8.84],[48.94,9.45],[48.94,9.97],[48.94,10.98],[48.94,11.39],[48.95,11.41],[49.27,11.43],[49.73,11.58],[50.26,11.68],[50.73,12.02],[51.11,12.02],[51.13,11.75],[51.04,11.17],[51.05,10.64],[50.83,10.28],[50.55,9.2],[50.07,8.08],[49.45,6.8],[48.6,5.34],[47.74,4.22],[46.56,2.86],[45.56,2.05],[44.07,1.05],[43.14,0.29],[42.04,-0.92],[41.81,-1.45],[41.59,-1.68]]]}},
+    {"type":"Feature","id":"404","properties":{"name":"Kenya"},"geometry":{"type":"Polygon","coordinates":[[[39.2,-4.68],[37.77,-3.68],[37.7,-3.1],[34.07,-1.06],[33.9,-0.95],[33.89,0.11],[34.18,0.52],[34.67,1.18],[35.04,1.91],[34.59,3.05],[34.48,3.55],[34,4.25],[34.62,4.85],[35.3,5.51],[35.82,5.34],[35.82,4.78],[36.16,4.45],[36.86,4.45],[38.12,3.6],[38.44,3.59],[38.67,3.62],[38.89,3.5],[39.56,3.42],[39.85,3.84],[40.77,4.26],[41.17,3.92],[41.86,3.92],[40.98,2.78],[40.99,-0.86],[41.59,-1.68],[40.88,-2.08],[40.64,-2.5],[40.26,-2.57],[40.12,-3.28],[39.8,-3.68],[39.61,-4.35],[39.2,-4.68]]]}},
+    {"type":"Feature","id":"729","properties":{"name":"Sudan"},"geometry":{"type":"Polygon","coordinates":[[[24.57,8.23],[23.81,8.67],[23.46,8.95],[23.39,9.27],[23.56,9.68],[23.55,10.09],[22.98,10.71],[22.87,11.14],[22.88,11.38],[22.51,11.68],[22.5,12.26],[22.29,12.65],[21.94,12.59],[22.04,12.96],[22.3,13.37],[22.18,13.79],[22.51,14.09],[22.3,14.33],[22.57,14.94],[23.02,15.68],[23.89,15.61],[23.84,19.58],[23.85,20],[25,20],[25,22],[29.02,22],[32.9,22],[36.87,22],[37.19,21.02],[36.97,20.84],[37.11,19.81],[37.48,18.61],[37.86,18.37],[38.41,18],[37.9,17.43],[37.17,17.26],[36.85,16.96],[36.75,16.29],[36.32,14.82],[36.43,14.42],[36.27,13.56],[35.87,12.58],[35.26,12.08],[34.83,11.32],[34.73,10.91],[34.26,10.63],[33.96,9.58],[33.98,8.69],[33.96,9.46],[33.82,9.48],[33.84,9.98],[33.72,10.33],[33.21,10.72],[33.09,11.44],[33.21,12.18],[32.74,12.25],[32.68,12.02],[32.07,11.97],[32.32,11.68],[32.4,11.08],[31.85,10.53],[31.35,9.81],[30.84,9.71],[30,10.29],[29.62,10.08],[29.51,9.79],[29,9.6],[28.97,9.4],[27.97,9.4],[27.83,9.6],[27.11,9.64],[26.75,9.47],[26.48,9.55],[25.96,10.14],[25.79,10.41],[25.07,10.27],[24.8,9.81],[24.54,8.92],[24.19,8.73],[23.89,8.62],[24.57,8.23]]]}},
+    {"type":"Feature","id":"148","properties":{"name":"Chad"},"geometry":{"type":"Polygon","coordinates":[[[23.84,19.58],[23.89,15.61],[23.02,15.68],[22.57,14.94],[22.3,14.33],[22.51,14.09],[22.18,13.79],[22.3,13.37],[22.04,12.96],[21.94,12.59],[22.29,12.65],[22.5,12.26],[22.51,11.68],[22.88,11.38],[22.87,11.14],[22.23,10.97],[21.72,10.57],[21,9.48],[20.06,9.01],[19.09,9.07],[18.81,8.98],[18.91,8.63],[18.39,8.28],[17.97,7.89],[16.71,7.51],[16.46,7.74],[16.29,7.75],[16.1,7.5],[15.28,7.42],[15.44,7.69],[15.12,8.38],[14.98,8.8],[14.55,8.97],[13.96,9.55],[14.17,10.02],[14.63,9.92],[14.91,9.99],[15.47,9.98],[14.92,10.89],[14.96,11.56],[14.9,12.22],[14.5,12.86],[14.6,13.33],[13.96,13.35],[13.96,14],[13.54,14.37],[13.97,15.68],[15.25,16.63],[15.3,17.93],[15.69,19.96],[15.9,20.39],[15.49,20.73],[15.47,21.05],[15.1,21.31],[14.85,22.86],[15.86,23.41],[19.85,21.49],[23.84,19.58]]]}},
+    {"type":"Feature","id":"332","properties":{"name":"Haiti"},"geometry":{"type":"Polygon","coordinates":[[[-71.71,19.71],[-71.62,19.17],[-71.7,18.78],[-71.94,18.62],[-71.69,18.32],[-71.71,18.04],[-72.37,18.21],[-72.84,18.14],[-73.45,18.22],[-73.92,18.03],[-74.46,18.34],[-74.37,18.66],[-73.45,18.53],[-72.69,18.45],[-72.33,18.67],[-72.79,19.1],[-72.78,19.48],[-73.41,19.64],[-73.19,19.92],[-72.58,19.87],[-71.71,19.71]]]}},
+    {"type":"Feature","id":"214","properties":{"name":"Dominican Rep."},"geometry":{"type":"Polygon","coordinates":[[[-71.71,18.04],[-71.69,18.32],[-71.94,18.62],[-71.7,18.78],[-71.62,19.17],[-71.71,19.71],[-71.59,19.88],[-70.81,19.88],[-70.21,19.62],[-69.95,19.65],[-69.77,19.29],[-69.22,19.31],[-69.26,19.01],[-68.81,18.98],[-68.32,18.61],[-68.69,18.21],[-69.17,18.42],[-69.62,18.38],[-69.95,18.43],[-70.13,18.25],[-70.52,18.18],[-70.67,18.43],[-71,18.28],[-71.4,17.6],[-71.66,17.76],[-71.71,18.04]]]}},
+    {"type":"Feature","id":"643","properties":{"name":"Russia"},"geometry":{"type":"MultiPolygon","coordinates":[[[[93.78,81.03],[95.94,81.25],[97.88,80.75],[100.19,79.78],[99.94,78.88],[97.76,78.76],[94.97,79.04],[93.31,79.43],[92.54,80.14],[91.18,80.34],[93.78,81.03]]],[[[102.84,79.28],[105.37,78.71],[105.08,78.31],[99.44,77.92],[101.26,79.23],[102.09,79.35],[102.84,79.28]]],[[[138.83,76.14],[141.47,76.09],[145.09,75.56],[144.3,74.82],[140.62,74.85],[138.96,74.61],[136.98,75.26],[137.51,75.95],[138.83,76.14]]],[[[148.22,75.35],[150.73,75.08],[149.58,74.69],[147.98,74.78],[146.12,75.17],[146.36,75.5],[148.22,75.35]]],[[[139.86,73.37],[140.81,73.77],[142.06,73.86],[143.48,73.47],[143.6,73.21],[142.09,73.21],[140.04,73.32],[139.86,73.37]]],[[[44.85,80.59],[46.8,80.77],[48.32,80.78],[48.52,80.51],[49.1,80.75],[50.04,80.92],[51.52,80.7],[51.14,80.55],[49.79,80.42],[48.89,80.34],[48.75,80.18],[47.59,80.01],[46.5,80.25],[47.07,80.56],[44.85,80.59]]],[[[22.73,54.33],[20.89,54.31],[19.66,54.43],[19.89,54.87],[21.27,55.19],[22.31,55.02],[22.76,54.86],[22.65,54.58],[22.73,54.33]]],[[[53.51,73.75],[55.9,74.63],[55.63,75.08],[57.87,75.61],[61.17,76.25],[64.5,76.44],[66.21,76.81],[68.16,76.94],[68.85,76.54],[68.18,76.23],[64.64,75.74],[61.58,75.26],[58.48,74.31],[56.99,73.33],[55.42,72.37],[55.62,71.54],[57.53,70.72],[56.94,70.63],[53.68,70.76],[53.41,71.21],[51.6,71.47],[51.46,72.02],[52.48,72.23],[52.44,72.78],[54.43,73.63],[53.51,73.75]]],[[[142.92,53.7],[143.26,52.74],[143.24,51.76],[143.65,50.75],[144.65,48.98],[143.18,49.31],[142.56,47.86],[143.54,46.84],[143.51,46.14],[142.75,46.74],[142.09,45.97],[141.91,46.81],[142.02,47.78],[141.9,48.86],[142.13,49.61],[142.18,50.95],[141.59,51.94],[141.68,53.3],[142.61,53.76],[142.21,54.23],[142.65,54.37],[142.92,53.7]]],[[[130.78,42.22],[130.64,42.4],[130.63,42.9],[131.14,42.93],[131.29,44.11],[131.03,44.97],[131.88,45.32],[133.1,45.14],[133.77,46.12],[134.11,47.21],[134.5,47.58],[135.02,48.48],[133.37,48.18],[132.51,47.79],[130.99,47.79],[130.58,48.73],[129.4,49.44],[127.66,49.76],[127.29,50.74],[126.94,51.35],[126.56,51.78],[125.95,52.79],[125.07,53.16],[123.57,53.46],[122.24,53.43],[121,53.25],[120.18,52.75],[120.73,52.52],[120.74,51.96],[120.18,51.64],[119.28,50.58],[119.29,50.14],[117.88,49.51],[116.68,49.89],[115.49,49.81],[114.96,50.14],[114.36,50.25],[112.9,49.54],[111.58,49.38],[110.66,49.13],[109.4,49.29],[108.47,49.28],[107.87,49.79],[106.89,50.27],[105.89,50.41],[104.62,50.27],[103.68,50.09],[102.26,50.51],[102.07,51.26],[100.89,51.52],[99.98,51.63],[98.86,52.05],[97.83,51.01],[98.23,50.42],[97.26,49.73],[95.81,49.98],[94.82,50.01],[94.15,50.48],[93.11,50.49],[92.23,50.8],[90.71,50.33],[88.8,49.47],[87.75,49.3],[87.36,49.22],[86.83,49.83],[85.54,49.69],[85.11,50.12],[84.42,50.31],[83.94,50.89],[83.38,51.07],[81.95,50.81],[80.57,51.39],[80.03,50.87],[77.8,53.4],[76.52,54.18],[76.89,54.49],[74.39,53.55],[73.42,53.49],[73.51,54.04],[72.23,54.38],[71.18,54.13],[70.86,55.17],[69.07,55.38],[68.17,54.97],[65.67,54.6],[65.18,54.35],[61.44,54.01],[60.98,53.66],[61.7,52.98],[60.74,52.72],[60.93,52.45],[59.97,51.96],[61.59,51.27],[61.34,50.8],[59.93,50.84],[59.64,50.55],[58.36,51.06],[56.78,51.04],[55.72,50.62],[54.53,51.03],[52.33,51.72],[50.77,51.69],[48.7,50.6],[48.58,49.88],[47.55,50.45],[46.75,49.36],[47.04,49.15],[46.47,48.39],[47.31,47.72],[48.06,47.74],[48.7,47.08],[48.59,46.56],[49.1,46.4],[48.65,45.81],[47.68,45.64],[46.68,44.61],[47.59,43.66],[47.49,42.99],[48.58,41.81],[47.99,41.41],[47.81,41.15],[47.37,41.22],[46.69,41.83],[46.41,41.86],[45.78,42.09],[45.47,42.5],[44.54,42.71],[43.93,42.55],[43.76,42.74],[42.4,43.22],[40.92,43.38],[40.08,43.55],[39.95,43.44],[38.68,44.28],[37.54,44.66],[36.68,45.24],[37.4,45.41],[38.23,46.24],[37.67,46.64],[39.15,47.05],[39.12,47.26],[38.22,47.1],[38.26,47.55],[38.77,47.83],[39.74,47.9],[39.9,48.23],[39.67,48.78],[40.08,49.31],[40.07,49.6],[38.59,49.93],[38.01,49.92],[37.39,50.38],[36.62,50.23],[35.36,50.58],[35.38,50.77],[35.02,51.21],[34.22,51.26],[34.14,51.57],[34.39,51.77],[33.75,52.33],[32.72,52.24],[32.41,52.29],[32.16,52.06],[31.79,52.1],[31.54,52.74],[31.3,53.07],[31.5,53.17],[32.3,53.13],[32.69,53.35],[32.41,53.62],[31.73,53.79],[31.79,53.97],[31.38,54.16],[30.76,54.81],[30.97,55.08],[30.88,55.55],[29.9,55.79],[29.37,55.67],[29.23,55.92],[28.18,56.17],[27.86,56.76],[27.77,57.24],[27.29,57.47],[27.72,57.79],[27.42,58.72],[28.13,59.3],[27.98,59.48],[29.12,60.03],[28.07,60.5],[30.21,61.78],[31.14,62.36],[31.52,62.87],[30.04,63.55],[30.44,64.2],[29.54,64.95],[30.22,65.81],[29.05,66.94],[29.98,67.7],[28.45,68.36],[28.59,69.07],[29.4,69.16],[31.1,69.56],[32.13,69.91],[33.77,69.3],[36.51,69.06],[40.29,67.93],[41.06,67.46],[41.13,66.79],[40.02,66.27],[38.38,66],[33.92,66.76],[33.18,66.63],[34.81,65.9],[34.88,65.44],[34.94,64.41],[36.23,64.11],[37.01,63.85],[37.14,64.33],[36.54,64.76],[37.18,65.14],[39.59,64.52],[40.43,64.76],[39.76,65.5],[42.09,66.48],[43.02,66.42],[43.95,66.07],[44.53,66.76],[43.7,67.35],[44.19,67.95],[43.45,68.57],[46.25,68.25],[46.82,67.69],[45.56,67.57],[45.56,67.01],[46.35,66.67],[47.89,66.88],[48.14,67.52],[50.23,68],[53.72,68.86],[54.47,68.81],[53.49,68.2],[54.73,68.1],[55.44,68.44],[57.32,68.47],[58.8,68.88],[59.94,68.28],[61.08,68.94],[60.03,69.52],[60.55,69.85],[63.5,69.55],[64.89,69.23],[68.51,68.09],[69.18,68.62],[68.16,69.14],[68.14,69.36],[66.93,69.45],[67.26,69.93],[66.72,70.71],[66.7,71.03],[68.54,71.93],[69.2,72.84],[69.94,73.04],[72.59,72.78],[72.79,72.22],[71.85,71.41],[72.47,71.09],[72.79,70.39],[72.56,69.02],[73.67,68.41],[73.24,67.74],[71.28,66.32],[72.42,66.17],[72.82,66.53],[73.92,66.79],[74.19,67.28],[75.05,67.76],[74.47,68.33],[74.94,68.99],[73.84,69.07],[73.6,69.63],[74.4,70.63],[73.1,71.45],[74.89,72.12],[74.66,72.83],[75.16,72.86],[75.68,72.3],[75.29,71.34],[76.36,71.15],[75.9,71.87],[77.58,72.27],[79.65,72.32],[81.5,71.75],[80.61,72.58],[80.51,73.65],[82.25,73.85],[84.66,73.81],[86.82,73.94],[86.01,74.46],[87.17,75.12],[88.31,75.14],[90.26,75.64],[92.9,75.77],[93.24,76.05],[95.86,76.14],[96.68,75.92],[98.92,76.45],[100.76,76.43],[101.04,76.86],[101.99,77.29],[104.35,77.7],[106.07,77.37],[104.71,77.13],[106.97,76.97],[107.24,76.48],[108.15,76.72],[111.08,76.71],[113.33,76.22],[114.13,75.85],[113.89,75.33],[112.78,75.03],[110.15,74.48],[109.4,74.18],[110.64,74.04],[112.12,73.79],[113.02,73.98],[113.53,73.34],[113.97,73.59],[115.57,73.75],[118.78,73.59],[119.02,73.12],[123.2,72.97],[123.26,73.74],[125.38,73.56],[126.98,73.57],[128.59,73.04],[129.05,72.4],[128.46,71.98],[129.71,71.19],[131.29,70.79],[132.25,71.84],[133.86,71.39],[135.56,71.66],[137.5,71.35],[138.23,71.63],[139.87,71.49],[139.15,72.42],[140.47,72.85],[149.5,72.2],[150.35,71.61],[152.97,70.84],[157.01,71.03],[159,70.87],[159.83,70.45],[159.71,69.72],[160.94,69.44],[162.28,69.64],[164.05,69.67],[165.94,69.47],[167.84,69.58],[169.58,68.69],[170.82,69.01],[170.01,69.65],[170.45,70.1],[173.64,69.82],[175.72,69.88],[178.6,69.4],[-180,68.96],[-177.55,68.2],[-174.93,67.21],[-175.01,66.58],[-174.34,66.34],[-174.57,67.06],[-171.86,66.91],[-169.9,65.98],[-170.89,65.54],[-172.53,65.44],[-172.56,64.46],[-172.95,64.25],[-173.89,64.28],[-174.65,64.63],[-175.98,64.92],[-176.21,65.36],[-177.22,65.52],[-178.36,65.39],[-178.9,65.74],[-178.69,66.11],[-179.88,65.87],[-179.43,65.4],[-180,64.98],[179.99,64.97],[178.71,64.53],[177.41,64.61],[178.31,64.08],[178.91,63.25],[179.37,62.98],[179.49,62.57],[179.23,62.3],[177.36,62.52],[174.57,61.77],[173.68,61.65],[172.15,60.95],[170.7,60.34],[170.33,59.88],[168.9,60.57],[166.29,59.79],[165.84,60.16],[164.88,59.73],[163.54,59.87],[163.22,59.21],[162.02,58.24],[162.05,57.84],[163.19,57.62],[163.06,56.16],[162.13,56.12],[161.7,55.29],[162.12,54.85],[160.37,54.34],[160.02,53.2],[158.53,52.96],[158.23,51.94],[156.79,51.01],[156.42,51.7],[155.99,53.16],[155.43,55.38],[155.92,56.77],[156.76,57.36],[156.81,57.83],[158.36,58.06],[160.15,59.31],[161.87,60.34],[163.67,61.14],[164.47,62.55],[163.26,62.47],[162.66,61.64],[160.12,60.54],[159.3,61.77],[156.72,61.43],[154.22,59.76],[155.04,59.15],[152.81,58.88],[151.26,58.78],[151.34,59.5],[149.78,59.66],[148.55,59.16],[145.49,59.34],[142.2,59.04],[138.96,57.09],[135.13,54.73],[136.7,54.6],[137.19,53.98],[138.16,53.75],[138.8,54.25],[139.9,54.19],[141.35,53.09],[141.38,52.24],[140.6,51.24],[140.51,50.05],[140.06,48.45],[138.56,47],[138.22,46.31],[136.86,45.14],[135.51,43.99],[134.87,43.4],[133.54,42.81],[132.91,42.8],[132.28,43.28],[130.94,42.55],[130.78,42.22]]],[[[-180,71.52],[-179.87,71.56],[-179.02,71.56],[-177.58,71.27],[-177.66,71.13],[-178.69,70.89],[-180,70.83],[178.9,70.78],[178.73,71.1],[-180,71.52]]],[[[33.44,45.97],[33.7,46.22],[34.41,46],[34.73,45.97],[34.86,45.77],[35.01,45.74],[35.02,45.65],[35.51,45.41],[36.53,45.47],[36.33,45.11],[35.24,44.94],[33.88,44.36],[33.33,44.57],[33.55,45.03],[32.45,45.33],[32.63,45.52],[33.59,45.85],[33.44,45.97]]]]}},
+    {"type":"Feature","id":"044","properties":{"name":"Bahamas"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-78.98,26.79],[-78.51,26.87],[-77.85,26.84],[-77.82,26.58],[-78.91,26.42],[-78.98,26.79]]],[[[-77.79,27.04],[-77,26.59],[-77.17,25.88],[-77.36,26.01],[-77.34,26.53],[-77.79,26.93],[-77.79,27.04]]],[[[-78.19,25.21],[-77.89,25.17],[-77.54,24.34],[-77.54,23.76],[-77.78,23.71],[-78.03,24.29],[-78.41,24.57],[-78.19,25.21]]]]}},
+    {"type":"Feature","id":"238","properties":{"name":"Falkland Is."},"geometry":{"type":"Polygon","coordinates":[[[-61.2,-51.85],[-60,-51.25],[-59.15,-51.5],[-58.55,-51.1],[-57.75,-51.55],[-58.05,-51.9],[-59.4,-52.2],[-59.85,-51.85],[-60.7,-52.3],[-61.2,-51.85]]]}},
+    {"type":"Feature","id":"578","properties":{"name":"Norway"},"geometry":{"type":"MultiPolygon","coordinates":[[[[15.14,79.67],[15.52,80.02],[16.99,80.05],[18.25,79.7],[21.54,78.96],[19.03,78.56],[18.47,77.83],[17.6,77.64],[17.12,76.81],[15.91,76.77],[13.76,77.38],[14.67,77.74],[13.17,78.02],[11.22,78.87],[10.45,79.65],[13.17,80.01],[13.72,79.66],[15.14,79.67]]],[[[31.1,69.56],[29.4,69.16],[28.59,69.07],[29.01,69.77],[27.73,70.16],[26.18,69.83],[25.69,69.09],[24.73,68.65],[23.66,68.89],[22.36,68.84],[21.25,69.37],[20.64,69.11],[20.03,69.07],[19.88,68.41],[17.99,68.57],[17.73,68.01],[16.77,68.01],[16.11,67.3],[15.11,66.19],[13.56,64.79],[13.92,64.44],[13.57,64.05],[12.58,64.07],[11.93,63.13],[11.99,61.8],[12.63,61.29],[12.3,60.12],[11.47,59.43],[11.03,58.86],[10.36,59.47],[8.38,58.31],[7.05,58.08],[5.66,58.59],[5.31,59.66],[4.99,61.97],[5.91,62.62],[8.55,63.45],[10.53,64.49],[12.36,65.88],[14.76,67.81],[16.44,68.56],[19.18,69.82],[21.38,70.26],[23.02,70.2],[24.55,71.03],[26.37,70.99],[28.16,71.19],[31.29,70.45],[30,70.19],[31.1,69.56]]],[[[27.41,80.06],[25.93,79.52],[23.02,79.4],[20.08,79.57],[19.9,79.84],[18.46,79.86],[17.37,80.32],[20.46,80.6],[21.91,80.36],[22.92,80.66],[25.45,80.41],[27.41,80.06]]],[[[24.72,77.85],[22.49,77.45],[20.73,77.68],[21.41,77.93],[20.81,78.25],[22.88,78.46],[23.28,78.08],[24.72,77.85]]]]}},
+    {"type":"Feature","id":"304","properties":{"name":"Greenland"},"geometry":{"type":"Polygon","coordinates":[[[-46.76,82.63],[-43.41,83.23],[-39.9,83.18],[-38.62,83.55],[-35.09,83.65],[-27.1,83.52],[-20.85,82.73],[-22.69,82.34],[-26.52,82.3],[-31.9,82.2],[-31.4,82.02],[-27.86,82.13],[-24.85,81.79],[-22.9,82.09],[-22.07,81.73],[-23.17,81.15],[-20.62,81.52],[-15.77,81.91],[-12.77,81.72],[-12.21,81.29],[-16.28,80.58],[-16.85,80.35],[-20.05,80.18],[-17.73,80.13],[-18.9,79.4],[-19.7,78.75],[-19.67,77.64],[-18.47,76.98],[-20.04,76.94],[-21.68,76.63],[-19.83,76.1],[-19.6,75.25],[-20.67,75.16],[-19.37,74.3],[-21.59,74.22],[-20.44,73.82],[-20.76,73.46],[-22.17,73.31],[-23.57,73.31],[-22.31,72.63],[-22.3,72.18],[-24.28,72.6],[-24.79,72.33],[-23.44,72.08],[-22.13,71.47],[-21.75,70.66],[-23.54,70.47],[-24.31,70.86],[-25.54,71.43],[-25.2,70.75],[-26.36,70.23],[-23.73,70.18],[-22.35,70.13],[-25.03,69.26],[-27.75,68.47],[-30.67,68.12],[-31.78,68.12],[-32.81,67.74],[-34.2,66.68],[-36.35,65.98],[-37.04,65.94],[-38.37,65.69],[-39.81,65.46],[-40.67,64.84],[-40.68,64.14],[-41.19,63.48],[-42.82,62.68],[-42.42,61.9],[-42.87,61.07],[-43.38,60.1],[-44.79,60.04],[-46.26,60.85],[-48.26,60.86],[-49.23,61.41],[-49.9,62.38],[-51.63,63.63],[-52.14,64.28],[-52.28,65.18],[-53.66,66.1],[-53.3,66.84],[-53.97,67.19],[-52.98,68.36],[-51.48,68.73],[-51.08,69.15],[-50.87,69.93],[-52.02,69.57],[-52.56,69.43],[-53.46,69.28],[-54.68,69.61],[-54.75,70.29],[-54.36,70.82],[-53.43,70.84],[-51.39,70.57],[-53.11,71.2],[-54.01,71.55],[-55,71.41],[-55.83,71.66],[-54.72,72.59],[-55.33,72.96],[-56.12,73.65],[-57.33,74.71],[-58.6,75.1],[-58.59,75.52],[-61.27,76.1],[-63.39,76.18],[-66.07,76.14],[-68.5,76.06],[-69.67,76.38],[-71.4,77.01],[-68.78,77.32],[-66.76,77.38],[-71.04,77.64],[-73.3,78.04],[-73.16,78.43],[-69.37,78.91],[-65.71,79.4],[-65.32,79.76],[-68.02,80.12],[-67.15,80.52],[-63.69,81.21],[-62.24,81.32],[-62.65,81.77],[-60.28,82.03],[-57.21,82.19],[-54.14,82.2],[-53.04,81.89],[-50.39,82.44],[-48,82.06],[-46.6,81.99],[-44.52,81.66],[-46.9,82.2],[-46.76,82.63]]]}},
+    {"type":"Feature","id":"260","properties":{"name":"Fr. S. Antarctic Lands"},"geometry":{"type":"Polygon","coordinates":[[[68.94,-48.62],[69.58,-48.94],[70.53,-49.07],[70.56,-49.25],[70.28,-49.71],[68.74,-49.77],[68.72,-49.24],[68.87,-48.83],[68.94,-48.62]]]}},
+    {"type":"Feature","id":"626","properties":{"name":"Timor-Leste"},"geometry":{"type":"Polygon","coordinates":[[[124.97,-8.89],[125.09,-8.66],[125.95,-8.43],[126.64,-8.4],[126.96,-8.27],[127.34,-8.4],[126.97,-8.67],[125.93,-9.11],[125.09,-9.39],[125.07,-9.09],[124.97,-8.89]]]}},
+    {"type":"Feature","id":"710","properties":{"name":"South Africa"},"geometry":{"type":"Polygon","coordinates":[[[16.35,-28.58],[16.82,-28.08],[17.22,-28.36],[17.39,-28.78],[17.84,-28.86],[18.47,-29.05],[19,-28.97],[19.9,-28.46],[19.9,-24.77],[20.17,-24.92],[20.76,-25.87],[20.67,-26.48],[20.89,-26.83],[21.61,-26.73],[22.11,-26.28],[22.58,-25.98],[22.83,-25.5],[23.31,-25.27],[23.73,-25.39],[24.21,-25.67],[25.03,-25.72],[25.67,-25.49],[25.77,-25.17],[25.94,-24.7],[26.49,-24.62],[26.79,-24.24],[27.12,-23.58],[28.02,-22.83],[29.43,-22.09],[29.84,-22.1],[30.32,-22.27],[30.66,-22.15],[31.19,-22.25],[31.67,-23.66],[31.93,-24.37],[31.75,-25.48],[31.84,-25.84],[31.33,-25.66],[31.04,-25.73],[30.95,-26.02],[30.68,-26.4],[30.68,-26.74],[31.28,-27.29],[31.87,-27.18],[32.07,-26.73],[32.83,-26.74],[32.58,-27.47],[32.46,-28.3],[32.2,-28.75],[31.52,-29.26],[31.33,-29.4],[30.9,-29.91],[30.62,-30.42],[30.05,-31.14],[28.92,-32.17],[28.22,-32.77],[27.46,-33.23],[26.42,-33.62],[25.91,-33.67],[25.78,-33.95],[25.17,-33.8],[24.68,-33.99],[23.59,-33.79],[22.99,-33.92],[22.57,-33.86],[21.54,-34.26],[20.69,-34.42],[20.07,-34.8],[19.61,-34.82],[19.19,-34.46],[18.86,-34.44],[18.42,-34],[18.38,-34.14],[18.24,-33.87],[18.25,-33.28],[17.93,-32.61],[18.25,-32.43],[18.22,-31.66],[17.57,-30.73],[17.07,-29.88],[17.06,-29.88],[16.35,-28.58]],[[28.98,-28.96],[28.54,-28.65],[28.07,-28.85],[27.53,-29.24],[27,-29.88],[27.75,-30.64],[28.11,-30.55],[28.29,-30.23],[28.85,-30.07],[29.02,-29.74],[29.32,-29.26],[28.98,-28.96]]]}},
+    {"type":"Feature","id":"426","properties":{"name":"Lesotho"},"geometry":{"type":"Polygon","coordinates":[[[28.98,-28.96],[29.32,-29.26],[29.02,-29.74],[28.85,-30.07],[28.29,-30.23],[28.11,-30.55],[27.75,-30.64],[27,-29.88],[27.53,-29.24],[28.07,-28.85],[28.54,-28.65],[28.98,-28.96]]]}},
+    {"type":"Feature","id":"484","properties":{"name":"Mexico"},"geometry":{"type":"Polygon","coordinates":[[[-117.13,32.53],[-115.99,32.61],[-114.72,32.72],[-114.81,32.52],[-113.31,32.04],[-111.02,31.33],[-109.04,31.34],[-108.24,31.34],[-108.24,31.75],[-106.51,31.75],[-106.14,31.4],[-105.63,31.08],[-105.04,30.64],[-104.71,30.12],[-104.46,29.57],[-103.94,29.27],[-103.11,28.97],[-102.48,29.76],[-101.66,29.78],[-100.96,29.38],[-100.46,28.7],[-100.11,28.11],[-99.52,27.54],[-99.3,26.84],[-99.02,26.37],[-98.24,26.06],[-97.53,25.84],[-97.14,25.87],[-97.53,24.99],[-97.7,24.27],[-97.78,22.93],[-97.87,22.44],[-97.7,21.9],[-97.39,21.41],[-97.19,20.64],[-96.53,19.89],[-96.29,19.32],[-95.9,18.83],[-94.84,18.56],[-94.43,18.14],[-93.55,18.42],[-92.79,18.53],[-92.04,18.71],[-91.41,18.88],[-90.77,19.28],[-90.53,19.87],[-90.45,20.71],[-90.28,21],[-89.6,21.26],[-88.54,21.49],[-87.66,21.46],[-87.05,21.54],[-86.81,21.33],[-86.85,20.85],[-87.38,20.26],[-87.62,19.65],[-87.44,19.47],[-87.59,19.04],[-87.84,18.26],[-88.09,18.52],[-88.3,18.5],[-88.49,18.49],[-88.85,17.88],[-89.03,18],[-89.15,17.96],[-89.14,17.81],[-90.07,17.82],[-91,17.82],[-91,17.25],[-91.45,17.25],[-91.08,16.92],[-90.71,16.69],[-90.6,16.47],[-90.44,16.41],[-90.46,16.07],[-91.75,16.07],[-92.23,15.25],[-92.09,15.06],[-92.2,14.83],[-92.23,14.54],[-93.36,15.62],[-93.88,15.94],[-94.69,16.2],[-95.25,16.13],[-96.05,15.75],[-96.56,15.65],[-97.26,15.92],[-98.01,16.11],[-98.95,16.57],[-99.7,16.71],[-100.83,17.17],[-101.67,17.65],[-101.92,17.92],[-102.48,17.98],[-103.5,18.29],[-103.92,18.75],[-104.99,19.32],[-105.49,19.95],[-105.73,20.43],[-105.4,20.53],[-105.5,20.82],[-105.27,21.08],[-105.27,21.42],[-105.6,21.87],[-105.69,22.27],[-106.03,22.77],[-106.91,23.77],[-107.92,24.55],[-108.4,25.17],[-109.26,25.58],[-109.44,25.83],[-109.29,26.44],[-109.8,26.68],[-110.39,27.16],[-110.64,27.86],[-111.18,27.94],[-111.76,28.47],[-112.23,28.96],[-112.27,29.27],[-112.81,30.02],[-113.17,30.79],[-113.15,31.17],[-113.87,31.57],[-114.21,31.52],[-114.78,31.8],[-114.94,31.39],[-114.77,30.91],[-114.67,30.16],[-114.33,29.75],[-113.59,29.06],[-113.42,28.83],[-113.27,28.76],[-113.14,28.41],[-112.96,28.43],[-112.76,27.78],[-112.46,27.53],[-112.24,27.17],[-111.62,26.66],[-111.29,25.73],[-110.99,25.29],[-110.71,24.83],[-110.66,24.3],[-110.17,24.27],[-109.77,23.81],[-109.41,23.36],[-109.43,23.19],[-109.85,22.82],[-110.03,22.82],[-110.3,23.43],[-110.95,24],[-111.67,24.49],[-112.18,24.74],[-112.15,25.47],[-112.3,26.01],[-112.78,26.32],[-113.46,26.77],[-113.6,26.64],[-113.85,26.9],[-114.46,27.14],[-115.06,27.72],[-114.98,27.8],[-114.57,27.74],[-114.2,28.12],[-114.16,28.57],[-114.93,29.28],[-115.52,29.56],[-115.89,30.18],[-116.26,30.84],[-116.72,31.64],[-117.13,32.53]]]}},
+    {"type":"Feature","id":"858","properties":{"name":"Uruguay"},"geometry":{"type":"Polygon","coordinates":[[[-57.62,-30.22],[-56.98,-30.11],[-55.97,-30.88],[-55.6,-30.85],[-54.57,-31.49],[-53.79,-32.05],[-53.21,-32.73],[-53.65,-33.2],[-53.37,-33.77],[-53.81,-34.4],[-54.93,-34.95],[-55.67,-34.75],[-56.22,-34.86],[-57.14,-34.43],[-57.82,-34.46],[-58.43,-33.91],[-58.35,-33.26],[-58.13,-33.04],[-58.14,-32.04],[-57.88,-31.02],[-57.62,-30.22]]]}},
+    {"type":"Feature","id":"076","properties":{"name":"Brazil"},"geometry":{"type":"Polygon","coordinates":[[[-53.37,-33.77],[-53.65,-33.2],[-53.21,-32.73],[-53.79,-32.05],[-54.57,-31.49],[-55.6,-30.85],[-55.97,-30.88],[-56.98,-30.11],[-57.62,-30.22],[-56.29,-28.85],[-55.16,-27.88],[-54.49,-27.47],[-53.65,-26.92],[-53.63,-26.12],[-54.13,-25.55],[-54.63,-25.74],[-54.43,-25.16],[-54.29,-24.57],[-54.29,-24.02],[-54.65,-23.84],[-55.03,-24],[-55.4,-23.96],[-55.52,-23.57],[-55.61,-22.66],[-55.8,-22.36],[-56.47,-22.09],[-56.88,-22.28],[-57.94,-22.09],[-57.87,-20.73],[-58.17,-20.18],[-57.85,-19.97],[-57.95,-19.4],[-57.67,-18.96],[-57.5,-18.17],[-57.74,-17.55],[-58.28,-17.27],[-58.39,-16.88],[-58.24,-16.3],[-60.16,-16.26],[-60.54,-15.09],[-60.25,-15.08],[-60.26,-14.65],[-60.46,-14.35],[-60.5,-13.78],[-61.08,-13.48],[-61.71,-13.49],[-62.13,-13.2],[-62.8,-13],[-63.2,-12.63],[-64.32,-12.46],[-65.4,-11.57],[-65.32,-10.9],[-65.44,-10.51],[-65.34,-9.76],[-66.65,-9.93],[-67.17,-10.31],[-68.05,-10.71],[-68.27,-11.01],[-68.79,-11.04],[-69.53,-10.95],[-70.09,-11.12],[-70.55,-11.01],[-70.48,-9.49],[-71.3,-10.08],[-72.19,-10.05],[-72.56,-9.52],[-73.23,-9.46],[-73.01,-9.03],[-73.57,-8.42],[-73.99,-7.52],[-73.72,-7.34],[-73.72,-6.92],[-73.12,-6.63],[-73.22,-6.09],[-72.96,-5.74],[-72.89,-5.28],[-71.75,-4.59],[-70.93,-4.4],[-70.8,-4.25],[-69.89,-4.3],[-69.44,-1.56],[-69.42,-1.12],[-69.58,-0.55],[-70.02,-0.19],[-70.02,0.54],[-69.45,0.71],[-69.25,0.6],[-69.22,0.99],[-69.8,1.09],[-69.82,1.72],[-67.87,1.69],[-67.54,2.04],[-67.26,1.72],[-67.06,1.13],[-66.88,1.25],[-66.33,0.72],[-65.55,0.79],[-65.35,1.1],[-64.61,1.33],[-64.2,1.49],[-64.08,1.92],[-63.37,2.2],[-63.42,2.41],[-64.27,2.5],[-64.41,3.13],[-64.37,3.8],[-64.82,4.06],[-64.63,4.15],[-63.89,4.02],[-63.09,3.77],[-62.8,4.01],[-62.08,4.16],[-60.97,4.54],[-60.6,4.92],[-60.73,5.2],[-60.21,5.24],[-59.98,5.01],[-60.11,4.58],[-59.77,4.42],[-59.54,3.96],[-59.82,3.61],[-59.97,2.76],[-59.72,2.25],[-59.65,1.79],[-59.03,1.32],[-58.54,1.27],[-58.43,1.46],[-58.11,1.51],[-57.66,1.68],[-57.34,1.95],[-56.78,1.86],[-56.54,1.9],[-56,1.82],[-55.91,2.02],[-56.07,2.22],[-55.97,2.51],[-55.57,2.42],[-55.1,2.52],[-54.52,2.31],[-54.09,2.11],[-53.78,2.38],[-53.56,2.33],[-53.42,2.05],[-52.94,2.12],[-52.56,2.5],[-52.25,3.24],[-51.66,4.16],[-51.32,4.2],[-51.07,3.65],[-50.51,1.9],[-49.97,1.74],[-49.95,1.05],[-50.7,0.22],[-50.39,-0.08],[-48.62,-0.23],[-48.58,-1.24],[-47.82,-0.58],[-46.57,-0.94],[-44.91,-1.55],[-44.42,-2.14],[-44.58,-2.69],[-43.42,-2.38],[-41.47,-2.91],[-39.98,-2.87],[-38.5,-3.7],[-37.22,-4.82],[-36.45,-5.11],[-35.6,-5.15],[-35.24,-5.46],[-34.9,-6.74],[-34.73,-7.34],[-35.13,-9],[-35.64,-9.65],[-37.05,-11.04],[-37.68,-12.17],[-38.42,-13.04],[-38.67,-13.06],[-38.95,-13.79],[-38.88,-15.67],[-39.16,-17.21],[-39.27,-17.87],[-39.58,-18.26],[-39.76,-19.6],[-40.78,-20.9],[-40.95,-21.94],[-41.76,-22.37],[-41.99,-22.97],[-43.08,-22.97],[-44.65,-23.35],[-45.35,-23.8],[-46.47,-24.09],[-47.65,-24.89],[-48.49,-25.88],[-48.64,-26.62],[-48.48,-27.18],[-48.66,-28.19],[-48.89,-28.67],[-49.59,-29.22],[-50.7,-30.99],[-51.58,-31.78],[-52.26,-32.25],[-52.71,-33.2],[-53.37,-33.77]]]}},
+    {"type":"Feature","id":"068","properties":{"name":"Bolivia"},"geometry":{"type":"Polygon","coordinates":[[[-69.53,-10.95],[-68.79,-11.04],[-68.27,-11.01],[-68.05,-10.71],[-67.17,-10.31],[-66.65,-9.93],[-65.34,-9.76],[-65.44,-10.51],[-65.32,-10.9],[-65.4,-11.57],[-64.32,-12.46],[-63.2,-12.63],[-62.8,-13],[-62.13,-13.2],[-61.71,-13.49],[-61.08,-13.48],[-60.5,-13.78],[-60.46,-14.35],[-60.26,-14.65],[-60.25,-15.08],[-60.54,-15.09],[-60.16,-16.26],[-58.24,-16.3],[-58.39,-16.88],[-58.28,-17.27],[-57.74,-17.55],[-57.5,-18.17],[-57.67,-18.96],[-57.95,-19.4],[-57.85,-19.97],[-58.17,-20.18],[-58.18,-19.87],[-59.11,-19.36],[-60.04,-19.34],[-61.79,-19.63],[-62.26,-20.51],[-62.29,-21.05],[-62.69,-22.25],[-62.85,-22.03],[-63.99,-21.99],[-64.38,-22.8],[-64.96,-22.08],[-66.27,-21.83],[-67.11,-22.74],[-67.83,-22.87],[-68.22,-21.49],[-68.76,-20.37],[-68.44,-19.4],[-68.97,-18.98],[-69.1,-18.26],[-69.59,-17.58],[-68.96,-16.5],[-69.39,-15.66],[-69.16,-15.32],[-69.34,-14.95],[-68.95,-14.45],[-68.93,-13.6],[-68.88,-12.9],[-68.67,-12.56],[-69.53,-10.95]]]}},
+    {"type":"Feature","id":"604","properties":{"name":"Peru"},"geometry":{"type":"Polygon","coordinates":[[[-69.89,-4.3],[-70.8,-4.25],[-70.93,-4.4],[-71.75,-4.59],[-72.89,-5.28],[-72.96,-5.74],[-73.22,-6.09],[-73.12,-6.63],[-73.72,-6.92],[-73.72,-7.34],[-73.99,-7.52],[-73.57,-8.42],[-73.01,-9.03],[-73.23,-9.46],[-72.56,-9.52],[-72.19,-10.05],[-71.3,-10.08],[-70.48,-9.49],[-70.55,-11.01],[-70.09,-11.12],[-69.53,-10.95],[-68.67,-12.56],[-68.88,-12.9],[-68.93,-13.6],[-68.95,-14.45],[-69.34,-14.95],[-69.16,-15.32],[-69.39,-15.66],[-68.96,-16.5],[-69.59,-17.58],[-69.86,-18.09],[-70.37,-18.35],[-71.38,-17.77],[-71.46,-17.36],[-73.45,-16.36],[-75.24,-15.27],[-76.01,-14.65],[-76.42,-13.82],[-76.26,-13.53],[-77.11,-12.22],[-78.09,-10.38],[-79.04,-8.39],[-79.45,-7.93],[-79.76,-7.19],[-80.54,-6.54],[-81.25,-6.14],[-80.93,-5.69],[-81.41,-4.74],[-81.1,-4.04],[-80.3,-3.4],[-80.19,-3.82],[-80.47,-4.06],[-80.44,-4.43],[-80.03,-4.35],[-79.62,-4.45],[-79.21,-4.96],[-78.64,-4.55],[-78.45,-3.87],[-77.84,-3],[-76.64,-2.61],[-75.54,-1.56],[-75.24,-0.91],[-75.37,-0.15],[-75.11,-0.06],[-74.44,-0.53],[-74.12,-1],[-73.66,-1.26],[-73.07,-2.31],[-72.33,-2.44],[-71.78,-2.17],[-71.41,-2.34],[-70.81,-2.26],[-70.05,-2.72],[-70.69,-3.74],[-70.39,-3.77],[-69.89,-4.3]]]}},
+    {"type":"Feature","id":"170","properties":{"name":"Colombia"},"geometry":{"type":"Polygon","coordinates":[[[-66.88,1.25],[-67.06,1.13],[-67.26,1.72],[-67.54,2.04],[-67.87,1.69],[-69.82,1.72],[-69.8,1.09],[-69.22,0.99],[-69.25,0.6],[-69.45,0.71],[-70.02,0.54],[-70.02,-0.19],[-69.58,-0.55],[-69.42,-1.12],[-69.44,-1.56],[-69.89,-4.3],[-70.39,-3.77],[-70.69,-3.74],[-70.05,-2.72],[-70.81,-2.26],[-71.41,-2.34],[-71.78,-2.17],[-72.33,-2.44],[-73.07,-2.31],[-73.66,-1.26],[-74.12,-1],[-74.44,-0.53],[-75.11,-0.06],[-75.37,-0.15],[-75.8,0.09],[-76.29,0.42],[-76.58,0.26],[-77.42,0.39],[-77.67,0.83],[-77.86,0.81],[-78.86,1.38],[-78.99,1.69],[-78.62,1.77],[-78.66,2.27],[-78.43,2.63],[-77.93,2.7],[-77.51,3.32],[-77.13,3.85],[-77.5,4.09],[-77.31,4.67],[-77.53,5.58],[-77.32,5.84],[-77.48,6.69],[-77.88,7.22],[-77.75,7.71],[-77.43,7.64],[-77.24,7.94],[-77.47,8.52],[-77.35,8.67],[-76.84,8.64],[-76.08,9.34],[-75.67,9.44],[-75.66,9.77],[-75.48,10.62],[-74.91,11.08],[-74.28,11.1],[-74.2,11.31],[-73.41,11.23],[-72.63,11.73],[-72.24,11.96],[-71.75,12.44],[-71.4,12.38],[-71.14,12.11],[-71.33,11.78],[-71.97,11.61],[-72.23,11.11],[-72.61,10.82],[-72.91,10.45],[-73.03,9.74],[-73.31,9.15],[-72.79,9.08],[-72.66,8.63],[-72.44,8.41],[-72.36,8],[-72.48,7.63],[-72.45,7.42],[-72.2,7.34],[-71.96,6.99],[-70.67,7.09],[-70.09,6.96],[-69.39,6.1],[-68.99,6.21],[-68.27,6.15],[-67.7,6.27],[-67.34,6.1],[-67.52,5.56],[-67.74,5.22],[-67.82,4.5],[-67.62,3.84],[-67.34,3.54],[-67.3,3.32],[-67.81,2.82],[-67.45,2.6],[-67.18,2.25],[-66.88,1.25]]]}},
+    {"type":"Feature","id":"591","properties":{"name":"Panama"},"geometry":{"type":"Polygon","coordinates":[[[-77.35,8.67],[-77.47,8.52],[-77.24,7.94],[-77.43,7.64],[-77.75,7.71],[-77.88,7.22],[-78.22,7.51],[-78.43,8.05],[-78.18,8.32],[-78.44,8.39],[-78.62,8.72],[-79.12,9],[-79.56,8.93],[-79.76,8.59],[-80.16,8.33],[-80.38,8.3],[-80.48,8.09],[-80.01,7.55],[-80.28,7.42],[-80.42,7.27],[-80.89,7.22],[-81.06,7.82],[-81.19,7.65],[-81.52,7.71],[-81.72,8.11],[-82.13,8.18],[-82.39,8.29],[-82.82,8.29],[-82.85,8.07],[-82.96,8.22],[-82.91,8.42],[-82.83,8.63],[-82.87,8.81],[-82.72,8.93],[-82.93,9.07],[-82.93,9.48],[-82.55,9.57],[-82.19,9.21],[-82.21,8.99],[-81.81,8.95],[-81.72,9.03],[-81.44,8.79],[-80.95,8.86],[-80.52,9.11],[-79.92,9.31],[-79.57,9.61],[-79.02,9.55],[-79.06,9.46],[-78.5,9.42],[-78.05,9.25],[-77.73,8.95],[-77.35,8.67]]]}},
+    {"type":"Feature","id":"188","properties":{"name":"Costa Rica"},"geometry":{"type":"Polygon","coordinates":[[[-82.55,9.57],[-82.93,9.48],[-82.93,9.07],[-82.72,8.93],[-82.87,8.81],[-82.83,8.63],[-82.91,8.42],[-82.96,8.22],[-83.51,8.45],[-83.71,8.66],[-83.59,8.83],[-83.63,9.05],[-83.91,9.29],[-84.3,9.49],[-84.65,9.62],[-84.71,9.91],[-84.98,10.09],[-84.91,9.8],[-85.11,9.56],[-85.34,9.83],[-85.66,9.93],[-85.8,10.14],[-85.79,10.44],[-85.66,10.76],[-85.94,10.9],[-85.71,11.09],[-85.56,11.22],[-84.9,10.95],[-84.67,11.08],[-84.35,11],[-84.19,10.79],[-83.89,10.73],[-83.66,10.94],[-83.4,10.4],[-83.02,9.99],[-82.55,9.57]]]}},
+    {"type":"Feature","id":"558","properties":{"name":"Nicaragua"},"geometry":{"type":"Polygon","coordinates":[[[-83.66,10.94],[-83.89,10.73],[-84.19,10.79],[-84.35,11],[-84.67,11.08],[-84.9,10.95],[-85.56,11.22],[-85.71,11.09],[-86.06,11.4],[-86.53,11.81],[-86.74,12.14],[-87.17,12.46],[-87.67,12.91],[-87.56,13.06],[-87.39,12.91],[-87.32,12.98],[-87.01,13.03],[-86.88,13.26],[-86.73,13.26],[-86.76,13.75],[-86.52,13.78],[-86.31,13.77],[-86.1,14.04],[-85.8,13.84],[-85.7,13.96],[-85.51,14.08],[-85.16,14.36],[-85.15,14.56],[-85.05,14.55],[-84.92,14.79],[-84.82,14.82],[-84.65,14.67],[-84.45,14.62],[-84.23,14.75],[-83.98,14.75],[-83.63,14.88],[-83.49,15.02],[-83.15,15],[-83.23,14.9],[-83.29,14.68],[-83.18,14.31],[-83.41,13.97],[-83.52,13.57],[-83.55,13.13],[-83.5,12.87],[-83.47,12.42],[-83.63,12.32],[-83.72,11.89],[-83.65,11.63],[-83.85,11.37],[-83.81,11.1],[-83.66,10.94]]]}},
+    {"type":"Feature","id":"340","properties":{"name":"Honduras"},"geometry":{"type":"Polygon","coordinates":[[[-83.15,15],[-83.49,15.02],[-83.63,14.88],[-83.98,14.75],[-84.23,14.75],[-84.45,14.62],[-84.65,14.67],[-84.82,14.82],[-84.92,14.79],[-85.05,14.55],[-85.15,14.56],[-85.16,14.36],[-85.51,14.08],[-85.7,13.96],[-85.8,13.84],[-86.1,14.04],[-86.31,13.77],[-86.52,13.78],[-86.76,13.75],[-86.73,13.26],[-86.88,13.26],[-87.01,13.03],[-87.32,12.98],[-87.49,13.3],[-87.79,13.38],[-87.72,13.78],[-87.86,13.89],[-88.07,13.96],[-88.51,13.85],[-88.54,13.98],[-88.84,14.14],[-89.06,14.34],[-89.35,14.42],[-89.15,14.68],[-89.23,14.87],[-89.15,15.07],[-88.68,15.35],[-88.22,15.73],[-88.12,15.69],[-87.9,15.86],[-87.62,15.88],[-87.52,15.8],[-87.37,15.85],[-86.9,15.76],[-86.44,15.78],[-86.12,15.89],[-86,16.01],[-85.68,15.95],[-85.45,15.89],[-85.18,15.91],[-84.98,16],[-84.53,15.86],[-84.37,15.83],[-84.06,15.65],[-83.77,15.42],[-83.41,15.27],[-83.15,15]]]}},
+    {"type":"Feature","id":"222","properties":{"name":"El Salvador"},"geometry":{"type":"Polygon","coordinates":[[[-89.35,14.42],[-89.06,14.34],[-88.84,14.14],[-88.54,13.98],[-88.51,13.85],[-88.07,13.96],[-87.86,13.89],[-87.72,13.78],[-87.79,13.38],[-87.9,13.15],[-88.48,13.16],[-88.84,13.26],[-89.26,13.46],[-89.81,13.52],[-90.1,13.74],[-90.06,13.88],[-89.72,14.13],[-89.53,14.25],[-89.59,14.36],[-89.35,14.42]]]}},
+    {"type":"Feature","id":"320","properties":{"name":"Guatemala"},"geometry":{"type":"Polygon","coordinates":[[[-92.23,14.54],[-92.2,14.83],[-92.09,15.06],[-92.23,15.25],[-91.75,16.07],[-90.46,16.07],[-90.44,16.41],[-90.6,16.47],[-90.71,16.69],[-91.08,16.92],[-91.45,17.25],[-91,17.25],[-91,17.82],[-90.07,17.82],[-89.14,17.81],[-89.15,17.02],[-89.23,15.89],[-88.93,15.89],[-88.61,15.71],[-88.52,15.85],[-88.22,15.73],[-88.68,15.35],[-89.15,15.07],[-89.23,14.87],[-89.15,14.68],[-89.35,14.42],[-89.59,14.36],[-89.53,14.25],[-89.72,14.13],[-90.06,13.88],[-90.1,13.74],[-90.61,13.91],[-91.23,13.93],[-91.69,14.13],[-92.23,14.54]]]}},
+    {"type":"Feature","id":"084","properties":{"name":"Belize"},"geometry":{"type":"Polygon","coordinates":[[[-89.14,17.81],[-89.15,17.96],[-89.03,18],[-88.85,17.88],[-88.49,18.49],[-88.3,18.5],[-88.3,18.35],[-88.11,18.35],[-88.12,18.08],[-88.29,17.64],[-88.2,17.49],[-88.3,17.13],[-88.24,17.04],[-88.35,16.53],[-88.55,16.27],[-88.73,16.23],[-88.93,15.89],[-89.23,15.89],[-89.15,17.02],[-89.14,17.81]]]}},
+    {"type":"Feature","id":"862","properties":{"name":"Venezuela"},"geometry":{"type":"Polygon","coordinates":[[[-60.73,5.2],[-60.6,4.92],[-60.97,4.54],[-62.08,4.16],[-62.8,4.01],[-63.09,3.77],[-63.89,4.02],[-64.63,4.15],[-64.82,4.06],[-64.37,3.8],[-64.41,3.13],[-64.27,2.5],[-63.42,2.41],[-63.37,2.2],[-64.08,1.92],[-64.2,1.49],[-64.61,1.33],[-65.35,1.1],[-65.55,0.79],[-66.33,0.72],[-66.88,1.25],[-67.18,2.25],[-67.45,2.6],[-67.81,2.82],[-67.3,3.32],[-67.34,3.54],[-67.62,3.84],[-67.82,4.5],[-67.74,5.22],[-67.52,5.56],[-67.34,6.1],[-67.7,6.27],[-68.27,6.15],[-68.99,6.21],[-69.39,6.1],[-70.09,6.96],[-70.67,7.09],[-71.96,6.99],[-72.2,7.34],[-72.45,7.42],[-72.48,7.63],[-72.36,8],[-72.44,8.41],[-72.66,8.63],[-72.79,9.08],[-73.31,9.15],[-73.03,9.74],[-72.91,10.45],[-72.61,10.82],[-72.23,11.11],[-71.97,11.61],[-71.33,11.78],[-71.36,11.54],[-71.95,11.42],[-71.62,10.97],[-71.63,10.45],[-72.07,9.86],[-71.7,9.07],[-71.26,9.14],[-71.04,9.86],[-71.35,10.21],[-71.4,10.97],[-70.16,11.38],[-70.29,11.85],[-69.94,12.16],[-69.58,11.46],[-68.88,11.44],[-68.23,10.89],[-68.19,10.56],[-67.3,10.55],[-66.23,10.65],[-65.66,10.2],[-64.89,10.08],[-64.33,10.39],[-64.32,10.64],[-63.08,10.7],[-61.88,10.72],[-62.73,10.42],[-62.39,9.95],[-61.59,9.87],[-60.83,9.38],[-60.67,8.58],[-60.15,8.6],[-59.76,8.37],[-60.55,7.78],[-60.64,7.42],[-60.3,7.04],[-60.54,6.86],[-61.16,6.7],[-61.14,6.23],[-61.41,5.96],[-60.73,5.2]]]}},
+    {"type":"Feature","id":"328","properties":{"name":"Guyana"},"geometry":{"type":"Polygon","coordinates":[[[-56.54,1.9],[-56.78,1.86],[-57.34,1.95],[-57.66,1.68],[-58.11,1.51],[-58.43,1.46],[-58.54,1.27],[-59.03,1.32],[-59.65,1.79],[-59.72,2.25],[-59.97,2.76],[-59.82,3.61],[-59.54,3.96],[-59.77,4.42],[-60.11,4.58],[-59.98,5.01],[-60.21,5.24],[-60.73,5.2],[-61.41,5.96],[-61.14,6.23],[-61.16,6.7],[-60.54,6.86],[-60.3,7.04],[-60.64,7.42],[-60.55,7.78],[-59.76,8.37],[-59.1,8],[-58.48,7.35],[-58.46,6.83],[-58.08,6.81],[-57.54,6.32],[-57.15,5.97],[-57.31,5.07],[-57.92,4.81],[-57.86,4.58],[-58.05,4.06],[-57.6,3.33],[-57.28,3.33],[-57.15,2.77],[-56.54,1.9]]]}},
+    {"type":"Feature","id":"740","properties":{"name":"Suriname"},"geometry":{"type":"Polygon","coordinates":[[[-54.52,2.31],[-55.1,2.52],[-55.57,2.42],[-55.97,2.51],[-56.07,2.22],[-55.91,2.02],[-56,1.82],[-56.54,1.9],[-57.15,2.77],[-57.28,3.33],[-57.6,3.33],[-58.05,4.06],[-57.86,4.58],[-57.92,4.81],[-57.31,5.07],[-57.15,5.97],[-55.95,5.77],[-55.84,5.95],[-55.03,6.03],[-53.96,5.76],[-54.48,4.9],[-54.4,4.21],[-54.01,3.62],[-54.18,3.19],[-54.27,2.73],[-54.52,2.31]]]}},
+    {"type":"Feature","id":"250","properties":{"name":"France"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-51.66,4.16],[-52.25,3.24],[-52.56,2.5],[-52.94,2.12],[-53.42,2.05],[-53.56,2.33],[-53.78,2.38],[-54.09,2.11],[-54.52,2.31],[-54.27,2.73],[-54.18,3.19],[-54.01,3.62],[-54.4,4.21],[-54.48,4.9],[-53.96,5.76],[-53.62,5.65],[-52.88,5.41],[-51.82,4.57],[-51.66,4.16]]],[[[6.19,49.46],[6.66,49.2],[8.1,49.02],[7.59,48.33],[7.47,47.62],[7.19,47.45],[6.74,47.54],[6.77,47.29],[6.04,46.73],[6.02,46.27],[6.5,46.43],[6.84,45.99],[6.8,45.71],[7.1,45.33],[6.75,45.03],[7.01,44.25],[7.55,44.13],[7.44,43.69],[6.53,43.13],[4.56,43.4],[3.1,43.07],[2.99,42.47],[1.83,42.34],[0.7,42.8],[0.34,42.58],[-1.5,43.03],[-1.9,43.42],[-1.38,44.02],[-1.19,46.01],[-2.23,47.06],[-2.96,47.57],[-4.49,47.95],[-4.59,48.68],[-3.3,48.9],[-1.62,48.64],[-1.94,49.78],[-0.99,49.35],[1.34,50.13],[1.64,50.95],[2.51,51.15],[2.66,50.8],[3.12,50.78],[3.59,50.38],[4.29,49.91],[4.8,49.99],[5.68,49.53],[5.9,49.44],[6.19,49.46]]],[[[8.75,42.63],[9.39,43.01],[9.56,42.15],[9.23,41.38],[8.78,41.58],[8.54,42.26],[8.75,42.63]]]]}},
+    {"type":"Feature","id":"218","properties":{"name":"Ecuador"},"geometry":{"type":"Polygon","coordinates":[[[-75.37,-0.15],[-75.24,-0.91],[-75.54,-1.56],[-76.64,-2.61],[-77.84,-3],[-78.45,-3.87],[-78.64,-4.55],[-79.21,-4.96],[-79.62,-4.45],[-80.03,-4.35],[-80.44,-4.43],[-80.47,-4.06],[-80.19,-3.82],[-80.3,-3.4],[-79.77,-2.66],[-79.99,-2.22],[-80.37,-2.69],[-80.97,-2.25],[-80.77,-1.96],[-80.93,-1.06],[-80.59,-0.91],[-80.4,-0.28],[-80.02,0.36],[-80.09,0.77],[-79.54,0.98],[-78.86,1.38],[-77.86,0.81],[-77.67,0.83],[-77.42,0.39],[-76.58,0.26],[-76.29,0.42],[-75.8,0.09],[-75.37,-0.15]]]}},
+    {"type":"Feature","id":"630","properties":{"name":"Puerto Rico"},"geometry":{"type":"Polygon","coordinates":[[[-66.28,18.52],[-65.77,18.43],[-65.59,18.23],[-65.85,17.98],[-66.6,17.98],[-67.19,17.95],[-67.24,18.37],[-67.1,18.52],[-66.28,18.52]]]}},
+    {"type":"Feature","id":"388","properties":{"name":"Jamaica"},"geometry":{"type":"Polygon","coordinates":[[[-77.57,18.49],[-76.89,18.4],[-76.37,18.16],[-76.2,17.89],[-76.9,17.87],[-77.2,17.7],[-77.77,17.86],[-78.34,18.23],[-78.22,18.45],[-77.8,18.52],[-77.57,18.49]]]}},
+    {"type":"Feature","id":"192","properties":{"name":"Cuba"},"geometry":{"type":"Polygon","coordinates":[[[-82.27,23.19],[-81.41,23.12],[-80.62,23.11],[-79.68,22.77],[-79.28,22.4],[-78.35,22.51],[-77.99,22.28],[-77.15,21.66],[-76.52,21.21],[-76.19,21.22],[-75.6,21.02],[-75.67,20.73],[-74.93,20.69],[-74.18,20.28],[-74.3,20.05],[-74.96,19.92],[-75.63,19.87],[-76.32,19.95],[-77.76,19.86],[-77.09,20.41],[-77.49,20.67],[-78.14,20.74],[-78.48,21.03],[-78.72,21.6],[-79.29,21.56],[-80.22,21.83],[-80.52,22.04],[-81.82,22.19],[-82.17,22.39],[-81.79,22.64],[-82.78,22.69],[-83.49,22.17],[-83.91,22.15],[-84.05,21.91],[-84.55,21.8],[-84.97,21.9],[-84.45,22.21],[-84.23,22.57],[-83.78,22.79],[-83.27,22.98],[-82.51,23.08],[-82.27,23.19]]]}},
+    {"type":"Feature","id":"716","properties":{"name":"Zimbabwe"},"geometry":{"type":"Polygon","coordinates":[[[31.19,-22.25],[30.66,-22.15],[30.32,-22.27],[29.84,-22.1],[29.43,-22.09],[28.79,-21.64],[28.02,-21.49],[27.73,-20.85],[27.73,-20.5],[27.3,-20.39],[26.16,-19.29],[25.85,-18.71],[25.65,-18.54],[25.26,-17.74],[26.38,-17.85],[26.71,-17.96],[27.05,-17.94],[27.6,-17.29],[28.47,-16.47],[28.83,-16.39],[28.95,-16.04],[29.52,-15.65],[30.27,-15.51],[30.34,-15.88],[31.17,-15.86],[31.64,-16.07],[31.85,-16.32],[32.33,-16.39],[32.85,-16.71],[32.85,-17.98],[32.65,-18.67],[32.61,-19.42],[32.77,-19.72],[32.66,-20.31],[32.51,-20.39],[32.24,-21.12],[31.19,-22.25]]]}},
+    {"type":"Feature","id":"072","properties":{"name":"Botswana"},"geometry":{"type":"Polygon","coordinates":[[[29.43,-22.09],[28.02,-22.83],[27.12,-23.58],[26.79,-24.24],[26.49,-24.62],[25.94,-24.7],[25.77,-25.17],[25.67,-25.49],[25.03,-25.72],[24.21,-25.67],[23.73,-25.39],[23.31,-25.27],[22.83,-25.5],[22.58,-25.98],[22.11,-26.28],[21.61,-26.73],[20.89,-26.83],[20.67,-26.48],[20.76,-25.87],[20.17,-24.92],[19.9,-24.77],[19.9,-21.85],[20.88,-21.81],[20.91,-18.25],[21.66,-18.22],[23.2,-17.87],[23.58,-18.28],[24.22,-17.89],[24.52,-17.89],[25.08,-17.66],[25.26,-17.74],[25.65,-18.54],[25.85,-18.71],[26.16,-19.29],[27.3,-20.39],[27.73,-20.5],[27.73,-20.85],[28.02,-21.49],[28.79,-21.64],[29.43,-22.09]]]}},
+    {"type":"Feature","id":"516","properties":{"name":"Namibia"},"geometry":{"type":"Polygon","coordinates":[[[19.9,-24.77],[19.9,-28.46],[19,-28.97],[18.47,-29.05],[17.84,-28.86],[17.39,-28.78],[17.22,-28.36],[16.82,-28.08],[16.35,-28.58],[15.6,-27.82],[15.21,-27.09],[14.99,-26.12],[14.74,-25.39],[14.41,-23.85],[14.38,-22.66],[14.26,-22.11],[13.87,-21.7],[13.35,-20.87],[12.83,-19.67],[12.61,-19.05],[11.8,-18.07],[11.73,-17.3],[12.22,-17.11],[12.81,-16.94],[13.46,-16.97],[14.06,-17.42],[14.21,-17.35],[18.26,-17.31],[18.96,-17.79],[21.38,-17.93],[23.21,-17.52],[24.04,-17.3],[24.68,-17.35],[25.08,-17.58],[25.08,-17.66],[24.52,-17.89],[24.22,-17.89],[23.58,-18.28],[23.2,-17.87],[21.66,-18.22],[20.91,-18.25],[20.88,-21.81],[19.9,-21.85],[19.9,-24.77]]]}},
+    {"type":"Feature","id":"686","properties":{"name":"Senegal"},"geometry":{"type":"Polygon","coordinates":[[[-16.71,13.6],[-17.13,14.37],[-17.62,14.73],[-17.18,14.92],[-16.7,15.62],[-16.46,16.14],[-16.12,16.46],[-15.62,16.37],[-15.14,16.59],[-14.58,16.6],[-14.1,16.3],[-13.44,16.04],[-12.83,15.3],[-12.17,14.62],[-12.12,13.99],[-11.93,13.42],[-11.55,13.14],[-11.47,12.75],[-11.51,12.44],[-11.66,12.39],[-12.2,12.47],[-12.28,12.35],[-12.5,12.33],[-13.22,12.58],[-13.7,12.59],[-15.55,12.63],[-15.82,12.52],[-16.15,12.55],[-16.68,12.39],[-16.84,13.15],[-15.93,13.13],[-15.69,13.27],[-15.51,13.28],[-15.14,13.51],[-14.71,13.3],[-14.28,13.28],[-13.84,13.51],[-14.05,13.79],[-14.38,13.63],[-14.69,13.63],[-15.08,13.88],[-15.4,13.86],[-15.63,13.62],[-16.71,13.6]]]}},
+    {"type":"Feature","id":"466","properties":{"name":"Mali"},"geometry":{"type":"Polygon","coordinates":[[[-11.51,12.44],[-11.47,12.75],[-11.55,13.14],[-11.93,13.42],[-12.12,13.99],[-12.17,14.62],[-11.84,14.8],[-11.67,15.39],[-11.35,15.41],[-10.65,15.13],[-10.09,15.33],[-9.7,15.26],[-9.55,15.49],[-5.54,15.5],[-5.32,16.2],[-5.49,16.33],[-5.97,20.64],[-6.45,24.96],[-4.92,24.97],[-1.55,22.79],[1.82,20.61],[2.06,20.14],[2.68,19.86],[3.15,19.69],[3.16,19.06],[4.27,19.16],[4.27,16.85],[3.72,16.18],[3.64,15.57],[2.75,15.41],[1.38,15.32],[1.02,14.97],[0.38,14.93],[-0.26,14.92],[-0.52,15.12],[-1.07,14.97],[-2,14.56],[-2.19,14.25],[-2.97,13.8],[-3.11,13.54],[-3.52,13.34],[-4.01,13.47],[-4.28,13.23],[-4.43,12.54],[-5.22,11.71],[-5.2,11.37],[-5.47,10.95],[-5.41,10.37],[-5.82,10.22],[-6.05,10.1],[-6.2,10.52],[-6.49,10.41],[-6.67,10.43],[-6.85,10.14],[-7.62,10.15],[-7.9,10.3],[-8.03,10.21],[-8.34,10.49],[-8.28,10.79],[-8.41,10.91],[-8.62,10.81],[-8.58,11.14],[-8.38,11.39],[-8.79,11.81],[-8.9,12.09],[-9.13,12.31],[-9.33,12.33],[-9.57,12.19],[-9.89,12.06],[-10.16,11.84],[-10.59,11.92],[-10.87,12.18],[-11.04,12.21],[-11.3,12.08],[-11.46,12.08],[-11.51,12.44]]]}},
+    {"type":"Feature","id":"478","properties":{"name":"Mauritania"},"geometry":{"type":"Polygon","coordinates":[[[-17.06,21],[-16.85,21.33],[-12.93,21.33],[-13.12,22.77],[-12.88,23.29],[-11.94,23.37],[-11.97,25.93],[-8.69,25.88],[-8.69,27.4],[-4.92,24.97],[-6.45,24.96],[-5.97,20.64],[-5.49,16.33],[-5.32,16.2],[-5.54,15.5],[-9.55,15.49],[-9.7,15.26],[-10.09,15.33],[-10.65,15.13],[-11.35,15.41],[-11.67,15.39],[-11.84,14.8],[-12.17,14.62],[-12.83,15.3],[-13.44,16.04],[-14.1,16.3],[-14.58,16.6],[-15.14,16.59],[-15.62,16.37],[-16.12,16.46],[-16.46,16.14],[-16.55,16.67],[-16.27,17.17],[-16.15,18.11],[-16.26,19.1],[-16.38,19.59],[-16.28,20.09],[-16.54,20.57],[-17.06,21]]]}},
+    {"type":"Feature","id":"204","properties":{"name":"Benin"},"geometry":{"type":"Polygon","coordinates":[[[2.69,6.26],[1.87,6.14],[1.62,6.83],[1.67,9.13],[1.46,9.34],[1.42,9.83],[1.08,10.18],[0.77,10.47],[0.9,11],[1.24,11.11],[1.45,11.55],[1.94,11.64],[2.15,11.94],[2.49,12.23],[2.85,12.24],[3.61,11.66],[3.57,11.33],[3.8,10.73],[3.6,10.33],[3.71,10.06],[3.22,9.44],[2.91,9.14],[2.72,8.51],[2.75,7.87],[2.69,6.26]]]}},
+    {"type":"Feature","id":"562","properties":{"name":"Niger"},"geometry":{"type":"Polygon","coordinates":[[[14.85,22.86],[15.1,21.31],[15.47,21.05],[15.49,20.73],[15.9,20.39],[15.69,19.96],[15.3,17.93],[15.25,16.63],[13.97,15.68],[13.54,14.37],[13.96,14],[13.96,13.35],[14.6,13.33],[14.5,12.86],[14.21,12.8],[14.18,12.48],[14,12.46],[13.32,13.56],[13.08,13.6],[12.3,13.04],[11.53,13.33],[10.99,13.39],[10.7,13.25],[10.11,13.28],[9.52,12.85],[9.02,12.83],[7.8,13.34],[7.33,13.1],[6.82,13.11],[6.45,13.49],[5.44,13.87],[4.37,13.75],[4.11,13.53],[3.97,12.96],[3.68,12.55],[3.61,11.66],[2.85,12.24],[2.49,12.23],[2.15,11.94],[2.18,12.63],[1.02,12.85],[0.99,13.34],[0.43,13.99],[0.3,14.44],[0.38,14.93],[1.02,14.97],[1.38,15.32],[2.75,15.41],[3.64,15.57],[3.72,16.18],[4.27,16.85],[4.27,19.16],[5.68,19.6],[8.57,21.57],[12,23.47],[13.58,23.04],[14.14,22.49],[14.85,22.86]]]}},
+    {"type":"Feature","id":"566","properties":{"name":"Nigeria"},"geometry":{"type":"Polygon","coordinates":[[[2.69,6.26],[2.75,7.87],[2.72,8.51],[2.91,9.14],[3.22,9.44],[3.71,10.06],[3.6,10.33],[3.8,10.73],[3.57,11.33],[3.61,11.66],[3.68,12.55],[3.97,12.96],[4.11,13.53],[4.37,13.75],[5.44,13.87],[6.45,13.49],[6.82,13.11],[7.33,13.1],[7.8,13.34],[9.02,12.83],[9.52,12.85],[10.11,13.28],[10.7,13.25],[10.99,13.39],[11.53,13.33],[12.3,13.04],[13.08,13.6],[13.32,13.56],[14,12.46],[14.18,12.48],[14.58,12.09],[14.47,11.9],[14.42,11.57],[13.57,10.8],[13.31,10.16],[13.17,9.64],[12.95,9.42],[12.75,8.72],[12.22,8.31],[12.07,7.8],[11.84,7.4],[11.75,6.98],[11.06,6.64],[10.5,7.06],[10.12,7.04],[9.52,6.45],[9.23,6.44],[8.76,5.48],[8.5,4.77],[7.46,4.41],[7.08,4.46],[6.7,4.24],[5.9,4.26],[5.36,4.89],[5.03,5.61],[4.33,6.27],[3.57,6.26],[2.69,6.26]]]}},
+    {"type":"Feature","id":"120","properties":{"name":"Cameroon"},"geometry":{"type":"Polygon","coordinates":[[[14.5,12.86],[14.9,12.22],[14.96,11.56],[14.92,10.89],[15.47,9.98],[14.91,9.99],[14.63,9.92],[14.17,10.02],[13.96,9.55],[14.55,8.97],[14.98,8.8],[15.12,8.38],[15.44,7.69],[15.28,7.42],[14.78,6.41],[14.54,6.23],[14.46,5.45],[14.56,5.03],[14.48,4.73],[14.95,4.21],[15.04,3.85],[15.41,3.33],[15.86,3.01],[15.91,2.56],[16.01,2.27],[15.94,1.73],[15.15,1.96],[14.34,2.23],[13.08,2.27],[12.95,2.32],[12.36,2.19],[11.75,2.33],[11.28,2.26],[9.65,2.28],[9.79,3.07],[9.41,3.73],[8.95,3.9],[8.75,4.35],[8.49,4.5],[8.5,4.77],[8.76,5.48],[9.23,6.44],[9.52,6.45],[10.12,7.04],[10.5,7.06],[11.06,6.64],[11.75,6.98],[11.84,7.4],[12.07,7.8],[12.22,8.31],[12.75,8.72],[12.95,9.42],[13.17,9.64],[13.31,10.16],[13.57,10.8],[14.42,11.57],[14.47,11.9],[14.58,12.09],[14.18,12.48],[14.21,12.8],[14.5,12.86]]]}},
+    {"type":"Feature","id":"768","properties":{"name":"Togo"},"geometry":{"type":"Polygon","coordinates":[[[0.9,11],[0.77,10.47],[1.08,10.18],[1.42,9.83],[1.46,9.34],[1.67,9.13],[1.62,6.83],[1.87,6.14],[1.06,5.93],[0.84,6.28],[0.57,6.91],[0.49,7.41],[0.71,8.31],[0.46,8.68],[0.37,9.47],[0.37,10.19],[-0.05,10.71],[0.02,11.02],[0.9,11]]]}},
+    {"type":"Feature","id":"288","properties":{"name":"Ghana"},"geometry":{"type":"Polygon","coordinates":[[[0.02,11.02],[-0.05,10.71],[0.37,10.19],[0.37,9.47],[0.46,8.68],[0.71,8.31],[0.49,7.41],[0.57,6.91],[0.84,6.28],[1.06,5.93],[-0.51,5.34],[-1.06,5],[-1.96,4.71],[-2.86,5],[-2.81,5.39],[-3.25,6.25],[-2.98,7.38],[-2.56,8.22],[-2.83,9.64],[-2.96,10.39],[-2.94,10.96],[-1.2,11.01],[-0.76,10.94],[-0.44,11.1],[0.02,11.02]]]}},
+    {"type":"Feature","id":"384","properties":{"name":"Côte d'Ivoire"},"geometry":{"type":"Polygon","coordinates":[[[-8.03,10.21],[-7.9,10.3],[-7.62,10.15],[-6.85,10.14],[-6.67,10.43],[-6.49,10.41],[-6.2,10.52],[-6.05,10.1],[-5.82,10.22],[-5.41,10.37],[-4.96,10.15],[-4.78,9.82],[-4.33,9.61],[-3.98,9.86],[-3.51,9.9],[-2.83,9.64],[-2.56,8.22],[-2.98,7.38],[-3.25,6.25],[-2.81,5.39],[-2.86,5],[-3.31,4.98],[-4.01,5.18],[-4.65,5.17],[-5.83,4.99],[-6.53,4.71],[-7.52,4.34],[-7.71,4.36],[-7.63,5.19],[-7.54,5.31],[-7.57,5.71],[-7.99,6.13],[-8.31,6.19],[-8.6,6.47],[-8.39,6.91],[-8.49,7.4],[-8.44,7.69],[-8.28,7.69],[-8.22,8.12],[-8.3,8.32],[-8.2,8.45],[-7.83,8.58],[-8.08,9.38],[-8.31,9.79],[-8.23,10.13],[-8.03,10.21]]]}},
+    {"type":"Feature","id":"324","properties":{"name":"Guinea"},"geometry":{"type":"Polygon","coordinates":[[[-13.7,12.59],[-13.22,12.58],[-12.5,12.33],[-12.28,12.35],[-12.2,12.47],[-11.66,12.39],[-11.51,12.44],[-11.46,12.08],[-11.3,12.08],[-11.04,12.21],[-10.87,12.18],[-10.59,11.92],[-10.16,11.84],[-9.89,12.06],[-9.57,12.19],[-9.33,12.33],[-9.13,12.31],[-8.9,12.09],[-8.79,11.81],[-8.38,11.39],[-8.58,11.14],[-8.62,10.81],[-8.41,10.91],[-8.28,10.79],[-8.34,10.49],[-8.03,10.21],[-8.23,10.13],[-8.31,9.79],[-8.08,9.38],[-7.83,8.58],[-8.2,8.45],[-8.3,8.32],[-8.22,8.12],[-8.28,7.69],[-8.44,7.69],[-8.72,7.71],[-8.93,7.31],[-9.21,7.31],[-9.41,7.53],[-9.34,7.93],[-9.75,8.54],[-10.02,8.43],[-10.23,8.41],[-10.51,8.35],[-10.5,8.72],[-10.65,8.98],[-10.62,9.27],[-10.84,9.69],[-11.12,10.05],[-11.92,10.05],[-12.15,9.86],[-12.43,9.84],[-12.6,9.62],[-12.71,9.34],[-13.25,8.9],[-13.69,9.49],[-14.07,9.89],[-14.33,10.02],[-14.58,10.22],[-14.69,10.66],[-14.84,10.88],[-15.13,11.04],[-14.69,11.53],[-14.38,11.51],[-14.12,11.68],[-13.9,11.68],[-13.74,11.81],[-13.83,12.14],[-13.72,12.25],[-13.7,12.59]]]}},
+    {"type":"Feature","id":"624","properties":{"name":"Guinea-Bissau"},"geometry":{"type":"Polygon","coordinates":[[[-16.68,12.39],[-16.15,12.55],[-15.82,12.52],[-15.55,12.63],[-13.7,12.59],[-13.72,12.25],[-13.83,12.14],[-13.74,11.81],[-13.9,11.68],[-14.12,11.68],[-14.38,11.51],[-14.69,11.53],[-15.13,11.04],[-15.67,11.46],[-16.09,11.53],[-16.31,11.81],[-16.31,11.96],[-16.61,12.17],[-16.68,12.39]]]}},
+    {"type":"Feature","id":"430","properties":{"name":"Liberia"},"geometry":{"type":"Polygon","coordinates":[[[-8.44,7.69],[-8.49,7.4],[-8.39,6.91],[-8.6,6.47],[-8.31,6.19],[-7.99,6.13],[-7.57,5.71],[-7.54,5.31],[-7.63,5.19],[-7.71,4.36],[-7.98,4.36],[-9.01,4.83],[-9.91,5.59],[-10.77,6.14],[-11.44,6.79],[-11.2,7.11],[-11.15,7.4],[-10.69,7.94],[-10.23,8.41],[-10.02,8.43],[-9.75,8.54],[-9.34,7.93],[-9.41,7.53],[-9.21,7.31],[-8.93,7.31],[-8.72,7.71],[-8.44,7.69]]]}},
+    {"type":"Feature","id":"694","properties":{"name":"Sierra Leone"},"geometry":{"type":"Polygon","coordinates":[[[-13.25,8.9],[-12.71,9.34],[-12.6,9.62],[-12.43,9.84],[-12.15,9.86],[-11.92,10.05],[-11.12,10.05],[-10.84,9.69],[-10.62,9.27],[-10.65,8.98],[-10.5,8.72],[-10.51,8.35],[-10.23,8.41],[-10.69,7.94],[-11.15,7.4],[-11.2,7.11],[-11.44,6.79],[-11.71,6.86],[-12.43,7.26],[-12.95,7.8],[-13.12,8.16],[-13.25,8.9]]]}},
+    {"type":"Feature","id":"854","properties":{"name":"Burkina Faso"},"geometry":{"type":"Polygon","coordinates":[[[-5.41,10.37],[-5.47,10.95],[-5.2,11.37],[-5.22,11.71],[-4.43,12.54],[-4.28,13.23],[-4.01,13.47],[-3.52,13.34],[-3.11,13.54],[-2.97,13.8],[-2.19,14.25],[-2,14.56],[-1.07,14.97],[-0.52,15.12],[-0.26,14.92],[0.38,14.93],[0.3,14.44],[0.43,13.99],[0.99,13.34],[1.02,12.85],[2.18,12.63],[2.15,11.94],[1.94,11.64],[1.45,11.55],[1.24,11.11],[0.9,11],[0.02,11.02],[-0.44,11.1],[-0.76,10.94],[-1.2,11.01],[-2.94,10.96],[-2.96,10.39],[-2.83,9.64],[-3.51,9.9],[-3.98,9.86],[-4.33,9.61],[-4.78,9.82],[-4.96,10.15],[-5.41,10.37]]]}},
+    {"type":"Feature","id":"140","properties":{"name":"Central African Rep."},"geometry":{"type":"Polygon","coordinates":[[[27.37,5.23],[27.05,5.13],[26.4,5.15],[25.65,5.26],[25.28,5.17],[25.13,4.93],[24.81,4.9],[24.41,5.11],[23.3,4.61],[22.84,4.71],[22.7,4.63],[22.4,4.03],[21.66,4.22],[20.93,4.32],[20.29,4.69],[19.47,5.03],[18.93,4.71],[18.54,4.2],[18.45,3.5],[17.81,3.56],[17.13,3.73],[16.54,3.2],[16.01,2.27],[15.91,2.56],[15.86,3.01],[15.41,3.33],[15.04,3.85],[14.95,4.21],[14.48,4.73],[14.56,5.03],[14.46,5.45],[14.54,6.23],[14.78,6.41],[15.28,7.42],[16.1,7.5],[16.29,7.75],[16.46,7.74],[16.71,7.51],[17.97,7.89],[18.39,8.28],[18.91,8.63],[18.81,8.98],[19.09,9.07],[20.06,9.01],[21,9.48],[21.72,10.57],[22.23,10.97],[22.87,11.14],[22.98,10.71],[23.55,10.09],[23.56,9.68],[23.39,9.27],[23.46,8.95],[23.81,8.67],[24.57,8.23],[25.12,7.83],[25.12,7.5],[25.8,6.98],[26.21,6.55],[26.47,5.95],[27.21,5.55],[27.37,5.23]]]}},
+    {"type":"Feature","id":"178","properties":{"name":"Congo"},"geometry":{"type":"Polygon","coordinates":[[[18.45,3.5],[18.39,2.9],[18.1,2.37],[17.9,1.74],[17.78,0.86],[17.83,0.29],[17.66,-0.06],[17.64,-0.42],[17.52,-0.74],[16.86,-1.23],[16.41,-1.74],[15.97,-2.71],[16.01,-3.54],[15.75,-3.86],[15.17,-4.34],[14.58,-4.97],[14.21,-4.79],[14.15,-4.51],[13.6,-4.5],[13.26,-4.88],[12.99,-4.78],[12.62,-4.44],[12.32,-4.61],[11.91,-5.04],[11.09,-3.98],[11.86,-3.43],[11.48,-2.77],[11.82,-2.51],[12.49,-2.39],[12.58,-1.95],[13.11,-2.43],[13.99,-2.47],[14.3,-2],[14.43,-1.33],[14.32,-0.55],[13.84,0.04],[14.28,1.2],[14.03,1.4],[13.28,1.31],[13,1.83],[13.08,2.27],[14.34,2.23],[15.15,1.96],[15.94,1.73],[16.01,2.27],[16.54,3.2],[17.13,3.73],[17.81,3.56],[18.45,3.5]]]}},
+    {"type":"Feature","id":"266","properties":{"name":"Gabon"},"geometry":{"type":"Polygon","coordinates":[[[11.28,2.26],[11.75,2.33],[12.36,2.19],[12.95,2.32],[13.08,2.27],[13,1.83],[13.28,1.31],[14.03,1.4],[14.28,1.2],[13.84,0.04],[14.32,-0.55],[14.43,-1.33],[14.3,-2],[13.99,-2.47],[13.11,-2.43],[12.58,-1.95],[12.49,-2.39],[11.82,-2.51],[11.48,-2.77],[11.86,-3.43],[11.09,-3.98],[10.07,-2.97],[9.41,-2.14],[8.8,-1.11],[8.83,-0.78],[9.05,-0.46],[9.29,0.27],[9.49,1.01],[9.83,1.07],[11.28,1.06],[11.28,2.26]]]}},
+    {"type":"Feature","id":"226","properties":{"name":"Eq. Guinea"},"geometry":{"type":"Polygon","coordinates":[[[9.65,2.28],[11.28,2.26],[11.28,1.06],[9.83,1.07],[9.49,1.01],[9.3,1.16],[9.65,2.28]]]}},
+    {"type":"Feature","id":"894","properties":{"name":"Zambia"},"geometry":{"type":"Polygon","coordinates":[[[30.74,-8.34],[31.16,-8.59],[31.56,-8.76],[32.19,-8.93],[32.76,-9.23],[33.23,-9.68],[33.49,-10.53],[33.32,-10.8],[33.11,-11.61],[33.31,-12.44],[32.99,-12.78],[32.69,-13.71],[33.22,-13.97],[30.18,-14.8],[30.27,-15.51],[29.52,-15.65],[28.95,-16.04],[28.83,-16.39],[28.47,-16.47],[27.6,-17.29],[27.05,-17.94],[26.71,-17.96],[26.38,-17.85],[25.26,-17.74],[25.08,-17.66],[25.08,-17.58],[24.68,-17.35],[24.04,-17.3],[23.21,-17.52],[22.56,-16.9],[21.89,-16.08],[21.93,-12.9],[24.02,-12.91],[23.93,-12.57],[24.08,-12.19],[23.9,-11.72],[24.02,-11.24],[23.91,-10.93],[24.26,-10.95],[24.31,-11.26],[24.78,-11.24],[25.42,-11.33],[25.75,-11.78],[26.55,-11.93],[27.16,-11.61],[27.39,-12.13],[28.15,-12.27],[28.52,-12.7],[28.94,-13.25],[29.7,-13.26],[29.62,-12.18],[29.34,-12.36],[28.64,-11.97],[28.37,-11.79],[28.5,-10.79],[28.67,-9.61],[28.45,-9.16],[28.73,-8.53],[29,-8.41],[30.35,-8.24],[30.74,-8.34]]]}},
+    {"type":"Feature","id":"454","properties":{"name":"Malawi"},"geometry":{"type":"Polygon","coordinates":[[[32.76,-9.23],[33.74,-9.42],[33.94,-9.69],[34.28,-10.16],[34.56,-11.52],[34.28,-12.28],[34.56,-13.58],[34.91,-13.57],[35.27,-13.89],[35.69,-14.61],[35.77,-15.9],[35.34,-16.11],[35.03,-16.8],[34.38,-16.18],[34.31,-15.48],[34.52,-15.01],[34.46,-14.61],[34.07,-14.36],[33.79,-14.45],[33.22,-13.97],[32.69,-13.71],[32.99,-12.78],[33.31,-12.44],[33.11,-11.61],[33.32,-10.8],[33.49,-10.53],[33.23,-9.68],[32.76,-9.23]]]}},
+    {"type":"Feature","id":"508","properties":{"name":"Mozambique"},"geometry":{"type":"Polygon","coordinates":[[[34.56,-11.52],[35.31,-11.44],[36.51,-11.72],[36.78,-11.6],[37.47,-11.57],[37.83,-11.27],[38.43,-11.29],[39.52,-10.9],[40.32,-10.32],[40.48,-10.77],[40.44,-11.76],[40.56,-12.64],[40.6,-14.2],[40.78,-14.69],[40.48,-15.41],[40.09,-16.1],[39.45,-16.72],[38.54,-17.1],[37.41,-17.59],[36.28,-18.66],[35.9,-18.84],[35.2,-19.55],[34.79,-19.78],[34.7,-20.5],[35.18,-21.25],[35.37,-21.84],[35.39,-22.14],[35.56,-22.09],[35.53,-23.07],[35.37,-23.54],[35.61,-23.71],[35.46,-24.12],[35.04,-24.48],[34.22,-24.82],[33.01,-25.36],[32.57,-25.73],[32.66,-26.15],[32.92,-26.22],[32.83,-26.74],[32.07,-26.73],[31.98,-26.29],[31.84,-25.84],[31.75,-25.48],[31.93,-24.37],[31.67,-23.66],[31.19,-22.25],[32.24,-21.12],[32.51,-20.39],[32.66,-20.31],[32.77,-19.72],[32.61,-19.42],[32.65,-18.67],[32.85,-17.98],[32.85,-16.71],[32.33,-16.39],[31.85,-16.32],[31.64,-16.07],[31.17,-15.86],[30.34,-15.88],[30.27,-15.51],[30.18,-14.8],[33.22,-13.97],[33.79,-14.45],[34.07,-14.36],[34.46,-14.61],[34.52,-15.01],[34.31,-15.48],[34.38,-16.18],[35.03,-16.8],[35.34,-16.11],[35.77,-15.9],[35.69,-14.61],[35.27,-13.89],[34.91,-13.57],[34.56,-13.58],[34.28,-12.28],[34.56,-11.52]]]}},
+    {"type":"Feature","id":"748","properties":{"name":"eSwatini"},"geometry":{"type":"Polygon","coordinates":[[[32.07,-26.73],[31.87,-27.18],[31.28,-27.29],[30.68,-26.74],[30.68,-26.4],[30.95,-26.02],[31.04,-25.73],[31.33,-25.66],[31.84,-25.84],[31.98,-26.29],[32.07,-26.73]]]}},
+    {"type":"Feature","id":"024","properties":{"name":"Angola"},"geometry":{"type":"MultiPolygon","coordinates":[[[[12.99,-4.78],[12.63,-4.99],[12.47,-5.25],[12.44,-5.68],[12.18,-5.79],[11.91,-5.04],[12.32,-4.61],[12.62,-4.44],[12.99,-4.78]]],[[[12.32,-6.1],[12.74,-5.97],[13.02,-5.98],[13.38,-5.86],[16.33,-5.88],[16.57,-6.62],[16.86,-7.22],[17.09,-7.54],[17.47,-8.07],[18.14,-7.99],[18.46,-7.85],[19.02,-7.99],[19.17,-7.74],[19.42,-7.16],[20.04,-7.12],[20.09,-6.94],[20.6,-6.94],[20.51,-7.3],[21.73,-7.29],[21.75,-7.92],[21.95,-8.31],[21.8,-8.91],[21.88,-9.52],[22.21,-9.89],[22.16,-11.08],[22.4,-10.99],[22.84,-11.02],[23.46,-10.87],[23.91,-10.93],[24.02,-11.24],[23.9,-11.72],[24.08,-12.19],[23.93,-12.57],[24.02,-12.91],[21.93,-12.9],[21.89,-16.08],[22.56,-16.9],[23.21,-17.52],[21.38,-17.93],[18.96,-17.79],[18.26,-17.31],[14.21,-17.35],[14.06,-17.42],[13.46,-16.97],[12.81,-16.94],[12.22,-17.11],[11.73,-17.3],[11.64,-16.67],[11.78,-15.79],[12.12,-14.88],[12.18,-14.45],[12.5,-13.55],[12.74,-13.14],[13.31,-12.48],[13.64,-12.04],[13.74,-11.3],[13.69,-10.73],[13.39,-10.37],[13.12,-9.77],[12.88,-9.17],[12.93,-8.96],[13.24,-8.56],[12.93,-7.6],[12.73,-6.93],[12.23,-6.29],[12.32,-6.1]]]]}},
+    {"type":"Feature","id":"108","properties":{"name":"Burundi"},"geometry":{"type":"Polygon","coordinates":[[[30.47,-2.41],[30.53,-2.81],[30.74,-3.03],[30.75,-3.36],[30.5,-3.57],[30.12,-4.09],[29.75,-4.45],[29.34,-4.5],[29.28,-3.29],[29.03,-2.84],[29.63,-2.92],[29.94,-2.35],[30.47,-2.41]]]}},
+    {"type":"Feature","id":"376","properties":{"name":"Israel"},"geometry":{"type":"Polygon","coordinates":[[[35.72,32.71],[35.54,32.39],[35.18,32.53],[34.98,31.87],[35.22,31.75],[34.97,31.62],[34.93,31.35],[35.4,31.49],[35.42,31.1],[34.92,29.5],[34.82,29.76],[34.27,31.22],[34.55,31.55],[34.49,31.61],[34.75,32.07],[34.95,32.83],[35.1,33.08],[35.13,33.09],[35.46,33.09],[35.55,33.26],[35.82,33.28],[35.84,32.87],[35.7,32.72],[35.72,32.71]]]}},
+    {"type":"Feature","id":"422","properties":{"name":"Lebanon"},"geometry":{"type":"Polygon","coordinates":[[[35.82,33.28],[35.55,33.26],[35.46,33.09],[35.13,33.09],[35.48,33.91],[35.98,34.61],[36,34.65],[36.45,34.59],[36.61,34.2],[36.07,33.82],[35.82,33.28]]]}},
+    {"type":"Feature","id":"450","properties":{"name":"Madagascar"},"geometry":{"type":"Polygon","coordinates":[[[49.54,-12.47],[49.81,-12.9],[50.06,-13.56],[50.22,-14.76],[50.48,-15.23],[50.38,-15.71],[50.2,-16],[49.86,-15.41],[49.67,-15.71],[49.86,-16.45],[49.78,-16.87],[49.5,-17.11],[49.43,-17.95],[49.04,-19.12],[48.55,-20.5],[47.93,-22.39],[47.55,-23.78],[47.1,-24.94],[46.28,-25.18],[45.41,-25.6],[44.83,-25.35],[44.04,-24.99],[43.76,-24.46],[43.7,-23.57],[43.35,-22.78],[43.25,-22.06],[43.43,-21.34],[43.89,-21.16],[43.9,-20.83],[44.38,-20.07],[44.47,-19.44],[44.23,-18.96],[44.04,-18.33],[43.96,-17.41],[44.31,-16.85],[44.45,-16.22],[44.94,-16.18],[45.5,-15.97],[45.87,-15.79],[46.31,-15.78],[46.88,-15.21],[47.71,-14.59],[48,-14.09],[47.87,-13.66],[48.29,-13.78],[48.84,-13.09],[48.87,-12.49],[49.2,-12.04],[49.54,-12.47]]]}},
+    {"type":"Feature","id":"275","properties":{"name":"Palestine"},"geometry":{"type":"Polygon","coordinates":[[[35.4,31.49],[34.93,31.35],[34.97,31.62],[35.22,31.75],[34.98,31.87],[35.18,32.53],[35.54,32.39],[35.54,31.78],[35.4,31.49]]]}},
+    {"type":"Feature","id":"270","properties":{"name":"Gambia"},"geometry":{"type":"Polygon","coordinates":[[[-16.71,13.6],[-15.63,13.62],[-15.4,13.86],[-15.08,13.88],[-14.69,13.63],[-14.38,13.63],[-14.05,13.79],[-13.84,13.51],[-14.28,13.28],[-14.71,13.3],[-15.14,13.51],[-15.51,13.28],[-15.69,13.27],[-15.93,13.13],[-16.84,13.15],[-16.71,13.6]]]}},
+    {"type":"Feature","id":"788","properties":{"name":"Tunisia"},"geometry":{"type":"Polygon","coordinates":[[[9.48,30.31],[9.06,32.1],[8.44,32.51],[8.43,32.75],[7.61,33.34],[7.53,34.1],[8.14,34.66],[8.38,35.48],[8.22,36.43],[8.42,36.95],[9.51,37.35],[10.21,37.23],[10.18,36.72],[11.03,37.09],[11.1,36.9],[10.6,36.41],[10.59,35.95],[10.94,35.7],[10.81,34.83],[10.15,34.33],[10.34,33.79],[10.86,33.77],[11.11,33.29],[11.49,33.14],[11.43,32.37],[10.95,32.08],[10.64,31.76],[9.95,31.38],[10.06,30.96],[9.97,30.54],[9.48,30.31]]]}},
+    {"type":"Feature","id":"012","properties":{"name":"Algeria"},"geometry":{"type":"Polygon","coordinates":[[[-8.69,27.4],[-8.66,27.59],[-8.67,27.66],[-8.67,28.84],[-7.06,29.58],[-6.06,29.73],[-5.24,30],[-4.86,30.5],[-3.69,30.9],[-3.65,31.64],[-3.07,31.72],[-2.62,32.09],[-1.31,32.26],[-1.13,32.65],[-1.39,32.86],[-1.73,33.92],[-1.79,34.53],[-2.17,35.17],[-1.21,35.72],[-0.13,35.89],[0.5,36.3],[1.47,36.61],[3.16,36.78],[4.82,36.86],[5.32,36.72],[6.26,37.11],[7.33,37.12],[7.74,36.89],[8.42,36.95],[8.22,36.43],[8.38,35.48],[8.14,34.66],[7.53,34.1],[7.61,33.34],[8.43,32.75],[8.44,32.51],[9.06,32.1],[9.48,30.31],[9.8,29.42],[9.86,28.96],[9.68,28.14],[9.76,27.69],[9.63,27.14],[9.71,26.51],[9.32,26.09],[9.91,25.37],[9.95,24.94],[10.31,24.38],[10.77,24.56],[11.56,24.1],[12,23.47],[8.57,21.57],[5.68,19.6],[4.27,19.16],[3.16,19.06],[3.15,19.69],[2.68,19.86],[2.06,20.14],[1.82,20.61],[-1.55,22.79],[-4.92,24.97],[-8.69,27.4]]]}},
+    {"type":"Feature","id":"400","properties":{"name":"Jordan"},"geometry":{"type":"Polygon","coordinates":[[[35.54,32.39],[35.72,32.71],[36.83,32.31],[38.79,33.38],[39.2,32.16],[39,32.01],[37,31.51],[38,30.51],[37.67,30.34],[37.5,30],[36.74,29.87],[36.5,29.51],[36.07,29.2],[34.95,29.36],[34.92,29.5],[35.42,31.1],[35.4,31.49],[35.54,31.78],[35.54,32.39]]]}},
+    {"type":"Feature","id":"784","properties":{"name":"United Arab Emirates"},"geometry":{"type":"Polygon","coordinates":[[[51.58,24.24],[51.76,24.29],[51.8,24.02],[52.58,24.18],[53.4,24.15],[54.01,24.12],[54.69,24.8],[55.44,25.44],[56.07,26.06],[56.26,25.71],[56.4,24.93],[55.89,24.92],[55.8,24.27],[55.98,24.13],[55.53,23.93],[55.53,23.53],[55.23,23.11],[55.21,22.71],[55.01,22.5],[52,23],[51.62,24.01],[51.58,24.24]]]}},
+    {"type":"Feature","id":"634","properties":{"name":"Qatar"},"geometry":{"type":"Polygon","coordinates":[[[50.81,24.75],[50.74,25.48],[51.01,26.01],[51.29,26.12],[51.59,25.8],[51.61,25.22],[51.39,24.63],[51.11,24.56],[50.81,24.75]]]}},
+    {"type":"Feature","id":"414","properties":{"name":"Kuwait"},"geometry":{"type":"Polygon","coordinates":[[[47.98,29.98],[48.18,29.53],[48.09,29.31],[48.42,28.55],[47.71,28.53],[47.46,29],[46.57,29.1],[47.3,30.06],[47.98,29.98]]]}},
+    {"type":"Feature","id":"368","properties":{"name":"Iraq"},"geometry":{"type":"Polygon","coordinates":[[[39.2,32.16],[38.79,33.38],[41.01,34.42],[41.38,35.63],[41.29,36.36],[41.84,36.61],[42.35,37.23],[42.78,37.39],[43.94,37.26],[44.29,37],[44.77,37.17],[45.42,35.98],[46.08,35.68],[46.15,35.09],[45.65,34.75],[45.42,33.97],[46.11,33.02],[47.34,32.47],[47.85,31.71],[47.68,30.98],[48,30.98],[48.02,30.45],[48.57,29.93],[47.98,29.98],[47.3,30.06],[46.57,29.1],[44.71,29.18],[41.89,31.19],[40.4,31.89],[39.2,32.16]]]}},
+    {"type":"Feature","id":"512","properties":{"name":"Oman"},"geometry":{"type":"MultiPolygon","coordinates":[[[[55.21,22.71],[55.23,23.11],[55.53,23.53],[55.53,23.93],[55.98,24.13],[55.8,24.27],[55.89,24.92],[56.4,24.93],[56.85,24.24],[57.4,23.88],[58.14,23.75],[58.73,23.57],[59.18,22.99],[59.45,22.66],[59.81,22.53],[59.81,22.31],[59.44,21.71],[59.28,21.43],[58.86,21.11],[58.49,20.43],[58.03,20.48],[57.83,20.24],[57.67,19.74],[57.79,19.07],[57.7,18.95],[57.24,18.95],[56.61,18.57],[56.51,18.09],[56.28,17.88],[55.66,17.88],[55.27,17.63],[55.27,17.23],[54.79,16.95],[54.24,17.04],[53.57,16.71],[53.11,16.65],[52.78,17.35],[52,19],[55,20],[55.67,22],[55.21,22.71]]],[[[56.26,25.71],[56.07,26.06],[56.36,26.4],[56.49,26.31],[56.39,25.9],[56.26,25.71]]]]}},
+    {"type":"Feature","id":"548","properties":{"name":"Vanuatu"},"geometry":{"type":"MultiPolygon","coordinates":[[[[167.22,-15.89],[167.85,-16.47],[167.52,-16.6],[167.18,-16.16],[167.22,-15.89]]],[[[166.79,-15.67],[166.65,-15.39],[166.63,-14.63],[167.11,-14.93],[167.27,-15.74],[167,-15.61],[166.79,-15.67]]]]}},
+    {"type":"Feature","id":"116","properties":{"name":"Cambodia"},"geometry":{"type":"Polygon","coordinates":[[[102.58,12.19],[102.35,13.39],[102.99,14.23],[104.28,14.42],[105.22,14.27],[106.04,13.88],[106.5,14.57],[107.38,14.2],[107.61,13.54],[107.49,12.34],[105.81,11.57],[106.25,10.96],[105.2,10.89],[104.33,10.49],[103.5,10.63],[103.09,11.15],[102.58,12.19]]]}},
+    {"type":"Feature","id":"764","properties":{"name":"Thailand"},"geometry":{"type":"Polygon","coordinates":[[[105.22,14.27],[104.28,14.42],[102.99,14.23],[102.35,13.39],[102.58,12.19],[101.69,12.65],[100.83,12.63],[100.98,13.41],[100.1,13.41],[100.02,12.31],[99.48,10.85],[99.15,9.96],[99.22,9.24],[99.87,9.21],[100.28,8.3],[100.46,7.43],[101.02,6.86],[101.62,6.74],[102.14,6.22],[101.81,5.81],[101.16,5.69],[101.08,6.21],[100.26,6.64],[100.09,6.46],[99.69,6.85],[99.52,7.34],[98.99,7.91],[98.5,8.38],[98.34,7.79],[98.15,8.35],[98.26,8.97],[98.55,9.93],[99.04,10.96],[99.59,11.89],[99.2,12.8],[99.21,13.27],[99.1,13.83],[98.43,14.62],[98.19,15.12],[98.54,15.31],[98.9,16.18],[98.5,16.84],[97.86,17.57],[97.38,18.45],[97.8,18.63],[98.25,19.71],[98.96,19.75],[99.54,20.19],[100.12,20.42],[100.55,20.11],[100.6,19.51],[101.28,19.46],[101.04,18.41],[101.06,17.51],[102.11,18.11],[102.41,17.93],[103,17.96],[103.2,18.31],[103.96,18.24],[104.72,17.43],[104.78,16.44],[105.59,15.57],[105.54,14.72],[105.22,14.27]]]}},
+    {"type":"Feature","id":"418","properties":{"name":"Laos"},"geometry":{"type":"Polygon","coordinates":[[[107.38,14.2],[106.5,14.57],[106.04,13.88],[105.22,14.27],[105.54,14.72],[105.59,15.57],[104.78,16.44],[104.72,17.43],[103.96,18.24],[103.2,18.31],[103,17.96],[102.41,17.93],[102.11,18.11],[101.06,17.51],[101.04,18.41],[101.28,19.46],[100.6,19.51],[100.55,20.11],[100.12,20.42],[100.33,20.79],[101.18,21.44],[101.27,21.2],[101.8,21.17],[101.65,22.32],[102.17,22.46],[102.75,21.68],[103.2,20.77],[104.44,20.76],[104.82,19.89],[104.18,19.62],[103.9,19.27],[105.09,18.67],[105.93,17.48],[106.56,16.6],[107.31,15.91],[107.56,15.2],[107.38,14.2]]]}},
+    {"type":"Feature","id":"104","properties":{"name":"Myanmar"},"geometry":{"type":"Polygon","coordinates":[[[100.12,20.42],[99.54,20.19],[98.96,19.75],[98.25,19.71],[97.8,18.63],[97.38,18.45],[97.86,17.57],[98.5,16.84],[98.9,16.18],[98.54,15.31],[98.19,15.12],[98.43,14.62],[99.1,13.83],[99.21,13.27],[99.2,12.8],[99.59,11.89],[99.04,10.96],[98.55,9.93],[98.46,10.68],[98.77,11.44],[98.43,12.03],[98.51,13.12],[98.1,13.64],[97.78,14.84],[97.6,16.1],[97.16,16.93],[96.5,16.43],[95.37,15.71],[94.81,15.8],[94.19,16.04],[94.54,17.28],[94.33,18.21],[93.54,19.37],[93.66,19.73],[93.08,19.86],[92.37,20.67],[92.3,21.48],[92.65,21.32],[92.67,22.04],[93.17,22.28],[93.06,22.7],[93.29,23.04],[93.33,24.08],[94.11,23.85],[94.55,24.67],[94.6,25.16],[95.15,26],[95.13,26.57],[96.42,27.26],[97.13,27.08],[97.05,27.7],[97.4,27.88],[97.33,28.26],[97.91,28.34],[98.25,27.75],[98.68,27.51],[98.71,26.74],[98.67,25.92],[97.72,25.08],[97.61,23.9],[98.66,24.06],[98.9,23.14],[99.53,22.95],[99.24,22.12],[99.98,21.74],[100.42,21.56],[101.15,21.85],[101.18,21.44],[100.33,20.79],[100.12,20.42]]]}},
+    {"type":"Feature","id":"704","properties":{"name":"Vietnam"},"geometry":{"type":"Polygon","coordinates":[[[104.33,10.49],[105.2,10.89],[106.25,10.96],[105.81,11.57],[107.49,12.34],[107.61,13.54],[107.38,14.2],[107.56,15.2],[107.31,15.91],[106.56,16.6],[105.93,17.48],[105.09,18.67],[103.9,19.27],[104.18,19.62],[104.82,19.89],[104.44,20.76],[103.2,20.77],[102.75,21.68],[102.17,22.46],[102.71,22.71],[103.5,22.7],[104.48,22.82],[105.33,23.35],[105.81,22.98],[106.72,22.79],[106.57,22.22],[107.04,21.81],[108.05,21.55],[106.71,20.7],[105.88,19.75],[105.66,19.06],[106.43,18],[107.36,16.7],[108.27,16.08],[108.88,15.28],[109.33,13.43],[109.2,11.67],[108.37,11.01],[107.22,10.36],[106.4,9.53],[105.16,8.6],[104.8,9.24],[105.08,9.92],[104.33,10.49]]]}},
+    {"type":"Feature","id":"408","properties":{"name":"North Korea"},"geometry":{"type":"MultiPolygon","coordinates":[[[[130.78,42.22],[130.78,42.22],[130.78,42.22],[130.78,42.22]]],[[[130.64,42.4],[130.78,42.22],[130.4,42.28],[129.97,41.94],[129.67,41.6],[129.7,40.88],[129.19,40.66],[129.01,40.48],[128.63,40.19],[127.97,40.03],[127.53,39.76],[127.5,39.32],[127.39,39.21],[127.79,39.05],[128.35,38.61],[128.21,38.37],[127.78,38.3],[127.07,38.26],[126.68,37.81],[126.24,37.84],[126.18,37.75],[125.69,37.94],[125.57,37.75],[125.28,37.67],[125.24,37.86],[124.98,37.95],[124.71,38.11],[124.98,38.55],[125.22,38.67],[125.13,38.85],[125.39,39.39],[125.32,39.55],[124.74,39.66],[124.26,39.93],[125.08,40.57],[126.18,41.11],[126.87,41.82],[127.34,41.5],[128.21,41.47],[128.05,41.99],[129.6,42.42],[130,42.98],[130.64,42.4]]]]}},
+    {"type":"Feature","id":"410","properties":{"name":"South Korea"},"geometry":{"type":"Polygon","coordinates":[[[126.18,37.75],[126.24,37.84],[126.68,37.81],[127.07,38.26],[127.78,38.3],[128.21,38.37],[128.35,38.61],[129.21,37.43],[129.46,36.78],[129.47,35.63],[129.09,35.08],[128.18,34.89],[127.39,34.48],[126.49,34.39],[126.37,34.93],[126.56,35.68],[126.12,36.73],[126.86,36.89],[126.18,37.75]]]}},
+    {"type":"Feature","id":"496","properties":{"name":"Mongolia"},"geometry":{"type":"Polygon","coordinates":[[[87.75,49.3],[88.8,49.47],[90.71,50.33],[92.23,50.8],[93.11,50.49],[94.15,50.48],[94.82,50.01],[95.81,49.98],[97.26,49.73],[98.23,50.42],[97.83,51.01],[98.86,52.05],[99.98,51.63],[100.89,51.52],[102.07,51.26],[102.26,50.51],[103.68,50.09],[104.62,50.27],[105.89,50.41],[106.89,50.27],[107.87,49.79],[108.47,49.28],[109.4,49.29],[110.66,49.13],[111.58,49.38],[112.9,49.54],[114.36,50.25],[114.96,50.14],[115.49,49.81],[116.68,49.89],[116.19,49.13],[115.48,48.14],[115.74,47.73],[116.31,47.85],[117.29,47.7],[118.06,48.07],[118.87,47.75],[119.77,47.05],[119.66,46.69],[118.87,46.8],[117.42,46.67],[116.72,46.39],[115.98,45.73],[114.46,45.34],[113.46,44.81],[112.43,45.01],[111.87,45.1],[111.35,44.46],[111.67,44.07],[111.83,43.74],[111.13,43.41],[110.41,42.87],[109.24,42.52],[107.74,42.48],[106.13,42.14],[104.96,41.6],[104.52,41.91],[103.31,41.91],[101.83,42.51],[100.85,42.66],[99.52,42.52],[97.45,42.75],[96.35,42.73],[95.76,43.32],[95.31,44.24],[94.69,44.35],[93.48,44.98],[92.13,45.12],[90.95,45.29],[90.59,45.72],[90.97,46.89],[90.28,47.69],[88.85,48.07],[88.02,48.6],[87.75,49.3]]]}},
+    {"type":"Feature","id":"356","properties":{"name":"India"},"geometry":{"type":"Polygon","coordinates":[[[97.33,28.26],[97.4,27.88],[97.05,27.7],[97.13,27.08],[96.42,27.26],[95.13,26.57],[95.15,26],[94.6,25.16],[94.55,24.67],[94.11,23.85],[93.33,24.08],[93.29,23.04],[93.06,22.7],[93.17,22.28],[92.67,22.04],[92.14,23.63],[91.87,23.62],[91.71,22.99],[91.16,23.5],[91.47,24.07],[91.91,24.13],[92.38,24.98],[91.8,25.15],[90.87,25.13],[89.92,25.27],[89.83,25.96],[89.35,26.02],[88.56,26.45],[88.21,25.77],[88.93,25.24],[88.31,24.87],[88.08,24.5],[88.7,24.23],[88.53,23.63],[88.88,22.88],[89.03,22.06],[88.89,21.69],[88.21,21.7],[86.98,21.5],[87.03,20.74],[86.5,20.15],[85.06,19.48],[83.94,18.3],[83.19,17.67],[82.19,17.02],[82.19,16.56],[81.69,16.31],[80.79,15.95],[80.33,15.9],[80.02,15.14],[80.23,13.84],[80.29,13.01],[79.86,12.06],[79.86,10.36],[79.34,10.31],[78.89,9.55],[79.19,9.22],[78.28,8.93],[77.94,8.25],[77.54,7.97],[76.59,8.9],[76.13,10.3],[75.75,11.31],[75.4,11.78],[74.86,12.74],[74.62,13.99],[74.44,14.62],[73.53,15.99],[73.12,17.93],[72.82,19.21],[72.82,20.42],[72.63,21.36],[71.17,20.76],[70.47,20.88],[69.17,22.09],[69.64,22.45],[69.35,22.84],[68.18,23.69],[68.84,24.36],[71.04,24.36],[70.84,25.21],[70.28,25.72],[70.17,26.49],[69.51,26.94],[70.62,27.99],[71.78,27.91],[72.82,28.96],[73.45,29.98],[74.42,30.98],[74.41,31.69],[75.26,32.27],[74.45,32.77],[74.1,33.44],[73.75,34.32],[74.24,34.75],[75.76,34.51],[76.87,34.65],[77.84,35.49],[78.91,34.32],[78.81,33.51],[79.21,32.99],[79.18,32.48],[78.46,32.62],[78.74,31.52],[79.72,30.88],[81.11,30.18],[80.48,29.73],[80.09,28.79],[81.06,28.42],[82,27.93],[83.3,27.36],[84.67,27.24],[85.25,26.73],[86.02,26.63],[87.23,26.4],[88.06,26.41],[88.17,26.81],[88.04,27.45],[88.12,27.88],[88.73,28.09],[88.81,27.3],[88.84,27.1],[89.74,26.72],[90.37,26.88],[91.22,26.81],[92.03,26.84],[92.11,27.45],[91.7,27.77],[92.5,27.9],[93.41,28.64],[94.57,29.28],[95.41,29.03],[96.12,29.45],[96.59,28.83],[96.25,28.41],[97.33,28.26]]]}},
+    {"type":"Feature","id":"050","properties":{"name":"Bangladesh"},"geometry":{"type":"Polygon","coordinates":[[[92.67,22.04],[92.65,21.32],[92.3,21.48],[92.37,20.67],[92.08,21.19],[92.03,21.7],[91.84,22.18],[91.42,22.77],[90.5,22.8],[90.59,22.39],[90.27,21.84],[89.85,22.04],[89.7,21.86],[89.42,21.97],[89.03,22.06],[88.88,22.88],[88.53,23.63],[88.7,24.23],[88.08,24.5],[88.31,24.87],[88.93,25.24],[88.21,25.77],[88.56,26.45],[89.35,26.02],[89.83,25.96],[89.92,25.27],[90.87,25.13],[91.8,25.15],[92.38,24.98],[91.91,24.13],[91.47,24.07],[91.16,23.5],[91.71,22.99],[91.87,23.62],[92.14,23.63],[92.67,22.04]]]}},
+    {"type":"Feature","id":"064","properties":{"name":"Bhutan"},"geometry":{"type":"Polygon","coordinates":[[[91.7,27.77],[92.11,27.45],[92.03,26.84],[91.22,26.81],[90.37,26.88],[89.74,26.72],[88.84,27.1],[88.81,27.3],[89.48,28.04],[90.02,28.3],[90.73,28.06],[91.26,28.04],[91.7,27.77]]]}},
+    {"type":"Feature","id":"524","properties":{"name":"Nepal"},"geometry":{"type":"Polygon","coordinates":[[[88.12,27.88],[88.04,27.45],[88.17,26.81],[88.06,26.41],[87.23,26.4],[86.02,26.63],[85.25,26.73],[84.67,27.24],[83.3,27.36],[82,27.93],[81.06,28.42],[80.09,28.79],[80.48,29.73],[81.11,30.18],[81.52,30.42],[82.33,30.11],[83.34,29.46],[83.9,29.32],[84.24,28.84],[85.01,28.64],[85.82,28.2],[86.95,27.97],[88.12,27.88]]]}},
+    {"type":"Feature","id":"586","properties":{"name":"Pakistan"},"geometry":{"type":"Polygon","coordinates":[[[77.84,35.49],[76.87,34.65],[75.76,34.51],[74.24,34.75],[73.75,34.32],[74.1,33.44],[74.45,32.77],[75.26,32.27],[74.41,31.69],[74.42,30.98],[73.45,29.98],[72.82,28.96],[71.78,27.91],[70.62,27.99],[69.51,26.94],[70.17,26.49],[70.28,25.72],[70.84,25.21],[71.04,24.36],[68.84,24.36],[68.18,23.69],[67.44,23.95],[67.15,24.66],[66.37,25.42],[64.53,25.24],[62.91,25.22],[61.5,25.08],[61.88,26.24],[63.32,26.76],[63.23,27.22],[62.75,27.38],[62.73,28.26],[61.77,28.7],[61.37,29.3],[60.87,29.83],[62.55,29.32],[63.55,29.47],[64.15,29.34],[64.35,29.56],[65.05,29.47],[66.35,29.89],[66.38,30.74],[66.94,31.3],[67.68,31.3],[67.79,31.58],[68.56,31.71],[68.93,31.62],[69.32,31.9],[69.26,32.5],[69.69,33.11],[70.32,33.36],[69.93,34.02],[70.88,33.99],[71.16,34.35],[71.11,34.73],[71.61,35.15],[71.5,35.65],[71.26,36.07],[71.85,36.51],[72.92,36.72],[74.07,36.84],[74.58,37.02],[75.16,37.13],[75.9,36.67],[76.19,35.9],[77.84,35.49]]]}},
+    {"type":"Feature","id":"004","properties":{"name":"Afghanistan"},"geometry":{"type":"Polygon","coordinates":[[[66.52,37.36],[67.07,37.36],[67.83,37.15],[68.14,37.02],[68.86,37.34],[69.19,37.15],[69.52,37.61],[70.12,37.59],[70.27,37.73],[70.38,38.14],[70.81,38.49],[71.35,38.26],[71.24,37.95],[71.54,37.91],[71.45,37.07],[71.84,36.74],[72.19,36.95],[72.64,37.05],[73.26,37.5],[73.95,37.42],[74.98,37.42],[75.16,37.13],[74.58,37.02],[74.07,36.84],[72.92,36.72],[71.85,36.51],[71.26,36.07],[71.5,35.65],[71.61,35.15],[71.11,34.73],[71.16,34.35],[70.88,33.99],[69.93,34.02],[70.32,33.36],[69.69,33.11],[69.26,32.5],[69.32,31.9],[68.93,31.62],[68.56,31.71],[67.79,31.58],[67.68,31.3],[66.94,31.3],[66.38,30.74],[66.35,29.89],[65.05,29.47],[64.35,29.56],[64.15,29.34],[63.55,29.47],[62.55,29.32],[60.87,29.83],[61.78,30.74],[61.7,31.38],[60.94,31.55],[60.86,32.18],[60.54,32.98],[60.96,33.53],[60.53,33.68],[60.8,34.4],[61.21,35.65],[62.23,35.27],[62.98,35.4],[63.19,35.86],[63.98,36.01],[64.55,36.31],[64.74,37.11],[65.59,37.3],[65.75,37.66],[66.22,37.39],[66.52,37.36]]]}},
+    {"type":"Feature","id":"762","properties":{"name":"Tajikistan"},"geometry":{"type":"Polygon","coordinates":[[[67.83,37.15],[68.39,38.16],[68.18,38.9],[67.44,39.14],[67.7,39.58],[68.54,39.53],[69.01,40.09],[69.33,40.73],[70.67,40.96],[70.46,40.5],[70.6,40.22],[71.01,40.24],[70.65,39.94],[69.56,40.1],[69.46,39.53],[70.55,39.6],[71.78,39.28],[73.68,39.43],[73.93,38.51],[74.26,38.61],[74.86,38.38],[74.83,37.99],[74.98,37.42],[73.95,37.42],[73.26,37.5],[72.64,37.05],[72.19,36.95],[71.84,36.74],[71.45,37.07],[71.54,37.91],[71.24,37.95],[71.35,38.26],[70.81,38.49],[70.38,38.14],[70.27,37.73],[70.12,37.59],[69.52,37.61],[69.19,37.15],[68.86,37.34],[68.14,37.02],[67.83,37.15]]]}},
+    {"type":"Feature","id":"417","properties":{"name":"Kyrgyzstan"},"geometry":{"type":"Polygon","coordinates":[[[70.96,42.27],[71.19,42.7],[71.84,42.85],[73.49,42.5],[73.64,43.09],[74.21,43.3],[75.64,42.88],[76,42.99],[77.66,42.96],[79.14,42.86],[79.65,42.5],[80.26,42.35],[80.12,42.12],[78.54,41.58],[78.19,41.19],[76.91,41.07],[76.53,40.43],[75.47,40.56],[74.78,40.37],[73.82,39.89],[73.96,39.66],[73.68,39.43],[71.78,39.28],[70.55,39.6],[69.46,39.53],[69.56,40.1],[70.65,39.94],[71.01,40.24],[71.78,40.15],[73.05,40.87],[71.87,41.39],[71.16,41.14],[70.42,41.52],[71.26,42.17],[70.96,42.27]]]}},
+    {"type":"Feature","id":"795","properties":{"name":"Turkmenistan"},"geometry":{"type":"Polygon","coordinates":[[[52.5,41.78],[52.94,42.12],[54.08,42.32],[54.75,42.04],[55.46,41.26],[55.97,41.31],[57.09,41.32],[56.93,41.83],[57.79,42.17],[58.63,42.75],[59.97,42.22],[60.08,41.43],[60.46,41.22],[61.55,41.27],[61.88,41.08],[62.38,40.05],[63.52,39.36],[64.17,38.89],[65.22,38.4],[66.54,37.97],[66.52,37.36],[66.22,37.39],[65.75,37.66],[65.59,37.3],[64.74,37.11],[64.55,36.31],[63.98,36.01],[63.19,35.86],[62.98,35.4],[62.23,35.27],[61.21,35.65],[61.12,36.49],[60.38,36.53],[59.23,37.41],[58.44,37.52],[57.33,38.03],[56.62,38.12],[56.18,37.94],[55.51,37.96],[54.8,37.39],[53.92,37.2],[53.74,37.91],[53.88,38.95],[53.1,39.29],[53.36,39.98],[52.7,40.03],[52.92,40.88],[53.86,40.63],[54.74,40.95],[54.01,41.55],[53.72,42.12],[52.92,41.87],[52.81,41.13],[52.5,41.78]]]}},
+    {"type":"Feature","id":"364","properties":{"name":"Iran"},"geometry":{"type":"Polygon","coordinates":[[[48.57,29.93],[48.02,30.45],[48,30.98],[47.68,30.98],[47.85,31.71],[47.34,32.47],[46.11,33.02],[45.42,33.97],[45.65,34.75],[46.15,35.09],[46.08,35.68],[45.42,35.98],[44.77,37.17],[44.22,37.97],[44.42,38.28],[44.11,39.43],[44.79,39.71],[44.95,39.34],[45.46,38.87],[46.14,38.74],[46.51,38.77],[47.68,39.51],[48.06,39.58],[48.35,39.29],[48.01,38.79],[48.63,38.27],[48.88,38.32],[49.2,37.58],[50.15,37.37],[50.84,36.87],[52.26,36.7],[53.83,36.96],[53.92,37.2],[54.8,37.39],[55.51,37.96],[56.18,37.94],[56.62,38.12],[57.33,38.03],[58.44,37.52],[59.23,37.41],[60.38,36.53],[61.12,36.49],[61.21,35.65],[60.8,34.4],[60.53,33.68],[60.96,33.53],[60.54,32.98],[60.86,32.18],[60.94,31.55],[61.7,31.38],[61.78,30.74],[60.87,29.83],[61.37,29.3],[61.77,28.7],[62.73,28.26],[62.75,27.38],[63.23,27.22],[63.32,26.76],[61.88,26.24],[61.5,25.08],[59.61,25.38],[58.52,25.61],[57.4,25.74],[56.97,26.97],[56.49,27.14],[55.72,26.96],[54.72,26.48],[53.49,26.81],[52.48,27.58],[51.52,27.87],[50.85,28.81],[50.11,30.15],[49.58,29.99],[48.94,30.32],[48.57,29.93]]]}},
+    {"type":"Feature","id":"760","properties":{"name":"Syria"},"geometry":{"type":"Polygon","coordinates":[[[35.72,32.71],[35.7,32.72],[35.84,32.87],[35.82,33.28],[36.07,33.82],[36.61,34.2],[36.45,34.59],[36,34.65],[35.9,35.41],[36.15,35.82],[36.42,36.04],[36.69,36.26],[36.74,36.82],[37.07,36.62],[38.17,36.9],[38.7,36.71],[39.52,36.72],[40.68,37.09],[41.21,37.07],[42.35,37.23],[41.84,36.61],[41.29,36.36],[41.38,35.63],[41.01,34.42],[38.79,33.38],[36.83,32.31],[35.72,32.71]]]}},
+    {"type":"Feature","id":"051","properties":{"name":"Armenia"},"geometry":{"type":"Polygon","coordinates":[[[46.51,38.77],[46.14,38.74],[45.74,39.32],[45.74,39.47],[45.3,39.47],[45,39.74],[44.79,39.71],[44.4,40],[43.66,40.25],[43.75,40.74],[43.58,41.09],[44.97,41.25],[45.18,40.99],[45.56,40.81],[45.36,40.56],[45.89,40.22],[45.61,39.9],[46.04,39.63],[46.48,39.46],[46.51,38.77]]]}},
+    {"type":"Feature","id":"752","properties":{"name":"Sweden"},"geometry":{"type":"Polygon","coordinates":[[[11.03,58.86],[11.47,59.43],[12.3,60.12],[12.63,61.29],[11.99,61.8],[11.93,63.13],[12.58,64.07],[13.57,64.05],[13.92,64.44],[13.56,64.79],[15.11,66.19],[16.11,67.3],[16.77,68.01],[17.73,68.01],[17.99,68.57],[19.88,68.41],[20.03,69.07],[20.64,69.11],[21.98,68.62],[23.54,67.94],[23.57,66.4],[23.9,66.01],[22.18,65.72],[21.21,65.03],[21.37,64.41],[19.78,63.61],[17.85,62.75],[17.12,61.34],[17.83,60.64],[18.79,60.08],[17.87,58.95],[16.83,58.72],[16.45,57.04],[15.88,56.1],[14.67,56.2],[14.1,55.41],[12.94,55.36],[12.62,56.31],[11.79,57.44],[11.03,58.86]]]}},
+    {"type":"Feature","id":"112","properties":{"name":"Belarus"},"geometry":{"type":"Polygon","coordinates":[[[28.18,56.17],[29.23,55.92],[29.37,55.67],[29.9,55.79],[30.88,55.55],[30.97,55.08],[30.76,54.81],[31.38,54.16],[31.79,53.97],[31.73,53.79],[32.41,53.62],[32.69,53.35],[32.3,53.13],[31.5,53.17],[31.3,53.07],[31.54,52.74],[31.79,52.1],[30.93,52.04],[30.62,51.82],[30.56,51.32],[30.16,51.42],[29.26,51.37],[28.99,51.6],[28.62,51.43],[28.24,51.57],[27.46,51.59],[26.34,51.83],[25.33,51.91],[24.55,51.89],[24.01,51.62],[23.53,51.58],[23.51,52.02],[23.2,52.49],[23.8,52.69],[23.81,53.09],[23.53,53.47],[23.48,53.91],[24.45,53.91],[25.54,54.28],[25.77,54.85],[26.59,55.17],[26.49,55.61],[27.1,55.78],[28.18,56.17]]]}},
+    {"type":"Feature","id":"804","properties":{"name":"Ukraine"},"geometry":{"type":"Polygon","coordinates":[[[31.79,52.1],[32.16,52.06],[32.41,52.29],[32.72,52.24],[33.75,52.33],[34.39,51.77],[34.14,51.57],[34.22,51.26],[35.02,51.21],[35.38,50.77],[35.36,50.58],[36.62,50.23],[37.39,50.38],[38.01,49.92],[38.59,49.93],[40.07,49.6],[40.08,49.31],[39.67,48.78],[39.9,48.23],[39.74,47.9],[38.77,47.83],[38.26,47.55],[38.22,47.1],[37.42,47.02],[36.76,46.7],[35.82,46.65],[34.96,46.27],[35.01,45.74],[34.86,45.77],[34.73,45.97],[34.41,46],[33.7,46.22],[33.44,45.97],[33.3,46.08],[31.74,46.33],[31.67,46.71],[30.75,46.58],[30.38,46.03],[29.6,45.29],[29.15,45.46],[28.68,45.3],[28.23,45.49],[28.49,45.6],[28.66,45.94],[28.94,46.26],[28.86,46.44],[29.07,46.52],[29.17,46.38],[29.76,46.35],[30.03,46.42],[29.84,46.53],[29.91,46.67],[29.56,46.93],[29.41,47.35],[29.05,47.51],[29.12,47.85],[28.67,48.12],[28.26,48.16],[27.52,48.47],[26.86,48.37],[26.62,48.22],[26.2,48.22],[25.95,47.99],[25.21,47.89],[24.87,47.74],[24.4,47.98],[23.76,47.99],[23.14,48.1],[22.71,47.88],[22.64,48.15],[22.08,48.42],[22.28,48.83],[22.56,49.09],[22.78,49.03],[22.52,49.48],[23.43,50.31],[23.92,50.43],[24.03,50.71],[23.53,51.58],[24.01,51.62],[24.55,51.89],[25.33,51.91],[26.34,51.83],[27.46,51.59],[28.24,51.57],[28.62,51.43],[28.99,51.6],[29.26,51.37],[30.16,51.42],[30.56,51.32],[30.62,51.82],[30.93,52.04],[31.79,52.1]]]}},
+    {"type":"Feature","id":"616","properties":{"name":"Poland"},"geometry":{"type":"Polygon","coordinates":[[[23.48,53.91],[23.53,53.47],[23.81,53.09],[23.8,52.69],[23.2,52.49],[23.51,52.02],[23.53,51.58],[24.03,50.71],[23.92,50.43],[23.43,50.31],[22.52,49.48],[22.78,49.03],[22.56,49.09],[21.61,49.47],[20.89,49.33],[20.42,49.43],[19.82,49.22],[19.32,49.57],[18.91,49.44],[18.85,49.5],[18.39,49.99],[17.65,50.05],[17.56,50.36],[16.87,50.47],[16.72,50.22],[16.18,50.42],[16.24,50.7],[15.49,50.78],[15.02,51.11],[14.61,51.75],[14.69,52.09],[14.44,52.63],[14.07,52.98],[14.35,53.25],[14.12,53.76],[14.8,54.05],[16.36,54.51],[17.62,54.85],[18.62,54.68],[18.7,54.44],[19.66,54.43],[20.89,54.31],[22.73,54.33],[23.24,54.22],[23.48,53.91]]]}},
+    {"type":"Feature","id":"040","properties":{"name":"Austria"},"geometry":{"type":"Polygon","coordinates":[[[16.98,48.12],[16.9,47.72],[16.34,47.71],[16.53,47.5],[16.2,46.85],[16.01,46.68],[15.14,46.66],[14.63,46.43],[13.81,46.51],[12.38,46.77],[12.15,47.11],[11.17,46.94],[11.05,46.75],[10.44,46.89],[9.93,46.92],[9.48,47.1],[9.63,47.35],[9.6,47.52],[9.89,47.58],[10.4,47.3],[10.54,47.57],[11.42,47.52],[12.14,47.7],[12.62,47.67],[12.93,47.47],[13.03,47.64],[12.88,48.29],[13.24,48.42],[13.6,48.88],[14.34,48.56],[14.9,48.96],[15.26,49.04],[16.03,48.73],[16.5,48.79],[16.96,48.6],[16.88,48.47],[16.98,48.12]]]}},
+    {"type":"Feature","id":"348","properties":{"name":"Hungary"},"geometry":{"type":"Polygon","coordinates":[[[22.08,48.42],[22.64,48.15],[22.71,47.88],[22.1,47.67],[21.63,46.99],[21.02,46.32],[20.22,46.13],[19.6,46.17],[18.83,45.91],[18.46,45.76],[17.63,45.95],[16.88,46.38],[16.57,46.5],[16.37,46.84],[16.2,46.85],[16.53,47.5],[16.34,47.71],[16.9,47.72],[16.98,48.12],[17.49,47.87],[17.86,47.76],[18.7,47.88],[18.78,48.08],[19.18,48.11],[19.66,48.27],[19.77,48.2],[20.24,48.33],[20.48,48.56],[20.8,48.62],[21.87,48.32],[22.08,48.42]]]}},
+    {"type":"Feature","id":"498","properties":{"name":"Moldova"},"geometry":{"type":"Polygon","coordinates":[[[26.62,48.22],[26.86,48.37],[27.52,48.47],[28.26,48.16],[28.67,48.12],[29.12,47.85],[29.05,47.51],[29.41,47.35],[29.56,46.93],[29.91,46.67],[29.84,46.53],[30.03,46.42],[29.76,46.35],[29.17,46.38],[29.07,46.52],[28.86,46.44],[28.94,46.26],[28.66,45.94],[28.49,45.6],[28.23,45.49],[28.05,45.95],[28.16,46.37],[28.13,46.81],[27.55,47.41],[27.23,47.83],[26.92,48.12],[26.62,48.22]]]}},
+    {"type":"Feature","id":"642","properties":{"name":"Romania"},"geometry":{"type":"Polygon","coordinates":[[[28.23,45.49],[28.68,45.3],[29.15,45.46],[29.6,45.29],[29.63,45.04],[29.14,44.82],[28.84,44.91],[28.56,43.71],[27.97,43.81],[27.24,44.18],[26.07,43.94],[25.57,43.69],[24.1,43.74],[23.33,43.9],[22.94,43.82],[22.66,44.24],[22.47,44.41],[22.71,44.58],[22.46,44.7],[22.15,44.48],[21.56,44.77],[21.48,45.18],[20.87,45.42],[20.76,45.74],[20.22,46.13],[21.02,46.32],[21.63,46.99],[22.1,47.67],[22.71,47.88],[23.14,48.1],[23.76,47.99],[24.4,47.98],[24.87,47.74],[25.21,47.89],[25.95,47.99],[26.2,48.22],[26.62,48.22],[26.92,48.12],[27.23,47.83],[27.55,47.41],[28.13,46.81],[28.16,46.37],[28.05,45.95],[28.23,45.49]]]}},
+    {"type":"Feature","id":"440","properties":{"name":"Lithuania"},"geometry":{"type":"Polygon","coordinates":[[[26.49,55.61],[26.59,55.17],[25.77,54.85],[25.54,54.28],[24.45,53.91],[23.48,53.91],[23.24,54.22],[22.73,54.33],[22.65,54.58],[22.76,54.86],[22.31,55.02],[21.27,55.19],[21.05,56.03],[22.2,56.34],[23.88,56.27],[24.86,56.37],[25,56.16],[25.53,56.1],[26.49,55.61]]]}},
+    {"type":"Feature","id":"428","properties":{"name":"Latvia"},"geometry":{"type":"Polygon","coordinates":[[[27.29,57.47],[27.77,57.24],[27.86,56.76],[28.18,56.17],[27.1,55.78],[26.49,55.61],[25.53,56.1],[25,56.16],[24.86,56.37],[23.88,56.27],[22.2,56.34],[21.05,56.03],[21.09,56.78],[21.58,57.41],[22.52,57.75],[23.32,57.01],[24.12,57.03],[24.31,57.79],[25.17,57.97],[25.6,57.85],[26.46,57.48],[27.29,57.47]]]}},
+    {"type":"Feature","id":"233","properties":{"name":"Estonia"},"geometry":{"type":"Polygon","coordinates":[[[27.98,59.48],[28.13,59.3],[27.42,58.72],[27.72,57.79],[27.29,57.47],[26.46,57.48],[25.6,57.85],[25.17,57.97],[24.31,57.79],[24.43,58.38],[24.06,58.26],[23.43,58.61],[23.34,59.19],[24.6,59.47],[25.86,59.61],[26.95,59.45],[27.98,59.48]]]}},
+    {"type":"Feature","id":"276","properties":{"name":"Germany"},"geometry":{"type":"Polygon","coordinates":[[[14.12,53.76],[14.35,53.25],[14.07,52.98],[14.44,52.63],[14.69,52.09],[14.61,51.75],[15.02,51.11],[14.57,51],[14.31,51.12],[14.06,50.93],[13.34,50.73],[12.97,50.48],[12.24,50.27],[12.41,49.97],[12.52,49.55],[13.03,49.31],[13.6,48.88],[13.24,48.42],[12.88,48.29],[13.03,47.64],[12.93,47.47],[12.62,47.67],[12.14,47.7],[11.42,47.52],[10.54,47.57],[10.4,47.3],[9.89,47.58],[9.6,47.52],[8.52,47.83],[8.32,47.61],[7.47,47.62],[7.59,48.33],[8.1,49.02],[6.66,49.2],[6.19,49.46],[6.24,49.9],[6.04,50.13],[6.16,50.8],[5.99,51.85],[6.59,51.85],[6.84,52.23],[7.09,53.14],[6.91,53.48],[7.1,53.69],[7.94,53.75],[8.12,53.53],[8.8,54.02],[8.57,54.4],[8.53,54.96],[9.28,54.83],[9.92,54.98],[9.94,54.6],[10.95,54.36],[10.94,54.01],[11.96,54.2],[12.52,54.47],[13.65,54.08],[14.12,53.76]]]}},
+    {"type":"Feature","id":"100","properties":{"name":"Bulgaria"},"geometry":{"type":"Polygon","coordinates":[[[22.66,44.24],[22.94,43.82],[23.33,43.9],[24.1,43.74],[25.57,43.69],[26.07,43.94],[27.24,44.18],[27.97,43.81],[28.56,43.71],[28.04,43.29],[27.68,42.58],[28,42.01],[27.14,42.14],[26.12,41.83],[26.11,41.33],[25.2,41.23],[24.49,41.58],[23.69,41.31],[22.95,41.34],[22.88,42],[22.38,42.32],[22.55,42.46],[22.44,42.58],[22.61,42.9],[22.98,43.21],[22.5,43.64],[22.41,44.01],[22.66,44.24]]]}},
+    {"type":"Feature","id":"300","properties":{"name":"Greece"},"geometry":{"type":"MultiPolygon","coordinates":[[[[26.29,35.3],[26.16,35],[24.72,34.92],[24.73,35.09],[23.51,35.28],[23.7,35.71],[24.25,35.37],[25.03,35.43],[25.77,35.35],[25.75,35.18],[26.29,35.3]]],[[[22.95,41.34],[23.69,41.31],[24.49,41.58],[25.2,41.23],[26.11,41.33],[26.12,41.83],[26.6,41.56],[26.29,40.94],[26.06,40.82],[25.45,40.85],[24.92,40.95],[23.72,40.69],[24.41,40.12],[23.9,39.96],[23.34,39.96],[22.82,40.48],[22.63,40.26],[22.85,39.66],[23.35,39.19],[22.97,38.97],[23.53,38.51],[24.02,38.22],[24.04,37.65],[23.11,37.92],[23.41,37.41],[22.78,37.3],[23.15,36.42],[22.49,36.41],[21.67,36.84],[21.3,37.64],[21.12,38.31],[20.73,38.77],[20.22,39.34],[20.15,39.63],[20.62,40.11],[20.67,40.44],[21,40.58],[21.02,40.84],[21.67,40.93],[22.06,41.15],[22.6,41.13],[22.76,41.3],[22.95,41.34]]]]}},
+    {"type":"Feature","id":"792","properties":{"name":"Turkey"},"geometry":{"type":"MultiPolygon","coordinates":[[[[44.77,37.17],[44.29,37],[43.94,37.26],[42.78,37.39],[42.35,37.23],[41.21,37.07],[40.68,37.09],[39.52,36.72],[38.7,36.71],[38.17,36.9],[37.07,36.62],[36.74,36.82],[36.69,36.26],[36.42,36.04],[36.15,35.82],[35.78,36.28],[36.16,36.65],[35.55,36.56],[34.71,36.8],[34.03,36.22],[32.51,36.11],[31.7,36.64],[30.62,36.68],[30.39,36.26],[29.7,36.15],[28.73,36.68],[27.64,36.66],[27.05,37.65],[26.32,38.21],[26.8,38.99],[26.17,39.46],[27.28,40.42],[28.82,40.46],[29.24,41.22],[31.15,41.09],[32.35,41.74],[33.51,42.02],[35.17,42.04],[36.91,41.33],[38.35,40.95],[39.51,41.1],[40.37,41.01],[41.55,41.54],[42.62,41.58],[43.58,41.09],[43.75,40.74],[43.66,40.25],[44.4,40],[44.79,39.71],[44.11,39.43],[44.42,38.28],[44.22,37.97],[44.77,37.17]]],[[[26.12,41.83],[27.14,42.14],[28,42.01],[28.11,41.62],[28.99,41.3],[28.81,41.06],[27.62,41],[27.19,40.69],[26.36,40.15],[26.04,40.62],[26.06,40.82],[26.29,40.94],[26.6,41.56],[26.12,41.83]]]]}},
+    {"type":"Feature","id":"008","properties":{"name":"Albania"},"geometry":{"type":"Polygon","coordinates":[[[21.02,40.84],[21,40.58],[20.67,40.44],[20.62,40.11],[20.15,39.63],[19.98,39.69],[19.96,39.91],[19.41,40.25],[19.32,40.73],[19.4,41.41],[19.54,41.72],[19.37,41.88],[19.31,42.2],[19.74,42.69],[19.8,42.5],[20.07,42.59],[20.28,42.32],[20.52,42.22],[20.59,41.86],[20.46,41.52],[20.6,41.09],[21.02,40.84]]]}},
+    {"type":"Feature","id":"191","properties":{"name":"Croatia"},"geometry":{"type":"Polygon","coordinates":[[[16.57,46.5],[16.88,46.38],[17.63,45.95],[18.46,45.76],[18.83,45.91],[19.07,45.52],[19.39,45.24],[19.01,44.86],[18.55,45.08],[17.86,45.07],[17,45.23],[16.53,45.21],[16.32,45],[15.96,45.23],[15.75,44.82],[16.24,44.35],[16.46,44.04],[16.91,43.67],[17.3,43.45],[17.67,43.03],[18.56,42.65],[18.45,42.48],[17.51,42.85],[16.93,43.21],[16.01,43.51],[15.18,44.24],[15.38,44.32],[14.92,44.74],[14.9,45.08],[14.26,45.23],[13.95,44.8],[13.66,45.14],[13.68,45.48],[13.71,45.5],[14.41,45.47],[14.6,45.64],[14.93,45.47],[15.33,45.45],[15.32,45.73],[15.67,45.83],[15.77,46.24],[16.57,46.5]]]}},
+    {"type":"Feature","id":"756","properties":{"name":"Switzerland"},"geometry":{"type":"Polygon","coordinates":[[[9.6,47.52],[9.63,47.35],[9.48,47.1],[9.93,46.92],[10.44,46.89],[10.36,46.48],[9.92,46.31],[9.18,46.44],[8.97,46.04],[8.49,46],[8.32,46.16],[7.76,45.82],[7.27,45.78],[6.84,45.99],[6.5,46.43],[6.02,46.27],[6.04,46.73],[6.77,47.29],[6.74,47.54],[7.19,47.45],[7.47,47.62],[8.32,47.61],[8.52,47.83],[9.6,47.52]]]}},
+    {"type":"Feature","id":"442","properties":{"name":"Luxembourg"},"geometry":{"type":"Polygon","coordinates":[[[6.04,50.13],[6.24,49.9],[6.19,49.46],[5.9,49.44],[5.68,49.53],[5.78,50.09],[6.04,50.13]]]}},
+    {"type":"Feature","id":"056","properties":{"name":"Belgium"},"geometry":{"type":"Polygon","coordinates":[[[6.16,50.8],[6.04,50.13],[5.78,50.09],[5.68,49.53],[4.8,49.99],[4.29,49.91],[3.59,50.38],[3.12,50.78],[2.66,50.8],[2.51,51.15],[3.31,51.35],[4.05,51.27],[4.97,51.47],[5.61,51.04],[6.16,50.8]]]}},
+    {"type":"Feature","id":"528","properties":{"name":"Netherlands"},"geometry":{"type":"Polygon","coordinates":[[[6.91,53.48],[7.09,53.14],[6.84,52.23],[6.59,51.85],[5.99,51.85],[6.16,50.8],[5.61,51.04],[4.97,51.47],[4.05,51.27],[3.31,51.35],[3.83,51.62],[4.71,53.09],[6.08,53.51],[6.91,53.48]]]}},
+    {"type":"Feature","id":"620","properties":{"name":"Portugal"},"geometry":{"type":"Polygon","coordinates":[[[-9.03,41.88],[-8.67,42.14],[-8.26,42.28],[-8.01,41.79],[-7.42,41.79],[-7.25,41.92],[-6.67,41.88],[-6.39,41.38],[-6.85,41.11],[-6.86,40.33],[-7.03,40.19],[-7.07,39.71],[-7.5,39.63],[-7.1,39.03],[-7.37,38.37],[-7.03,38.08],[-7.17,37.8],[-7.54,37.43],[-7.45,37.1],[-7.86,36.84],[-8.38,36.98],[-8.9,36.87],[-8.75,37.65],[-8.84,38.27],[-9.29,38.36],[-9.53,38.74],[-9.45,39.39],[-9.05,39.76],[-8.98,40.16],[-8.77,40.76],[-8.79,41.18],[-8.99,41.54],[-9.03,41.88]]]}},
+    {"type":"Feature","id":"724","properties":{"name":"Spain"},"geometry":{"type":"Polygon","coordinates":[[[-7.45,37.1],[-7.54,37.43],[-7.17,37.8],[-7.03,38.08],[-7.37,38.37],[-7.1,39.03],[-7.5,39.63],[-7.07,39.71],[-7.03,40.19],[-6.86,40.33],[-6.85,41.11],[-6.39,41.38],[-6.67,41.88],[-7.25,41.92],[-7.42,41.79],[-8.01,41.79],[-8.26,42.28],[-8.67,42.14],[-9.03,41.88],[-8.98,42.59],[-9.39,43.03],[-7.98,43.75],[-6.76,43.57],[-5.41,43.57],[-4.35,43.4],[-3.52,43.46],[-1.9,43.42],[-1.5,43.03],[0.34,42.58],[0.7,42.8],[1.83,42.34],[2.99,42.47],[3.04,41.89],[2.09,41.23],[0.81,41.01],[0.72,40.68],[0.11,40.12],[-0.28,39.31],[0.11,38.74],[-0.47,38.29],[-0.68,37.64],[-1.44,37.44],[-2.15,36.67],[-3.41,36.66],[-4.37,36.68],[-5,36.32],[-5.38,35.95],[-5.87,36.03],[-6.24,36.37],[-6.52,36.94],[-7.45,37.1]]]}},
+    {"type":"Feature","id":"372","properties":{"name":"Ireland"},"geometry":{"type":"Polygon","coordinates":[[[-6.2,53.87],[-6.03,53.15],[-6.79,52.26],[-8.56,51.67],[-9.98,51.82],[-9.17,52.86],[-9.69,53.88],[-8.33,54.67],[-7.57,55.13],[-7.37,54.6],[-7.57,54.06],[-6.95,54.07],[-6.2,53.87]]]}},
+    {"type":"Feature","id":"540","properties":{"name":"New Caledonia"},"geometry":{"type":"Polygon","coordinates":[[[165.78,-21.08],[166.6,-21.7],[167.12,-22.16],[166.74,-22.4],[166.19,-22.13],[165.47,-21.68],[164.83,-21.15],[164.17,-20.45],[164.03,-20.11],[164.46,-20.12],[165.02,-20.46],[165.46,-20.8],[165.78,-21.08]]]}},
+    {"type":"Feature","id":"090","properties":{"name":"Solomon Is."},"geometry":{"type":"MultiPolygon","coordinates":[[[[162.12,-10.48],[162.4,-10.83],[161.7,-10.82],[161.32,-10.21],[161.92,-10.45],[162.12,-10.48]]],[[[161.68,-9.6],[161.53,-9.78],[160.79,-8.92],[160.58,-8.32],[160.92,-8.32],[161.28,-9.12],[161.68,-9.6]]],[[[160.85,-9.87],[160.46,-9.9],[159.85,-9.79],[159.64,-9.64],[159.7,-9.24],[160.36,-9.4],[160.69,-9.61],[160.85,-9.87]]],[[[159.64,-8.02],[159.88,-8.34],[159.92,-8.54],[159.13,-8.11],[158.59,-7.75],[158.21,-7.42],[158.36,-7.32],[158.82,-7.56],[159.64,-8.02]]],[[[157.14,-7.02],[157.54,-7.35],[157.34,-7.4],[156.9,-7.18],[156.49,-6.77],[156.54,-6.6],[157.14,-7.02]]]]}},
+    {"type":"Feature","id":"554","properties":{"name":"New Zealand"},"geometry":{"type":"MultiPolygon","coordinates":[[[[176.89,-40.07],[176.51,-40.61],[176.01,-41.29],[175.24,-41.69],[175.07,-41.43],[174.65,-41.28],[175.23,-40.46],[174.9,-39.91],[173.82,-39.51],[173.85,-39.15],[174.57,-38.8],[174.74,-38.03],[174.7,-37.38],[174.29,-36.71],[174.32,-36.53],[173.84,-36.12],[173.06,-35.24],[172.63,-34.53],[173.01,-34.45],[173.55,-35.01],[174.33,-35.27],[174.61,-36.16],[175.34,-37.21],[175.36,-36.53],[175.81,-36.8],[175.96,-37.56],[176.76,-37.88],[177.44,-37.96],[178.01,-37.58],[178.52,-37.7],[178.28,-38.58],[177.97,-39.17],[177.21,-39.15],[176.94,-39.45],[177.03,-39.88],[176.89,-40.07]]],[[[169.67,-43.56],[170.52,-43.03],[171.13,-42.51],[171.57,-41.77],[171.95,-41.51],[172.1,-40.96],[172.8,-40.49],[173.02,-40.92],[173.25,-41.33],[173.96,-40.93],[174.25,-41.35],[174.25,-41.77],[173.88,-42.23],[173.22,-42.97],[172.71,-43.37],[173.08,-43.85],[172.31,-43.87],[171.45,-44.24],[171.18,-44.9],[170.62,-45.91],[169.83,-46.36],[169.33,-46.64],[168.41,-46.62],[167.76,-46.29],[166.68,-46.22],[166.51,-45.85],[167.05,-45.11],[168.3,-44.12],[168.95,-43.94],[169.67,-43.56]]]]}},
+    {"type":"Feature","id":"036","properties":{"name":"Australia"},"geometry":{"type":"MultiPolygon","coordinates":[[[[147.69,-40.81],[148.29,-40.87],[148.36,-42.06],[148.02,-42.41],[147.91,-43.21],[147.56,-42.94],[146.87,-43.64],[146.66,-43.58],[146.05,-43.55],[145.43,-42.69],[145.3,-42.03],[144.72,-41.16],[144.74,-40.7],[145.4,-40.79],[146.36,-41.14],[146.91,-41],[147.69,-40.81]]],[[[126.15,-32.22],[125.09,-32.73],[124.22,-32.96],[124.03,-33.48],[123.66,-33.89],[122.81,-33.91],[122.18,-34],[121.3,-33.82],[120.58,-33.93],[119.89,-33.98],[119.3,-34.51],[119.01,-34.46],[118.5,-34.75],[118.03,-35.06],[117.29,-35.03],[116.62,-35.03],[115.56,-34.39],[115.03,-34.2],[115.05,-33.62],[115.54,-33.49],[115.71,-33.26],[115.68,-32.9],[115.8,-32.21],[115.69,-31.61],[115.16,-30.6],[115,-30.03],[115.04,-29.46],[114.64,-28.81],[114.62,-28.52],[114.17,-28.12],[114.05,-27.33],[113.48,-26.54],[113.34,-26.12],[113.78,-26.55],[113.44,-25.62],[113.94,-25.91],[114.23,-26.3],[114.22,-25.79],[113.72,-25],[113.63,-24.68],[113.39,-24.38],[113.5,-23.81],[113.71,-23.56],[113.84,-23.06],[113.74,-22.47],[114.15,-21.76],[114.22,-22.52],[114.65,-21.83],[115.46,-21.49],[115.95,-21.07],[116.71,-20.7],[117.16,-20.62],[117.44,-20.75],[118.23,-20.37],[118.84,-20.26],[118.99,-20.04],[119.25,-19.95],[119.8,-19.98],[120.86,-19.68],[121.4,-19.24],[121.65,-18.71],[122.24,-18.2],[122.29,-17.8],[122.31,-17.26],[123.01,-16.41],[123.43,-17.27],[123.86,-17.07],[123.5,-16.6],[123.82,-16.11],[124.26,-16.33],[124.38,-15.57],[124.93,-15.08],[125.17,-14.68],[125.67,-14.51],[125.69,-14.23],[126.13,-14.35],[126.14,-14.1],[126.58,-13.95],[127.07,-13.82],[127.8,-14.28],[128.36,-14.87],[128.98,-14.88],[129.62,-14.97],[129.41,-14.42],[129.89,-13.62],[130.34,-13.36],[130.18,-13.11],[130.62,-12.54],[131.22,-12.18],[131.73,-12.3],[132.58,-12.11],[132.56,-11.6],[131.82,-11.27],[132.36,-11.13],[133.02,-11.38],[133.55,-11.79],[134.39,-12.04],[134.68,-11.94],[135.3,-12.25],[135.88,-11.96],[136.26,-12.05],[136.49,-11.86],[136.95,-12.35],[136.68,-12.89],[136.31,-13.29],[135.96,-13.32],[136.08,-13.72],[135.78,-14.22],[135.43,-14.72],[135.5,-15],[136.3,-15.55],[137.07,-15.87],[137.58,-16.22],[138.3,-16.81],[138.59,-16.81],[139.11,-17.06],[139.26,-17.37],[140.22,-17.71],[140.87,-17.37],[141.07,-16.83],[141.27,-16.39],[141.4,-15.84],[141.7,-15.04],[141.56,-14.56],[141.63,-14.27],[141.52,-13.7],[141.65,-12.94],[141.84,-12.74],[141.69,-12.41],[141.93,-11.88],[142.12,-11.33],[142.14,-11.04],[142.52,-10.67],[142.8,-11.16],[142.87,-11.78],[143.12,-11.9],[143.16,-12.33],[143.52,-12.83],[143.6,-13.4],[143.56,-13.76],[143.92,-14.55],[144.56,-14.17],[144.9,-14.59],[145.37,-14.99],[145.27,-15.43],[145.49,-16.29],[145.64,-16.78],[145.89,-16.91],[146.16,-17.76],[146.06,-18.28],[146.39,-18.96],[147.47,-19.48],[148.18,-19.96],[148.85,-20.39],[148.72,-20.63],[149.29,-21.26],[149.68,-22.34],[150.08,-22.12],[150.48,-22.56],[150.73,-22.4],[150.9,-23.46],[151.61,-24.08],[152.07,-24.46],[152.86,-25.27],[153.14,-26.07],[153.16,-26.64],[153.09,-27.26],[153.57,-28.11],[153.51,-28.99],[153.34,-29.46],[153.07,-30.35],[153.09,-30.92],[152.89,-31.64],[152.45,-32.55],[151.71,-33.04],[151.34,-33.82],[151.01,-34.31],[150.71,-35.17],[150.33,-35.67],[150.08,-36.42],[149.95,-37.11],[150,-37.43],[149.42,-37.77],[148.31,-37.81],[147.38,-38.22],[146.92,-38.61],[146.32,-39.04],[145.49,-38.59],[144.88,-38.42],[145.03,-37.9],[144.49,-38.09],[143.61,-38.81],[142.75,-38.54],[142.18,-38.38],[141.61,-38.31],[140.64,-38.02],[139.99,-37.4],[139.81,-36.64],[139.58,-36.14],[139.08,-35.73],[138.12,-35.61],[138.45,-35.13],[138.21,-34.39],[137.72,-35.08],[136.83,-35.26],[137.35,-34.71],[137.51,-34.13],[137.89,-33.64],[137.81,-32.9],[137,-33.75],[136.37,-34.09],[135.99,-34.89],[135.21,-34.48],[135.24,-33.95],[134.61,-33.22],[134.09,-32.85],[134.27,-32.62],[132.99,-32.01],[132.29,-31.98],[131.33,-31.5],[129.53,-31.59],[128.24,-31.95],[127.1,-32.28],[126.15,-32.22]]]]}},
+    {"type":"Feature","id":"144","properties":{"name":"Sri Lanka"},"geometry":{"type":"Polygon","coordinates":[[[81.79,7.52],[81.64,6.48],[81.22,6.2],[80.35,5.97],[79.87,6.76],[79.7,8.2],[80.15,9.82],[80.84,9.27],[81.31,8.56],[81.79,7.52]]]}},
+    {"type":"Feature","id":"156","properties":{"name":"China"},"geometry":{"type":"MultiPolygon","coordinates":[[[[109.48,18.2],[108.65,18.51],[108.63,19.37],[109.12,19.82],[110.21,20.1],[110.79,20.08],[111.01,19.7],[110.57,19.26],[110.34,18.68],[109.48,18.2]]],[[[80.26,42.35],[80.18,42.92],[80.87,43.18],[79.97,44.92],[81.95,45.32],[82.46,45.54],[83.18,47.33],[85.16,47],[85.72,47.45],[85.77,48.46],[86.6,48.55],[87.36,49.22],[87.75,49.3],[88.02,48.6],[88.85,48.07],[90.28,47.69],[90.97,46.89],[90.59,45.72],[90.95,45.29],[92.13,45.12],[93.48,44.98],[94.69,44.35],[95.31,44.24],[95.76,43.32],[96.35,42.73],[97.45,42.75],[99.52,42.52],[100.85,42.66],[101.83,42.51],[103.31,41.91],[104.52,41.91],[104.96,41.6],[106.13,42.14],[107.74,42.48],[109.24,42.52],[110.41,42.87],[111.13,43.41],[111.83,43.74],[111.67,44.07],[111.35,44.46],[111.87,45.1],[112.43,45.01],[113.46,44.81],[114.46,45.34],[115.98,45.73],[116.72,46.39],[117.42,46.67],[118.87,46.8],[119.66,46.69],[119.77,47.05],[118.87,47.75],[118.06,48.07],[117.29,47.7],[116.31,47.85],[115.74,47.73],[115.48,48.14],[116.19,49.13],[116.68,49.89],[117.88,49.51],[119.29,50.14],[119.28,50.58],[120.18,51.64],[120.74,51.96],[120.73,52.52],[120.18,52.75],[121,53.25],[122.24,53.43],[123.57,53.46],[125.07,53.16],[125.95,52.79],[126.56,51.78],[126.94,51.35],[127.29,50.74],[127.66,49.76],[129.4,49.44],[130.58,48.73],[130.99,47.79],[132.51,47.79],[133.37,48.18],[135.02,48.48],[134.5,47.58],[134.11,47.21],[133.77,46.12],[133.1,45.14],[131.88,45.32],[131.03,44.97],[131.29,44.11],[131.14,42.93],[130.63,42.9],[130.64,42.4],[130,42.98],[129.6,42.42],[128.05,41.99],[128.21,41.47],[127.34,41.5],[126.87,41.82],[126.18,41.11],[125.08,40.57],[124.26,39.93],[122.87,39.64],[122.13,39.17],[121.05,38.9],[121.59,39.36],[121.38,39.75],[122.17,40.42],[121.64,40.95],[120.77,40.59],[119.64,39.9],[119.02,39.25],[118.04,39.2],[117.53,38.74],[118.06,38.06],[118.88,37.9],[118.91,37.45],[119.7,37.16],[120.82,37.87],[121.71,37.48],[122.36,37.46],[122.52,36.93],[121.1,36.65],[120.64,36.11],[119.66,35.61],[119.15,34.91],[120.23,34.36],[120.62,33.38],[121.23,32.46],[121.91,31.69],[121.89,30.95],[121.27,30.68],[121.5,30.14],[122.09,29.83],[121.94,29.02],[121.68,28.23],[121.13,28.14],[120.39,27.05],[119.58,25.74],[118.66,24.55],[117.28,23.63],[115.89,22.78],[114.76,22.67],[114.15,22.22],[113.81,22.55],[113.24,22.05],[111.84,21.55],[110.79,21.4],[110.44,20.34],[109.89,20.28],[109.63,21.01],[109.86,21.39],[108.52,21.71],[108.05,21.55],[107.04,21.81],[106.57,22.22],[106.72,22.79],[105.81,22.98],[105.33,23.35],[104.48,22.82],[103.5,22.7],[102.71,22.71],[102.17,22.46],[101.65,22.32],[101.8,21.17],[101.27,21.2],[101.18,21.44],[101.15,21.85],[100.42,21.56],[99.98,21.74],[99.24,22.12],[99.53,22.95],[98.9,23.14],[98.66,24.06],[97.61,23.9],[97.72,25.08],[98.67,25.92],[98.71,26.74],[98.68,27.51],[98.25,27.75],[97.91,28.34],[97.33,28.26],[96.25,28.41],[96.59,28.83],[96.12,29.45],[95.41,29.03],[94.57,29.28],[93.41,28.64],[92.5,27.9],[91.7,27.77],[91.26,28.04],[90.73,28.06],[90.02,28.3],[89.48,28.04],[88.81,27.3],[88.73,28.09],[88.12,27.88],[86.95,27.97],[85.82,28.2],[85.01,28.64],[84.24,28.84],[83.9,29.32],[83.34,29.46],[82.33,30.11],[81.52,30.42],[81.11,30.18],[79.72,30.88],[78.74,31.52],[78.46,32.62],[79.18,32.48],[79.21,32.99],[78.81,33.51],[78.91,34.32],[77.84,35.49],[76.19,35.9],[75.9,36.67],[75.16,37.13],[74.98,37.42],[74.83,37.99],[74.86,38.38],[74.26,38.61],[73.93,38.51],[73.68,39.43],[73.96,39.66],[73.82,39.89],[74.78,40.37],[75.47,40.56],[76.53,40.43],[76.91,41.07],[78.19,41.19],[78.54,41.58],[80.12,42.12],[80.26,42.35]]]]}},
+    {"type":"Feature","id":"158","properties":{"name":"Taiwan"},"geometry":{"type":"Polygon","coordinates":[[[121.78,24.39],[121.18,22.79],[120.75,21.97],[120.22,22.81],[120.11,23.56],[120.69,24.54],[121.5,25.3],[121.95,25],[121.78,24.39]]]}},
+    {"type":"Feature","id":"380","properties":{"name":"Italy"},"geometry":{"type":"MultiPolygon","coordinates":[[[[10.44,46.89],[11.05,46.75],[11.17,46.94],[12.15,47.11],[12.38,46.77],[13.81,46.51],[13.7,46.02],[13.94,45.59],[13.14,45.74],[12.33,45.38],[12.38,44.89],[12.26,44.6],[12.59,44.09],[13.53,43.59],[14.03,42.76],[15.14,41.96],[15.92,41.96],[16.17,41.74],[15.89,41.54],[16.79,41.18],[17.52,40.88],[18.38,40.36],[18.48,40.17],[18.29,39.81],[17.74,40.28],[16.87,40.44],[16.45,39.8],[17.17,39.43],[17.05,38.9],[16.63,38.84],[16.1,37.99],[15.68,37.91],[15.69,38.22],[15.89,38.75],[16.11,38.96],[15.72,39.54],[15.41,40.05],[15,40.17],[14.7,40.61],[14.06,40.79],[13.63,41.19],[12.89,41.25],[12.11,41.71],[11.19,42.36],[10.51,42.93],[10.2,43.92],[9.7,44.04],[8.89,44.37],[8.43,44.23],[7.85,43.77],[7.44,43.69],[7.55,44.13],[7.01,44.25],[6.75,45.03],[7.1,45.33],[6.8,45.71],[6.84,45.99],[7.27,45.78],[7.76,45.82],[8.32,46.16],[8.49,46],[8.97,46.04],[9.18,46.44],[9.92,46.31],[10.36,46.48],[10.44,46.89]]],[[[14.76,38.14],[15.52,38.23],[15.16,37.44],[15.31,37.13],[15.1,36.62],[14.33,37],[13.83,37.1],[12.43,37.61],[12.57,38.13],[13.74,38.04],[14.76,38.14]]],[[[8.71,40.9],[9.21,41.21],[9.81,40.5],[9.67,39.18],[9.21,39.24],[8.81,38.91],[8.43,39.17],[8.39,40.38],[8.16,40.95],[8.71,40.9]]]]}},
+    {"type":"Feature","id":"208","properties":{"name":"Denmark"},"geometry":{"type":"MultiPolygon","coordinates":[[[[9.92,54.98],[9.28,54.83],[8.53,54.96],[8.12,55.52],[8.09,56.54],[8.26,56.81],[8.54,57.11],[9.42,57.17],[9.78,57.45],[10.58,57.73],[10.55,57.22],[10.25,56.89],[10.37,56.61],[10.91,56.46],[10.67,56.08],[10.37,56.19],[9.65,55.47],[9.92,54.98]]],[[[12.37,56.11],[12.69,55.61],[12.09,54.8],[11.04,55.36],[10.9,55.78],[12.37,56.11]]]]}},
+    {"type":"Feature","id":"826","properties":{"name":"United Kingdom"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-6.2,53.87],[-6.95,54.07],[-7.57,54.06],[-7.37,54.6],[-7.57,55.13],[-6.73,55.17],[-5.66,54.56],[-6.2,53.87]]],[[[-3.09,53.4],[-3.09,53.4],[-2.95,53.98],[-3.62,54.6],[-3.63,54.61],[-4.84,54.79],[-5.08,55.06],[-4.72,55.51],[-5.05,55.78],[-5.59,55.31],[-5.65,56.27],[-6.15,56.78],[-5.79,57.82],[-5.01,58.63],[-4.21,58.55],[-3,58.63],[-4.07,57.55],[-3.05,57.69],[-1.96,57.68],[-2.22,56.87],[-3.12,55.97],[-2.09,55.91],[-2.01,55.8],[-1.11,54.62],[-0.43,54.46],[0.19,53.32],[0.47,52.93],[1.68,52.74],[1.56,52.1],[1.05,51.81],[1.45,51.29],[0.55,50.77],[-0.79,50.78],[-2.49,50.5],[-2.96,50.7],[-3.62,50.23],[-4.54,50.34],[-5.24,49.96],[-5.78,50.16],[-4.31,51.21],[-3.41,51.43],[-3.42,51.43],[-4.98,51.59],[-5.27,51.99],[-4.22,52.3],[-4.77,52.84],[-4.58,53.5],[-3.09,53.4]]]]}},
+    {"type":"Feature","id":"352","properties":{"name":"Iceland"},"geometry":{"type":"Polygon","coordinates":[[[-14.51,66.46],[-14.74,65.81],[-13.61,65.13],[-14.91,64.36],[-17.79,63.68],[-18.66,63.5],[-19.97,63.64],[-22.76,63.96],[-21.78,64.4],[-23.96,64.89],[-22.19,65.08],[-22.23,65.38],[-24.33,65.61],[-23.65,66.26],[-22.13,66.41],[-20.58,65.73],[-19.06,66.28],[-17.8,65.99],[-16.17,66.53],[-14.51,66.46]]]}},
+    {"type":"Feature","id":"031","properties":{"name":"Azerbaijan"},"geometry":{"type":"MultiPolygon","coordinates":[[[[46.41,41.86],[46.69,41.83],[47.37,41.22],[47.81,41.15],[47.99,41.41],[48.58,41.81],[49.11,41.28],[49.62,40.57],[50.09,40.53],[50.39,40.26],[49.57,40.18],[49.39,39.4],[49.22,39.05],[48.86,38.82],[48.88,38.32],[48.63,38.27],[48.01,38.79],[48.35,39.29],[48.06,39.58],[47.68,39.51],[46.51,38.77],[46.48,39.46],[46.04,39.63],[45.61,39.9],[45.89,40.22],[45.36,40.56],[45.56,40.81],[45.18,40.99],[44.97,41.25],[45.22,41.41],[45.96,41.12],[46.5,41.06],[46.64,41.18],[46.15,41.72],[46.41,41.86]]],[[[46.14,38.74],[45.46,38.87],[44.95,39.34],[44.79,39.71],[45,39.74],[45.3,39.47],[45.74,39.47],[45.74,39.32],[46.14,38.74]]]]}},
+    {"type":"Feature","id":"268","properties":{"name":"Georgia"},"geometry":{"type":"Polygon","coordinates":[[[39.95,43.44],[40.08,43.55],[40.92,43.38],[42.4,43.22],[43.76,42.74],[43.93,42.55],[44.54,42.71],[45.47,42.5],[45.78,42.09],[46.41,41.86],[46.15,41.72],[46.64,41.18],[46.5,41.06],[45.96,41.12],[45.22,41.41],[44.97,41.25],[43.58,41.09],[42.62,41.58],[41.55,41.54],[41.7,41.96],[41.45,42.64],[40.88,43.01],[40.32,43.13],[39.95,43.44]]]}},
+    {"type":"Feature","id":"608","properties":{"name":"Philippines"},"geometry":{"type":"MultiPolygon","coordinates":[[[[120.83,12.7],[120.32,13.47],[121.18,13.43],[121.53,13.07],[121.26,12.21],[120.83,12.7]]],[[[122.59,9.98],[122.84,10.26],[122.95,10.88],[123.5,10.94],[123.34,10.27],[124.08,11.23],[123.98,10.28],[123.62,9.95],[123.31,9.32],[123,9.02],[122.38,9.71],[122.59,9.98]]],[[[126.38,8.41],[126.48,7.75],[126.54,7.19],[126.2,6.27],[125.83,7.29],[125.36,6.79],[125.68,6.05],[125.4,5.58],[124.22,6.16],[123.94,6.89],[124.24,7.36],[123.61,7.83],[123.3,7.42],[122.82,7.46],[122.09,6.9],[121.92,7.19],[122.31,8.04],[122.94,8.32],[123.49,8.69],[123.84,8.24],[124.6,8.51],[124.76,8.96],[125.47,8.99],[125.41,9.76],[126.22,9.29],[126.31,8.78],[126.38,8.41]]],[[[118.5,9.32],[117.18,8.37],[117.67,9.07],[118.39,9.68],[118.99,10.38],[119.51,11.37],[119.69,10.55],[119.03,10],[118.5,9.32]]],[[[122.34,18.22],[122.17,17.81],[122.51,17.09],[122.25,16.26],[121.66,15.93],[121.51,15.13],[121.73,14.33],[122.26,14.22],[122.7,14.34],[123.95,13.78],[123.85,13.24],[124.18,13],[124.08,12.54],[123.3,13.03],[122.93,13.55],[122.67,13.19],[122.04,13.78],[121.13,13.64],[120.63,13.86],[120.68,14.27],[120.99,14.53],[120.69,14.76],[120.56,14.4],[120.07,14.97],[119.92,15.41],[119.88,16.36],[120.29,16.03],[120.39,17.6],[120.71,18.51],[121.32,18.5],[121.94,18.22],[122.24,18.48],[122.34,18.22]]],[[[122.04,11.42],[121.88,11.89],[122.48,11.58],[123.12,11.58],[123.1,11.17],[122.64,10.74],[122,10.44],[121.97,10.91],[122.04,11.42]]],[[[125.5,12.16],[125.78,11.05],[125.01,11.31],[125.03,10.98],[125.28,10.36],[124.8,10.13],[124.76,10.84],[124.46,10.89],[124.3,11.49],[124.89,11.42],[124.88,11.79],[124.27,12.56],[125.23,12.54],[125.5,12.16]]]]}},
+    {"type":"Feature","id":"458","properties":{"name":"Malaysia"},"geometry":{"type":"MultiPolygon","coordinates":[[[[100.09,6.46],[100.26,6.64],[101.08,6.21],[101.16,5.69],[101.81,5.81],[102.14,6.22],[102.37,6.13],[102.96,5.53],[103.38,4.85],[103.44,4.18],[103.33,3.73],[103.43,3.38],[103.5,2.79],[103.86,2.52],[104.25,1.63],[104.23,1.29],[103.52,1.23],[102.57,1.97],[101.39,2.76],[101.27,3.27],[100.69,3.94],[100.56,4.77],[100.2,5.31],[100.31,6.04],[100.09,6.46]]],[[[117.88,4.14],[117.01,4.31],[115.87,4.31],[115.52,3.17],[115.13,2.82],[114.62,1.43],[113.81,1.22],[112.86,1.5],[112.38,1.41],[111.8,0.9],[111.16,0.98],[110.52,0.77],[109.83,1.34],[109.66,2.01],[110.4,1.66],[111.17,1.85],[111.37,2.7],[111.8,2.89],[113,3.1],[113.71,3.89],[114.21,4.53],[114.66,4.01],[114.87,4.35],[115.35,4.32],[115.4,4.95],[115.45,5.45],[116.22,6.14],[116.73,6.92],[117.13,6.93],[117.64,6.42],[117.69,5.99],[118.35,5.71],[119.18,5.41],[119.11,5.02],[118.44,4.97],[118.62,4.48],[117.88,4.14]]]]}},
+    {"type":"Feature","id":"096","properties":{"name":"Brunei"},"geometry":{"type":"Polygon","coordinates":[[[115.45,5.45],[115.4,4.95],[115.35,4.32],[114.87,4.35],[114.66,4.01],[114.21,4.53],[114.6,4.9],[115.45,5.45]]]}},
+    {"type":"Feature","id":"705","properties":{"name":"Slovenia"},"geometry":{"type":"Polygon","coordinates":[[[13.81,46.51],[14.63,46.43],[15.14,46.66],[16.01,46.68],[16.2,46.85],[16.37,46.84],[16.57,46.5],[15.77,46.24],[15.67,45.83],[15.32,45.73],[15.33,45.45],[14.93,45.47],[14.6,45.64],[14.41,45.47],[13.71,45.5],[13.94,45.59],[13.7,46.02],[13.81,46.51]]]}},
+    {"type":"Feature","id":"246","properties":{"name":"Finland"},"geometry":{"type":"Polygon","coordinates":[[[28.59,69.07],[28.45,68.36],[29.98,67.7],[29.05,66.94],[30.22,65.81],[29.54,64.95],[30.44,64.2],[30.04,63.55],[31.52,62.87],[31.14,62.36],[30.21,61.78],[28.07,60.5],[26.26,60.42],[24.5,60.06],[22.87,59.85],[22.29,60.39],[21.32,60.72],[21.54,61.7],[21.06,62.61],[21.54,63.19],[22.44,63.82],[24.73,64.9],[25.4,65.11],[25.3,65.53],[23.9,66.01],[23.57,66.4],[23.54,67.94],[21.98,68.62],[20.64,69.11],[21.25,69.37],[22.36,68.84],[23.66,68.89],[24.73,68.65],[25.69,69.09],[26.18,69.83],[27.73,70.16],[29.01,69.77],[28.59,69.07]]]}},
+    {"type":"Feature","id":"703","properties":{"name":"Slovakia"},"geometry":{"type":"Polygon","coordinates":[[[22.56,49.09],[22.28,48.83],[22.08,48.42],[21.87,48.32],[20.8,48.62],[20.48,48.56],[20.24,48.33],[19.77,48.2],[19.66,48.27],[19.18,48.11],[18.78,48.08],[18.7,47.88],[17.86,47.76],[17.49,47.87],[16.98,48.12],[16.88,48.47],[16.96,48.6],[17.1,48.82],[17.54,48.8],[17.89,48.9],[17.91,49],[18.11,49.04],[18.17,49.27],[18.4,49.31],[18.56,49.49],[18.85,49.5],[18.91,49.44],[19.32,49.57],[19.82,49.22],[20.42,49.43],[20.89,49.33],[21.61,49.47],[22.56,49.09]]]}},
+    {"type":"Feature","id":"203","properties":{"name":"Czechia"},"geometry":{"type":"Polygon","coordinates":[[[15.02,51.11],[15.49,50.78],[16.24,50.7],[16.18,50.42],[16.72,50.22],[16.87,50.47],[17.56,50.36],[17.65,50.05],[18.39,49.99],[18.85,49.5],[18.56,49.49],[18.4,49.31],[18.17,49.27],[18.11,49.04],[17.91,49],[17.89,48.9],[17.54,48.8],[17.1,48.82],[16.96,48.6],[16.5,48.79],[16.03,48.73],[15.26,49.04],[14.9,48.96],[14.34,48.56],[13.6,48.88],[13.03,49.31],[12.52,49.55],[12.41,49.97],[12.24,50.27],[12.97,50.48],[13.34,50.73],[14.06,50.93],[14.31,51.12],[14.57,51],[15.02,51.11]]]}},
+    {"type":"Feature","id":"232","properties":{"name":"Eritrea"},"geometry":{"type":"Polygon","coordinates":[[[36.43,14.42],[36.32,14.82],[36.75,16.29],[36.85,16.96],[37.17,17.26],[37.9,17.43],[38.41,18],[38.99,16.84],[39.27,15.92],[39.81,15.44],[41.18,14.49],[41.73,13.92],[42.28,13.34],[42.59,13],[43.08,12.7],[42.78,12.46],[42.35,12.54],[42.01,12.87],[41.6,13.45],[41.15,13.77],[40.9,14.12],[40.03,14.52],[39.34,14.53],[39.1,14.74],[38.51,14.51],[37.91,14.96],[37.59,14.21],[36.43,14.42]]]}},
+    {"type":"Feature","id":"392","properties":{"name":"Japan"},"geometry":{"type":"MultiPolygon","coordinates":[[[[141.88,39.18],[140.96,38.17],[140.98,37.14],[140.6,36.34],[140.77,35.84],[140.25,35.14],[138.97,34.67],[137.22,34.61],[135.79,33.46],[135.12,33.85],[135.08,34.6],[133.34,34.38],[132.16,33.9],[130.99,33.89],[132,33.15],[131.33,31.45],[130.69,31.03],[130.2,31.42],[130.45,32.32],[129.82,32.61],[129.41,33.3],[130.36,33.6],[130.88,34.23],[131.89,34.75],[132.62,35.43],[134.61,35.73],[135.68,35.53],[136.72,37.3],[137.39,36.83],[138.86,37.83],[139.43,38.22],[140.05,39.44],[139.88,40.56],[140.31,41.2],[141.37,41.38],[141.92,39.99],[141.88,39.18]]],[[[144.61,43.96],[145.32,44.38],[145.54,43.26],[144.06,42.99],[143.18,41.99],[141.61,42.68],[141.07,41.59],[139.96,41.57],[139.82,42.56],[140.31,43.33],[141.38,43.39],[141.67,44.77],[141.97,45.55],[143.14,44.51],[143.91,44.17],[144.61,43.96]]],[[[132.37,33.46],[132.93,34.06],[133.49,33.94],[133.91,34.36],[134.64,34.15],[134.77,33.81],[134.2,33.2],[133.79,33.52],[133.28,33.29],[133.02,32.7],[132.36,32.99],[132.37,33.46]]]]}},
+    {"type":"Feature","id":"600","properties":{"name":"Paraguay"},"geometry":{"type":"Polygon","coordinates":[[[-58.17,-20.18],[-57.87,-20.73],[-57.94,-22.09],[-56.88,-22.28],[-56.47,-22.09],[-55.8,-22.36],[-55.61,-22.66],[-55.52,-23.57],[-55.4,-23.96],[-55.03,-24],[-54.65,-23.84],[-54.29,-24.02],[-54.29,-24.57],[-54.43,-25.16],[-54.63,-25.74],[-54.79,-26.62],[-55.69,-27.39],[-56.49,-27.55],[-57.61,-27.4],[-58.62,-27.12],[-57.63,-25.6],[-57.78,-25.16],[-58.81,-24.77],[-60.03,-24.03],[-60.85,-23.88],[-62.69,-22.25],[-62.29,-21.05],[-62.26,-20.51],[-61.79,-19.63],[-60.04,-19.34],[-59.11,-19.36],[-58.18,-19.87],[-58.17,-20.18]]]}},
+    {"type":"Feature","id":"887","properties":{"name":"Yemen"},"geometry":{"type":"Polygon","coordinates":[[[52,19],[52.78,17.35],[53.11,16.65],[52.39,16.38],[52.19,15.94],[52.17,15.6],[51.17,15.18],[49.57,14.71],[48.68,14],[48.24,13.95],[47.94,14.01],[47.35,13.59],[46.72,13.4],[45.88,13.35],[45.63,13.29],[45.41,13.03],[45.14,12.95],[44.99,12.7],[44.49,12.72],[44.17,12.59],[43.48,12.64],[43.22,13.22],[43.25,13.77],[43.09,14.06],[42.89,14.8],[42.6,15.21],[42.81,15.26],[42.7,15.72],[42.82,15.91],[42.78,16.35],[43.22,16.67],[43.12,17.09],[43.38,17.58],[43.79,17.32],[44.06,17.41],[45.22,17.43],[45.4,17.33],[46.37,17.23],[46.75,17.28],[47,16.95],[47.47,17.12],[48.18,18.17],[49.12,18.62],[52,19]]]}},
+    {"type":"Feature","id":"682","properties":{"name":"Saudi Arabia"},"geometry":{"type":"Polygon","coordinates":[[[34.95,29.36],[36.07,29.2],[36.5,29.51],[36.74,29.87],[37.5,30],[37.67,30.34],[38,30.51],[37,31.51],[39,32.01],[39.2,32.16],[40.4,31.89],[41.89,31.19],[44.71,29.18],[46.57,29.1],[47.46,29],[47.71,28.53],[48.42,28.55],[48.81,27.69],[49.3,27.46],[49.47,27.11],[50.15,26.69],[50.21,26.28],[50.11,25.94],[50.24,25.61],[50.53,25.33],[50.66,25],[50.81,24.75],[51.11,24.56],[51.39,24.63],[51.58,24.24],[51.62,24.01],[52,23],[55.01,22.5],[55.21,22.71],[55.67,22],[55,20],[52,19],[49.12,18.62],[48.18,18.17],[47.47,17.12],[47,16.95],[46.75,17.28],[46.37,17.23],[45.4,17.33],[45.22,17.43],[44.06,17.41],[43.79,17.32],[43.38,17.58],[43.12,17.09],[43.22,16.67],[42.78,16.35],[42.65,16.77],[42.35,17.08],[42.27,17.47],[41.76,17.83],[41.22,18.67],[40.94,19.49],[40.25,20.17],[39.8,20.34],[39.14,21.29],[39.02,21.99],[39.07,22.58],[38.49,23.69],[38.03,24.08],[37.49,24.29],[37.15,24.86],[37.21,25.08],[36.93,25.6],[36.64,25.83],[36.25,26.57],[35.64,27.38],[35.13,28.06],[34.63,28.06],[34.79,28.61],[34.83,28.96],[34.95,29.36]]]}},
+    {"type":"Feature","id":"010","properties":{"name":"Antarctica"},"geometry":{"type":"MultiPolygon","coordinates":[[[[-48.66,-78.05],[-48.15,-78.05],[-46.66,-77.83],[-45.15,-78.05],[-43.92,-78.48],[-43.49,-79.09],[-43.37,-79.52],[-43.33,-80.03],[-44.88,-80.34],[-46.51,-80.59],[-48.39,-80.83],[-50.48,-81.03],[-52.85,-80.97],[-54.16,-80.63],[-53.99,-80.22],[-51.85,-79.95],[-50.99,-79.61],[-50.37,-79.18],[-49.91,-78.81],[-49.31,-78.46],[-48.66,-78.05]]],[[[-66.29,-80.26],[-64.04,-80.29],[-61.88,-80.39],[-61.14,-79.98],[-60.61,-79.63],[-59.57,-80.04],[-59.87,-80.55],[-60.16,-81],[-62.25,-80.86],[-64.49,-80.92],[-65.74,-80.59],[-65.74,-80.55],[-66.29,-80.26]]],[[[-73.91,-71.27],[-73.23,-71.15],[-72.07,-71.19],[-71.78,-70.68],[-71.72,-70.31],[-71.74,-69.51],[-71.17,-69.04],[-70.25,-68.88],[-69.72,-69.25],[-69.49,-69.62],[-69.06,-70.07],[-68.73,-70.5],[-68.45,-70.96],[-68.33,-71.41],[-68.51,-71.8],[-68.78,-72.17],[-69.96,-72.31],[-71.08,-72.5],[-72.39,-72.48],[-71.9,-72.09],[-73.08,-72.23],[-74.19,-72.37],[-74.95,-72.07],[-75.01,-71.66],[-73.91,-71.27]]],[[[-102.33,-71.89],[-101.7,-71.72],[-100.43,-71.86],[-98.98,-71.93],[-97.88,-72.07],[-96.79,-71.95],[-96.2,-72.52],[-96.98,-72.44],[-98.2,-72.48],[-99.43,-72.44],[-100.78,-72.5],[-101.8,-72.31],[-102.33,-71.89]]],[[[-122.62,-73.66],[-122.41,-73.32],[-121.21,-73.5],[-119.92,-73.66],[-118.72,-73.48],[-119.29,-73.83],[-120.23,-74.09],[-121.62,-74.01],[-122.62,-73.66]]],[[[-127.28,-73.46],[-126.56,-73.25],[-125.56,-73.48],[-124.03,-73.87],[-124.62,-73.83],[-125.91,-73.74],[-127.28,-73.46]]],[[[-163.71,-78.6],[-163.11,-78.22],[-161.24,-78.38],[-160.25,-78.69],[-159.48,-79.05],[-159.21,-79.5],[-161.13,-79.63],[-162.44,-79.28],[-163.03,-78.93],[-163.07,-78.87],[-163.71,-78.6]]],[[[-180,-84.71],[-179.94,-84.72],[-179.06,-84.14],[-177.26,-84.45],[-177.14,-84.42],[-176.08,-84.1],[-175.95,-84.11],[-175.83,-84.12],[-174.38,-84.53],[-173.12,-84.12],[-172.89,-84.06],[-169.95,-83.88],[-169,-84.12],[-168.53,-84.24],[-167.02,-84.57],[-164.18,-84.83],[-161.93,-85.14],[-158.07,-85.37],[-155.19,-85.1],[-150.94,-85.3],[-148.53,-85.61],[-145.89,-85.31],[-143.11,-85.04],[-142.89,-84.57],[-146.83,-84.53],[-150.06,-84.3],[-150.9,-83.9],[-153.59,-83.69],[-153.41,-83.24],[-153.04,-82.83],[-152.66,-82.45],[-152.86,-82.04],[-154.53,-81.77],[-155.29,-81.41],[-156.84,-81.1],[-154.41,-81.16],[-152.1,-81],[-150.65,-81.34],[-148.87,-81.04],[-147.22,-80.67],[-146.42,-80.34],[-146.77,-79.93],[-148.06,-79.65],[-149.53,-79.36],[-151.59,-79.3],[-153.39,-79.16],[-155.33,-79.06],[-155.98,-78.69],[-157.27,-78.38],[-158.05,-78.03],[-158.36,-76.89],[-157.87,-76.99],[-156.97,-77.3],[-155.33,-77.2],[-153.74,-77.07],[-152.92,-77.5],[-151.33,-77.4],[-150,-77.18],[-148.75,-76.91],[-147.61,-76.58],[-146.11,-76.48],[-146.15,-76.11],[-146.49,-75.73],[-146.2,-75.38],[-144.91,-75.2],[-144.32,-75.54],[-142.79,-75.34],[-141.64,-75.09],[-140.21,-75.07],[-138.86,-74.97],[-137.51,-74.73],[-136.43,-74.52],[-135.22,-74.3],[-134.43,-74.36],[-133.75,-74.44],[-132.26,-74.3],[-130.92,-74.48],[-129.55,-74.46],[-128.24,-74.32],[-126.89,-74.42],[-125.4,-74.52],[-124.01,-74.48],[-122.56,-74.5],[-121.07,-74.52],[-119.7,-74.48],[-118.68,-74.18],[-117.47,-74.03],[-116.21,-74.24],[-115.02,-74.07],[-113.94,-73.72],[-113.3,-74.03],[-112.95,-74.38],[-112.3,-74.71],[-111.26,-74.42],[-110.07,-74.79],[-108.72,-74.91],[-107.56,-75.18],[-106.15,-75.13],[-104.87,-74.95],[-103.37,-74.99],[-102.02,-75.13],[-100.64,-75.3],[-100.12,-74.87],[-100.76,-74.54],[-101.25,-74.18],[-102.55,-74.11],[-103.11,-73.73],[-103.33,-73.36],[-103.68,-72.62],[-102.92,-72.75],[-101.61,-72.81],[-100.31,-72.75],[-99.14,-72.91],[-98.12,-73.21],[-97.69,-73.56],[-96.34,-73.62],[-95.04,-73.48],[-93.67,-73.28],[-92.44,-73.17],[-91.42,-73.4],[-90.09,-73.32],[-89.23,-72.56],[-88.42,-73.01],[-87.27,-73.19],[-86.01,-73.09],[-85.19,-73.48],[-83.88,-73.52],[-82.67,-73.64],[-81.47,-73.85],[-80.69,-73.48],[-80.3,-73.13],[-79.3,-73.52],[-77.92,-73.42],[-76.91,-73.64],[-76.22,-73.97],[-74.89,-73.87],[-73.85,-73.66],[-72.83,-73.4],[-71.62,-73.26],[-70.21,-73.15],[-68.94,-73.01],[-67.96,-72.79],[-67.37,-72.48],[-67.14,-72.05],[-67.25,-71.64],[-67.56,-71.25],[-67.92,-70.85],[-68.23,-70.46],[-68.49,-70.11],[-68.54,-69.72],[-68.45,-69.32],[-67.98,-68.95],[-67.59,-68.54],[-67.43,-68.15],[-67.62,-67.72],[-67.74,-67.33],[-67.25,-66.88],[-66.7,-66.58],[-66.06,-66.21],[-65.37,-65.9],[-64.57,-65.6],[-64.18,-65.17],[-63.63,-64.9],[-63,-64.64],[-62.04,-64.58],[-61.41,-64.27],[-60.71,-64.07],[-59.89,-63.96],[-59.16,-63.7],[-58.6,-63.39],[-57.81,-63.27],[-57.22,-63.53],[-57.6,-63.86],[-58.61,-64.15],[-59.05,-64.37],[-59.79,-64.21],[-60.61,-64.31],[-61.3,-64.55],[-62.02,-64.8],[-62.51,-65.09],[-62.65,-65.48],[-62.59,-65.86],[-62.12,-66.19],[-62.8,-66.43],[-63.74,-66.5],[-64.29,-66.84],[-64.88,-67.15],[-65.51,-67.58],[-65.67,-67.95],[-65.31,-68.37],[-64.78,-68.68],[-63.96,-68.91],[-63.2,-69.23],[-62.79,-69.62],[-62.57,-69.99],[-62.28,-70.38],[-61.81,-70.72],[-61.51,-71.09],[-61.38,-72.01],[-61.08,-72.38],[-61,-72.77],[-60.69,-73.17],[-60.83,-73.7],[-61.38,-74.11],[-61.96,-74.44],[-63.29,-74.58],[-63.74,-74.93],[-64.35,-75.26],[-65.86,-75.63],[-67.19,-75.79],[-68.45,-76.01],[-69.8,-76.22],[-70.6,-76.64],[-72.21,-76.67],[-73.97,-76.64],[-75.56,-76.71],[-77.24,-76.71],[-76.93,-77.11],[-75.4,-77.28],[-74.28,-77.56],[-73.65,-77.91],[-74.77,-78.22],[-76.5,-78.12],[-77.92,-78.38],[-77.99,-78.79],[-78.03,-79.18],[-76.85,-79.51],[-76.63,-79.89],[-75.36,-80.26],[-73.24,-80.42],[-71.44,-80.69],[-70.01,-81],[-68.19,-81.32],[-65.71,-81.47],[-63.25,-81.75],[-61.55,-82.04],[-59.69,-82.38],[-58.71,-82.85],[-58.22,-83.22],[-57.01,-82.87],[-55.36,-82.57],[-53.62,-82.26],[-51.54,-82],[-49.76,-81.73],[-47.27,-81.71],[-44.83,-81.85],[-42.81,-82.08],[-42.16,-81.65],[-40.77,-81.36],[-38.24,-81.34],[-36.26,-81.12],[-34.39,-80.91],[-32.31,-80.77],[-30.1,-80.59],[-28.55,-80.34],[-29.26,-79.98],[-29.68,-79.63],[-29.68,-79.26],[-31.62,-79.3],[-33.68,-79.46],[-35.64,-79.46],[-35.92,-79.08],[-35.78,-78.34],[-35.33,-78.12],[-33.9,-77.89],[-32.21,-77.65],[-31,-77.36],[-29.78,-77.07],[-28.88,-76.67],[-27.51,-76.5],[-26.16,-76.36],[-25.48,-76.28],[-23.93,-76.24],[-22.46,-76.11],[-21.22,-75.91],[-20.01,-75.67],[-18.91,-75.44],[-17.52,-75.13],[-16.64,-74.79],[-15.7,-74.5],[-15.41,-74.11],[-16.46,-73.87],[-16.11,-73.46],[-15.45,-73.15],[-14.41,-72.95],[-13.31,-72.72],[-12.29,-72.4],[-11.51,-72.01],[-11.02,-71.54],[-10.29,-71.26],[-9.1,-71.32],[-8.61,-71.66],[-7.42,-71.7],[-7.38,-71.32],[-6.87,-70.93],[-5.79,-71.03],[-5.54,-71.4],[-4.34,-71.46],[-3.05,-71.28],[-1.79,-71.17],[-0.66,-71.23],[-0.23,-71.64],[0.87,-71.31],[1.89,-71.13],[3.02,-70.99],[4.14,-70.85],[5.16,-70.62],[6.27,-70.46],[7.14,-70.25],[7.74,-69.89],[8.49,-70.15],[9.52,-70.01],[10.25,-70.48],[10.82,-70.83],[11.95,-70.64],[12.4,-70.25],[13.42,-69.97],[14.74,-70.03],[15.13,-70.4],[15.95,-70.03],[17.03,-69.91],[18.2,-69.88],[19.26,-69.89],[20.37,-70.01],[21.45,-70.07],[21.92,-70.4],[22.57,-70.7],[23.66,-70.52],[24.84,-70.48],[25.98,-70.48],[27.09,-70.46],[28.09,-70.33],[29.15,-70.21],[30.03,-69.93],[30.97,-69.76],[31.99,-69.66],[32.75,-69.38],[33.3,-68.84],[33.87,-68.5],[34.91,-68.66],[35.3,-69.01],[36.16,-69.25],[37.2,-69.17],[37.91,-69.52],[38.65,-69.78],[39.67,-69.54],[40.02,-69.11],[40.92,-68.93],[41.96,-68.6],[42.94,-68.46],[44.11,-68.27],[44.9,-68.05],[45.72,-67.82],[46.5,-67.6],[47.44,-67.72],[48.34,-67.37],[48.99,-67.09],[49.93,-67.11],[50.76,-66.88],[50.95,-66.52],[51.79,-66.25],[52.61,-66.05],[53.61,-65.9],[54.54,-65.82],[55.41,-65.88],[56.36,-65.98],[57.16,-66.25],[57.26,-66.68],[58.14,-67.01],[58.74,-67.29],[59.94,-67.41],[60.6,-67.68],[61.43,-67.95],[62.39,-68.01],[63.19,-67.82],[64.05,-67.41],[64.99,-67.62],[65.97,-67.74],[66.91,-67.86],[67.89,-67.93],[68.89,-67.93],[69.71,-68.97],[69.67,-69.23],[69.55,-69.68],[68.6,-69.93],[67.81,-70.3],[67.95,-70.7],[69.06,-70.68],[68.93,-71.07],[68.42,-71.44],[67.95,-71.85],[68.71,-72.17],[69.87,-72.26],[71.02,-72.09],[71.57,-71.7],[71.91,-71.32],[72.46,-71.01],[73.08,-70.72],[73.33,-70.36],[73.86,-69.88],[74.49,-69.78],[75.63,-69.74],[76.62,-69.62],[77.64,-69.46],[78.13,-69.07],[78.43,-68.7],[79.11,-68.33],[80.09,-68.07],[80.93,-67.88],[81.49,-67.54],[82.05,-67.37],[82.78,-67.21],[83.77,-67.31],[84.67,-67.21],[85.65,-67.09],[86.75,-67.15],[87.48,-66.88],[87.99,-66.21],[88.36,-66.48],[88.83,-66.96],[89.67,-67.15],[90.63,-67.23],[91.59,-67.11],[92.61,-67.19],[93.55,-67.21],[94.18,-67.11],[95.02,-67.17],[95.78,-67.39],[96.68,-67.25],[97.76,-67.25],[98.68,-67.11],[99.72,-67.25],[100.39,-66.91],[100.89,-66.58],[101.58,-66.31],[102.83,-65.56],[103.48,-65.7],[104.24,-65.98],[104.91,-66.33],[106.18,-66.94],[107.16,-66.96],[108.08,-66.96],[109.16,-66.84],[110.23,-66.7],[111.06,-66.43],[111.74,-66.13],[112.86,-66.09],[113.6,-65.88],[114.39,-66.07],[114.9,-66.39],[115.6,-66.7],[116.7,-66.66],[117.38,-66.91],[118.58,-67.17],[119.83,-67.27],[120.87,-67.19],[121.65,-66.88],[122.32,-66.56],[123.22,-66.48],[124.12,-66.62],[125.16,-66.72],[126.1,-66.56],[127,-66.56],[127.88,-66.66],[128.8,-66.76],[129.7,-66.58],[130.78,-66.43],[131.8,-66.39],[132.94,-66.39],[133.85,-66.29],[134.76,-66.21],[135.03,-65.72],[135.07,-65.31],[135.7,-65.58],[135.87,-66.03],[136.21,-66.45],[136.62,-66.78],[137.46,-66.96],[138.6,-66.9],[139.91,-66.88],[140.81,-66.82],[142.12,-66.82],[143.06,-66.8],[144.37,-66.84],[145.49,-66.91],[146.2,-67.23],[146,-67.6],[146.65,-67.89],[147.72,-68.13],[148.84,-68.39],[150.13,-68.56],[151.48,-68.72],[152.5,-68.87],[153.64,-68.9],[154.28,-68.56],[155.17,-68.84],[155.93,-69.15],[156.81,-69.38],[158.03,-69.48],[159.18,-69.6],[159.67,-69.99],[160.81,-70.23],[161.57,-70.58],[162.69,-70.74],[163.84,-70.72],[164.92,-70.78],[166.11,-70.76],[167.31,-70.83],[168.43,-70.97],[169.46,-71.21],[170.5,-71.4],[171.21,-71.7],[171.09,-72.09],[170.56,-72.44],[170.11,-72.89],[169.76,-73.24],[169.29,-73.66],[167.98,-73.81],[167.39,-74.17],[166.09,-74.38],[165.64,-74.77],[164.96,-75.15],[164.24,-75.46],[163.82,-75.87],[163.57,-76.24],[163.47,-76.69],[163.49,-77.07],[164.06,-77.46],[164.28,-77.83],[164.74,-78.18],[166.6,-78.32],[167,-78.75],[165.19,-78.91],[163.67,-79.12],[161.77,-79.16],[160.92,-79.73],[160.75,-80.2],[160.32,-80.57],[159.79,-80.95],[161.12,-81.28],[161.63,-81.69],[162.49,-82.06],[163.71,-82.39],[165.1,-82.71],[166.6,-83.02],[168.89,-83.34],[169.41,-83.83],[172.29,-84.04],[172.48,-84.12],[173.22,-84.41],[175.99,-84.16],[178.28,-84.47],[180,-84.71],[-180,-84.71]]]]}},
+    {"type":"Feature","id":"N. Cyprus","properties":{"name":"N. Cyprus"},"geometry":{"type":"Polygon","coordinates":[[[32.73,35.14],[32.8,35.14],[32.95,35.39],[33.67,35.37],[34.58,35.67],[33.9,35.25],[33.98,35.06],[33.87,35.09],[33.68,35.02],[33.53,35.04],[33.47,35],[33.46,35.1],[33.38,35.16],[33.19,35.17],[32.92,35.09],[32.73,35.14]]]}},
+    {"type":"Feature","id":"196","properties":{"name":"Cyprus"},"geometry":{"type":"Polygon","coordinates":[[[32.73,35.14],[32.92,35.09],[33.19,35.17],[33.38,35.16],[33.46,35.1],[33.47,35],[33.53,35.04],[33.68,35.02],[33.87,35.09],[33.98,35.06],[34,34.98],[32.98,34.57],[32.49,34.7],[32.26,35.1],[32.73,35.14]]]}},
+    {"type":"Feature","id":"504","properties":{"name":"Morocco"},"geometry":{"type":"Polygon","coordinates":[[[-2.17,35.17],[-1.79,34.53],[-1.73,33.92],[-1.39,32.86],[-1.13,32.65],[-1.31,32.26],[-2.62,32.09],[-3.07,31.72],[-3.65,31.64],[-3.69,30.9],[-4.86,30.5],[-5.24,30],[-6.06,29.73],[-7.06,29.58],[-8.67,28.84],[-8.67,27.66],[-8.82,27.66],[-8.79,27.12],[-9.41,27.09],[-9.74,26.86],[-10.19,26.86],[-10.55,26.99],[-11.39,26.88],[-11.72,26.1],[-12.03,26.03],[-12.5,24.77],[-13.89,23.69],[-14.22,22.31],[-14.63,21.86],[-14.75,21.5],[-17,21.42],[-17.02,21.42],[-16.97,21.89],[-16.59,22.16],[-16.26,22.68],[-16.33,23.02],[-15.98,23.72],[-15.42,24.36],[-15.09,24.52],[-14.82,25.1],[-14.8,25.64],[-14.44,26.25],[-13.78,26.62],[-13.14,27.64],[-13.12,27.65],[-12.62,28.04],[-11.69,28.15],[-10.9,28.83],[-10.4,29.1],[-9.56,29.93],[-9.82,31.18],[-9.43,32.04],[-9.3,32.57],[-8.66,33.24],[-7.66,33.7],[-6.91,34.11],[-6.24,35.15],[-5.93,35.76],[-5.19,35.76],[-4.59,35.33],[-3.64,35.4],[-2.6,35.18],[-2.17,35.17]]]}},
+    {"type":"Feature","id":"818","properties":{"name":"Egypt"},"geometry":{"type":"Polygon","coordinates":[[[36.87,22],[32.9,22],[29.02,22],[25,22],[25,25.68],[25,29.24],[24.7,30.04],[24.96,30.66],[24.8,31.09],[25.17,31.57],[26.49,31.59],[27.46,31.32],[28.45,31.03],[28.91,30.87],[29.68,31.19],[30.09,31.47],[30.98,31.56],[31.69,31.43],[31.96,30.93],[32.19,31.26],[32.99,31.02],[33.77,30.97],[34.27,31.22],[34.82,29.76],[34.92,29.5],[34.64,29.1],[34.43,28.34],[34.16,27.82],[33.92,27.65],[33.59,27.97],[33.14,28.42],[32.42,29.85],[32.32,29.76],[32.73,28.7],[33.35,27.7],[34.1,26.14],[34.47,25.6],[34.8,25.03],[35.69,23.93],[35.49,23.75],[35.53,23.1],[36.69,22.21],[36.87,22]]]}},
+    {"type":"Feature","id":"434","properties":{"name":"Libya"},"geometry":{"type":"Polygon","coordinates":[[[25,22],[25,20],[23.85,20],[23.84,19.58],[19.85,21.49],[15.86,23.41],[14.85,22.86],[14.14,22.49],[13.58,23.04],[12,23.47],[11.56,24.1],[10.77,24.56],[10.31,24.38],[9.95,24.94],[9.91,25.37],[9.32,26.09],[9.71,26.51],[9.63,27.14],[9.76,27.69],[9.68,28.14],[9.86,28.96],[9.8,29.42],[9.48,30.31],[9.97,30.54],[10.06,30.96],[9.95,31.38],[10.64,31.76],[10.95,32.08],[11.43,32.37],[11.49,33.14],[12.66,32.79],[13.08,32.88],[13.92,32.71],[15.24,32.27],[15.71,31.38],[16.61,31.18],[18.02,30.76],[19.09,30.27],[19.58,30.53],[20.05,30.99],[19.82,31.75],[20.13,32.24],[20.85,32.71],[21.54,32.84],[22.89,32.64],[23.24,32.19],[23.61,32.19],[23.93,32.02],[24.92,31.9],[25.17,31.57],[24.8,31.09],[24.96,30.66],[24.7,30.04],[25,29.24],[25,25.68],[25,22]]]}},
+    {"type":"Feature","id":"231","properties":{"name":"Ethiopia"},"geometry":{"type":"Polygon","coordinates":[[[47.79,8],[44.96,5],[43.66,4.96],[42.77,4.25],[42.13,4.23],[41.86,3.92],[41.17,3.92],[40.77,4.26],[39.85,3.84],[39.56,3.42],[38.89,3.5],[38.67,3.62],[38.44,3.59],[38.12,3.6],[36.86,4.45],[36.16,4.45],[35.82,4.78],[35.82,5.34],[35.3,5.51],[34.71,6.59],[34.25,6.83],[34.08,7.23],[33.57,7.71],[32.95,7.78],[33.29,8.36],[33.82,8.38],[33.98,8.69],[33.96,9.58],[34.26,10.63],[34.73,10.91],[34.83,11.32],[35.26,12.08],[35.87,12.58],[36.27,13.56],[36.43,14.42],[37.59,14.21],[37.91,14.96],[38.51,14.51],[39.1,14.74],[39.34,14.53],[40.03,14.52],[40.9,14.12],[41.15,13.77],[41.6,13.45],[42.01,12.87],[42.35,12.54],[42,12.1],[41.66,11.63],[41.74,11.36],[41.76,11.05],[42.31,11.03],[42.55,11.11],[42.78,10.93],[42.56,10.57],[42.93,10.02],[43.3,9.54],[43.68,9.18],[46.95,8],[47.79,8]]]}},
+    {"type":"Feature","id":"262","properties":{"name":"Djibouti"},"geometry":{"type":"Polygon","coordinates":[[[42.35,12.54],[42.78,12.46],[43.08,12.7],[43.32,12.39],[43.29,11.98],[42.72,11.74],[43.14,11.46],[42.78,10.93],[42.55,11.11],[42.31,11.03],[41.76,11.05],[41.74,11.36],[41.66,11.63],[42,12.1],[42.35,12.54]]]}},
+    {"type":"Feature","id":"Somaliland","properties":{"name":"Somaliland"},"geometry":{"type":"Polygon","coordinates":[[[48.95,11.41],[48.94,11.39],[48.94,10.98],[48.94,9.97],[48.94,9.45],[48.49,8.84],[47.79,8],[46.95,8],[43.68,9.18],[43.3,9.54],[42.93,10.02],[42.56,10.57],[42.78,10.93],[43.14,11.46],[43.47,11.28],[43.67,10.86],[44.12,10.45],[44.61,10.44],[45.56,10.7],[46.64,10.82],[47.53,11.13],[48.02,11.19],[48.38,11.38],[48.95,11.41]]]}},
+    {"type":"Feature","id":"800","properties":{"name":"Uganda"},"geometry":{"type":"Polygon","coordinates":[[[33.9,-0.95],[31.87,-1.03],[30.77,-1.01],[30.42,-1.14],[29.82,-1.44],[29.58,-1.34],[29.59,-0.59],[29.82,-0.21],[29.87,0.6],[30.09,1.06],[30.47,1.58],[30.85,1.85],[31.17,2.2],[30.77,2.34],[30.83,3.51],[31.25,3.78],[31.88,3.56],[32.69,3.79],[33.39,3.79],[34,4.25],[34.48,3.55],[34.59,3.05],[35.04,1.91],[34.67,1.18],[34.18,0.52],[33.89,0.11],[33.9,-0.95]]]}},
+    {"type":"Feature","id":"646","properties":{"name":"Rwanda"},"geometry":{"type":"Polygon","coordinates":[[[30.42,-1.14],[30.81,-1.7],[30.76,-2.29],[30.47,-2.41],[29.94,-2.35],[29.63,-2.92],[29.03,-2.84],[29.12,-2.29],[29.26,-2.21],[29.29,-1.62],[29.58,-1.34],[29.82,-1.44],[30.42,-1.14]]]}},
+    {"type":"Feature","id":"070","properties":{"name":"Bosnia and Herz."},"geometry":{"type":"Polygon","coordinates":[[[18.56,42.65],[17.67,43.03],[17.3,43.45],[16.91,43.67],[16.46,44.04],[16.24,44.35],[15.75,44.82],[15.96,45.23],[16.32,45],[16.53,45.21],[17,45.23],[17.86,45.07],[18.55,45.08],[19.01,44.86],[19.37,44.86],[19.12,44.42],[19.6,44.04],[19.45,43.57],[19.22,43.52],[19.03,43.43],[18.71,43.2],[18.56,42.65]]]}},
+    {"type":"Feature","id":"807","properties":{"name":"Macedonia"},"geometry":{"type":"Polygon","coordinates":[[[22.38,42.32],[22.88,42],[22.95,41.34],[22.76,41.3],[22.6,41.13],[22.06,41.15],[21.67,40.93],[21.02,40.84],[20.6,41.09],[20.46,41.52],[20.59,41.86],[20.72,41.85],[20.76,42.05],[21.35,42.21],[21.58,42.25],[21.92,42.3],[22.38,42.32]]]}},
+    {"type":"Feature","id":"688","properties":{"name":"Serbia"},"geometry":{"type":"Polygon","coordinates":[[[18.83,45.91],[19.6,46.17],[20.22,46.13],[20.76,45.74],[20.87,45.42],[21.48,45.18],[21.56,44.77],[22.15,44.48],[22.46,44.7],[22.71,44.58],[22.47,44.41],[22.66,44.24],[22.41,44.01],[22.5,43.64],[22.98,43.21],[22.61,42.9],[22.44,42.58],[22.55,42.46],[22.38,42.32],[21.92,42.3],[21.58,42.25],[21.54,42.32],[21.66,42.44],[21.77,42.68],[21.63,42.68],[21.44,42.86],[21.27,42.91],[21.14,43.07],[20.96,43.13],[20.81,43.27],[20.63,43.22],[20.5,42.88],[20.26,42.81],[20.34,42.9],[19.96,43.11],[19.63,43.21],[19.49,43.35],[19.22,43.52],[19.45,43.57],[19.6,44.04],[19.12,44.42],[19.37,44.86],[19.01,44.86],[19.39,45.24],[19.07,45.52],[18.83,45.91]]]}},
+    {"type":"Feature","id":"499","properties":{"name":"Montenegro"},"geometry":{"type":"Polygon","coordinates":[[[20.07,42.59],[19.8,42.5],[19.74,42.69],[19.31,42.2],[19.37,41.88],[19.16,41.96],[18.88,42.28],[18.45,42.48],[18.56,42.65],[18.71,43.2],[19.03,43.43],[19.22,43.52],[19.49,43.35],[19.63,43.21],[19.96,43.11],[20.34,42.9],[20.26,42.81],[20.07,42.59]]]}},
+    {"type":"Feature","id":"983","properties":{"name":"Kosovo"},"geometry":{"type":"Polygon","coordinates":[[[20.59,41.86],[20.52,42.22],[20.28,42.32],[20.07,42.59],[20.26,42.81],[20.5,42.88],[20.63,43.22],[20.81,43.27],[20.96,43.13],[21.14,43.07],[21.27,42.91],[21.44,42.86],[21.63,42.68],[21.77,42.68],[21.66,42.44],[21.54,42.32],[21.58,42.25],[21.35,42.21],[20.76,42.05],[20.72,41.85],[20.59,41.86]]]}},
+    {"type":"Feature","id":"780","properties":{"name":"Trinidad and Tobago"},"geometry":{"type":"Polygon","coordinates":[[[-61.68,10.76],[-61.11,10.89],[-60.9,10.85],[-60.94,10.11],[-61.77,10],[-61.95,10.09],[-61.66,10.37],[-61.68,10.76]]]}},
+    {"type":"Feature","id":"728","properties":{"name":"S. Sudan"},"geometry":{"type":"Polygon","coordinates":[[[30.83,3.51],[29.95,4.17],[29.72,4.6],[29.16,4.39],[28.7,4.46],[28.43,4.29],[27.98,4.41],[27.37,5.23],[27.21,5.55],[26.47,5.95],[26.21,6.55],[25.8,6.98],[25.12,7.5],[25.12,7.83],[24.57,8.23],[23.89,8.62],[24.19,8.73],[24.54,8.92],[24.8,9.81],[25.07,10.27],[25.79,10.41],[25.96,10.14],[26.48,9.55],[26.75,9.47],[27.11,9.64],[27.83,9.6],[27.97,9.4],[28.97,9.4],[29,9.6],[29.51,9.79],[29.62,10.08],[30,10.29],[30.84,9.71],[31.35,9.81],[31.85,10.53],[32.4,11.08],[32.32,11.68],[32.07,11.97],[32.68,12.02],[32.74,12.25],[33.21,12.18],[33.09,11.44],[33.21,10.72],[33.72,10.33],[33.84,9.98],[33.82,9.48],[33.96,9.46],[33.98,8.69],[33.82,8.38],[33.29,8.36],[32.95,7.78],[33.57,7.71],[34.08,7.23],[34.25,6.83],[34.71,6.59],[35.3,5.51],[34.62,4.85],[34,4.25],[33.39,3.79],[32.69,3.79],[31.88,3.56],[31.25,3.78],[30.83,3.51]]]}}
+  ]
+};
+
+// [id, names and codes, longitude, latitude]; the point is the centroid of the largest landmass
+const GAZETTEER_COUNTRIES = [
+["004",["Afghanistan","AF","AFG"],66,33.84],
+["008",["Albania","AL","ALB"],20.03,41.13],
+["012",["Algeria","DZ","DZA"],2.61,28.09],
+["016",["American Samoa","AS","ASM"],-170.7,-14.28],
+["020",["Andorra","AD","AND"],1.52,42.51],
+["024",["Angola","AO","AGO"],17.5,-12.27],
+["660",["Anguilla","AI","AIA"],-63.06,18.22],
+["010",["Antarctica","AQ","ATA"],83.14,-84.78],
+["028",["Antigua and Barbuda","AG","ATG"],-61.84,17.12],
+["032",["Argentina","AR","ARG"],-64.74,-34.57],
+["051",["Armenia","AM","ARM"],45.01,40.21],
+["533",["Aruba","AW","ABW"],-70.03,12.52],
+["036",["Australia","AU","AUS"],134.23,-25.62],
+["040",["Austria","AT","AUT"],14.06,47.62],
+["031",["Azerbaijan","AZ","AZE"],47.69,40.28],
+["044",["Bahamas","BS","BHS"],-77.92,24.51],
+["048",["Bahrain","BH","BHR"],50.59,26.23],
+["050",["Bangladesh","BD","BGD"],90.27,23.84],
+["052",["Barbados","BB","BRB"],-59.62,13.11],
+["112",["Belarus","BY","BLR"],27.97,53.5],
+["056",["Belgium","BE","BEL"],4.59,50.65],
+["084",["Belize","BZ","BLZ"],-88.7,17.19],
+["204",["Benin","BJ","BEN"],2.34,9.64],
+["060",["Bermuda","BM","BMU"],-64.68,32.38],
+["064",["Bhutan","BT","BTN"],90.47,27.43],
+["068",["Bolivia","BO","BOL"],-64.66,-16.7],
+["070",["Bosnia and Herz.","Bosnia and Herzegovina","BA","BIH"],17.82,44.18],
+["072",["Botswana","BW","BWA"],23.78,-22.08],
+["076",["Brazil","BR","BRA"],-53.17,-10.66],
+["096",["Brunei","Brunei Darussalam","BN","BRN"],114.92,4.69],
+["100",["Bulgaria","BG","BGR"],25.19,42.76],
+["854",["Burkina Faso","BF","BFA"],-1.78,12.31],
+["108",["Burundi","BI","BDI"],29.92,-3.38],
+["116",["Cambodia","KH","KHM"],104.87,12.68],
+["120",["Cameroon","CM","CMR"],12.61,5.66],
+["124",["Canada","CA","CAN"],-97.86,58.45],
+["132",["Cape Verde","CV","CPV"],-23.51,14.93],
+["136",["Cayman Islands","KY","CYM"],-81.37,19.29],
+["140",["Central African Rep.","Central African Republic","CF","CAF"],20.37,6.55],
+["148",["Chad","TD","TCD"],18.57,15.28],
+["152",["Chile","CL","CHL"],-71.24,-35.89],
+["156",["China","People's Republic of China","CN","CHN"],103.42,36.75],
+["162",["Christmas Island","CX","CXR"],105.68,-10.42],
+["166",["Cocos (Keeling) Islands","CC","CCK"],96.82,-12.16],
+["170",["Colombia","CO","COL"],-73.07,3.92],
+["174",["Comoros","KM","COM"],43.26,-11.7],
+["178",["Congo","Republic of the Congo","CG","COG"],15.14,-0.84],
+["180",["Dem. Rep. Congo","Democratic Republic of the Congo","Congo","CD","COD"],23.58,-2.84],
+["184",["Cook Islands","CK","COK"],-159.78,-21.21],
+["188",["Costa Rica","CR","CRI"],-84.17,9.97],
+["384",["Côte d'Ivoire","Cote d'Ivoire","Ivory Coast","CI","CIV"],-5.61,7.55],
+["191",["Croatia","HR","HRV"],16.57,45.01],
+["192",["Cuba","CU","CUB"],-78.93,21.65],
+["196",["Cyprus","CY","CYP"],33.04,34.91],
+["203",["Czechia","Czech Republic","CZ","CZE"],15.35,49.78],
+["208",["Denmark","DK","DNK"],9.3,56.21],
+["262",["Djibouti","DJ","DJI"],42.5,11.77],
+["212",["Dominica","DM","DMA"],-61.39,15.3],
+["214",["Dominican Rep.","Dominican Republic","DO","DOM"],-70.46,18.88],
+["218",["Ecuador","EC","ECU"],-78.38,-1.45],
+["818",["Egypt","EG","EGY"],29.86,26.47],
+["222",["El Salvador","SV","SLV"],-88.87,13.72],
+["226",["Eq. Guinea","Equatorial Guinea","GQ","GNQ"],10.36,1.65],
+["232",["Eritrea","ER","ERI"],38.69,15.43],
+["233",["Estonia","EE","EST"],25.83,58.64],
+["231",["Ethiopia","ET","ETH"],39.56,8.65],
+["238",["Falkland Is.","Falkland Islands (Malvinas)","FK","FLK"],-59.42,-51.72],
+["234",["Faroe Islands","FO","FRO"],-6.77,62.01],
+["242",["Fiji","FJ","FJI"],178,-17.83],
+["246",["Finland","FI","FIN"],26.14,64.26],
+["250",["France","FR","FRA"],2.35,46.56],
+["254",["French Guiana","GF","GUF"],-52.33,4.93],
+["258",["French Polynesia","PF","PYF"],-149.6,-17.55],
+["260",["Fr. S. Antarctic Lands","French Southern Territories","TF","ATF"],69.53,-49.31],
+["266",["Gabon","GA","GAB"],11.69,-0.65],
+["270",["Gambia","Republic of The Gambia","The Gambia","GM","GMB"],-15.43,13.48],
+["268",["Georgia","GE","GEO"],43.5,42.17],
+["276",["Germany","DE","DEU"],10.27,51.08],
+["288",["Ghana","GH","GHA"],-1.24,7.92],
+["292",["Gibraltar","GI","GIB"],-5.35,36.14],
+["300",["Greece","GR","GRC"],22.54,39.32],
+["304",["Greenland","GL","GRL"],-41.96,73.15],
+["308",["Grenada","GD","GRD"],-61.75,12.05],
+["312",["Guadeloupe","GP","GLP"],-61.51,16.27],
+["316",["Guam","GU","GUM"],144.84,13.52],
+["320",["Guatemala","GT","GTM"],-90.37,15.7],
+["324",["Guinea","GN","GIN"],-11.06,10.45],
+["624",["Guinea-Bissau","GW","GNB"],-15.11,12.03],
+["328",["Guyana","GY","GUY"],-58.97,4.79],
+["332",["Haiti","HT","HTI"],-72.66,18.9],
+["336",["Holy See (Vatican City State)","VA","VAT"],12.45,41.9],
+["340",["Honduras","HN","HND"],-86.59,14.83],
+["344",["Hong Kong","HK","HKG"],114.17,22.28],
+["348",["Hungary","HU","HUN"],19.34,47.2],
+["352",["Iceland","IS","ISL"],-18.76,65.08],
+["356",["India","IN","IND"],79.54,22.82],
+["360",["Indonesia","ID","IDN"],114.02,-0.25],
+["364",["Iran","Islamic Republic of Iran","IR","IRN"],54.45,32.47],
+["368",["Iraq","IQ","IRQ"],43.79,33.01],
+["372",["Ireland","IE","IRL"],-8.02,53.17],
+["376",["Israel","IL","ISR"],35,31.48],
+["380",["Italy","IT","ITA"],12.37,43.43],
+["388",["Jamaica","JM","JAM"],-77.33,18.14],
+["392",["Japan","JP","JPN"],136.72,36.01],
+["400",["Jordan","JO","JOR"],36.77,31.24],
+["398",["Kazakhstan","KZ","KAZ"],67.23,48.41],
+["404",["Kenya","KE","KEN"],37.79,0.6],
+["296",["Kiribati","KI","KIR"],172.98,1.33],
+["408",["North Korea","KP","PRK"],127.13,40.13],
+["410",["South Korea","Korea, Republic of","Republic of Korea","KR","KOR"],127.82,36.42],
+["414",["Kuwait","KW","KWT"],47.6,29.31],
+["417",["Kyrgyzstan","KG","KGZ"],74.59,41.52],
+["418",["Laos","Lao People's Democratic Republic","LA","LAO"],103.79,18.43],
+["428",["Latvia","LV","LVA"],24.84,56.82],
+["422",["Lebanon","LB","LBN"],35.87,33.91],
+["426",["Lesotho","LS","LSO"],28.17,-29.63],
+["430",["Liberia","LR","LBR"],-9.41,6.43],
+["434",["Libya","LY","LBY"],18.03,26.99],
+["438",["Liechtenstein","LI","LIE"],9.51,47.16],
+["440",["Lithuania","LT","LTU"],23.89,55.28],
+["442",["Luxembourg","LU","LUX"],5.97,49.76],
+["446",["Macao","MO","MAC"],113.55,22.2],
+["450",["Madagascar","MG","MDG"],46.73,-19.3],
+["454",["Malawi","MW","MWI"],34.19,-13.16],
+["458",["Malaysia","MY","MYS"],114.67,3.55],
+["462",["Maldives","MV","MDV"],73.51,4.18],
+["466",["Mali","ML","MLI"],-3.59,17.24],
+["470",["Malta","MT","MLT"],14.46,35.9],
+["584",["Marshall Islands","MH","MHL"],171.38,7.09],
+["474",["Martinique","MQ","MTQ"],-61.07,14.6],
+["478",["Mauritania","MR","MRT"],-10.35,20.18],
+["480",["Mauritius","MU","MUS"],57.5,-20.16],
+["175",["Mayotte","YT","MYT"],45.23,-12.78],
+["484",["Mexico","MX","MEX"],-102.22,23.91],
+["583",["Micronesia, Federated States of","FM","FSM"],151.84,7.45],
+["498",["Moldova","Moldova, Republic of","MD","MDA"],28.42,47.2],
+["492",["Monaco","MC","MCO"],7.42,43.73],
+["496",["Mongolia","MN","MNG"],103.02,46.95],
+["500",["Montserrat","MS","MSR"],-62.21,16.79],
+["504",["Morocco","MA","MAR"],-8.69,29.82],
+["508",["Mozambique","MZ","MOZ"],35.54,-17.16],
+["104",["Myanmar","MM","MMR"],96.51,20.94],
+["516",["Namibia","NA","NAM"],17.14,-22.04],
+["520",["Nauru","NR","NRU"],166.91,-0.53],
+["524",["Nepal","NP","NPL"],84.04,28.25],
+["528",["Netherlands","The Netherlands","Netherlands (Kingdom of the)","NL","NLD"],5.5,52.29],
+["540",["New Caledonia","NC","NCL"],165.53,-21.26],
+["554",["New Zealand","NZ","NZL"],170.6,-43.96],
+["558",["Nicaragua","NI","NIC"],-85.02,12.85],
+["562",["Niger","NE","NER"],9.27,17.34],
+["566",["Nigeria","NG","NGA"],7.99,9.55],
+["570",["Niue","NU","NIU"],-169.92,-19.05],
+["574",["Norfolk Island","NF","NFK"],167.97,-29.05],
+["807",["Macedonia","The Republic of North Macedonia","North Macedonia","MK","MKD"],21.69,41.61],
+["580",["Northern Mariana Islands","MP","MNP"],145.75,15.21],
+["578",["Norway","NO","NOR"],12.37,64.09],
+["512",["Oman","OM","OMN"],56.07,20.56],
+["586",["Pakistan","PK","PAK"],69.24,29.91],
+["585",["Palau","PW","PLW"],134.47,7.34],
+["275",["Palestine","State of Palestine","PS","PSE"],35.27,31.94],
+["591",["Panama","PA","PAN"],-80.1,8.53],
+["598",["Papua New Guinea","PG","PNG"],144.32,-6.64],
+["600",["Paraguay","PY","PRY"],-58.43,-23.23],
+["604",["Peru","PE","PER"],-74.43,-9.15],
+["608",["Philippines","PH","PHL"],121.55,15.74],
+["612",["Pitcairn","Pitcairn Islands","PN","PCN"],-130.1,-25.07],
+["616",["Poland","PL","POL"],19.34,52.13],
+["620",["Portugal","PT","PRT"],-8.06,39.61],
+["630",["Puerto Rico","PR","PRI"],-66.48,18.24],
+["634",["Qatar","QA","QAT"],51.18,25.32],
+["638",["Reunion","RE","REU"],55.45,-20.88],
+["642",["Romania","RO","ROU"],24.95,45.85],
+["643",["Russia","Russian Federation","RU","RUS"],95.72,65.94],
+["646",["Rwanda","RW","RWA"],29.92,-2.01],
+["654",["Saint Helena","SH","SHN"],-5.72,-15.94],
+["659",["Saint Kitts and Nevis","KN","KNA"],-62.72,17.3],
+["662",["Saint Lucia","LC","LCA"],-61.01,14],
+["666",["Saint Pierre and Miquelon","PM","SPM"],-56.18,46.78],
+["670",["Saint Vincent and the Grenadines","VC","VCT"],-61.23,13.16],
+["882",["Samoa","WS","WSM"],-171.77,-13.83],
+["674",["San Marino","SM","SMR"],12.48,43.97],
+["678",["Sao Tome and Principe","ST","STP"],6.73,0.34],
+["682",["Saudi Arabia","SA","SAU"],44.64,24.09],
+["686",["Senegal","SN","SEN"],-14.51,14.35],
+["690",["Seychelles","SC","SYC"],55.46,-4.62],
+["694",["Sierra Leone","SL","SLE"],-11.8,8.53],
+["702",["Singapore","SG","SGP"],103.85,1.29],
+["703",["Slovakia","SK","SVK"],19.5,48.73],
+["705",["Slovenia","SI","SVN"],14.94,46.13],
+["090",["Solomon Is.","Solomon Islands","SB","SLB"],159.11,-7.9],
+["706",["Somalia","SO","SOM"],45.7,4.74],
+["710",["South Africa","ZA","ZAF"],25.16,-28.92],
+["239",["South Georgia and the South Sandwich Islands","GS","SGS"],-36.51,-54.28],
+["724",["Spain","ES","ESP"],-3.62,40.32],
+["144",["Sri Lanka","LK","LKA"],80.67,7.7],
+["729",["Sudan","SD","SDN"],29.83,15.97],
+["740",["Suriname","SR","SUR"],-55.91,4.12],
+["744",["Svalbard and Jan Mayen","SJ","SJM"],15.65,78.22],
+["748",["eSwatini","Eswatini","SZ","SWZ"],31.39,-26.49],
+["752",["Sweden","SE","SWE"],16.11,62.42],
+["756",["Switzerland","CH","CHE"],8.11,46.79],
+["760",["Syria","Syrian Arab Republic","SY","SYR"],38.52,35.01],
+["158",["Taiwan","Taiwan, Province of China","TW","TWN"],120.97,23.74],
+["762",["Tajikistan","TJ","TJK"],71.05,38.59],
+["834",["Tanzania","United Republic of Tanzania","TZ","TZA"],34.74,-6.25],
+["764",["Thailand","TH","THA"],101,14.98],
+["626",["Timor-Leste","TL","TLS"],125.97,-8.77],
+["768",["Togo","TG","TGO"],1,8.43],
+["772",["Tokelau","TK","TKL"],-172.52,-8.54],
+["776",["Tonga","TO","TON"],-175.2,-21.14],
+["780",["Trinidad and Tobago","TT","TTO"],-61.33,10.43],
+["788",["Tunisia","TN","TUN"],9.54,34.14],
+["792",["Turkey","Türkiye","TR","TUR"],35.37,39.06],
+["795",["Turkmenistan","TM","TKM"],59.35,39.1],
+["796",["Turks and Caicos Islands","TC","TCA"],-71.14,21.46],
+["798",["Tuvalu","TV","TUV"],179.19,-8.52],
+["800",["Uganda","UG","UGA"],32.36,1.3],
+["804",["Ukraine","UA","UKR"],31.29,49.19],
+["784",["United Arab Emirates","UAE","AE","ARE"],54.2,23.87],
+["826",["United Kingdom","UK","Great Britain","GB","GBR"],-2.57,53.77],
+["840",["United States of America","United States","USA","U.S.A.","US","U.S."],-98.74,39.87],
+["858",["Uruguay","UY","URY"],-56.01,-32.77],
+["860",["Uzbekistan","UZ","UZB"],63.36,41.77],
+["548",["Vanuatu","VU","VUT"],166.91,-15.22],
+["862",["Venezuela","VE","VEN"],-66.15,7.16],
+["704",["Vietnam","VN","VNM"],106.33,16.55],
+["092",["Virgin Islands, British","VG","VGB"],-64.62,18.43],
+["850",["Virgin Islands, U.S.","VI","VIR"],-64.75,17.73],
+["876",["Wallis and Futuna","WF","WLF"],-176.17,-13.28],
+["732",["W. Sahara","Western Sahara","EH","ESH"],-12.19,24.28],
+["887",["Yemen","YE","YEM"],47.51,15.92],
+["894",["Zambia","ZM","ZMB"],27.76,-13.39],
+["716",["Zimbabwe","ZW","ZWE"],29.79,-18.9],
+["248",["Åland Islands","Aland Islands","AX","ALA"],19.93,60.1],
+["535",["Bonaire, Sint Eustatius and Saba","BQ","BES"],-68.27,12.15],
+["531",["Curaçao","CW","CUW"],-68.93,12.11],
+["831",["Guernsey","GG","GGY"],-2.54,49.46],
+["833",["Isle of Man","IM","IMN"],-4.48,54.15],
+["832",["Jersey","JE","JEY"],-2.1,49.19],
+["499",["Montenegro","ME","MNE"],19.29,42.79],
+["652",["Saint Barthélemy","BL","BLM"],-62.85,17.9],
+["663",["Saint Martin (French part)","MF","MAF"],-63.08,18.07],
+["688",["Serbia","RS","SRB"],20.84,44.22],
+["534",["Sint Maarten (Dutch part)","SX","SXM"],-63.07,18.05],
+["728",["S. Sudan","South Sudan","SS","SSD"],30.2,7.29],
+["983",["Kosovo","XK","XKK"],21.17,42.67],
+["N. Cyprus",["N. Cyprus"],33.55,35.27],
+["Somaliland",["Somaliland"],46.23,9.76],
+["074",["Bouvet Island","BV","BVT"],3.36,-54.43],
+["334",["Heard Island and McDonald Islands","HM","HMD"],73.52,-53.1],
+["581",["United States Minor Outlying Islands","UM","UMI"],166.63,19.3]
+];
+
+// INSDC /country qualifier names missing above, by country id. Territories within a
+// country (Gaza Strip, Kerguelen Archipelago) take its id, and former names their successor's.
+const GAZETTEER_COUNTRY_ALIASES = [
+["036",["Ashmore and Cartier Islands","Coral Sea Islands"]],
+["092",["British Virgin Islands"]],
+["104",["Burma"]],
+["166",["Cocos Islands"]],
+["180",["Zaire","Belgian Congo"]],
+["238",["Falkland Islands (Islas Malvinas)","Falkland Islands"]],
+["250",["Clipperton Island"]],
+["260",["French Southern and Antarctic Lands","Kerguelen Archipelago","Bassas da India","Europa Island",
+  "Glorioso Islands","Juan de Nova Island","Tromelin Island"]],
+["275",["Gaza Strip","West Bank"]],
+["296",["Line Islands"]],
+["328",["British Guiana"]],
+["446",["Macau"]],
+["534",["Sint Maarten"]],
+["581",["Baker Island","Howland Island","Jarvis Island","Johnston Atoll","Kingman Reef","Midway Islands",
+  "Navassa Island","Palmyra Atoll","Wake Island"]],
+["583",["Micronesia"]],
+["626",["East Timor"]],
+["663",["Saint Martin"]],
+["704",["Viet Nam"]],
+["744",["Svalbard","Jan Mayen"]],
+["748",["Swaziland"]],
+["764",["Siam"]],
+["807",["Former Yugoslav Republic of Macedonia","The former Yugoslav Republic of Macedonia"]],
+["850",["Virgin Islands"]]
+];
+
+// INSDC /country values that name no present-day country: seas, disputed islands and former states
+const GAZETTEER_NOT_COUNTRIES = [
+"Arctic Ocean","Atlantic Ocean","Baltic Sea","Indian Ocean","Mediterranean Sea","North Sea","Pacific Ocean",
+"Ross Sea","Southern Ocean","Tasman Sea","Borneo","Paracel Islands","Spratly Islands","Czechoslovakia",
+"Korea","Netherlands Antilles","Serbia and Montenegro","USSR","Yugoslavia"
+];
+
+// [name, country id, longitude, latitude, alternative name?], most populous first
+const GAZETTEER_CITIES = [
+["Shanghai","156",121.46,31.22],
+["Istanbul","792",28.95,41.01],
+["Buenos Aires","032",-58.38,-34.61],
+["Mumbai","356",72.88,19.07],
+["Mexico City","484",-99.13,19.43],
+["Beijing","156",116.4,39.91],
+["Karachi","586",67.01,24.86],
+["Tianjin","156",117.18,39.14],
+["Guangzhou","156",113.25,23.12],
+["Delhi","356",77.23,28.65],
+["Moscow","643",37.62,55.75],
+["Shenzhen","156",114.07,22.55],
+["Dhaka","050",90.41,23.71],
+["Seoul","410",126.98,37.57],
+["São Paulo","076",-46.64,-23.55],
+["Wuhan","156",114.27,30.58],
+["Lagos","566",3.39,6.45],
+["Jakarta","360",106.85,-6.21],
+["Tokyo","392",139.69,35.69],
+["New York City","840",-74.01,40.71],
+["Dongguan","156",113.75,23.02],
+["Taipei","158",121.53,25.05],
+["Kinshasa","180",15.31,-4.33],
+["Lima","604",-77.03,-12.04],
+["Cairo","818",31.25,30.06],
+["Bogotá","170",-74.08,4.61],
+["London","826",-0.13,51.51],
+["Chongqing","156",106.55,29.56],
+["Chengdu","156",104.07,30.67],
+["Baghdad","368",44.4,33.34],
+["Nanjing","156",118.78,32.06],
+["Tehran","364",51.42,35.69],
+["Nanchong","156",106.08,30.8],
+["Hong Kong","344",114.17,22.28],
+["Xi’an","156",108.93,34.26],
+["Lahore","586",74.35,31.56],
+["Shenyang","156",123.43,41.79],
+["Hangzhou","156",120.16,30.29],
+["Rio de Janeiro","076",-43.18,-22.91],
+["Harbin","156",126.65,45.75],
+["Tai’an","156",117.12,36.19],
+["Suzhou","156",120.6,31.3],
+["Shantou","156",116.71,23.37],
+["Bangkok","764",100.5,13.75],
+["Bengaluru","356",77.59,12.97],
+["Saint Petersburg","643",30.31,59.94],
+["Santiago","152",-70.65,-33.46],
+["Kolkata","356",88.36,22.56],
+["Sydney","036",151.21,-33.87],
+["Yangon","104",96.16,16.81],
+["Jinan","156",117,36.67],
+["Chennai","356",80.28,13.09],
+["Zhengzhou","156",113.65,34.76],
+["Melbourne","036",144.96,-37.81],
+["Riyadh","682",46.72,24.69],
+["Changchun","156",125.32,43.88],
+["Dalian","156",121.6,38.91],
+["Los Angeles","840",-118.24,34.05],
+["Chittagong","050",91.83,22.34],
+["Kunming","156",102.72,25.04],
+["Alexandria","818",29.92,31.2],
+["Ahmedabad","356",72.59,23.03],
+["Qingdao","156",120.38,36.06],
+["Busan","410",129.03,35.1],
+["Abidjan","384",-4,5.35],
+["Kano","566",8.52,12],
+["Foshan","156",113.13,23.03],
+["Hyderabad","356",78.46,17.38],
+["Puyang","156",119.89,29.46],
+["Yokohama","392",139.65,35.43],
+["Ibadan","566",3.91,7.38],
+["Singapore","702",103.85,1.29],
+["Wuxi","156",120.29,31.57],
+["Xiamen","156",118.08,24.48],
+["Ankara","792",32.85,39.92],
+["Tianshui","156",105.74,34.58],
+["Ningbo","156",121.55,29.88],
+["Ho Chi Minh City","704",106.63,10.82],
+["Shiyan","156",110.78,32.65],
+["Cape Town","710",18.42,-33.93],
+["Taiyuan","156",112.56,37.87],
+["Berlin","276",13.41,52.52],
+["Tangshan","156",118.18,39.63],
+["Hefei","156",117.28,31.86],
+["Madrid","724",-3.7,40.42],
+["Pyongyang","408",125.75,39.03],
+["Casablanca","504",-7.61,33.59],
+["Zibo","156",118.06,36.79],
+["Zhongshan","156",110.57,21.32],
+["Durban","710",31.03,-29.86],
+["Changsha","156",112.97,28.2],
+["Kabul","004",69.17,34.53],
+["Ürümqi","156",87.6,43.8],
+["Caracas","862",-66.88,10.49],
+["Dubai","784",55.31,25.08],
+["Pune","356",73.86,18.52],
+["Sūrat","356",72.83,21.2],
+["Jeddah","682",39.19,21.49],
+["Shijiazhuang","156",114.48,38.04],
+["Kanpur","356",80.35,26.47],
+["Kyiv","804",30.52,50.45],
+["Luanda","024",13.23,-8.84],
+["Quezon City","608",121.05,14.65],
+["Addis Ababa","231",38.75,9.02],
+["Nairobi","404",36.82,-1.28],
+["Chicago","840",-87.65,41.85],
+["Salvador","076",-38.51,-12.97],
+["Jaipur","356",75.79,26.92],
+["Dar es Salaam","834",39.27,-6.82],
+["Lanzhou","156",103.84,36.06],
+["Incheon","410",126.71,37.46],
+["Yunfu","156",112.04,22.93],
+["Toronto","124",-79.42,43.7],
+["Navi Mumbai","356",73.02,19.04],
+["Basrah","368",47.78,30.51],
+["Osaka","392",135.5,34.69],
+["Mogadishu","706",45.34,2.04],
+["Daegu","410",128.59,35.87],
+["Faisalabad","586",73.09,31.42],
+["İzmir","792",27.14,38.41],
+["Dakar","686",-17.44,14.69],
+["Lucknow","356",80.92,26.84],
+["Giza","818",31.21,30.01],
+["Fortaleza","076",-38.54,-3.72],
+["Cali","170",-76.52,3.44],
+["Surabaya","360",112.75,-7.25],
+["Belo Horizonte","076",-43.94,-19.92],
+["Nanchang","156",115.85,28.68],
+["Rome","380",12.51,41.89],
+["Mashhad","364",59.57,36.32],
+["Brooklyn","840",-73.95,40.65],
+["Houston","840",-95.36,29.76],
+["Queens","840",-73.84,40.68],
+["Nagpur","356",79.08,21.15],
+["Maracaibo","862",-71.61,10.67],
+["Brasília","076",-47.93,-15.78],
+["Santo Domingo","214",-69.89,18.47],
+["Nagoya","392",136.91,35.18],
+["Brisbane","036",153.03,-27.47],
+["Havana","192",-82.38,23.13],
+["Paris","250",2.35,48.85],
+["Al Mawşil al Jadīdah","368",43.11,36.33],
+["Johannesburg","710",28.04,-26.2],
+["Kowloon","344",114.18,22.32],
+["Al Başrah al Qadīmah","368",47.82,30.5],
+["Almaty","398",76.93,43.26],
+["Dadonghai","156",109.51,18.22],
+["Medellín","170",-75.56,6.25],
+["Tashkent","860",69.22,41.26],
+["Algiers","012",3.09,36.73],
+["Khartoum","729",32.53,15.55],
+["Accra","288",-0.2,5.56],
+["Guayaquil","218",-79.89,-2.2],
+["Ordos","156",109.78,39.61],
+["Sanaa","887",44.21,15.35],
+["Beirut","422",35.5,33.89],
+["Perth","036",115.86,-31.95],
+["Sapporo","392",141.35,43.07],
+["Jilin","156",126.56,43.85],
+["Bucharest","642",26.11,44.43],
+["Camayenne","324",-13.69,9.54],
+["Indore","356",75.83,22.72],
+["Iztapalapa","484",-99.06,19.36],
+["Conakry","324",-13.68,9.54],
+["Bayan Nur","156",107.39,40.74],
+["Maracay","862",-67.59,10.24],
+["Medan","360",98.67,3.58],
+["Rawalpindi","586",73.05,33.6],
+["Minsk","112",27.57,53.9],
+["Budapest","348",19.04,47.5],
+["Mosul","368",43.12,36.34],
+["Hamburg","276",9.99,53.55],
+["Curitiba","076",-49.27,-25.43],
+["Warsaw","616",21.01,52.23],
+["Bandung","360",107.61,-6.92],
+["Soweto","710",27.86,-26.27],
+["Vienna","040",16.37,48.21],
+["Rabat","504",-6.83,34.01],
+["Ecatepec de Morelos","484",-99.06,19.6],
+["Barcelona","724",2.16,41.39],
+["Pretoria","710",28.19,-25.74],
+["Aleppo","760",37.16,36.2],
+["Montréal","124",-73.59,45.51],
+["Kunshan","156",120.95,31.38],
+["Manila","608",120.98,14.6],
+["Patna","356",85.14,25.59],
+["Bhopal","356",77.4,23.25],
+["Manaus","076",-60.02,-3.1],
+["Xinyang","156",114.07,32.12],
+["Kaduna","566",7.44,10.53],
+["Phnom Penh","116",104.92,11.56],
+["Damascus","760",36.29,33.51],
+["Philadelphia","840",-75.16,39.95],
+["Phoenix","840",-112.07,33.45],
+["Isfahan","364",51.67,32.65],
+["Ludhiāna","356",75.85,30.91],
+["Harare","716",31.05,-17.83],
+["Kobe","392",135.18,34.69],
+["Bekasi","360",106.99,-6.23],
+["Kaohsiung","158",120.31,22.62],
+["Stockholm","752",18.07,59.33],
+["Caloocan City","608",120.97,14.65],
+["Guadalajara","484",-103.39,20.67],
+["Manhattan","840",-73.97,40.78],
+["Asunción","600",-57.65,-25.29],
+["Recife","076",-34.88,-8.05],
+["Daejeon","410",127.38,36.35],
+["San Antonio","840",-98.49,29.42],
+["Kumasi","288",-1.62,6.69],
+["Kota Bharu","458",102.24,6.12],
+["Kyoto","392",135.75,35.02],
+["Kuala Lumpur","458",101.69,3.14],
+["Karaj","364",50.99,35.83],
+["Kathmandu","524",85.32,27.7],
+["Palembang","360",104.75,-2.92],
+["Multan","586",71.48,30.2],
+["Tirunelveli","356",77.68,8.73],
+["Puebla","484",-98.2,19.04],
+["Hanoi","704",105.84,21.02],
+["Kharkiv","804",36.25,49.98],
+["Agra","356",78.02,27.18],
+["Córdoba","032",-64.18,-31.41],
+["Tabriz","364",46.29,38.08],
+["Novosibirsk","643",82.93,55.04],
+["Gwangju","410",126.92,35.15],
+["Bursa","792",29.06,40.2],
+["Vadodara","356",73.21,22.3],
+["Belém","076",-48.5,-1.46],
+["Fushun","156",123.94,41.89],
+["Quito","218",-78.52,-0.23],
+["San Diego","840",-117.16,32.72],
+["Fukuoka","392",130.42,33.6],
+["Antananarivo","450",47.54,-18.91],
+["Luoyang","156",112.45,34.68],
+["Hyderabad","586",68.37,25.39],
+["The Bronx","840",-73.87,40.85],
+["Valencia","862",-68.01,10.16],
+["Gujranwala","586",74.19,32.16],
+["Barranquilla","170",-74.78,10.97],
+["Guankou","156",113.63,28.16],
+["Lubumbashi","180",27.48,-11.66],
+["Porto Alegre","076",-51.23,-30.03],
+["Tangerang","360",106.63,-6.18],
+["Najafgarh","356",76.98,28.61],
+["Santa Cruz de la Sierra","068",-63.18,-17.79],
+["Handan","156",114.47,36.6],
+["Kampala","800",32.58,0.32],
+["Yekaterinburg","643",60.61,56.85],
+["Khulna","050",89.56,22.81],
+["Douala","120",9.7,4.05],
+["Gorakhpur","356",75.67,29.45],
+["Sharjah","784",55.41,25.34],
+["Mecca","682",39.83,21.43],
+["Makassar","360",119.43,-5.15],
+["Juárez","484",-106.46,31.72],
+["Kawasaki","392",139.72,35.52],
+["South Tangerang","360",106.72,-6.29],
+["Baotou","156",110.02,40.58],
+["Tijuana","484",-117,32.5],
+["Dallas","840",-96.81,32.78],
+["Medina","682",39.61,24.47],
+["Yaoundé","120",11.52,3.87],
+["Bamako","466",-8,12.65],
+["Nashik","356",73.79,20],
+["Semarang","360",110.42,-6.99],
+["Brazzaville","178",15.28,-4.27],
+["Pimpri","356",73.81,18.62],
+["Nizhniy Novgorod","643",44,56.33],
+["Amman","400",35.95,31.96],
+["Budta","608",124.44,7.2],
+["Belgrade","688",20.47,44.8],
+["Montevideo","858",-56.19,-34.9],
+["Lusaka","894",28.29,-15.41],
+["Xuchang","156",113.86,34.03],
+["Kalyān","356",73.14,19.24],
+["Thāne","356",72.96,19.2],
+["Munich","276",11.58,48.14],
+["Ra’s Bayrūt","422",35.48,33.9],
+["Shiraz","364",52.53,29.61],
+["Adana","792",35.33,36.99],
+["Suwon","410",127.01,37.29],
+["León de los Aldama","484",-101.67,21.13],
+["Milan","380",9.19,45.46],
+["Port-au-Prince","332",-72.34,18.54],
+["Adelaide","036",138.6,-34.93],
+["Meerut","356",77.71,28.98],
+["Nowrangapur","356",82.55,19.23],
+["Faridabad","356",77.31,28.41],
+["Peshawar","586",71.58,34.01],
+["Davao","608",125.61,7.07],
+["Mandalay","104",96.08,21.97],
+["Yueyang","156",113.09,29.37],
+["Santiago de los Caballeros","214",-70.7,19.45],
+["Omdurman","729",32.48,15.64],
+["Anshan","156",122.99,41.12],
+["Tongshan","156",117.16,34.18],
+["Ghāziābād","356",77.44,28.67],
+["Depok","360",106.82,-6.4],
+["Saitama","392",139.66,35.91],
+["Dombivli","356",73.08,19.22],
+["Maputo","508",32.58,-25.97],
+["Gustavo Adolfo Madero","484",-99.11,19.49],
+["Fuzhou","156",119.31,26.06],
+["Rājkot","356",70.79,22.29],
+["Rosario","032",-60.64,-32.95],
+["Guiyang","156",106.72,26.58],
+["Goiânia","076",-49.25,-16.68],
+["Guarulhos","076",-46.53,-23.46],
+["Prague","203",14.42,50.09],
+["Varanasi","356",83.01,25.32],
+["Batam","360",104.02,1.15],
+["Copenhagen","208",12.57,55.68],
+["Sofia","100",23.32,42.7],
+["Tripoli","434",13.19,32.89],
+["Port Harcourt","566",7.01,4.78],
+["Hiroshima","392",132.45,34.4],
+["Zapopan","484",-103.38,20.72],
+["Lijiang","156",100.22,26.87],
+["Monterrey","484",-100.32,25.68],
+["Samara","643",50.15,53.2],
+["Omsk","643",73.37,54.99],
+["Benin City","566",5.63,6.34],
+["Malingao","608",124.48,7.16],
+["Baku","031",49.89,40.38],
+["Maiduguri","566",13.16,11.85],
+["Kazan","643",49.12,55.79],
+["Ciudad Nezahualcoyotl","484",-99.01,19.4],
+["Yerevan","051",44.51,40.18],
+["Amritsar","356",74.88,31.62],
+["Ouagadougou","854",-1.53,12.37],
+["Yono","392",139.63,35.88],
+["Rostov-na-Donu","643",39.72,47.23],
+["Allahābād","356",81.84,25.44],
+["Goyang-si","410",126.84,37.66],
+["Gaziantep","792",37.38,37.06],
+["Visakhapatnam","356",83.2,17.68],
+["Sendai","392",140.87,38.27],
+["Chelyabinsk","643",61.43,55.15],
+["Datong","156",113.29,40.09],
+["Tbilisi","268",44.83,41.69],
+["Changshu City","156",120.74,31.65],
+["Taichung","158",120.68,24.15],
+["Teni","356",77.48,10.01],
+["Xianyang","156",108.7,34.34],
+["Ufa","643",55.97,54.74],
+["Dnipro","804",35.04,48.46],
+["Seongnam-si","410",127.14,37.44],
+["Campinas","076",-47.06,-22.91],
+["Jabalpur","356",79.95,23.17],
+["Hāora","356",88.32,22.58],
+["Huainan","156",117,32.63],
+["San Jose","840",-121.89,37.34],
+["Donetsk","804",37.8,48.02],
+["Dublin","372",-6.25,53.33],
+["Calgary","124",-114.09,51.05],
+["Brussels","056",4.35,50.85],
+["Aurangabad","356",75.34,19.88],
+["Volgograd","643",44.5,48.72],
+["Nova Iguaçu","076",-43.45,-22.76],
+["Jieyang","156",116.37,23.54],
+["Odessa","804",30.73,46.48],
+["Zhu Cheng City","156",119.4,36],
+["Shivaji Nagar","356",73.85,18.53],
+["Kitakyushu","392",130.85,33.85],
+["Solāpur","356",75.91,17.67],
+["Baoding","156",115.49,38.85],
+["Guatemala City","320",-90.51,14.64],
+["Benxi","156",123.77,41.29],
+["Birmingham","826",-1.9,52.48],
+["Perm","643",56.25,58.01],
+["Srinagar","356",74.81,34.09],
+["Zaria","566",7.72,11.11],
+["Managua","558",-86.25,12.13],
+["Port Elizabeth","710",25.61,-33.96],
+["Fès","504",-5,34.03],
+["Köln","276",6.95,50.93],
+["Ulsan","410",129.32,35.54],
+["Chandigarh","356",76.79,30.74],
+["Coimbatore","356",76.97,11.01],
+["Naples","380",14.27,40.85],
+["Maceió","076",-35.74,-9.67],
+["Cartagena","170",-75.51,10.4],
+["Changzhou","156",119.95,31.77],
+["Sulţānah","682",39.59,24.49],
+["Monrovia","430",-10.8,6.3],
+["Kingston","388",-76.79,18],
+["Erbil","368",44.01,36.18],
+["Austin","840",-97.74,30.27],
+["Krasnoyarsk","643",92.87,56.02],
+["Nay Pyi Taw","104",96.13,19.75],
+["Jodhpur","356",73.01,26.27],
+["Chiba","392",140.12,35.6],
+["São Luís","076",-44.3,-2.53],
+["Madurai","356",78.12,9.92],
+["Sale","504",-6.8,34.05],
+["Huaibei","156",116.79,33.97],
+["Cochabamba","068",-66.16,-17.39],
+["Abobo","384",-4.02,5.42],
+["Kaifeng","156",114.31,34.8],
+["Abū Ghurayb","368",44.18,33.31],
+["Qom","364",50.88,34.64],
+["Bishkek","417",74.59,42.87],
+["Guwahati","356",91.75,26.18],
+["Aba","566",7.37,5.11],
+["Pingdingshan","156",113.3,33.74],
+["Gwalior","356",78.17,26.23],
+["Qiqihar","156",123.96,47.34],
+["Klang","458",101.44,3.04],
+["Mendoza","032",-68.83,-32.89],
+["Konya","792",32.48,37.87],
+["Mbuji-Mayi","180",23.59,-6.14],
+["Vijayawada","356",80.65,16.51],
+["Pikine","686",-17.39,14.76],
+["Turin","380",7.69,45.07],
+["Mysore","356",76.64,12.3],
+["Jacksonville","840",-81.66,30.33],
+["Wenzhou","156",120.67,28],
+["San Francisco","840",-122.42,37.77],
+["Liverpool","826",-2.98,53.41],
+["Saratov","643",46.01,51.54],
+["Rohini","356",77.07,28.74],
+["Tegucigalpa","340",-87.21,14.08],
+["Bucheon-si","410",126.78,37.5],
+["Columbus","840",-83,39.96],
+["Voronezh","643",39.18,51.67],
+["Ranchi","356",85.31,23.34],
+["Ulan Bator","496",106.88,47.91],
+["Takeo","116",104.78,10.99],
+["Ahvaz","364",48.68,31.32],
+["Arequipa","604",-71.53,-16.4],
+["Padang","360",100.35,-0.95],
+["Hubli","356",75.13,15.35],
+["Zhabei","156",121.46,31.26],
+["Marrakesh","504",-8,31.63],
+["Denpasar","360",115.22,-8.65],
+["Kampung Baru Subang","458",101.53,3.15],
+["Fort Worth","840",-97.32,32.73],
+["Indianapolis","840",-86.16,39.77],
+["Charlotte","840",-80.84,35.23],
+["Duque de Caxias","076",-43.31,-22.79],
+["Jos","566",8.89,9.93],
+["Valencia","724",-0.38,39.47],
+["Ilorin","566",4.54,8.5],
+["Callao","604",-77.12,-12.06],
+["La Paz","068",-68.15,-16.5],
+["Ottawa","124",-75.7,45.41],
+["Barquisimeto","862",-69.36,10.06],
+["Chihuahua","484",-106.09,28.64],
+["Nanning","156",108.32,22.82],
+["Freetown","694",-13.24,8.49],
+["Johor Bahru","458",103.76,1.47],
+["Jerusalem","376",35.22,31.77],
+["Bandar Lampung","360",105.26,-5.43],
+["Bogor","360",106.79,-6.59],
+["Narela","356",77.09,28.85],
+["Mombasa","404",39.66,-4.05],
+["Cebu City","608",123.89,10.32],
+["Muscat","512",58.41,23.58],
+["Zaporizhia","804",35.19,47.82],
+["Marseille","250",5.38,43.3],
+["Zarqa","400",36.09,32.07],
+["Naucalpan de Juárez","484",-99.24,19.48],
+["Çankaya","792",32.86,39.92],
+["Rahim Yar Khan","586",70.3,28.42],
+["Pasragad Branch","364",48.47,34.78],
+["Boumerdas","012",3.48,36.77],
+["Jalandhar","356",75.58,31.33],
+["Thiruvananthapuram","356",76.95,8.49],
+["Sakai","392",135.47,34.58],
+["Anyang","156",114.38,36.1],
+["San Miguel de Tucumán","032",-65.22,-26.82],
+["Cotonou","204",2.42,6.37],
+["Salem","356",78.16,11.65],
+["Mérida","484",-89.62,20.98],
+["Tiruchirappalli","356",78.7,10.82],
+["Homs","760",36.72,34.73],
+["Hohhot","156",111.65,40.81],
+["Niamey","562",2.11,13.51],
+["Tainan","158",120.21,22.99],
+["Shangyu","156",120.87,30.02],
+["Łódź","616",19.47,51.77],
+["Dammam","682",50.1,26.43],
+["Xining","156",101.76,36.63],
+["Kahrīz","364",47.06,34.38],
+["Kota","356",75.84,25.18],
+["Natal","076",-35.21,-5.79],
+["Bhubaneshwar","356",85.83,20.27],
+["Qinhuangdao","156",119.59,39.93],
+["Hengyang","156",112.62,26.89],
+["Antalya","792",30.7,36.91],
+["Kraków","616",19.94,50.06],
+["Alīgarh","356",78.07,27.88],
+["Da Nang","704",108.22,16.07],
+["Pietermaritzburg","710",30.39,-29.62],
+["Lomé","768",1.22,6.13],
+["Trujillo","604",-79.03,-8.12],
+["Malang","360",112.63,-7.98],
+["Ciudad Guayana","862",-62.64,8.35],
+["Bareilly","356",79.43,28.37],
+["Kigali","646",30.06,-1.95],
+["Teresina","076",-42.8,-5.09],
+["Xinxiang","156",113.8,35.19],
+["São Bernardo do Campo","076",-46.56,-23.69],
+["Hegang","156",130.3,47.35],
+["Riga","428",24.11,56.95],
+["Amsterdam","528",4.89,52.37],
+["Oyo","566",3.93,7.85],
+["Quetta","586",67,30.18],
+["Nottingham","826",-1.15,52.95],
+["Campo Grande","076",-54.65,-20.44],
+["Ashgabat","795",58.38,37.95],
+["Álvaro Obregón","484",-99.2,19.36],
+["Muzaffarābād","586",73.47,34.37],
+["Bağcılar","792",28.86,41.04],
+["As Sulaymānīyah","368",45.43,35.56],
+["San Luis Potosí","484",-100.98,22.15],
+["Aguascalientes","484",-102.28,21.88],
+["Cúcuta","170",-72.51,7.89],
+["Morādābād","356",78.78,28.84],
+["N'Djamena","148",15.04,12.11],
+["Langfang","156",116.69,39.51],
+["Zhumadian","156",114.03,32.98],
+["Yantai","156",121.44,37.48],
+["Lviv","804",24.02,49.84],
+["Hermosillo","484",-110.98,29.1],
+["Edmonton","124",-113.47,53.55],
+["Jeonju","410",127.15,35.82],
+["Saltillo","484",-101.01,25.42],
+["Zhuzhou","156",113.15,27.83],
+["Subang Jaya","458",101.58,3.04],
+["Bhiwandi","356",73.06,19.3],
+["Pekanbaru","360",101.44,0.52],
+["Sevilla","724",-5.97,37.38],
+["Tol’yatti","643",49.35,53.53],
+["Jaboatão","076",-35,-8.18],
+["Shizuoka","392",138.38,34.98],
+["Santo Domingo Oeste","214",-70,18.5],
+["Rājshāhi","050",88.6,24.37],
+["Santo Domingo Este","214",-69.86,18.49],
+["City of Balikpapan","360",116.89,-1.24],
+["Battagram","586",73.02,34.68],
+["Changzhi","156",111.74,35.21],
+["Bulawayo","716",28.58,-20.15],
+["Zagreb","191",15.98,45.81],
+["Agadir","504",-9.6,30.42],
+["Sarajevo","070",18.36,43.85],
+["La Plata","032",-57.95,-34.92],
+["Tunis","788",10.17,36.82],
+["Zhangjiakou","156",114.88,40.81],
+["Zigong","156",104.78,29.34],
+["Mexicali","484",-115.45,32.63],
+["Fuxin","156",121.66,42.02],
+["Enugu","566",7.5,6.44],
+["Tangier","504",-5.8,35.77],
+["Huangshi","156",115.05,30.25],
+["Liaoyang","156",123.17,41.27],
+["Sheffield","826",-1.47,53.38],
+["Seattle","840",-122.33,47.61],
+["Denver","840",-104.98,39.74],
+["El Paso","840",-106.49,31.76],
+["Kumamoto","392",130.69,32.81],
+["Raipur","356",81.63,21.23],
+["General Santos","608",125.17,6.11],
+["Dushanbe","762",68.78,38.54],
+["Osasco","076",-46.79,-23.53],
+["Detroit","840",-83.05,42.33],
+["Culiacán","484",-107.39,24.79],
+["Matola","508",32.46,-25.96],
+["Zaragoza","724",-0.88,41.66],
+["Gorakhpur","356",83.37,26.77],
+["Xiangtan","156",112.9,27.85],
+["Guadalupe","484",-100.26,25.68],
+["Acapulco de Juárez","484",-99.91,16.85],
+["Ipoh","458",101.08,4.58],
+["Mississauga","124",-79.66,43.58],
+["Boston","840",-71.06,42.36],
+["Puyang Chengguanzhen","156",115.01,35.71],
+["Nantong","156",120.87,32.03],
+["Mudanjiang","156",129.6,44.58],
+["Athens","300",23.73,37.98],
+["Santo André","076",-46.54,-23.66],
+["Nouakchott","478",-15.98,18.09],
+["Pointe-Noire","178",11.86,-4.78],
+["Memphis","840",-90.05,35.15],
+["Tlalnepantla","484",-99.2,19.54],
+["Kryvyi Rih","804",33.38,47.91],
+["João Pessoa","076",-34.86,-7.11],
+["Ansan-si","410",126.82,37.32],
+["Benghazi","434",20.07,32.11],
+["Frankfurt am Main","276",8.68,50.12],
+["Krasnodar","643",38.98,45.04],
+["Guilin","156",110.29,25.28],
+["Palermo","380",13.34,38.13],
+["Colombo","144",79.85,6.94],
+["Lilongwe","454",33.79,-13.97],
+["Oran","012",-0.64,35.7],
+["Diyarbakır","792",40.22,37.91],
+["Taguig","608",121.08,14.52],
+["New South Memphis","840",-90.06,35.09],
+["Ulyanovsk","643",48.39,54.33],
+["Kotli","586",73.9,33.52],
+["Okayama","392",133.93,34.65],
+["Zhanjiang","156",110.34,21.28],
+["Al Aḩmadī","414",48.08,29.08],
+["Yogyakarta","360",110.36,-7.8],
+["North York","124",-79.42,43.77],
+["Chisinau","498",28.86,47.01],
+["Wrocław","616",17.03,51.1],
+["Cheongju-si","410",127.49,36.64],
+["Anyang-si","410",126.93,37.39],
+["Tébessa","012",8.12,35.4],
+["Zhenjiang","156",119.46,32.21],
+["Portland","840",-122.68,45.52],
+["Winnipeg","124",-97.15,49.88],
+["Dandong","156",124.39,40.13],
+["Oklahoma City","840",-97.52,35.47],
+["Izhevsk","643",53.2,56.85],
+["Jaboatão dos Guararapes","076",-35.01,-8.11],
+["Shaoguan","156",113.58,24.8],
+["Yancheng","156",120.16,33.36],
+["Cancún","484",-86.85,21.17],
+["Contagem","076",-44.05,-19.93],
+["Santiago de Querétaro","484",-100.39,20.59],
+["Bhilai","356",81.43,21.21],
+["Panshan","156",122.05,41.19],
+["Djibouti","262",43.15,11.59],
+["Las Vegas","840",-115.14,36.17],
+["Baltimore","840",-76.61,39.29],
+["Kermanshah","364",47.07,34.31],
+["Coyoacán","484",-99.16,19.35],
+["Ribeirão Preto","076",-47.81,-21.18],
+["Al Ḩudaydah","887",42.95,14.8],
+["Pasig City","608",121.06,14.59],
+["Bristol","826",-2.6,51.46],
+["Jamshedpur","356",86.19,22.8],
+["Haikou","156",110.34,20.05],
+["Ta‘izz","887",44.02,13.58],
+["São José dos Campos","076",-45.89,-23.18],
+["Santa María Chimalhuacán","484",-98.95,19.42],
+["Taizhou","156",119.91,32.49],
+["Xingtai","156",114.49,37.06],
+["Borivli","356",72.86,19.23],
+["Torreón","484",-103.42,25.54],
+["Yaroslavl","643",39.87,57.63],
+["Benoni","710",28.32,-26.19],
+["Hamamatsu","392",137.73,34.7],
+["Cochin","356",76.26,9.94],
+["Jinzhou","156",121.14,41.11],
+["Amrāvati","356",77.75,20.93],
+["Abu Dhabi","784",54.4,24.45],
+["Haiphong","704",106.68,20.86],
+["Washington, D.C.","840",-77.04,38.9],
+["Islamabad","586",73.04,33.72],
+["Kirkuk","368",44.39,35.47],
+["Sāngli","356",74.56,16.85],
+["Milwaukee","840",-87.91,43.04],
+["Vancouver","124",-123.12,49.25],
+["Scarborough","124",-79.26,43.77],
+["Shuangyashan","156",131.15,46.64],
+["Situbondo","360",114.01,-7.71],
+["Barnaul","643",83.76,53.36],
+["Rotterdam","528",4.48,51.92],
+["Morelia","484",-101.18,19.7],
+["Luancheng","156",114.65,37.88],
+["Rasht","364",49.59,37.28],
+["Abeokuta","566",3.35,7.16],
+["Essen","276",7.01,51.46],
+["Kayseri","792",35.49,38.73],
+["Glasgow","826",-4.26,55.87],
+["Gold Coast","036",153.43,-28],
+["Yingkou","156",122.23,40.66],
+["Abuja","566",7.5,9.06],
+["Las Piñas","608",120.98,14.45],
+["Zhangzhou","156",117.66,24.51],
+["Stuttgart","276",9.18,48.78],
+["Reynosa","484",-98.29,26.08],
+["Dortmund","276",7.47,51.51],
+["Vladivostok","643",131.87,43.11],
+["Irkutsk","643",104.3,52.3],
+["Blantyre","454",35.01,-15.78],
+["New Kingston","388",-76.78,18.01],
+["Üsküdar","792",29.01,41.02],
+["Genoa","380",8.94,44.4],
+["Cuttack","356",85.88,20.46],
+["Oslo","578",10.75,59.91],
+["Hachiōji","392",139.32,35.66],
+["Khabarovsk","643",135.08,48.48],
+["Khabarovsk Vtoroy","643",135.13,48.44],
+["Libreville","266",9.45,0.39],
+["Kerman","364",57.08,30.28],
+["Chiclayo","604",-79.84,-6.77],
+["Orūmīyeh","364",45.08,37.55],
+["Bahçelievler","792",28.86,41],
+["Bengbu","156",117.36,32.94],
+["Bīkaner","356",73.31,28.02],
+["Tlaquepaque","484",-103.29,20.64],
+["Tlalpan","484",-99.16,19.3],
+["Umraniye","792",29.12,41.02],
+["Düsseldorf","276",6.78,51.22],
+["Banjarmasin","360",114.59,-3.32],
+["Göteborg","752",11.97,57.71],
+["Shihezi","156",86.04,44.3],
+["Bucaramanga","170",-73.12,7.13],
+["South Boston","840",-71.05,42.33],
+["Kuching","458",110.33,1.55],
+["Poznań","616",16.93,52.41],
+["Málaga","724",-4.42,36.72],
+["Bouaké","384",-5.03,7.69],
+["Nyala","729",24.88,12.05],
+["Asmara","232",38.93,15.34],
+["Sokoto","566",5.24,13.06],
+["Uberlândia","076",-48.28,-18.92],
+["Onitsha","566",6.79,6.15],
+["Honchō","392",139.99,35.7],
+["Albuquerque","840",-106.65,35.08],
+["Hamhŭng","408",127.54,39.92],
+["Sorocaba","076",-47.46,-23.5],
+["Helsinki","246",24.94,60.17],
+["Warangal","356",79.58,18],
+["Santiago de Cuba","192",-75.83,20.02],
+["Siping","156",124.38,43.16],
+["Kagoshima","392",130.55,31.57],
+["Surakarta","360",110.83,-7.56],
+["Huai'an","156",119.02,33.59],
+["Bhavnagar","356",72.15,21.76],
+["Mar del Plata","032",-57.56,-38],
+["Bahawalpur","586",71.68,29.4],
+["Zahedan","364",60.86,29.5],
+["Aden","887",45.04,12.78],
+["Nanded","356",77.31,19.16],
+["Orenburg","643",55.1,51.77],
+["Changwon","410",128.68,35.23],
+["Pristina","983",21.17,42.67],
+["Jiamusi","156",130.32,46.8],
+["Antipolo","608",121.12,14.63],
+["Neijiang","156",105.06,29.58],
+["Bremen","276",8.81,53.08],
+["Meknès","504",-5.55,33.89],
+["Banqiao","158",121.47,25.01],
+["Sargodha","586",72.67,32.09],
+["Bangui","140",18.55,4.36],
+["Vilnius","440",25.28,54.69],
+["Yangzhou","156",119.44,32.4],
+["Novokuznetsk","643",87.11,53.76],
+["Kisangani","180",25.19,0.52],
+["Port Said","818",32.3,31.27],
+["Mersin","792",34.64,36.81],
+["Tuxtla","484",-93.11,16.76],
+["Raurkela","356",84.86,22.22],
+["Warri","566",5.75,5.52],
+["Guli","156",120.03,28.88],
+["Ebute Ikorodu","566",3.49,6.6],
+["Tanggu","156",117.65,39.02],
+["Jiangmen","156",113.08,22.58],
+["Cuauhtémoc","484",-99.15,19.45],
+["Tucson","840",-110.93,32.22],
+["Nashville","840",-86.78,36.17],
+["Ta’if","682",40.42,21.27],
+["Beira","508",34.84,-19.84],
+["Guntur","356",80.46,16.3],
+["Touba","686",-15.88,14.85],
+["Québec","124",-71.21,46.81],
+["Hamadān","364",48.51,34.8],
+["Cangzhou","156",116.87,38.32],
+["San Salvador","222",-89.19,13.69],
+["Dehra Dūn","356",78.03,30.32],
+["Cuiabá","076",-56.1,-15.6],
+["Petaling Jaya","458",101.61,3.11],
+["Macau","446",113.55,22.2],
+["Bhayandar","356",72.85,19.3],
+["Esenler","792",28.88,41.04],
+["Ryazan’","643",39.69,54.63],
+["Fresno","840",-119.77,36.75],
+["Hamilton","124",-79.85,43.25],
+["Tyumen","643",65.53,57.15],
+["Durgapur","356",87.31,23.52],
+["Victoria de Durango","484",-104.66,24.02],
+["Ajmer","356",74.64,26.45],
+["Lisbon","620",-9.13,38.72],
+["Changde","156",111.7,29.03],
+["Jiaozuo","156",113.23,35.24],
+["Ulhasnagar","356",73.15,19.22],
+["Kolhāpur","356",74.23,16.7],
+["Lipetsk","643",39.57,52.6],
+["Siliguri","356",88.43,26.71],
+["Hannover","276",9.73,52.37],
+["Eskişehir","792",30.52,39.78],
+["Āzādshahr","364",48.57,34.79],
+["Salta","032",-65.41,-24.79],
+["Penza","643",45,53.2],
+["Tembisa","710",28.23,-26],
+["Bilimora","356",72.96,20.77],
+["Mykolayiv","804",32,46.97],
+["Aparecida de Goiânia","076",-49.24,-16.82],
+["Puente Alto","152",-70.58,-33.61],
+["Makati City","608",121.03,14.55],
+["Tonghua","156",125.93,41.72],
+["Naberezhnyye Chelny","643",52.41,55.73],
+["Leicester","826",-1.13,52.64],
+["Wuhu","156",118.37,31.34],
+["Niigata","392",139.01,37.89],
+["Karol Bāgh","356",77.19,28.65],
+["Leipzig","276",12.37,51.34],
+["Kalininskiy","643",30.39,60],
+["Duisburg","276",6.77,51.43],
+["Āsansol","356",86.98,23.68],
+["Arāk","364",49.7,34.09],
+["Astrakhan","643",48.04,46.35],
+["Zhuhai","156",113.57,22.28],
+["Pohang","410",129.36,36.03],
+["Nürnberg","276",11.08,49.45],
+["Shashi","156",112.24,30.31],
+["Makhachkala","643",47.5,42.98],
+["Cimahi","360",107.54,-6.87],
+["Wuwei","156",102.63,37.93],
+["Jamnagar","356",70.07,22.47],
+["Sacramento","840",-121.49,38.58],
+["Aracaju","076",-37.07,-10.91],
+["Ajman City","784",55.48,25.4],
+["Jianshui","156",101.22,24.28],
+["Port Sudan","729",37.22,19.62],
+["Santa Fe","032",-60.71,-31.65],
+["San Pedro Sula","340",-88.02,15.5],
+["Toluca","484",-99.65,19.29],
+["Ciudad López Mateos","484",-99.26,19.56],
+["Suez","818",32.53,29.97],
+["Dresden","276",13.74,51.05],
+["Tomsk","643",84.97,56.5],
+["Masina","180",15.39,-4.38],
+["Sahāranpur","356",77.55,29.97],
+["Cuautitlán Izcalli","484",-99.22,19.64],
+["Gulbarga","356",76.84,17.34],
+["Bhātpāra","356",88.4,22.87],
+["Najaf","368",44.35,32.03],
+["Feira de Santana","076",-38.97,-12.27],
+["Shah Alam","458",101.53,3.09],
+["Mariupol","804",37.54,47.1],
+["Himeji","392",134.7,34.82],
+["Homyel'","112",30.98,52.43],
+["Qionghai","156",110.46,19.24],
+["Okene","566",6.24,7.55],
+["Uijeongbu-si","410",127.05,37.74],
+["East London","710",27.91,-33.02],
+["Yazd","364",54.37,31.9],
+["Hargeysa","706",44.07,9.56],
+["Sialkot","586",74.53,32.49],
+["Kemerovo","643",86.08,55.33],
+["Yichang","156",111.28,30.71],
+["Hwaseong-si","410",126.82,37.21],
+["Kansas City","840",-94.58,39.1],
+["Yinchuan","156",106.27,38.47],
+["Skopje","807",21.43,42],
+["Vereeniging","710",27.93,-26.67],
+["The Hague","528",4.3,52.08],
+["Long Beach","840",-118.19,33.77],
+["Mixco","320",-90.61,14.63],
+["Lyon","250",4.85,45.75],
+["Londrina","076",-51.16,-23.31],
+["Mesa","840",-111.82,33.42],
+["Jiaojiang","156",121.47,28.7],
+["Matsudo","392",139.9,35.78],
+["Juiz de Fora","076",-43.35,-21.76],
+["Nishinomiya-hama","392",135.33,34.72],
+["Tula","643",37.62,54.2],
+["Staten Island","840",-74.14,40.56],
+["Kawaguchi","392",139.71,35.81],
+["Ciudad Apodaca","484",-100.19,25.78],
+["Zunyi","156",106.91,27.69],
+["Jiaxing","156",120.75,30.75],
+["Belford Roxo","076",-43.4,-22.76],
+["Jammu","356",74.87,32.74],
+["Liaoyuan","156",125.14,42.9],
+["Edinburgh","826",-3.2,55.95],
+["Atlanta","840",-84.39,33.75],
+["Kananga","180",22.42,-5.9],
+["Bloemfontein","710",26.21,-29.12],
+["Xiangyang","156",112.14,32.04],
+["Gdańsk","616",18.65,54.35],
+["Calabar","566",8.33,4.96],
+["Dadukou","156",101.71,26.55],
+["Joinville","076",-48.85,-26.3],
+["Ḩamāh","760",36.76,35.13],
+["Kurnool","356",78.04,15.83],
+["Antwerpen","056",4.4,51.22],
+["Kanazawa","392",136.62,36.6],
+["Karabağlar","792",27.14,38.37],
+["Zamboanga","608",122.07,6.91],
+["Kirov","643",49.66,58.6],
+["Ujjain","356",75.78,23.18],
+["Kota Kinabalu","458",116.07,5.97],
+["Colorado Springs","840",-104.82,38.83],
+["Niterói","076",-43.1,-22.88],
+["Hengshui","156",115.7,37.73],
+["Tabuk","682",36.57,28.4],
+["Pontianak","360",109.33,-0.03],
+["Leeds","826",-1.55,53.8],
+["Namp’o","408",125.41,38.74],
+["Bacolod City","608",122.95,10.67],
+["São João de Meriti","076",-43.37,-22.8],
+["Mansilingan","608",122.98,10.63],
+["Virginia Beach","840",-75.98,36.85],
+["Rāmgundam","356",79.45,18.8],
+["Luhansk","804",39.32,48.57],
+["Manado","360",124.85,1.48],
+["Karagandy","398",73.1,49.8],
+["Raleigh","840",-78.64,35.77],
+["Jining","156",116.58,35.41],
+["Constantine","012",6.61,36.37],
+["Wenshan City","156",104.25,23.36],
+["Juba","728",31.58,4.85],
+["Muratpaşa","792",30.76,36.89],
+["Utsunomiya","392",139.88,36.57],
+["Heroica Matamoros","484",-97.5,25.88],
+["Şanlıurfa","792",38.79,37.17],
+["Chengde","156",117.96,40.95],
+["Ōita","392",131.6,33.23],
+["Cardiff","826",-3.18,51.48],
+["San Juan","032",-68.54,-31.54],
+["Cheboksary","643",47.25,56.13],
+["Boksburg","710",28.26,-26.21],
+["Cagayan de Oro","608",124.65,8.48],
+["Omaha","840",-95.94,41.26],
+["Matsuyama","392",132.77,33.84],
+["San Nicolás de los Garza","484",-100.3,25.74],
+["Amagasaki","392",135.42,34.72],
+["Carrefour","332",-72.4,18.54],
+["Shyamnagar","356",88.37,22.83],
+["Dasmariñas","608",120.94,14.33],
+["Malatya","792",38.32,38.35],
+["Miami","840",-80.19,25.77],
+["Nangi","356",88.22,22.51],
+["Pereira","170",-75.7,4.81],
+["Kozhikode","356",75.78,11.25],
+["Mawlamyine","104",97.63,16.49],
+["Iquitos","604",-73.25,-3.75],
+["Kurashiki","392",133.77,34.58],
+["Sunch’ŏn","408",125.93,39.43],
+["Sultangazi","792",28.87,41.11],
+["Garoua","120",13.4,9.3],
+["Murcia","724",-1.13,37.99],
+["Mwanza","834",32.9,-2.52],
+["Uyo","566",7.93,5.05],
+["Bei’an","156",126.6,48.27],
+["Kousséri","120",15.03,12.08],
+["Mālegaon","356",74.53,20.55],
+["Davangere","356",75.93,14.47],
+["Kaliningrad","643",20.51,54.71],
+["Karbala","368",44.02,32.62],
+["Masan","410",126.83,35.13],
+["Ananindeua","076",-48.37,-1.37],
+["Balikpapan","360",116.83,-1.27],
+["Brampton","124",-79.77,43.68],
+["Toulouse","250",1.44,43.6],
+["Tel Aviv","376",34.78,32.08],
+["Namangan","860",71.67,41],
+["Katsina","566",7.6,12.99],
+["Welkom","710",26.74,-27.98],
+["Santa Marta","170",-74.2,11.24],
+["Al Maḩallah al Kubrá","818",31.17,30.97],
+["Venustiano Carranza","484",-99.1,19.44],
+["Jalgaon","356",75.57,21],
+["Yokosuka","392",139.67,35.28],
+["Akola","356",77,20.71],
+["Belgaum","356",74.5,15.85],
+["Veracruz","484",-96.14,19.18],
+["East Jerusalem","275",35.23,31.78],
+["Luqiao","156",121.37,28.58],
+["Bryansk","643",34.37,53.25],
+["Maltepe","792",29.16,40.94],
+["Al Kharj","682",47.33,24.16],
+["Barcelona","862",-64.69,10.14],
+["Chaozhou","156",116.62,23.65],
+["Xalapa de Enríquez","484",-96.92,19.53],
+["Ado-Ekiti","566",5.22,7.62],
+["Bratislava","703",17.11,48.15],
+["Gaya","356",85,24.8],
+["Udaipur","356",73.71,24.59],
+["Likasi","180",26.74,-10.98],
+["Luxor","818",32.64,25.7],
+["Ibagué","170",-75.23,4.44],
+["Shaoxing","156",120.58,30],
+["Ivanovo","643",40.97,57],
+["Erzurum","792",41.28,39.91],
+["Akure","566",5.19,7.25],
+["Asyūţ","818",31.18,27.18],
+["Jambi City","360",103.62,-1.6],
+["Al Manşūrah","818",31.38,31.04],
+["Oakland","840",-122.27,37.8],
+["Korba","356",82.7,22.35],
+["Bokāro","356",85.96,23.79],
+["San Juan","630",-66.11,18.47],
+["Kolwezi","180",25.47,-10.71],
+["Auckland","554",174.76,-36.85],
+["Sukkur","586",68.86,27.7],
+["Mangalore","356",74.86,12.92],
+["Luohe","156",114.04,33.56],
+["Pasay","608",121,14.54],
+["Sevastopol","804",33.52,44.61],
+["Azcapotzalco","484",-99.19,19.49],
+["Shymkent","398",69.6,42.3],
+["Yangquan","156",113.56,37.86],
+["Magnitogorsk","643",59.05,53.42],
+["Jhānsi","356",78.58,25.46],
+["Florianópolis","076",-48.55,-27.6],
+["Wandsbek","276",10.08,53.58],
+["Santos","076",-46.33,-23.96],
+["Maturín","862",-63.18,9.75],
+["Minneapolis","840",-93.26,44.98],
+["Thoothukudi","356",78.13,8.77],
+["Ardabīl","364",48.29,38.25],
+["Nagasaki","392",129.88,32.75],
+["Chaoyang","156",120.46,41.57],
+["Gaza","275",34.47,31.5],
+["Kursk","643",36.19,51.74],
+["Tonalá","484",-103.23,20.62],
+["Jeju City","410",126.52,33.51],
+["Panamá","591",-79.52,8.99],
+["Xochimilco","484",-99.1,19.25],
+["Szczecin","616",14.55,53.43],
+["Biên Hòa","704",106.82,10.94],
+["Villa Nueva","320",-90.59,14.53],
+["Ribeirão das Neves","076",-44.09,-19.77],
+["Hirakata","392",135.65,34.81],
+["Oujda-Angad","504",-1.91,34.68],
+["Tanda","818",31,30.79],
+["Newcastle","710",29.93,-27.76],
+["Nellore","356",79.99,14.45],
+["Hsinchu","158",120.97,24.8],
+["Jixi","156",130.96,45.3],
+["Zanzibar","834",39.2,-6.16],
+["Tulsa","840",-95.99,36.15],
+["Taoyuan City","158",121.3,24.99],
+["Kassala","729",36.4,15.45],
+["Lekki","566",4.09,6.41],
+["Palma","724",2.65,39.57],
+["Kitwe","894",28.21,-12.8],
+["Nasiriyah","368",46.26,31.06],
+["Tver","643",35.9,56.86],
+["West Jerusalem","376",35.22,31.78],
+["Machida","392",139.45,35.54],
+["Yangjiang","156",111.96,21.86],
+["Khmelnytskyi","804",27,49.42],
+["Gifu-shi","392",136.76,35.42],
+["Tiruppur","356",77.35,11.12],
+["Keelung","158",121.74,25.13],
+["Al Hoceïma","504",-3.94,35.25],
+["Manchester","826",-2.24,53.48],
+["Surrey","124",-122.83,49.11],
+["Vila Velha","076",-40.29,-20.33],
+["Weifang","156",119.1,36.71],
+["Fujisawa","392",139.48,35.35],
+["Ndola","894",28.64,-12.96],
+["Kollam","356",76.58,8.88],
+["Serra","076",-40.31,-20.13],
+["Samsun","792",36.34,41.28],
+["Tallinn","233",24.75,59.44],
+["Bamenda","120",10.15,5.96],
+["El Obeid","729",30.22,13.18],
+["Bello","170",-75.56,6.34],
+["Xinpu","156",119.16,34.6],
+["Sandakan","458",118.12,5.84],
+["Buraydah","682",43.97,26.33],
+["Kandahār","004",65.71,31.61],
+["Diadema","076",-46.62,-23.69],
+["Wichita","840",-97.34,37.69],
+["New Orleans","840",-90.08,29.95],
+["Comilla","050",91.19,23.46],
+["Samut Prakan","764",100.6,13.6],
+["Nampula","508",39.27,-15.12],
+["Arlington","840",-97.11,32.74],
+["Cleveland","840",-81.7,41.5],
+["Bissau","624",-15.6,11.86],
+["Iloilo","608",122.56,10.7],
+["Khamis Mushait","682",42.73,18.3],
+["Campos dos Goytacazes","076",-41.33,-21.75],
+["Resistencia","032",-58.98,-27.46],
+["Mişrātah","434",15.09,32.38],
+["Mauá","076",-46.46,-23.67],
+["Abomey-Calavi","204",2.36,6.45],
+["Bochum","276",7.22,51.48],
+["Benito Juárez","484",-99.16,19.37],
+["Sector 3","642",26.17,44.42],
+["Toyonaka","392",135.47,34.78],
+["Iztacalco","484",-99.1,19.4],
+["Betim","076",-44.2,-19.97],
+["Fukuyama","392",133.37,34.48],
+["N’dalatando","024",14.91,-9.3],
+["Delmas 73","332",-72.3,18.54],
+["Pasto","170",-77.28,1.21],
+["Batman","792",41.13,37.89],
+["Wellington","554",174.78,-41.29],
+["Las Palmas de Gran Canaria","724",-15.41,28.1],
+["Mazatlán","484",-106.41,23.23],
+["Caxias do Sul","076",-51.18,-29.17],
+["Nizhny Tagil","643",59.97,57.92],
+["Irapuato","484",-101.36,20.68],
+["Bochum-Hordel","276",7.18,51.5],
+["Dezhou","156",116.31,37.45],
+["Krugersdorp","710",27.78,-26.09],
+["Pānihāti","356",88.37,22.69],
+["Shibganj","050",89.32,25],
+["Toyohashi","392",137.38,34.77],
+["Zhoukou","156",114.63,33.63],
+["Laval","124",-73.69,45.57],
+["Huancayo","604",-75.2,-12.07],
+["Makiyivka","804",37.93,48.05],
+["Putian","156",119.01,25.44],
+["Kahramanmaraş","792",36.93,37.58],
+["Minato","392",135.15,34.22],
+["Tirana","008",19.82,41.33],
+["São José do Rio Preto","076",-49.38,-20.82],
+["Kaunas","440",23.91,54.9],
+["Nuevo Laredo","484",-99.52,27.48],
+["Bakersfield","840",-119.02,35.37],
+["Zhangjiakou Shi Xuanhua Qu","156",115.04,40.61],
+["Seremban","458",101.94,2.73],
+["Miguel Hidalgo","484",-99.2,19.43],
+["Stoke-on-Trent","826",-2.19,53],
+["Pingxiang","156",113.85,27.62],
+["Van","792",43.38,38.49],
+["Honolulu","840",-157.86,21.31],
+["Abadan","364",48.3,30.34],
+["Fenghuang","156",109.6,27.94],
+["Puerto La Cruz","862",-64.63,10.21],
+["Brno","203",16.61,49.2],
+["Mahilyow","112",30.34,53.92],
+["Natore","050",88.99,24.41],
+["Tampa","840",-82.46,27.95],
+["Sector 6","642",26.02,44.44],
+["Canberra","036",149.13,-35.28],
+["Nara-shi","392",135.8,34.69],
+["Ahmadnagar","356",74.74,19.09],
+["Dhūlia","356",74.78,20.9],
+["Olinda","076",-34.86,-8.01],
+["Kenitra","504",-6.58,34.26],
+["Bydgoszcz","616",18.01,53.12],
+["Kuantan","458",103.33,3.81],
+["Bologna","380",11.34,44.49],
+["Cheonan","410",127.15,36.81],
+["Petare","862",-66.81,10.48],
+["Larkana","586",68.21,27.56],
+["Al Qadarif","729",35.38,14.03],
+["Christchurch","554",172.63,-43.53],
+["Stavropol’","643",41.97,45.04],
+["Toyota","392",137.15,35.08],
+["Manukau City","554",174.88,-36.99],
+["Zhaoqing","156",112.46,23.05],
+["Ataşehir","792",29.12,40.98],
+["Bhāgalpur","356",86.97,25.24],
+["Shekhupura","586",73.99,31.71],
+["Carapicuíba","076",-46.83,-23.52],
+["Wuppertal","276",7.15,51.26],
+["Tamale","288",-0.84,9.4],
+["Ulan-Ude","643",107.61,51.83],
+["Nagano","392",138.18,36.65],
+["Bobo-Dioulasso","854",-4.3,11.18],
+["Lublin","616",22.57,51.25],
+["Huocheng","156",80.87,44.05],
+["Aurora","840",-104.83,39.73],
+["Coventry","826",-1.51,52.41],
+["Halifax","124",-63.57,44.65],
+["Anqing","156",117.05,30.51],
+["Taraz","398",71.37,42.9],
+["San Jose del Monte","608",121.05,14.81],
+["Manizales","170",-75.52,5.07],
+["Kwangmyŏng","410",126.87,37.48],
+["Zanjān","364",48.5,36.68],
+["Iwaki","392",140.88,37.05],
+["Bacoor","608",120.94,14.46],
+["Asahikawa","392",142.36,43.77],
+["Xico","484",-98.95,19.27],
+["Kimhae","410",128.88,35.23],
+["Arkhangel’sk","643",40.54,64.54],
+["Ambon","360",128.18,-3.7],
+["Samarinda","360",117.15,-0.49],
+["Benito Juarez","484",-99.16,19.4],
+["Bilbao","724",-2.93,43.26],
+["Santiago del Estero","032",-64.26,-27.8],
+["Takatsuki","392",135.62,34.85],
+["Thessaloníki","300",22.93,40.64],
+["Villahermosa","484",-92.93,17.99],
+["Barinas","862",-70.21,8.62],
+["Neiva","170",-75.28,2.93],
+["Ciudad General Escobedo","484",-100.32,25.8],
+["Okazaki","392",137.17,34.95],
+["Bandar Abbas","364",56.28,27.19],
+["Vinnytsia","804",28.48,49.23],
+["Ras Al Khaimah City","784",55.94,25.79],
+["Anshun","156",105.93,26.25],
+["Suita","392",135.52,34.76],
+["Wakayama","392",135.17,34.23],
+["Anaheim","840",-117.91,33.84],
+["Hualien City","158",121.6,23.98],
+["Lapu-Lapu City","608",123.95,10.31],
+["Punāsa","356",76.39,22.24],
+["Diepsloot","710",28.01,-25.93],
+["Muzaffarnagar","356",77.7,29.47],
+["Florence","380",11.25,43.78],
+["Sanandaj","364",47,35.31],
+["Latur","356",76.57,18.4],
+["Campina Grande","076",-35.88,-7.23],
+["Etobicoke","124",-79.57,43.65],
+["Camagüey","192",-77.92,21.38],
+["London","124",-81.23,42.98],
+["Chifeng","156",118.96,42.27],
+["Hŭngnam","408",127.62,39.83],
+["Nur-Sultan","398",71.45,51.18],
+["Sector 2","642",26.13,44.45],
+["Belgorod","643",36.58,50.61],
+["Kosti","729",32.66,13.16],
+["Taihecun","156",130.85,45.76],
+["Doha","634",51.53,25.29],
+["Turmero","862",-67.47,10.23],
+["Kurgan","643",65.33,55.45],
+["Rangpur","050",89.25,25.75],
+["Bhimbar","586",74.08,32.97],
+["Vitebsk","112",30.2,55.19],
+["Iligan","608",124.24,8.23],
+["Soledad","170",-74.76,10.92],
+["Shiqi","156",113.39,22.52],
+["Piracicaba","076",-47.65,-22.73],
+["Zürich","756",8.55,47.37],
+["Kūkatpalli","356",78.41,17.48],
+["Jhang Sadr","586",72.32,31.27],
+["Arusha","834",36.68,-3.37],
+["Ambattūr","356",80.16,13.1],
+["Kōriyama","392",140.38,37.4],
+["Plovdiv","100",24.75,42.15],
+["Celaya","484",-100.82,20.52],
+["Chitungwiza","716",31.08,-18.01],
+["Kashiwa","392",139.98,35.86],
+["Latakia","760",35.79,35.53],
+["Aksu","156",80.28,41.18],
+["Serekunda","270",-16.68,13.44],
+["Tokorozawa","392",139.47,35.8],
+["Corrientes","032",-58.83,-27.47],
+["Kaluga","643",36.28,54.53],
+["Macapá","076",-51.07,0.04],
+["West Raleigh","840",-78.66,35.79],
+["Cuernavaca","484",-99.23,18.93],
+["Nice","250",7.27,43.7],
+["Kaesŏng","408",126.55,37.97],
+["Ciudad Bolívar","862",-63.54,8.13],
+["Kawagoe","392",139.49,35.91],
+["Tungi","050",90.4,23.89],
+["Krasnogvargeisky","643",30.48,59.97],
+["Randburg","710",28,-26.09],
+["Bellary","356",76.92,15.14],
+["Itaquaquecetuba","076",-46.35,-23.49],
+["Simferopol","804",34.11,44.96],
+["Kochi","392",133.53,33.55],
+["Sunderland","826",-1.38,54.9],
+["Santa Ana","840",-117.87,33.75],
+["Bauru","076",-49.06,-22.31],
+["San José","188",-84.08,9.93],
+["Alicante","724",-0.48,38.35],
+["Takamatsu","392",134.05,34.33],
+["Tieling","156",123.84,42.29],
+["Qazvin","364",50,36.27],
+["Muzaffarpur","356",85.39,26.12],
+["Kāmārhāti","356",88.37,22.67],
+["Tepic","484",-104.9,21.51],
+["Wad Medani","729",33.52,14.4],
+["Jincheng","156",112.83,35.5],
+["Montes Claros","076",-43.86,-16.73],
+["Bielefeld","276",8.53,52.03],
+["Bujumbura","108",29.36,-3.38],
+["Mandaue City","608",123.92,10.32],
+["Khorramshahr","364",48.18,30.44],
+["Mathura","356",77.67,27.5],
+["Khorramabad","364",48.36,33.49],
+["Soyapango","222",-89.14,13.71],
+["Patiāla","356",76.39,30.34],
+["Wŏnsan","408",127.44,39.15],
+["Brent","826",-0.3,51.55],
+["Pavlodar","398",76.97,52.28],
+["Córdoba","724",-4.77,37.89],
+["Chānda","356",79.3,19.95],
+["Canoas","076",-51.18,-29.92],
+["Sochi","643",39.73,43.6],
+["Chongjin","408",129.78,41.8],
+["Yanji","156",129.51,42.91],
+["Bhīlwāra","356",74.64,25.35],
+["Tétouan","504",-5.37,35.58],
+["Mogi das Cruzes","076",-46.19,-23.52],
+["Toyama","392",137.22,36.7],
+["Piura","604",-80.63,-5.19],
+["Birkenhead","826",-3.01,53.39],
+["Thrissur","356",76.22,10.52],
+["Brahmapur","356",84.79,19.31],
+["São Vicente","076",-46.39,-23.96],
+["Orël","643",36.08,52.97],
+["Corpus Christi","840",-97.4,27.8],
+["Suizhou","156",113.36,31.71],
+["Posadas","032",-55.9,-27.37],
+["Al ‘Amārah","368",47.14,31.84],
+["Volzhskiy","643",44.78,48.79],
+["Riverside","840",-117.4,33.95],
+["Ixtapaluca","484",-98.88,19.32],
+["Villavicencio","170",-73.63,4.14],
+["Jundiaí","076",-46.88,-23.19],
+["San Miguelito","591",-79.47,9.05],
+["Smolensk","643",32.04,54.78],
+["Ciudad del Este","600",-54.61,-25.51],
+["Pelotas","076",-52.34,-31.77],
+["Kherson","804",32.62,46.66],
+["Shāhjānpur","356",79.91,27.88],
+["Akita","392",140.12,39.72],
+["Thiès","686",-16.93,14.79],
+["Maroua","120",14.32,10.59],
+["Morón","032",-58.62,-34.65],
+["Anápolis","076",-48.95,-16.33],
+["Shimoga","356",75.57,13.93],
+["Samarkand","860",66.96,39.65],
+["Murmansk","643",33.09,68.98],
+["Islington","826",-0.1,51.54],
+["Holguín","192",-76.26,20.89],
+["Ust-Kamenogorsk","398",82.61,49.97],
+["Ad Dīwānīyah","368",44.93,31.99],
+["Shangrao","156",117.94,28.45],
+["Mataram","360",116.12,-8.58],
+["Andijon","860",72.34,40.78],
+["Reading","826",-0.97,51.46],
+["Iaşi","642",27.6,47.17],
+["Valladolid","724",-4.72,41.66],
+["Poltava","804",34.54,49.59],
+["New Delhi","356",77.22,28.64],
+["Koshigaya","392",139.79,35.89],
+["Vladikavkaz","643",44.67,43.04],
+["Hrodna","112",23.83,53.69],
+["Katowice","616",19.03,50.26],
+["Rohtak","356",76.59,28.89],
+["Baicheng","156",122.82,45.61],
+["Chimbote","604",-78.58,-9.09],
+["Cluj-Napoca","642",23.6,46.77],
+["Calamba","608",121.17,14.21],
+["Bauchi","566",9.84,10.31],
+["Cherepovets","643",37.9,59.13],
+["St. Louis","840",-90.2,38.63],
+["Armenia","170",-75.68,4.53],
+["Al Kūt","368",45.82,32.51],
+["Timişoara","642",21.23,45.75],
+["Vologda","643",39.88,59.22],
+["Şişli","792",28.99,41.06],
+["Lexington-Fayette","840",-84.46,38.05],
+["Kingston upon Hull","826",-0.34,53.74],
+["Soacha","170",-74.22,4.58],
+["Temara","504",-6.91,33.93],
+["Preston","826",-2.7,53.76],
+["Ganja","031",46.36,40.68],
+["Lianshan","156",120.85,40.76],
+["Denizli","792",29.09,37.77],
+["Ikeja","566",3.34,6.6],
+["Bonn","276",7.1,50.73],
+["Ostrava","203",18.28,49.83],
+["Varna","100",27.92,43.22],
+["Vitória","076",-40.34,-20.32],
+["Wusong","156",117.78,30.95],
+["Iligan City","608",124.4,8.25],
+["Cusco","604",-71.97,-13.52],
+["Maringá","076",-51.94,-23.43],
+["Miyazaki","392",131.42,31.92],
+["Percut","360",98.86,3.63],
+["Pucallpa","604",-74.55,-8.38],
+["Jingdezhen","156",117.21,29.29],
+["Guarujá","076",-46.26,-23.99],
+["Sariwŏn","408",125.76,38.51],
+["Vladimir","643",40.4,56.14],
+["Antofagasta","152",-70.4,-23.65],
+["Botshabelo","710",26.73,-29.27],
+["Bengkulu","360",102.27,-3.8],
+["Butuan","608",125.54,8.95],
+["Tampico","484",-97.88,22.29],
+["Oshawa","124",-78.85,43.9],
+["Cabuyao","608",121.13,14.27],
+["Chita","643",113.5,52.03],
+["Newcastle","036",151.78,-32.93],
+["Valledupar","170",-73.25,10.46],
+["Biskra","012",5.73,34.85],
+["Mannheim","276",8.47,49.49],
+["Chernihiv","804",31.28,51.51],
+["Irbid","400",35.85,32.56],
+["Tumkūr","356",77.1,13.34],
+["Chinju","410",128.08,35.19],
+["Newport","826",-3,51.59],
+["Tawau","458",117.89,4.24],
+["Shengli","156",118.49,37.46],
+["Fīrozābād","356",78.4,27.15],
+["Al Fayyūm","818",30.84,29.31],
+["Porto Velho","076",-63.9,-8.76],
+["San Salvador de Jujuy","032",-65.3,-24.19],
+["Brakpan","710",28.37,-26.24],
+["Stockton","840",-121.29,37.96],
+["Mandaluyong City","608",121.04,14.58],
+["Nizāmābād","356",78.1,18.67],
+["Kulti","356",86.84,23.73],
+["Ciudad Victoria","484",-99.15,23.74],
+["Tláhuac","484",-99.01,19.29],
+["Franca","076",-47.4,-20.54],
+["Rājahmundry","356",81.78,17.01],
+["Pittsburgh","840",-80,40.44],
+["Craiova","642",23.8,44.32],
+["Constanţa","642",28.63,44.18],
+["Saransk","643",45.17,54.18],
+["Mazār-e Sharīf","004",67.11,36.71],
+["Barddhamān","356",87.86,23.26],
+["Malmö","752",13,55.61],
+["Gujrat","586",74.08,32.57],
+["Naha","392",127.68,26.22],
+["Brest","112",23.69,52.1],
+["Mardan","586",72.05,34.2],
+["Surgut","643",73.42,61.25],
+["Swansea","826",-3.94,51.62],
+["Xinyuan","156",83.25,43.43],
+["Yangshuo","156",110.49,24.78],
+["Kyzylorda","398",65.51,44.85],
+["George Town","458",100.34,5.41],
+["Biñan","608",121.08,14.34],
+["Malir Cantonment","586",67.21,24.94],
+["Winejok","728",27.57,9.01],
+["Batikent","792",32.73,39.97],
+["Mérida","862",-71.16,8.59],
+["Angeles City","608",120.58,15.15],
+["Bradford","826",-1.75,53.79],
+["Santol","608",120.57,15.16],
+["Anchorage","840",-149.9,61.22],
+["Ciudad Obregón","484",-109.94,27.49],
+["Kasugai","392",136.97,35.25],
+["Jember","360",113.7,-8.17],
+["Aomori","392",140.73,40.82],
+["Ōtsu","392",135.87,35],
+["Bārāsat","356",88.48,22.72],
+["Elazığ","792",39.22,38.67],
+["Okanagan","124",-119.35,50.36],
+["Cherkasy","804",32.06,49.43],
+["Vigo","724",-8.72,42.23],
+["Akashi","392",135.01,34.66],
+["Bāli","356",88.34,22.65],
+["Cincinnati","840",-84.51,39.13],
+["Hisar","356",75.72,29.15],
+["Rāmpur","356",79.03,28.81],
+["Yokkaichi","392",136.62,34.97],
+["Yeosu","410",127.66,34.76],
+["Southend-on-Sea","826",0.71,51.54],
+["Morioka","392",141.15,39.7],
+["Viña del Mar","152",-71.55,-33.02],
+["Sumy","804",34.8,50.92],
+["Fukushima","392",140.47,37.75],
+["Galaţi","642",28.05,45.44],
+["Blumenau","076",-49.07,-26.92],
+["Greater Noida","356",77.54,28.5],
+["Noida","356",77.33,28.58],
+["Foz do Iguaçu","076",-54.59,-25.55],
+["Al Hufūf","682",49.59,25.36],
+["Kākināda","356",82.24,16.96],
+["Pānīpat","356",76.97,29.39],
+["Semey","398",80.27,50.43],
+["Makurdi","566",8.52,7.73],
+["Wollongong","036",150.89,-34.42],
+["Ponta Grossa","076",-50.16,-25.09],
+["Minna","566",6.55,9.62],
+["Białystok","616",23.16,53.13],
+["Mbeya","834",33.45,-8.9],
+["Mueang Nonthaburi","764",100.51,13.86],
+["Gumi","410",128.34,36.11],
+["Tambov","643",41.44,52.73],
+["Catania","380",15.07,37.49],
+["Al Mubarraz","682",49.59,25.41],
+["Bafoussam","120",10.42,5.48],
+["Kasur","586",74.45,31.12],
+["Utrecht","528",5.12,52.09],
+["Xiuying","156",110.29,20],
+["Paulista","076",-34.87,-7.94],
+["Al Ḩillah","368",44.42,32.46],
+["Limeira","076",-47.4,-22.56],
+["Parbhani","356",76.77,19.27],
+["Victoria","124",-123.35,48.44],
+["Beihai","156",109.1,21.48],
+["Huizhou","156",114.42,23.11],
+["Zeytinburnu","792",28.9,40.99],
+["Tsuen Wan","344",114.11,22.37],
+["Ironville","840",-82.69,38.46],
+["Meads","840",-82.71,38.41],
+["Sétif","012",5.41,36.19],
+["Safi","504",-9.24,32.3],
+["Sinŭiju","408",124.4,40.1],
+["Sector 4","642",26.12,44.38],
+["Huế","704",107.6,16.46],
+["Darbhanga","356",85.9,26.15],
+["Marienthal","276",10.08,53.57],
+["Adapazarı","792",30.4,40.78],
+["Sultanbeyli","792",29.27,40.96],
+["Henderson","840",-114.98,36.04],
+["Greensboro","840",-79.79,36.07],
+["Viamão","076",-51.02,-30.08],
+["Zagazig","818",31.5,30.59],
+["Saint Paul","840",-93.09,44.94],
+["Kuala Terengganu","458",103.14,5.33],
+["Ismailia","818",32.27,30.6],
+["Alto Barinas","862",-70.23,8.59],
+["Dihok","368",42.99,36.87],
+["Karlsruhe","276",8.4,49.01],
+["Port Moresby","598",147.15,-9.48],
+["Plano","840",-96.7,33.02],
+["Ichihara","392",140.08,35.52],
+["Iksan","410",126.95,35.94],
+["Nha Trang","704",109.19,12.25],
+["Suzano","076",-46.31,-23.54],
+["Alwar","356",76.63,27.56],
+["Cainta","608",121.12,14.58],
+["Pétionville","332",-72.29,18.51],
+["Maebashi","392",139.08,36.4],
+["Bilāspur","356",82.16,22.08],
+["Logan City","036",153.11,-27.64],
+["Valparaíso","152",-71.63,-33.04],
+["Palu","360",119.87,-0.91],
+["Kupang","360",123.61,-10.17],
+["Zhytomyr","804",28.68,50.26],
+["Newark","840",-74.17,40.74],
+["Itagüí","170",-75.6,6.18],
+["Nicolás Romero","484",-99.31,19.64],
+["Gebze","792",29.43,40.8],
+["Narsingdi","050",90.72,23.92],
+["Batna","012",6.17,35.56],
+["Chuzhou","156",118.3,32.32],
+["Merkezefendi","792",29.04,37.81],
+["Ichinomiya","392",136.8,35.3],
+["Tacna","604",-70.25,-18.01],
+["Hamburg-Nord","276",9.98,53.59],
+["Mingora","586",72.36,34.78],
+["Toledo","840",-83.56,41.66],
+["Ensenada","484",-116.6,31.87],
+["Efon-Alaaye","566",4.92,7.66],
+["Yoshkar-Ola","643",47.89,56.64],
+["Taganrog","643",38.9,47.24],
+["Santa Teresa del Tuy","862",-66.66,10.23],
+["Horlivka","804",38.05,48.34],
+["Windsor","124",-83.02,42.3],
+["Coacalco","484",-99.11,19.63],
+["Ilesa","566",4.74,7.63],
+["Kostroma","643",40.93,57.77],
+["Gijón","724",-5.66,43.54],
+["Bari","380",16.87,41.12],
+["Lincoln","840",-96.67,40.8],
+["Khomeynī Shahr","364",51.54,32.69],
+["Sfax","788",10.76,34.74],
+["Nantes","250",-1.55,47.22],
+["Cuenca","218",-79,-2.9],
+["Owo","566",5.59,7.2],
+["Bahía Blanca","032",-62.27,-38.72],
+["Sukabumi","360",106.93,-6.92],
+["Braşov","642",25.61,45.65],
+["Komsomolsk-on-Amur","643",137.01,50.55],
+["Hakodate","392",140.74,41.78],
+["Bab Ezzouar","012",3.18,36.73],
+["Mokolo","120",13.8,10.74],
+["Caucaia","076",-38.65,-3.74],
+["Strasbourg","250",7.75,48.58],
+["Belfast","826",-5.93,54.6],
+["Kashgar","156",75.99,39.47],
+["Ramadi","368",43.31,33.42],
+["Ichalkaranji","356",74.46,16.69],
+["Ibaraki","392",135.57,34.82],
+["Yao","392",135.6,34.62],
+["Herāt","004",62.2,34.35],
+["Guantánamo","192",-75.21,20.14],
+["Nal’chik","643",43.62,43.5],
+["Baguio","608",120.59,16.42],
+["Petrópolis","076",-43.18,-22.5],
+["Ar Rayyān","634",51.42,25.29],
+["Wiesbaden","276",8.25,50.08],
+["Montería","170",-75.88,8.75],
+["Ljubljana","705",14.51,46.05],
+["Hafar Al-Batin","682",45.97,28.43],
+["Kakogawachō-honmachi","392",134.83,34.77],
+["Sector 5","642",26.07,44.39],
+["Tasikmalaya","360",108.22,-7.33],
+["Bijapur","356",75.72,16.82],
+["Orlando","840",-81.38,28.54],
+["Linyi","156",118.34,35.06],
+["Derby","826",-1.48,52.92],
+["San Pedro","608",121.05,14.36],
+["Münster","276",7.63,51.96],
+["Gelsenkirchen","276",7.1,51.51],
+["Mokpo","410",126.39,34.81],
+["Santa Catarina","484",-100.46,25.67],
+["Russeifa","400",36.05,32.02],
+["Windhoek","516",17.08,-22.56],
+["Tshikapa","180",20.8,-6.42],
+["Kafr ad Dawwār","818",30.13,31.13],
+["Tokushima","392",134.57,34.07],
+["Haifa","376",34.99,32.82],
+["Sterlitamak","643",55.95,53.62],
+["Ha'il","682",41.69,27.52],
+["Eixample","724",2.16,41.39],
+["Bagerhat","050",89.79,22.66],
+["Chengzhong","156",113.55,30.94],
+["Wuzhou","156",111.32,23.48],
+["Chula Vista","840",-117.08,32.64],
+["Hulan Ergi","156",123.63,47.2],
+["Aizawl","356",92.72,23.73],
+["Aachen","276",6.08,50.78],
+["Sumqayıt","031",49.67,40.59],
+["Mantampay","608",124.22,8.17],
+["Petrozavodsk","643",34.35,61.78],
+["El Daein","729",26.13,11.46],
+["Umuahia","566",7.49,5.52],
+["Uruapan","484",-102.06,19.41],
+["Jersey City","840",-74.08,40.73],
+["Mianyang","156",104.68,31.47],
+["Sivas","792",37.02,39.75],
+["Witbank","710",29.23,-25.87],
+["Aktobe","398",57.21,50.28],
+["Paraná","032",-60.53,-31.73],
+["Jālna","356",75.89,19.84],
+["Lal Bahadur Nagar","356",78.56,17.35],
+["Mönchengladbach","276",6.44,51.19],
+["Markham","124",-79.27,43.87],
+["Dewas","356",76.06,22.97],
+["Sincelejo","170",-75.4,9.3],
+["Tongliao","156",122.27,43.61],
+["Uberaba","076",-47.93,-19.75],
+["Chandler","840",-111.84,33.31],
+["Fort Wayne","840",-85.13,41.13],
+["Plymouth","826",-4.14,50.37],
+["Baranagar","356",88.38,22.64],
+["Karamay","156",84.89,45.58],
+["Aral","156",81.27,40.54],
+["Nakuru","404",36.07,-0.31],
+["Cần Thơ","704",105.79,10.04],
+["Augsburg","276",10.9,48.37],
+["Hiratsuka","392",139.34,35.33],
+["Gajuwaka","356",83.22,17.7],
+["Jiujiang","156",116,29.7],
+["Jining","156",113.11,41.03],
+["Popayán","170",-76.61,2.44],
+["Najrān","682",44.13,17.49],
+["Mukalla","887",49.12,14.54],
+["Buffalo","840",-78.88,42.89],
+["Luton","826",-0.42,51.88],
+["Pekalongan","360",109.68,-6.89],
+["Cumaná","862",-64.18,10.45],
+["Satna","356",80.83,24.58],
+["Rio Branco","076",-67.81,-9.97],
+["Durham","840",-78.9,35.99],
+["Etāwah","356",79.02,26.78],
+["Gómez Palacio","484",-103.5,25.57],
+["Cascavel","076",-53.46,-24.96],
+["St. Petersburg","840",-82.68,27.77],
+["L'Hospitalet de Llobregat","724",2.1,41.36],
+["Ondo","566",4.84,7.09],
+["Chimoio","508",33.48,-19.12],
+["Irvine","840",-117.82,33.67],
+["Espoo","246",24.65,60.21],
+["Latina","724",-3.75,40.39],
+["Los Mochis","484",-109,25.79],
+["Bratsk","643",101.61,56.13],
+["Pachuca de Soto","484",-98.73,20.12],
+["Tarsus","792",34.89,36.92],
+["Laredo","840",-99.51,27.51],
+["Sari","364",53.06,36.56],
+["Durg","356",81.28,21.19],
+["Rivne","804",26.23,50.62],
+["Oaxaca","484",-96.72,17.07],
+["Soledad de Graciano Sánchez","484",-100.94,22.19],
+["Turpan","156",89.18,42.95],
+["Ikot Ekpene","566",7.71,5.18],
+["Heze","156",115.47,35.24],
+["Yamagata","392",140.37,38.23],
+["Cirebon","360",108.56,-6.71],
+["Novo Hamburgo","076",-51.13,-29.68],
+["Cox’s Bāzār","050",92.01,21.44],
+["Gdynia","616",18.53,54.52],
+["Carabanchel","724",-3.72,40.39],
+["Naihāti","356",88.42,22.89],
+["Vitória da Conquista","076",-40.84,-14.87],
+["Laohekou","156",111.67,32.39],
+["Talcahuano","152",-73.12,-36.72],
+["Richards Bay","710",32.04,-28.78],
+["Wolverhampton","826",-2.12,52.59],
+["El Fasher","729",25.35,13.63],
+["Woodlands","702",103.79,1.44],
+["Thiès Nones","686",-16.97,14.78],
+["Dire Dawa","231",41.87,9.59],
+["Floridablanca","170",-73.09,7.06],
+["Suihua","156",127,46.64],
+["Barueri","076",-46.88,-23.51],
+["Borūjerd","364",48.75,33.9],
+["Eimsbüttel","276",9.96,53.57],
+["Liupanshui","156",104.83,26.59],
+["Qarchak","364",51.58,35.43],
+["Santiago de Surco","604",-77.01,-12.14],
+["Taubaté","076",-45.56,-23.03],
+["Nanyang","156",112.53,32.99],
+["San Fernando","608",120.68,15.03],
+["Morogoro","834",37.66,-6.82],
+["Governador Valadares","076",-41.95,-18.85],
+["Tirupati","356",79.42,13.64],
+["Banda Aceh","360",95.33,5.54],
+["Wafangdian","156",122.01,39.62],
+["Sonīpat","356",77.02,28.99],
+["Santa Clara","192",-79.96,22.41],
+["Iwo","566",4.18,7.64],
+["Libertad","608",125.5,8.94],
+["Gombe","566",11.17,10.29],
+["Altona","276",9.93,53.55],
+["Āvadi","356",80.11,13.11],
+["Praia Grande","076",-46.4,-24.01],
+["Port-de-Paix","332",-72.83,19.94],
+["Colonia del Valle","484",-99.16,19.39],
+["Niš","688",21.9,43.32],
+["Singa","729",33.93,13.15],
+["San Bernardo","152",-70.7,-33.59],
+["Várzea Grande","076",-56.13,-15.65],
+["Porto","620",-8.61,41.15],
+["Volta Redonda","076",-44.1,-22.52],
+["Navotas","608",120.95,14.67],
+["Kropyvnytskyi","804",32.26,48.51],
+["Santa Maria","076",-53.81,-29.68],
+["Lubbock","840",-101.86,33.58],
+["Madison","840",-89.4,43.07],
+["Tehuacán","484",-97.4,18.46],
+["Fukui-shi","392",136.22,36.06],
+["Kamianske","804",34.6,48.51],
+["Montpellier","250",3.88,43.61],
+["Jimeta","566",12.46,9.28],
+["Częstochowa","616",19.12,50.8],
+["Tiruvottiyūr","356",80.3,13.16],
+["Palmira","170",-76.3,3.54],
+["Bukhara","860",64.43,39.77],
+["City of Westminster","826",-0.14,51.5],
+["Gilbert","840",-111.79,33.35],
+["Saugor","356",78.74,23.84],
+["Udon Thani","764",102.79,17.42],
+["Chemnitz","276",12.93,50.84],
+["Ica","604",-75.73,-14.07],
+["Orsk","643",58.57,51.2],
+["Vanderbijlpark","710",27.84,-26.71],
+["San Cristóbal","862",-72.22,7.77],
+["Mito","392",140.45,36.35],
+["Norfolk","840",-76.29,36.85],
+["Rizhao","156",119.46,35.43],
+["Southampton","826",-1.4,50.9],
+["Kyain Seikgyi Township","104",98.25,15.82],
+["A Coruña","724",-8.4,43.37],
+["Mau","356",83.56,25.94],
+["Shimonoseki","392",130.95,33.95],
+["Juliaca","604",-70.13,-15.5],
+["Ji’an","156",114.98,27.12],
+["Gorgān","364",54.44,36.84],
+["Nizhnevartovsk","643",76.55,60.93],
+["Braunschweig","276",10.53,52.27],
+["Hebi","156",114.19,35.9],
+["Bago","104",96.48,17.34],
+["Bihār Sharīf","356",85.52,25.2],
+["Baruta","862",-66.88,10.43],
+["Merlo","032",-58.73,-34.67],
+["Puente de Vallecas","724",-3.66,40.39],
+["Trabzon","792",39.73,41.01],
+["Jessore","050",89.21,23.17],
+["Manisa","792",27.43,38.61],
+["Louisville","840",-85.76,38.25],
+["Santa Luzia","076",-43.85,-19.77],
+["Gunsan","410",126.71,35.98],
+["Wŏnju","410",127.95,37.35],
+["Musaffah","784",54.48,24.36],
+["Angarsk","643",103.89,52.54],
+["Mar’ino","643",37.72,55.65],
+["Hāpur","356",77.78,28.73],
+["Bathinda","356",74.94,30.21],
+["Deir ez-Zor","760",40.14,35.34],
+["Huayin","156",110.07,34.57],
+["Berbera","706",45.01,10.44],
+["Ojo de Agua","484",-99.01,19.68],
+["Gatineau","124",-75.7,45.48],
+["Yibin","156",104.64,28.76],
+["Neuquén","032",-68.06,-38.95],
+["Tacloban","608",125,11.24],
+["Novorossiysk","643",37.77,44.72],
+["Reno","840",-119.81,39.53],
+["Aswan","818",32.9,24.09],
+["Winston-Salem","840",-80.24,36.1],
+["Farrukhābād","356",79.58,27.39],
+["Sancaktepe","792",29.23,41],
+["Takasaki","392",139.02,36.33],
+["Anantapur","356",77.61,14.68],
+["Buenaventura","170",-77.03,3.88],
+["Lankaran","031",48.85,38.75],
+["Glendale","840",-112.19,33.54],
+["Fuji","392",138.68,35.17],
+["Khimki","643",37.43,55.9],
+["Blackpool","826",-3.05,53.82],
+["Xiantao","156",113.44,30.37],
+["Hachinohe","392",141.5,40.5],
+["Vaughan","124",-79.5,43.84],
+["Gravataí","076",-50.99,-29.94],
+["Neyagawa","392",135.63,34.77],
+["Magdalena Contreras","484",-99.21,19.33],
+["Nāgarpur","050",89.88,24.06],
+["Kurume","392",130.52,33.32],
+["Balıkesir","792",27.89,39.65],
+["Temuco","152",-72.6,-38.74],
+["Krefeld","276",6.55,51.34],
+["Seeb","512",58.19,23.67],
+["Bārāsat","356",88.45,22.23],
+["Århus","208",10.21,56.16],
+["Sasebo","392",129.73,33.17],
+["Batangas","608",121.06,13.76],
+["Al Jubayl","682",49.62,27.02],
+["Pathein","104",94.73,16.78],
+["Tegal","360",109.14,-6.87],
+["Hialeah","840",-80.28,25.86],
+["Djougou","204",1.67,9.71],
+["Sylhet","050",91.87,24.9],
+["Garland","840",-96.64,32.91],
+["Ratlām","356",75.04,23.33],
+["Scottsdale","840",-111.9,33.51],
+["Irving","840",-96.95,32.81],
+["Košice","703",21.26,48.71],
+["Chernivtsi","804",25.94,48.29],
+["Dera Ghazi Khan","586",70.64,30.05],
+["Coatzacoalcos","484",-94.44,18.15],
+["Yuci","156",112.73,37.68],
+["Sant Martí","724",2.2,41.42],
+["Sahiwal","586",73.1,30.67],
+["Ternopil","804",25.59,49.55],
+["Gasteiz / Vitoria","724",-2.67,42.85],
+["Yakutsk","643",129.73,62.03],
+["Chesapeake","840",-76.27,36.82],
+["Caruaru","076",-35.98,-8.28],
+["Qinā","818",32.73,26.16],
+["Boa Vista","076",-60.67,2.82],
+["Kediri","360",112.02,-7.82],
+["Georgetown","328",-58.16,6.8],
+["Ramagundam","356",79.47,18.76],
+["Kismayo","706",42.55,-0.36],
+["Ibb","887",44.18,13.97],
+["Türkmenabat","795",63.58,39.07],
+["North Las Vegas","840",-115.12,36.2],
+["Granada","724",-3.61,37.19],
+["Nizhnekamsk","643",51.82,55.64],
+["Porto-Novo","204",2.6,6.5],
+["Halle (Saale)","276",11.98,51.48],
+["Kitchener","124",-80.51,43.43],
+["Centurion","710",28.19,-25.86],
+["Magugpo Poblacion","608",125.8,7.45],
+["Hamburg-Mitte","276",10.02,53.55],
+["Dzerzhinsk","643",43.46,56.24],
+["Takoradi","288",-1.76,4.9],
+["Kiel","276",10.13,54.32],
+["Linfen","156",111.52,36.09],
+["Fremont","840",-121.99,37.55],
+["Beni","180",29.47,0.49],
+["Bordeaux","250",-0.58,44.84],
+["Gangānagar","356",73.87,29.92],
+["Chigasaki","392",139.4,35.34],
+["Gent","056",3.72,51.05],
+["Taytay","608",121.13,14.56],
+["Sōka","392",139.8,35.84],
+["Ngaoundéré","120",13.58,7.33],
+["Suncheon","410",127.49,34.95],
+["Sejong","410",127.29,36.59],
+["José C. Paz","032",-58.77,-34.52],
+["Syktyvkar","643",50.82,61.66],
+["Elche","724",-0.7,38.26],
+["Marka","706",44.77,1.72],
+["Nukus","860",59.61,42.45],
+["Quilmes","032",-58.26,-34.73],
+["Ḩalwān","818",31.3,29.84],
+["Atani","566",6.75,6.01],
+["Milton Keynes","826",-0.76,52.04],
+["Magdeburg","276",11.63,52.13],
+["Rio Verde","076",-50.93,-17.8],
+["Nawabshah","586",68.4,26.24],
+["Tripoli","422",35.84,34.43],
+["Bharatpur","356",77.49,27.22],
+["Longueuil","124",-73.52,45.53],
+["Atsugi","392",139.37,35.44],
+["Croix-des-Bouquets","332",-72.23,18.58],
+["Uitenhage","710",25.4,-33.76],
+["Ploieşti","642",26.02,44.95],
+["Sungai Petani","458",100.49,5.65],
+["Binjai","360",98.49,3.6],
+["Lucena","608",121.62,13.93],
+["Ipatinga","076",-42.54,-19.47],
+["Karīmnagar","356",79.13,18.44],
+["Baton Rouge","840",-91.19,30.44],
+["Rạch Giá","704",105.08,10.01],
+["Lille","250",3.06,50.63],
+["Miri","458",113.99,4.4],
+["Ciudad Lineal","724",-3.65,40.45],
+["Bexley","826",0.15,51.44],
+["Sumaré","076",-47.27,-22.82],
+["Damanhūr","818",30.47,31.03],
+["Nassau","044",-77.34,25.06],
+["San Lorenzo","600",-57.51,-25.34],
+["Iquique","152",-70.15,-20.21],
+["Kremenchuk","804",33.42,49.07],
+["Puducherry","356",79.83,11.93],
+["Sosnowiec","616",19.1,50.29],
+["Diez de Octubre","192",-82.36,23.09],
+["Al Minyā","818",30.76,28.09],
+["Staryy Oskol","643",37.84,51.3],
+["Liaocheng","156",115.98,36.46],
+["Gusau","566",6.66,12.17],
+["Neue Neustadt","276",11.63,52.15],
+["Radom","616",21.15,51.4],
+["Pilar","032",-58.91,-34.46],
+["Shrīrāmpur","356",88.34,22.75],
+["Fendou","156",124.86,46.64],
+["Sabzevar","364",57.68,36.21],
+["Huambo","024",15.74,-12.78],
+["Groznyy","643",45.69,43.31],
+["Geelong","036",144.36,-38.15],
+["Rāichūr","356",77.36,16.21],
+["Huanggang","156",117,23.68],
+["Quthbullapur","356",78.46,17.5],
+["Mubi","566",13.27,10.27],
+["Sector 1","642",26.05,44.49],
+["Bukavu","180",28.84,-2.49],
+["Lexington","840",-84.48,37.99],
+["Juazeiro do Norte","076",-39.32,-7.21],
+["Mymensingh","050",90.41,24.76],
+["Karnāl","356",76.98,29.69],
+["Roodepoort","710",27.87,-26.16],
+["Tanga","834",39.1,-5.07],
+["Jingling","156",113.1,30.65],
+["Sucre","068",-65.26,-19.03],
+["Nacala","508",40.69,-14.56],
+["Ashdod","376",34.65,31.79],
+["Minamirinkan","392",139.44,35.5],
+["Oviedo","724",-5.84,43.36],
+["Paramaribo","740",-55.17,5.87],
+["Adıyaman","792",38.28,37.76],
+["Arrah","356",84.66,25.56],
+["Okara","586",73.45,30.81],
+["Nārāyanganj","050",90.5,23.61],
+["Tongchuanshi","156",109.08,35.07],
+["Imphal","356",93.94,24.81],
+["Najafābād","364",51.37,32.63],
+["Paradise","840",-115.15,36.1],
+["Qarshi","860",65.79,38.86],
+["Gosāba","356",88.8,22.17],
+["Puerto Princesa","608",118.74,9.74],
+["Xintai","156",117.75,35.9],
+["Santa Cruz de Tenerife","724",-16.25,28.47],
+["Haeju","408",125.71,38.04],
+["Graz","040",15.45,47.07],
+["Ikire","566",4.19,7.37],
+["Embu","076",-46.85,-23.65],
+["Formosa","032",-58.17,-26.18],
+["Shakhty","643",40.21,47.71],
+["Blagoveshchensk","643",127.54,50.28],
+["Olongapo","608",120.28,14.83],
+["Banja Luka","070",17.19,44.78],
+["Thị Xã Phú Mỹ","704",107.13,10.57],
+["Neyshābūr","364",58.8,36.21],
+["Wuxue","156",115.55,29.85],
+["Babruysk","112",29.22,53.14],
+["Rishon LeẔiyyon","376",34.79,31.97],
+["Campeche","484",-90.53,19.84],
+["Richmond","840",-77.46,37.55],
+["Cabanatuan City","608",120.97,15.49],
+["Fuencarral-El Pardo","724",-3.73,40.5],
+["Mirzāpur","356",82.57,25.14],
+["Messina","380",15.55,38.19],
+["Dehiwala-Mount Lavinia","144",79.87,6.84],
+["Takarazuka","392",135.36,34.8],
+["Kharagpur","356",87.33,22.34],
+["Dhanbād","356",86.44,23.8],
+["Tanjore","356",79.14,10.79],
+["Badalona","724",2.25,41.45],
+["Ageoshimo","392",139.61,35.97],
+["Binangonan","608",121.19,14.46],
+["Oberhausen","276",6.86,51.48],
+["Chon Buri","764",100.98,13.36],
+["Verona","380",10.98,45.43],
+["Prokop’yevsk","643",86.72,53.91],
+["Eldoret","404",35.27,0.52],
+["Wuhai","156",106.82,39.68],
+["Bertoua","120",13.68,4.58],
+["Imperatriz","076",-47.49,-5.53],
+["San Pedro de Macorís","214",-69.31,18.45],
+["Amarnāth","356",73.17,19.2],
+["Taiping","458",100.73,4.85],
+["Alor Setar","458",100.36,6.12],
+["Purwokerto","360",109.23,-7.42],
+["Colombo","076",-49.22,-25.29],
+["Jamaica","840",-73.81,40.69],
+["Rybinsk","643",38.84,58.04],
+["Hobart","036",147.33,-42.88],
+["Santa Rosa","608",121.11,14.31],
+["Kisumu","404",34.76,-0.1],
+["San Bernardino","840",-117.29,34.11],
+["Imus","608",120.94,14.43],
+["Vykhino-Zhulebino","643",37.81,55.7],
+["Freiburg","276",7.85,48],
+["Northampton","826",-0.88,52.25],
+["Purwakarta","360",107.44,-6.56],
+["Zelenograd","643",37.18,55.98],
+["Archway","826",-0.13,51.57],
+["Mirpur Khas","586",69.01,25.53],
+["Daloa","384",-6.45,6.88],
+["Mek'ele","231",39.48,13.5],
+["Biysk","643",85.21,52.54],
+["Concepción","152",-73.05,-36.83],
+["Novi Sad","688",19.84,45.25],
+["Jinzhou","156",121.72,39.1],
+["Monclova","484",-101.42,26.91],
+["Mucumpiz","862",-71.13,8.42],
+["La Paz","484",-110.3,24.14],
+["Velikiy Novgorod","643",31.27,58.52],
+["Owerri","566",7.03,5.48],
+["Centralniy","643",30.36,59.93],
+["Shagamu","566",3.65,6.85],
+["Taboão da Serra","076",-46.79,-23.63],
+["Nazrēt","231",39.27,8.55],
+["Nāgercoil","356",77.43,8.18],
+["Lutsk","804",25.34,50.76],
+["Bergen","578",5.32,60.39],
+["Brăila","642",27.97,45.27],
+["Naz̧arābād","364",50.61,35.95],
+["Guangyuan","156",105.82,32.44],
+["Būkān","364",46.21,36.52],
+["Spokane","840",-117.43,47.66],
+["Norwich","826",1.3,52.63],
+["Jacareí","076",-45.97,-23.31],
+["Chōfu","392",139.55,35.66],
+["Loa Janan","360",117.1,-0.58],
+["Rancagua","152",-70.74,-34.17],
+["Mokotów","616",21.03,52.19],
+["Nogales","484",-110.94,31.31],
+["Birmingham","840",-86.8,33.52],
+["Bukit Mertajam","458",100.47,5.36],
+["Lipa City","608",121.16,13.94],
+["Marília","076",-49.95,-22.21],
+["Lübeck","276",10.69,53.87],
+["Sepang","458",101.75,2.69],
+["Cartagena","724",-0.99,37.61],
+["Esenyurt","792",28.68,41.03],
+["Modesto","840",-121,37.64],
+["Kırıkkale","792",33.51,39.85],
+["Hailar","156",119.7,49.2],
+["Terrassa","724",2.02,41.57],
+["Abha","682",42.51,18.22],
+["Tarhuna","434",13.63,32.44],
+["Idkū","818",30.3,31.31],
+["Matsumoto","392",137.97,36.23],
+["Daliang","156",113.25,22.84],
+["Qui Nhon","704",109.22,13.78],
+["Des Moines","840",-93.61,41.6],
+["Pāli","356",73.32,25.77],
+["Arroyo Naranjo","192",-82.38,23.04],
+["Bogra","050",89.37,24.85],
+["Kostanay","398",63.62,53.21],
+["Antakya","792",36.16,36.21],
+["Rochester","840",-77.62,43.15],
+["Chuncheon","410",127.73,37.87],
+["Vũng Tàu","704",107.08,10.35],
+["Eindhoven","528",5.48,51.44],
+["Pematangsiantar","360",99.07,2.96],
+["Kanggye","408",126.59,40.97],
+["Presidente Prudente","076",-51.39,-22.13],
+["Sanming","156",117.62,26.25],
+["Sohag","818",31.69,26.56],
+["Rennes","250",-1.67,48.11],
+["São Leopoldo","076",-51.15,-29.76],
+["Ijebu-Ode","566",3.92,6.82],
+["Yamunānagar","356",77.28,30.13],
+["Nakhon Ratchasima","764",102.1,14.97],
+["Toruń","616",18.6,53.01],
+["Oruro","068",-67.15,-17.98],
+["Kielce","616",20.63,50.87],
+["Rewa","356",81.29,24.53],
+["La Romana","214",-68.97,18.43],
+["Gaborone","072",25.91,-24.65],
+["Hangu","156",117.79,39.25],
+["Maryvale","840",-112.18,33.5],
+["Tacoma","840",-122.44,47.25],
+["Lobito","024",13.54,-12.36],
+["North Shore","554",174.75,-36.8],
+["Ciputat","360",106.7,-6.24],
+["Sirjan","364",55.68,29.45],
+["Arlington","840",-77.1,38.88],
+["San Pablo","608",121.33,14.07],
+["Jerez de la Frontera","724",-6.14,36.69],
+["Fontana","840",-117.44,34.09],
+["Oxnard","840",-119.18,34.2],
+["Ciampea","360",106.7,-6.55],
+["Kasukabe","392",139.75,35.98],
+["Oradea","642",21.92,47.05],
+["Annaba","012",7.77,36.9],
+["Sabadell","724",2.11,41.54],
+["Móstoles","724",-3.86,40.32],
+["Toamasina","450",49.4,-18.15],
+["Dinājpur","050",88.64,25.63],
+["Buenavista","484",-99.17,19.61],
+["Itabuna","076",-39.28,-14.79],
+["Kishiwada","392",135.37,34.47],
+["Suzhou","156",116.98,33.64],
+["São Carlos","076",-47.89,-22.02],
+["Linz","040",14.29,48.31],
+["Alcalá de Henares","724",-3.36,40.48],
+["Gaoping","156",106.1,30.78],
+["Numazu","392",138.87,35.1],
+["Ivano-Frankivsk","804",24.71,48.92],
+["Moreno Valley","840",-117.23,33.94],
+["Secunderabad","356",78.54,17.5],
+["Jōetsu","392",138.24,37.15],
+["Debrecen","348",21.62,47.53],
+["Bīdar","356",77.52,17.91],
+["Padova","380",11.89,45.41],
+["Las Tunas","192",-76.95,20.96],
+["Sa Dec","704",105.76,10.29],
+["Hortolândia","076",-47.22,-22.86],
+["Bayamón","630",-66.16,18.4],
+["Daqing","156",125,46.58],
+["Puerto Vallarta","484",-105.23,20.62],
+["Agartala","356",91.28,23.84],
+["Erfurt","276",11.03,50.98],
+["Monghyr","356",86.47,25.37],
+["Edéa","120",10.13,3.8],
+["Vasyl'evsky Ostrov","643",30.25,59.94],
+["Odawara","392",139.16,35.26],
+["Atsiaman","288",-0.33,5.7],
+["Osmaniye","792",36.25,37.07],
+["Burnaby","124",-122.95,49.27],
+["Bābol","364",52.68,36.55],
+["Burhānpur","356",76.23,21.31],
+["Tampere","246",23.79,61.5],
+["Tapachula","484",-92.26,14.9],
+["Yiyang","156",112.33,28.59],
+["Çorlu","792",27.8,41.16],
+["Harburg","276",9.98,53.46],
+["Linxia Chengguanzhen","156",103.21,35.6],
+["Barisāl","050",90.37,22.7],
+["Cileungsir","360",106.96,-6.39],
+["Nadiād","356",72.86,22.69],
+["Mossoró","076",-37.34,-5.19],
+["Pskov","643",28.35,57.81],
+["Fayetteville","840",-78.88,35.05],
+["Yuncheng","156",110.99,35.02],
+["Al Khums","434",14.26,32.65],
+["Huntington Beach","840",-118,33.66],
+["Favoriten","040",16.38,48.16],
+["Chiniot","586",72.98,31.72],
+["Itapevi","076",-46.93,-23.55],
+["Chāpra","356",84.75,25.78],
+["Rengasdengklok","360",107.3,-6.16],
+["Sete Lagoas","076",-44.25,-19.47],
+["La Pintana","152",-70.63,-33.58],
+["Yonkers","840",-73.9,40.93],
+["Glendale","840",-118.26,34.14],
+["Chiang Mai","764",98.98,18.79],
+["Petropavl","398",69.15,54.87],
+["Cabimas","862",-71.45,10.4],
+["Dindigul","356",77.98,10.37],
+["Aurora","840",-88.32,41.76],
+["Montgomery","840",-86.3,32.37],
+["Columbus","840",-84.99,32.46],
+["Nicosia","196",33.36,35.18],
+["Santo Domingo de los Colorados","218",-79.18,-0.25],
+["Jalālābād","004",70.45,34.43],
+["Ugep","566",8.08,5.81],
+["Yanbu","682",38.06,24.09],
+["Charleroi","056",4.44,50.41],
+["São José","076",-49.16,-28.21],
+["Ladner","124",-123.08,49.09],
+["New Cairo","818",31.47,30.03],
+["Sumedang","360",107.92,-6.86],
+["Petaẖ Tiqwa","376",34.89,32.09],
+["Panchkula","356",76.85,30.69],
+["Thika","404",37.07,-1.03],
+["Osh","417",72.8,40.53],
+["Oral","398",51.37,51.23],
+["Az Zāwīyah","434",12.73,32.76],
+["Salé Al Jadida","504",-6.74,34],
+["Chakwama","566",9.66,11.56],
+["Pokhara","524",83.97,28.27],
+["Shahkot","586",73.49,31.57],
+["Severnyy","643",37.55,55.94],
+["Sīkar","356",75.14,27.61],
+["Tilburg","528",5.09,51.56],
+["Balakovo","643",47.8,52.03],
+["Armavir","643",41.12,44.99],
+["Kamoke","586",74.22,31.98],
+["Saidpur","050",88.89,25.78],
+["Āmol","364",52.35,36.47],
+["Bila Tserkva","804",30.11,49.81],
+["Dudley","826",-2.08,52.5],
+["Hagen","276",7.47,51.36],
+["Saskatoon","124",-106.67,52.13],
+["Gliwice","616",18.68,50.3],
+["Changji","156",87.3,44.01],
+["Malolos","608",120.81,14.84],
+["Amarillo","840",-101.83,35.22],
+["Bulandshahr","356",77.86,28.4],
+["Capiatá","600",-57.45,-25.36],
+["Pamplona","724",-1.64,42.82],
+["Purnia","356",87.47,25.78],
+["Kaiyuan","156",103.3,23.7],
+["Rostock","276",12.14,54.09],
+["Sibu","458",111.82,2.3],
+["Arnavutköy","792",28.74,41.18],
+["Machala","218",-79.96,-3.26],
+["Little Rock","840",-92.29,34.75],
+["Hospet","356",76.39,15.27],
+["Fuenlabrada","724",-3.79,40.28],
+["Mentougou","156",116.09,39.94],
+["Akron","840",-81.52,41.08],
+["Talca","152",-71.66,-35.43],
+["Gurgaon","356",77.03,28.46],
+["Ciudad Madero","484",-97.84,22.27],
+["Shreveport","840",-93.75,32.53],
+["Ðà Lạt","704",108.44,11.95],
+["Bīrjand","364",59.22,32.87],
+["San-Pédro","384",-6.64,4.75],
+["Vientiane","418",102.6,17.97],
+["Aberdeen","826",-2.1,57.14],
+["Kure","392",132.57,34.23],
+["İzmit","792",29.93,40.76],
+["Reims","250",4.03,49.27],
+["Laayoune","732",-13.19,27.14,"MA"],
+["Palmas","076",-48.33,-10.17],
+["Parauapebas","076",-49.9,-6.07],
+["Icheon-si","410",127.44,37.28],
+["Townsville","036",146.81,-19.27],
+["Sambhal","356",78.57,28.58],
+["Americana","076",-47.33,-22.74],
+["Engel’s","643",46.11,51.48],
+["Gandhinagar","356",72.68,23.22],
+["Burgas","100",27.47,42.51],
+["Murwāra","356",80.39,23.84],
+["Nagaoka","392",138.85,37.45],
+["Guri-si","410",127.14,37.6],
+["Coro","862",-69.67,11.4],
+["Nishi-Tokyo-shi","392",139.54,35.73],
+["Xinhui","156",113.05,22.46],
+["Grand Rapids","840",-85.67,42.96],
+["Kendari","360",122.52,-3.98],
+["Petrolina","076",-40.5,-9.4],
+["Yamoussoukro","384",-5.28,6.82],
+["Kassel","276",9.5,51.32],
+["Nāngloi Jāt","356",77.07,28.68],
+["Severodvinsk","643",39.83,64.56],
+["Mobile","840",-88.04,30.69],
+["Portsmouth","826",-1.09,50.8],
+["Nnewi","566",6.92,6.02],
+["Parung","360",106.73,-6.42],
+["Divinópolis","076",-44.89,-20.14],
+["Başakşehir","792",28.8,41.09],
+["Ezhou","156",114.83,30.4],
+["Maracanaú","076",-38.63,-3.88],
+["Itami","392",135.4,34.78],
+["Nam Định","704",106.18,20.43],
+["Uji","392",135.8,34.89],
+["Machilīpatnam","356",81.14,16.19],
+["Hyesan","408",128.18,41.4],
+["Salt Lake City","840",-111.89,40.76],
+["Bayamo","192",-76.64,20.37],
+["Katihar","356",87.57,25.54],
+["Tanjung Pinang","360",104.46,0.92],
+["Pār Naogaon","050",88.95,24.8],
+["Newcastle upon Tyne","826",-1.61,54.97],
+["Klaipėda","440",21.14,55.71],
+["Zabrze","616",18.79,50.32],
+["Bojnūrd","364",57.33,37.47],
+["Guatire","862",-66.54,10.47],
+["Humen","156",113.67,22.82],
+["Sidi Bel Abbès","012",-0.63,35.19],
+["Hat Yai","764",100.48,7.01],
+["Haicheng","156",122.75,40.85],
+["Suzuka","392",136.58,34.88],
+["Zinder","562",8.99,13.81],
+["Curug","360",106.56,-6.27],
+["Barrancabermeja","170",-73.85,7.07],
+["Zlatoust","643",59.65,55.17],
+["Ormoc","608",124.61,11.01],
+["Bhiwāni","356",76.14,28.79],
+["Huntsville","840",-86.59,34.73],
+["Zoucheng","156",116.97,35.4],
+["Cork","372",-8.47,51.9],
+["Al Fallūjah","368",43.79,33.35],
+["Ise-Ekiti","566",5.42,7.46],
+["Vantaa","246",25.04,60.29],
+["Kōfu","392",138.57,35.67],
+["Paarl","710",18.98,-33.73],
+["Tallahassee","840",-84.28,30.44],
+["Saddiqabad","586",70.13,28.31],
+["Banī Suwayf","818",31.1,29.07],
+["Planaltina","076",-47.65,-15.62],
+["Sunrise Manor","840",-115.07,36.21],
+["Syzran’","643",48.47,53.16],
+["Bytom","616",18.93,50.35],
+["Mwene-Ditu","180",23.45,-7.01],
+["Panalanoy","608",125.01,11.25],
+["Izumi","392",135.43,34.48],
+["Santarém","076",-54.71,-2.44],
+["Wanxian","156",108.37,30.82],
+["Kabwe","894",28.45,-14.45],
+["Quelimane","508",36.89,-17.88],
+["San Fernando del Valle de Catamarca","032",-65.79,-28.47],
+["Almería","724",-2.46,36.84],
+["Camaçari","076",-38.32,-12.7],
+["Labuan Bajo","360",119.89,-8.5],
+["Cibinong","360",106.85,-6.48],
+["Donghai","156",115.64,22.95],
+["Boyeros","192",-82.4,23.01],
+["Baiyin","156",104.17,36.55],
+["Mabalacat City","608",120.57,15.22],
+["Santa Bárbara d'Oeste","076",-47.41,-22.75],
+["Laizhou","156",119.94,37.18],
+["Kultali","356",88.4,21.9],
+["Praga Południe","616",21.09,52.24],
+["Rio Grande","076",-52.1,-32.03],
+["Grand Prairie","840",-97,32.75],
+["Mohammedia","504",-7.38,33.69],
+["Sutton","826",-0.2,51.35],
+["Qo‘qon","860",70.94,40.53],
+["Petropavlovsk-Kamchatsky","643",158.65,53.04],
+["Chilpancingo","484",-99.51,17.55],
+["Trieste","380",13.78,45.65],
+["Cachoeiro de Itapemirim","076",-41.11,-20.85],
+["Donaustadt","040",16.46,48.23],
+["Kikwit","180",18.82,-5.04],
+["Pinar del Río","192",-83.7,22.42],
+["Pagadian","608",123.44,7.83],
+["Pābna","050",89.24,24.01],
+["Cienfuegos","192",-80.45,22.15],
+["Beersheba","376",34.79,31.25],
+["Overland Park","840",-94.67,38.98],
+["Raebareli","356",81.23,26.23],
+["Springs","710",28.4,-26.25],
+["Shibīn al Kawm","818",31.01,30.55],
+["Hitachi","392",140.65,36.6],
+["Antsirabe","450",47.03,-19.87],
+["Zawiya","434",12.73,32.75],
+["Madiun","360",111.52,-7.63],
+["Haridwar","356",78.16,29.95],
+["Leganés","724",-3.76,40.33],
+["Ad-Damazin","729",34.36,11.79],
+["Arica","152",-70.3,-18.47],
+["Le Havre","250",0.11,49.49],
+["Swindon","826",-1.78,51.56],
+["Singrauli","356",82.68,24.2],
+["Richmond Hill","124",-79.44,43.87],
+["Donostia / San Sebastián","724",-1.97,43.31],
+["Hamm","276",7.82,51.68],
+["Knoxville","840",-83.92,35.96],
+["Jamaame","706",42.74,0.07],
+["Poza Rica de Hidalgo","484",-97.46,20.53],
+["Moratuwa","144",79.88,6.77],
+["Kütahya","792",29.98,39.42],
+["Mainz","276",8.28,49.98],
+["Meycauayan","608",120.96,14.74],
+["Brescia","380",10.21,45.54],
+["Worcester","840",-71.8,42.26],
+["Zaoyang","156",112.75,32.13],
+["Paltan","050",90.41,23.74],
+["Jūnāgadh","356",70.46,21.52],
+["Mutare","716",32.67,-18.97],
+["Mbandaka","180",18.26,0.05],
+["Pemalang","360",109.38,-6.89],
+["Quanzhou","156",118.59,24.91],
+["San Luis","032",-66.34,-33.3],
+["Genève","756",6.15,46.2],
+["Tarlac City","608",120.6,15.48],
+["Būrewāla","586",72.65,30.17],
+["Brownsville","840",-97.5,25.9],
+["Baishan","156",126.42,41.94],
+["Sūjāngarh","356",74.47,27.7],
+["Zaozhuang","156",117.55,34.86],
+["Kushiro","392",144.37,42.98],
+["Cergy-Pontoise","250",2.08,49.04],
+["Çorum","792",34.95,40.55],
+["Ellore","356",81.1,16.71],
+["Pātan","524",85.31,27.68],
+["Manta","218",-80.71,-0.96],
+["Lembang","360",107.62,-6.81],
+["Sants-Montjuïc","724",2.15,41.37],
+["Bhusāval","356",75.79,21.04],
+["Pak Kret","764",100.5,13.91],
+["Khandwa","356",76.35,21.82],
+["Santander","724",-3.8,43.46],
+["Liège","056",5.57,50.63],
+["Cúa","862",-66.88,10.16],
+["Sakura","392",140.23,35.72],
+["Kamensk-Ural’skiy","643",61.93,56.42],
+["Itaboraí","076",-42.86,-22.74],
+["Blida","012",2.83,36.47],
+["Newport News","840",-76.47,37.08],
+["Santa Clarita","840",-118.54,34.39],
+["Biratnagar","524",87.27,26.46],
+["Carletonville","710",27.4,-26.36],
+["Bahraigh","356",81.59,27.57],
+["Barrie","124",-79.67,44.4],
+["Monywa","104",95.14,22.11],
+["Richmond","124",-123.14,49.17],
+["Prato","380",11.1,43.88],
+["Probolinggo","360",113.22,-7.75],
+["Sirsa","356",75.03,29.53],
+["Guarenas","862",-66.62,10.47],
+["Anda","156",125.31,46.4],
+["Saarbrücken","276",7.01,49.23],
+["Shangqiu","156",115.65,34.45],
+["Wādī as Sīr","400",35.82,31.95],
+["Groningen","528",6.57,53.22],
+["Taranto","380",17.25,40.46],
+["Malacca","458",102.24,2.2],
+["Chandannagar","356",88.37,22.86],
+["Gangneung","410",128.87,37.75],
+["Baharampur","356",88.25,24.1],
+["Dodoma","834",35.74,-6.17],
+["Crawley","826",-0.18,51.11],
+["Rio Claro","076",-47.56,-22.41],
+["Tāngāil","050",89.92,24.25],
+["Matadi","180",13.46,-5.84],
+["Castelló de la Plana","724",-0.05,39.99],
+["Nepean","124",-75.72,45.34],
+["Atyrau","398",51.88,47.12],
+["Yasenevo","643",37.52,55.61],
+["Yangju","410",127.06,37.83],
+["Indaiatuba","076",-47.21,-23.09],
+["Surendranagar","356",71.65,22.73],
+["Varāmīn","364",51.65,35.32],
+["Dosquebradas","170",-75.67,4.84],
+["Passo Fundo","076",-52.41,-28.26],
+["Xianning","156",114.32,29.84],
+["Legaspi","608",123.74,13.14],
+["Korla","156",86.15,41.76],
+["Cotabato","608",124.25,7.22],
+["Podolsk","643",37.55,55.42],
+["Vizianagaram","356",83.41,18.12],
+["Providence","840",-71.41,41.82],
+["Ila Orangun","566",4.9,8.02],
+["Qianjiang","156",112.89,30.42],
+["Chenzhou","156",113.03,25.8],
+["Burgos","724",-3.7,42.34],
+["Klerksdorp","710",26.67,-26.85],
+["Si Racha","764",100.93,13.17],
+["Tiaret","012",1.32,35.37],
+["Amadora","620",-9.23,38.75],
+["Ipswich","826",1.16,52.06],
+["Kamirenjaku","392",139.55,35.69],
+["Saki","566",3.39,8.67],
+["Chlef","012",1.33,36.17],
+["Fort Lauderdale","840",-80.14,26.12],
+["East Flatbush","840",-73.93,40.65],
+["Anjō","392",137.08,34.96],
+["Spring Valley","840",-115.24,36.11],
+["Kutaisi","268",42.69,42.27],
+["Ciudad Camilo Cienfuegos","192",-82.33,23.16],
+["Jingzhou","156",112.19,30.35],
+["Proddatūr","356",78.55,14.75],
+["Sittwe","104",92.9,20.15],
+["Ar Raqqah","760",39.01,35.95],
+["Meiktila","104",95.86,20.88],
+["Loum","120",9.74,4.72],
+["Vellore","356",79.13,12.92],
+["Hugli","356",88.4,22.91],
+["Alappuzha","356",76.33,9.49],
+["Santa Ana","222",-89.56,13.99],
+["Chattanooga","840",-85.31,35.05],
+["Malāyer","364",48.82,34.3],
+["Bielsko-Biala","616",19.05,49.82],
+["Yuzhno-Sakhalinsk","643",142.74,46.95],
+["Almere Stad","528",5.21,52.37],
+["Split","191",16.44,43.51],
+["Saint-Étienne","250",4.39,45.43],
+["Amroha","356",78.47,28.9],
+["Regina","124",-104.62,50.45],
+["Zhenzhou","156",119.17,32.28],
+["Saint-Louis","686",-16.49,16.02],
+["Turku","246",22.27,60.45],
+["Tempe","840",-111.91,33.41],
+["Xindi","156",113.47,29.82],
+["Oceanside","840",-117.38,33.2],
+["Bella Vista","214",-69.95,18.46],
+["Tsukuba","392",140.1,36.2],
+["Sāveh","364",50.36,35.02],
+["Wigan","826",-2.64,53.54],
+["Garden Grove","840",-117.94,33.77],
+["Khowy","364",44.95,38.55],
+["Mzuzu","454",34.02,-11.47],
+["Siverek","792",39.32,37.76],
+["Rancho Cucamonga","840",-117.59,34.11],
+["Cape Coral","840",-81.95,26.56],
+["Jiutai","156",125.83,44.15],
+["Hirosaki","392",140.47,40.59],
+["Santa Rosa","840",-122.71,38.44],
+["Naga","608",123.18,13.62],
+["Cotia","076",-46.92,-23.6],
+["Tomakomai","392",141.6,42.64],
+["Tambaram","356",80.13,12.92],
+["Pamulang","360",106.74,-6.34],
+["Bo","694",-11.74,7.96],
+["Pathānkot","356",75.65,32.27],
+["Hadano","392",139.22,35.37],
+["Bozhou","156",115.77,33.88],
+["Cikupa","360",106.51,-6.24],
+["Bhind","356",78.79,26.57],
+["Puerto Cabello","862",-68.01,10.47],
+["Obihiro","392",143.2,42.92],
+["Ube","392",131.25,33.94],
+["Kramators’k","804",37.56,48.72],
+["Shimla","356",77.17,31.1],
+["Croydon","826",-0.1,51.38],
+["Myeik","104",98.6,12.44],
+["East New York","840",-73.88,40.67],
+["Khān Yūnis","275",34.31,31.34],
+["Bata","226",9.77,1.86],
+["Midrand","710",28.13,-25.99],
+["Chicoloapan","484",-98.9,19.42],
+["Ongole","356",80.04,15.5],
+["Vancouver","840",-122.66,45.64],
+["Gadag-Betageri","356",75.62,15.42],
+["Licheng","156",113.82,23.3],
+["Salatiga","360",110.49,-7.33],
+["Miskolc","348",20.78,48.1],
+["Isparta","792",30.55,37.76],
+["Weinan","156",109.51,34.5],
+["Kaolack","686",-16.07,14.15],
+["Walsall","826",-1.98,52.59],
+["Herne","276",7.23,51.54],
+["Lyublino","643",37.76,55.68],
+["Mansfield","826",-1.2,53.13],
+["Olsztyn","616",20.49,53.78],
+["Francisco Morato","076",-46.75,-23.28],
+["Hino","392",139.4,35.67],
+["Netanya","376",34.86,32.33],
+["Nanping","156",118.17,26.65],
+["Bida","566",6.01,9.08],
+["Sioux Falls","840",-96.7,43.55],
+["Prizren","983",20.74,42.21],
+["Dongling","156",123.58,41.81],
+["Bacău","642",26.91,46.57],
+["Oxford","826",-1.26,51.75],
+["Phra Pradaeng","764",100.53,13.66],
+["Dagupan","608",120.33,16.04],
+["Peoria","840",-112.24,33.58],
+["Ontario","840",-117.65,34.06],
+["Navsāri","356",72.92,20.94],
+["Mülheim","276",6.88,51.43],
+["Kulim","458",100.56,5.36],
+["Puri","356",85.82,19.8],
+["Haldia","356",88.11,22.06],
+["Jackson","840",-90.18,32.3],
+["Temirtau","398",72.96,50.05],
+["Jacobabad","586",68.44,28.28],
+["Khammam","356",80.14,17.25],
+["Carolina","630",-65.96,18.38],
+["Uvira","180",29.14,-3.4],
+["Portoviejo","218",-80.45,-1.05],
+["Rāiganj","356",88.12,25.61],
+["Takaoka","392",137.02,36.75],
+["Ingrāj Bāzār","356",88.15,25],
+["Araçatuba","076",-50.43,-21.21],
+["Fuyang","156",115.82,32.9],
+["Kluang","458",103.32,2.03],
+["Albacete","724",-1.86,38.99],
+["Laiyang","156",120.71,36.98],
+["Jaunpur","356",82.69,25.75],
+["Ciudad del Carmen","484",-91.83,18.65],
+["Reggio Calabria","380",15.66,38.11],
+["Jaffna","144",80.01,9.67],
+["Arad","642",21.32,46.18],
+["Bahir Dar","231",37.39,11.59],
+["Baranovichi","112",26.01,53.13],
+["Chalco","484",-98.9,19.26],
+["Toulon","250",5.93,43.12],
+["Jabālyā","275",34.48,31.53],
+["Araraquara","076",-48.18,-21.79],
+["Bordj Bou Arreridj","012",4.76,36.07],
+["Angers","250",-0.55,47.47],
+["Horta-Guinardó","724",2.17,41.42],
+["Pátra","300",21.73,38.24],
+["Alcorcón","724",-3.82,40.35],
+["Ech Chettia","012",1.26,36.2],
+["Jamālpur","050",89.95,24.92],
+["Ferraz de Vasconcelos","076",-46.37,-23.54],
+["Chirchiq","860",69.58,41.47],
+["Eloy Alfaro","218",-79.86,-2.18],
+["Jingmen","156",112.2,31.03],
+["Berezniki","643",56.82,59.41],
+["Awka","566",7.07,6.21],
+["Volgodonsk","643",42.15,47.51],
+["Khouribga","504",-6.91,32.88],
+["Breda","528",4.78,51.59],
+["Piteşti","642",24.87,44.85],
+["Hollywood","840",-118.33,34.1],
+["Ijero-Ekiti","566",5.07,7.82],
+["Miass","643",60.11,55.05],
+["Berazategui","032",-58.21,-34.77],
+["Korhogo","384",-5.63,9.46],
+["Abakan","643",91.43,53.72],
+["Neukölln","276",13.43,52.48],
+["Fianarantsoa","450",47.09,-21.45],
+["Getafe","724",-3.73,40.31],
+["Plumbon","360",108.47,-6.7],
+["Banhā","818",31.18,30.46],
+["Novocherkassk","643",40.09,47.42],
+["Elk Grove","840",-121.37,38.41],
+["Springfield","840",-93.3,37.22],
+["Pembroke Pines","840",-80.22,26],
+["Arapiraca","076",-36.66,-9.75],
+["Fuling","156",107.4,29.71],
+["Daşoguz","795",59.97,41.84],
+["Fatehpur","356",80.81,25.93],
+["Osnabrück","276",8.05,52.27],
+["Beni Mellal","504",-6.35,32.34],
+["Gāndhīdhām","356",70.13,23.08],
+["Nou Barris","724",2.18,41.44],
+["Ocumare del Tuy","862",-66.78,10.12],
+["Gaozhou","156",110.85,21.94],
+["Kamakura","392",139.55,35.31],
+["Ulanhot","156",122.08,46.08],
+["Khobar","682",50.21,26.28],
+["H̱olon","376",34.78,32.01],
+["Shanwei","156",115.35,22.78],
+["Oakville","124",-79.68,43.45],
+["Deer Valley","840",-112.13,33.68],
+["Tuluá","170",-76.2,4.08],
+["Warrington","826",-2.58,53.39],
+["Bushehr","364",50.84,28.97],
+["Nandyāl","356",78.48,15.48],
+["Saga","392",130.3,33.23],
+["Esmeraldas","218",-79.65,0.96],
+["Muzaffargarh","586",71.19,30.07],
+["Jiaozhou","156",120,36.28],
+["Udupi","356",74.75,13.33],
+["Banjaran","360",107.59,-7.05],
+["Szeged","348",20.15,46.25],
+["Fendou","156",130.9,45.21],
+["Loni","356",77.29,28.75],
+["Serang","360",106.15,-6.12],
+["Lages","076",-50.33,-27.82],
+["Port Saint Lucie","840",-80.35,27.29],
+["Salem","840",-123.04,44.94],
+["Basel","756",7.57,47.56],
+["Sītāpur","356",80.68,27.56],
+["Zenica","070",17.9,44.2],
+["Burlington","124",-79.84,43.39],
+["Solingen","276",7.08,51.17],
+["Fergana","860",71.78,40.38],
+["Kigoma","834",29.63,-4.88],
+["Muridke","586",74.26,31.8],
+["Corona","840",-117.57,33.88],
+["Shivpuri","356",77.66,25.42],
+["Ḩawallī","414",48.03,29.33],
+["Pilsen","203",13.38,49.75],
+["Inisa","566",4.33,7.85],
+["Nazran’","643",44.77,43.23],
+["Sousse","788",10.64,35.83],
+["Bejaïa","012",5.08,36.76],
+["Barra Mansa","076",-44.17,-22.54],
+["Nossa Senhora do Socorro","076",-37.13,-10.85],
+["Bhadrāvati","356",75.71,13.85],
+["Slough","826",-0.6,51.51],
+["Vinh","704",105.69,18.67],
+["Parakou","204",2.63,9.34],
+["Piraeus","300",23.65,37.94],
+["Ādoni","356",77.27,15.63],
+["Bournemouth","826",-1.88,50.72],
+["Sidon","422",35.37,33.56],
+["Maradi","562",7.1,13.5],
+["Tsu","392",136.52,34.73],
+["Eugene","840",-123.09,44.05],
+["Peterborough","826",-0.25,52.57],
+["Tongzhou","156",116.66,39.9],
+["Verāval","356",70.37,20.91],
+["Ludwigshafen am Rhein","276",8.45,49.48],
+["Şalālah","512",54.09,17.02],
+["Büyükçekmece","792",28.59,41.02],
+["Aydın","792",27.84,37.85],
+["Envigado","170",-75.59,6.18],
+["Geneina","729",22.45,13.45],
+["Anbu","156",116.68,23.45],
+["McKinney","840",-96.62,33.2],
+["Sambalpur","356",83.98,21.47],
+["Floridsdorf","040",16.4,48.25],
+["Leverkusen","276",6.98,51.03],
+["Skikda","012",6.91,36.88],
+["La Rioja","032",-66.85,-29.41],
+["Gadag","356",75.63,15.43],
+["Boma","180",13.05,-5.85],
+["Mahābād","364",45.72,36.76],
+["Jiutepec","484",-99.18,18.88],
+["Dourados","076",-54.81,-22.22],
+["Suleja","566",7.18,9.18],
+["Criciúma","076",-49.37,-28.68],
+["Kunduz","004",68.86,36.73],
+["San Miguel","222",-88.18,13.48],
+["Sapele","566",5.68,5.89],
+["Unnāo","356",80.49,26.55],
+["Hortaleza","724",-3.64,40.47],
+["Budaun","356",79.13,28.04],
+["Coquimbo","152",-71.34,-29.95],
+["Jīnd","356",76.32,29.32],
+["Đưc Trọng","704",108.37,11.74],
+["Fort Collins","840",-105.08,40.59],
+["Madhyamgram","356",88.45,22.69],
+["Lancaster","840",-118.14,34.7],
+["Rubtsovsk","643",81.21,51.51],
+["Sayama","392",139.41,35.85],
+["Sullana","604",-80.69,-4.9],
+["Malakal","728",31.66,9.53],
+["Phan Thiết","704",108.1,10.93],
+["La Gi","704",107.77,10.66],
+["Mytishchi","643",37.73,55.91],
+["Kawanishi","392",135.42,34.82],
+["Delegación Cuajimalpa de Morelos","484",-99.29,19.37],
+["Hebron","275",35.09,31.53],
+["Xiaogan","156",113.92,30.93],
+["Mejicanos","222",-89.19,13.72],
+["Jāmuria","356",87.08,23.7],
+["Salamanca","484",-101.19,20.57],
+["Chapecó","076",-52.62,-27.1],
+["Taunggyi","104",97.04,20.79],
+["Dhamār","887",44.41,14.54],
+["Puerto Montt","152",-72.94,-41.47],
+["Qapqal","156",81.09,43.8],
+["İskenderun","792",36.17,36.59],
+["Oyama","392",139.8,36.3],
+["Salavat","643",55.91,53.38],
+["Ziguinchor","686",-16.27,12.57],
+["Cary","840",-78.78,35.79],
+["Skudai","458",103.66,1.54],
+["Ashikaga","392",139.45,36.33],
+["Bawshar","512",58.4,23.58],
+["Puthia","050",88.83,24.37],
+["Zhicheng","156",111.5,30.3],
+["Lawang","360",112.69,-7.84],
+["San Miguel del Padrón","192",-82.33,23.1],
+["Tarija","068",-64.73,-21.54],
+["Oldenburg","276",8.21,53.14],
+["Khoroshëvo-Mnevniki","643",37.47,55.78],
+["Bibirevo","643",37.6,55.88],
+["Osan","410",127.07,37.15],
+["Modena","380",10.93,44.65],
+["Nijmegen","528",5.85,51.84],
+["Jaigaon","356",89.38,26.85],
+["Pasuruan","360",112.91,-7.65],
+["Cuddalore","356",79.77,11.76],
+["Grenoble","250",5.71,45.18],
+["Sāmarrā’","368",43.89,34.2],
+["Cambridge","826",0.12,52.2],
+["Rzeszów","616",22,50.04],
+["Tempe Junction","840",-111.94,33.41],
+["Palmdale","840",-118.12,34.58],
+["El Achir","012",4.63,36.06],
+["Huzhou","156",120.09,30.87],
+["Barreiras","076",-44.99,-12.15],
+["Hayward","840",-122.08,37.67],
+["Orai","356",79.45,25.99],
+["Long Xuyên","704",105.44,10.39],
+["Centro Habana","192",-82.36,23.14],
+["Hoshiārpur","356",75.91,31.54],
+["Doncaster","826",-1.13,53.52],
+["San Luis Río Colorado","484",-114.77,32.46],
+["San Cristóbal de las Casas","484",-92.64,16.73],
+["Gol’yanovo","643",37.81,55.82],
+["Melitopol","804",35.37,46.85],
+["Sobral","076",-40.35,-3.69],
+["Sunggal","360",98.62,3.58],
+["Admiralteisky","643",30.28,59.91],
+["Greater Sudbury","124",-80.99,46.49],
+["Ţalkhā","818",31.38,31.05],
+["San Miguel","032",-58.71,-34.54],
+["Salinas","840",-121.66,36.68],
+["San Blas-Canillejas","724",-3.62,40.44],
+["Perbaungan","360",98.96,3.57],
+["Pallāvaram","356",80.15,12.97],
+["Ussuriysk","643",131.95,43.8],
+["Nanpiao","156",120.75,41.1],
+["Tiraspol","498",29.63,46.84],
+["Moshi","834",37.33,-3.35],
+["Toledo","608",123.64,10.38],
+["Shikarpur","586",68.64,27.96],
+["Westonaria","710",27.65,-26.32],
+["Matsue","392",133.05,35.48],
+["Hitachi-Naka","392",140.53,36.4],
+["Souk Ahras","012",7.95,36.29],
+["Osogbo","566",4.56,7.77],
+["Sihanoukville","116",103.53,10.61],
+["Pécs","348",18.23,46.07],
+["Ruse","100",25.95,43.85],
+["Batu Pahat","458",102.93,1.85],
+["San Pablo de las Salinas","484",-99.09,19.67],
+["Lampang","764",99.49,18.29],
+["Nagareyama","392",139.9,35.86],
+["Fès al Bali","504",-4.95,34.07],
+["Katsuta","392",140.53,36.38],
+["Malabo","226",8.78,3.76],
+["Kumagaya","392",139.39,36.13],
+["Tema","288",-0.02,5.67],
+["Yichun","156",128.88,47.72],
+["Itajaí","076",-48.66,-26.91],
+["Seogwipo","410",126.56,33.25],
+["Hanumāngarh","356",74.33,29.58],
+["Salamanca","724",-5.66,40.97],
+["Zemun","688",20.4,44.85],
+["Kisi","566",3.85,9.08],
+["Ilhéus","076",-39.04,-14.79],
+["Guyong","608",120.98,14.84],
+["Gyeongju","410",129.21,35.84],
+["Port Louis","480",57.5,-20.16],
+["Kanchipuram","356",79.7,12.84],
+["Lianghu","156",120.9,29.99],
+["Tetuán de las Victorias","724",-3.7,40.46],
+["Beipiao","156",120.78,41.79],
+["Guangshui","156",114,31.62],
+["Middelburg","710",29.46,-25.78],
+["Mahajanga","450",46.32,-15.72],
+["Lyubertsy","643",37.89,55.68],
+["Butembo","180",29.29,0.14],
+["La Serena","152",-71.25,-29.9],
+["Leshan","156",103.76,29.56],
+["Gandajika","180",23.95,-6.75],
+["Frisco","840",-96.82,33.15],
+["Zhaodong","156",125.98,46.07],
+["Bnei Brak","376",34.83,32.08],
+["Ambato","218",-78.62,-1.25],
+["Cuautla","484",-98.94,18.81],
+["Springfield","840",-72.59,42.1],
+["Djelfa","012",3.26,34.67],
+["Pasarkemis","360",106.53,-6.17],
+["Kovrov","643",41.32,56.36],
+["Viranşehir","792",39.76,37.22],
+["Tottori","392",134.23,35.5],
+["San Cristóbal","214",-70.1,18.42],
+["East Chattanooga","840",-85.25,35.07],
+["Xinzhou","156",112.73,38.41],
+["Limassol","196",33.04,34.68],
+["Gondar","231",37.47,12.6],
+["Pasadena","840",-95.21,29.69],
+["Alandur","356",80.21,13],
+["Livorno","380",10.33,43.54],
+["Río Cuarto","032",-64.35,-33.13],
+["York","826",-1.08,53.96],
+["Sanshui","156",112.89,23.15],
+["Guna","356",77.31,24.65],
+["Hafizabad","586",73.69,32.07],
+["Enschede","528",6.9,52.22],
+["Angra dos Reis","076",-44.32,-23.01],
+["Bahādurgarh","356",76.94,28.69],
+["Boshan","156",117.83,36.48],
+["Yangchun","156",111.78,22.17],
+["Bharūch","356",72.98,21.69],
+["Alexandria","840",-77.05,38.8],
+["Salzburg","040",13.04,47.8],
+["Nova Friburgo","076",-42.53,-22.28],
+["Medinīpur","356",87.32,22.42],
+["Pomona","840",-117.75,34.06],
+["Chincha Alta","604",-76.13,-13.41],
+["Cairns","036",145.77,-16.92],
+["Fyzābād","356",82.15,26.78],
+["Dinapore","356",85.05,25.64],
+["Linhai","156",121.14,28.86],
+["Dingzhou","156",115,38.51],
+["Rondonópolis","076",-54.64,-16.47],
+["As Samawah","368",45.29,31.33],
+["Uşak","792",29.41,38.67],
+["Jizzax","860",67.83,40.12],
+["Hamilton","554",175.28,-37.78],
+["Ponce","630",-66.62,18.01],
+["Washington Heights","840",-73.94,40.85],
+["Lakewood","840",-105.08,39.7],
+["Weihai","156",122.11,37.51],
+["Baqubah","368",44.61,33.75],
+["Neuss","276",6.69,51.2],
+["Chenghua","156",116.77,23.46],
+["Songnim","408",125.65,38.75],
+["Silchar","356",92.8,24.83],
+["Bānda","356",80.33,25.48],
+["Aksaray","792",34.03,38.37],
+["Cần Giuộc","704",106.67,10.61],
+["Balvanera","032",-58.4,-34.61],
+["Deyang","156",104.38,31.13],
+["Yichun","156",114.4,27.83],
+["Logroño","724",-2.45,42.47],
+["Ōta","392",139.37,36.3],
+["Longfeng","156",125.1,46.53],
+["Morena","356",78,26.5],
+["Strogino","643",37.41,55.82],
+["Bảo Lộc","704",107.81,11.55],
+["Sibiu","642",24.15,45.8],
+["Ciudad Benito Juárez","484",-100.1,25.65],
+["Sunnyvale","840",-122.04,37.37],
+["Guacara","862",-67.88,10.23],
+["Abbotsford","124",-122.25,49.06],
+["Bintulu","458",113.03,3.17],
+["Itapecerica da Serra","076",-46.85,-23.72],
+["Escondido","840",-117.09,33.12],
+["Kohat","586",71.45,33.58],
+["Tonk","356",75.79,26.17],
+["Kansas City","840",-94.63,39.11],
+["Qingyuan","156",113.03,23.7],
+["Chetumal","484",-88.3,18.51],
+["Saqqez","364",46.27,36.25],
+["Benguela","024",13.41,-12.58],
+["Komaki","392",136.92,35.28],
+["El Tigre","862",-64.25,8.89],
+["Soreang","360",107.52,-7.03],
+["Guarapuava","076",-51.47,-25.39],
+["Gaomi","156",119.75,36.38],
+["Rāj-Nāndgaon","356",81.03,21.1],
+["Loudi","156",111.99,27.73],
+["La Laguna","724",-16.32,28.49],
+["Ōgaki","392",136.62,35.35],
+["Higashimurayama","392",139.47,35.75],
+["Serilingampalle","356",78.3,17.49],
+["Huangyan","156",121.27,28.65],
+["Battambang","116",103.2,13.1],
+["Chillán","152",-72.1,-36.61],
+["Virār","356",72.81,19.46],
+["Parnamirim","076",-35.26,-5.92],
+["Bago City","608",122.83,10.53],
+["Purwodadi","360",110.92,-7.09],
+["Piedras Negras","484",-100.52,28.7],
+["Kızıltepe","792",40.58,37.19],
+["Astoria","840",-73.93,40.77],
+["Urganch","860",60.63,41.55],
+["Balashikha","643",37.96,55.81],
+["Poole","826",-1.98,50.71],
+["Gloucester","826",-2.24,51.87],
+["Vryheid","710",30.79,-27.77],
+["Mascara","012",0.14,35.4],
+["Malkajgiri","356",78.53,17.45],
+["Gimcheon","410",128.12,36.12],
+["Tordher","586",72.29,33.99],
+["Zhulebino","643",37.85,55.7],
+["Dili","626",125.57,-8.56],
+["Shāntipur","356",88.43,23.25],
+["Playa del Carmen","484",-87.08,20.63],
+["Dijon","250",5.02,47.32],
+["Hollywood","840",-80.15,26.01],
+["City Center","724",-3.7,40.42],
+["Metro","360",105.31,-5.11],
+["Burnley","826",-2.23,53.8],
+["Ōme","392",139.24,35.78],
+["Cagliari","380",9.12,39.23],
+["Borough Park","840",-74,40.63],
+["Uppsala","752",17.64,59.86],
+["Clarksville","840",-87.36,36.53],
+["Huddersfield","826",-1.78,53.65],
+["Kerch","804",36.48,45.36],
+["Prenzlauer Berg","276",13.42,52.54],
+["Marvdasht","364",52.8,29.87],
+["Dunhua","156",128.24,43.37],
+["Huelva","724",-6.94,37.27],
+["Arganzuela","724",-3.7,40.4],
+["Chingola","894",27.88,-12.53],
+["Arar","682",41.04,30.98],
+["Yulin","156",110.15,22.63],
+["Torrance","840",-118.34,33.84],
+["Valencia","840",-118.61,34.44],
+["Gyumri","051",43.85,40.79],
+["Chizhou","156",117.48,30.66],
+["Moriguchi","392",135.57,34.73],
+["Badajoz","724",-6.97,38.88],
+["Rockford","840",-89.09,42.27],
+["El Limón","862",-67.63,10.31],
+["Lubuklinggau","360",102.86,-3.29],
+["Nîmes","250",4.36,43.83],
+["Bārākpur","356",88.36,22.77],
+["Palangkaraya","360",113.92,-2.21],
+["Sujiatun","156",123.34,41.66],
+["Caxias","076",-43.36,-4.86],
+["Hạ Long","704",107.07,20.95],
+["Astanajapura","360",108.63,-6.8],
+["Jijel","012",5.76,36.82],
+["East Hampton","840",-76.33,37.04],
+["Telford","826",-2.45,52.68],
+["Honggang","156",124.88,46.4],
+["Huánuco","604",-76.24,-9.93],
+["Sarrià-Sant Gervasi","724",2.14,41.4],
+["Joliet","840",-88.08,41.53],
+["Paterson","840",-74.17,40.92],
+["Sant Andreu","724",2.19,41.44],
+["Dundee","826",-2.97,56.47],
+["Médéa","012",2.75,36.26],
+["Salamanca","724",-3.68,40.43],
+["Kolomna","643",38.78,55.08],
+["Rafsanjān","364",55.99,30.41],
+["Ursynów","616",21.05,52.15],
+["Mestre","380",12.25,45.49],
+["As Sālimīyah","414",48.08,29.33],
+["Bridgeport","840",-73.19,41.18],
+["Haarlem","528",4.64,52.38],
+["Khon Kaen","764",102.83,16.45],
+["El Jadid","504",-8.51,33.26],
+["Kreuzberg","276",13.4,52.5],
+["Kragujevac","688",20.92,44.02],
+["Aktau","398",51.17,43.65],
+["Nilópolis","076",-43.41,-22.81],
+["Erode","356",77.73,11.34],
+["Trondheim","578",10.4,63.43],
+["Naperville","840",-88.15,41.79],
+["Manama","048",50.59,26.23],
+["Buôn Ma Thuột","704",108.04,12.67],
+["Kalemie","180",29.19,-5.95],
+["Nakhodka","643",132.87,42.81],
+["Târgu-Mureş","642",24.56,46.54],
+["Gulu","800",32.3,2.77],
+["Aix-en-Provence","250",5.45,43.53],
+["Ambāla","356",76.8,30.36],
+["Cam Ranh","704",109.16,11.92],
+["Matanzas","192",-81.58,23.04],
+["Saint-Quentin-en-Yvelines","250",2.02,48.77],
+["Poços de Caldas","076",-46.56,-21.79],
+["Blackburn","826",-2.48,53.75],
+["Parma","380",10.33,44.8],
+["Ruda Śląska","616",18.86,50.26],
+["Afyonkarahisar","792",30.54,38.76],
+["Gweru","716",29.82,-19.45],
+["Qujing","156",103.78,25.48],
+["Puerto Plata","214",-70.69,19.79],
+["Boise","840",-116.2,43.61],
+["Hanzhong","156",107.02,33.08],
+["Chamberí","724",-3.7,40.43],
+["Odense","208",10.39,55.4],
+["Krishnanagar","356",88.49,23.41],
+["Xinji","156",115.2,37.9],
+["Marabá","076",-49.13,-5.38],
+["Orkney","710",26.67,-26.98],
+["Saharsa","356",86.6,25.87],
+["Savannah","840",-81.1,32.08],
+["Kampung Pasir Gudang Baru","458",103.88,1.47],
+["Cikampek","360",107.46,-6.42],
+["Yamaguchi","392",131.47,34.18],
+["Batāla","356",75.2,31.81],
+["Taishan","156",112.78,22.25],
+["Potsdam","276",13.07,52.4],
+["Tabora","834",32.83,-5.02],
+["Concordia","032",-58.02,-31.39],
+["Spanish Town","388",-76.96,17.99],
+["Jhelum","586",73.73,32.93],
+["Brest","250",-4.49,48.39],
+["Khujand","762",69.62,40.28],
+["Basildon","826",0.46,51.57],
+["Mesquite","840",-96.6,32.77],
+["Sikasso","466",-5.67,11.32],
+["Sanya","156",109.51,18.24],
+["Acheng","156",126.98,45.55],
+["Lárisa","300",22.42,39.64],
+["León","558",-86.88,12.44],
+["Le Mans","250",0.2,48],
+["Kumba","120",9.45,4.64],
+["Elektrostal’","643",38.45,55.79],
+["Jinchang","156",102.19,38.5],
+["Meizhou","156",116.12,24.29],
+["Gorontalo","360",123.06,0.54],
+["Syracuse","840",-76.15,43.05],
+["Goma","180",29.23,-1.67],
+["Maykop","643",40.11,44.61],
+["Teshi Old Town","288",-0.11,5.58],
+["Tizi Ouzou","012",4.05,36.71],
+["Biryulëvo","643",37.68,55.59],
+["Orekhovo-Borisovo","643",37.73,55.61],
+["Wola","616",20.99,52.24],
+["Kafr ash Shaykh","818",30.94,31.11],
+["Barysaw","112",28.51,54.23],
+["Otaru","392",141,43.19],
+["Dumai","360",101.44,1.67],
+["Urayasu","392",139.89,35.67],
+["Acarigua","862",-69.2,9.55],
+["Saguenay","124",-71.07,48.42],
+["Marawi City","608",124.28,8],
+["Luziânia","076",-47.95,-16.25],
+["Stara Zagora","100",25.64,42.43],
+["Béchar","012",-2.22,31.62],
+["Heidelberg","276",8.69,49.41],
+["Kenema","694",-11.19,7.88],
+["Cabo","076",-35.03,-8.28],
+["Amiens","250",2.3,49.9],
+["Calama","152",-68.92,-22.46],
+["Macaé","076",-41.78,-22.38],
+["Cape Coast","288",-1.25,5.11],
+["Novyye Kuz’minki","643",37.75,55.7],
+["Kuz’minki","643",37.8,55.7],
+["Bhīmavaram","356",81.52,16.54],
+["Pyatigorsk","643",43.06,44.05],
+["Middlesbrough","826",-1.23,54.58],
+["Rybnik","616",18.54,50.1],
+["Tanjungbalai","360",99.8,2.97],
+["Mallawī","818",30.84,27.73],
+["Metairie Terrace","840",-90.16,29.98],
+["Tuzla","070",18.67,44.54],
+["Khanpur","586",70.66,28.65],
+["Nawābganj","050",88.27,24.59],
+["Pasadena","840",-118.14,34.15],
+["Jinhua","156",119.64,29.11],
+["Paderborn","276",8.75,51.72],
+["Kimberley","710",24.76,-28.73],
+["Ciego de Ávila","192",-78.76,21.84],
+["Chertanovo Yuzhnoye","643",37.6,55.59],
+["Jieshou","156",115.36,33.26],
+["Yuen Long Kau Hui","344",114.03,22.45],
+["Taza","504",-4.01,34.21],
+["eMbalenhle","710",29.07,-26.53],
+["Myingyan","104",95.39,21.46],
+["Arnhem","528",5.91,51.98],
+["Zheleznodorozhnyy","643",38.02,55.74],
+["Zamora","484",-102.28,19.99],
+["Tours","250",0.7,47.39],
+["Petapa","320",-90.56,14.5],
+["Bālurghāt","356",88.78,25.22],
+["Ibirité","076",-44.06,-20.02],
+["Yonago","392",133.33,35.43],
+["Bolton","826",-2.43,53.58],
+["Lauro de Freitas","076",-38.33,-12.89],
+["Potosí","068",-65.75,-19.58],
+["Khuzdar","586",66.61,27.81],
+["Usera","724",-3.7,40.39],
+["Limoges","250",1.25,45.83],
+["Rijeka","191",14.44,45.33],
+["Paranaguá","076",-48.53,-25.52],
+["Ghazni","004",68.42,33.55],
+["Orange","840",-117.85,33.79],
+["Īlām","364",46.42,33.64],
+["Gongzhuling","156",124.82,43.5],
+["Córdoba","484",-96.93,18.88],
+["Comodoro Rivadavia","032",-67.5,-45.86],
+["Kampung Sungai Ara","458",100.27,5.33],
+["Fullerton","840",-117.93,33.87],
+["Killeen","840",-97.73,31.12],
+["Norilsk","643",88.2,69.35],
+["Nigel","710",28.48,-26.43],
+["Los Teques","862",-67.04,10.34],
+["Kaithal","356",76.4,29.8],
+["Dayton","840",-84.19,39.76],
+["Al’met’yevsk","643",52.32,54.9],
+["Darmstadt","276",8.65,49.87],
+["Tirmiz","860",67.28,37.22],
+["Tarragona","724",1.25,41.12],
+["McAllen","840",-98.23,26.2],
+["Lakhīmpur","356",80.78,27.95],
+["Mpumalanga","710",30.64,-29.81],
+["Zaanstad","528",4.81,52.45],
+["Hazāribāgh","356",85.36,23.99],
+["Kuwana","392",136.67,35.05],
+["Vidisha","356",77.81,23.53],
+["Ayacucho","604",-74.22,-13.16],
+["Coquitlam","124",-122.78,49.28],
+["Shanhaiguan","156",119.75,40],
+["Tutamandahostel","218",-78.5,-0.2],
+["Chamartín","724",-3.68,40.46],
+["Parepare","360",119.63,-4.01],
+["Peristéri","300",23.69,38.02],
+["Amersfoort","528",5.39,52.16],
+["Jeongeup","410",126.92,35.6],
+["Bellevue","840",-122.2,47.61],
+["Korolev","643",37.83,55.91],
+["Dadu","586",67.78,26.73],
+["Gojra","586",72.68,31.15],
+["Sollentuna","752",17.95,59.43],
+["Haldwani","356",79.53,29.22],
+["Gbongan","566",4.35,7.48],
+["Siem Reap","116",103.86,13.36],
+["Man","384",-7.55,7.41],
+["Altay","156",88.13,47.85],
+["Hābra","356",88.66,22.84],
+["Kumbakonam","356",79.39,10.96],
+["Sidoarjo","360",112.72,-7.45],
+["Şabāḩ as Sālim","414",48.06,29.26],
+["Kariya","392",136.98,34.98],
+["Choloma","340",-87.95,15.61],
+["Stockport","826",-2.16,53.41],
+["Budapest XI. kerület","348",19.04,47.48],
+["Huadian","156",126.75,42.96],
+["Weru","360",108.5,-6.71],
+["Brighton","826",-0.14,50.83],
+["Kolpino","643",30.59,59.75],
+["Belgrano","032",-58.46,-34.56],
+["San Juan del Río","484",-100,20.39],
+["Sekondi-Takoradi","288",-1.76,4.93],
+["Porbandar","356",69.61,21.64],
+["Fuyu","156",124.82,45.18],
+["Clermont-Ferrand","250",3.09,45.78],
+["Chitradurga","356",76.4,14.22],
+["Metairie","840",-90.15,29.98],
+["Chaohu","156",117.87,31.6],
+["Ejigbo","566",4.31,7.9],
+["Thānesar","356",76.83,29.97],
+["Tiruvannāmalai","356",79.07,12.23],
+["Anand","356",72.96,22.55],
+["Parnaíba","076",-41.78,-2.9],
+["Jacmel","332",-72.54,18.23],
+["Obuase","288",-1.67,6.2],
+["Itu","076",-47.3,-23.26],
+["Dikirnis","818",31.59,31.09],
+["Musashino","392",139.56,35.71],
+["Jieshi","156",115.83,22.81],
+["Castanhal","076",-47.93,-1.29],
+["Colima","484",-103.73,19.25],
+["Bhisho","710",27.44,-32.85],
+["Negombo","144",79.84,7.21],
+["Saint-Denis","638",55.45,-20.88],
+["Irákleion","300",25.14,35.33],
+["Miramar","840",-80.23,25.99],
+["Jiashan","156",120.93,30.85],
+["Hami","156",93.51,42.83],
+["Odintsovo","643",37.28,55.68],
+["Foggia","380",15.55,41.46],
+["Kānchrāpāra","356",88.43,22.96],
+["San Juan Sacatepéquez","320",-90.64,14.72],
+["Funtua","566",7.31,11.52],
+["Dawei","104",98.19,14.08],
+["Igboho","566",3.76,8.84],
+["Apeldoorn","528",5.97,52.21],
+["Shizuishan","156",106.77,39.23],
+["Baia Mare","642",23.57,47.66],
+["Kabankalan","608",122.81,9.98],
+["Podgorica","499",19.26,42.44],
+["Hampton","840",-76.35,37.03],
+["São Caetano do Sul","076",-46.55,-23.62],
+["Van Nuys","840",-118.45,34.19],
+["West Valley City","840",-112,40.69],
+["Gejiu","156",103.15,23.36],
+["Mahbūbnagar","356",77.99,16.74],
+["Desē","231",39.63,11.13],
+["Lleida","724",0.62,41.62],
+["Dimāpur","356",93.72,25.91],
+["Tasek Glugor","458",100.5,5.48],
+["Osorno","152",-73.13,-40.57],
+["Jiagedaqi","156",124.12,50.42],
+["Queimados","076",-43.56,-22.72],
+["Kushtia","050",89.12,23.9],
+["Kindu","180",25.92,-2.94],
+["Baliuag","608",120.9,14.95],
+["West Bromwich","826",-1.99,52.52],
+["Cẩm Phả Mines","704",107.3,21.02],
+["Buguma","566",6.86,4.74],
+["Shiqiao","156",113.36,22.95],
+["Pyay","104",95.22,18.82],
+["Rabak","729",32.74,13.18],
+["Robertsonpet","356",78.28,12.96],
+["Tyre","422",35.19,33.27],
+["Moundou","148",16.08,8.57],
+["Cajamarca","604",-78.5,-7.16],
+["Hinthada","104",95.46,17.65],
+["Hanam","410",127.21,37.54],
+["Jayapura","360",140.72,-2.53],
+["Bielany","616",20.94,52.29],
+["Chhindwāra","356",78.94,22.06],
+["Mandya","356",76.9,12.52],
+["Cartago","170",-75.91,4.75],
+["Okap","332",-72.2,19.76],
+["Baturaja","360",104.17,-4.13],
+["El Oued","012",6.86,33.36],
+["Zama","392",139.39,35.49],
+["Marbella","724",-4.89,36.52],
+["'s-Hertogenbosch","528",5.3,51.7],
+["Rodriguez","608",121.2,14.76],
+["Ajdabiya","434",20.23,30.76],
+["Nevinnomyssk","643",41.94,44.63],
+["San Mateo","608",121.12,14.7],
+["Śródmieście","616",21.02,52.23],
+["León","724",-5.57,42.6],
+["Olathe","840",-94.82,38.88],
+["Seto","392",137.1,35.23],
+["Ikirun","566",4.67,7.91],
+["Ciudad Acuña","484",-100.95,29.32],
+["Léogâne","332",-72.63,18.51],
+["Adiwerna","360",109.13,-6.94],
+["Grimsby","826",-0.08,53.57],
+["Abakaliki","566",8.11,6.32],
+["Warren","840",-83.01,42.49],
+["Dali","156",100.21,25.58],
+["Bānkura","356",87.07,23.23],
+["İnegol","792",29.51,40.08],
+["Ebetsu","392",141.55,43.11],
+["Thái Nguyên","704",105.85,21.59],
+["Columbia","840",-81.03,34],
+["Singaraja","360",115.09,-8.11],
+["Würzburg","276",9.95,49.79],
+["Randfontein","710",27.7,-26.18],
+["Hājīpur","356",85.21,25.69],
+["Pervoural’sk","643",59.94,56.91],
+["Gondā City","356",81.95,27.13],
+["Milagro","218",-79.59,-2.13],
+["Marg‘ilon","860",71.72,40.47],
+["Bhuj","356",69.67,23.25],
+["Thornton","840",-104.97,39.87],
+["Hastings","826",0.57,50.86],
+["Valdivia","152",-73.25,-39.81],
+["Hindupur","356",77.49,13.83],
+["Reggio nell'Emilia","380",10.63,44.7],
+["Okrika","566",7.08,4.74],
+["Birgañj","524",84.88,27.02],
+["High Wycombe","826",-0.75,51.63],
+["Carrollton","840",-96.89,32.95],
+["Talisay","608",123.85,10.24],
+["Hawassa","231",38.48,7.06],
+["Idfū","818",32.88,24.98],
+["Ibarra","218",-78.12,0.35],
+["Midland","840",-102.08,32],
+["Puqi","156",113.88,29.72],
+["Tondabayashichō","392",135.6,34.5],
+["Fujieda","392",138.27,34.87],
+["Sandachō","392",135.23,34.88],
+["Shillong","356",91.88,25.57],
+["Mīāndoāb","364",46.11,36.97],
+["Kislovodsk","643",42.72,43.91],
+["Hoofddorp","528",4.69,52.3],
+["Nzérékoré","324",-8.82,7.76],
+["Pālghāt","356",76.65,10.77],
+["Reẖovot","376",34.81,31.89],
+["Ankang","156",109.02,32.68],
+["Charleston","840",-79.93,32.78],
+["Innsbruck","040",11.39,47.26],
+["Blitar","360",112.17,-8.1],
+["Waco","840",-97.15,31.55],
+["Cerro","192",-82.39,23.11],
+["Tlemcen","012",-1.31,34.88],
+["Kakamigahara","392",136.87,35.42],
+["Quetzaltenango","320",-91.52,14.83],
+["Dimitrovgrad","643",49.62,54.21],
+["Zhalantun","156",122.74,48.01],
+["Pindamonhangaba","076",-45.46,-22.92],
+["Muricay","608",123.48,7.83],
+["Sterling Heights","840",-83.03,42.58],
+["St. Catharines","124",-79.24,43.17],
+["Ōmuta","392",130.45,33.03],
+["Godhra","356",73.61,22.78],
+["Shahrud","364",54.98,36.42],
+["Dawukou","156",106.4,39.04],
+["Bulaon","608",120.66,15.08],
+["Punto Fijo","862",-70.2,11.69],
+["Abiko","392",140.02,35.87],
+["Kishangarh","356",74.85,26.59],
+["Kadoma","392",135.57,34.74],
+["Majie","156",102.64,25.03],
+["Martapura","360",114.86,-3.41],
+["Villeurbanne","250",4.88,45.77],
+["Gonbad-e Kāvūs","364",55.17,37.25],
+["Rānīganj","356",87.13,23.62],
+["Toowoomba","036",151.95,-27.56],
+["Hepo","156",115.83,23.43],
+["Iranshahr","364",60.68,27.2],
+["Denton","840",-97.13,33.21],
+["Lashio","104",97.75,22.94],
+["Pīlibhīt","356",79.8,28.63],
+["Miyakonojō","392",131.07,31.73],
+["Novomoskovsk","643",38.28,54.01],
+["Buzău","642",26.83,45.15],
+["Sapucaia","076",-51.15,-29.83],
+["Matsubara","392",135.55,34.57],
+["Pinsk","112",26.1,52.12],
+["Beāwar","356",74.32,26.1],
+["Dazhou","156",107.5,31.22],
+["Al Bāb","760",37.52,36.37],
+["Shuangcheng","156",126.28,45.35],
+["Isesaki","392",139.2,36.32],
+["Abohar","356",74.2,30.14],
+["Dąbrowa Górnicza","616",19.2,50.33],
+["Šiauliai","440",23.32,55.93],
+["Moga","356",75.17,30.81],
+["Al Ajaylat","434",12.38,32.76],
+["Nikopol","804",34.4,47.57],
+["Petrogradka","643",30.31,59.97],
+["Cedar Rapids","840",-91.64,42.01],
+["Dongyang","156",120.23,29.27],
+["Maicao","170",-72.24,11.38],
+["Florencia","170",-75.61,1.61],
+["Nablus","275",35.25,32.22],
+["New Haven","840",-72.93,41.31],
+["Jiazi","156",116.07,22.88],
+["Girardot City","170",-74.81,4.3],
+["Roseville","840",-121.29,38.75],
+["Quilpué","152",-71.44,-33.05],
+["Songjiang","156",121.21,31.04],
+["La Ceiba","340",-86.78,15.76],
+["Jaraguá do Sul","076",-49.07,-26.49],
+["Gainesville","840",-82.32,29.65],
+["Sinnar","729",33.57,13.57],
+["Masaya","558",-86.09,11.97],
+["Visalia","840",-119.29,36.33],
+["Relizane","012",0.56,35.74],
+["Manzanillo","484",-104.34,19.12],
+["Sonārgaon","050",90.62,23.65],
+["Shangri-La","156",99.71,27.83],
+["Mostaganem","012",0.09,35.93],
+["Zugló","348",19.11,47.52],
+["Sabhā","434",14.43,27.04],
+["Tychy","616",18.97,50.14],
+["Ramenki","643",37.5,55.7],
+["Syevyerodonets’k","804",38.49,48.95],
+["Dehri","356",84.18,24.9],
+["Wuda","156",106.71,39.5],
+["Kisaran","360",99.62,2.98],
+["Gyeongsan-si","410",128.74,35.82],
+["Baidoa","706",43.65,3.11],
+["Mandi Bahauddin","586",73.49,32.59],
+["Navoiy","860",65.38,40.08],
+["Tokat","792",36.55,40.31],
+["Bimbo","140",18.42,4.26],
+["Deoria","356",83.78,26.5],
+["Daitōchō","392",135.62,34.71],
+["Coral Springs","840",-80.27,26.27],
+["Sherbrooke","124",-71.9,45.4],
+["Ouargla","012",5.33,31.95],
+["Acilia-Castel Fusano-Ostia Antica","380",12.33,41.76],
+["Thousand Oaks","840",-118.84,34.17],
+["Andong","410",128.72,36.57],
+["Tete","508",33.59,-16.16],
+["Copiapó","152",-70.33,-27.37],
+["Palopo","360",120.2,-2.99],
+["Nador","504",-2.93,35.17],
+["Bilbays","818",31.56,30.42],
+["Charallave","862",-66.86,10.24],
+["Shahr-e Kord","364",50.86,32.33],
+["Regensburg","276",12.1,49.02],
+["Mino","392",135.47,34.83],
+["Leiyang","156",112.86,26.4],
+["Darwin","036",130.84,-12.46],
+["Cadiz","608",123.29,10.95],
+["Zacatecas","484",-102.58,22.77],
+["Elizabeth","840",-74.21,40.66],
+["Zyablikovo","643",37.77,55.62],
+["Bat Yam","376",34.75,32.02],
+["Sātkhira","050",89.07,22.71],
+["Palo Negro","862",-67.54,10.17],
+["Stamford","840",-73.54,41.05],
+["Mogi Guaçu","076",-46.95,-22.37],
+["Arish","818",33.8,31.13],
+["Idlib","760",36.63,35.93],
+["Sīnah","368",43.04,36.81],
+["Concord","840",-122.03,37.98],
+["Kamyshin","643",45.42,50.1],
+["Oulu","246",25.47,65.01],
+["Hassan","356",76.1,13.01],
+["Novocheboksarsk","643",47.48,56.11],
+["Besançon","250",6.02,47.25],
+["Surprise","840",-112.33,33.63],
+["El Eulma","012",5.69,36.15],
+["Khardah","356",88.38,22.72],
+["Sakakah","682",40.21,29.97],
+["Jimma","231",36.83,7.67],
+["Al Manāqil","729",32.99,14.25],
+["Teluknaga","360",106.64,-6.1],
+["Győr","348",17.64,47.68],
+["Jirjā","818",31.89,26.34],
+["Manzanillo","192",-77.12,20.34],
+["Yavatmāl","356",78.13,20.39],
+["Hālīsahar","356",88.42,22.93],
+["Serpukhov","643",37.41,54.92],
+["Sirte","434",16.59,31.21],
+["Ramat Gan","376",34.81,32.08],
+["Asaka","392",139.6,35.8],
+["Panvel","356",73.11,18.99],
+["Orekhovo-Borisovo Severnoye","643",37.68,55.62],
+["Ivanovskoye","643",37.83,55.77],
+["Muar","458",102.57,2.04],
+["Divo","384",-5.36,5.84],
+["Ungaran","360",110.41,-7.14],
+["Alhambra","840",-112.13,33.5],
+["Xuanzhou","156",118.76,30.95],
+["Titāgarh","356",88.37,22.74],
+["San Nicolás de los Arroyos","032",-60.21,-33.33],
+["Kusatsu","392",135.97,35.02],
+["Opole","616",17.93,50.67],
+["Lafayette","840",-92.02,30.22],
+["Worcester","710",19.45,-33.65],
+["Elbląg","616",19.41,54.15],
+["Saïda","012",0.15,34.83],
+["Sirajganj","050",89.71,24.46],
+["Jequié","076",-40.09,-13.86],
+["Płock","616",19.71,52.55],
+["Wałbrzych","616",16.28,50.77],
+["Yevlakh","031",47.15,40.62],
+["Wau","728",27.99,7.7],
+["Xai-Xai","508",33.64,-25.05],
+["Södermalm","752",18.08,59.31],
+["Huaihua","156",110,27.56],
+["Amaigbo","566",7.84,5.79],
+["Topeka","840",-95.68,39.05],
+["Lafia","566",8.52,8.49],
+["Jiangyou","156",104.72,31.77],
+["Tando Allahyar","586",68.72,25.46],
+["Surat Thani","764",99.33,9.14],
+["Isiro","180",27.62,2.77],
+["Sancti Spíritus","192",-79.44,21.93],
+["Cuddapah","356",78.82,14.48],
+["Bettiah","356",84.5,26.8],
+["Angren","860",70.14,41.02],
+["Kent","840",-122.23,47.38],
+["Pakokku","104",95.08,21.33],
+["Murom","643",42.04,55.58],
+["Daska Kalan","586",74.35,32.32],
+["Rangkasbitung","360",106.25,-6.36],
+["Hāthras","356",78.05,27.6],
+["Klaten","360",110.61,-7.71],
+["Khasavyurt","643",46.59,43.25],
+["Neftekamsk","643",54.27,56.09],
+["Villaverde","724",-3.7,40.35],
+["Simi Valley","840",-118.78,34.27],
+["Xichang","156",102.26,27.9],
+["Cadiz","724",-6.29,36.53],
+["Pakpattan","586",73.39,30.34],
+["Danshui","156",114.47,22.8],
+["Bahawalnagar","586",73.39,30.55],
+["Bahawalnagar","586",73.25,30],
+["Ueda","392",138.28,36.4],
+["Sogamoso","170",-72.93,5.71],
+["East Los Angeles","840",-118.17,34.02],
+["Lalitpur","356",78.42,24.69],
+["Edirne","792",26.56,41.68],
+["Jombang","360",112.23,-7.55],
+["Songea","834",35.65,-10.68],
+["Kolār","356",78.13,13.14],
+["Lévis","124",-71.18,46.8],
+["Chinandega","558",-87.13,12.63],
+["Al Jadīd","434",14.4,27.05],
+["Lambaré","600",-57.61,-25.35],
+["Macheng","156",115.02,31.18],
+["Rafaḩ","275",34.24,31.3],
+["Ampang","458",101.77,3.15],
+["Itapetininga","076",-48.05,-23.59],
+["Patos de Minas","076",-46.52,-18.58],
+["Santa Clara","840",-121.96,37.35],
+["Paseh","360",107.76,-7.1],
+["Murfreesboro","840",-86.39,35.85],
+["Retiro","724",-3.68,40.41],
+["Sunset Park","840",-74.01,40.65],
+["Pangkalpinang","360",106.11,-2.13],
+["Huicheng","156",116.29,23.04],
+["Gashua","566",11.04,12.87],
+["Les Cayes","332",-73.75,18.19],
+["Salerno","380",14.79,40.68],
+["Watford","826",-0.4,51.66],
+["Xiazhen","156",117.11,34.8],
+["Torbat-e Ḩeydarīyeh","364",59.22,35.27],
+["Tando Adam","586",68.66,25.77],
+["‘Ajlūn","400",35.75,32.33],
+["Sorong","360",131.26,-0.88],
+["Koronadal","608",124.85,6.5],
+["Derince","792",29.81,40.76],
+["Okinawa","392",127.8,26.34],
+["Los Ángeles","152",-72.35,-37.47],
+["Haimen","156",116.61,23.19],
+["Saint Peters","826",1.42,51.37],
+["Orsha","112",30.42,54.51],
+["Shahecheng","156",114.51,36.94],
+["Kelowna","124",-119.49,49.88],
+["Bragança Paulista","076",-46.54,-22.95],
+["Bohicon","204",2.07,7.18],
+["Beppu","392",131.5,33.28],
+["Willemstad","531",-68.93,12.11],
+["Soran","368",44.54,36.65],
+["Bălţi","498",27.93,47.76],
+["Tyoply Stan","643",37.49,55.62],
+["Mandsaur","356",75.07,24.07],
+["Padalarang","360",107.47,-6.84],
+["Suining","156",105.57,30.51],
+["Gondiā","356",80.19,21.46],
+["Huixquilucan","484",-99.35,19.36],
+["Semnan","364",53.39,35.58],
+["Sloviansk","804",37.62,48.87],
+["San Francisco de Macorís","214",-70.25,19.3],
+["Yushu","156",126.53,44.8],
+["Yuanlin","158",120.58,23.96],
+["Santa Tecla","222",-89.28,13.68],
+["Ciudad Valles","484",-99.01,22],
+["Guadalupe","484",-102.52,22.75],
+["Khairpur Mir’s","586",68.76,27.53],
+["Kashihara-shi","392",135.79,34.51],
+["Riobamba","218",-78.65,-1.67],
+["Kokshetau","398",69.4,53.28],
+["Gorzów Wielkopolski","616",15.23,52.74],
+["Timon","076",-42.84,-5.09],
+["New Mirpur","586",73.75,33.15],
+["Agadez","562",7.99,16.97],
+["Targówek","616",21.05,52.29],
+["Koreatown","840",-118.3,34.06],
+["Lecheng","156",113.35,25.13],
+["São José dos Pinhais","076",-49.21,-25.53],
+["Marand","364",45.77,38.43],
+["Rajapalaiyam","356",77.55,9.45],
+["Orléans","250",1.9,47.9],
+["Laiwu","156",117.66,36.19],
+["Rustenburg","710",27.24,-25.67],
+["Hartford","840",-72.69,41.76],
+["Rudnyy","398",63.12,52.97],
+["Teresópolis","076",-42.98,-22.42],
+["Metz","250",6.17,49.12],
+["Jiupu","156",122.95,41.07],
+["Dārjiling","356",88.27,27.03],
+["Baoshan","156",131.42,46.56],
+["Salvaleón de Higüey","214",-68.71,18.62],
+["Polokwane","710",29.47,-23.9],
+["Thaton","104",97.37,16.92],
+["Budapest III. kerület","348",19.05,47.54],
+["Potchefstroom","710",27.1,-26.72],
+["Ciamis","360",108.35,-7.33],
+["Lumajang","360",113.22,-8.13],
+["Guelma","012",7.43,36.46],
+["Hagonoy","608",120.73,14.83],
+["Mohali","356",76.72,30.68],
+["Uruguaiana","076",-57.09,-29.75],
+["Pālanpur","356",72.44,24.17],
+["Indramayu","360",108.32,-6.33],
+["Epworth","716",31.15,-17.89],
+["Bordj el Kiffan","012",3.19,36.75],
+["Gagnoa","384",-5.95,6.13],
+["Porto Seguro","076",-39.06,-16.45],
+["Luoyang","156",114.27,23.16],
+["Wolfsburg","276",10.78,52.42],
+["Niihama","392",133.31,33.96],
+["Minzhu","156",127.33,43.72],
+["Tsaritsyno","643",37.65,55.63],
+["Dos Hermanas","724",-5.92,37.28],
+["Pati","360",111.04,-6.76],
+["Dam Dam","356",88.42,22.63],
+["Alagoinhas","076",-38.42,-12.14],
+["Az Zubayr","368",47.7,30.39],
+["Hardoī","356",80.13,27.39],
+["San Pedro Garza García","484",-100.41,25.66],
+["Huangzhou","156",114.8,30.45],
+["Sheepshead Bay","840",-73.94,40.59],
+["Puruliya","356",86.36,23.33],
+["Ubon Ratchathani","764",104.85,15.24],
+["Kisarazu","392",139.93,35.38],
+["Virginia","710",26.87,-28.1],
+["Brits","710",27.78,-25.63],
+["Beylikdüzü","792",28.64,40.98],
+["Recklinghausen","276",7.2,51.61],
+["Palhoça","076",-48.67,-27.65],
+["Xiulin","156",112.4,29.72],
+["Zhoucun","156",117.82,36.82],
+["Jiayuguan","156",98.29,39.81],
+["Maastricht","528",5.69,50.85],
+["Amherst","840",-78.8,42.98],
+["Mỹ Tho","704",106.36,10.36],
+["Tekirdağ","792",27.51,40.98],
+["Victorville","840",-117.29,34.54],
+["Aalborg","208",9.92,57.05],
+["Barbacena","076",-43.77,-21.23],
+["Burton upon Trent","826",-1.64,52.81],
+["Chishtian","586",72.86,29.8],
+["Villa Canales","320",-90.53,14.48],
+["Dibrugarh","356",94.91,27.48],
+["Göttingen","276",9.93,51.53],
+["Durrës","008",19.45,41.32],
+["San Pedro Garza Garcia","484",-100.4,25.66],
+["Veshnyaki","643",37.82,55.72],
+["Presnenskiy","643",37.55,55.75],
+["Zābol","364",61.49,31.03],
+["Palwal","356",77.33,28.14],
+["Nobeoka","392",131.67,32.58],
+["Colchester","826",0.9,51.89],
+["Nalgonda","356",79.27,17.05],
+["Batumi","268",41.63,41.64],
+["Mataró","724",2.44,41.54],
+["Abilene","840",-99.73,32.45],
+["Bhadreswar","356",88.34,22.82],
+["Bern","756",7.45,46.95],
+["Vejalpur","356",73.56,22.69],
+["Stavanger","578",5.73,58.97],
+["Payakumbuh","360",100.63,-0.22],
+["Alberton","710",28.12,-26.27],
+["Fujinomiya","392",138.62,35.22],
+["Gràcia","724",2.16,41.4],
+["Chikmagalūr","356",75.77,13.32],
+["Ekibastuz","398",75.32,51.72],
+["San Juan","608",121.03,14.6],
+["Noda","392",139.87,35.95],
+["Braga","620",-8.42,41.55],
+["Lianhe","156",129.27,47.13],
+["Raigarh","356",83.4,21.9],
+["Vallejo","840",-122.26,38.1],
+["North Stamford","840",-73.54,41.14],
+["Olmaliq","860",69.6,40.84],
+["Musoma","834",33.8,-1.5],
+["Cachoeirinha","076",-51.09,-29.95],
+["Yaizu","392",138.32,34.87],
+["Tobruk","434",23.95,32.09],
+["Zyuzino","643",37.57,55.66],
+["Berkeley","840",-122.27,37.87],
+["Xilin Hot","156",116.03,43.97],
+["Guntakal Junction","356",77.36,15.17],
+["Fresnillo","484",-102.87,23.18],
+["Orizaba","484",-97.1,18.85],
+["Nakhon Si Thammarat","764",99.97,8.43],
+["Heilbronn","276",9.22,49.14],
+["Ingolstadt","276",11.42,48.77],
+["Toyokawa","392",137.4,34.82],
+["Fengcheng","156",124.07,40.45],
+["Mufulira","894",28.24,-12.55],
+["Ulm","276",9.99,48.4],
+["Rawang","458",101.58,3.32],
+["Karaman","792",33.22,37.18],
+["Cambridge","124",-80.31,43.36],
+["Włocławek","616",19.07,52.65],
+["Norman","840",-97.44,35.22],
+["Allentown","840",-75.49,40.61],
+["Fernando de la Mora","600",-57.52,-25.34],
+["Perugia","380",12.39,43.11],
+["Gangāpur","356",76.72,26.47],
+["Zhaoyuan","156",120.41,37.36],
+["Bangil","360",112.82,-7.6],
+["Deoli","356",77.23,28.5],
+["Nabatîyé et Tahta","422",35.48,33.38],
+["Abbottabad","586",73.21,34.15],
+["Solntsevo","643",37.38,55.64],
+["Orekhovo-Zuyevo","643",38.96,55.81],
+["Gereida","729",25.14,11.28],
+["Evansville","840",-87.56,37.97],
+["Bottrop","276",6.93,51.52],
+["Santa Rita","076",-34.98,-7.11],
+["Maxixe","508",35.35,-23.86],
+["Charlottenburg","276",13.28,52.52],
+["Kairouan","788",10.1,35.68],
+["Jaranwala","586",73.42,31.33],
+["Santa Coloma de Gramenet","724",2.21,41.45],
+["Leiden","528",4.49,52.16],
+["Trois-Rivières","124",-72.55,46.35],
+["Bergedorf","276",10.23,53.48],
+["Monza","380",9.27,45.58],
+["Modakeke","566",4.26,7.38],
+["Silang","608",120.97,14.22],
+["Quevedo","218",-79.46,-1.03],
+["Nazilli","792",28.32,37.92],
+["Lira","800",32.9,2.25],
+["Toledo","076",-53.74,-24.71],
+["Pforzheim","276",8.7,48.88],
+["Dordrecht","528",4.67,51.81],
+["Jaú","076",-48.56,-22.3],
+["Offenbach","276",8.77,50.1],
+["Siwān","356",84.36,26.22],
+["Columbia","840",-92.33,38.95],
+["Settat","504",-7.62,33],
+["Cagua","862",-67.46,10.19],
+["Odessa","840",-102.37,31.85],
+["Mandimba","508",35.65,-14.35],
+["Reykjavík","352",-21.9,64.14],
+["San Jose","608",121.07,12.35],
+["Damoh","356",79.44,23.83],
+["Shimotoda","392",139.69,35.82],
+["Lhasa","156",91.1,29.65],
+["Aïn Oussera","012",2.91,35.45],
+["Kokubunji","392",139.48,35.7],
+["Pleven","100",24.62,43.42],
+["Rimini","380",12.57,44.06],
+["Miramar","484",-97.9,22.36],
+["Khlong Luang","764",100.65,14.06],
+["Ādilābād","356",78.54,19.67],
+["Fargo","840",-96.79,46.88],
+["Iguala de la Independencia","484",-99.54,18.35],
+["Sepatan","360",106.58,-6.12],
+["Zielona Góra","616",15.51,51.94],
+["Cubatão","076",-46.43,-23.89],
+["Maseru","426",27.48,-29.32],
+["Srikakulam","356",83.9,18.3],
+["Berdyansk","804",36.8,46.77],
+["Malindi","404",40.12,-3.22],
+["Uppal Kalan","356",78.56,17.41],
+["Eastbourne","826",0.28,50.77],
+["Bandundu","180",17.38,-3.32],
+["Pita Kotte","144",79.9,6.89],
+["Torrejón de Ardoz","724",-3.47,40.46],
+["Beaumont","840",-94.1,30.09],
+["Bama","566",13.69,11.52],
+["Ilobu","566",4.49,7.84],
+["Ciudad Delicias","484",-105.47,28.19],
+["Jetpur","356",70.62,21.75],
+["Puning","156",116.17,23.31],
+["Morbi","356",70.84,22.82],
+["Guadalajara de Buga","170",-76.3,3.9],
+["Troparëvo","643",37.48,55.66],
+["Nakhon Pathom","764",100.04,13.82],
+["Uzhgorod","804",22.3,48.62],
+["Pātan","356",72.13,23.85],
+["Friedrichshain","276",13.45,52.52],
+["Sokodé","768",1.13,8.98],
+["Tarnów","616",20.99,50.01],
+["Loja","218",-79.2,-3.99],
+["Exeter","826",-3.53,50.72],
+["Jalingo","566",11.36,8.89],
+["Västerås","752",16.55,59.62],
+["Gemena","180",19.77,3.26],
+["Achinsk","643",90.5,56.27],
+["Shunyi","156",116.65,40.12],
+["Rotherham","826",-1.36,53.43],
+["Ikoma","392",135.7,34.68],
+["Ciudad de Villa de Álvarez","484",-103.74,19.27],
+["Anaco","862",-64.46,9.43],
+["Tebingtinggi","360",99.16,3.33],
+["Tigwav","332",-72.87,18.43],
+["Tunja","170",-73.37,5.54],
+["Bremerhaven","276",8.59,53.54],
+["Punta Arenas","152",-70.91,-53.15],
+["Panevėžys","440",24.35,55.73],
+["Pyin Oo Lwin","104",96.46,22.04],
+["Independence","840",-94.42,39.09],
+["Kedungwuni","360",109.65,-6.97],
+["Ishinomaki","392",141.3,38.42],
+["Longjing","156",129.42,42.77],
+["Khanna","356",76.22,30.71],
+["Calabozo","862",-67.43,8.92],
+["Remscheid","276",7.19,51.18],
+["Setúbal","620",-8.89,38.52],
+["Čačak","688",20.35,43.89],
+["Ann Arbor","840",-83.74,42.28],
+["Nkongsamba","120",9.94,4.95],
+["Kindia","324",-12.87,10.06],
+["Qingzhou","156",118.48,36.7],
+["Botād","356",71.67,22.17],
+["Rishra","356",88.35,22.72],
+["Pinhais","076",-49.19,-25.44],
+["Khenchela","012",7.14,35.44],
+["Hōfu","392",131.57,34.05],
+["Ordu","792",37.89,40.98],
+["Manp’o","408",126.29,41.15],
+["Lausanne","756",6.63,46.52],
+["El Monte","840",-118.03,34.07],
+["Athens","840",-83.38,33.96],
+["Brugge","056",3.22,51.21],
+["Simões Filho","076",-38.4,-12.78],
+["Azamgarh","356",83.18,26.07],
+["Pescara","380",14.2,42.46],
+["Ahmadpur East","586",71.26,29.14],
+["Varginha","076",-45.43,-21.55],
+["Springfield","840",-89.64,39.8],
+["Taldykorgan","398",78.37,45.02],
+["Jaén","724",-3.79,37.77],
+["Puno","604",-70.02,-15.84],
+["Moncloa-Aravaca","724",-3.73,40.44],
+["Cheltenham","826",-2.08,51.9],
+["Yelahanka","356",77.6,13.1],
+["Harlem","840",-73.95,40.81],
+["Dasha","156",113.44,23.11],
+["Nyíregyháza","348",21.72,47.96],
+["Yakeshi","156",120.73,49.28],
+["Cherkessk","643",42.06,44.22],
+["Algeciras","724",-5.45,36.13],
+["Gudivāda","356",81,16.44],
+["Digos","608",125.36,6.75],
+["Handa","392",136.93,34.88],
+["Sinop","076",-55.5,-11.86],
+["Taganskiy","643",37.67,55.73],
+["Alchevs’k","804",38.82,48.47],
+["Round Rock","840",-97.68,30.51],
+["Noginsk","643",38.44,55.87],
+["Schöneberg","276",13.35,52.47],
+["Wilmington","840",-77.94,34.23],
+["Cavite City","608",120.9,14.48],
+["Pavlohrad","804",35.87,48.53],
+["East Harlem","840",-73.94,40.79],
+["Binzhou","156",118.02,37.37],
+["Zoetermeer","528",4.49,52.06],
+["Sri Jayewardenepura Kotte","144",79.91,6.88],
+["Örebro","752",15.21,59.27],
+["Guelph","124",-80.26,43.55],
+["Yelets","643",38.5,52.62],
+["Parla","724",-3.77,40.24],
+["Batang","360",110.71,-6.48],
+["Novo-Peredelkino","643",37.34,55.65],
+["Baidyabāti","356",88.33,22.78],
+["Okigwe","566",7.35,5.83],
+["Lengshuijiang","156",111.43,27.69],
+["Tianfu","156",122.05,37.26],
+["Arvada","840",-105.09,39.8],
+["East York","124",-79.33,43.69],
+["Toliara","450",43.67,-23.35],
+["Bizerte","788",9.87,37.27],
+["Provo","840",-111.66,40.23],
+["Pouso Alegre","076",-45.94,-22.23],
+["Bastī","356",82.72,26.79],
+["Tuguegarao","608",121.72,17.62],
+["Peoria","840",-89.59,40.69],
+["Lansing","840",-84.56,42.73],
+["Wenchang","156",110.75,19.62],
+["Balkh","004",66.9,36.76],
+["Lincoln","826",-0.54,53.23],
+["Mingshui","156",117.5,36.72],
+["Botoşani","642",26.67,47.75],
+["Mary","795",61.83,37.59],
+["Sóc Trăng","704",105.97,9.6],
+["Dunedin","554",170.5,-45.87],
+["Balasore","356",86.93,21.49],
+["Pamanukan","360",107.81,-6.28],
+["Eunápolis","076",-39.58,-16.38],
+["Pleiku","704",108,13.98],
+["Downey","840",-118.13,33.94],
+["Kingston","124",-76.48,44.23],
+["Yuyao","156",121.15,30.05],
+["Bergamo","380",9.67,45.7],
+["Sawangan","360",106.77,-6.4],
+["Dharmavaram","356",77.72,14.41],
+["Siirt","792",41.94,37.93],
+["Erzincan","792",39.49,39.74],
+["Kankan","324",-9.31,10.39],
+["Cuauhtémoc","484",-106.86,28.41],
+["Villa Lugano","032",-58.47,-34.68],
+["Hotan","156",79.94,37.11],
+["Ochakovo-Matveyevskoye","643",37.45,55.68],
+["Laghouat","012",2.87,33.8],
+["Botucatu","076",-48.44,-22.89],
+["Māler Kotla","356",75.88,30.53],
+["Navojoa","484",-109.44,27.07],
+["Offa","566",4.72,8.15],
+["Tobol’sk","643",68.25,58.2],
+["Wardha","356",78.6,20.74],
+["Pingshan","156",114.71,22.99],
+["Cuito","024",16.93,-12.38],
+["Songyuan","156",124.83,45.13],
+["Maba","156",113.6,24.68],
+["Jandira","076",-46.9,-23.53],
+["Dumaguete","608",123.3,9.31],
+["Budapest XIII. kerület","348",19.08,47.53],
+["Nippes","276",6.95,50.97],
+["Mishima","392",138.92,35.12],
+["Carlsbad","840",-117.35,33.16],
+["Chorzów","616",18.97,50.31],
+["Luanshya","894",28.42,-13.14],
+["Praia","132",-23.51,14.93],
+["Elmhurst","840",-73.88,40.74],
+["Costa Mesa","840",-117.92,33.64],
+["Jhunjhunūn","356",75.4,28.13],
+["Miami Gardens","840",-80.25,25.94],
+["Kitami","392",143.89,43.8],
+["Westminster","840",-105.04,39.84],
+["Heroica Guaymas","484",-110.9,27.92],
+["Chesterfield","826",-1.42,53.25],
+["North Peoria","840",-89.58,40.72],
+["Clearwater","840",-82.8,27.97],
+["Shchelkovo","643",37.97,55.92],
+["Fairfield","840",-122.04,38.25],
+["Alanya","792",32,36.54],
+["Guanabacoa","192",-82.3,23.13],
+["Vihari","586",72.36,30.04],
+["Guangming","156",122.78,45.33],
+["Satara","356",73.99,17.69],
+["Rouen","250",1.1,49.44],
+["Haikou","156",102.58,24.78],
+["Chanduasi","356",78.78,28.45],
+["Nefteyugansk","643",72.6,61.1],
+["Reutlingen","276",9.2,48.49],
+["Bushwick","840",-73.92,40.69],
+["Shaowu","156",117.48,27.34],
+["Mojokerto","360",112.43,-7.47],
+["Satu Mare","642",22.86,47.8],
+["Thanh Hóa","704",105.77,19.8],
+["Kaiyuan","156",124.04,42.53],
+["Kamalia","586",72.65,30.73],
+["Guanare","862",-69.74,9.04],
+["Gravesend","840",-73.97,40.6],
+["Rochester","840",-92.47,44.02],
+["Farīdpur","050",89.84,23.61],
+["Apopa","222",-89.18,13.81],
+["Mothīhāri","356",84.92,26.65],
+["Chās","356",86.17,23.64],
+["Mazyr","112",29.25,52.05],
+["Pudukkottai","356",78.82,10.38],
+["Elgin","840",-88.28,42.04],
+["Carúpano","862",-63.25,10.67],
+["Rewāri","356",76.62,28.2],
+["Port Blair","356",92.75,11.67],
+["Minatitlán","484",-94.56,18],
+["Esuk Oron","566",8.25,4.8],
+["Fürth","276",10.99,49.48],
+["Beibei","156",106.44,29.83],
+["Temecula","840",-117.15,33.49],
+["West Jordan","840",-111.94,40.61],
+["Cà Mau","704",105.15,9.18],
+["Ribeirão Pires","076",-46.41,-23.71],
+["Douma","760",36.4,33.57],
+["Iringa","834",35.7,-7.77],
+["Zwolle","528",6.09,52.51],
+["Novokuybyshevsk","643",49.95,53.1],
+["Qūchān","364",58.51,37.11],
+["Suriāpet","356",79.62,17.14],
+["Kandy","144",80.63,7.29],
+["Bangaon","356",88.83,23.05],
+["Inglewood","840",-118.35,33.96],
+["Lysychans’k","804",38.44,48.9],
+["Conselheiro Lafaiete","076",-43.79,-20.66],
+["Chhatarpur","356",79.59,24.92],
+["Daugavpils","428",26.53,55.88],
+["Resende","076",-44.45,-22.47],
+["Chelmsford","826",0.47,51.74],
+["Masjed Soleymān","364",49.3,31.94],
+["Cileunyi","360",107.75,-6.94],
+["Ashoknagar Kalyangarh","356",88.64,22.86],
+["Magelang","360",110.22,-7.47],
+["Mulhouse","250",7.33,47.75],
+["Santa Rosa","032",-64.28,-36.62],
+["Beau Bassin-Rose Hill","480",57.47,-20.23],
+["Mbouda","120",10.25,5.63],
+["Araucária","076",-49.41,-25.59],
+["Achalpur","356",77.51,21.26],
+["Navadwīp","356",88.37,23.41],
+["Nsukka","566",7.4,6.86],
+["Nguru","566",10.46,12.88],
+["Dongtai","156",120.31,32.85],
+["Bārsi","356",75.69,18.23],
+["Atibaia","076",-46.55,-23.12],
+["Várzea Paulista","076",-46.83,-23.21],
+["Hikone","392",136.25,35.25],
+["Encheng","156",112.3,22.19],
+["Turhal","792",36.08,40.39],
+["Bandar-e Anzalī","364",49.46,37.47],
+["Richardson","840",-96.73,32.95],
+["Hadejia","566",10.04,12.45],
+["Zhuji","156",120.24,29.72],
+["Perpignan","250",2.9,42.7],
+["Lowell","840",-71.32,42.63],
+["East Independence","840",-94.36,39.1],
+["Caen","250",-0.36,49.19],
+["Yenangyaung","104",94.87,20.47],
+["Gresham","840",-122.43,45.5],
+["Antioch","840",-121.81,38],
+["Manzini","748",31.38,-26.5],
+["Delicias","724",-0.91,41.65],
+["Cambridge","840",-71.11,42.38],
+["Sultānpur","356",82.07,26.26],
+["Tauranga","554",176.17,-37.69],
+["High Point","840",-80.01,35.96],
+["Billings","840",-108.5,45.78],
+["Manchester","840",-71.45,43],
+["Kiryū","392",139.33,36.4],
+["Kresek","360",106.38,-6.13],
+["Bender","498",29.48,46.83],
+["Nelspruit","710",30.97,-25.47],
+["Citeureup","360",106.88,-6.49],
+["Garanhuns","076",-36.5,-8.88],
+["Gabès","788",10.1,33.88],
+["Qingnian","156",115.71,36.84],
+["Mendip","826",-2.63,51.24],
+["Kufa","368",44.44,32.05],
+["Vacoas","480",57.48,-20.3],
+["Ressano Garcia","508",32,-25.44],
+["Noyabrsk","643",75.44,63.19],
+["Zliten","434",14.57,32.47],
+["Mizhou","156",119.4,35.99],
+["Bataysk","643",39.75,47.14],
+["Linshui","156",114.2,36.42],
+["Hailun","156",126.95,47.46],
+["Ambur","356",78.72,12.79],
+["Kecskemét","348",19.69,46.91],
+["Seversk","643",84.89,56.6],
+["Lichinga","508",35.24,-13.31],
+["Murrieta","840",-117.21,33.55],
+["Centennial","840",-104.88,39.58],
+["Shilong","156",113.85,23.11],
+["Richmond","840",-122.35,37.94],
+["Kandi","204",2.94,11.13],
+["Corona","840",-73.86,40.75],
+["Araruama","076",-42.34,-22.87],
+["Tieli","156",128.04,46.98],
+["Catanduva","076",-48.97,-21.14],
+["Taitung City","158",121.14,22.76],
+["Dongxing","156",130.79,45.36],
+["Arzamas","643",43.84,55.39],
+["Phalaborwa","710",31.14,-23.94],
+["Heihe","156",127.49,50.24],
+["Pueblo","840",-104.61,38.25],
+["Zhaotong","156",103.72,27.32],
+["Hoshangābād","356",77.73,22.75],
+["Larache","504",-6.16,35.19],
+["Ijebu-Igbo","566",4,6.97],
+["Sergiyev Posad","643",38.13,56.3],
+["Tumbes","604",-80.45,-3.57],
+["Livingstone","894",25.85,-17.84],
+["San Rafael","032",-68.33,-34.62],
+["Port-Gentil","266",8.78,-0.72],
+["Hulan","156",126.6,45.98],
+["Matagalpa","558",-85.92,12.93],
+["Komatsu","392",136.45,36.4],
+["Leninsk-Kuznetsky","643",86.17,54.66],
+["Zhongxiang","156",112.58,31.17],
+["Franco da Rocha","076",-46.73,-23.32],
+["Iwatsuki","392",139.7,35.96],
+["Pearland","840",-95.29,29.56],
+["Dehui","156",125.7,44.53],
+["Waterbury","840",-73.05,41.56],
+["Boulogne-Billancourt","250",2.24,48.84],
+["Kalisz","616",18.09,51.76],
+["Ksar El Kebir","504",-5.9,35],
+["Pemba","508",40.52,-12.97],
+["Moncton","124",-64.8,46.09],
+["Sawāi Mādhopur","356",76.34,26.02],
+["Uromi","566",6.33,6.7],
+["Dharān","524",87.28,26.81],
+["Madanapalle","356",78.5,13.55],
+["Katumba","834",33.62,-9.23],
+["West Covina","840",-117.94,34.07],
+["Enterprise","840",-115.24,36.03],
+["Bānsbāria","356",88.4,22.95],
+["Girón","170",-73.17,7.07],
+["Mopti","466",-4.18,14.48],
+["Baghlān","004",68.71,36.13],
+["Cuautitlán","484",-99.18,19.67],
+["Trincomalee","144",81.23,8.58],
+["Santiago","608",121.55,16.69],
+["Dagenham","826",0.17,51.55],
+["North Charleston","840",-79.97,32.85],
+["Sohar","512",56.71,24.35],
+["Nehe","156",124.83,48.48],
+["Kyzyl","643",94.45,51.71],
+["Cabo Frio","076",-42.03,-22.89],
+["Oktyabr’skiy","643",53.47,54.48],
+["Tādepallegūdem","356",81.53,16.81],
+["Banyuwangi","360",114.36,-8.23],
+["Birnin Kebbi","566",4.2,12.45],
+["Pingliang","156",106.69,35.54],
+["Santa Cruz","608",121.42,14.28],
+["Rockingham","036",115.73,-32.28],
+["Everett","840",-122.2,47.98],
+["An Nuhūd","729",28.43,12.7],
+["Atbara","729",33.99,17.7],
+["Jiangyin","156",120.26,31.91],
+["Bạc Liêu","704",105.73,9.29],
+["College Station","840",-96.33,30.63],
+["Palm Bay","840",-80.59,28.03],
+["Jalpāiguri","356",88.73,26.52],
+["Jalai Nur","156",117.7,49.45],
+["Tajimi","392",137.13,35.32],
+["Moers","276",6.63,51.45],
+["Pompano Beach","840",-80.12,26.24],
+["Ourense","724",-7.86,42.34],
+["Ji Paraná","076",-61.95,-10.89],
+["Basingstoke","826",-1.09,51.26],
+["Bandırma","792",27.98,40.35],
+["Sacaba","068",-66.04,-17.4],
+["Maidstone","826",0.52,51.27],
+["Umm Qaşr","368",47.92,30.04],
+["Butterworth","458",100.36,5.4],
+["Shaping","156",112.96,22.77],
+["Râmnicu Vâlcea","642",24.37,45.1],
+["Alcobendas","724",-3.64,40.55],
+["Araras","076",-47.38,-22.36],
+["Koszalin","616",16.17,54.19],
+["Poá","076",-46.34,-23.53],
+["Sherpur","050",90.02,25.02],
+["Obninsk","643",36.61,55.1],
+["Vitória de Santo Antão","076",-35.29,-8.12],
+["Shinyanga","834",33.42,-3.66],
+["Boulder","840",-105.27,40.01],
+["Umuarama","076",-53.32,-23.77],
+["Koblenz","276",7.58,50.35],
+["Siegen","276",8.02,50.87],
+["Bharatpur","524",84.44,27.68],
+["As Suwayq","512",57.44,23.85],
+["Norwalk","840",-118.08,33.9],
+["Vicenza","380",11.55,45.55],
+["Reus","724",1.11,41.16],
+["Iida","392",137.82,35.52],
+["Ilebo","180",20.59,-4.33],
+["Apucarana","076",-51.46,-23.55],
+["Yên Vinh","704",105.67,18.67],
+["Mitrovicë","983",20.87,42.88],
+["Sutton Coldfield","826",-1.82,52.57],
+["Khemisset","504",-6.07,33.82],
+["Elista","643",44.26,46.31],
+["Taungoo","104",96.43,18.94],
+["Bedford","826",-0.47,52.13],
+["Ejido","862",-71.24,8.55],
+["Al Ḩawāmidīyah","818",31.25,29.9],
+["Catia La Mar","862",-67.03,10.61],
+["Lianran","156",102.48,24.92],
+["West Palm Beach","840",-80.05,26.72],
+["Rayong","764",101.26,12.68],
+["Chittaurgarh","356",74.62,24.89],
+["Fukayachō","392",139.28,36.2],
+["Cherëmushki","643",37.56,55.66],
+["Coimbra","620",-8.42,40.21],
+["Broken Arrow","840",-95.79,36.05],
+["Daly City","840",-122.46,37.71],
+["Linköping","752",15.62,58.41],
+["Cikarang","360",107.15,-6.26],
+["Longjiang","156",123.18,47.33],
+["Hwado","410",127.31,37.65],
+["Buhe","156",112.23,30.29],
+["Pindiga","566",10.95,9.98],
+["Namur","056",4.87,50.47],
+["Gangāwati","356",76.53,15.43],
+["Yevpatoriya","804",33.37,45.2],
+["Novotroitsk","643",58.33,51.2],
+["Bergisch Gladbach","276",7.13,50.99],
+["Launceston","036",147.13,-41.44],
+["Santa Cruz do Sul","076",-52.43,-29.72],
+["Legnica","616",16.16,51.21],
+["Ashkelon","376",34.57,31.67],
+["Sydney","124",-60.18,46.14],
+["Derbent","643",48.29,42.07],
+["Xinghua","156",119.83,32.94],
+["Khurja","356",77.86,28.25],
+["Mati","608",126.22,6.96],
+["Guaratinguetá","076",-45.19,-22.82],
+["Arjawinangun","360",108.41,-6.65],
+["Suceava","642",26.25,47.63],
+["Aïn Beïda","012",7.39,35.8],
+["Azare","566",10.19,11.67],
+["Nantou","158",120.66,23.92],
+["Anqiu","156",119.19,36.43],
+["Lahad Datu","458",118.33,5.02],
+["Ponnāni","356",75.93,10.77],
+["Tanza","608",120.94,14.68],
+["Mariara","862",-67.72,10.3],
+["Bhairab Bāzār","050",90.98,24.05],
+["Chengtangcun","156",117.19,35.08],
+["Baraki","012",3.1,36.67],
+["Nancy","250",6.18,48.68],
+["Sandy Springs","840",-84.38,33.92],
+["Burbank","840",-118.31,34.18],
+["Queenstown","710",26.88,-31.9],
+["Hòa Bình","704",105.34,20.82],
+["Green Bay","840",-88.02,44.52],
+["Jizan","682",42.55,16.89],
+["Texcoco de Mora","484",-98.88,19.51],
+["Santa Maria","840",-120.44,34.95],
+["Linhares","076",-40.07,-19.39],
+["Araguaína","076",-48.21,-7.19],
+["Barnāla","356",75.55,30.37],
+["Universal City","840",-118.35,34.14],
+["Moratalaz","724",-3.65,40.41],
+["Daxing","156",116.33,39.74],
+["Parral","484",-105.67,26.93],
+["Bāneh","364",45.89,36],
+["Oldham","826",-2.12,53.54],
+["Douliu","158",120.54,23.71],
+["Jena","276",11.59,50.93],
+["Wichita Falls","840",-98.49,33.91],
+["Gera","276",12.08,50.88],
+["Badlapur","356",73.27,19.16],
+["Ottakring","040",16.3,48.22],
+["Al Fāw","368",48.47,29.97],
+["Depok","360",110.43,-7.76],
+["Mostar","070",17.81,43.34],
+["Lakeland","840",-81.95,28.04],
+["Zhezqazghan","398",67.77,47.78],
+["Honmachi","392",130.6,32.5],
+["Tandil","032",-59.13,-37.32],
+["Lo Prado","152",-70.73,-33.44],
+["Pulandian","156",121.97,39.4],
+["Helsingborg","752",12.69,56.05],
+["Kot Addu","586",70.97,30.47],
+["Bishoftu","231",38.98,8.75],
+["Kara","768",1.19,9.55],
+["Clovis","840",-119.7,36.83],
+["Wuchuan","156",110.77,21.46],
+["Yenakiyeve","804",38.21,48.23],
+["Lewisville","840",-96.99,33.05],
+["Abengourou","384",-3.5,6.73],
+["Iwakuni","392",132.22,34.16],
+["Soyībug","356",74.71,34.08],
+["Izmaylovo","643",37.8,55.79],
+["Kiselëvsk","643",86.66,53.99],
+["Kroonstad","710",27.23,-27.65],
+["Jishu","156",126.8,44.32],
+["Enfield Town","826",-0.08,51.65],
+["Ed Damer","729",33.97,17.6],
+["Woking","826",-0.56,51.32],
+["Dolisie","178",12.67,-4.2],
+["Roorkee","356",77.89,29.87],
+["Bagaha","356",84.09,27.1],
+["Yuxi","156",102.54,24.36],
+["Marzahn","276",13.57,52.55],
+["Nkpor","566",6.83,6.15],
+["Hosūr","356",77.83,12.74],
+["Tyler","840",-95.3,32.35],
+["Male","462",73.51,4.18],
+["El Cajon","840",-116.96,32.79],
+["Gardez","004",69.23,33.6],
+["Zhanaozen","398",52.86,43.34],
+["Bilqās","818",31.36,31.21],
+["San Mateo","840",-122.33,37.56],
+["Chūru","356",74.97,28.3],
+["Nagda","356",75.42,23.46],
+["Brandon","840",-82.29,27.94],
+["Prabumulih","360",104.23,-3.43],
+["Phitsanulok","764",100.26,16.82],
+["Isehara","392",139.31,35.4],
+["Queluz","620",-9.25,38.76],
+["Nishio","392",137.05,34.87],
+["Vĩnh Long","704",105.97,10.25],
+["Akademicheskoe","643",30.39,60.01],
+["Turgutlu","792",27.7,38.5],
+["Esmeraldas","076",-44.31,-19.76],
+["Escuintla","320",-90.79,14.3],
+["Velikiye Luki","643",30.55,56.34],
+["Kashipur","356",78.96,29.21],
+["Rialto","840",-117.37,34.11],
+["Ghazīpur","356",83.59,25.58],
+["Begusarai","356",86.13,25.42],
+["Ikere-Ekiti","566",5.23,7.5],
+["Hildesheim","276",9.95,52.15],
+["Rantauprapat","360",99.83,2.1],
+["Bogorodskoye","643",37.72,55.81],
+["Oleksandriya","804",33.12,48.67],
+["Qurayyat","682",37.34,31.33],
+["Portmore","388",-76.88,17.95],
+["Palma Soriano","192",-75.99,20.21],
+["Pushkino","643",37.87,56.02],
+["Khushāb","586",72.35,32.3],
+["Lafiagi","566",5.42,8.85],
+["Belawan","360",98.68,3.78],
+["Roxas City","608",122.75,11.59],
+["Piatra Neamţ","642",26.33,46.92],
+["Erlangen","276",11.01,49.59],
+["Tepexpan","484",-98.94,19.61],
+["Davenport","840",-90.58,41.52],
+["St Helens","826",-2.73,53.45],
+["Edison","840",-74.41,40.52],
+["Lubango","024",13.49,-14.92],
+["Sarh","148",18.39,9.14],
+["Dhaulpur","356",77.88,26.69],
+["Wazirabad","586",74.12,32.44],
+["Curicó","152",-71.24,-34.98],
+["Concepción de La Vega","214",-70.53,19.22],
+["Shāhzādpur","050",89.6,24.18],
+["Tulancingo","484",-98.36,20.08],
+["Bemowo","616",20.91,52.25],
+["Ciutat Vella","724",2.17,41.38],
+["Hillsboro","840",-122.99,45.52],
+["Drobeta-Turnu Severin","642",22.65,44.63],
+["Mormugao","356",73.81,15.39],
+["Qianzhou","156",109.73,28.32],
+["Artëm","643",132.19,43.36],
+["Birigui","076",-50.34,-21.29],
+["Ukhta","643",53.68,63.57],
+["Ferozepore","356",74.61,30.93],
+["Inazawa","392",136.78,35.25],
+["Laoag","608",120.6,18.2],
+["Şabrātah","434",12.49,32.79],
+["Disūq","818",30.65,31.13],
+["Shchukino","643",37.45,55.8],
+["Brateyevo","643",37.76,55.64],
+["Bethal","710",29.47,-26.46],
+["Pulong Santa Cruz","608",121.08,14.27],
+["Singkawang","360",108.98,0.91],
+["Tuxtepec","484",-96.13,18.09],
+["Gondal","356",70.8,21.96],
+["Torrevieja","724",-0.68,37.98],
+["Ternate","360",127.38,0.79],
+["Milton","124",-79.88,43.52],
+["Bontang","360",117.49,0.13],
+["Delta","124",-122.91,49.14],
+["Pārsābād","364",47.92,39.65],
+["Worcester","826",-2.22,52.19],
+["Las Cruces","840",-106.78,32.31],
+["‘Ibrī","512",56.52,23.23],
+["Dera Ismail Khan","586",70.9,31.83],
+["Salihorsk","112",27.54,52.79],
+["Székesfehérvár","348",18.41,47.19],
+["Assis","076",-50.41,-22.66],
+["Malambo","170",-74.77,10.86],
+["South Bend","840",-86.25,41.68],
+["Kansk","643",95.72,56.2],
+["Argenteuil","250",2.25,48.95],
+["Simmering","040",16.43,48.18],
+["Mustafakemalpaşa","792",28.41,40.04],
+["Seoni","356",79.55,22.09],
+["Dartmouth","124",-63.58,44.67],
+["Maladzyechna","112",26.85,54.32],
+["Jagādhri","356",77.3,30.17],
+["Olomouc","203",17.25,49.6],
+["Witten","276",7.35,51.44],
+["Miriālgūda","356",79.56,16.87],
+["Barretos","076",-48.57,-20.56],
+["Medina Estates","288",-0.16,5.67],
+["Chakwal","586",72.85,32.93],
+["Lower Hutt","554",174.92,-41.22],
+["Colatina","076",-40.63,-19.54],
+["Gillingham","826",0.55,51.39],
+["Teófilo Otoni","076",-41.51,-17.86],
+["Tokuyama","392",131.82,34.05],
+["Tonghae","410",129.11,37.54],
+["Vanadzor","051",44.49,40.8],
+["Tartu","233",26.73,58.38],
+["Mokopane","710",29.01,-24.19],
+["Salzgitter","276",10.42,52.16],
+["Udgīr","356",77.12,18.39],
+["Urdaneta","608",120.57,15.98],
+["Mezhdurechensk","643",88.06,53.69],
+["Guaíba","076",-51.32,-30.11],
+["Jolo","608",121,6.05],
+["Ryazanskiy","643",37.77,55.73],
+["Novyye Cherëmushki","643",37.58,55.7],
+["Qinzhou","156",108.63,21.97],
+["Guarapari","076",-40.5,-20.67],
+["Coronel Fabriciano","076",-42.63,-19.52],
+["Elbasan","008",20.08,41.11],
+["Vista","840",-117.24,33.2],
+["Navapolatsk","112",28.6,55.53],
+["Greeley","840",-104.71,40.42],
+["Davie","840",-80.23,26.06],
+["Funchal","620",-16.93,32.67],
+["Oum el Bouaghi","012",7.11,35.88],
+["Solikamsk","643",56.77,59.63],
+["El Progreso","340",-87.8,15.4],
+["Jamālpur","356",86.49,25.31],
+["Itaguaí","076",-43.78,-22.85],
+["Nandurbar","356",74.24,21.37],
+["Abū Kabīr","818",31.67,30.73],
+["Glazov","643",52.66,58.14],
+["Anyama","384",-4.05,5.49],
+["Kallithéa","300",23.7,37.95],
+["Narita","392",140.32,35.78],
+["Juan Díaz","591",-79.45,9.05],
+["Bendigo","036",144.28,-36.76],
+["Grogol","360",110.82,-7.6],
+["Izumisano","392",135.32,34.42],
+["Itārsi","356",77.76,22.61],
+["Chinatown","840",-122.41,37.8],
+["Padangsidempuan","360",99.27,1.38],
+["Qalyūb","818",31.21,30.18],
+["Vasco da Gama","356",73.82,15.4],
+["San Angelo","840",-100.44,31.46],
+["Sakata","392",139.85,38.92],
+["Kōnan","392",136.87,35.33],
+["Chikushino-shi","392",130.52,33.5],
+["Lianjiang","156",110.28,21.65],
+["Linxi","156",118.45,39.71],
+["Magangué","170",-74.75,9.24],
+["Tiébo","686",-16.23,14.63],
+["Ust’-Ilimsk","643",102.66,58],
+["Renton","840",-122.22,47.48],
+["Zonguldak","792",31.79,41.45],
+["Kūhdasht","364",47.61,33.53],
+["Kalmunai","144",81.83,7.41],
+["Phagwāra","356",75.77,31.22],
+["Trier","276",6.64,49.76],
+["Punta Cana","214",-68.4,18.58],
+["Telde","724",-15.42,27.99],
+["Rio das Ostras","076",-41.94,-22.53],
+["Zhangye","156",100.45,38.93],
+["Kangding","156",101.96,30],
+["Alamar","192",-82.28,23.16],
+["M’Sila","012",4.54,35.71],
+["Becontree","826",0.13,51.55],
+["Sumedang Utara","360",107.92,-6.85],
+["Jaffa","376",34.75,32.05],
+["Airoli","356",73,19.15],
+["P’yŏngsŏng","408",125.87,39.25],
+["Tagiura","434",13.35,32.88],
+["Colonia Lindavista","484",-99.12,19.49],
+["Subotica","688",19.67,46.1],
+["Tekstil’shchiki","643",37.74,55.7],
+["Kamianets-Podilskyi","804",26.59,48.68]
+];